@@ -0,0 +1,66 @@
+/**
+ * Rectangular beam flexure and shear engine (ACI 318-19).
+ * Inputs are in psi and inches, with Mu in kip-ft and Vu in kips. The result carries the
+ * calculation trace that the report renders.
+ */
+
+import { createTrace } from '../js/calc-trace.js';
+
+export const BAR_AREAS = { 3: 0.11, 4: 0.20, 5: 0.31, 6: 0.44, 7: 0.60, 8: 0.79, 9: 1.00, 10: 1.27, 11: 1.56 };
+
+export const aciCalculator = (() => {
+    function calculate(inputs) {
+        const i = { ...inputs };
+        // Convert to base units (lbs, inches)
+        i.Mu = i.Mu * 12000;
+        i.Vu = i.Vu * 1000;
+
+        const res = {};
+        const Es = 29000000; // psi
+        const trace = createTrace();
+        // Forces are carried in lb and lb-in; the report shows kips and kip-ft.
+        const kips = { units: 'kips', scale: 1 / 1000 };
+        const kipFt = { units: 'kip-ft', scale: 1 / 12000 };
+
+        // --- Flexure Calculation (ACI 318-19 Ch. 9 & 22) ---
+        trace.section('Flexure Breakdown', { id: 'flexure' });
+        const stirrup_dia = BAR_AREAS[i.stirrup_size] ? i.stirrup_size / 8 : 0;
+        const bar_dia = BAR_AREAS[i.bar_size] ? i.bar_size / 8 : 0;
+        const d = trace.calc('d', 'h - cover - d_stirrup - d_bar / 2', { h: i.h, cover: i.cover, d_stirrup: stirrup_dia, d_bar: bar_dia }, { label: 'Effective Depth', units: 'in' });
+        const As = trace.calc('A_s', 'n * A_bar', { n: i.num_bars, A_bar: BAR_AREAS[i.bar_size] || 0 }, { label: 'Area of Steel', units: 'in²' });
+        const beta1 = trace.calc('beta_1', 'max(0.65, min(0.85, 0.85 - 0.05 * ((f\'_c - 4000) / 1000)))', { "f'_c": i.fc }, { ref: 'ACI Table 22.2.2.4.3' });
+        const a = trace.calc('a', '(A_s * f_y) / (0.85 * f\'_c * b)', { A_s: As, f_y: i.fy, "f'_c": i.fc, b: i.b }, { label: 'Depth of Compression Block', units: 'in' });
+        const c = trace.calc('c', 'a / beta_1', { a, beta_1: beta1 }, { label: 'Neutral Axis Depth', units: 'in' });
+        let strain_t = Infinity;
+        if (c > 0) {
+            strain_t = trace.calc('epsilon_t', '(d - c) / c * 0.003', { d, c }, { label: 'Tensile Strain', decimals: 4 });
+        }
+        const eps_y = i.fy / Es;
+        let phi_f;
+        if (strain_t >= 0.005) {
+            phi_f = trace.value('phi_f', 0.90, { label: 'Strength Reduction Factor', note: 'Tension-Controlled', ref: 'ACI 21.2.2' });
+        } else if (strain_t > eps_y) {
+            phi_f = trace.calc('phi_f', '0.65 + 0.25 * ((epsilon_t - epsilon_y) / (0.005 - epsilon_y))', { epsilon_t: strain_t, epsilon_y: eps_y }, { label: 'Strength Reduction Factor', note: 'Transition', ref: 'ACI 21.2.2' });
+        } else {
+            phi_f = trace.value('phi_f', 0.65, { label: 'Strength Reduction Factor', note: 'Compression-Controlled', ref: 'ACI 21.2.2' });
+        }
+        const Mn = trace.calc('M_n', 'A_s * f_y * (d - a / 2)', { A_s: As, f_y: i.fy, d, a }, { label: 'Nominal Moment', ...kipFt });
+        res.phiMn = trace.calc('phi_f * M_n', 'phi_f * M_n', { phi_f, M_n: Mn }, { label: 'Design Moment', ...kipFt });
+        res.flexure_details = { d, As, beta1, a, c, strain_t, phi_f, Mn };
+
+        // --- Shear Calculation (ACI 318-19 Ch. 22) ---
+        trace.section('Shear Breakdown', { id: 'shear' });
+        const Av = trace.calc('A_v', 'n_legs * A_bar', { n_legs: i.stirrup_legs, A_bar: BAR_AREAS[i.stirrup_size] || 0 }, { label: 'Stirrup Area', units: 'in²' });
+        const Vc = trace.calc('V_c', '2 * sqrt(f\'_c) * b * d', { "f'_c": i.fc, b: i.b, d }, { label: 'Concrete Capacity', ...kips, ref: 'ACI 22.5.5.1' });
+        const Vs = trace.calc('V_s', '(A_v * f_y * d) / s', { A_v: Av, f_y: i.fy, d, s: i.stirrup_spacing }, { label: 'Stirrup Capacity', ...kips, ref: 'ACI 22.5.10.5.3' });
+        const Vs_max = trace.calc('V_s_max', '8 * sqrt(f\'_c) * b * d', { "f'_c": i.fc, b: i.b, d }, { label: 'Max Stirrup Capacity', ...kips, ref: 'ACI 22.5.1.2' });
+        const phi_v = trace.value('phi_v', 0.75, { label: 'Strength Reduction Factor', ref: 'ACI 21.2.1' });
+        const Vn = trace.calc('V_n', 'V_c + min(V_s, V_s_max)', { V_c: Vc, V_s: Vs, V_s_max: Vs_max }, { label: 'Nominal Shear', ...kips });
+        res.phiVn = trace.calc('phi_v * V_n', 'phi_v * V_n', { phi_v, V_n: Vn }, { label: 'Design Shear', ...kips });
+        res.shear_details = { Vc, Vs, Vs_max, Av, phi_v };
+
+        return { inputs: i, results: res, trace: trace.sections };
+    }
+
+    return { calculate };
+})();
@@ -0,0 +1,133 @@
+/**
+ * Column base plate and anchorage engine (AISC Design Guide 1, ACI 318-19 Chapter 17).
+ * Each check carries the trace of its calculation.
+ */
+
+import { createTrace, traceDesignStrength } from '../js/calc-trace.js';
+
+export const basePlateCalculator = (() => {
+    const { abs } = Math;
+
+    function run(inputs) {
+        const {
+            design_method, base_plate_length_N: N, base_plate_width_B: B, provided_plate_thickness_tp: tp,
+            column_depth_d: d, column_flange_width_bf: bf, base_plate_Fy: Fy, concrete_fc: fc,
+            axial_load_P_in: Pu, moment_M_in: Mu, shear_V_in: Vu,
+            anchor_bolt_diameter: db, num_bolts_tension_row: n_bolts_tension, anchor_embedment_hef: hef,
+            anchor_bolt_Fut: Fut, anchor_bolt_Fnv: Fnv
+        } = inputs;
+
+        const checks = {};
+        const strength = (trace, check, units = 'kips') => traceDesignStrength(trace, check, design_method, { units });
+
+        // --- 1. Bearing Check (AISC DG1, 2nd Ed.) ---
+        const bearing = createTrace().section('Concrete Bearing', { ref: 'AISC Design Guide 1, 2nd Ed.' });
+        const e = bearing.calc('e', '(M_u * 12) / abs(P_u)', { M_u: Mu, P_u: Pu }, { label: 'Eccentricity', units: 'in' }); // Eccentricity in inches
+        const e_crit = N / 2 - abs(Pu) / (2 * 0.85 * fc * B);
+
+        let f_p_max, Y, q_max;
+        if (e <= N / 6) { // Case 1: Compression over entire plate
+            f_p_max = bearing.calc('f_p_max', '(abs(P_u) / (B * N)) * (1 + (6 * e) / N)', { P_u: Pu, B, N, e }, { label: 'Max Bearing Pressure', units: 'ksi', note: 'e ≤ N/6, full bearing' });
+        } else { // Case 2: Partial compression
+            Y = bearing.calc('Y', 'N - 2 * e', { N, e }, { label: 'Bearing Length', units: 'in', note: 'e > N/6, partial bearing' });
+            f_p_max = bearing.calc('f_p_max', '(2 * abs(P_u)) / (B * Y)', { P_u: Pu, B, Y }, { label: 'Max Bearing Pressure', units: 'ksi' });
+        }
+
+        // Concrete Bearing Strength (AISC J8)
+        const phi_c = 0.65; // LRFD
+        const omega_c = 2.31; // ASD
+        const P_p = bearing.calc('P_p', "0.85 * f'_c * B * N", { "f'_c": fc, B, N }, { label: 'Nominal Bearing Strength', units: 'kips', ref: 'AISC J8-1, A2 = A1' }); // Assuming A2 is very large
+        const design_bearing_strength = strength(bearing, { Rn: P_p, phi: phi_c, omega: omega_c });
+        const bearing_pressure_demand = e <= N / 6
+            ? bearing.calc('P_bearing', 'f_p_max * B * N', { f_p_max, B, N }, { label: 'Bearing Demand', units: 'kips' })
+            : bearing.calc('P_bearing', 'f_p_max * B * Y', { f_p_max, B, Y }, { label: 'Bearing Demand', units: 'kips' });
+
+        checks['Concrete Bearing'] = {
+            demand: bearing_pressure_demand,
+            check: { Rn: P_p, phi: phi_c, omega: omega_c },
+            details: { f_p_max, e, e_crit, Y, Pu, B, N, design_bearing_strength },
+            trace: bearing.sections
+        };
+
+        // --- 2. Plate Bending Check (AISC DG1) ---
+        const bending = createTrace().section('Plate Bending', { ref: 'AISC Design Guide 1, 2nd Ed.' });
+        const m = bending.calc('m', '(N - 0.95 * d) / 2', { N, d }, { units: 'in' });
+        const n = bending.calc('n', '(B - 0.80 * b_f) / 2', { B, b_f: bf }, { units: 'in' });
+        const n_prime = bending.calc("n'", '(sqrt(d * b_f)) / 4', { d, b_f: bf }, { units: 'in' });
+        const X = bending.calc('X', 'min(1, ((4 * d * b_f) / ((d + b_f) ^ 2)) * (abs(P_u) / P_design))', { d, b_f: bf, P_u: Pu, P_design: design_bearing_strength }, { decimals: 3 });
+        const lambda = bending.calc('lambda', 'min(1, (2 * sqrt(X)) / (1 + sqrt(1 - X)))', { X }, { decimals: 3, ref: 'DG1 Eq. 3.3.6' });
+        const l = bending.calc('l', "max(m, n, lambda * n')", { m, n, lambda, "n'": n_prime }, { label: 'Governing Cantilever', units: 'in' });
+
+        const t_req = bending.calc('t_req', 'l * sqrt((2 * f_p_max) / (0.9 * F_y))', { l, f_p_max, F_y: Fy }, { label: 'Required Thickness', units: 'in', decimals: 3 });
+        bending.value('t_p', tp, { label: 'Provided Thickness', units: 'in', decimals: 3 });
+
+        checks['Plate Bending'] = {
+            demand: tp, // Provided thickness
+            check: { Rn: t_req, phi: 1.0, omega: 1.0 }, // Use Rn as required thickness for ratio calc
+            details: { m, n, n_prime, X, lambda, l, t_req, f_p_max, Fy },
+            trace: bending.sections
+        };
+
+        // --- 3. Anchor Bolt Tension (ACI 318-19 Ch. 17) ---
+        const demandTrace = createTrace().section('Tension per Anchor');
+        let Tu_bolt = 0;
+        if (Pu > 0) { // Uplift
+            Tu_bolt = demandTrace.calc('T_u', 'P_u / n_t', { P_u: Pu, n_t: n_bolts_tension }, { label: 'Uplift per Anchor', units: 'kips' });
+        } else if (e > N / 6) { // Moment causing tension
+            const f = demandTrace.calc('f', 'N / 2 - d / 2', { N, d }, { label: 'Plate Center to Tension Anchors', units: 'in', note: 'approximate' });
+            Tu_bolt = demandTrace.calc('T_u', '(M_u * 12 - abs(P_u) * (N / 2 - Y / 3)) / (f * n_t)', { M_u: Mu, P_u: Pu, N, Y, f, n_t: n_bolts_tension }, { label: 'Tension per Anchor', units: 'kips' });
+        }
+
+        if (Tu_bolt > 0) {
+            // Steel Strength of Anchor in Tension (ACI 17.6.1)
+            const steel = createTrace();
+            steel.sections.push(...demandTrace.sections);
+            steel.section('Anchor Steel Tension', { ref: 'ACI 318-19 17.6.1' });
+            const Ab = steel.calc('A_b_N', 'pi * d_a ^ 2 / 4.0', { d_a: db }, { label: 'Anchor Area', units: 'in²', decimals: 3 });
+            const Nsa = steel.calc('N_sa', 'A_b_N * f_uta', { A_b_N: Ab, f_uta: Fut }, { label: 'Nominal Strength per Anchor', units: 'kips' });
+            strength(steel, { Rn: Nsa, phi: 0.75, omega: 2.00 });
+            checks['Anchor Steel Tension'] = { 
+                demand: Tu_bolt, 
+                check: { Rn: Nsa, phi: 0.75, omega: 2.00 },
+                details: { Ab, Fut },
+                trace: steel.sections
+            };
+
+            // Concrete Breakout Strength (ACI 17.6.2)
+            const breakout = createTrace().section('Anchor Concrete Breakout', { ref: 'ACI 318-19 17.6.2' });
+            const ANc = breakout.calc('A_Nc', '(1.5 * h_ef) * (1.5 * h_ef)', { h_ef: hef }, { units: 'in²', note: 'single anchor away from edges' }); // Simplified, assumes single anchor far from edges
+            const ANco = breakout.calc('A_Nco', '9 * h_ef * h_ef', { h_ef: hef }, { units: 'in²' });
+            const psi_ed_N = 1.0; // Simplified
+            const psi_c_N = breakout.value('psi_c_N', inputs.assume_cracked_concrete === 'true' ? 1.0 : 1.25, { note: inputs.assume_cracked_concrete === 'true' ? 'cracked' : 'uncracked' });
+            const psi_cp_N = 1.0; // Simplified
+            const k_c = 24; // Cast-in
+            const lambda_a = 1.0; // Normal weight concrete
+            // f'c is in ksi; Eq. 17.6.2.2.1 gives lb with f'c in psi, so the result is converted to kips.
+            const Nb = breakout.calc('N_b', "k_c * lambda_a * sqrt(f'_c * 1000) * h_ef ^ 1.5 / 1000", { k_c, lambda_a, "f'_c": fc, h_ef: hef }, { label: 'Basic Breakout Strength', units: 'kips' });
+            const Ncb_group = breakout.calc('N_cb', '(A_Nc / A_Nco) * psi_ed_N * psi_c_N * psi_cp_N * N_b', { A_Nc: ANc, A_Nco: ANco, psi_ed_N, psi_c_N, psi_cp_N, N_b: Nb }, { label: 'Breakout Strength per Anchor', units: 'kips' });
+            const Ncb = breakout.calc('R_n', 'N_cb * n_t', { N_cb: Ncb_group, n_t: n_bolts_tension }, { label: 'Total Nominal Strength', units: 'kips' }); // Total for the group
+            strength(breakout, { Rn: Ncb, phi: 0.65, omega: 2.31 });
+            checks['Anchor Concrete Breakout'] = { 
+                demand: Tu_bolt * n_bolts_tension, // Total demand on group
+                check: { Rn: Ncb, phi: 0.65, omega: 2.31 },
+                details: { Nb, Ncb_single: Ncb_group, ANc, ANco, psi_c_N, n_bolts_tension },
+                trace: breakout.sections
+            };
+        }
+
+        // --- 4. Anchor Bolt Shear (ACI 318-19 Ch. 17) ---
+        if (Vu > 0) {
+            const shear = createTrace().section('Anchor Steel Shear', { ref: 'ACI 318-19 17.7.1' });
+            const Vu_bolt = shear.calc('V_u', 'V / n_total', { V: Vu, n_total: inputs.num_bolts_total }, { label: 'Shear per Anchor', units: 'kips' });
+            const Ab = shear.calc('A_b_V', 'pi * d_a ^ 2 / 4.0', { d_a: db }, { label: 'Anchor Area', units: 'in²', decimals: 3 });
+            // Steel Strength of Anchor in Shear (ACI 17.7.1)
+            const Vsa = shear.calc('V_sa', '0.6 * A_b_V * f_uta', { A_b_V: Ab, f_uta: Fut }, { label: 'Nominal Strength per Anchor', units: 'kips', note: 'threads not excluded' }); // Assuming threads are NOT excluded
+            strength(shear, { Rn: Vsa, phi: 0.65, omega: 2.31 });
+            checks['Anchor Steel Shear'] = { demand: Vu_bolt, check: { Rn: Vsa, phi: 0.65, omega: 2.31 }, details: { Ab, Fut }, trace: shear.sections };
+        }
+
+        return { checks, inputs };
+    }
+
+    return { run };
+})();
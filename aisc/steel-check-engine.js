@@ -0,0 +1,1055 @@
+/**
+ * Member strength engine (AISC 360 Chapters D-H) for I-shapes, HSS, channels and angles.
+ */
+
+export const steelChecker = (() => {
+
+    function getSectionProperties(inputs) {
+        const { section_type } = inputs;
+
+        const propertyCalculators = {
+            'Manual Input': (i) => ({
+                type: 'I-Shape', Ag: i.Ag_manual, Ix: i.I_manual, Sx: i.Sx_manual, Zx: i.Zx_manual,
+                Iy: i.Iy_manual, Sy: i.Sy_manual, Zy: i.Zy_manual, ry: i.ry_manual,
+                rts: i.rts_manual, J: i.J_manual, Cw: i.Cw_manual, d: i.d,
+                bf: i.bf, tf: i.tf, tw: i.tw, h: i.d - 2 * i.tf, k_des: i.tf
+            }),
+            'I-Shape': (i) => {
+                const { d, bf, tf, tw } = i;
+                const Ag = 2 * bf * tf + (d - 2 * tf) * tw;
+                const Ix = (bf * d**3 / 12) - ((bf - tw) * (d - 2 * tf)**3 / 12);
+                const Sx = Ix / (d / 2);
+                const Zx = (bf * tf * (d - tf)) + (tw * (d - 2 * tf)**2 / 4);
+                const Iy = (2 * tf * bf**3 / 12) + ((d - 2 * tf) * tw**3 / 12);
+                const ry = Math.sqrt(Iy / Ag);
+                const h = d - 2 * tf;
+                const Sy = Iy / (bf / 2);
+                const Zy = (tf * bf**2 / 2) + (tw**3 * (d - 2*tf) / 4);
+                const J = (1/3) * (2 * bf * tf**3 + (d - 2 * tf) * tw**3);
+                const Cw = (Iy * h**2) / 4;
+                const rts = (Cw > 0 && Sx > 0) ? Math.sqrt(Math.sqrt(Iy * Cw) / Sx) : 0;
+                const rx = Math.sqrt(Ix / Ag);
+                return { type: 'I-Shape', Ag, Ix, Sx, Zx, Iy, Sy, Zy, ry, rts, J, Cw, d, bf, tf, tw, h, rx, k_des: i.k_des };
+            },
+            'Rectangular HSS': (i) => {
+                const { d: H, bf: B, tf: t } = i;
+                const Ag = 2 * t * (H + B - 2 * t);
+                const Ix = (B * H**3 / 12) - ((B - 2*t) * (H - 2*t)**3 / 12);
+                const Zx = (B * H**2 / 4) - ((B - 2*t) * (H - 2*t)**2 / 4);
+                const Sx = Ix / (H / 2);
+                const Iy = (H * B**3 / 12) - ((H - 2*t) * (B - 2*t)**3 / 12);
+                const ry = Math.sqrt(Iy / Ag);
+                const Sy = Iy / (B / 2);
+                const Zy = (H * B**2 / 4) - ((H - 2*t) * (B - 2*t)**2 / 4);
+                const h = H - 2 * t;
+                const rx = Math.sqrt(Ix / Ag);
+                return { type: 'Rectangular HSS', Ag, Ix, Sx, Zx, Iy, Sy, Zy, ry, h, d: H, tw: t, tf: t, bf: B, rx, k_des: i.k_des };
+            },
+            'HSS/Pipe (Circular)': (i) => {
+                const { d: OD, bf: t } = i; // bf is used for thickness in UI
+                const ID = OD - 2 * t;
+                const Ag = (Math.PI / 4) * (OD**2 - ID**2);
+                const Ix = (Math.PI / 64) * (OD**4 - ID**4);
+                const Sx = Ix / (OD / 2);
+                const Zx = (OD**3 - ID**3) / 6;
+                const ry = Math.sqrt(Ix / Ag); // r = ry = rx
+                const J = (Math.PI / 32) * (OD**4 - ID**4);
+                const rx = ry;
+                return { type: 'HSS-round', Ag, Ix, Sx, Zx, Iy: Ix, Sy: Sx, Zy: Zx, ry, J, d: OD, tf: t, rx, k_des: i.k_des, bf: OD };
+            },
+            'channel': (i) => {
+                const { d, bf, tf, tw } = i;
+                const Ag = 2 * bf * tf + (d - 2 * tf) * tw;
+                const Ix = (bf * d**3 / 12) - ((bf - tw) * (d - 2 * tf)**3 / 12); // Approx
+                const x_bar = 0.7; // Placeholder for shear center, MUST be user input or from DB
+                const Iy = (2 * tf * bf**3 / 12) + ((d - 2 * tf) * tw**3 / 12) + Ag * x_bar**2; // Approx
+                const ry = Math.sqrt(Iy/Ag);
+                const rx = Math.sqrt(Ix/Ag);
+                return { type: 'channel', Ag, Ix, Iy, rx, ry, d, bf, tf, tw, x_bar, J: (1/3) * (2 * bf * tf**3 + (d - 2 * tf) * tw**3) };
+            },
+            'angle': (i) => {
+                const { d: L1, bf: L2, tf: t } = i; // d=long leg, bf=short leg, tf=thickness
+                const Ag = (L1 + L2 - t) * t;
+                return { type: 'angle', Ag, d: L1, bf: L2, tf: t, tw: t, J: (1/3)*(L1+L2)*t**3 };
+            }
+        };
+
+        const calculator = propertyCalculators[section_type];
+        return calculator ? calculator(inputs) : {};
+    }
+
+    function getDesignFactor(design_method, phi, omega) {
+        if (design_method === 'LRFD') return phi;
+        return 1 / omega; // ASD
+    }
+
+    function checkFlexure(props, inputs) {
+        const { type } = props;
+
+        const flexureCalculators = {
+            'I-Shape': (props, inputs) => {
+                const { Fy, E, Cb, Lb_input, aisc_standard } = inputs;
+                const { Zx, Sx, ry, rts, h, J, Cw, tw, bf, tf, d } = props;
+                const Lb = Lb_input * 12;
+                const factor = getDesignFactor(inputs.design_method, 0.9, 1.67);
+
+                const lambda_f = bf / (2 * tf);
+                const lambda_p_f = 0.38 * Math.sqrt(E / Fy);
+                const lambda_r_f = 1.0 * Math.sqrt(E / Fy);
+                const isFlangeCompact = lambda_f <= lambda_p_f;
+
+                const lambda_w = h / tw;
+                const lambda_p_w = 3.76 * Math.sqrt(E / Fy);
+                const lambda_r_w = 5.70 * Math.sqrt(E / Fy);
+                const isWebCompact = lambda_w <= lambda_p_w;
+                const isCompact = isFlangeCompact && isWebCompact;
+                const isWebSlender = lambda_w > lambda_r_w;
+
+                let Mp = Fy * Zx;
+                const Mn_yield = Mp;
+
+                const Lp = 1.76 * ry * Math.sqrt(E / Fy); // AISC Eq. F2-5
+                let Lr;
+                if (aisc_standard === '360-22') {
+                    const ho = d - tf;
+                    const term1 = J / (Sx * ho);
+                    Lr = 1.95 * rts * (E / (0.7 * Fy)) * Math.sqrt(term1 + Math.sqrt(Math.pow(term1, 2) + 6.76 * Math.pow(0.7 * Fy / E, 2)));
+                } else {
+                    const ho = d - tf;
+                    const c = 1.0;
+                    const term_inside_sqrt = Math.pow(J * c / (Sx * ho), 2) + 6.76 * Math.pow(0.7 * Fy / E, 2);
+                    Lr = 1.95 * rts * (E / (0.7 * Fy)) * Math.sqrt(J * c / (Sx * ho) + Math.sqrt(term_inside_sqrt));
+                }
+
+                let Mn_ltb;
+                if (Lb <= Lp) Mn_ltb = Mp;
+                else if (Lb <= Lr) Mn_ltb = Math.min(Mp, Cb * (Mp - (Mp - 0.7 * Fy * Sx) * ((Lb - Lp) / (Lr - Lp))));
+                else {
+                    const ho = d - tf;
+                    const c = 1.0;
+                    const Fcr = (Cb * Math.PI ** 2 * E) / Math.pow(Lb / rts, 2) * Math.sqrt(1 + 0.078 * (J * c / (Sx * ho)) * Math.pow(Lb / rts, 2));
+                    Mn_ltb = Math.min(Fcr * Sx, Mp);
+                }
+
+                const My = Fy * Sx;
+                const kc = 4 / Math.sqrt(h / tw);
+                const kc_lim = Math.max(0.35, Math.min(0.76, kc));
+                const lambda_r_f_kc = 0.95 * Math.sqrt(E / (kc_lim * Fy));
+                let Mn_flb;
+                if (isFlangeCompact) Mn_flb = Mp;
+                else if (lambda_f <= lambda_r_f_kc) Mn_flb = Mp - (Mp - 0.7 * Fy * Sx) * ((lambda_f - lambda_p_f) / (lambda_r_f_kc - lambda_p_f));
+                else Mn_flb = (0.9 * E * kc_lim) / Math.pow(lambda_f, 2) * Sx;
+
+                const Mn_wlb = checkWebLocalBuckling(props, inputs, Mp, My);
+                let Mn_cfy = Infinity;
+                let Rpg = 1.0;
+                if (isWebSlender) {
+                    Mn_cfy = checkSlenderWebFlexure(props, inputs, Mp, My);
+                    Mp = Math.min(Fy * Zx, Mn_cfy);
+                }
+
+                const limit_states = { 'Yielding (F2.1)': Mn_yield, 'Lateral-Torsional Buckling (F2.2)': Mn_ltb, 'Flange Local Buckling (F3)': Mn_flb, 'Web Local Buckling (F4)': Mn_wlb, 'Compression Flange Yielding (F5)': Mn_cfy };
+                const Mn = Math.min(...Object.values(limit_states));
+                const governing_limit_state = Object.keys(limit_states).find(key => limit_states[key] === Mn) || 'N/A';
+
+                return {
+                    phiMn_or_Mn_omega: (Mn * factor) / 12, isCompact, Mn, Lb, Lp, Lr, Rpg, governing_limit_state,
+                    reference: "AISC F2, F3, F4, F5",
+                    slenderness: { lambda_f, lambda_p_f, lambda_r_f, lambda_w, lambda_p_w, lambda_r_w }
+                };
+            },
+            'Rectangular HSS': (props, inputs) => {
+                const { Fy, E } = inputs;
+                const { Zx, Sx } = props;
+                const factor = getDesignFactor(inputs.design_method, 0.9, 1.67);
+
+                const h = props.d - 3 * props.tf;
+                const lambda = h / props.tf;
+                const lambda_p = 1.12 * Math.sqrt(E / Fy);
+                const lambda_r = 1.40 * Math.sqrt(E / Fy);
+                const isCompact = lambda <= lambda_p;
+                const slenderness = { lambda, lambda_p, lambda_r };
+
+                const Mp = Fy * Zx;
+                let Mn;
+                if (isCompact) Mn = Mp;
+                else if (lambda <= lambda_r) Mn = Mp - (Mp - Fy * Sx) * ((lambda - lambda_p) / (lambda_r - lambda_p));
+                else Mn = Fy * Sx; // Per F7.3, for slender sections, Mn = Fcr*Sx, where Fcr=Fy.
+
+                return { phiMn_or_Mn_omega: (Mn * factor) / 12, isCompact, Mn, slenderness, reference: "AISC F7" };
+            },
+            'HSS-round': (props, inputs) => {
+                const { Fy, E } = inputs;
+                const { Zx, Sx } = props;
+                const factor = getDesignFactor(inputs.design_method, 0.9, 1.67);
+
+                const lambda = props.d / props.tf;
+                const lambda_p = 0.07 * (E / Fy);
+                const lambda_r = 0.31 * (E / Fy);
+                const isCompact = lambda <= lambda_p;
+                const slenderness = { lambda, lambda_p, lambda_r };
+
+                const Mp = Fy * Zx;
+                let Mn;
+                if (isCompact) Mn = Mp;
+                else if (lambda <= lambda_r) Mn = ((0.021 * E) / lambda + Fy) * Sx;
+                else Mn = (0.33 * E) / lambda * Sx;
+                Mn = Math.min(Mn, Mp);
+
+                return { phiMn_or_Mn_omega: (Mn * factor) / 12, isCompact, Mn, slenderness, reference: "AISC F8" };
+            },
+            'angle': (props, inputs) => {
+                const { Fy, E, Lb_input } = inputs;
+                const { Sx, bf } = props;
+                const Lb = Lb_input * 12;
+                const factor = getDesignFactor(inputs.design_method, 0.9, 1.67);
+
+                const My = 1.5 * Fy * Sx;
+                const Mn_yield = My;
+
+                const Me = (0.46 * E * bf ** 2 * props.tf ** 2) / Lb;
+                let Mn_ltb;
+                if (Me <= My) Mn_ltb = Me;
+                else Mn_ltb = My * (1 - (0.15 * My / Me));
+
+                const Mn = Math.min(Mn_yield, Mn_ltb);
+                const governing_limit_state = Mn_yield < Mn_ltb ? 'Yielding (F10.1)' : 'LTB (F10.2)';
+                return { phiMn_or_Mn_omega: (Mn * factor) / 12, Mn, governing_limit_state, reference: "AISC F10" };
+            }
+        };
+        flexureCalculators['channel'] = flexureCalculators['I-Shape']; // Channels use the same logic as I-Shapes
+
+        const calculator = flexureCalculators[type];
+        return calculator ? calculator(props, inputs) : { phiMn_or_Mn_omega: 0 };
+    }
+
+    function checkFlexureMinorAxisComplete(props, inputs) {
+        const { Fy, E, Cb, Lb_input, K } = inputs;
+        const { Zy, Sy, Iy, J, Cw, d, bf, tf, tw, type } = props;
+        const Lb = Lb_input * 12; // to inches
+
+        const phi_b = 0.9;
+        const omega_b = 1.67;
+        const factor = getDesignFactor(inputs.design_method, phi_b, omega_b);
+
+        // Basic yielding capacity
+        const Mpy = Math.min(Fy * Zy, 1.6 * Fy * Sy); // AISC F6.1
+        let Mny = Mpy;
+        let governing_limit_state = 'Yielding (F6.1)';
+
+        if (type === 'I-Shape' || type === 'channel') {
+            // AISC F6 - Doubly symmetric I-shapes and channels bent about minor axis
+            // LTB doesn't apply for minor axis bending of doubly symmetric I-shapes
+            // Only flange local buckling needs to be checked
+            
+            const lambda = bf / (2 * tf);
+            const lambda_p = 0.38 * Math.sqrt(E / Fy);
+            const lambda_r = 1.0 * Math.sqrt(E / Fy);
+
+            if (lambda > lambda_p) {
+                // Flange local buckling
+                const My = Fy * Sy;
+                if (lambda <= lambda_r) {
+                    // Noncompact
+                    Mny = Mpy - (Mpy - My) * ((lambda - lambda_p) / (lambda_r - lambda_p));
+                    governing_limit_state = 'Flange Local Buckling (Noncompact, F6.2)';
+                } else {
+                    // Slender
+                    const Fcr = (0.69 * E) / (lambda * lambda);
+                    Mny = Fcr * Sy;
+                    governing_limit_state = 'Flange Local Buckling (Slender, F6.3)';
+                }
+            }
+            
+        } else if (type === 'angle') { // Not fully implemented in UI, but logic is here
+        } else if (type === 'Rectangular HSS') {
+            // Rectangular HSS minor axis bending - AISC F7
+            const lambda = (bf - 3 * tf) / tf;
+            const lambda_p = 1.12 * Math.sqrt(E / Fy);
+            const lambda_r = 1.40 * Math.sqrt(E / Fy);
+            
+            if (lambda > lambda_p) {
+                const My = Fy * Sy;
+                if (lambda <= lambda_r) {
+                    // Noncompact
+                    Mny = Mpy - (Mpy - My) * ((lambda - lambda_p) / (lambda_r - lambda_p));
+                    governing_limit_state = 'Wall Local Buckling (Noncompact, F7)';
+                } else {
+                    // Slender
+                    const Fcr = (0.69 * E) / (lambda * lambda);
+                    Mny = Fcr * Sy;
+                    governing_limit_state = 'Wall Local Buckling (Slender, F7)';
+                }
+            }
+        }
+
+        // Apply safety factor
+        const phiMny_or_Mny_omega = (Mny * factor) / 12; // to kip-ft
+        
+        return { phiMny_or_Mny_omega, Mny, governing_limit_state, reference: "AISC F6/F7" };
+    }
+
+    function checkCompression(props, inputs) {
+        // This is general for all doubly symmetric members, so it works for I-shapes and HSS
+        const { Fy, E, K, Lb_input, aisc_standard } = inputs;
+        const { Ag, ry, Ix, Iy, J, Cw, type, d, bf, tf, tw, h, x_bar } = props;
+        const Lc = K * Lb_input * 12; // to inches
+        const G = E / (2 * (1 + 0.3)); // Shear Modulus
+
+        const phi_c = 0.9;
+        const omega_c = 1.67;
+        const factor = getDesignFactor(inputs.design_method, phi_c, omega_c);
+
+        // Calculate reduction factor Q for slender elements (AISC E7)
+        let Q = 1.0;
+        if (type === 'I-Shape' || !type) {
+            // Flange (unstiffened)
+            const kc = 4 / Math.sqrt(h / tw);
+            const kc_lim = Math.max(0.35, Math.min(0.76, kc));
+            const lambda_f = bf / (2 * tf);
+            const lambda_r_f = 0.64 * Math.sqrt(kc_lim * E / Fy);
+            let Qs = 1.0;
+            if (lambda_f > lambda_r_f) {
+                Qs = 0.90 * E * kc_lim / (Fy * lambda_f**2);
+            }
+            
+            // Web (stiffened)
+            const lambda_w = h / tw;
+            const lambda_r_w = 1.49 * Math.sqrt(E / Fy);
+            let Qa = 1.0;
+            if (lambda_w > lambda_r_w) {
+                const term = Math.sqrt(E / Fy);
+                const be = 1.92 * tw * term * (1 - 0.34 / lambda_w * term);
+                Qa = Math.min(be / h, 1.0);
+            }
+            
+            Q = Qs * Qa;
+        } else if (type === 'Rectangular HSS') {
+            const hss_local = checkHSSLocalBuckling(props, inputs); // This function needs to be defined or integrated
+            Q = hss_local.reduction_factor || 1.0;
+        } else if (type === 'HSS-round') {
+            const lambda = d / tf;
+            const lambda_r = 0.11 * E / Fy;
+            const lambda_max = 0.45 * E / Fy;
+            if (lambda <= lambda_r) {
+                Q = 1.0;
+            } else if (lambda <= lambda_max) {
+                Q = 0.038 * E / (Fy * lambda) + 2/3;
+            } else {
+                Q = 0.33 * E / (Fy * lambda**2);
+            }
+        }
+
+        let Fe, buckling_mode;
+
+        // Per AISC E4, determine the governing elastic buckling stress Fe
+        const rx = props.rx || Math.sqrt(Ix / Ag);
+        const slenderness_x = (Lc / rx);
+        const slenderness_y = (Lc / ry);
+        const Fey = (Math.PI**2 * E) / (slenderness_y**2); // Minor axis typically governs flexural
+
+        if (type === 'I-Shape' || type === 'Rectangular HSS' || type === 'HSS-round' || !type) { // Doubly symmetric
+            const Kz = K; // Assume same as flexural K for torsional
+            const Lz = Lb_input * 12;
+            const Fez_num = (Math.PI**2 * E * Cw) / ((Kz * Lz)**2) + (G * J);
+            const Fez_den = Ix + Iy;
+            const Fez = Fez_num / Fez_den;
+            
+            const Fex = (Math.PI**2 * E) / (slenderness_x**2);
+            const Fe_flex = Math.min(Fex, Fey);
+            
+            if (Fe_flex <= Fez) {
+                Fe = Fe_flex;
+                buckling_mode = 'Flexural Buckling (E3)';
+            } else {
+                Fe = Fez;
+                buckling_mode = 'Torsional Buckling (E4)';
+            }
+        } else if (type === 'channel' || type === 'angle') { // Singly symmetric
+            const rx = props.rx || Math.sqrt(Ix / Ag);
+            const Fex = (Math.PI**2 * E) / Math.pow(Lc / rx, 2);
+            const Fey = (Math.PI**2 * E) / Math.pow(Lc / ry, 2);
+            
+            // Shear center coords relative to centroid. For channel, yo=0. For angle, both are non-zero.
+            const xo = x_bar || 0; // Use property if available, else 0
+            const yo = 0; // Placeholder for angle
+            const ro_sq = xo**2 + yo**2 + (Ix + Iy)/Ag;
+            
+            const H = 1 - (xo**2 + yo**2)/ro_sq;
+            const Lcz = Lc; // Torsional length taken equal to the flexural Lc
+            const Fez = ( (Math.PI**2 * E * (Cw || 0)) / (Lcz**2) + G*J ) / (Ag * ro_sq); // Cw omitted when unknown (conservative)
+
+            // Root of quadratic equation for Fe (AISC E4-4)
+            Fe = ((Fex + Fez) / (2*H)) * (1 - Math.sqrt(1 - (4*Fex*Fez*H) / (Fex+Fez)**2));
+            buckling_mode = 'Flexural-Torsional Buckling (E4)';
+        } else { // Unsymmetric (or other)
+            Fe = Fey; // Default to weak axis flexural buckling
+            buckling_mode = 'Flexural Buckling (E3) - FTB not implemented for this shape';
+        }
+
+        const Fyr = Q * Fy; // Effective yield for slender elements
+        const Fcr_ratio = Fyr / Fe;
+
+        let Fcr;
+        if (Fcr_ratio <= 2.25) {
+            Fcr = Math.pow(0.658, Fcr_ratio) * Fyr;
+        } else {
+            Fcr = 0.877 * Fe;
+        }
+
+        const Pn = Fcr * Ag;
+        const phiPn_or_Pn_omega = Pn * factor;
+        
+        return {
+            phiPn_or_Pn_omega: phiPn_or_Pn_omega, // in kips
+            Pn, Fcr, Fe, buckling_mode, Q,
+            reference: "AISC E3, E4, E7"
+        };
+    }
+
+    function checkTension(props, inputs) {
+        const { Fy, Fu } = inputs;
+        const { Ag } = props;
+
+        // Limit State 1: Yielding on Gross Section (AISC D2a)
+        const Pn_yield = Fy * Ag;
+        const phi_ty = 0.90;
+        const omega_ty = 1.67;
+        const factor_yield = getDesignFactor(inputs.design_method, phi_ty, omega_ty);
+        const cap_yield = Pn_yield * factor_yield;
+
+        // Limit State 2: Rupture on Net Section (AISC D2b)
+        // Assuming full beam analysis, An = Ag and U = 1.0
+        const An_net = Ag;
+        const Ae = 1.0 * An_net;
+        const Pn_rupture = Fu * Ae;
+        const phi_tr = 0.75;
+        const omega_tr = 2.00;
+        const factor_rupture = getDesignFactor(inputs.design_method, phi_tr, omega_tr);
+        const cap_rupture = Pn_rupture * factor_rupture;
+
+        const governing_capacity = Math.min(cap_yield, cap_rupture);
+        const governing_limit_state = cap_yield < cap_rupture ? 'Yielding' : 'Rupture';
+
+        return {
+            phiPn_or_Pn_omega: governing_capacity, // in kips
+            governing_limit_state,
+            reference: "AISC D2",
+            details: { 
+                yield: { Pn: Pn_yield, capacity: cap_yield },
+                rupture: { Pn: Pn_rupture, capacity: cap_rupture, Ae }
+            }
+        };
+    }
+
+    function checkShear(props, inputs) {
+        if (props.type === 'I-Shape' || props.type === 'channel') return checkShear_IShape(props, inputs);
+        if (props.type === 'Rectangular HSS' || props.type === 'HSS-round') return checkShear_HSS(props, inputs);
+        return { phiVn_or_Vn_omega: 0 };
+    }
+
+    function checkShear_IShape(props, inputs) {
+        const { Fy, E, aisc_standard } = inputs;
+        const { d, tw, h } = props;
+        const Aw = d * tw;
+        
+        const phi_v = 0.9; // for I-shapes
+        const omega_v = 1.67;
+        const factor = getDesignFactor(inputs.design_method, phi_v, omega_v);
+        const h_tw = h / tw;
+        const kv = 5.34; // for unstiffened webs; user may adjust for stiffened if UI added
+        
+        let Vn, Cv, governing_limit_state;
+
+        if (aisc_standard === '360-22') { // AISC 360-22 Section G2.1
+            if (h_tw <= 2.24 * Math.sqrt(E / Fy)) {
+                Cv = 1.0;
+            } else if (h_tw <= 1.51 * Math.sqrt(kv * E / Fy)) {
+                Cv = (2.24 * Math.sqrt(E / Fy)) / h_tw;
+                governing_limit_state = 'Inelastic Web Buckling (G2-2)';
+            } else {
+                Cv = (1.51 * kv * E) / (Fy * h_tw * h_tw);
+                governing_limit_state = 'Elastic Web Buckling (G2-3)';
+            }
+            Vn = 0.6 * Fy * Aw * Cv;
+        } else { // AISC 360-16
+            const C_v1_limit = 2.24 * Math.sqrt(E / Fy);
+            if (h_tw <= C_v1_limit) {
+                Cv = 1.0;
+                governing_limit_state = 'Shear Yielding (G2-1)';
+            } else {
+                const C_v2_limit = 1.37 * Math.sqrt(kv * E / Fy);
+                if (h_tw <= C_v2_limit) {
+                    Cv = C_v1_limit / h_tw;
+                    governing_limit_state = 'Inelastic Web Buckling (G2-2)';
+                } else {
+                    Cv = (1.51 * E * kv) / (h_tw**2 * Fy);
+                    governing_limit_state = 'Elastic Web Buckling (G2-3)';
+                }
+            }
+            Vn = 0.6 * Fy * Aw * Cv;
+        }
+        
+        const phiVn_or_Vn_omega = Vn * factor;
+        return {
+            phiVn_or_Vn_omega: phiVn_or_Vn_omega, // in kips
+            Vn, Cv, h_tw, governing_limit_state,
+            reference: "AISC G2"
+        };
+    }
+
+    function checkShear_HSS(props, inputs) {
+        const { Fy, E } = inputs;
+        const phi_v = inputs.section_type === 'Rectangular HSS' ? 0.9 : 1.0; // G6 uses phi=1.0
+        const omega_v = 1.67;
+        const factor = getDesignFactor(inputs.design_method, phi_v, omega_v);
+
+        let Vn, Cv = 1.0, h_tw = 0, Aw, governing_limit_state;
+
+        if (inputs.section_type === 'Rectangular HSS') {
+            // G5: Clear distance between webs
+            const h = props.d - 3 * props.tf; // Per AISC G5 commentary
+            h_tw = h / props.tf; // h/t
+            const kv = 5.0; // For unstiffened webs
+            
+            // Shear area - both webs contribute  
+            Aw = 2 * props.tf * props.d; // Total shear area
+            
+            const limit1 = 2.24 * Math.sqrt(E / Fy);
+            const limit2 = 1.40 * Math.sqrt(kv * E / Fy);
+            
+            if (h_tw <= limit1) {
+                // G5-2a: Shear yielding
+                Cv = 1.0;
+                governing_limit_state = 'Shear Yielding (G5-2a)';
+            } else if (h_tw <= limit2) {  
+                // G5-2b: Inelastic buckling
+                Cv = limit1 / h_tw;
+                governing_limit_state = 'Inelastic Web Buckling (G5-2b)';
+            } else {
+                // G5-3: Elastic buckling  
+                Cv = (1.51 * kv * E) / (Fy * h_tw * h_tw);
+                governing_limit_state = 'Elastic Web Buckling (G5-3)';
+            }
+            Vn = 0.6 * Fy * Aw * Cv;
+        } else { // Round HSS
+            // AISC G6 - Shear for Circular HSS
+            const D_t = props.d / props.tf;
+            const Fcr_yield = 0.6 * Fy;
+            const Fcr_buckling1 = (1.60 * E) / (Math.sqrt(D_t) * Math.pow(D_t, 5/4));
+            const Fcr_buckling2 = (0.78 * E) / Math.pow(D_t, 3/2);
+            const Fcr = Math.min(Math.max(Fcr_buckling1, Fcr_buckling2), Fcr_yield);
+            
+            if (Fcr < Fcr_yield) {
+                governing_limit_state = 'Shear Buckling (G6)';
+            } else {
+                governing_limit_state = 'Shear Yielding (G6)';
+            }
+            Vn = Fcr * (props.Ag / 2);
+        }
+        const phiVn_or_Vn_omega = Vn * factor;
+        return { phiVn_or_Vn_omega: phiVn_or_Vn_omega, Vn, Cv, h_tw, governing_limit_state, reference: "AISC G5, G6" }; // to kips
+    }
+
+    function calculateB1Factor(inputs, props, axis) {
+        const { K, Lb_input, E, design_method, Pu_or_Pa, Cm } = inputs;
+        const { Ag, Ix, Iy, ry } = props; // Ix for major, Iy for minor
+        
+        const L = Lb_input * 12; // inches
+        const rx = Math.sqrt(Ix / Ag);
+        const r = axis === 'x' ? rx : ry;
+        
+        // C2-1: Required axial strength
+        const Pr = Math.abs(Pu_or_Pa);
+        if (Pr === 0) return 1.0;
+        
+        // Pe calculation with safety check
+        const Pe_num = Math.PI**2 * E * (axis === 'x' ? Ix : Iy);
+        const Pe_denominator = Math.pow(K * L, 2);
+        if (Pe_denominator === 0) return 1.0;
+        const Pe = Pe_num / Pe_denominator;
+        if (Pe <= 0) return 10.0; // Instability
+        
+        // C2-3 with proper alpha and safety checks
+        const alpha = design_method === 'LRFD' ? 1.0 : 1.6;
+        const ratio = (alpha * Pr) / Pe;
+        
+        // Check for instability
+        if (ratio >= 1.0 || (1.0 - ratio) <= 0) {
+            console.warn(`B1 factor indicates potential instability: α*Pr/Pe = ${ratio.toFixed(3)}`);
+            return 10.0; // Large but finite to avoid infinity
+        }
+        const B1 = Cm / (1.0 - ratio);
+        
+        return Math.max(B1, 1.0); // B1 >= 1.0
+    }
+
+    function checkInteraction(inputs, props, comp_results, flex_results_x, flex_results_y) {
+        const { Pu_or_Pa, Mux_or_Max, Muy_or_May, design_method } = inputs;
+        
+        const Pr = Math.abs(Pu_or_Pa);
+        const Mrx = Math.abs(Mux_or_Max);
+        const Mry = Math.abs(Muy_or_May);
+        
+        const Pc = comp_results.phiPn_or_Pn_omega;
+        const Mcx = flex_results_x.phiMn_or_Mn_omega;
+        const Mcy = flex_results_y.phiMny_or_Mny_omega || 0;
+        
+        // AISC H1.1
+        const B1x = calculateB1Factor(inputs, props, 'x');
+        const B1y = calculateB1Factor(inputs, props, 'y');
+        
+        let ratio, equation;
+        const pr_pc = Pc > 0 ? Pr / Pc : 0;
+        
+        if (pr_pc >= 0.2) {
+            // H1-1a
+            ratio = pr_pc + (8.0/9.0) * ((B1x * Mrx / Mcx) + (B1y * Mry / Mcy));
+            equation = 'H1-1a';
+        } else {
+            // H1-1b  
+            ratio = (pr_pc / 2.0) + ((B1x * Mrx / Mcx) + (B1y * Mry / Mcy));
+            equation = 'H1-1b';
+        }
+        
+        return { 
+            ratio, 
+            equation, 
+            reference: "AISC H1.1",
+            details: { B1x, B1y }
+        };
+    }
+
+    function checkShearTorsionInteraction(props, inputs, shear_results, torsion_results) {
+        if (inputs.Tu_or_Ta === 0 || !torsion_results) {
+            return { applicable: false };
+        }
+
+        const Vr = Math.abs(inputs.Vu_or_Va);
+        const Tr = Math.abs(inputs.Tu_or_Ta);
+        const Vc = shear_results.phiVn_or_Vn_omega;
+        const Tc = torsion_results.phiTn_or_Tn_omega;
+
+        let ratio;
+        if (inputs.section_type === 'Rectangular HSS' || inputs.section_type === 'HSS-round') {
+            // H3.2 for HSS: Square root interaction
+            ratio = Math.sqrt(Math.pow(Vc > 0 ? Vr / Vc : 0, 2) + Math.pow(Tc > 0 ? Tr / Tc : 0, 2));
+        } else {
+            // For non-HSS (e.g., I-shapes), keep linear as simplified per DG9 approximation
+            ratio = (Vc > 0 ? Vr / Vc : 0) + (Tc > 0 ? Tr / Tc : 0);
+        }
+
+        return { applicable: true, ratio, reference: "AISC H3.2 (HSS) or DG9 Approx (non-HSS)" };
+    }
+
+    function checkCombinedStressH33(props, inputs, torsion_results) {
+        if (inputs.section_type !== 'I-Shape' || inputs.Tu_or_Ta === 0 || !torsion_results.details) {
+            return { applicable: false };
+        }
+    
+        const { Fy, design_method, Pu_or_Pa, Mux_or_Max, Muy_or_May, Vu_or_Va } = inputs;
+        const { Ag, Sx, Sy, tw, d } = props;
+        const { sigma_w, tau_sv } = torsion_results.details;
+
+        // Required stresses
+        const fa = Math.abs(Pu_or_Pa) / Ag;
+        const fbx = Math.abs(Mux_or_Max) * 12 / Sx;
+        const fby = Math.abs(Muy_or_May) * 12 / Sy;
+        const fv = Math.abs(Vu_or_Va) / (d * tw); // Approx. shear stress on web
+
+        // Total stresses at critical point (flange-web junction)
+        const total_normal_stress = fa + fbx + fby + sigma_w;
+        const total_shear_stress = fv + tau_sv;
+
+        let ratio;
+        let capacity;
+        if (design_method === 'LRFD') {
+            // H3-6a: (fa + fb)^2 + 3(fv + fvt)^2 <= (phi*Fy)^2
+            const phi = 0.90;
+            capacity = phi * Fy;
+            const required_stress = Math.sqrt(Math.pow(total_normal_stress, 2) + 3 * Math.pow(total_shear_stress, 2));
+            ratio = required_stress / capacity;
+        } else { // ASD
+            // H3-6b: sqrt((fa + fb)^2 + 3(fv + fvt)^2) <= Fy/Omega
+            const Omega = 1.67;
+            capacity = Fy / Omega;
+            const required_stress = Math.sqrt(Math.pow(total_normal_stress, 2) + 3 * Math.pow(total_shear_stress, 2));
+            ratio = required_stress / capacity;
+        }
+
+        return {
+            applicable: true,
+            ratio,
+            reference: "AISC H3.3",
+            details: {
+                total_normal_stress,
+                total_shear_stress,
+                capacity
+            }
+        };
+    }
+
+    function checkTorsionComplete(props, inputs) {
+        const { Tu_or_Ta, Fy, E, Lb_input, design_method } = inputs;
+        const { J, Cw, d, tf, type, Ag } = props;
+        
+        if (Tu_or_Ta === 0) return { applicable: false };
+
+        if (type === 'HSS-round' || type === 'Rectangular HSS') {
+            return checkTorsion_HSS(props, inputs);
+        }
+        
+        if (type !== 'I-Shape' && type !== 'channel') {
+            return { 
+                applicable: true, 
+                phiTn_or_Tn_omega: 0, 
+                governing_limit_state: 'Not Implemented', 
+                reference: 'N/A',
+                details: { sigma_w: 0, tau_sv: 0, beta: 0 }
+            };
+        }
+
+        // --- Torsion for Open Sections (I-Shape, Channel) ---
+        // This is a complex check based on DG9 and Chapter H.
+        // The following is an enhanced approximation.
+
+        const G = E / (2 * (1 + 0.3)); // Shear modulus
+        const L = Lb_input * 12; // inches
+        const alpha = Math.sqrt(G * J / (E * Cw));
+        const beta = alpha * L;
+        
+        const phi_T = 0.9;
+        const omega_T = 1.67;
+        const factor = getDesignFactor(inputs.design_method, phi_T, omega_T);
+        
+        // Assume uniform distributed torque m = Tu_or_Ta / L (kip-in per in)
+        const m = Tu_or_Ta / L;
+        
+        // Approximate max warping normal stress (enhanced from DG9 approximations)
+        const Wns = (props.bf * (d - tf)) / 4; // Warping statical moment at flange tip
+        const sigma_w = (E * Wns * Tu_or_Ta) / (E * Cw * alpha**2 * Math.cosh(alpha * L / 2)); // Simplified for midspan of fixed-end
+
+        // St. Venant shear stress (max at surface)
+        const tau_sv = (G * tf * Tu_or_Ta) / (J * alpha * Math.cosh(alpha * L / 2)); // Simplified
+        
+        const tau_y = 0.6 * Fy;
+        
+        // Nominal Torsional Strength per H3.1
+        // T_n is the lesser of torsional yielding or torsional buckling
+        const Tn_yield = tau_y * J; // Simplified, should be based on stress state
+        const Tn_buckling = (sigma_w > 0.7 * Fy) ? (0.7 * Fy * Cw) / Wns : Infinity; // Simplified buckling check
+        const Tn = Math.min(Tn_yield, Tn_buckling);
+        
+        return {
+            applicable: true,
+            phiTn_or_Tn_omega: Tn * factor,
+            governing_limit_state: Tn_buckling < Tn_yield ? 'Warping Buckling' : 'Torsional Yielding',
+            Tn,
+            details: { sigma_w, tau_sv, beta },
+            reference: "AISC Design Guide 9 (enhanced with warping stress check)"
+        };
+    }
+
+    function checkTorsion_HSS(props, inputs) {
+        const { Tu_or_Ta, Fy, E, design_method } = inputs;
+        const { type, d, bf, tf, Ag } = props;
+
+        const phi_T = 0.9;
+        const omega_T = 1.67;
+        const factor = getDesignFactor(design_method, phi_T, omega_T);
+
+        let Tn, governing_limit_state;
+
+        if (type === 'Rectangular HSS') {
+            // AISC H3.2 for Rectangular HSS
+            const h = d - 3 * tf;
+            const b = bf - 3 * tf;
+            const C = 2 * (h + b) * tf; // Torsional constant from shear flow
+            const Fcr_yield = 0.6 * Fy;
+            // Buckling check (simplified)
+            const h_t = h / tf;
+            const Fcr_buckling = (h_t > 2.45 * Math.sqrt(E/Fy)) ? (0.6 * Fy * (2.45 * Math.sqrt(E/Fy)) / h_t) : Fcr_yield;
+            const Fcr = Math.min(Fcr_yield, Fcr_buckling);
+            Tn = Fcr * C;
+            governing_limit_state = Fcr < Fcr_yield ? 'Torsional Buckling (H3)' : 'Torsional Yielding (H3)';
+        } else { // HSS-round
+            // AISC H3.1 for Round HSS
+            const D_t = d / tf;
+            const Fcr_yield = 0.6 * Fy;
+            const Fcr_buckling1 = (1.23 * E) / (Math.sqrt(D_t) * Math.pow(D_t, 5/4));
+            const Fcr_buckling2 = (0.60 * E) / Math.pow(D_t, 3/2);
+            const Fcr = Math.min(Math.max(Fcr_buckling1, Fcr_buckling2), Fcr_yield);
+            const C = (Math.PI * (d - tf)**2 * tf) / 2; // Torsional constant
+            Tn = Fcr * C;
+            governing_limit_state = Fcr < Fcr_yield ? 'Torsional Buckling (H3)' : 'Torsional Yielding (H3)';
+        }
+
+        return { applicable: true, phiTn_or_Tn_omega: Tn * factor, governing_limit_state, reference: "AISC H3", details: { sigma_w: 0, tau_sv: 0, beta: 0 } };
+    }
+
+    function checkWebCrippling(props, inputs) {
+        const { Fy, E, lb_bearing, is_end_bearing, k_des } = inputs;
+        const { d, tf, tw } = props;
+
+        const phi = 0.75;
+        const omega = 2.00;
+        const factor = getDesignFactor(inputs.design_method, phi, omega);
+
+        // --- Web Local Yielding (AISC J10.2) ---
+        const N_lb = lb_bearing;
+        const k_dist = is_end_bearing ? 2.5 * k_des : 5 * k_des;
+        const Rn_yield = (N_lb + k_dist) * Fy * tw;
+
+        // --- Web Local Crippling (AISC J10.3) ---
+        let Rn_crippling;
+        const common_term = Math.sqrt((E * Fy * tf) / tw);
+
+        if (is_end_bearing) {
+            // Eq. J10-4
+            if ((N_lb / d) <= 0.2) {
+                Rn_crippling = 0.80 * tw**2 * (1 + 3 * (N_lb / d) * (tw / tf)**1.5) * common_term;
+            } else {
+                Rn_crippling = 0.80 * tw**2 * (1 + (3 * N_lb / d - 0.2) * (tw / tf)**1.5) * common_term;
+            }
+        } else { // Interior load
+            // Eq. J10-5
+            if ((N_lb / d) <= 0.2) {
+                Rn_crippling = 0.40 * tw**2 * (1 + 3 * (N_lb / d) * (tw / tf)**1.5) * common_term;
+            } else {
+                Rn_crippling = 0.40 * tw**2 * (1 + (2.4 * N_lb / d - 0.2) * (tw / tf)**1.5) * common_term;
+            }
+        }
+
+        const Rn = Math.min(Rn_yield, Rn_crippling);
+        const governing_state = Rn_yield < Rn_crippling ? 'Web Local Yielding (J10.2)' : 'Web Local Crippling (J10.3)';
+
+        return {
+            phiRn_or_Rn_omega: Rn * factor, // in kips
+            reference: "AISC J10.2 & J10.3",
+            governing_state,
+            details: { Rn_yield, Rn_crippling, N_lb, k_des }
+        };
+    }
+
+    function checkSlenderWebFlexure(props, inputs, Mp, My) {
+        const { Fy, E } = inputs;
+        const { h, tw, bf, tf, Sx } = props;
+
+        const lambda_w = h / tw;
+        const lambda_r_w = 5.70 * Math.sqrt(E / Fy);
+
+        // F5-6: Web plastification factor
+        const aw = (h * tw) / (bf * tf);
+        let Rpg;
+
+        const term = (lambda_w - lambda_r_w);
+        if (aw <= 10) {
+            // F5-6a
+            Rpg = 1.0 - (aw / (1200 + 300 * aw)) * term;
+        } else {
+            // F5-6b
+            Rpg = 1.0 - (aw / (1200 + 300 * aw)) * term;
+        }
+        
+        Rpg = Math.max(Rpg, 0.0);
+        
+        // F5-1: Compression flange yielding
+        return Rpg * Fy * Sx;
+    }
+
+    function checkWebLocalBuckling(props, inputs, Mp, My) {
+        const { Fy, E } = inputs;
+        const { h, tw, bf, tf } = props;
+        
+        const lambda_w = h / tw;
+        const lambda_p_w = 3.76 * Math.sqrt(E / Fy);
+        const lambda_r_w = 5.70 * Math.sqrt(E / Fy);
+        
+        if (lambda_w <= lambda_p_w) {
+            return Mp;
+        } else if (lambda_w <= lambda_r_w) {
+            // Noncompact web - F4.1
+            const aw = (h * tw) / (bf * tf); // Web area / compression flange area
+            
+            let Rpc;
+            if (aw <= 10) {
+                Rpc = Mp / My; // F4-9a
+            } else {
+                Rpc = (Mp / My) - ((Mp / My) - 1.0) * ((lambda_w - lambda_p_w) / (lambda_r_w - lambda_p_w)); // F4-9b corrected
+            }
+            
+            // F4-1: Noncompact web strength
+            const ratio = (lambda_w - lambda_p_w) / (lambda_r_w - lambda_p_w);
+            return Rpc * (Mp - (Mp - 0.7 * Fy * props.Sx) * ratio);
+            
+        } else {
+            // Slender web - F5 provisions apply
+            return checkSlenderWebFlexure(props, inputs, Mp, My);
+        }
+    }
+
+    function checkHSSLocalBuckling(props, inputs) {
+        const { Fy, E } = inputs;
+        const { d, bf, tf, type } = props;
+        
+        if (type !== 'HSS') return { applicable: false };
+
+        // AISC Table B4.1a - Case 6 and 12
+        const h = d - 3 * tf; // Clear height
+        const b = bf - 3 * tf; // Clear width
+        const h_t = h / tf;
+        const b_t = b / tf;
+        
+        // Slenderness limits
+        const lambda_p = 1.12 * Math.sqrt(E / Fy); // Compact limit
+        const lambda_r = 1.40 * Math.sqrt(E / Fy); // Noncompact limit
+        
+        // Check flange local buckling
+        const flange_slender = b_t > lambda_r;
+        const flange_noncompact = b_t > lambda_p && b_t <= lambda_r;
+        const flange_compact = b_t <= lambda_p;
+        
+        // Check web local buckling  
+        const web_slender = h_t > lambda_r;
+        const web_noncompact = h_t > lambda_p && h_t <= lambda_r;
+        const web_compact = h_t <= lambda_p;
+        
+        // Reduction factors for slender elements
+        let Qs = 1.0; // Stiffened element reduction
+        let Qa = 1.0; // Unstiffened element reduction
+        
+        if (flange_slender) {
+            // AISC E7.2 - Unstiffened elements
+            const f = Fy; // Use Fy for compression
+            const kc = 4 / Math.sqrt(h_t); // Between 0.35 and 0.76
+            const kc_lim = Math.max(0.35, Math.min(0.76, kc));
+            
+            if (b_t > 1.03 * Math.sqrt(kc_lim * E / f)) {
+                Qs = (0.69 * E) / (f * Math.pow(b_t, 2));
+            } else {
+                Qs = 1.415 - 0.65 * b_t * Math.sqrt(f / (kc_lim * E));
+            }
+            Qs = Math.max(Qs, 0.0);
+        }
+        
+        if (web_slender) {
+            // AISC E7.2 - Stiffened elements
+            const f = Fy;
+            if (h_t > 1.49 * Math.sqrt(E / f)) {
+                Qa = (0.90 * E) / (f * Math.pow(h_t, 2));
+            } else {
+                Qa = 1.0;
+            }
+        }
+        
+        const Q = Qs * Qa; // Overall reduction factor
+        
+        return {
+            applicable: true,
+            flange: { b_t, lambda_p, lambda_r, compact: flange_compact, noncompact: flange_noncompact, slender: flange_slender },
+            web: { h_t, lambda_p, lambda_r, compact: web_compact, noncompact: web_noncompact, slender: web_slender },
+            reduction_factor: Q,
+            is_slender: flange_slender || web_slender,
+            reference: "AISC Table B4.1a, E7"
+        };
+    }
+
+    function validateInputs(inputs) {
+        const errors = [];
+        const warnings = [];
+        
+        // Basic validations
+        if (inputs.Fy <= 0 || inputs.Fy > 100) {
+            errors.push("Yield Strength (Fy) must be between 0 and 100 ksi.");
+        }
+        // Check for realistic steel grades
+        if (inputs.Fy < 36 || inputs.Fy > 80) {
+            warnings.push("Unusual steel grade. Verify Fy value.");
+        }
+
+        if (inputs.Fu <= inputs.Fy) {
+            errors.push("Ultimate Strength (Fu) must be greater than Fy.");
+        }
+        if (inputs.E <= 0 || inputs.E > 50000) {
+            errors.push("Modulus of Elasticity (E) should be around 29,000 ksi for steel.");
+        }
+        
+        // Geometry validations
+        if (inputs.d <= 0) errors.push("Section depth must be positive.");
+        if (inputs.tf <= 0) errors.push("Flange thickness must be positive.");
+        
+        // Load validations
+        if (Math.abs(inputs.Pu_or_Pa) > 10000) {
+            warnings.push("Very high axial load - verify units (kips expected).");
+        }
+        if (Math.abs(inputs.Mux_or_Max) > 10000) {
+            warnings.push("Very high moment - verify units (kip-ft expected).");
+        }
+        
+        return { errors, warnings };
+    }
+
+    function run(inputs) {
+        const { errors, warnings } = validateInputs(inputs);
+        if (errors.length > 0) return { errors, warnings };
+
+        const props = getSectionProperties(inputs);
+        
+        // Enhanced checks
+        // const hss_local_buckling = checkHSSLocalBuckling(props, inputs);
+        const flex_results_y = checkFlexureMinorAxisComplete(props, inputs);
+        const torsion_results = checkTorsionComplete(props, inputs);
+
+        let axial_results = {};
+        if (inputs.Pu_or_Pa > 0) { // Tension
+            axial_results = checkTension(props, inputs);
+            axial_results.type = 'Tension';
+        } else if (inputs.Pu_or_Pa < 0) { // Compression
+            axial_results = checkCompression(props, inputs);
+            axial_results.type = 'Compression';
+        }
+
+        const flex_results = checkFlexure(props, inputs);
+        const shear_results = checkShear(props, inputs);
+        const web_crippling_results = checkWebCrippling(props, inputs);
+        const combined_stress_H33 = checkCombinedStressH33(props, inputs, torsion_results);
+        const shear_torsion_interaction = checkShearTorsionInteraction(props, inputs, shear_results, torsion_results);
+
+        let interaction_results = {};
+        if (inputs.Pu_or_Pa < 0 && (inputs.Mux_or_Max !== 0 || inputs.Muy_or_May !== 0)) { // Interaction for compression + moment
+            interaction_results = checkInteraction(inputs, props, axial_results, flex_results, flex_results_y);
+        }
+
+        // Deflection Check (Serviceability)
+        let deflection_results = {};
+        if (inputs.deflection_span > 0 && inputs.deflection_limit > 0) {
+            const L_span_in = inputs.deflection_span * 12; // Convert ft to inches
+            const actual_deflection = inputs.actual_deflection_input;
+            const allowable_deflection = L_span_in / inputs.deflection_limit;
+
+            deflection_results = {
+                actual: actual_deflection,
+                allowable: allowable_deflection,
+                ratio: allowable_deflection > 0 ? actual_deflection / allowable_deflection : Infinity
+            };
+        }
+
+        return {
+            inputs,
+            properties: props,
+            warnings,
+            // hss_local_buckling,
+            flexure: flex_results,
+            flexure_y: flex_results_y,
+            shear: shear_results,
+            axial: axial_results,
+            web_crippling: web_crippling_results,
+            interaction: interaction_results,
+            combined_stress_H33,
+            shear_torsion_interaction,
+            torsion: torsion_results,
+            deflection: deflection_results
+        };
+    }
+    return { run };
+})(); // steelChecker
@@ -1,18 +1,9 @@
+import { comboLoadCalculator } from './combos-engine.js';
+import { inputSchemas, schemaInputIds } from '../js/input-schemas.js';
+
 let lastComboRunResults = null;
 
-const comboInputIds = [
-    'combo_asce_standard', 'combo_jurisdiction', 'combo_design_method', 'combo_input_load_level', 'combo_unit_system',
-    'combo_dead_load_d', 'combo_live_load_l', 'combo_roof_live_load_lr', 'combo_rain_load_r', 'combo_balanced_snow_load_sb',
-    'combo_unbalanced_windward_snow_load_suw', 'combo_unbalanced_leeward_snow_load_sul', 'combo_drift_surcharge_sd',
-    // New wind load input IDs
-    'combo_wind_wall_ww_max', 'combo_wind_wall_ww_min',
-    'combo_wind_wall_lw_max', 'combo_wind_wall_lw_min',
-    'combo_wind_roof_ww_max', 'combo_wind_roof_ww_min',
-    'combo_wind_roof_lw_max', 'combo_wind_roof_lw_min',
-    'combo_wind_cc_max', 'combo_wind_cc_min',
-    'combo_wind_cc_wall_max', 'combo_wind_cc_wall_min',
-    'combo_seismic_load_e'
-];
+const comboInputIds = schemaInputIds(inputSchemas.combos);
 
 document.addEventListener('DOMContentLoaded', () => {
     
@@ -35,16 +26,14 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         initializeSharedUI();
-        const handleSaveComboInputs = createSaveInputsHandler(comboInputIds, 'combo-inputs.txt');
-        const handleLoadComboInputs = createLoadInputsHandler(comboInputIds);
+        const handleSaveComboInputs = createSaveInputsHandler(inputSchemas.combos, 'combo-inputs.json');
+        const handleLoadComboInputs = createLoadInputsHandler(inputSchemas.combos);
 
         document.getElementById('run-combo-calculation-btn').addEventListener('click', handleRunComboCalculation);
         document.getElementById('save-combo-inputs-btn').addEventListener('click', handleSaveComboInputs);
         document.getElementById('load-combo-inputs-btn').addEventListener('click', () => initiateLoadInputsFromFile('combo-file-input')); // initiateLoad is already generic
         document.getElementById('combo-file-input').addEventListener('change', handleLoadComboInputs);
 
-        // Removed automatic calculation on input change - now only runs when button is clicked
-        
         document.body.addEventListener('click', async (event) => {
             const copyBtn = event.target.closest('.copy-section-btn');
             if (copyBtn) {
@@ -57,6 +46,15 @@ document.addEventListener('DOMContentLoaded', () => {
             if (event.target.id === 'download-pdf-btn') {
                 handleDownloadPdf('combo-report-content', 'Load-Combinations-Report.pdf');
             }
+            if (event.target.id === 'download-docx-btn') {
+                handleDownloadDocx('combo-report-content', 'Load-Combinations-Report.docx');
+            }
+            if (event.target.id === 'download-xlsx-btn') {
+                handleDownloadTables('combo-report-content', 'Load-Combinations-Report.xlsx');
+            }
+            if (event.target.id === 'download-csv-btn') {
+                handleDownloadTables('combo-report-content', 'Load-Combinations-Report.csv');
+            }
         });
     }
 
@@ -135,136 +133,13 @@ function displayImportBanner(source, type, importedIds) {
     });
 }
 
-const comboLoadCalculator = (() => {
-    function calculateCombinations(loads, standard, level, method) {
-        const { D, L, Lr, R, S: S_input, W: W_input, E, unit_system } = loads;
-        const adjustment_notes = {};
-
-        let S_nominal, W_strength, S_strength, W_nominal;
-
-        // LRFD formulas use strength-level loads. ASD formulas use nominal-level loads.
-        // We adjust inputs to the required level for the formulas. W is strength-level, S is nominal for ASCE 7-16.
-        if (standard === "ASCE 7-16") { // Formulas expect nominal S and strength W
-            S_nominal = S_input;
-            W_strength = (level === 'Nominal (Service/ASD)') ? W_input / 0.6 : W_input; // Convert ASD wind to LRFD level
-            if (level === 'Nominal (Service/ASD)' && W_input !== 0) adjustment_notes['W'] = `Input W (${W_input.toFixed(2)}) was ASD-level, converted to Strength-level W=${W_strength.toFixed(2)} for LRFD formulas.`;
-            S_strength = null; // Not used in 7-16 formulas
-            W_nominal = null; // Not used in 7-16 formulas
-
-        } else { // ASCE 7-22: Formulas expect strength S and nominal W
-            W_nominal = W_input; // Input is nominal, use directly for ASD formulas. For LRFD, it will be factored.
-            S_strength = (level === 'Nominal (Service/ASD)') ? S_input * 1.6 : S_input; // Convert nominal snow to LRFD level
-            if (level === 'Nominal (Service/ASD)' && S_input !== 0) adjustment_notes['S'] = `Input S (${S_input.toFixed(2)}) was Nominal, converted to Strength-level S=${S_strength.toFixed(2)} for LRFD formulas.`;
-        }
-
-        const formulas = {
-            'ASCE 7-16': {
-                'LRFD': {
-                    '1. 1.4D': (d) => 1.4 * d.D, // Eq. 2.3.2-1
-                    '2. 1.2D + 1.6L + 0.5(Lr|S|R)': (d) => 1.2 * d.D + 1.6 * d.L + 0.5 * Math.max(d.Lr, d.S_nominal, d.R), // Eq. 2.3.2-2
-                    '3. 1.2D + 1.6(Lr|S|R) + (L|0.5W)': (d) => 1.2 * d.D + 1.6 * Math.max(d.Lr, d.S_nominal, d.R) + Math.max(d.L, 0.5 * d.W_strength), // Eq. 2.3.2-3
-                    '4. 1.2D + 1.0W + L + 0.5(Lr|S|R)': (d) => 1.2 * d.D + 1.0 * d.W_strength + d.L + 0.5 * Math.max(d.Lr, d.S_nominal, d.R), // Eq. 2.3.2-4
-                    '5. 1.2D + 1.0E + L + 0.2S': (d) => 1.2 * d.D + 1.0 * d.E + d.L + 0.2 * d.S_nominal, // Eq. 2.3.2-5
-                    '6. 0.9D + 1.0W': (d) => 0.9 * d.D + 1.0 * d.W_strength, // Eq. 2.3.2-6
-                    '7. 0.9D + 1.0E': (d) => 0.9 * d.D + 1.0 * d.E, // Eq. 2.3.2-7
-                },
-                'ASD': {
-                    '1. D': (d) => d.D, // Eq. 2.4-1
-                    '2. D + L': (d) => d.D + d.L, // Eq. 2.4-2
-                    '3. D + (Lr|S|R)': (d) => d.D + Math.max(d.Lr, d.S_nominal, d.R), // Eq. 2.4-3
-                    '4. D + 0.75L + 0.75(Lr|S|R)': (d) => d.D + 0.75 * d.L + 0.75 * Math.max(d.Lr, d.S_nominal, d.R), // Eq. 2.4-4
-                    '5. D + 0.6W': (d) => d.D + 0.6 * d.W_strength, // Eq. 2.4-5, W is strength level
-                    '6. D + 0.75L + 0.75(0.6W) + 0.75(Lr|S|R)': (d) => d.D + 0.75 * d.L + 0.75 * (0.6 * d.W_strength) + 0.75 * Math.max(d.Lr, d.S_nominal, d.R), // Eq. 2.4-6
-                    '7. D + 0.7E': (d) => d.D + 0.7 * d.E, // Eq. 2.4-7
-                    '8. D + 0.75L + 0.75(0.7E) + 0.75S': (d) => d.D + 0.75 * d.L + 0.75 * (0.7 * d.E) + 0.75 * d.S_nominal, // Eq. 2.4-8
-                    '9. 0.6D + 0.6W': (d) => 0.6 * d.D + 0.6 * d.W_strength, // Eq. 2.4-9
-                    '10. 0.6D + 0.7E': (d) => 0.6 * d.D + 0.7 * d.E, // Eq. 2.4-10
-                }
-            },
-            'ASCE 7-22': {
-                'LRFD': {
-                    '1. 1.4D': (d) => 1.4 * d.D, // Eq. 2.3.1-1
-                    '2. 1.2D + 1.6L + 0.5(Lr|S|R)': (d) => 1.2 * d.D + 1.6 * d.L + 0.5 * Math.max(d.Lr, d.S_strength, d.R), // Eq. 2.3.1-2, S is strength
-                    '3a. 1.2D + 1.6(Lr|R) + (L|0.5W)': (d) => 1.2 * d.D + 1.6 * Math.max(d.Lr, d.R) + Math.max(d.L, 0.5 * d.W_nominal), // Eq. 2.3.1-3a
-                    '3b. 1.2D + 1.0S + (L|0.5W)': (d) => 1.2 * d.D + 1.0 * d.S_strength + Math.max(d.L, 0.5 * d.W_nominal), // Eq. 2.3.1-3b
-                    '4. 1.2D + 1.6W + L + 0.5(Lr|S|R)': (d) => 1.2 * d.D + 1.6 * d.W_nominal + d.L + 0.5 * Math.max(d.Lr, d.S_strength, d.R), // Eq. 2.3.1-4
-                    '5. 1.2D + 1.0E + L + 1.0S': (d) => 1.2 * d.D + 1.0 * d.E + d.L + 1.0 * d.S_strength, // Eq. 2.3.1-5
-                    '6. 0.9D + 1.6W': (d) => 0.9 * d.D + 1.6 * d.W_nominal, // Eq. 2.3.1-6
-                    '7. 0.9D + 1.0E': (d) => 0.9 * d.D + 1.0 * d.E, // Eq. 2.3.1-7
-                },
-                'ASD': {
-                    '1. D': (d) => d.D, // Eq. 2.4.1-1
-                    '2. D + L': (d) => d.D + d.L, // Eq. 2.4.1-2
-                    '3. D + (Lr|0.7S|R)': (d) => d.D + Math.max(d.Lr, 0.7 * d.S_strength, d.R), // Eq. 2.4.1-3, S is strength
-                    '4. D + 0.75L + 0.75(Lr|0.7S|R)': (d) => d.D + 0.75 * d.L + 0.75 * Math.max(d.Lr, 0.7 * d.S_strength, d.R), // Eq. 2.4.1-4
-                    '5. D + W': (d) => d.D + d.W_nominal, // Eq. 2.4.1-5, W is nominal
-                    '6. D + 0.75L + 0.75W + 0.75(Lr|0.7S|R)': (d) => d.D + 0.75 * d.L + 0.75 * d.W_nominal + 0.75 * Math.max(d.Lr, 0.7 * d.S_strength, d.R), // Eq. 2.4.1-6
-                    '7. D + 0.7E': (d) => d.D + 0.7 * d.E, // Eq. 2.4.1-7
-                    '8. D + 0.75L + 0.75(0.7E) + 0.75(0.7S)': (d) => d.D + 0.75 * d.L + 0.75 * (0.7 * d.E) + 0.75 * (0.7 * d.S_strength), // Eq. 2.4.1-8
-                    '9. 0.6D + W': (d) => 0.6 * d.D + d.W_nominal, // Eq. 2.4.1-9
-                    '10. 0.6D + 0.7E': (d) => 0.6 * d.D + 0.7 * d.E, // Eq. 2.4.1-10
-                }
-            }
-        };
-
-        const selectedFormulas = formulas[standard][method];
-        
-        let results = {};
-        let pattern_results = {};
-
-        // Check for pattern live load requirement
-        const live_load_threshold = unit_system === 'imperial' ? 100 : 4.79;
-        const pattern_load_required = L > live_load_threshold;
-        
-        const evaluateCombinations = (formulas, data) => {
-            const calculated = {};
-            for (const key in formulas) calculated[key] = formulas[key](data);
-            return calculated;
-        };
-        
-        const scope = { D, L, Lr, R, E, S_nominal, W_strength, S_strength, W_nominal };
-
-        results = evaluateCombinations(selectedFormulas, scope);
-        if (pattern_load_required) {
-            const pattern_scope = { ...scope, L: 0.75 * L };
-            pattern_results = evaluateCombinations(selectedFormulas, pattern_scope);
-        }
-
-        return { results, pattern_results, pattern_load_required, final_formulas: selectedFormulas, adjustment_notes };
-    }
-    return { calculate: calculateCombinations };
-})();
-
 const handleRunComboCalculation = createCalculationHandler({
     inputIds: comboInputIds,
+    schema: inputSchemas.combos,
+    liveMode: true,
     storageKey: 'combo-calculator-inputs',
-    validationRuleKey: 'combo', // This will now correctly use the rules from validation-rules.js
-    calculatorFunction: (inputs) => {
-        const validation = validateInputs(inputs, validationRules.combo);
-        const effective_standard = inputs.combo_jurisdiction === "NYCBC 2022" ? "ASCE 7-16" : inputs.combo_asce_standard;
-        const scenarios = {
-            windward_wall: { title: 'Windward Wall Analysis', S: inputs.combo_balanced_snow_load_sb, W_max: inputs.combo_wind_wall_ww_max, W_min: inputs.combo_wind_wall_ww_min },
-            leeward_wall: { title: 'Leeward Wall Analysis', S: inputs.combo_unbalanced_windward_snow_load_suw, W_max: inputs.combo_wind_wall_lw_max, W_min: inputs.combo_wind_wall_lw_min },
-            windward_roof: { title: 'Windward Roof Analysis', S: inputs.combo_unbalanced_windward_snow_load_suw, W_max: inputs.combo_wind_roof_ww_max, W_min: inputs.combo_wind_roof_ww_min },
-            leeward_roof: { title: 'Leeward Roof Analysis', S: inputs.combo_unbalanced_leeward_snow_load_sul, W_max: inputs.combo_wind_roof_lw_max, W_min: inputs.combo_wind_roof_lw_min },
-            cc_roof: { title: 'Components & Cladding (C&C) Roof Analysis', S: inputs.combo_balanced_snow_load_sb, W_max: inputs.combo_wind_cc_max, W_min: inputs.combo_wind_cc_min },
-            cc_wall: { title: 'Components & Cladding (C&C) Wall Analysis', S: inputs.combo_balanced_snow_load_sb, W_max: inputs.combo_wind_cc_wall_max, W_min: inputs.combo_wind_cc_wall_min },
-            balanced_snow: { title: 'Balanced Snow Analysis', S: inputs.combo_balanced_snow_load_sb, W_max: 0, W_min: 0 },
-            unbalanced_windward_snow: { title: 'Unbalanced Windward Snow Analysis', S: inputs.combo_unbalanced_windward_snow_load_suw, W_max: 0, W_min: 0 },
-            unbalanced_leeward_snow: { title: 'Unbalanced Leeward Snow Analysis', S: inputs.combo_unbalanced_leeward_snow_load_sul, W_max: 0, W_min: 0 },
-            drift_surcharge: { title: 'Drift Surcharge Load Analysis', S: inputs.combo_balanced_snow_load_sb + inputs.combo_drift_surcharge_sd, W_max: 0, W_min: 0 },
-        };
-        const base_combo_loads = { D: inputs.combo_dead_load_d, L: inputs.combo_live_load_l, Lr: inputs.combo_roof_live_load_lr, R: inputs.combo_rain_load_r, S: 0, W: 0, E: 0, unit_system: inputs.combo_unit_system };
-        const base_combos = comboLoadCalculator.calculate(base_combo_loads, effective_standard, inputs.combo_input_load_level, inputs.combo_design_method);
-        const scenarios_data = {};
-        for(const key in scenarios) {
-            const { S, W_max, W_min } = scenarios[key];
-            const base_loads = { D: inputs.combo_dead_load_d, L: inputs.combo_live_load_l, Lr: inputs.combo_roof_live_load_lr, R: inputs.combo_rain_load_r, S, E: inputs.combo_seismic_load_e, unit_system: inputs.combo_unit_system };
-            scenarios_data[`${key}_wmax`] = comboLoadCalculator.calculate({ ...base_loads, W: W_max }, effective_standard, inputs.combo_input_load_level, inputs.combo_design_method);
-            scenarios_data[`${key}_wmin`] = comboLoadCalculator.calculate({ ...base_loads, W: W_min }, effective_standard, inputs.combo_input_load_level, inputs.combo_design_method);
-        }
-        return { inputs, scenarios_data, base_combos, success: true, warnings: validation.warnings };
-    },
+    validationRuleKey: 'combo',
+    calculatorFunction: (inputs, validation) => ({ ...comboLoadCalculator.run(inputs), warnings: validation.warnings }),
     renderFunction: renderComboResults,
     resultsContainerId: 'combo-results-container',
     buttonId: 'run-combo-calculation-btn'
@@ -349,6 +224,9 @@ function renderComboResults(fullResults) {
     let html = `<div id="combo-report-content" class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg space-y-6">`;
     html += `<div class="flex justify-end gap-2 mb-4 -mt-2 -mr-2 print-hidden">
                     <button id="download-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm print-hidden">Download PDF</button>
+                    <button id="download-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm print-hidden">Download Word</button>
+                    <button id="download-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm print-hidden">Download XLSX</button>
+                    <button id="download-csv-btn" class="bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-700 text-sm print-hidden">Download CSV</button>
                     <button data-copy-target-id="combo-report-content" class="copy-section-btn bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 text-sm">Copy Report</button>
               </div>`;
 
@@ -0,0 +1,82 @@
+/**
+ * Rain load engine (ASCE 7-16/22 Chapter 8).
+ * Inputs are keyed by the rain_* element IDs; lengths are in or mm per rain_unit_system.
+ */
+
+export const rainLoadCalculator = (() => {
+    function run(inputs) {
+        // Use default values to prevent NaN errors if optional fields are empty
+        const {
+            rain_static_head: ds = 0,
+            rain_hydraulic_head: dh_manual = 0,
+            rain_intensity: i = 0,
+            rain_tributary_area: A = 0,
+            rain_unit_system: unit_system,
+            rain_jurisdiction: jurisdiction,
+            dh_auto_calc_toggle: dh_auto_calc,
+            rain_drain_type: drain_type,
+            rain_scupper_width: scupper_width = 0,
+            rain_drain_diameter: drain_diameter = 0
+        } = inputs;
+
+        let dh = dh_manual; // Start with manual value
+        let dh_calc_note = "";
+        const warnings = [];
+
+        if (dh_auto_calc) {
+            // Convert metric inputs to imperial for calculation
+            const A_imperial = unit_system === 'imperial' ? A : A * 10.7639; // m² to ft²
+            const i_imperial = unit_system === 'imperial' ? i : i * 0.03937; // mm/hr to in/hr
+            const scupper_width_imperial = unit_system === 'imperial' ? scupper_width : scupper_width * 0.03937; // mm to in
+            const drain_diameter_imperial = unit_system === 'imperial' ? drain_diameter : drain_diameter * 0.03937; // mm to in
+            
+            // Per IPC, Q (gpm) = 0.0104 * A (sqft) * i (in/hr)
+            const Q_gpm = 0.0104 * A_imperial * i_imperial;
+            
+            if (drain_type === 'scupper') {
+                // Weir formula: Q_gpm = 213 * L_in * (dh_in)^(1.5)
+                // Solved for dh: dh_in = (Q_gpm / (213 * L_in))^(2/3)
+                if (scupper_width > 0) {
+                    const dh_imperial = Math.pow(Q_gpm / (213 * scupper_width_imperial), 2/3);
+                    dh = unit_system === 'imperial' ? dh_imperial : dh_imperial * 25.4; // Convert back to mm if needed
+                    dh_calc_note = `d_h calculated from Q = ${Q_gpm.toFixed(1)} gpm and a ${scupper_width} ${unit_system === 'imperial' ? 'in' : 'mm'} wide scupper.`;
+                } else {
+                    dh = 0;
+                    dh_calc_note = "Scupper width must be > 0 to calculate d_h.";
+                }
+            } else { // drain
+                // Orifice formula: Q_gpm = 24.5 * d_in^2 * sqrt(dh_in)
+                // Solved for dh: dh_in = (Q_gpm / (24.5 * d_in^2))^2
+                if (drain_diameter > 0) {
+                    const dh_imperial = Math.pow(Q_gpm / (24.5 * Math.pow(drain_diameter_imperial, 2)), 2);
+                    dh = unit_system === 'imperial' ? dh_imperial : dh_imperial * 25.4; // Convert back to mm if needed
+                    dh_calc_note = `d_h calculated from Q = ${Q_gpm.toFixed(1)} gpm and a ${drain_diameter} ${unit_system === 'imperial' ? 'in' : 'mm'} diameter drain.`;
+                } else {
+                    dh = 0;
+                    dh_calc_note = "Drain diameter must be > 0 to calculate d_h.";
+                }
+            }
+        }
+
+        if (dh > ds) {
+            warnings.push(`The calculated hydraulic head (d_h = ${dh.toFixed(2)}) is greater than the static head (d_s = ${ds.toFixed(2)}). This indicates the secondary drainage system may be undersized for the given rainfall intensity and could lead to ponding instability. Review drainage design.`);
+        }
+
+        const R_nominal = (unit_system === 'imperial') ? 5.2 * (ds + dh) : 0.0098 * (ds + dh);
+        const jurisdiction_note = (jurisdiction === "NYCBC 2022") ? "NYCBC 2022 adopts ASCE 7-16 for rain loads. Note: The hydraulic head (dh) must be based on the 100-year hourly rainfall rate of 4 in/hr as per the NYC Plumbing Code." : "";
+
+        return {
+            inputs,
+            results: {
+                R_nominal, dh_final: dh,
+                R_strength: 1.6 * R_nominal,
+                R_asd: 1.0 * R_nominal
+            },
+            jurisdiction_note,
+            dh_calc_note,
+            warnings,
+            success: true
+        };
+    }
+    return { run };
+})();
@@ -1,91 +1,15 @@
-let lastRainRunResults = null;
-
-const rainInputIds = [
-    'rain_asce_standard', 'rain_unit_system', 'rain_design_method', 'rain_jurisdiction', 'rain_tributary_area',
-    'rain_intensity', 'rain_static_head', 'rain_hydraulic_head', 'dh_auto_calc_toggle', 'rain_drain_type', 'rain_scupper_width', 'rain_drain_diameter'
-];
-
-const rainLoadCalculator = (() => {
-    function run(inputs) {
-        // Use default values to prevent NaN errors if optional fields are empty
-        const {
-            rain_static_head: ds = 0,
-            rain_hydraulic_head: dh_manual = 0,
-            rain_intensity: i = 0,
-            rain_tributary_area: A = 0,
-            rain_unit_system: unit_system,
-            rain_jurisdiction: jurisdiction,
-            dh_auto_calc_toggle: dh_auto_calc,
-            rain_drain_type: drain_type,
-            rain_scupper_width: scupper_width = 0,
-            rain_drain_diameter: drain_diameter = 0
-        } = inputs;
-
-        let dh = dh_manual; // Start with manual value
-        let dh_calc_note = "";
-        const warnings = [];
+import { rainLoadCalculator } from './rain-engine.js';
+import { inputSchemas, schemaInputIds } from '../js/input-schemas.js';
 
-        if (dh_auto_calc) {
-            // Convert metric inputs to imperial for calculation
-            const A_imperial = unit_system === 'imperial' ? A : A * 10.7639; // m² to ft²
-            const i_imperial = unit_system === 'imperial' ? i : i * 0.03937; // mm/hr to in/hr
-            const scupper_width_imperial = unit_system === 'imperial' ? scupper_width : scupper_width * 0.03937; // mm to in
-            const drain_diameter_imperial = unit_system === 'imperial' ? drain_diameter : drain_diameter * 0.03937; // mm to in
-            
-            // Per IPC, Q (gpm) = 0.0104 * A (sqft) * i (in/hr)
-            const Q_gpm = 0.0104 * A_imperial * i_imperial;
-            
-            if (drain_type === 'scupper') {
-                // Weir formula: Q_gpm = 213 * L_in * (dh_in)^(1.5)
-                // Solved for dh: dh_in = (Q_gpm / (213 * L_in))^(2/3)
-                if (scupper_width > 0) {
-                    const dh_imperial = Math.pow(Q_gpm / (213 * scupper_width_imperial), 2/3);
-                    dh = unit_system === 'imperial' ? dh_imperial : dh_imperial * 25.4; // Convert back to mm if needed
-                    dh_calc_note = `d_h calculated from Q = ${Q_gpm.toFixed(1)} gpm and a ${scupper_width} ${unit_system === 'imperial' ? 'in' : 'mm'} wide scupper.`;
-                } else {
-                    dh = 0;
-                    dh_calc_note = "Scupper width must be > 0 to calculate d_h.";
-                }
-            } else { // drain
-                // Orifice formula: Q_gpm = 24.5 * d_in^2 * sqrt(dh_in)
-                // Solved for dh: dh_in = (Q_gpm / (24.5 * d_in^2))^2
-                if (drain_diameter > 0) {
-                    const dh_imperial = Math.pow(Q_gpm / (24.5 * Math.pow(drain_diameter_imperial, 2)), 2);
-                    dh = unit_system === 'imperial' ? dh_imperial : dh_imperial * 25.4; // Convert back to mm if needed
-                    dh_calc_note = `d_h calculated from Q = ${Q_gpm.toFixed(1)} gpm and a ${drain_diameter} ${unit_system === 'imperial' ? 'in' : 'mm'} diameter drain.`;
-                } else {
-                    dh = 0;
-                    dh_calc_note = "Drain diameter must be > 0 to calculate d_h.";
-                }
-            }
-        }
-
-        if (dh > ds) {
-            warnings.push(`The calculated hydraulic head (d_h = ${dh.toFixed(2)}) is greater than the static head (d_s = ${ds.toFixed(2)}). This indicates the secondary drainage system may be undersized for the given rainfall intensity and could lead to ponding instability. Review drainage design.`);
-        }
-
-        const R_nominal = (unit_system === 'imperial') ? 5.2 * (ds + dh) : 0.0098 * (ds + dh);
-        const jurisdiction_note = (jurisdiction === "NYCBC 2022") ? "NYCBC 2022 adopts ASCE 7-16 for rain loads. Note: The hydraulic head (dh) must be based on the 100-year hourly rainfall rate of 4 in/hr as per the NYC Plumbing Code." : "";
+let lastRainRunResults = null;
 
-        return {
-            inputs,
-            results: {
-                R_nominal, dh_final: dh,
-                R_strength: 1.6 * R_nominal,
-                R_asd: 1.0 * R_nominal
-            },
-            jurisdiction_note,
-            dh_calc_note,
-            warnings,
-            success: true
-        };
-    }
-    return { run };
-})();
+const rainInputIds = schemaInputIds(inputSchemas.rain);
 
 document.addEventListener('DOMContentLoaded', () => {
     const handleRunRainCalculation = createCalculationHandler({
         inputIds: rainInputIds,
+        schema: inputSchemas.rain,
+        liveMode: true,
         storageKey: 'rain-calculator-inputs',
         validationRuleKey: 'rain',
     calculatorFunction: (inputs, validation) => rainLoadCalculator.run(inputs, validation),
@@ -99,10 +23,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Main calculation and file handling
     document.getElementById('run-rain-calculation-btn').addEventListener('click', handleRunRainCalculation);
-    document.getElementById('save-rain-inputs-btn').addEventListener('click', createSaveInputsHandler(rainInputIds, 'rain-inputs.txt'));
+    document.getElementById('save-rain-inputs-btn').addEventListener('click', createSaveInputsHandler(inputSchemas.rain, 'rain-inputs.json'));
     document.getElementById('load-rain-inputs-btn').addEventListener('click', () => initiateLoadInputsFromFile('rain-file-input'));
     // CORRECTED: Removed the callback to prevent auto-run on file load
-    document.getElementById('rain-file-input').addEventListener('change', createLoadInputsHandler(rainInputIds));
+    document.getElementById('rain-file-input').addEventListener('change', createLoadInputsHandler(inputSchemas.rain));
 
     // UI interaction for city selector
     document.getElementById('rain_city_selector').addEventListener('change', (event) => {
@@ -140,15 +64,18 @@ function renderRainResults(results) {
     const { inputs, jurisdiction_note, dh_calc_note, warnings } = results;
     const { R_nominal, R_strength, R_asd, dh_final } = results.results;
     const p_unit = inputs.rain_unit_system === 'imperial' ? 'psf' : 'kPa';
-    const d_unit = inputs.unit_system === 'imperial' ? 'in' : 'mm';
-    const i_unit = inputs.unit_system === 'imperial' ? 'in/hr' : 'mm/hr';
-    const a_unit = inputs.unit_system === 'imperial' ? 'ft²' : 'm²';
-    const factor = inputs.unit_system === 'imperial' ? '5.2' : '0.0098';
+    const d_unit = inputs.rain_unit_system === 'imperial' ? 'in' : 'mm';
+    const i_unit = inputs.rain_unit_system === 'imperial' ? 'in/hr' : 'mm/hr';
+    const a_unit = inputs.rain_unit_system === 'imperial' ? 'ft²' : 'm²';
+    const factor = inputs.rain_unit_system === 'imperial' ? '5.2' : '0.0098';
 
     let html = `<div id="rain-report-content" class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg space-y-6">`;
     html += `<div class="flex justify-end gap-2 mb-4 -mt-2 -mr-2 print-hidden">
                     <button id="send-to-combos-btn" class="bg-purple-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-purple-700 text-sm print-hidden">Send to Combos</button>
                     <button id="download-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm print-hidden">Download PDF</button>
+                    <button id="download-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm print-hidden">Download Word</button>
+                    <button id="download-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm print-hidden">Download XLSX</button>
+                    <button id="download-csv-btn" class="bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-700 text-sm print-hidden">Download CSV</button>
                     <button id="copy-report-btn" class="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 text-sm print-hidden">Copy Report</button>
                </div>`;
 
@@ -234,6 +161,15 @@ function renderRainResults(results) {
         if (event.target.id === 'download-pdf-btn') {
             handleDownloadPdf('rain-report-content', 'Rain-Load-Report.pdf');
         }
+        if (event.target.id === 'download-docx-btn') {
+            handleDownloadDocx('rain-report-content', 'Rain-Load-Report.docx');
+        }
+        if (event.target.id === 'download-xlsx-btn') {
+            handleDownloadTables('rain-report-content', 'Rain-Load-Report.xlsx');
+        }
+        if (event.target.id === 'download-csv-btn') {
+            handleDownloadTables('rain-report-content', 'Rain-Load-Report.csv');
+        }
         if (event.target.id === 'send-to-combos-btn' && lastRainRunResults) {
             sendRainToCombos(lastRainRunResults);
         }
@@ -0,0 +1,338 @@
+/**
+ * Snow load engine (ASCE 7-16/22 Chapter 7): balanced, unbalanced, drift and sliding loads.
+ */
+
+export const snowLoadCalculator = (() => {
+    function calculateSlopeFactor(slope_deg, is_slippery, Ct, standard) {
+        if (standard === "ASCE 7-22") {
+            // ASCE 7-22 Section 7.4.1 has different requirements for warm and cold roofs
+            const isWarmRoof = Ct <= 1.2;
+            
+            if (isWarmRoof) {
+                // Warm Roof Conditions (Ct ≤ 1.2)
+                if (slope_deg < 30) {
+                    return 1.0;
+                } else if (slope_deg > 70) {
+                    return 0.0;
+                } else {
+                    return 1.0 - (slope_deg - 30) / 40;
+                }
+            } else {
+                // Cold Roof Conditions (Ct > 1.2)
+                if (is_slippery === 'Yes') {
+                    if (slope_deg < 15) {
+                        return 1.0;
+                    } else if (slope_deg > 70) {
+                        return 0.0;
+                    } else {
+                        return Math.max(0, 1.0 - (slope_deg - 15) / 55);
+                    }
+                } else {
+                    if (slope_deg < 45) {
+                        return 1.0;
+                    } else if (slope_deg > 70) {
+                        return 0.0;
+                    } else {
+                        return Math.max(0, 1.0 - (slope_deg - 45) / 25);
+                    }
+                }
+            }
+        } else { // ASCE 7-16
+            if (Ct <= 1.0) { // Warm Roof
+            if (is_slippery === 'Yes') {
+                    if (slope_deg < 5) return 1.0;
+                    if (slope_deg > 70) return 0.0;
+                    return 1.0 - (slope_deg - 5) / 65;
+                } else {
+                    if (slope_deg < 30) return 1.0;
+                    if (slope_deg > 70) return 0.0;
+                    return 1.0 - (slope_deg - 30) / 40;
+                }
+            } else { // Cold Roof
+            if (is_slippery === 'Yes') {
+                    if (slope_deg < 15) return 1.0;
+                    if (slope_deg > 70) return 0.0;
+                    return 1.0 - (slope_deg - 15) / 55;
+                } else {
+                    if (slope_deg < 45) return 1.0;
+                    if (slope_deg > 70) return 0.0;
+                    return 1.0 - (slope_deg - 45) / 25;
+                }
+            }
+        }
+    }
+    function getSnowFactors(risk, exposure, thermal, surface_roughness, validationResult) {
+        const is_map = {"I": 0.8, "II": 1.0, "III": 1.1, "IV": 1.2};
+        const Is = is_map[risk] || 1.0;
+        const ce_map = {            "B": {"Fully Exposed": 0.9, "Partially Exposed": 1.0, "Sheltered": 1.2},            "C": {"Fully Exposed": 0.9, "Partially Exposed": 1.0, "Sheltered": 1.1},            "D": {"Fully Exposed": 0.8, "Partially Exposed": 0.9, "Sheltered": 1.0},            "Above treeline (windswept)": {"Fully Exposed": 0.7, "Partially Exposed": 0.8},            "Alaska (no trees)": {"Fully Exposed": 0.7, "Partially Exposed": 0.8}        };
+        const Ce = ce_map[surface_roughness]?.[exposure] ?? 1.0;
+        const ct_map = {"Heated Structure": 1.0, "Unheated Structure": 1.2};
+        const Ct = ct_map[thermal] || 1.0;
+
+        // Add validation feedback
+        if (!is_map[risk]) {
+            validationResult.warnings.push(`Invalid risk category "${risk}", using default Is = 1.0`);
+        }
+        if (!ce_map[surface_roughness]?.[exposure]) {
+            validationResult.warnings.push(`Invalid surface roughness "${surface_roughness}" or exposure "${exposure}", using default Ce = 1.0`);
+        }
+        if (!ct_map[thermal]) {
+            validationResult.warnings.push(`Invalid thermal condition "${thermal}", using default Ct = 1.0`);
+        }
+        
+        return { Is, Ce, Ct };
+    }    
+    function calculateSnowDensity(pg) {
+        if (!isFinite(pg) || pg <= 0) {
+            // Return a safe, non-zero default if input is invalid or zero to prevent division by zero later.
+            return 13.0; // A common starting point for snow density.
+        }
+        let gamma = 0.13 * pg + 14;
+        return Math.min(gamma, 30.0);
+    }
+
+    function calculateUnbalancedLoads(ps_balanced, pg, slope_deg, standard, W, is_simply_supported, W2, gamma, Is, roof_type) {
+        // Snow drift and unbalanced load calculation per ASCE 7-16/22 Section 7.7
+        // Windward and leeward drift, max drift height, upwind fetch
+        const slope_ratio_val = Math.tan(slope_deg * Math.PI / 180);
+        const min_slope_ratio = 0.5 / 12;
+        const mid_slope_ratio = 7 / 12;
+
+        if (roof_type === 'monoslope') {
+            const slope_ratio_3_12 = 3 / 12;
+            if (slope_ratio_val < min_slope_ratio) {
+                return { applicable: false, reason: `Slope is less than 0.5:12, unbalanced loads are not required for monoslope roofs.` };
+            }
+            if (slope_ratio_val <= slope_ratio_3_12) {
+                // Case from Fig 7.6-3 (a)
+                return {
+                    applicable: true,
+                    case: 'Monoslope: 0.5:12 < Slope <= 3:12',
+                    windward_nominal: ps_balanced,
+                    leeward_nominal: ps_balanced,
+                    surcharge_magnitude: Is * pg,
+                    surcharge_width: W / 2
+                };
+            } else { // slope > 3/12
+                // Case from Fig 7.6-3 (b)
+                return {
+                    applicable: true,
+                    case: 'Monoslope: Slope > 3:12',
+                    windward_nominal: 0.5 * ps_balanced,
+                    leeward_nominal: 2.0 * ps_balanced
+                };
+            }
+        }
+
+        if (slope_ratio_val < min_slope_ratio) {
+            return { applicable: false, reason: `Slope is less than 0.5:12, unbalanced loads are not required per ${standard}.` };
+        }
+
+        const S = slope_ratio_val > 0 ? 1 / slope_ratio_val : 0;
+
+        // Case for slopes > 7:12 (ASCE 7-16 Fig 7.6-2, Case III)
+        if (slope_ratio_val > mid_slope_ratio) { // Corrected validation
+            if (!isFinite(S) || S <= 0 || gamma <= 0 || pg <= 0 || Is <= 0) return { applicable: false, reason: 'Invalid inputs for surcharge calculation.' };
+            
+            let hd;
+            if (standard === "ASCE 7-22") {
+                // ASCE 7-22 uses a different formulation for hd
+                hd = 1.5 * ((Math.pow(pg, 0.74) * Math.pow(W, 0.7) * Math.pow(W2, 1.7)) / gamma);
+            } else { // ASCE 7-16
+                const lu_for_hd = W; // For this case, lu is the horizontal distance from eave to ridge
+                const hd_calc = (0.43 * Math.pow(lu_for_hd, 1/3) * Math.pow(pg + 10, 0.25)) - 1.5;
+                hd = Is > 0 ? Math.max(0, hd_calc) / Math.pow(Is, 0.5) : 0;
+            }
+            
+            const surcharge_magnitude = (S > 0 && gamma > 0) ? (hd * gamma) / Math.sqrt(S) : 0;
+            const surcharge_width = (8/3) * hd * Math.sqrt(S);
+            
+            return { 
+                applicable: true, 
+                case: 'C: Slope > 7:12', 
+                windward_nominal: 0.0, // Windward side is cleared
+                leeward_nominal: ps_balanced, // Leeward side has balanced load + surcharge
+                surcharge_magnitude, 
+                surcharge_width, 
+                hd_unbalanced: hd, 
+                S_val: S 
+            };
+        } 
+
+        // Case for slopes between 0.5:12 and 7:12
+        return { 
+            applicable: true, 
+            case: 'B: 0.5:12 < Slope <= 7:12', 
+            windward_nominal: 0.3 * ps_balanced, 
+            leeward_nominal: ps_balanced 
+        };
+    }
+
+    function calculateDriftLoads(pg, lu, hc, pf, standard, W2, lower_roof_length_ll, Is) {
+         const gamma = calculateSnowDensity(pg);
+         const hb = gamma > 0 ? pf / gamma : 0;
+         if (hc <= 0 || hb <= 0 || (hc / hb) <= 0.2) {
+             return { applicable: false, reason: 'Drift surcharge not required per h_c/h_b ≤ 0.2.' };
+         }
+
+         let hd_final, w_final, pd_nominal;
+
+         if (standard === "ASCE 7-22") {
+            const calc_hd_7_22 = (len) => (gamma > 0 && W2 >= 0 && pg > 0 && len > 0) ? 1.5 * ((Math.pow(pg, 0.74) * Math.pow(len, 0.7) * Math.pow(W2, 1.7)) / gamma) : 0;
+            let hd_leeward = Math.min(calc_hd_7_22(lu), 0.6 * lower_roof_length_ll);
+            let w_leeward = hd_leeward <= hc ? 4 * hd_leeward : (hc > 0 ? (4 * Math.pow(hd_leeward, 2)) / hc : 0);
+            w_leeward = Math.min(w_leeward, 8 * hc);
+            
+            let hd_windward_initial = calc_hd_7_22(lower_roof_length_ll);
+            let hd_windward = 0.75 * hd_windward_initial;
+            let w_windward = 6 * hd_windward_initial;
+
+            hd_final = Math.max(hd_leeward, hd_windward);
+            w_final = (hd_leeward >= hd_windward) ? w_leeward : w_windward;
+
+         } else { // ASCE 7-16
+            const calc_hd_7_16 = (len, pg_val, is_val) => (pg_val >= 0 && len > 0 && is_val > 0) ? Math.max(0, (0.43 * Math.pow(len, 1/3) * Math.pow(pg_val + 10, 0.25)) - 1.5) / Math.pow(is_val, 0.5) : 0;
+            let hd_leeward = Math.min(calc_hd_7_16(lu, pg, Is), 0.6 * lower_roof_length_ll);
+            let hd_windward = 0.75 * calc_hd_7_16(lower_roof_length_ll, pg, Is);
+            let hd_controlling = Math.max(hd_leeward, hd_windward);
+            hd_final = hd_controlling; // In 7-16, hd is directly used.
+            let w_calc = hd_controlling <= hc ? 4 * hd_controlling : (hc > 0 ? (4 * Math.pow(hd_controlling, 2)) / hc : 0);
+            w_final = Math.min(w_calc, 8 * hc);
+         }
+         
+         // Where hd exceeds hc the drift is full height: the surcharge is capped at hc (Sec. 7.7.1).
+         pd_nominal = Math.min(hd_final, hc) * gamma;
+         return { applicable: true, gamma, hb, hd: hd_final, w: w_final, pd_nominal };
+    }
+
+    function calculateSlidingSnowLoad(pf, W, Cs, is_slippery, unit_system) {
+        // Per ASCE 7-16/22 Section 7.13
+        if (!is_slippery || Cs === 1.0) {
+            return {
+                applicable: false,
+                reason: "Sliding snow is only considered for slippery roofs where the slope factor Cs is less than 1.0."
+            };
+        }
+
+        if (!isFinite(W) || W <= 0) {
+            return {
+                applicable: false,
+                reason: "Eave-to-ridge distance (W) must be positive to calculate sliding snow."
+            };
+        }
+
+        const Ws = 0.4 * pf * W; // Total sliding load (force per unit length of eave)
+        const distribution_width = unit_system === 'imperial' ? 15.0 : 4.6; // ft or m
+        const ps_sliding = distribution_width > 0 ? Ws / distribution_width : 0; // Uniform load intensity on lower roof
+        return { applicable: true, Ws, distribution_width, ps_sliding };
+    }
+
+
+function run(inputs, validation) {
+    const validationResult = { warnings: [], ...validation };
+
+    // Check required inputs
+    const required = [
+        'snow_asce_standard',
+        'snow_risk_category',
+        'snow_ground_snow_load',
+        'snow_surface_roughness_category',
+        'snow_exposure_condition',
+        'snow_thermal_condition',
+        'snow_roof_slope_degrees'
+    ];
+    
+    const missing = required.filter(key => inputs[key] === undefined || inputs[key] === null || inputs[key] === '');
+    if (missing.length > 0) {
+        validationResult.errors = validationResult.errors || [];
+        validationResult.errors.push(`Missing required inputs: ${missing.join(', ')}`);
+        return { error: 'Missing required inputs', validationResult };
+    }
+
+    // Add jurisdiction-specific warnings
+    if (inputs.snow_jurisdiction === "NYCBC 2022") {
+        const nycbc_min_pg = 25;
+        if (inputs.snow_ground_snow_load < nycbc_min_pg) {
+            validationResult.warnings.push(`The input ground snow load (p_g = ${inputs.snow_ground_snow_load} psf) is less than the NYCBC 2022 minimum of ${nycbc_min_pg} psf. Verify the correct jurisdictional value.`);
+        }
+    }
+    
+    // Ensure factors have default values
+    const { Is = 1.0, Ce = 1.0, Ct = 1.0 } = getSnowFactors(inputs.snow_risk_category, inputs.snow_exposure_condition, inputs.snow_thermal_condition, inputs.snow_surface_roughness_category, validationResult);
+    
+    const Cs = calculateSlopeFactor(inputs.snow_roof_slope_degrees || 0, inputs.snow_is_roof_slippery, Ct, inputs.snow_asce_standard);
+    const pf = 0.7 * Ce * Ct * Is * (inputs.snow_ground_snow_load || 0);
+    const ps_calculated = Cs * pf;
+    
+    let ps_min_asce7 = 0;
+    const is_low_slope = inputs.snow_roof_slope_degrees < 15;
+    if (is_low_slope) {
+        if (inputs.snow_ground_snow_load <= 20) {
+            ps_min_asce7 = inputs.snow_ground_snow_load * Is;
+        } else {
+            ps_min_asce7 = 20 * Is;
+        }
+    }
+    
+    const ps_asce7 = is_low_slope ? Math.max(ps_calculated, ps_min_asce7) : ps_calculated;
+    
+    let ps_balanced = ps_asce7;
+    let is_nycbc_min_governed_flag = false;
+    if (inputs.snow_jurisdiction === "NYCBC 2022" && ps_balanced < inputs.snow_nycbc_minimum_roof_snow_load) {
+        ps_balanced = inputs.snow_nycbc_minimum_roof_snow_load;
+        is_nycbc_min_governed_flag = true;
+    }
+    
+    // Rest of the function remains the same...
+    let unbalanced_results = {};
+    if (inputs.snow_calculate_unbalanced === 'Yes') {
+        const gamma = calculateSnowDensity(inputs.snow_ground_snow_load);
+        unbalanced_results = calculateUnbalancedLoads(ps_balanced, inputs.snow_ground_snow_load, inputs.snow_roof_slope_degrees, inputs.snow_asce_standard, inputs.snow_eave_to_ridge_distance_W, inputs.snow_is_simply_supported_prismatic, inputs.snow_winter_wind_parameter_W2, gamma, Is, inputs.snow_roof_type);
+    }
+
+    let drift_results = {};
+    if (inputs.snow_calculate_drift === 'Yes') {
+        drift_results = calculateDriftLoads(inputs.snow_ground_snow_load, inputs.snow_upper_roof_length_lu, inputs.snow_height_difference_hc, pf, inputs.snow_asce_standard, inputs.snow_winter_wind_parameter_W2, inputs.snow_lower_roof_length_ll, Is);
+    }
+
+    let sliding_snow_results = {};
+    if (inputs.snow_calculate_sliding === 'Yes') {
+        sliding_snow_results = calculateSlidingSnowLoad(pf, inputs.snow_eave_to_ridge_distance_W, Cs, inputs.snow_is_roof_slippery, inputs.snow_unit_system);
+    }
+
+    let partial_load_results = {};
+    if (inputs.snow_is_simply_supported_prismatic === 'No') {
+        partial_load_results = {
+            applicable: true,
+            load_on_adjacent_span: 0.5 * ps_balanced,
+            note: "For continuous/cantilevered members, check a case with full balanced load on one span and 0.5 times the balanced load on the adjacent span (ASCE 7-16/22 Sec. 7.8)."
+        };
+    }
+
+    return {
+        inputs,
+        intermediate: { 
+            Is, 
+            Ce, 
+            Ct, 
+            Cs: Cs || 0, 
+            pf: pf || 0, 
+            ps_asce7: ps_asce7 || 0, 
+            ps_min_asce7: ps_min_asce7 || 0, 
+            is_low_slope, 
+            asce7_min_governed: ps_asce7 > ps_calculated, 
+            ps_calculated: ps_calculated || 0 
+        },
+        results: { ps_balanced_nominal: ps_balanced },
+        unbalanced: unbalanced_results, 
+        drift: drift_results, 
+        partial: partial_load_results, 
+        sliding: sliding_snow_results,
+        is_nycbc_min_governed: is_nycbc_min_governed_flag,
+        warnings: validationResult.warnings,
+        success: true
+    };
+}
+
+    return { run };
+})();
@@ -0,0 +1,1418 @@
+/**
+ * Wind load engine (ASCE 7-16/22 Chapters 26-30).
+ * Table lookups go through interpolate() from calc-utils, so this module has no browser globals.
+ * The roof-height Kz and qh steps are recorded as a calculation trace for the report.
+ */
+
+import { interpolate } from '../js/calc-utils.js';
+import { createTrace } from '../js/calc-trace.js';
+import { calculateOtherStructure, getOtherStructureKdType } from './wind-other-structures.js';
+import { getDirectionalExposures } from './wind-exposure.js';
+
+// =================================================================================
+//  WIND LOAD CALCULATOR LOGIC
+// =================================================================================
+
+export const windLoadCalculator = (() => {
+    // --- PRIVATE HELPER & CALCULATION FUNCTIONS ---
+// Internal pressure coefficient GCpi
+// Reference: ASCE 7-16/22 Table 26.13-1
+function getInternalPressureCoefficient(enclosureClass) {
+        const map = {
+            "Enclosed": [0.18, "ASCE 7 Table 26.13-1 (Enclosed)"],
+            "Partially Enclosed": [0.55, "ASCE 7 Table 26.13-1 (Partially Enclosed)"],
+            "Open": [0.00, "ASCE 7 Table 26.13-1 (Open)"]
+        };
+        return map[enclosureClass] || [0.00, "Invalid Enclosure"];
+    }
+
+    // Detailed Cp values for Gable and Hip roofs
+    // Reference: ASCE 7-16/22 Figure 27.3-2
+    function getGableHipCpValues(h, L, B, roofSlopeDeg, isHip, unitSystem) {
+        const cpMap = {};
+        const theta = roofSlopeDeg;
+        const h_over_L = L > 0 ? h / L : 0;
+        const h_unit = unitSystem === 'imperial' ? 'ft' : 'm';
+
+        // Calculate 'a' per ASCE 7-16/22 Section 27.3.2
+        const least_dim = Math.min(L, B);
+        let a = Math.min(0.1 * least_dim, 0.4 * h);
+        const min_a_val1 = 0.04 * least_dim;
+        const min_a_val2 = unitSystem === 'imperial' ? 3.0 : 0.9;
+        a = Math.max(a, min_a_val1, min_a_val2);
+
+        const a_str = `(a=${a.toFixed(1)} ${h_unit})`;
+
+        // Interpolation functions for Cp based on theta and h/L
+        // Windward zones (1, 2, 3)
+        const cp_1_windward = interpolate(theta, [10, 20, 30, 45], [-0.7, -0.4, 0.2, 0.4]);
+        const cp_2_windward = interpolate(theta, [10, 20, 30, 45], [-0.9, -0.7, -0.2, 0.4]);
+        const cp_3_windward = interpolate(theta, [20, 30, 45], [-1.3, -1.0, -0.5]);
+
+        // Leeward zones (1, 2, 3)
+        const cp_1_leeward = interpolate(h_over_L, [0, 0.5, 1.0], [-0.5, -0.5, -0.3]);
+        const cp_2_leeward = interpolate(h_over_L, [0, 0.5, 1.0], [-0.7, -0.7, -0.5]);
+        const cp_3_leeward = -0.9;
+
+        // Assign values to the map
+        cpMap[`Roof Zone 1 (Windward)`] = cp_1_windward;
+        cpMap[`Roof Zone 2 (Windward) ${a_str}`] = cp_2_windward;
+        if (theta >= 20) {
+            cpMap[`Roof Zone 3 (Windward) ${a_str}`] = cp_3_windward;
+        }
+
+        cpMap[`Roof Zone 1 (Leeward)`] = cp_1_leeward;
+        cpMap[`Roof Zone 2 (Leeward) ${a_str}`] = cp_2_leeward;
+        cpMap[`Roof Zone 3 (Leeward) ${a_str}`] = cp_3_leeward;
+
+        if (isHip) {
+            // Hip roof end zones (1E, 2E, 3E)
+            const cp_1E = interpolate(theta, [10, 20, 27], [-0.9, -0.7, -0.5]);
+            const cp_2E = interpolate(theta, [10, 20, 27], [-1.3, -0.9, -0.7]);
+            const cp_3E = interpolate(theta, [20, 27], [-1.3, -1.0]);
+
+            cpMap[`Hip End Zone 1E`] = cp_1E;
+            cpMap[`Hip End Zone 2E ${a_str}`] = cp_2E;
+            if (theta >= 20) {
+                cpMap[`Hip End Zone 3E ${a_str}`] = cp_3E;
+            }
+        }
+
+        // Side walls are always -0.7
+        cpMap["Side Wall"] = -0.7;
+
+        return cpMap;
+    }
+
+    // Cp values for buildings of all heights (Analytical Procedure)
+    // Reference: ASCE 7-16 Figure 27.3-1
+    function getAnalyticalCpValues(h, dim_parallel_to_wind, dim_perp_to_wind, roofSlopeDeg) {
+        // Input validation
+        if (!isFinite(h) || !isFinite(dim_parallel_to_wind) || !isFinite(dim_perp_to_wind) || !isFinite(roofSlopeDeg)) {
+            throw new Error('Invalid input parameters for Cp calculation');
+        }
+
+        // Handle invalid dimensions
+        if (h <= 0 || dim_parallel_to_wind <= 0 || dim_perp_to_wind <= 0) {
+            throw new Error('Building dimensions must be positive');
+        }
+
+        const warnings = [];
+        const cpMap = {};
+
+        // Calculate aspect ratios with proper validation
+        const L_over_B = dim_parallel_to_wind / dim_perp_to_wind;
+        const h_over_L = h / dim_parallel_to_wind;
+
+        // Handle negative or extreme roof slopes
+        const absSlope = Math.abs(roofSlopeDeg);
+        if (absSlope > 45) {
+            warnings.push('Roof slope exceeds 45 degrees. Consider using Alternative Procedures from ASCE 7-16 Section 27.3.2.');
+        }
+        if (absSlope < 10) {
+            warnings.push('Roof slope is less than 10 degrees. Results may be conservative.');
+        }
+
+        // Wall pressure coefficients - constant values from ASCE 7-16 Fig. 27.3-1
+        cpMap["Windward Wall"] = 0.8;
+        cpMap["Side Wall"] = -0.7;
+
+        try {
+            // Leeward wall Cp with clamped L/B ratio
+            const boundedL_over_B = Math.min(Math.max(L_over_B, 0), 4);
+            cpMap[`Leeward Wall (L/B = ${boundedL_over_B.toFixed(2)})`] = 
+                interpolate(boundedL_over_B, [0, 1, 2, 4], [-0.5, -0.5, -0.3, -0.2]);
+
+            // Roof pressure coefficients with full slope coverage
+            if (h_over_L <= 0.8) {
+                // Low-rise configuration
+                const boundedSlope = Math.min(Math.max(absSlope, 10), 45);
+                cpMap[`Roof Windward (h/L = ${h_over_L.toFixed(2)})`] = 
+                    interpolate(boundedSlope, [10, 15, 20, 25, 30, 35, 45],
+                             [-0.7, -0.5, -0.3, -0.2, -0.2, 0.0, 0.4]);
+                
+                // Extended leeward coefficients for all slopes
+                cpMap[`Roof Leeward (h/L = ${h_over_L.toFixed(2)})`] = 
+                    interpolate(boundedSlope, [10, 15, 20, 25, 30, 35, 45],
+                             [-0.3, -0.5, -0.6, -0.6, -0.6, -0.6, -0.6]);
+            } else {
+                // Tall building configuration
+                const boundedSlope = Math.min(Math.max(absSlope, 10), 45);
+                cpMap[`Roof Windward (h/L = ${h_over_L.toFixed(2)})`] = 
+                    interpolate(boundedSlope, [10, 15, 20, 25, 30, 35, 45],
+                             [-0.9, -0.7, -0.4, -0.3, -0.2, 0.0, 0.4]);
+                cpMap[`Roof Leeward (h/L = ${h_over_L.toFixed(2)})`] = -0.7;
+            }
+        } catch (error) {
+            console.error('Error in pressure coefficient calculation:', error);
+            // Provide conservative defaults if interpolation fails
+            cpMap[`Leeward Wall (L/B = ${L_over_B.toFixed(2)})`] = -0.5;
+            cpMap[`Roof Windward (h/L = ${h_over_L.toFixed(2)})`] = -0.9;
+            cpMap[`Roof Leeward (h/L = ${h_over_L.toFixed(2)})`] = -0.7;
+            warnings.push('Error in pressure coefficient calculation. Using conservative values.');
+        }
+
+        return { cpMap, warnings };
+}
+
+    // Net pressure coefficients CN for open buildings with free roofs, θ <= 45°
+    // Reference: ASCE 7-16/22 Figures 27.3-4 to 27.3-7. Each row is one roof angle:
+    // [θ, Case A clear CNW, CNL, obstructed CNW, CNL, Case B clear CNW, CNL, obstructed CNW, CNL]
+    // CNW acts on the windward half of the roof and CNL on the leeward half; positive is downward.
+    const FREE_ROOF_CN = {
+        monoslope: { // Fig. 27.3-4, γ = 0° (wind onto the low eave)
+            ref: '27.3-4',
+            rows: [
+                [0, 1.2, 0.3, -0.5, -1.2, -1.1, -0.1, -1.1, -0.6],
+                [7.5, -0.6, -1.0, -1.0, -1.5, -1.4, 0.0, -1.7, -0.8],
+                [15, -0.9, -1.3, -1.1, -1.5, -1.9, 0.0, -2.1, -0.6],
+                [22.5, -1.5, -1.6, -1.5, -1.7, -2.4, -0.3, -2.3, -0.9],
+                [30, -1.8, -1.8, -1.5, -1.8, -2.5, -0.5, -2.3, -1.1],
+                [37.5, -1.8, -1.8, -1.5, -1.8, -2.4, -0.6, -2.2, -1.1],
+                [45, -1.6, -1.8, -1.3, -1.8, -2.3, -0.7, -1.9, -1.2]
+            ]
+        },
+        monoslope_reversed: { // Fig. 27.3-4, γ = 180° (wind onto the high eave)
+            ref: '27.3-4',
+            rows: [
+                [0, 1.2, 0.3, -0.5, -1.2, -1.1, -0.1, -1.1, -0.6],
+                [7.5, 0.9, 1.5, -0.2, -1.2, 1.6, 0.3, 0.8, -0.3],
+                [15, 1.3, 1.6, 0.4, -1.1, 1.8, 0.6, 1.2, -0.3],
+                [22.5, 1.7, 1.8, 0.5, -1.0, 2.2, 0.7, 1.3, 0.0],
+                [30, 2.1, 2.1, 0.6, -1.0, 2.6, 1.0, 1.6, 0.1],
+                [37.5, 2.1, 2.2, 0.7, -0.9, 2.7, 1.1, 1.9, 0.3],
+                [45, 2.2, 2.5, 0.8, -0.9, 2.6, 1.4, 2.1, 0.4]
+            ]
+        },
+        pitched: { // Fig. 27.3-5, γ = 0°, 180°
+            ref: '27.3-5',
+            rows: [
+                [7.5, 1.1, -0.3, -1.6, -1.0, 0.2, -1.2, -0.9, -1.7],
+                [15, 0.6, -1.0, -1.2, -1.6, -0.3, -1.3, -1.3, -1.6],
+                [22.5, 0.7, -0.9, -1.2, -1.5, -0.3, -1.6, -1.3, -1.7],
+                [30, 0.8, -0.8, -1.2, -1.5, -0.5, -1.5, -1.4, -1.6],
+                [37.5, 0.9, -0.6, -1.2, -1.5, -0.6, -1.4, -1.4, -1.6],
+                [45, 1.0, -0.5, -1.2, -1.5, -0.7, -1.3, -1.5, -1.6]
+            ]
+        },
+        troughed: { // Fig. 27.3-6, γ = 0°, 180°
+            ref: '27.3-6',
+            rows: [
+                [7.5, -1.1, 0.3, -1.6, -0.5, 0.1, 1.2, -0.9, -0.8],
+                [15, -1.4, 0.4, -1.2, -0.5, 0.4, 1.3, -1.0, -0.6],
+                [22.5, -1.8, 0.4, -1.3, -0.6, 0.5, 1.5, -1.1, -0.6],
+                [30, -2.0, 0.2, -1.4, -0.8, 0.6, 1.6, -1.2, -0.6],
+                [37.5, -2.2, 0.1, -1.5, -0.8, 0.7, 1.8, -1.3, -0.7],
+                [45, -2.3, 0.0, -1.6, -0.9, 0.8, 2.0, -1.4, -0.7]
+            ]
+        }
+    };
+
+    // Fig. 27.3-7, wind parallel to the ridge (γ = 90°) for every free roof shape. Each row is a
+    // strip by its distance from the windward edge, in multiples of h:
+    // [to distance, clear Case A, Case B, obstructed Case A, Case B]
+    const FREE_ROOF_CN_PARALLEL = [
+        [1, -0.8, 0.8, -1.2, 0.5],
+        [2, -0.6, 0.5, -0.9, 0.5],
+        [Infinity, -0.3, 0.3, -0.6, 0.3]
+    ];
+
+    /**
+     * Maps the roof type of the form to a free roof shape. Flat roofs are monoslope roofs at 0°;
+     * gable and hip roofs are taken as pitched free roofs.
+     */
+    function getFreeRoofShape(roofType) {
+        if (roofType === 'troughed') return 'troughed';
+        if (['gable', 'hip', 'pitched_troughed'].includes(roofType)) return 'pitched';
+        return 'monoslope';
+    }
+
+    /**
+     * Net pressure coefficients CN for open buildings with free roofs, for both load cases.
+     * @returns {{ normal: object[], parallel: object[], ref: string }} `normal` lists the roof
+     *   halves with wind normal to the ridge (γ = 0°, and 180° for monoslope roofs), `parallel`
+     *   the strips from the windward edge with wind parallel to the ridge (γ = 90°).
+     */
+    function getOpenBuildingCnValues(roofType, roofSlopeDeg, isObstructed, h, alongRidgeLength, h_unit) {
+        const shape = getFreeRoofShape(roofType);
+        const theta = shape === 'monoslope' && roofType === 'flat' ? 0 : Math.abs(roofSlopeDeg);
+        const flow = isObstructed ? 'obstructed' : 'clear';
+        const offset = isObstructed ? 2 : 0; // Obstructed CNW/CNL follow the clear ones in each row
+
+        const fromTable = (table) => {
+            const angles = table.rows.map(row => row[0]);
+            const column = (index) => interpolate(theta, angles, table.rows.map(row => row[index]));
+            return { A: [column(1 + offset), column(2 + offset)], B: [column(5 + offset), column(6 + offset)] };
+        };
+
+        const normal = [];
+        const directions = shape === 'monoslope'
+            ? [['monoslope', theta > 0 ? ', γ = 0°' : ''], ...(theta > 0 ? [['monoslope_reversed', ', γ = 180°']] : [])]
+            : [[shape, '']];
+        for (const [key, gammaLabel] of directions) {
+            const cases = fromTable(FREE_ROOF_CN[key]);
+            for (const loadCase of ['A', 'B']) {
+                normal.push({ surface: `Windward Roof Half (Case ${loadCase}${gammaLabel})`, cn: cases[loadCase][0] });
+                normal.push({ surface: `Leeward Roof Half (Case ${loadCase}${gammaLabel})`, cn: cases[loadCase][1] });
+            }
+        }
+
+        const parallel = [];
+        let start = 0;
+        for (const [to, clearA, clearB, obstructedA, obstructedB] of FREE_ROOF_CN_PARALLEL) {
+            if (start >= alongRidgeLength) break;
+            const end = Math.min(to * h, alongRidgeLength);
+            const range = to === Infinity ? `> ${start.toFixed(1)} ${h_unit}` : `${start.toFixed(1)} to ${end.toFixed(1)} ${h_unit}`;
+            const [cnA, cnB] = isObstructed ? [obstructedA, obstructedB] : [clearA, clearB];
+            parallel.push({ surface: `Roof ${range} from Windward Edge (Case A)`, cn: cnA });
+            parallel.push({ surface: `Roof ${range} from Windward Edge (Case B)`, cn: cnB });
+            start = end;
+        }
+
+        return { normal, parallel, ref: `ASCE 7 Figs. ${FREE_ROOF_CN[shape].ref} and 27.3-7 (${flow} wind flow)` };
+    }
+
+    // External pressure coefficients Cp
+    // Reference: ASCE 7-16/22 Figures 27.4-1, 27.4-2, 27.4-3 (now includes edge/corner zones for flat roofs)
+    // NOTE: For more complex roof shapes, see future improvement
+    function getCpValues(standard, h, L, B, roofType, roofSlopeDeg, unitSystem) {
+        const cpMap = {};
+        const refNotes = {};
+        const L_over_B = B > 0 ? L / B : 0;
+        const h_unit = unitSystem === 'imperial' ? 'ft' : 'm';
+
+        cpMap["Windward Wall"] = 0.8;
+        refNotes["Windward Wall"] = "ASCE 7 Fig. 27.4-1";
+        cpMap["Side Wall"] = -0.7;
+        refNotes["Side Wall"] = "ASCE 7 Fig. 27.4-1";
+        cpMap["Leeward Wall"] = interpolate(L_over_B, [0, 1, 2, 4], [-0.5, -0.5, -0.3, -0.2]);
+        refNotes["Leeward Wall"] = "ASCE 7 Fig. 27.4-1 (varies with L/B)";
+
+        if (roofType === "flat") {
+            if (standard === "ASCE 7-22") {
+                // ASCE 7-22 Figure 27.4-1 (Zoned approach)
+                let a = Math.min(0.1 * Math.min(L, B), 0.4 * h);
+                const min_a = unitSystem === 'imperial' ? 3.0 : 0.9;
+                a = Math.max(a, min_a);
+                cpMap[`Roof Zone 1 (0 to ${a.toFixed(1)} ${h_unit})`] = -0.9;
+                cpMap[`Roof Zone 2 (${a.toFixed(1)} to ${2*a.toFixed(1)} ${h_unit})`] = -0.5;
+                cpMap[`Roof Zone 3 (> ${2*a.toFixed(1)} ${h_unit})`] = -0.3;
+                refNotes["Roof"] = "ASCE 7-22 Fig. 27.4-1 (Zoned approach)";
+            } else { // ASCE 7-16
+                // ASCE 7-16 Figure 27.4-1 (h/L approach)
+                const h_over_L = L > 0 ? h / L : 0;
+                if (h_over_L <= 0.5) {
+                    cpMap[`Roof (0 to ${(h/2).toFixed(1)} ${h_unit})`] = -0.9;
+                    cpMap[`Roof (${(h/2).toFixed(1)} to ${h.toFixed(1)} ${h_unit})`] = -0.9;
+                    cpMap[`Roof (${h.toFixed(1)} to ${(2*h).toFixed(1)} ${h_unit})`] = -0.5;
+                    cpMap[`Roof (> ${(2*h).toFixed(1)} ${h_unit})`] = -0.3;
+                    refNotes["Roof"] = "ASCE 7-16 Fig. 27.4-1 (h/L ≤ 0.5)";
+                } else {
+                    cpMap[`Roof (0 to ${(h/2).toFixed(1)} ${h_unit})`] = interpolate(h_over_L, [0.5, 1.0], [-0.9, -1.3]);
+                    cpMap[`Roof (${(h/2).toFixed(1)} to ${h.toFixed(1)} ${h_unit})`] = interpolate(h_over_L, [0.5, 1.0], [-0.9, -0.7]);
+                    cpMap[`Roof (> ${h.toFixed(1)} ${h_unit})`] = interpolate(h_over_L, [0.5, 1.0], [-0.5, -0.4]);
+                    refNotes["Roof"] = "ASCE 7-16 Fig. 27.4-1 (h/L > 0.5)";
+                }
+            }
+        } else if (["gable", "hip"].includes(roofType)) {
+            const isHip = roofType === 'hip';
+            const gableHipCp = getGableHipCpValues(h, L, B, roofSlopeDeg, isHip, unitSystem);
+            Object.assign(cpMap, gableHipCp);
+            refNotes["Roof"] = `ASCE 7-16/22 Fig. 27.4-2 (${isHip ? 'Hip' : 'Gable'})`;
+        }
+        return { cpMap, refNotes };
+    }
+
+// Directionality factor Kd
+// Reference: ASCE 7-16/22 Table 26.6-1
+function getKdFactor(structureType) {
+        const kdMap = {
+            "Buildings (MWFRS, C&C)": [0.85, "ASCE 7 Table 26.6-1 (Buildings)"],
+            "Arched Roofs": [0.85, "ASCE 7 Table 26.6-1 (Arched Roofs)"],
+            "Solid Freestanding Signs/Walls": [0.85, "ASCE 7 Table 26.6-1 (Signs/Walls)"],
+            "Open Signs/Frames": [0.85, "ASCE 7 Table 26.6-1 (Open Signs)"],
+            "Trussed Towers (Triangular, Square, Rectangular)": [0.85, "ASCE 7 Table 26.6-1 (Trussed Towers)"],
+            "Trussed Towers (All Other Cross Sections)": [0.95, "ASCE 7 Table 26.6-1 (Trussed Towers)"],
+            "Chimneys, Tanks (Square)": [0.90, "ASCE 7 Table 26.6-1 (Square)"],
+            "Chimneys, Tanks (Hexagonal)": [0.95, "ASCE 7 Table 26.6-1 (Hexagonal)"],
+            "Chimneys, Tanks (Round)": [0.95, "ASCE 7 Table 26.6-1 (Round)"]
+        };
+        return kdMap[structureType] || [1.0, "ASCE 7 Table 26.6-1 (Default)"];
+    }
+
+// Importance factor Iw
+// Reference: ASCE 7-16/22 Table 1.5-2
+function getImportanceFactor(category, standard) {
+        const factors = standard === "ASCE 7-22" ? { "I": 0.75, "II": 1.00, "III": 1.15, "IV": 1.15 } : { "I": 0.87, "II": 1.00, "III": 1.15, "IV": 1.15 };
+        const ref = standard === "ASCE 7-22" ? "ASCE 7-22 Table 1.5-2" : "ASCE 7-16 Table 1.5-2";
+        return [factors[category] || 1.00, ref];
+    }
+
+// Wind exposure constants (alpha, zg)
+// Reference: ASCE 7-16/22 Table 26.9-1
+function getExposureConstants(category, units) {
+    const expMap = {
+        'B': { alpha: 7.0, zg_imp: 1200.0, zg_metric: 365.8, ref: "ASCE 7 Table 26.9-1 (Exposure B)" },
+        'C': { alpha: 9.5, zg_imp: 900.0, zg_metric: 274.3, ref: "ASCE 7 Table 26.9-1 (Exposure C)" },
+        'D': { alpha: 11.5, zg_imp: 700.0, zg_metric: 213.4, ref: "ASCE 7 Table 26.9-1 (Exposure D)" }
+    };
+    const data = expMap[category] || expMap['C'];
+    const zg = units === 'imperial' ? data.zg_imp : data.zg_metric;
+    return { alpha: data.alpha, zg, ref_note: data.ref };
+}
+
+// Calculation of exposure factor Kz
+// Reference: ASCE 7-16/22 Section 26.10, Eq. 26.10-1
+// Table 26.10-1 for exposure constants
+function calculateKz(h, category, units, trace = createTrace()) { // Refactored for readability
+    // --- 1. Input Validation (Guard Clauses) ---
+    if (!isFinite(h) || h < 0 || !category) {
+        console.error("Invalid parameters for calculateKz:", { h, category });
+        return { Kz: 1.0, alpha: 0, zg: 0, ref_note: "Error: Invalid input" };
+    }
+
+    const { alpha, zg, ref_note } = getExposureConstants(category, units);
+    if (!isFinite(alpha) || !isFinite(zg) || alpha <= 0 || zg <= 0) {
+        console.error("Invalid exposure constants from getExposureConstants:", { alpha, zg });
+        return { Kz: 1.0, alpha, zg, ref_note: "Error: Invalid exposure constants" };
+    }
+
+    // --- 2. Main Calculation Logic ---
+    const h_unit = units === 'imperial' ? 'ft' : 'm';
+    trace.value('alpha', alpha, { label: 'Exposure Constant', ref: ref_note });
+    trace.value('z_g', zg, { label: 'Exposure Constant', units: h_unit, decimals: 1, ref: ref_note });
+    const min_h = units === 'imperial' ? 15.0 : 4.6;
+    const calc_h = trace.calc('z', 'max(h, z_min)', { h, z_min: min_h }, { label: 'Height for K_z', units: h_unit, note: `not taken below ${min_h} ${h_unit}` });
+    const Kz = trace.calc('K_z', '2.01 * (z / z_g) ^ (2 / alpha)', { z: calc_h, z_g: zg, alpha }, { label: 'Exposure Coefficient', decimals: 3, ref: 'ASCE 7 Table 26.10-1' });
+
+    // --- 3. Output Validation ---
+    if (!isFinite(Kz)) {
+        console.error("Kz calculation resulted in a non-finite value:", { calc_h, zg, alpha });
+        return { Kz: 1.0, alpha, zg, ref_note: "Error: Kz calculation failed" };
+    }
+
+    return { Kz, alpha, zg, ref_note };
+}
+
+// Elevation factor Ke
+// Reference: ASCE 7-16 Table 26.9-1; ASCE 7-22 Section 26.9 (Ke=1.0)
+function calculateKe(elevation, units, standard) {
+        if (standard === "ASCE 7-22") return [1.0, "ASCE 7-22 Section 26.9 (Ke = 1.0)"];
+        // Below sea level Ke is taken as 1.0; above 6000 ft the table's last value is kept (conservative).
+        const elev_ft = [0, 1000, 2000, 3000, 4000, 5000, 6000];
+        const ke_vals = [1.00, 0.96, 0.93, 0.90, 0.86, 0.83, 0.80];
+        const elev_calc = units === 'metric' ? elevation * 3.28084 : elevation;
+        const ke_val = interpolate(elev_calc, elev_ft, ke_vals);
+        return [ke_val, `ASCE 7-16 Table 26.9-1 (Elevation: ${elev_calc.toFixed(0)} ft)`];
+    }
+
+// Topographic factor Kzt = (1 + K1 K2 K3)^2
+// Reference: ASCE 7-16/22 Section 26.8, Figure 26.8-1
+// k: K1/(H/Lh) by exposure; gamma: height attenuation; mu: horizontal attenuation upwind/downwind of the crest.
+const TOPOGRAPHIC_FEATURES = {
+    ridge: { label: '2-D Ridge', k: { B: 1.30, C: 1.45, D: 1.55 }, gamma: 3.0, mu: { upwind: 1.5, downwind: 1.5 } },
+    escarpment: { label: '2-D Escarpment', k: { B: 0.75, C: 0.85, D: 0.95 }, gamma: 2.5, mu: { upwind: 1.5, downwind: 4.0 } },
+    hill: { label: '3-D Axisymmetric Hill', k: { B: 0.95, C: 1.05, D: 1.15 }, gamma: 4.0, mu: { upwind: 1.5, downwind: 1.5 } }
+};
+
+/**
+ * Topographic factor at height z above the local ground. Without a topographic feature the
+ * Kzt entered on the page is used at every height.
+ * @returns {{Kzt: number, ref: string, K1?: number, K2?: number, K3?: number, note?: string}}
+ */
+function calculateTopographicFactor(inputs, z, trace = createTrace()) {
+    const feature = TOPOGRAPHIC_FEATURES[inputs.topo_feature];
+    if (!feature) {
+        return { Kzt: trace.value('K_zt', inputs.topographic_factor_Kzt, { label: 'Topographic Factor', note: 'entered' }), ref: 'User Input' };
+    }
+    const { topo_hill_height_H: H, topo_half_length_Lh: Lh, topo_distance_x: x, topo_crest_side, exposure_category, unit_system } = inputs;
+    const ref = `ASCE 7 Fig. 26.8-1 (${feature.label})`;
+    const h_unit = unit_system === 'imperial' ? 'ft' : 'm';
+
+    // Sec. 26.8.1: no speed-up for low or gentle features (H below 15 ft, or 60 ft in Exposure B; H/Lh < 0.2).
+    const H_min = exposure_category === 'B' ? (unit_system === 'imperial' ? 60 : 18) : (unit_system === 'imperial' ? 15 : 4.5);
+    if (H < H_min || H / Lh < 0.2) {
+        const note = `H < ${H_min} ${h_unit} or H/Lh < 0.2, so Kzt = 1.0 (Sec. 26.8.1)`;
+        return { Kzt: trace.value('K_zt', 1.0, { label: 'Topographic Factor', note, ref: 'ASCE 7 Sec. 26.8.1' }), ref, note };
+    }
+
+    // Where H/Lh > 0.5, K1 uses H/Lh = 0.5 and K2, K3 use Lh = 2H (Fig. 26.8-1, Note 2).
+    const steep = H / Lh > 0.5;
+    const k = feature.k[exposure_category] ?? feature.k.C;
+    const K1 = trace.calc('K_1', 'k * min(H / L_h, 0.5)', { k, H, L_h: Lh }, { label: 'Topographic Multiplier', decimals: 3, ref });
+    const L_h = steep ? 2 * H : Lh;
+    const mu = feature.mu[topo_crest_side === 'downwind' ? 'downwind' : 'upwind'];
+    const note = steep ? 'Lh = 2H for H/Lh > 0.5' : undefined;
+    const K2 = trace.calc('K_2', 'max(1 - abs(x) / (mu * L_h), 0)', { x, mu, L_h }, { label: 'Horizontal Attenuation', decimals: 3, note, ref });
+    const K3 = trace.calc('K_3', 'exp(-gamma * z / L_h)', { gamma: feature.gamma, z, L_h }, { label: 'Height Attenuation', decimals: 3, note, ref });
+    const Kzt = trace.calc('K_zt', '(1 + K_1 * K_2 * K_3) ^ 2', { K_1: K1, K_2: K2, K_3: K3 }, { label: 'Topographic Factor', decimals: 3, ref: 'ASCE 7 Eq. 26.8-1' });
+    return { Kzt, K1, K2, K3, ref };
+}
+
+// Wind velocity pressure qz
+// Reference: ASCE 7-16/22 Eq. 26.10-1
+function calculateVelocityPressure(Kz, Kzt, Kd, Ke, V, standard, riskCat, units, trace = createTrace()) {
+    // Validate all inputs
+    const safeKz = isFinite(Kz) && Kz > 0 ? Kz : 1.0;
+    const safeKzt = isFinite(Kzt) && Kzt > 0 ? Kzt : 1.0;
+    const safeKd = isFinite(Kd) && Kd > 0 ? Kd : 0.85;
+    const safeKe = isFinite(Ke) && Ke > 0 ? Ke : 1.0;
+    const safeV = isFinite(V) && V > 0 ? V : 100; // Default safe wind speed
+    
+    const [Iw, iw_ref] = getImportanceFactor(riskCat, standard);
+    const constant = units === 'imperial' ? 0.00256 : 0.613;
+    
+    const factors = { C: constant, K_z: safeKz, K_zt: safeKzt, K_d: safeKd, K_e: safeKe, V: safeV };
+    const display = { label: 'Velocity Pressure', units: units === 'imperial' ? 'psf' : 'Pa' };
+    let qz, ref_note;
+    if (standard === 'ASCE 7-22') {
+        // ASCE 7-22 includes Iw directly in the velocity pressure equation.
+        ref_note = `ASCE 7-22 Eq. 26.10-1 (Iw = ${Iw.toFixed(2)} from ${iw_ref})`;
+        qz = trace.calc('q_z', 'C * K_z * K_zt * K_d * K_e * I_w * V ^ 2', { ...factors, I_w: Iw }, { ...display, ref: ref_note });
+    } else { // ASCE 7-16 and other fallbacks
+        // ASCE 7-16 does NOT include Iw in the velocity pressure equation. It's applied later in load combinations.
+        ref_note = "ASCE 7-16 Eq. 26.10-1";
+        qz = trace.calc('q_z', 'C * K_z * K_zt * K_d * K_e * V ^ 2', factors, { ...display, ref: ref_note });
+    }
+    
+    // Final validation
+    if (!isFinite(qz) || qz < 0) {
+        console.warn("Invalid qz calculated, using fallback");
+        qz = units === 'imperial' ? 10.0 : 500.0; // Reasonable fallback
+        ref_note += " - Fallback value used due to calculation issue";
+    }
+    
+    return { qz, ref_note };
+}
+
+// Design pressure p = qz(G*Cp - GCpi) for windward wall
+// or p = qh(G*Cp - GCpi) for other surfaces
+// Reference: ASCE 7-16/22 Eq. 27.4-1 (MWFRS)
+function calculateDesignPressure(q_ext, q_int, G, Cp, GCpi, isWindward = false) {
+    // Validate inputs
+    if (!isFinite(q_ext) || !isFinite(q_int) || !isFinite(G) || !isFinite(Cp) || !isFinite(GCpi)) {
+        throw new Error('Invalid input parameters for pressure calculation');
+    }
+    
+    // Correct formula: p = q(GCp) - qi(GCpi)
+    // q_ext = qz for windward wall, qh for others
+    // q_int = qh for enclosed/partially enclosed buildings
+    const external_pressure = q_ext * G * Cp;
+    const internal_pressure = q_int * GCpi;
+    return external_pressure - internal_pressure;
+}
+    // --- C&C Calculation Helpers for h > 60 ft ---
+
+    /**
+     * A generic helper for 2D interpolation of GCp values for high-rise buildings.
+     * It interpolates first based on the logarithm of the effective wind area,
+     * and then based on the building height.
+     * @param {object} gcp_data - The data object containing GCp values, heights, and areas.
+     * @param {number} A - The effective wind area.
+     * @param {number} h - The mean roof height.
+     * @returns {object} An object mapping zones to their interpolated positive and negative GCp values.
+     */
+    function interpolateHighRiseGcp(gcp_data, A, h) {
+        const log_areas = gcp_data.areas.map(Math.log);
+        const log_A = Math.log(A);
+        const results = {};
+
+        // Iterate over the zones defined in the gcp_data object (e.g., 'Wall Zone 4', 'Roof Zone 1'').
+        for (const zone of Object.keys(gcp_data).filter(k => k !== 'heights' && k !== 'areas')) {
+            const zoneData = gcp_data[zone];
+            
+            // 1. Interpolate across area for each height point in the table.
+            const pos_vals_at_h = gcp_data.heights.map((_, i) => interpolate(log_A, log_areas, zoneData.pos.slice(i * gcp_data.areas.length, (i + 1) * gcp_data.areas.length)));
+            const neg_vals_at_h = gcp_data.heights.map((_, i) => interpolate(log_A, log_areas, zoneData.neg.slice(i * gcp_data.areas.length, (i + 1) * gcp_data.areas.length)));
+            
+            // 2. Interpolate across height using the results from the area interpolation.
+            results[zone] = {
+                positive: interpolate(h, gcp_data.heights, pos_vals_at_h),
+                negative: interpolate(h, gcp_data.heights, neg_vals_at_h)
+            };
+        }
+        return results;
+    }
+
+    function calculateWallPressuresHighRise(A, h) {
+        const gcp_data = {
+            heights: [60, 100, 200, 300, 400, 500],
+            areas: [10, 100, 500],
+            'Wall Zone 4': {
+                pos: [0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8],
+                neg: [-1.0, -0.9, -0.8, -1.2, -1.1, -0.9, -1.5, -1.3, -1.2, -1.7, -1.5, -1.3, -1.9, -1.7, -1.5, -2.1, -1.8, -1.6]
+            },
+            'Wall Zone 5': {
+                pos: [0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8],
+                neg: [-1.2, -1.1, -1.0, -1.4, -1.3, -1.1, -1.8, -1.6, -1.4, -2.0, -1.8, -1.6, -2.3, -2.0, -1.8, -2.5, -2.2, -2.0]
+            }
+        };
+        return interpolateHighRiseGcp(gcp_data, A, h);
+    }    
+
+    function calculateSteepRoofCandC(A, h, theta) {
+        // ASCE 7-16 Figure 30.5-2 for Steep Roofs (theta > 7 deg)
+        const gcp_data = {
+            heights: [60, 100, 200, 300, 400, 500],
+            areas: [10, 100, 500],
+            'Zone 1\'': {
+                pos: [0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3],
+                neg: [-1.0, -0.9, -0.7, -1.2, -1.0, -0.8, -1.5, -1.2, -1.0, -1.7, -1.4, -1.1, -1.9, -1.6, -1.3, -2.1, -1.7, -1.4]
+            },
+            'Zone 2\'': {
+                pos: [0.9, 0.7, 0.5, 1.1, 0.8, 0.6, 1.3, 1.0, 0.8, 1.5, 1.2, 0.9, 1.7, 1.3, 1.0, 1.8, 1.4, 1.1],
+                neg: [-1.8, -1.4, -1.0, -2.1, -1.6, -1.2, -2.5, -2.0, -1.5, -2.9, -2.3, -1.7, -3.2, -2.6, -2.0, -3.5, -2.8, -2.2]
+            },
+            'Zone 3\'': {
+                pos: [1.3, 1.0, 0.7, 1.5, 1.2, 0.9, 1.8, 1.5, 1.1, 2.1, 1.7, 1.3, 2.4, 1.9, 1.5, 2.6, 2.1, 1.6],
+                neg: [-2.6, -2.0, -1.4, -3.0, -2.4, -1.7, -3.6, -2.9, -2.2, -4.1, -3.3, -2.5, -4.6, -3.7, -2.8, -5.0, -4.1, -3.1]
+            }
+        };
+        return interpolateHighRiseGcp(gcp_data, A, h);
+    }    
+
+    function calculateLowSlopeRoofPressuresHighRise(A, h) {
+        const gcp_data = {
+            heights: [60, 100, 200, 300, 400, 500],
+            areas: [10, 100, 500],
+            'Roof Zone 1\'': {
+                pos: [0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3],
+                neg: [-1.1, -0.9, -0.7, -1.3, -1.1, -0.8, -1.6, -1.4, -1.1, -1.9, -1.6, -1.3, -2.2, -1.8, -1.5, -2.4, -2.0, -1.7]
+            },
+            'Roof Zone 2\'': {
+                pos: [0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3],
+                neg: [-1.8, -1.4, -1.0, -2.2, -1.7, -1.2, -2.8, -2.2, -1.6, -3.2, -2.6, -2.0, -3.6, -3.0, -2.3, -4.0, -3.3, -2.6]
+            },
+            'Roof Zone 3\'': {
+                pos: [0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3],
+                neg: [-2.6, -2.0, -1.4, -3.2, -2.5, -1.8, -4.0, -3.2, -2.4, -4.6, -3.8, -2.8, -5.2, -4.3, -3.2, -5.7, -4.7, -3.5]
+            }
+        };
+        return interpolateHighRiseGcp(gcp_data, A, h);
+    }    
+
+    /**
+     * Calculates C&C pressures for high-rise buildings (h > 60ft) by selecting the appropriate
+     * data tables and converting the resulting GCp values to pressures.
+     * @param {object} inputs - The user inputs object.
+     * @param {number} qh - The velocity pressure at the mean roof height.
+     * @param {number} GCpi_abs - The absolute value of the internal pressure coefficient.
+     * @returns {object} An object containing the calculated pressures and other metadata.
+     */
+    function calculateHighRiseCandCPressures(inputs, qh, GCpi_abs) {
+        const { mean_roof_height: h, effective_wind_area: A, roof_slope_deg, roof_type, unit_system } = inputs;
+        const warnings = [];
+        const results = {};
+
+        // Wall pressures (Figure 30.5-1)
+        Object.assign(results, calculateWallPressuresHighRise(A, h));
+
+        // Roof pressures based on roof type and slope
+        const is_low_slope = roof_slope_deg <= 7;
+        if (roof_type === 'flat' || (['gable', 'hip'].includes(roof_type) && is_low_slope)) {
+            Object.assign(results, calculateLowSlopeRoofPressuresHighRise(A, h));
+        } else if (['gable', 'hip'].includes(roof_type) && !is_low_slope) {
+            Object.assign(results, calculateSteepRoofCandC(A, h, roof_slope_deg));
+        } else {
+            warnings.push(`C&C pressures for '${roof_type}' roofs on high-rise buildings are not explicitly covered by the prescriptive methods in ASCE 7-16 Ch. 30 and are not calculated.`);
+        }
+
+        // Convert GCp values to final pressures
+        const finalPressures = {};
+        for (const [zone, gcps] of Object.entries(results)) {
+            if (typeof gcps.positive !== 'number' || typeof gcps.negative !== 'number') continue;
+
+            const p1 = qh * (gcps.positive - GCpi_abs);
+            const p2 = qh * (gcps.positive - (-GCpi_abs));
+            const p3 = qh * (gcps.negative - GCpi_abs);
+            const p4 = qh * (gcps.negative - (-GCpi_abs));
+
+            finalPressures[zone] = {
+                gcp_pos: gcps.positive, gcp_neg: gcps.negative,
+                p_pos: Math.max(p1, p2, p3, p4), p_neg: Math.min(p1, p2, p3, p4)
+            };
+        }
+
+        return { applicable: true, pressures: finalPressures, ref: `ASCE 7-16 Ch. 30, Part 2 (h > ${unit_system === 'imperial' ? '60ft' : '18.3m'})`, is_high_rise: true, warnings };
+    }
+
+    // Enhanced C&C calculation function
+    function calculateCandCPressuresEnhanced(inputs, qh, GCpi_abs) {
+        const { mean_roof_height, effective_wind_area, roof_slope_deg, roof_type, unit_system } = inputs;
+        const h = mean_roof_height;
+        const A = effective_wind_area;
+        const is_high_rise = unit_system === 'imperial' ? h > 60 : h > 18.3;
+        const warnings = [];
+
+        // ASCE 7-16 Chapter 30, Part 2: Buildings with h > 60 ft
+        if (is_high_rise) {
+            return calculateHighRiseCandCPressures(inputs, qh, GCpi_abs);
+        }
+
+        // Fallback to existing h <= 60 ft calculations
+        return calculateLowRiseCandCPressures(inputs, qh, GCpi_abs);
+    }
+
+    // Data store for ASCE 7-16 C&C GCp values for low-rise buildings (h <= 60ft)
+    const GCP_DATA = {
+        wall: {
+            zone4: [-1.1, -1.1, -1.1, -1.1, -1.0, -0.9], // Fig 30.3-1
+            zone5: [-1.4, -1.3, -1.2, -1.1, -1.0, -0.9]  // Fig 30.3-1
+        },
+        gable: { // Fig 30.3-2
+            caseA: { // theta <= 7 deg
+                zone1: [-1.0, -1.0, -0.9, -0.8, -0.6, -0.5],
+                zone2: [-1.7, -1.5, -1.2, -1.0, -0.7, -0.5],
+                zone3: [-2.3, -2.0, -1.5, -1.2, -0.7, -0.5]
+            },
+            caseB: { // 27 < theta <= 45 deg
+                zone1: [-1.0, -1.0, -0.9, -0.8, -0.6, -0.5],
+                zone2: [-1.9, -1.7, -1.4, -1.1, -0.7, -0.5],
+                zone3: [-2.8, -2.5, -1.9, -1.4, -0.7, -0.5]
+            }
+        },
+        hip: { // Fig 30.3-3
+            caseA: { // theta <= 7 deg
+                zone1: [-1.0, -1.0, -0.9, -0.8, -0.6, -0.5], zone2: [-1.7, -1.5, -1.2, -1.0, -0.7, -0.5], zone3: [-2.3, -2.0, -1.5, -1.2, -0.7, -0.5],
+                zone1E: [-1.3, -1.3, -1.1, -1.0, -0.7, -0.5], zone2E: [-2.2, -2.0, -1.6, -1.3, -0.8, -0.5], zone3E: [-2.8, -2.5, -2.0, -1.5, -0.8, -0.5]
+            },
+            caseB: { // 27 < theta <= 45 deg
+                zone1: [-1.0, -1.0, -0.9, -0.8, -0.6, -0.5], zone2: [-1.9, -1.7, -1.4, -1.1, -0.7, -0.5], zone3: [-2.8, -2.5, -1.9, -1.4, -0.7, -0.5],
+                zone1E: [-1.5, -1.5, -1.3, -1.1, -0.7, -0.5], zone2E: [-2.5, -2.3, -1.8, -1.4, -0.8, -0.5], zone3E: [-3.3, -3.0, -2.3, -1.7, -0.8, -0.5]
+            }
+        }
+    };
+
+    /**
+     * Helper to get GCp values for different roof types by interpolating based on slope.
+     */
+    function getGcpValuesForRoof(roof_type, theta) {
+        const roofData = GCP_DATA[roof_type];
+        if (!roofData) return {};
+
+        const interpolate_gcp_array = (arrA, arrB) => arrA.map((valA, i) => interpolate(theta, [7, 27], [valA, arrB[i]]));
+
+        if (theta <= 7) return roofData.caseA;
+        if (theta > 45) return roofData.caseB; // Per figures, use Case B for theta > 27
+        if (theta > 7 && theta <= 27) {
+            const interpolated_gcp = {};
+            for (const zone in roofData.caseA) {
+                interpolated_gcp[zone] = interpolate_gcp_array(roofData.caseA[zone], roofData.caseB[zone]);
+            }
+            return interpolated_gcp;
+        }
+        return roofData.caseB; // 27 < theta <= 45
+    }
+
+    // Net pressure coefficients CN for C&C of open buildings with free roofs
+    // Reference: ASCE 7-16/22 Figures 30.7-1 (monoslope), 30.7-2 (pitched), 30.7-3 (troughed).
+    // Each row is one roof angle: [θ, Zone 3 +, Zone 3 -, Zone 2 +, Zone 2 -, Zone 1 +, Zone 1 -],
+    // for an effective wind area of a² or less.
+    const FREE_ROOF_CANDC_CN = {
+        monoslope: {
+            ref: '30.7-1',
+            clear: [
+                [0, 2.4, -3.3, 1.8, -1.7, 1.2, -1.1],
+                [7.5, 3.2, -4.2, 2.4, -2.1, 1.6, -1.4],
+                [15, 3.6, -3.8, 2.7, -2.9, 1.8, -1.9],
+                [30, 5.2, -5.0, 3.9, -3.8, 2.6, -2.5],
+                [45, 5.2, -4.6, 3.9, -3.5, 2.6, -2.3]
+            ],
+            obstructed: [
+                [0, 1.0, -3.6, 0.8, -1.8, 0.5, -1.2],
+                [7.5, 1.6, -5.1, 1.2, -2.6, 0.8, -1.7],
+                [15, 2.4, -4.2, 1.8, -3.2, 1.2, -2.1],
+                [30, 3.2, -4.6, 2.4, -3.5, 1.6, -2.3],
+                [45, 4.2, -3.8, 3.2, -2.9, 2.1, -1.9]
+            ]
+        },
+        pitched: {
+            ref: '30.7-2',
+            clear: [
+                [7.5, 2.4, -3.3, 1.8, -1.7, 1.2, -1.1],
+                [15, 2.2, -3.6, 1.7, -1.8, 1.1, -1.2],
+                [30, 2.6, -3.8, 2.0, -1.9, 1.3, -1.3],
+                [45, 2.2, -3.6, 1.7, -1.8, 1.1, -1.2]
+            ],
+            obstructed: [
+                [7.5, 1.0, -3.6, 0.8, -1.8, 0.5, -1.2],
+                [15, 1.0, -5.1, 0.8, -2.6, 0.5, -1.7],
+                [30, 1.0, -4.2, 0.8, -2.1, 0.5, -1.4],
+                [45, 1.0, -4.6, 0.8, -2.3, 0.5, -1.5]
+            ]
+        },
+        troughed: {
+            ref: '30.7-3',
+            clear: [
+                [7.5, 2.4, -3.3, 1.8, -1.7, 1.2, -1.1],
+                [15, 2.4, -2.7, 1.8, -2.0, 1.2, -1.4],
+                [30, 3.0, -3.4, 2.2, -2.6, 1.5, -1.7],
+                [45, 3.2, -3.6, 2.4, -2.7, 1.6, -1.8]
+            ],
+            obstructed: [
+                [7.5, 1.0, -3.6, 0.8, -1.8, 0.5, -1.2],
+                [15, 1.0, -3.2, 0.8, -2.4, 0.5, -1.6],
+                [30, 1.2, -4.0, 0.9, -3.0, 0.6, -2.0],
+                [45, 1.3, -4.2, 1.0, -3.2, 0.7, -2.1]
+            ]
+        }
+    };
+
+    /**
+     * C&C net pressures for open buildings with free roofs, p = qh*G*CN (ASCE 7-16 Eq. 30.7-1).
+     * Zone 3 is a corner a by a, Zone 2 an edge strip of width a and Zone 1 the rest of the roof.
+     */
+    function calculateOpenBuildingCandCPressures(inputs, qh, G) {
+        const { mean_roof_height: h, building_length_L: L, building_width_B: B, effective_wind_area: A, roof_type, roof_slope_deg, wind_obstruction, unit_system } = inputs;
+        const shape = getFreeRoofShape(roof_type);
+        const theta = roof_type === 'flat' ? 0 : Math.abs(roof_slope_deg);
+        const flow = wind_obstruction === 'obstructed' ? 'obstructed' : 'clear';
+        const table = FREE_ROOF_CANDC_CN[shape][flow];
+        const column = (index) => interpolate(theta, table.map(row => row[0]), table.map(row => row[index]));
+        const [zone3, zone2, zone1] = [1, 3, 5].map(index => ({ pos: column(index), neg: column(index + 1) }));
+
+        const least_dim = Math.min(L, B);
+        const a = Math.max(Math.min(0.1 * least_dim, 0.4 * h), 0.04 * least_dim, unit_system === 'imperial' ? 3.0 : 0.9);
+        // Above a² the corner takes the edge values, and above 4a² every zone takes the interior ones.
+        const byZone = A <= a * a ? [zone3, zone2, zone1] : A <= 4 * a * a ? [zone2, zone2, zone1] : [zone1, zone1, zone1];
+
+        const pressures = {};
+        ['Roof Zone 3 (Corners)', 'Roof Zone 2 (Edges)', 'Roof Zone 1 (Interior)'].forEach((zone, i) => {
+            const { pos, neg } = byZone[i];
+            pressures[zone] = { cn_pos: pos, cn_neg: neg, p_pos: qh * G * pos, p_neg: qh * G * neg };
+        });
+
+        return { applicable: true, is_open_building: true, a, pressures, ref: `ASCE 7 Fig. ${FREE_ROOF_CANDC_CN[shape].ref} (${flow} wind flow)`, warnings: [] };
+    }
+
+    function calculateLowRiseCandCPressures(inputs, qz, GCpi_abs) { // Refactored for readability
+        const { mean_roof_height, effective_wind_area, roof_slope_deg, roof_type } = inputs;
+        const A = effective_wind_area;
+        const theta = roof_slope_deg;
+
+        // Setup for logarithmic interpolation based on effective wind area
+        const area_points = [10, 20, 50, 100, 500, 1000];
+        const log_area_points = area_points.map(Math.log);
+        const log_A = Math.log(A);
+        const logInterpolate = (gcp_values) => interpolate(log_A, log_area_points, gcp_values);
+
+        const gcp_map = {};
+
+        // Wall Pressures (Fig 30.3-1)
+        gcp_map['Wall Zone 4 (Interior)'] = logInterpolate(GCP_DATA.wall.zone4);
+        gcp_map['Wall Zone 5 (Corners)'] = logInterpolate(GCP_DATA.wall.zone5);
+
+        // Roof Pressures
+        if (['gable', 'hip'].includes(roof_type)) {
+            const roof_gcp_arrays = getGcpValuesForRoof(roof_type, theta);
+            const zone_map = { zone1: 'Roof Zone 1 (Interior)', zone2: 'Roof Zone 2 (Edges)', zone3: 'Roof Zone 3 (Corners)', zone1E: 'Roof End Zone 1E', zone2E: 'Roof End Zone 2E', zone3E: 'Roof End Zone 3E' };
+            for (const zone in roof_gcp_arrays) {
+                gcp_map[zone_map[zone]] = logInterpolate(roof_gcp_arrays[zone]);
+            }
+        }
+
+        const final_pressures = {};
+        for (const zone in gcp_map) {
+            const gcp = gcp_map[zone];
+            // p = qh * (GCp - GCpi)
+            const p_pos_gcp = qz * (gcp - (-GCpi_abs)); // Uplift GCp is negative, check with internal suction
+            const p_neg_gcp = qz * (gcp - (+GCpi_abs)); // Uplift GCp is negative, check with internal pressure
+            final_pressures[zone] = {
+                gcp: gcp,
+                p_pos: Math.max(p_pos_gcp, p_neg_gcp), // Not typical for these figures, but for completeness
+                p_neg: Math.min(p_pos_gcp, p_neg_gcp) // C&C is usually governed by suction
+            };
+        }
+        return { applicable: true, pressures: final_pressures, ref: "ASCE 7 Ch. 30, Part 1 (h<=60ft)" };
+    }
+
+    function calculateHeightVaryingPressures(inputs, intermediate_globals) {
+        const { exposure_category, unit_system, risk_category, mean_roof_height, design_method } = inputs;
+        const { kztAt, Kd, Ke, V_in, effective_standard, abs_gcpi, G, qz: qh } = intermediate_globals;
+    
+        // Better validation
+        if (!inputs || !intermediate_globals || !mean_roof_height || mean_roof_height <= 0 || !exposure_category) {
+            console.error("Invalid inputs for height varying pressure calculation");
+            return [];
+        }
+    
+        const results = [];
+        const is_imp = unit_system === 'imperial';
+        const step = is_imp ? 5 : 1.5;
+        const heights = [];
+    
+        // Generate height points
+        for (let z = 0; z <= mean_roof_height; z += step) {
+            heights.push(z);
+        }
+        // Ensure roof height is included if the step doesn't land on it
+        if (heights[heights.length - 1] < mean_roof_height) {
+            heights.push(mean_roof_height);
+        }
+    
+        for (const z of heights) {
+            // Calculate Kz for each height
+            const { Kz } = calculateKz(z, exposure_category, unit_system);
+            // Calculate velocity pressure at height z, with the topographic factor at that height
+            const Kzt_z = kztAt(z);
+            const { qz } = calculateVelocityPressure(Kz, Kzt_z, Kd, Ke, V_in, effective_standard, risk_category, unit_system);
+    
+            // Use the main design pressure function for consistency. Cp for windward wall is 0.8.
+            const p_pos = calculateDesignPressure(qz, qh, G, 0.8, abs_gcpi);
+            const p_neg = calculateDesignPressure(qz, qh, G, 0.8, -abs_gcpi);
+    
+            results.push({ height: z, Kz, Kzt: Kzt_z, qz, p_pos, p_neg });
+        }
+        return results;
+    }
+
+    /**
+     * Retrieves constants for gust effect factor calculation from ASCE 7-16 Table 26.11-1.
+     * // Reference: ASCE 7-16 Table 26.11-1
+     */
+    function getGustCalculationConstants(exposure_category, unit_system) {
+        const constants = {
+            'B': { b_bar: 0.47, c: 0.30, l: 320, epsilon_bar: 1/3.0 },
+            'C': { b_bar: 0.65, c: 0.20, l: 500, epsilon_bar: 1/5.0 },
+            'D': { b_bar: 0.80, c: 0.15, l: 650, epsilon_bar: 1/8.0 }
+        };
+        const metric_multipliers = { b_bar: 1.32, c: 1.5, l: 0.3048, epsilon_bar: 1.0 };
+
+        let data = constants[exposure_category] || constants['C']; // Default to C
+
+        if (unit_system === 'metric') {
+            data = {
+                b_bar: data.b_bar * metric_multipliers.b_bar,
+                c: data.c * metric_multipliers.c,
+                l: data.l * metric_multipliers.l,
+                epsilon_bar: data.epsilon_bar
+            };
+        }
+        return data;
+    }
+
+    /**
+     * Calculates the mean hourly wind speed at a given height.
+     * // Reference: ASCE 7-16 Eq. 26.11-7
+     */
+    function calculateMeanHourlyWindSpeed(V_in, z_effective, zg, alpha, b_bar, unit_system) {
+        // For Imperial units, V_in (mph) is converted to fps. For Metric, V_in (m/s) is used directly.
+        const V_bar_33ft = V_in * b_bar * Math.pow(33 / zg, 1 / alpha) * (unit_system === 'imperial' ? (88/60) : 1);
+        return V_bar_33ft * Math.pow(z_effective / 33, 1 / alpha);
+    }
+
+    /**
+     * Calculates the resonant response factor, R.
+     * // Reference: ASCE 7-16 Eq. 26.11-10
+     */
+    function calculateResonantResponseFactor(n1, V_z_bar, Lz_bar) {
+        // Damping ratio (beta) is typically 0.01 for steel buildings and 0.015 for concrete buildings.
+        // ASCE 7-16 Section C26.11.3 suggests 0.01 is a reasonable general assumption.
+        const damping_ratio = 0.01;
+        const N1 = (n1 * Lz_bar) / V_z_bar;
+        const Rn = (7.47 * N1) / Math.pow(1 + 10.3 * N1, 5/3);
+        const Rh = (1 / N1) - (1 / (2 * N1 * N1)) * (1 - Math.exp(-2 * N1));
+        const RB = Rh; // For simplicity, assuming B=h, so Rh = RB
+
+        return Math.sqrt((1 / damping_ratio) * Rn * Rh * RB);
+    }
+
+    /**
+     * Calculates the Gust Effect Factor G for flexible structures per ASCE 7-16 Section 26.11.
+     */
+    function calculateGustEffectFactor(inputs, intermediate) {
+        // Initial validation for rigid structures
+        if (inputs.building_flexibility !== 'Flexible') {
+            return { G: 0.85, ref: "ASCE 7-16 Sec. 26.11.1 (Rigid Structure)" };
+        }
+
+        // Validate fundamental period
+        if (!inputs.fundamental_period || isNaN(inputs.fundamental_period) || inputs.fundamental_period <= 0) {
+            return { 
+                G: 0.85, 
+                ref: "ASCE 7-16 Sec. 26.11.1 (Using rigid structure value - invalid or missing fundamental period)",
+                warning: "Fundamental period must be a positive number for flexible structures. Using rigid structure gust factor."
+            };
+        }
+
+        const { V_in, unit_system, mean_roof_height, building_length_L, building_width_B, exposure_category, fundamental_period } = inputs;
+        const { alpha, zg } = intermediate; // Defensive destructuring
+        const n1 = 1 / fundamental_period;
+
+        const { b_bar, c, l, epsilon_bar } = getGustCalculationConstants(exposure_category, unit_system);
+
+        const z_bar = 0.6 * mean_roof_height;
+        const min_z = unit_system === 'imperial' ? 15.0 : 4.6;
+        const z_bar_effective = Math.max(z_bar, min_z);
+        
+        const V_z_bar = calculateMeanHourlyWindSpeed(V_in, z_bar_effective, zg, alpha, b_bar, unit_system);
+        // Turbulence Intensity, Iz_bar. Ref: ASCE 7-16 Eq. 26.11-7
+        const Iz_bar = c * Math.pow(33 / z_bar_effective, 1/6);
+        const ref_h = unit_system === 'imperial' ? 33 : 10; // 33 ft or 10 m
+        // Integral Length Scale, Lz_bar. Ref: ASCE 7-16 Eq. 26.11-8
+        const Lz_bar = l * Math.pow(z_bar_effective / ref_h, epsilon_bar);
+    
+        // Peak factor for background response (gQ) is taken as 3.4 per ASCE 7-16 Section 26.11.2.
+        const gQ = 3.4;
+        // Peak factor for resonant response, gR. Ref: ASCE 7-16 Eq. 26.11-9
+        const gR = Math.sqrt(2 * Math.log(3600 * n1)) + (0.577 / Math.sqrt(2 * Math.log(3600 * n1)));
+    
+        // Background Response Factor, Q. Ref: ASCE 7-16 Eq. 26.11-14
+        const Q = Math.sqrt(1 / (1 + 0.63 * Math.pow(Math.max(mean_roof_height, building_length_L) / Lz_bar, 0.63)));
+        const R = calculateResonantResponseFactor(n1, V_z_bar, Lz_bar);
+
+        // Gust-Effect Factor, Gf. Ref: ASCE 7-16 Eq. 26.11-6
+        const Gf = (1 + 1.7 * Iz_bar * Math.sqrt(gQ*gQ * Q*Q + gR*gR * R*R)) / (1 + 1.7 * gQ * Iz_bar);
+    
+        return {
+            G: Gf,
+            ref: `ASCE 7-16 Eq. 26.11-6 (Flexible, G=${Gf.toFixed(3)})`
+        };
+    }
+
+    function calculateRoofPressureByDistance(inputs, intermediate_globals, cp_map, building_dimension_parallel_to_wind) {
+        const { gust_effect_factor_g } = inputs;
+        const { qz, abs_gcpi } = intermediate_globals;
+        const results = [];
+        const L = building_dimension_parallel_to_wind;
+
+        // Create an array of distances to evaluate
+        const distances = [];
+        for (let i = 0; i <= 20; i++) { // Evaluate at 21 points (every 5%)
+            distances.push(L * (i / 20));
+        }
+
+        // Create a lookup from the cp_map
+        const roof_zones = [];
+        for (const [surface, cp] of Object.entries(cp_map)) {
+            if (!surface.toLowerCase().includes('roof')) continue; // Only consider roof surfaces
+            // Regex to find zones like "Roof (0 to 30 ft)"
+            const matches = surface.match(/\((\d+(\.\d+)?)\s*to\s*(\d+(\.\d+)?)/);
+            if (matches) {
+                roof_zones.push({ start: parseFloat(matches[1]), end: parseFloat(matches[3]), cp });
+            }
+        }
+
+        distances.forEach(dist => {
+            // Find the correct Cp value for the current distance from the pre-calculated zones
+            let cp_at_dist = roof_zones.find(zone => dist >= zone.start && dist <= zone.end)?.cp ?? 
+                             (cp_map["Leeward Roof"] || cp_map["Roof Leeward"] || -0.3); // Fallback to leeward value
+
+            const p_pos = calculateDesignPressure(qz, gust_effect_factor_g, cp_at_dist, abs_gcpi);
+            const p_neg = calculateDesignPressure(qz, gust_effect_factor_g, cp_at_dist, -abs_gcpi);
+            const distance_ratio = L > 0 ? dist / L : 0;
+            results.push({ distance: dist, cp: cp_at_dist, p_pos, p_neg, distance_ratio });
+        });
+
+        return results;
+    }
+
+    /**
+     * Calculates MWFRS pressures for low-rise buildings (h <= 60ft).
+     * @param {object} inputs - The user inputs.
+     * @param {object} intermediate_globals - Pre-calculated intermediate values (qz, G, etc.).
+     * @returns {object} An object containing the directional results.
+     */
+    function calculateLowRisePressures(inputs, intermediate_globals) {
+        const { effective_standard, mean_roof_height, building_length_L, building_width_B, roof_type, roof_slope_deg, unit_system } = inputs;
+        const { qz, G, abs_gcpi } = intermediate_globals;
+        const directional_results = {};
+
+        // Wind Perpendicular to L (wind parallel to L)
+        const { cpMap: cp_map_L } = getCpValues(effective_standard, mean_roof_height, building_length_L, building_width_B, roof_type, roof_slope_deg, unit_system);
+        directional_results['perp_to_L'] = Object.entries(cp_map_L).map(([surface, cp]) => ({
+            surface: surface.replace('L/B', `L/B = ${(building_length_L / building_width_B).toFixed(2)}`),
+            cp,
+            p_pos: calculateDesignPressure(qz, qz, G, cp, abs_gcpi),
+            p_neg: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi),
+            p_pos_asd: calculateDesignPressure(qz, qz, G, cp, abs_gcpi) * 0.6,
+            p_neg_asd: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi) * 0.6
+        }));
+
+        // Wind Perpendicular to B (wind parallel to B)
+        const { cpMap: cp_map_B } = getCpValues(effective_standard, mean_roof_height, building_width_B, building_length_L, roof_type, roof_slope_deg, unit_system);
+        directional_results['perp_to_B'] = Object.entries(cp_map_B).map(([surface, cp]) => ({
+            surface: surface.replace('L/B', `L/B = ${(building_width_B / building_length_L).toFixed(2)}`),
+            cp,
+            p_pos: calculateDesignPressure(qz, qz, G, cp, abs_gcpi),
+            p_neg: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi),
+            p_pos_asd: calculateDesignPressure(qz, qz, G, cp, abs_gcpi) * 0.6,
+            p_neg_asd: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi) * 0.6
+        }));
+
+        return directional_results;
+    }
+
+    // External pressure coefficients GCpf for the Envelope Procedure
+    // Reference: ASCE 7-16/22 Figure 28.3-1. Load Case A (wind normal to the ridge) varies with the
+    // roof angle, listed at θ = 0-5°, 20°, 30-45° and 90°; Load Case B (wind parallel to the ridge)
+    // does not.
+    const GCPF_DATA = {
+        caseA: {
+            angles: [5, 20, 30, 45, 90],
+            zone1: [0.40, 0.53, 0.56, 0.56, 0.56], zone2: [-0.69, -0.69, 0.21, 0.21, 0.56],
+            zone3: [-0.37, -0.48, -0.43, -0.43, -0.37], zone4: [-0.29, -0.43, -0.37, -0.37, -0.37],
+            zone1E: [0.61, 0.80, 0.69, 0.69, 0.69], zone2E: [-1.07, -1.07, 0.27, 0.27, 0.69],
+            zone3E: [-0.53, -0.69, -0.53, -0.53, -0.48], zone4E: [-0.43, -0.64, -0.48, -0.48, -0.48]
+        },
+        caseB: {
+            zone1: -0.45, zone2: -0.69, zone3: -0.37, zone4: -0.45, zone5: 0.40, zone6: -0.29,
+            zone1E: -0.48, zone2E: -1.07, zone3E: -0.53, zone4E: -0.48, zone5E: 0.61, zone6E: -0.43
+        }
+    };
+
+    const ENVELOPE_SURFACES = {
+        caseA: { 1: 'Windward Wall', 2: 'Windward Roof', 3: 'Leeward Roof', 4: 'Leeward Wall' },
+        caseB: { 1: 'Side Wall', 2: 'Roof', 3: 'Roof', 4: 'Side Wall', 5: 'Windward Wall', 6: 'Leeward Wall' }
+    };
+
+    /**
+     * Calculates MWFRS pressures for low-rise buildings by the Envelope Procedure (ASCE 7 Chapter 28,
+     * Part 1), p = qh[(GCpf) - (GCpi)]. Load Case A is reported as perp_to_L and Load Case B as
+     * perp_to_B, each with the zones 1-6, the end zones 1E-6E and the torsional zones 1T-6T.
+     * @param {object} inputs - The user inputs.
+     * @param {object} intermediate_globals - Pre-calculated intermediate values (qz, abs_gcpi).
+     * @returns {{ directional_results: object, envelope: object }} The zone pressures, and the end
+     *   zone geometry with the notes for the report, each a `key` and the `values` it quotes.
+     */
+    function calculateEnvelopePressures(inputs, intermediate_globals) {
+        const { mean_roof_height: h, building_length_L: L, building_width_B: B, roof_type, roof_slope_deg, unit_system } = inputs;
+        const { qz, abs_gcpi } = intermediate_globals;
+        const theta = roof_type === 'flat' ? 0 : Math.abs(roof_slope_deg);
+
+        const least_dim = Math.min(L, B);
+        const a = Math.max(Math.min(0.1 * least_dim, 0.4 * h), 0.04 * least_dim, unit_system === 'imperial' ? 3.0 : 0.9);
+
+        const toRow = (surface, gcpf, factor = 1) => {
+            const p_pos = factor * qz * (gcpf - abs_gcpi);
+            const p_neg = factor * qz * (gcpf + abs_gcpi);
+            return { surface, cp: null, gcpf, factor, p_pos, p_neg, p_pos_asd: p_pos * 0.6, p_neg_asd: p_neg * 0.6 };
+        };
+        const caseRows = (caseKey, gcpfOf) => {
+            const surfaces = ENVELOPE_SURFACES[caseKey];
+            const zones = Object.keys(surfaces);
+            return [
+                ...zones.map(zone => toRow(`Zone ${zone} (${surfaces[zone]})`, gcpfOf(`zone${zone}`))),
+                ...zones.map(zone => toRow(`Zone ${zone}E (${surfaces[zone]}, End Zone)`, gcpfOf(`zone${zone}E`))),
+                // Torsional load cases: 25% of the full pressures outside the end zones (Fig. 28.3-1).
+                ...zones.map(zone => toRow(`Zone ${zone}T (${surfaces[zone]}, Torsional)`, gcpfOf(`zone${zone}`), 0.25))
+            ];
+        };
+
+        const { angles, ...caseA } = GCPF_DATA.caseA;
+        const directional_results = {
+            perp_to_L: caseRows('caseA', zone => interpolate(theta, angles, caseA[zone])),
+            perp_to_B: caseRows('caseB', zone => GCPF_DATA.caseB[zone])
+        };
+
+        const zone2_extent = Math.min(0.5 * L, 2.5 * h);
+        return {
+            directional_results,
+            envelope: {
+                a, end_zone_width: 2 * a, zone2_extent,
+                ref: 'ASCE 7 Fig. 28.3-1',
+                notes: [
+                    { key: 'end_zones', values: { a, width: 2 * a } },
+                    { key: 'zone2_extent', values: { extent: zone2_extent } },
+                    { key: 'torsional_zones', values: {} }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Calculates MWFRS pressures for high-rise buildings (h > 60ft).
+     * @param {object} inputs - The user inputs.
+     * @param {object} intermediate_globals - Pre-calculated intermediate values (qz, G, etc.).
+     * @returns {object} An object containing the directional results.
+     */
+    function calculateHighRisePressures(inputs, intermediate_globals) {
+        const { mean_roof_height, building_length_L, building_width_B, roof_slope_deg } = inputs;
+        const { qz, G, abs_gcpi } = intermediate_globals;
+        const directional_results = {};
+
+        // Wind perpendicular to L (Building Length is parallel to wind)
+        const { cpMap: cp_map_L } = getAnalyticalCpValues(mean_roof_height, building_length_L, building_width_B, roof_slope_deg);
+        directional_results['perp_to_L'] = Object.entries(cp_map_L).map(([surface, cp]) => ({
+            surface, cp,
+            p_pos: calculateDesignPressure(qz, qz, G, cp, abs_gcpi), p_neg: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi),
+            p_pos_asd: calculateDesignPressure(qz, qz, G, cp, abs_gcpi) * 0.6, p_neg_asd: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi) * 0.6
+        }));
+
+        // Wind perpendicular to B (Building Width is parallel to wind)
+        const { cpMap: cp_map_B } = getAnalyticalCpValues(mean_roof_height, building_width_B, building_length_L, roof_slope_deg);
+        directional_results['perp_to_B'] = Object.entries(cp_map_B).map(([surface, cp]) => ({
+            surface, cp,
+            p_pos: calculateDesignPressure(qz, qz, G, cp, abs_gcpi), p_neg: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi),
+            p_pos_asd: calculateDesignPressure(qz, qz, G, cp, abs_gcpi) * 0.6, p_neg_asd: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi) * 0.6
+        }));
+
+        return directional_results;
+    }
+
+    // --- PUBLIC API ---
+    function run(inputs, validation) {
+        if (inputs.exposure_method === 'sectors') return runWithSectorExposures(inputs, validation);
+
+        let effective_standard = inputs.asce_standard;
+        let v_input = inputs.basic_wind_speed;
+        let v_unreduced = inputs.basic_wind_speed;
+        let jurisdiction_note = "", temporary_structure_note = "";
+
+        if (inputs.jurisdiction === "NYCBC 2022") {
+            effective_standard = "ASCE 7-16";
+            const risk_v_map = { "I": 110, "II": 117, "III": 127, "IV": 132 };
+            v_input = risk_v_map[inputs.risk_category] || 117;
+            v_unreduced = v_input;
+            jurisdiction_note = `NYCBC 2022 wind speed of ${v_input} mph for Risk Category ${inputs.risk_category} has been applied (Table 1609.3).`;
+        }
+
+        if (inputs.temporary_construction === "Yes") {
+            v_input *= 0.8;
+            const v_unit = inputs.unit_system === 'imperial' ? 'mph' : 'm/s';
+            temporary_structure_note = `A 0.8 reduction factor has been applied for temporary construction (PROJECT-SPECIFIC ALLOWANCE, NOT ASCE 7). Calculation wind speed is ${v_input.toFixed(1)} ${v_unit} (reduced from ${v_unreduced} ${v_unit}).`;
+        }
+
+        const [abs_gcpi, gcpi_ref] = getInternalPressureCoefficient(inputs.enclosure_classification);
+        const is_other_structure = inputs.structure_class === 'Other Structure';
+        const [Kd, kd_ref] = getKdFactor(is_other_structure ? getOtherStructureKdType(inputs) : inputs.structure_type_for_kd);
+        const [Ke, ke_ref] = calculateKe(inputs.ground_elevation, inputs.unit_system, effective_standard);
+        const [Iw, iw_ref] = getImportanceFactor(inputs.risk_category, effective_standard); // Defensive destructuring
+        const trace = createTrace().section('a) Intermediate Calculations', { id: 'intermediate' });
+        trace.value('I_w', Iw, { label: 'Importance Factor', ref: iw_ref });
+        trace.value('K_d', Kd, { label: 'Directionality Factor', ref: kd_ref });
+        // Kzt varies with height over a hill, ridge or escarpment; qh uses its value at h.
+        const kztAt = z => calculateTopographicFactor(inputs, z).Kzt;
+        const { Kzt, ref: kzt_ref } = calculateTopographicFactor(inputs, inputs.mean_roof_height, trace);
+        trace.value('K_e', Ke, { label: 'Elevation Factor', decimals: 3, ref: ke_ref });
+        trace.value('GC_pi', abs_gcpi, { label: 'Internal Pressure Coefficient', note: 'applied as ±', ref: gcpi_ref });
+        const { Kz, alpha, zg, ref_note: kz_ref } = calculateKz(inputs.mean_roof_height, inputs.exposure_category, inputs.unit_system, trace); // Kz at roof height h
+        const { qz, ref_note: qz_ref } = calculateVelocityPressure(Kz, Kzt, Kd, Ke, v_input, effective_standard, inputs.risk_category, inputs.unit_system, trace);
+        const kzResult = calculateKz(inputs.mean_roof_height, inputs.exposure_category, inputs.unit_system);
+        const Kz_val = kzResult.Kz || 1.0;
+        const alpha_val = kzResult.alpha || 0;
+        const zg_val = kzResult.zg || 0;
+        const kz_ref_val = kzResult.ref_note || "Error: Kz calculation failed";
+        
+        const intermediate_for_G = { alpha, zg, Kz, Iw };
+        const { G, ref: g_ref } = calculateGustEffectFactor({ ...inputs, V_in: v_input }, intermediate_for_G);
+        trace.value('G', G, { label: 'Gust Effect Factor', ref: g_ref });
+
+        const windResults = {
+            inputs: { ...inputs, V_in: v_input, V_unreduced: v_unreduced, GCpi_abs: abs_gcpi, effective_standard: effective_standard, effective_wind_area: inputs.effective_wind_area },
+            intermediate: { Kz, Kz_ref: kz_ref, Kzt, Kzt_ref: kzt_ref, Ke, ke_ref, qz, qz_ref, Kd, Kd_ref: kd_ref, GCpi_ref: gcpi_ref, alpha, zg, Iw, iw_ref },
+            trace: trace.sections,
+            directional_results: {}, jurisdiction_note, temporary_structure_note, 
+            warnings: validation.warnings, errors: validation.errors
+        };
+
+        if (TOPOGRAPHIC_FEATURES[inputs.topo_feature]) {
+            // Kzt profile from the ground to the roof, for the report.
+            windResults.intermediate.Kzt_profile = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+                const z = fraction * inputs.mean_roof_height;
+                return { z, ...calculateTopographicFactor(inputs, z) };
+            });
+        }
+
+        // Other structures (Chapter 29) take qz at the height each force acts, and qh of the
+        // building for rooftop equipment and solar panels.
+        if (is_other_structure) {
+            const velocityPressureAt = z => calculateVelocityPressure(calculateKz(z, inputs.exposure_category, inputs.unit_system).Kz, kztAt(z), Kd, Ke, v_input, effective_standard, inputs.risk_category, inputs.unit_system).qz;
+            // Panels parallel to the roof use the roof C&C coefficients at the panel area; a flat
+            // roof takes the θ <= 7° zones.
+            const roofCandC = inputs.other_structure_type === 'solar_panels' && inputs.solar_method === 'parallel'
+                ? calculateCandCPressuresEnhanced({ ...inputs, effective_wind_area: inputs.solar_area, ...(inputs.roof_type === 'flat' ? { roof_type: 'gable', roof_slope_deg: 0 } : {}) }, qz, 0)
+                : null;
+            trace.section('b) Other Structure (Chapter 29)', { id: 'other-structure' });
+            const other = calculateOtherStructure(inputs, { velocityPressureAt, qh: qz, G, roofCandC, trace });
+            windResults.mwfrs_method = `Other Structures (Chapter 29): ${other.title}`;
+            windResults.other_structure = other;
+            windResults.warnings.push(...other.warnings);
+            return windResults;
+        }
+
+        // Open buildings with free roofs use net pressure coefficients CN (GCpi = 0), with the
+        // results laid out as for enclosed buildings: perp_to_L has the wind normal to the ridge,
+        // perp_to_B has it parallel to the ridge.
+        if (inputs.enclosure_classification === 'Open') {
+            const h_unit = inputs.unit_system === 'imperial' ? 'ft' : 'm';
+            const { normal, parallel, ref } = getOpenBuildingCnValues(inputs.roof_type, inputs.roof_slope_deg, inputs.wind_obstruction === 'obstructed', inputs.mean_roof_height, inputs.building_width_B, h_unit);
+            // p = qh * G * CN (ASCE 7-16 Eq. 27.3-2)
+            const toPressures = ({ surface, cn }) => {
+                const p = qz * G * cn;
+                return { surface, cp: null, cn, p_pos: p, p_neg: p, p_pos_asd: p * 0.6, p_neg_asd: p * 0.6 };
+            };
+            windResults.mwfrs_method = 'Directional Procedure (Open Building, Free Roof)';
+            windResults.directional_results = { perp_to_L: normal.map(toPressures), perp_to_B: parallel.map(toPressures) };
+            windResults.open_building_ref = ref;
+            windResults.heightVaryingResults_L = null;
+
+            if (inputs.roof_type === 'hip') {
+                windResults.warnings.push('Hip roofs of open buildings are taken as pitched free roofs (ASCE 7 Fig. 27.3-5).');
+            }
+            if (Math.abs(inputs.roof_slope_deg) > 45 && inputs.roof_type !== 'flat') {
+                windResults.warnings.push('Free roof net pressure coefficients are given for slopes up to 45°; the 45° values were used.');
+            }
+            const h_over_L = inputs.mean_roof_height / inputs.building_length_L;
+            if (h_over_L < 0.25 || h_over_L > 1.0) {
+                windResults.warnings.push(`Free roof net pressure coefficients apply for 0.25 <= h/L <= 1.0 (h/L = ${h_over_L.toFixed(2)}).`);
+            }
+
+            windResults.candc = calculateOpenBuildingCandCPressures(inputs, qz, G);
+            return windResults;
+        }
+
+        const intermediate_globals = { Kzt, kztAt, Kd, Ke, V_in: v_input, effective_standard, abs_gcpi, G, qz };
+        const is_tall_building = inputs.mean_roof_height > (inputs.unit_system === 'imperial' ? 60 : 18.3);
+
+        // The Envelope Procedure is limited to low-rise buildings: h <= 60 ft and h <= the least
+        // horizontal dimension (ASCE 7 Sec. 26.2).
+        let use_envelope = inputs.mwfrs_procedure === 'Envelope';
+        if (use_envelope && (is_tall_building || inputs.mean_roof_height > Math.min(inputs.building_length_L, inputs.building_width_B))) {
+            windResults.warnings.push('The Envelope Procedure (Chapter 28) only applies to low-rise buildings (h <= 60 ft and h <= least horizontal dimension). The Directional Procedure was used.');
+            use_envelope = false;
+        }
+        if (use_envelope && !['flat', 'gable', 'hip'].includes(inputs.roof_type)) {
+            windResults.warnings.push('Figure 28.3-1 covers flat, gable and hip roofs; the roof was treated as a gable roof of the given slope.');
+        }
+
+        if (is_tall_building) {
+            windResults.mwfrs_method = "Analytical Procedure (All Heights)";
+            windResults.directional_results = calculateHighRisePressures(inputs, intermediate_globals);
+            windResults.heightVaryingResults_L = calculateHeightVaryingPressures(inputs, intermediate_globals);
+        } else if (use_envelope) {
+            windResults.mwfrs_method = "Envelope Procedure (Low-Rise)";
+            const { directional_results, envelope } = calculateEnvelopePressures(inputs, intermediate_globals);
+            windResults.directional_results = directional_results;
+            windResults.envelope = envelope;
+            windResults.heightVaryingResults_L = null;
+        } else { // Low-Rise Building
+            windResults.mwfrs_method = "Directional Procedure (Low-Rise)";
+            windResults.directional_results = calculateLowRisePressures(inputs, intermediate_globals);
+            windResults.heightVaryingResults_L = null;
+        }
+
+        // Conditionally nullify the height-varying results if the user has opted out.
+        // This check is performed after the main logic to allow the option to apply to both tall and potentially low-rise buildings if ever enabled.
+        if (inputs.calculate_height_varying_pressure === 'No') {
+            windResults.heightVaryingResults_L = null;
+        } else if (is_tall_building && !windResults.heightVaryingResults_L) {
+            // If it's a tall building and the user wants the calculation, it should have been done already.
+            windResults.heightVaryingResults_L = calculateHeightVaryingPressures(inputs, intermediate_globals);
+        } else if (!is_tall_building && !use_envelope && inputs.calculate_height_varying_pressure === 'Yes') {
+            // For low-rise, only calculate if explicitly requested. The Envelope Procedure uses qh throughout.
+            windResults.heightVaryingResults_L = calculateHeightVaryingPressures(inputs, intermediate_globals);
+        }
+
+        // Calculate C&C pressures
+        const candc_results = calculateCandCPressuresEnhanced(inputs, qz, abs_gcpi);
+        windResults.candc = candc_results;
+        if (candc_results.warnings && candc_results.warnings.length > 0) {
+            windResults.warnings.push(...candc_results.warnings);
+        }
+
+        // Torsional Load Case (ASCE 7-16/22 Figure 27.4-8)
+        // Applies to enclosed and partially enclosed buildings - Case 2: Torsion
+        // Reference: ASCE 7-16/22 Section 27.4.6 and Figure 27.4-8
+        if (!is_tall_building && !use_envelope && ["Enclosed", "Partially Enclosed"].includes(inputs.enclosure_classification)) {
+            const results_L = windResults.directional_results['perp_to_L'];
+            const results_B = windResults.directional_results['perp_to_B'];
+            
+            if (results_L && results_B) {
+                const cp_map_L = Object.fromEntries(results_L.map(r => [r.surface, r.cp]));
+                const cp_map_B = Object.fromEntries(results_B.map(r => [r.surface, r.cp]));
+                
+                // Calculate torsional moment for both wind directions
+                // Wind perpendicular to L (acting on face B)
+                const p_ww_L = qz * G * (cp_map_L["Windward Wall"] || 0);
+                const p_lw_L = qz * G * (cp_map_L["Leeward Wall"] || 0);
+                const wall_height_L = inputs.mean_roof_height;
+                const wall_width_L = inputs.building_width_B;
+                const F_ww_L = p_ww_L * (wall_width_L * wall_height_L); // Windward force
+                const F_lw_L = p_lw_L * (wall_width_L * wall_height_L); // Leeward force
+                const e_L = 0.15 * wall_width_L; // Eccentricity for wind perp to L
+
+                // Wind perpendicular to B (acting on face L)
+                const p_ww_B = qz * G * (cp_map_B["Windward Wall"] || 0);
+                const p_lw_B = qz * G * (cp_map_B["Leeward Wall"] || 0);
+                const wall_height_B = inputs.mean_roof_height;
+                const wall_width_B = inputs.building_length_L;
+                const F_ww_B = p_ww_B * (wall_width_B * wall_height_B); // Windward force
+                const F_lw_B = p_lw_B * (wall_width_B * wall_height_B); // Leeward force
+                const e_B = 0.15 * wall_width_B; // Eccentricity for wind perp to B
+
+                // Calculate torsional moments (ASCE 7-16/22 Figure 27.4-8)
+                // Mt = 0.75 * (|Fww| + |Flw|) * e
+                const Mt_L = 0.75 * (Math.abs(F_ww_L) + Math.abs(F_lw_L)) * e_L;
+                const Mt_B = 0.75 * (Math.abs(F_ww_B) + Math.abs(F_lw_B)) * e_B;
+
+                // Store results with detailed information
+                windResults.torsional_case = {
+                    perp_to_L: {
+                        Mt: Mt_L,
+                        e: e_L,
+                        F_ww: F_ww_L,
+                        F_lw: F_lw_L,
+                        note: "Case 2: Apply torsion with 75% of Case 1 wall pressures. e = 15% of wall width."
+                    },
+                    perp_to_B: {
+                        Mt: Mt_B,
+                        e: e_B,
+                        F_ww: F_ww_B,
+                        F_lw: F_lw_B,
+                        note: "Case 2: Apply torsion with 75% of Case 1 wall pressures. e = 15% of wall width."
+                    },
+                    reference: "ASCE 7-16/22 Section 27.4.6 and Figure 27.4-8"
+                };
+
+                // Add warning if aspect ratio might affect accuracy
+                const aspect_ratio = Math.max(inputs.building_length_L / inputs.building_width_B, 
+                                           inputs.building_width_B / inputs.building_length_L);
+                if (aspect_ratio > 4) {
+                    windResults.warnings.push(
+                        `Building aspect ratio of ${aspect_ratio.toFixed(1)} exceeds 4:1. ` +
+                        `Consider additional engineering judgment for torsional effects.`
+                    );
+                }
+            }
+        }
+
+        return windResults;
+    }
+
+    /**
+     * Runs the calculation with the exposure of each wind direction found from the upwind sectors
+     * (ASCE 7 Sec. 26.7). The MWFRS pressures for wind perpendicular to L and to B each use their
+     * own exposure. Everything else (C&C, envelope, open-building C&C and other structures) uses the
+     * most severe exposure of any direction (Sec. 26.7.4).
+     */
+    function runWithSectorExposures(inputs, validation) {
+        const exposures = getDirectionalExposures(inputs);
+        const withExposure = exposure_category => ({ ...inputs, exposure_method: 'category', exposure_category });
+        const results = run(withExposure(exposures.governing), validation);
+        results.inputs.exposure_method = 'sectors';
+        results.intermediate.exposure_by_direction = exposures;
+
+        const trace = createTrace().section('Exposure by Wind Direction (ASCE 7 Sec. 26.7)', { id: 'exposure' });
+        exposures.sectors.forEach(sector => trace.value(null, sector.exposure, { label: `Sector ${sector.from}° to ${sector.to}°`, note: sector.reason, ref: 'ASCE 7 Sec. 26.7.3' }));
+        trace.value(null, exposures.perp_to_L, { label: 'Exposure, Wind Perpendicular to L', ref: 'ASCE 7 Sec. 26.7.1' });
+        trace.value(null, exposures.perp_to_B, { label: 'Exposure, Wind Perpendicular to B', ref: 'ASCE 7 Sec. 26.7.1' });
+        trace.value(null, exposures.governing, { label: 'Governing Exposure (C&C and other loads)', ref: 'ASCE 7 Sec. 26.7.4' });
+        results.trace.push(...trace.sections);
+
+        if (results.other_structure || results.envelope) return results;
+        // Directional results of a run at another exposure; the governing run is reused when it matches.
+        const runAt = exposure => (exposure === exposures.governing ? results : run(withExposure(exposure), { warnings: [], errors: [] }));
+        const run_L = runAt(exposures.perp_to_L);
+        const run_B = runAt(exposures.perp_to_B);
+        results.directional_results = { ...results.directional_results, perp_to_L: run_L.directional_results.perp_to_L, perp_to_B: run_B.directional_results.perp_to_B };
+        results.heightVaryingResults_L = run_L.heightVaryingResults_L;
+        if (results.torsional_case) {
+            results.torsional_case = { ...results.torsional_case, perp_to_L: run_L.torsional_case.perp_to_L, perp_to_B: run_B.torsional_case.perp_to_B };
+        }
+        results.intermediate.qz_by_direction = { perp_to_L: run_L.intermediate.qz, perp_to_B: run_B.intermediate.qz };
+        return results;
+    }
+
+    return { run };
+})();
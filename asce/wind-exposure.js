@@ -0,0 +1,93 @@
+/**
+ * ASCE 7 Section 26.7 exposure categories from the upwind surface roughness. The site's
+ * surroundings are described in eight 45° sectors, each by the roughness next to the site, the
+ * distance it extends upwind, and the roughness beyond it with the distance that extends. A wind
+ * direction takes the more severe exposure of the two sectors on either side of it (Sec. 26.7.1).
+ */
+
+// Sectors by the compass bearing the wind comes from: sector 0 spans 0° to 45°, and so on.
+export const EXPOSURE_SECTORS = [0, 45, 90, 135, 180, 225, 270, 315];
+
+const SEVERITY = { B: 0, C: 1, D: 2 };
+const moreSevere = (a, b) => (SEVERITY[a] >= SEVERITY[b] ? a : b);
+
+/**
+ * Fetch lengths of Sec. 26.7.3 for a mean roof height h.
+ * @returns {{B: number, D: number, D_downwind: number, unit: string}} The upwind distance surface
+ *   roughness B or D must prevail for, and the distance Exposure D extends downwind of D roughness.
+ */
+export function getExposureFetchLimits(h, unit_system) {
+    const imperial = unit_system === 'imperial';
+    const [b_short, b_long, d, d_downwind] = imperial ? [1500, 2600, 5000, 600] : [457, 792, 1524, 183];
+    // Buildings with h <= 30 ft (9.1 m) need only the shorter Exposure B fetch.
+    const B = h <= (imperial ? 30 : 9.1) ? b_short : Math.max(b_long, 20 * h);
+    return { B, D: Math.max(d, 20 * h), D_downwind: Math.max(d_downwind, 20 * h), unit: imperial ? 'ft' : 'm' };
+}
+
+/**
+ * Exposure of one upwind sector.
+ * @param {{roughness: string, fetch: number, upwind_roughness: string, upwind_fetch: number}} sector -
+ *   Roughness B, C or D next to the site and the distance it extends upwind, then the roughness
+ *   beyond that distance and the distance it in turn extends.
+ * @param {{B: number, D: number, D_downwind: number, unit: string}} limits - From getExposureFetchLimits.
+ * @returns {{exposure: string, reason: string}}
+ */
+export function getSectorExposure({ roughness, fetch, upwind_roughness, upwind_fetch = 0 }, limits) {
+    const length = value => `${Number(value.toFixed(0))} ${limits.unit}`;
+    if (roughness === 'D' && fetch >= limits.D) {
+        return { exposure: 'D', reason: `Roughness D extends ${length(fetch)} upwind (at least ${length(limits.D)})` };
+    }
+    // Exposure D extends into B and C terrain for 600 ft or 20h downwind, but only of D roughness
+    // long enough to be Exposure D itself.
+    if (roughness !== 'D' && upwind_roughness === 'D' && upwind_fetch >= limits.D && fetch < limits.D_downwind) {
+        return { exposure: 'D', reason: `Within ${length(limits.D_downwind)} downwind of roughness D` };
+    }
+    if (roughness === 'B' && fetch >= limits.B) {
+        return { exposure: 'B', reason: `Roughness B extends ${length(fetch)} upwind (at least ${length(limits.B)})` };
+    }
+    if (roughness === 'B') {
+        return { exposure: 'C', reason: `Roughness B extends only ${length(fetch)} upwind (less than ${length(limits.B)})` };
+    }
+    if (roughness === 'D') {
+        return { exposure: 'C', reason: `Roughness D extends only ${length(fetch)} upwind (less than ${length(limits.D)})` };
+    }
+    return { exposure: 'C', reason: 'Roughness C' };
+}
+
+/**
+ * Exposure for each wind direction, and for the two MWFRS directions of the building.
+ * @param {object} inputs - The wind inputs, with `exp_sector_<bearing>_roughness`, `_fetch`,
+ *   `_upwind_roughness` and `_upwind_fetch` for each sector, and `wind_direction_L`, the bearing the wind comes from
+ *   when it blows perpendicular to L.
+ * @returns {{sectors: object[], directions: {bearing: number, exposure: string}[], perp_to_L: string,
+ *   perp_to_B: string, governing: string, limits: object}} `perp_to_L` and `perp_to_B` are the more
+ *   severe of the two opposite directions; `governing` is the most severe of all directions.
+ */
+export function getDirectionalExposures(inputs) {
+    const limits = getExposureFetchLimits(inputs.mean_roof_height, inputs.unit_system);
+    const sectors = EXPOSURE_SECTORS.map(bearing => ({
+        from: bearing,
+        to: bearing + 45,
+        ...getSectorExposure({
+            roughness: inputs[`exp_sector_${bearing}_roughness`] || 'C',
+            fetch: inputs[`exp_sector_${bearing}_fetch`] || 0,
+            upwind_roughness: inputs[`exp_sector_${bearing}_upwind_roughness`] || 'C',
+            upwind_fetch: inputs[`exp_sector_${bearing}_upwind_fetch`] || 0
+        }, limits)
+    }));
+    // The wind from bearing d is judged on the sectors either side of it: [d - 45, d] and [d, d + 45].
+    const directions = EXPOSURE_SECTORS.map((bearing, i) => ({
+        bearing,
+        exposure: moreSevere(sectors[(i + 7) % 8].exposure, sectors[i].exposure)
+    }));
+    const at = bearing => directions[((Math.round(bearing / 45) % 8) + 8) % 8].exposure;
+    const d_L = Number(inputs.wind_direction_L) || 0;
+    return {
+        sectors,
+        directions,
+        perp_to_L: moreSevere(at(d_L), at(d_L + 180)),
+        perp_to_B: moreSevere(at(d_L + 90), at(d_L + 270)),
+        governing: directions.map(direction => direction.exposure).reduce(moreSevere),
+        limits
+    };
+}
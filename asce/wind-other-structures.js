@@ -0,0 +1,316 @@
+/**
+ * ASCE 7 Chapter 29 wind loads on other structures: solid freestanding walls and signs, open signs
+ * and single-plane open frames, chimneys and tanks, rooftop structures and equipment, and rooftop
+ * solar panels. The wind engine (asce/wind-engine.js) supplies the velocity pressure at any height;
+ * this module holds the force and pressure coefficients and turns them into design forces.
+ */
+
+import { interpolate } from '../js/calc-utils.js';
+
+export const OTHER_STRUCTURE_TYPES = {
+    solid_sign: 'Solid Freestanding Wall/Sign',
+    open_sign: 'Open Sign/Lattice Frame',
+    chimney: 'Chimney/Tank',
+    rooftop_equipment: 'Rooftop Structure/Equipment',
+    solar_panels: 'Rooftop Solar Panels'
+};
+
+// --- Solid freestanding walls and signs (Fig. 29.3-1) ---
+
+// Cases A and B: Cf by clearance ratio s/h (rows, ascending) and aspect ratio B/s (columns).
+const SIGN_B_OVER_S = [0.05, 0.1, 0.2, 0.5, 1, 2, 4, 5, 10, 20, 30, 45];
+const SIGN_S_OVER_H = [0.16, 0.2, 0.3, 0.5, 0.7, 0.9, 1];
+const SIGN_CF_AB = [
+    [1.95, 1.90, 1.85, 1.85, 1.80, 1.80, 1.85, 1.85, 1.85, 1.90, 1.90, 1.95],
+    [1.95, 1.90, 1.85, 1.80, 1.80, 1.80, 1.80, 1.80, 1.80, 1.85, 1.90, 1.90],
+    [1.95, 1.90, 1.85, 1.80, 1.80, 1.80, 1.80, 1.80, 1.80, 1.80, 1.85, 1.85],
+    [1.95, 1.85, 1.80, 1.75, 1.75, 1.70, 1.70, 1.70, 1.70, 1.70, 1.70, 1.75],
+    [1.90, 1.85, 1.75, 1.70, 1.65, 1.60, 1.60, 1.55, 1.55, 1.55, 1.55, 1.55],
+    [1.85, 1.75, 1.70, 1.60, 1.55, 1.50, 1.45, 1.45, 1.40, 1.40, 1.40, 1.40],
+    [1.80, 1.70, 1.65, 1.55, 1.45, 1.40, 1.35, 1.35, 1.30, 1.30, 1.30, 1.30]
+];
+
+// Case C: Cf by region, measured from the windward edge in multiples of s, for each B/s. A region
+// that a column does not list does not exist for signs that short.
+const SIGN_C_REGIONS = [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 10], [10, Infinity]];
+const SIGN_CF_C = {
+    2: [2.25, 1.50],
+    3: [2.60, 1.70, 1.15],
+    4: [2.90, 1.90, 1.30, 1.10],
+    5: [3.10, 2.00, 1.45, 1.05, 1.05],
+    6: [3.30, 2.15, 1.55, 1.05, 1.05, 1.05],
+    7: [3.40, 2.25, 1.65, 1.05, 1.05, 1.05],
+    8: [3.55, 2.30, 1.70, 1.05, 1.05, 1.05],
+    9: [3.65, 2.35, 1.75, 1.00, 1.00, 1.00],
+    10: [3.75, 2.45, 1.85, 0.95, 0.95, 0.95],
+    13: [4.00, 2.60, 2.00, 1.50, 1.35, 0.90, 0.45],
+    45: [4.30, 2.55, 1.95, 1.85, 1.85, 1.10, 0.55]
+};
+
+/**
+ * Force coefficient for Cases A and B of a solid sign, interpolated in both ratios.
+ * @param {number} B_over_s - Aspect ratio.
+ * @param {number} s_over_h - Clearance ratio.
+ * @returns {number}
+ */
+export function getSolidSignCf(B_over_s, s_over_h) {
+    const byRow = SIGN_CF_AB.map(row => interpolate(B_over_s, SIGN_B_OVER_S, row));
+    return interpolate(s_over_h, SIGN_S_OVER_H, byRow);
+}
+
+/**
+ * Force coefficients by region for Case C of a solid sign (B/s >= 2). Each region's Cf is
+ * interpolated between the aspect ratios that list it; values are reduced by (1.8 - s/h) for
+ * s/h > 0.8.
+ * @returns {{from: number, to: number, cf: number}[]} Regions in multiples of s, the last one
+ *   ending at B/s.
+ */
+export function getSolidSignCaseCRegions(B_over_s, s_over_h) {
+    const columns = Object.keys(SIGN_CF_C).map(Number);
+    const reduction = s_over_h > 0.8 ? 1.8 - s_over_h : 1;
+    const regions = [];
+    SIGN_C_REGIONS.forEach(([from, to], index) => {
+        if (from >= B_over_s) return;
+        const listed = columns.filter(column => SIGN_CF_C[column][index] !== undefined);
+        const cf = listed.length === 1
+            ? SIGN_CF_C[listed[0]][index]
+            : interpolate(B_over_s, listed, listed.map(column => SIGN_CF_C[column][index]));
+        regions.push({ from, to: Math.min(to, B_over_s), cf: cf * reduction });
+    });
+    return regions;
+}
+
+// --- Open signs and single-plane open frames (Fig. 29.4-2) ---
+
+// Cf by solidity ratio ε (ranges up to 0.1, 0.3 and 0.7) for flat-sided members, and for round
+// members with D√qz up to 2.5 (5.3 in SI) and above it.
+const OPEN_SIGN_CF = {
+    solidity_limits: [0.1, 0.3, 0.7],
+    flat: [2.0, 1.8, 1.6],
+    round_small: [1.2, 1.3, 1.5],
+    round_large: [0.8, 0.9, 1.1]
+};
+
+// --- Chimneys, tanks and similar structures (Fig. 29.4-1) ---
+
+// Cf at h/D = 1, 7 and 25. Round sections with D√qz above 2.5 (5.3 in SI) depend on the surface;
+// at or below it every surface takes `round_small`.
+const CHIMNEY_H_OVER_D = [1, 7, 25];
+const CHIMNEY_CF = {
+    square_face: { label: 'Square (wind normal to face)', cf: [1.3, 1.4, 2.0] },
+    square_diagonal: { label: 'Square (wind along diagonal)', cf: [1.0, 1.1, 1.5] },
+    hexagonal: { label: 'Hexagonal or octagonal', cf: [1.0, 1.2, 1.4] },
+    round_smooth: { label: 'Round, moderately smooth', cf: [0.5, 0.6, 0.7], round: true },
+    round_rough: { label: "Round, rough (D'/D = 0.02)", cf: [0.7, 0.8, 0.9], round: true },
+    round_very_rough: { label: "Round, very rough (D'/D = 0.08)", cf: [0.8, 1.0, 1.2], round: true }
+};
+const ROUND_SMALL_CF = [0.7, 0.8, 1.2];
+
+// --- Rooftop solar panels (Sec. 29.4.3, Fig. 29.4-7) ---
+
+// Nominal net pressure coefficients (GCrn)nom read from the curves of Fig. 29.4-7 at normalized
+// areas An of 1, 10, 100, 1000 and 5000, for panel tilts of 0-5° and 15-35°, by roof zone.
+const SOLAR_AN = [1, 10, 100, 1000, 5000];
+const SOLAR_GCRN_NOM = {
+    low_tilt: { zone1: [1.2, 0.9, 0.6, 0.4, 0.3], zone2: [1.7, 1.3, 0.9, 0.55, 0.4], zone3: [2.3, 1.8, 1.2, 0.7, 0.45] },
+    high_tilt: { zone1: [1.8, 1.4, 0.95, 0.6, 0.45], zone2: [2.5, 1.9, 1.3, 0.85, 0.6], zone3: [3.3, 2.5, 1.7, 1.05, 0.75] }
+};
+
+/**
+ * Picks the directionality factor row of Table 26.6-1 for a structure type.
+ * @param {object} inputs
+ * @returns {string} A structure type as listed by getKdFactor.
+ */
+export function getOtherStructureKdType(inputs) {
+    switch (inputs.other_structure_type) {
+        case 'solid_sign': return 'Solid Freestanding Signs/Walls';
+        case 'open_sign': return 'Open Signs/Frames';
+        case 'chimney':
+            if (inputs.chimney_shape?.startsWith('square')) return 'Chimneys, Tanks (Square)';
+            if (inputs.chimney_shape === 'hexagonal') return 'Chimneys, Tanks (Hexagonal)';
+            return 'Chimneys, Tanks (Round)';
+        default: return 'Buildings (MWFRS, C&C)';
+    }
+}
+
+const isImperial = inputs => inputs.unit_system === 'imperial';
+// D√qz limit between the coefficient columns for round members (ft and psf, or m and N/m²).
+const roundLimit = inputs => (isImperial(inputs) ? 2.5 : 5.3);
+
+function solidSign(inputs, { velocityPressureAt, G, trace }) {
+    const { sign_height_h: h, sign_dimension_s: s, sign_width_B: B } = inputs;
+    const epsilon = inputs.sign_solidity_ratio ?? 1;
+    const warnings = [];
+    const notes = [];
+    const qh = velocityPressureAt(h);
+    const As = trace.calc('A_s', 's * B', { s, B }, { label: 'Gross Area of the Sign', units: isImperial(inputs) ? 'ft²' : 'm²' });
+    const B_over_s = B / s;
+    const s_over_h = Math.min(s / h, 1);
+    trace.calc('B / s', 'B / s', { B, s }, { label: 'Aspect Ratio', decimals: 2 });
+    trace.calc('s / h', 's / h', { s, h }, { label: 'Clearance Ratio', decimals: 2 });
+
+    // Signs with openings keep the solid sign coefficients, reduced (Fig. 29.3-1 Note 2).
+    let reduction = 1;
+    if (epsilon < 1) {
+        reduction = trace.calc('k_open', '1 - (1 - epsilon) ^ 1.5', { epsilon }, { label: 'Reduction for Openings', decimals: 3, ref: 'ASCE 7 Fig. 29.3-1, Note 2' });
+        if (epsilon < 0.7) warnings.push('With openings of more than 30% of the gross area, the sign should be designed as an open sign (Section 29.4.2).');
+    }
+    const cf_ab = trace.calc('C_f', 'C_f_table * k_open', { C_f_table: getSolidSignCf(B_over_s, s_over_h), k_open: reduction }, { label: 'Force Coefficient, Cases A and B', decimals: 3, ref: 'ASCE 7 Fig. 29.3-1' });
+    const F = trace.calc('F', 'q_h * G * C_f * A_s', { q_h: qh, G, C_f: cf_ab, A_s: As }, { label: 'Design Force, Cases A and B', units: isImperial(inputs) ? 'lb' : 'N', ref: 'ASCE 7 Eq. 29.3-1' });
+    const z_F = h - s / 2;
+    const rows = [
+        { label: 'Case A (resultant at the geometric center)', symbol: 'C_f', coefficient: cf_ab, area: As, q: qh, value: F, z: z_F, offset: 0 },
+        { label: 'Case B (resultant 0.2B from the center)', symbol: 'C_f', coefficient: cf_ab, area: As, q: qh, value: F, z: z_F, offset: 0.2 * B }
+    ];
+    if (B_over_s >= 2) {
+        getSolidSignCaseCRegions(B_over_s, s / h).forEach(({ from, to, cf }) => {
+            const area = (to - from) * s * s;
+            rows.push({ label: `Case C, ${from}s to ${Number(to.toFixed(2))}s from the windward edge`, symbol: 'C_f', coefficient: cf * reduction, area, q: qh, value: qh * G * cf * reduction * area, z: z_F, from: from * s, to: to * s });
+        });
+        if (s / h > 0.8) notes.push('Case C coefficients include the reduction factor (1.8 - s/h) for s/h > 0.8.');
+    } else {
+        notes.push('Case C only applies for B/s >= 2.');
+    }
+    notes.push('Forces act at a height of h - s/2 above the ground.');
+    return { kind: 'force', ref: 'ASCE 7 Sec. 29.3, Fig. 29.3-1', rows, notes, warnings, geometry: { h, s, B } };
+}
+
+function openSign(inputs, { velocityPressureAt, G, trace }) {
+    const { sign_height_h: h, sign_dimension_s: s, sign_width_B: B, open_member_shape, open_member_diameter: D } = inputs;
+    const epsilon = Math.min(inputs.sign_solidity_ratio ?? 0.3, 1);
+    const warnings = [];
+    const z = h - s / 2;
+    const qz = velocityPressureAt(z);
+    const Af = trace.calc('A_f', 'epsilon * s * B', { epsilon, s, B }, { label: 'Solid Area Normal to the Wind', units: isImperial(inputs) ? 'ft²' : 'm²' });
+
+    let column = 'flat';
+    if (open_member_shape === 'round') {
+        const D_sqrt_q = trace.calc('D * sqrt(q_z)', 'D * sqrt(q_z)', { D, q_z: qz }, { label: 'Round Member Parameter', decimals: 2 });
+        column = D_sqrt_q <= roundLimit(inputs) ? 'round_small' : 'round_large';
+    }
+    if (epsilon >= 0.7) warnings.push('A solidity ratio of 0.7 or more is a solid sign (Section 29.3); the open sign coefficients were used up to ε = 0.7.');
+    const row = OPEN_SIGN_CF.solidity_limits.findIndex(limit => epsilon < limit);
+    const cf = trace.value('C_f', OPEN_SIGN_CF[column][row < 0 ? 2 : row], { label: 'Force Coefficient', ref: 'ASCE 7 Fig. 29.4-2' });
+    const F = trace.calc('F', 'q_z * G * C_f * A_f', { q_z: qz, G, C_f: cf, A_f: Af }, { label: 'Design Force', units: isImperial(inputs) ? 'lb' : 'N', ref: 'ASCE 7 Eq. 29.4-1' });
+    return {
+        kind: 'force', ref: 'ASCE 7 Sec. 29.4.2, Fig. 29.4-2',
+        rows: [{ label: 'Open sign/frame', symbol: 'C_f', coefficient: cf, area: Af, q: qz, value: F, z }],
+        notes: ['qz is taken at the centroid of the solid area, h - s/2 above the ground.'],
+        warnings, geometry: { h, s, B, epsilon }
+    };
+}
+
+function chimney(inputs, { velocityPressureAt, G, trace }) {
+    const { chimney_height: h, chimney_diameter: D } = inputs;
+    const shape = CHIMNEY_CF[inputs.chimney_shape] ? inputs.chimney_shape : 'round_smooth';
+    const z = h / 2;
+    const qz = velocityPressureAt(z);
+    const Af = trace.calc('A_f', 'D * h', { D, h }, { label: 'Projected Area Normal to the Wind', units: isImperial(inputs) ? 'ft²' : 'm²' });
+    const h_over_D = trace.calc('h / D', 'h / D', { h, D }, { label: 'Height to Width Ratio', decimals: 2 });
+    let table = CHIMNEY_CF[shape].cf;
+    if (CHIMNEY_CF[shape].round) {
+        const D_sqrt_q = trace.calc('D * sqrt(q_z)', 'D * sqrt(q_z)', { D, q_z: qz }, { label: 'Round Section Parameter', decimals: 2 });
+        if (D_sqrt_q <= roundLimit(inputs)) table = ROUND_SMALL_CF;
+    }
+    const cf = trace.value('C_f', interpolate(h_over_D, CHIMNEY_H_OVER_D, table), { label: 'Force Coefficient', decimals: 3, ref: 'ASCE 7 Fig. 29.4-1' });
+    const F = trace.calc('F', 'q_z * G * C_f * A_f', { q_z: qz, G, C_f: cf, A_f: Af }, { label: 'Design Force', units: isImperial(inputs) ? 'lb' : 'N', ref: 'ASCE 7 Eq. 29.4-1' });
+    return {
+        kind: 'force', ref: 'ASCE 7 Sec. 29.4.1, Fig. 29.4-1',
+        rows: [{ label: CHIMNEY_CF[shape].label, symbol: 'C_f', coefficient: cf, area: Af, q: qz, value: F, z }],
+        notes: ['qz is taken at the centroid of the projected area, h/2 above the base.'],
+        warnings: [], geometry: { h, D }
+    };
+}
+
+function rooftopEquipment(inputs, { qh, trace }) {
+    const { mean_roof_height: h, building_length_L: L, building_width_B: B, equipment_area_Af: Af, equipment_area_Ar: Ar } = inputs;
+    const warnings = [];
+    if (h > (isImperial(inputs) ? 60 : 18.3)) {
+        warnings.push('Section 29.4.1 covers rooftop equipment on buildings with h <= 60 ft; for taller buildings the equipment is checked as a structure with the Fig. 29.4-1 coefficients.');
+    }
+    // GCr falls as Af / (Bn h) grows, so the longer building face normal to the wind gives the
+    // larger GCr and governs.
+    const Bn = Math.max(L, B);
+    const gcr_h = trace.value('GC_r_h', interpolate(Af / (Bn * h), [0.1, 1], [1.9, 1.0]), { label: 'Horizontal Force Coefficient', decimals: 3, ref: 'ASCE 7 Sec. 29.4.1' });
+    const gcr_v = trace.value('GC_r_v', interpolate(Ar / (B * L), [0.1, 1], [1.5, 1.0]), { label: 'Vertical Uplift Coefficient', decimals: 3, ref: 'ASCE 7 Sec. 29.4.1' });
+    const force_units = isImperial(inputs) ? 'lb' : 'N';
+    const Fh = trace.calc('F_h', 'q_h * GC_r_h * A_f', { q_h: qh, GC_r_h: gcr_h, A_f: Af }, { label: 'Horizontal Force', units: force_units, ref: 'ASCE 7 Eq. 29.4-2' });
+    const Fv = trace.calc('F_v', 'q_h * GC_r_v * A_r', { q_h: qh, GC_r_v: gcr_v, A_r: Ar }, { label: 'Vertical Uplift Force', units: force_units, ref: 'ASCE 7 Eq. 29.4-3' });
+    return {
+        kind: 'force', ref: 'ASCE 7 Sec. 29.4.1',
+        rows: [
+            { label: 'Horizontal force, Fh', symbol: 'GC_r', coefficient: gcr_h, area: Af, q: qh, value: Fh },
+            { label: 'Vertical uplift, Fv', symbol: 'GC_r', coefficient: gcr_v, area: Ar, q: qh, value: Fv }
+        ],
+        notes: ['GCr is 1.9 (horizontal) and 1.5 (vertical) for small equipment, reduced linearly to 1.0 as the area grows from 10% to 100% of the building face or roof.'],
+        warnings, geometry: { h, L, B }
+    };
+}
+
+function solarPanels(inputs, { qh, roofCandC, trace }) {
+    const { mean_roof_height: h, building_length_L: L, building_width_B: B, roof_slope_deg, solar_area: A } = inputs;
+    const imperial = isImperial(inputs);
+    const ft = imperial ? 1 : 1 / 0.3048;
+    const warnings = [];
+    const notes = [];
+    const gamma_E = trace.value('gamma_E', inputs.solar_exposed === 'Yes' ? 1.5 : 1.0, { label: 'Array Edge Factor', note: inputs.solar_exposed === 'Yes' ? 'exposed panels' : 'nonexposed panels', ref: 'ASCE 7 Sec. 29.4.3' });
+    const pressure_units = imperial ? 'psf' : 'Pa';
+    const rows = [];
+
+    if (inputs.solar_method === 'parallel') {
+        // Panels parallel to the roof (Sec. 29.4.4): the roof C&C coefficients with γE and γa.
+        const area_ft2 = A * ft * ft;
+        const gamma_a = trace.value('gamma_a', interpolate(Math.log10(area_ft2), [1, 2], [0.8, 0.4]), { label: 'Pressure Equalization Factor', decimals: 3, ref: 'ASCE 7 Fig. 29.4-8' });
+        for (const [zone, data] of Object.entries(roofCandC?.pressures || {})) {
+            if (!zone.includes('Roof')) continue;
+            const gcp = data.gcp ?? data.gcp_neg;
+            rows.push({ label: zone, symbol: 'GC_p', coefficient: gcp, q: qh, factor: gamma_E * gamma_a, value: qh * gcp * gamma_E * gamma_a });
+        }
+        notes.push('p = qh (GCp)(γE)(γa), with GCp from the roof C&C zones of Chapter 30; panels no more than 10 in. above the roof, with a gap of 0.25 in. or more.');
+        return { kind: 'pressure', ref: 'ASCE 7 Sec. 29.4.4', rows, notes, warnings, pressure_units, geometry: { h, L, B } };
+    }
+
+    if (roof_slope_deg > 7 && inputs.roof_type !== 'flat') warnings.push('Section 29.4.3 applies to roofs with slopes of 7° or less.');
+    const tilt = Math.abs(inputs.solar_tilt_deg || 0);
+    if (tilt > 35) warnings.push('Fig. 29.4-7 covers panel tilts up to 35°; the 35° values were used.');
+    const W_L = Math.max(L, B);
+    const W_S = Math.min(L, B);
+    const L_b = trace.calc('L_b', 'min(0.4 * sqrt(h * W_L), h, W_S)', { h, W_L, W_S }, { label: 'Normalized Building Length', units: imperial ? 'ft' : 'm', ref: 'ASCE 7 Sec. 29.4.3' });
+    const L_b_min = imperial ? 15 : 4.57;
+    const A_n = trace.calc('A_n', '1000 * A / max(L_b, L_b_min) ^ 2', { A, L_b, L_b_min }, { label: 'Normalized Wind Area', decimals: 1, ref: 'ASCE 7 Eq. 29.4-6' });
+    const gamma_p = trace.calc('gamma_p', 'min(1.2, 0.9 + h_pt / h)', { h_pt: inputs.solar_parapet_height || 0, h }, { label: 'Parapet Height Factor', decimals: 3 });
+    const gamma_c = trace.calc('gamma_c', 'max(0.6 + 0.06 * L_p, 0.8)', { L_p: (inputs.solar_chord_Lp || 0) * ft }, { label: 'Chord Length Factor', decimals: 3, note: 'Lp in ft' });
+
+    const logAn = Math.log10(Math.max(A_n, 1));
+    const logPoints = SOLAR_AN.map(Math.log10);
+    ['zone1', 'zone2', 'zone3'].forEach((zone, i) => {
+        const at = key => interpolate(logAn, logPoints, SOLAR_GCRN_NOM[key][zone]);
+        const nominal = interpolate(tilt, [5, 15], [at('low_tilt'), at('high_tilt')]);
+        const gcrn = gamma_p * gamma_c * gamma_E * nominal;
+        rows.push({ label: `Roof Zone ${i + 1}`, symbol: 'GC_rn', nominal, coefficient: gcrn, q: qh, value: qh * gcrn });
+    });
+    notes.push('p = qh (GCrn), with (GCrn) = γp γc γE (GCrn)nom; the pressure acts both toward and away from the panel surface.');
+    return { kind: 'pressure', ref: 'ASCE 7 Sec. 29.4.3, Fig. 29.4-7', rows, notes, warnings, pressure_units, geometry: { h, L, B, tilt } };
+}
+
+const CALCULATORS = { solid_sign: solidSign, open_sign: openSign, chimney, rooftop_equipment: rooftopEquipment, solar_panels: solarPanels };
+
+/**
+ * Calculates the Chapter 29 wind forces (or pressures, for solar panels) on another structure.
+ * @param {object} inputs - The wind inputs, with `other_structure_type` and the inputs of that type.
+ * @param {object} context
+ * @param {function(number): number} context.velocityPressureAt - qz at a height above the ground.
+ * @param {number} context.qh - qh at the mean roof height of the building (rooftop equipment and
+ *   solar panels).
+ * @param {number} context.G - Gust effect factor.
+ * @param {object} [context.roofCandC] - The building's C&C results, for solar panels parallel to
+ *   the roof.
+ * @param {object} context.trace - A calc-trace builder; the steps are added to its current section.
+ * @returns {{type: string, title: string, kind: 'force'|'pressure', ref: string, rows: object[],
+ *   notes: string[], warnings: string[], geometry: object}} Each row has a label, the coefficient
+ *   with its symbol, the velocity pressure q and the strength-level `value` (force or pressure).
+ */
+export function calculateOtherStructure(inputs, context) {
+    const type = CALCULATORS[inputs.other_structure_type] ? inputs.other_structure_type : 'solid_sign';
+    return { type, title: OTHER_STRUCTURE_TYPES[type], ...CALCULATORS[type](inputs, context) };
+}
@@ -1,3 +1,7 @@
+import { windLoadCalculator } from './wind-engine.js';
+import { renderTraceSection } from '../js/calc-trace.js';
+import { inputSchemas, schemaInputIds } from '../js/input-schemas.js';
+
 // --- GLOBAL VARIABLES for state management ---
 let lastWindRunResults = null;
 
@@ -10,15 +14,7 @@ function addRangeIndicators() {
     });
 }
 
-const windInputIds = [
-    'asce_standard', 'unit_system', 'risk_category', 'design_method',
-    'jurisdiction', 'ground_elevation', 'topographic_factor_Kzt',
-    'basic_wind_speed', 'exposure_category', 'mean_roof_height', 'building_flexibility',
-    'fundamental_period',
-    'building_length_L', 'building_width_B', 'enclosure_classification',
-    'roof_type', 'roof_slope_deg', 'structure_type_for_kd',
-    'gust_effect_factor_g', 'temporary_construction', 'wind_obstruction', 'effective_wind_area'
-, 'calculate_height_varying_pressure'];
+const windInputIds = schemaInputIds(inputSchemas.wind);
 
 // =================================================================================
 //  UI INJECTION & INITIALIZATION
@@ -27,8 +23,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // 1. Create the main calculation handler first, so it's available to other functions.
     const handleRunWindCalculation = createCalculationHandler({
         inputIds: windInputIds,
+        schema: inputSchemas.wind,
+        liveMode: true,
         storageKey: 'wind-calculator-inputs',
-        validatorFunction: validateWindInputs,
+        validationRuleKey: 'wind',
         calculatorFunction: windLoadCalculator.run,
         renderFunction: renderWindResults,
         resultsContainerId: 'results-container',
@@ -56,8 +54,8 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         // Create file-based handlers
-        const handleSaveWindInputs = createSaveInputsHandler(windInputIds, 'wind-inputs.txt');
-        const handleLoadWindInputs = createLoadInputsHandler(windInputIds);
+        const handleSaveWindInputs = createSaveInputsHandler(inputSchemas.wind, 'wind-inputs.json');
+        const handleLoadWindInputs = createLoadInputsHandler(inputSchemas.wind);
 
         // Attach handlers to buttons
         document.getElementById('run-calculation-btn').addEventListener('click', handleRunWindCalculation);
@@ -80,6 +78,15 @@ document.addEventListener('DOMContentLoaded', () => {
             if (event.target.id === 'download-pdf-btn') {
                 handleDownloadPdf('wind-report-content', 'Wind-Load-Report.pdf');
             }
+            if (event.target.id === 'download-docx-btn') {
+                handleDownloadDocx('wind-report-content', 'Wind-Load-Report.docx');
+            }
+            if (event.target.id === 'download-xlsx-btn') {
+                handleDownloadTables('wind-report-content', 'Wind-Load-Report.xlsx');
+            }
+            if (event.target.id === 'download-csv-btn') {
+                handleDownloadTables('wind-report-content', 'Wind-Load-Report.csv');
+            }
             const button = event.target.closest('.toggle-details-btn');
             if (button) {
                 const detailId = button.dataset.toggleId;
@@ -107,1020 +114,6 @@ document.addEventListener('DOMContentLoaded', () => {
     initializeApp();    
 }); // END DOMContentLoaded
 
-// =================================================================================
-//  WIND LOAD CALCULATOR LOGIC
-// =================================================================================
-
-const windLoadCalculator = (() => {
-    // --- PRIVATE HELPER & CALCULATION FUNCTIONS ---
-// Internal pressure coefficient GCpi
-// Reference: ASCE 7-16/22 Table 26.13-1
-function getInternalPressureCoefficient(enclosureClass) {
-        const map = {
-            "Enclosed": [0.18, "ASCE 7 Table 26.13-1 (Enclosed)"],
-            "Partially Enclosed": [0.55, "ASCE 7 Table 26.13-1 (Partially Enclosed)"],
-            "Open": [0.00, "ASCE 7 Table 26.13-1 (Open)"]
-        };
-        return map[enclosureClass] || [0.00, "Invalid Enclosure"];
-    }
-
-    // Detailed Cp values for Gable and Hip roofs
-    // Reference: ASCE 7-16/22 Figure 27.3-2
-    function getGableHipCpValues(h, L, B, roofSlopeDeg, isHip, unitSystem) {
-        const cpMap = {};
-        const theta = roofSlopeDeg;
-        const h_over_L = L > 0 ? h / L : 0;
-        const h_unit = unitSystem === 'imperial' ? 'ft' : 'm';
-
-        // Calculate 'a' per ASCE 7-16/22 Section 27.3.2
-        const least_dim = Math.min(L, B);
-        let a = Math.min(0.1 * least_dim, 0.4 * h);
-        const min_a_val1 = 0.04 * least_dim;
-        const min_a_val2 = unitSystem === 'imperial' ? 3.0 : 0.9;
-        a = Math.max(a, min_a_val1, min_a_val2);
-
-        const a_str = `(a=${a.toFixed(1)} ${h_unit})`;
-
-        // Interpolation functions for Cp based on theta and h/L
-        // Windward zones (1, 2, 3)
-        const cp_1_windward = interpolate(theta, [10, 20, 30, 45], [-0.7, -0.4, 0.2, 0.4]);
-        const cp_2_windward = interpolate(theta, [10, 20, 30, 45], [-0.9, -0.7, -0.2, 0.4]);
-        const cp_3_windward = interpolate(theta, [20, 30, 45], [-1.3, -1.0, -0.5]);
-
-        // Leeward zones (1, 2, 3)
-        const cp_1_leeward = interpolate(h_over_L, [0, 0.5, 1.0], [-0.5, -0.5, -0.3]);
-        const cp_2_leeward = interpolate(h_over_L, [0, 0.5, 1.0], [-0.7, -0.7, -0.5]);
-        const cp_3_leeward = -0.9;
-
-        // Assign values to the map
-        cpMap[`Roof Zone 1 (Windward)`] = cp_1_windward;
-        cpMap[`Roof Zone 2 (Windward) ${a_str}`] = cp_2_windward;
-        if (theta >= 20) {
-            cpMap[`Roof Zone 3 (Windward) ${a_str}`] = cp_3_windward;
-        }
-
-        cpMap[`Roof Zone 1 (Leeward)`] = cp_1_leeward;
-        cpMap[`Roof Zone 2 (Leeward) ${a_str}`] = cp_2_leeward;
-        cpMap[`Roof Zone 3 (Leeward) ${a_str}`] = cp_3_leeward;
-
-        if (isHip) {
-            // Hip roof end zones (1E, 2E, 3E)
-            const cp_1E = interpolate(theta, [10, 20, 27], [-0.9, -0.7, -0.5]);
-            const cp_2E = interpolate(theta, [10, 20, 27], [-1.3, -0.9, -0.7]);
-            const cp_3E = interpolate(theta, [20, 27], [-1.3, -1.0]);
-
-            cpMap[`Hip End Zone 1E`] = cp_1E;
-            cpMap[`Hip End Zone 2E ${a_str}`] = cp_2E;
-            if (theta >= 20) {
-                cpMap[`Hip End Zone 3E ${a_str}`] = cp_3E;
-            }
-        }
-
-        // Side walls are always -0.7
-        cpMap["Side Wall"] = -0.7;
-
-        return cpMap;
-    }
-
-    // Cp values for buildings of all heights (Analytical Procedure)
-    // Reference: ASCE 7-16 Figure 27.3-1
-    function getAnalyticalCpValues(h, dim_parallel_to_wind, dim_perp_to_wind, roofSlopeDeg) {
-        // Input validation
-        if (!isFinite(h) || !isFinite(dim_parallel_to_wind) || !isFinite(dim_perp_to_wind) || !isFinite(roofSlopeDeg)) {
-            throw new Error('Invalid input parameters for Cp calculation');
-        }
-
-        // Handle invalid dimensions
-        if (h <= 0 || dim_parallel_to_wind <= 0 || dim_perp_to_wind <= 0) {
-            throw new Error('Building dimensions must be positive');
-        }
-
-        const warnings = [];
-        const cpMap = {};
-
-        // Calculate aspect ratios with proper validation
-        const L_over_B = dim_parallel_to_wind / dim_perp_to_wind;
-        const h_over_L = h / dim_parallel_to_wind;
-
-        // Handle negative or extreme roof slopes
-        const absSlope = Math.abs(roofSlopeDeg);
-        if (absSlope > 45) {
-            warnings.push('Roof slope exceeds 45 degrees. Consider using Alternative Procedures from ASCE 7-16 Section 27.3.2.');
-        }
-        if (absSlope < 10) {
-            warnings.push('Roof slope is less than 10 degrees. Results may be conservative.');
-        }
-
-        // Wall pressure coefficients - constant values from ASCE 7-16 Fig. 27.3-1
-        cpMap["Windward Wall"] = 0.8;
-        cpMap["Side Wall"] = -0.7;
-
-        try {
-            // Leeward wall Cp with clamped L/B ratio
-            const boundedL_over_B = Math.min(Math.max(L_over_B, 0), 4);
-            cpMap[`Leeward Wall (L/B = ${boundedL_over_B.toFixed(2)})`] = 
-                interpolate(boundedL_over_B, [0, 1, 2, 4], [-0.5, -0.5, -0.3, -0.2]);
-
-            // Roof pressure coefficients with full slope coverage
-            if (h_over_L <= 0.8) {
-                // Low-rise configuration
-                const boundedSlope = Math.min(Math.max(absSlope, 10), 45);
-                cpMap[`Roof Windward (h/L = ${h_over_L.toFixed(2)})`] = 
-                    interpolate(boundedSlope, [10, 15, 20, 25, 30, 35, 45],
-                             [-0.7, -0.5, -0.3, -0.2, -0.2, 0.0, 0.4]);
-                
-                // Extended leeward coefficients for all slopes
-                cpMap[`Roof Leeward (h/L = ${h_over_L.toFixed(2)})`] = 
-                    interpolate(boundedSlope, [10, 15, 20, 25, 30, 35, 45],
-                             [-0.3, -0.5, -0.6, -0.6, -0.6, -0.6, -0.6]);
-            } else {
-                // Tall building configuration
-                const boundedSlope = Math.min(Math.max(absSlope, 10), 45);
-                cpMap[`Roof Windward (h/L = ${h_over_L.toFixed(2)})`] = 
-                    interpolate(boundedSlope, [10, 15, 20, 25, 30, 35, 45],
-                             [-0.9, -0.7, -0.4, -0.3, -0.2, 0.0, 0.4]);
-                cpMap[`Roof Leeward (h/L = ${h_over_L.toFixed(2)})`] = -0.7;
-            }
-        } catch (error) {
-            console.error('Error in pressure coefficient calculation:', error);
-            // Provide conservative defaults if interpolation fails
-            cpMap[`Leeward Wall (L/B = ${L_over_B.toFixed(2)})`] = -0.5;
-            cpMap[`Roof Windward (h/L = ${h_over_L.toFixed(2)})`] = -0.9;
-            cpMap[`Roof Leeward (h/L = ${h_over_L.toFixed(2)})`] = -0.7;
-            warnings.push('Error in pressure coefficient calculation. Using conservative values.');
-        }
-
-        return { cpMap, warnings };
-}
-
-    // Net pressure coefficients CN for Open Buildings with Free Roofs
-    // Reference: ASCE 7-16/22 Figure 27.3-4
-    function getOpenBuildingCnValues(roofSlopeDeg, isObstructed) {
-        const cnMap = {};
-        const theta = Math.abs(roofSlopeDeg); // Use absolute slope
-        const caseKey = isObstructed ? 'obstructed' : 'unobstructed';
-
-        // Net Pressure Coefficients, CN, for Monoslope Roofs
-        const monoslope_map = {
-            unobstructed: {
-                zones: ['Zone 2', 'Zone 3'],
-                windward_qtr: [interpolate(theta, [5, 30, 45], [0.8, 1.2, 1.2]), interpolate(theta, [5, 30, 45], [1.2, 1.8, 1.8])],
-                middle_half:  [interpolate(theta, [5, 30, 45], [-0.8, -0.8, -0.8]), interpolate(theta, [5, 30, 45], [-1.2, -1.2, -1.2])],
-                leeward_qtr:  [interpolate(theta, [5, 30, 45], [-0.6, -0.5, -0.5]), interpolate(theta, [5, 30, 45], [-1.0, -0.8, -0.8])]
-            },
-            obstructed: {
-                zones: ['Zone 2', 'Zone 3'],
-                windward_qtr: [interpolate(theta, [5, 30, 45], [1.6, 2.4, 2.4]), interpolate(theta, [5, 30, 45], [2.2, 3.3, 3.3])],
-                middle_half:  [interpolate(theta, [5, 30, 45], [-1.6, -1.6, -1.6]), interpolate(theta, [5, 30, 45], [-2.2, -2.2, -2.2])],
-                leeward_qtr:  [interpolate(theta, [5, 30, 45], [-1.2, -1.0, -1.0]), interpolate(theta, [5, 30, 45], [-1.6, -1.4, -1.4])]
-            }
-        };
-
-        // For pitched/troughed, we use the monoslope values for each half
-        const data = monoslope_map[caseKey];
-        cnMap[`Windward Roof (First Quarter)`] = { cn_pos: data.windward_qtr[0], cn_neg: -data.windward_qtr[0] };
-        cnMap[`Windward Roof (Zone 3)`] = { cn_pos: data.windward_qtr[1], cn_neg: -data.windward_qtr[1] };
-        cnMap[`Middle Roof Area (Half)`] = { cn_pos: data.middle_half[0], cn_neg: -data.middle_half[0] };
-        cnMap[`Middle Roof Area (Zone 3)`] = { cn_pos: data.middle_half[1], cn_neg: -data.middle_half[1] };
-        cnMap[`Leeward Roof (Last Quarter)`] = { cn_pos: data.leeward_qtr[0], cn_neg: -data.leeward_qtr[0] };
-        cnMap[`Leeward Roof (Zone 3)`] = { cn_pos: data.leeward_qtr[1], cn_neg: -data.leeward_qtr[1] };
-
-        return { cnMap, ref: `ASCE 7 Fig 27.3-4 (${caseKey} flow)` };
-    }
-
-    // External pressure coefficients Cp
-    // Reference: ASCE 7-16/22 Figures 27.4-1, 27.4-2, 27.4-3 (now includes edge/corner zones for flat roofs)
-    // NOTE: For more complex roof shapes, see future improvement
-    function getCpValues(standard, h, L, B, roofType, roofSlopeDeg, unitSystem) {
-        const cpMap = {};
-        const refNotes = {};
-        const L_over_B = B > 0 ? L / B : 0;
-        const h_unit = unitSystem === 'imperial' ? 'ft' : 'm';
-
-        cpMap["Windward Wall"] = 0.8;
-        refNotes["Windward Wall"] = "ASCE 7 Fig. 27.4-1";
-        cpMap["Side Wall"] = -0.7;
-        refNotes["Side Wall"] = "ASCE 7 Fig. 27.4-1";
-        cpMap["Leeward Wall"] = interpolate(L_over_B, [0, 1, 2, 4], [-0.5, -0.5, -0.3, -0.2]);
-        refNotes["Leeward Wall"] = "ASCE 7 Fig. 27.4-1 (varies with L/B)";
-
-        if (roofType === "flat") {
-            if (standard === "ASCE 7-22") {
-                // ASCE 7-22 Figure 27.4-1 (Zoned approach)
-                let a = Math.min(0.1 * Math.min(L, B), 0.4 * h);
-                const min_a = unitSystem === 'imperial' ? 3.0 : 0.9;
-                a = Math.max(a, min_a);
-                cpMap[`Roof Zone 1 (0 to ${a.toFixed(1)} ${h_unit})`] = -0.9;
-                cpMap[`Roof Zone 2 (${a.toFixed(1)} to ${2*a.toFixed(1)} ${h_unit})`] = -0.5;
-                cpMap[`Roof Zone 3 (> ${2*a.toFixed(1)} ${h_unit})`] = -0.3;
-                refNotes["Roof"] = "ASCE 7-22 Fig. 27.4-1 (Zoned approach)";
-            } else { // ASCE 7-16
-                // ASCE 7-16 Figure 27.4-1 (h/L approach)
-                const h_over_L = L > 0 ? h / L : 0;
-                if (h_over_L <= 0.5) {
-                    cpMap[`Roof (0 to ${(h/2).toFixed(1)} ${h_unit})`] = -0.9;
-                    cpMap[`Roof (${(h/2).toFixed(1)} to ${h.toFixed(1)} ${h_unit})`] = -0.9;
-                    cpMap[`Roof (${h.toFixed(1)} to ${(2*h).toFixed(1)} ${h_unit})`] = -0.5;
-                    cpMap[`Roof (> ${(2*h).toFixed(1)} ${h_unit})`] = -0.3;
-                    refNotes["Roof"] = "ASCE 7-16 Fig. 27.4-1 (h/L ≤ 0.5)";
-                } else {
-                    cpMap[`Roof (0 to ${(h/2).toFixed(1)} ${h_unit})`] = interpolate(h_over_L, [0.5, 1.0], [-0.9, -1.3]);
-                    cpMap[`Roof (${(h/2).toFixed(1)} to ${h.toFixed(1)} ${h_unit})`] = interpolate(h_over_L, [0.5, 1.0], [-0.9, -0.7]);
-                    cpMap[`Roof (> ${h.toFixed(1)} ${h_unit})`] = interpolate(h_over_L, [0.5, 1.0], [-0.5, -0.4]);
-                    refNotes["Roof"] = "ASCE 7-16 Fig. 27.4-1 (h/L > 0.5)";
-                }
-            }
-        } else if (["gable", "hip"].includes(roofType)) {
-            const isHip = roofType === 'hip';
-            const gableHipCp = getGableHipCpValues(h, L, B, roofSlopeDeg, isHip, unitSystem);
-            Object.assign(cpMap, gableHipCp);
-            refNotes["Roof"] = `ASCE 7-16/22 Fig. 27.4-2 (${isHip ? 'Hip' : 'Gable'})`;
-        }
-        return { cpMap, refNotes };
-    }
-
-// Directionality factor Kd
-// Reference: ASCE 7-16/22 Table 26.6-1
-function getKdFactor(structureType) {
-        const kdMap = {
-            "Buildings (MWFRS, C&C)": [0.85, "ASCE 7 Table 26.6-1 (Buildings)"],
-            "Arched Roofs": [0.85, "ASCE 7 Table 26.6-1 (Arched Roofs)"],
-            "Solid Freestanding Signs/Walls": [0.85, "ASCE 7 Table 26.6-1 (Signs/Walls)"],
-            "Open Signs/Frames": [0.85, "ASCE 7 Table 26.6-1 (Open Signs)"],
-            "Trussed Towers (Triangular, Square, Rectangular)": [0.85, "ASCE 7 Table 26.6-1 (Trussed Towers)"],
-            "Trussed Towers (All Other Cross Sections)": [0.95, "ASCE 7 Table 26.6-1 (Trussed Towers)"],
-            "Chimneys, Tanks (Square)": [0.90, "ASCE 7 Table 26.6-1 (Square)"],
-            "Chimneys, Tanks (Hexagonal)": [0.95, "ASCE 7 Table 26.6-1 (Hexagonal)"]
-        };
-        return kdMap[structureType] || [1.0, "ASCE 7 Table 26.6-1 (Default)"];
-    }
-
-// Importance factor Iw
-// Reference: ASCE 7-16/22 Table 1.5-2
-function getImportanceFactor(category, standard) {
-        const factors = standard === "ASCE 7-22" ? { "I": 0.75, "II": 1.00, "III": 1.15, "IV": 1.15 } : { "I": 0.87, "II": 1.00, "III": 1.15, "IV": 1.15 };
-        const ref = standard === "ASCE 7-22" ? "ASCE 7-22 Table 1.5-2" : "ASCE 7-16 Table 1.5-2";
-        return [factors[category] || 1.00, ref];
-    }
-
-// Wind exposure constants (alpha, zg)
-// Reference: ASCE 7-16/22 Table 26.9-1
-function getExposureConstants(category, units) {
-    const expMap = {
-        'B': { alpha: 7.0, zg_imp: 1200.0, zg_metric: 365.8, ref: "ASCE 7 Table 26.9-1 (Exposure B)" },
-        'C': { alpha: 9.5, zg_imp: 900.0, zg_metric: 274.3, ref: "ASCE 7 Table 26.9-1 (Exposure C)" },
-        'D': { alpha: 11.5, zg_imp: 700.0, zg_metric: 213.4, ref: "ASCE 7 Table 26.9-1 (Exposure D)" }
-    };
-    const data = expMap[category] || expMap['C'];
-    const zg = units === 'imperial' ? data.zg_imp : data.zg_metric;
-    return { alpha: data.alpha, zg, ref_note: data.ref };
-}
-
-// Calculation of exposure factor Kz
-// Reference: ASCE 7-16/22 Section 26.10, Eq. 26.10-1
-// Table 26.10-1 for exposure constants
-function calculateKz(h, category, units) { // Refactored for readability
-    // --- 1. Input Validation (Guard Clauses) ---
-    if (!isFinite(h) || h < 0 || !category) {
-        console.error("Invalid parameters for calculateKz:", { h, category });
-        return { Kz: 1.0, alpha: 0, zg: 0, ref_note: "Error: Invalid input" };
-    }
-
-    const { alpha, zg, ref_note } = getExposureConstants(category, units);
-    if (!isFinite(alpha) || !isFinite(zg) || alpha <= 0 || zg <= 0) {
-        console.error("Invalid exposure constants from getExposureConstants:", { alpha, zg });
-        return { Kz: 1.0, alpha, zg, ref_note: "Error: Invalid exposure constants" };
-    }
-
-    // --- 2. Main Calculation Logic ---
-    const min_h = units === 'imperial' ? 15.0 : 4.6;
-    const calc_h = Math.max(h, min_h);
-    const Kz = 2.01 * Math.pow(calc_h / zg, 2 / alpha);
-
-    // --- 3. Output Validation ---
-    if (!isFinite(Kz)) {
-        console.error("Kz calculation resulted in a non-finite value:", { calc_h, zg, alpha });
-        return { Kz: 1.0, alpha, zg, ref_note: "Error: Kz calculation failed" };
-    }
-
-    return { Kz, alpha, zg, ref_note };
-}
-
-// Elevation factor Ke
-// Reference: ASCE 7-16 Table 26.9-1; ASCE 7-22 Section 26.9 (Ke=1.0)
-function calculateKe(elevation, units, standard) {
-        if (standard === "ASCE 7-22") return [1.0, "ASCE 7-22 Section 26.9 (Ke = 1.0)"];
-        const elev_ft = [-500, 0, 500, 1000, 2000, 3000, 4000, 5000, 6000];
-        const ke_vals = [1.05, 1.00, 0.95, 0.90, 0.82, 0.74, 0.67, 0.61, 0.55];
-        const elev_calc = units === 'metric' ? elevation * 3.28084 : elevation;
-        const ke_val = interpolate(elev_calc, elev_ft, ke_vals);
-        return [ke_val, `ASCE 7-16 Table 26.9-1 (Elevation: ${elev_calc.toFixed(0)} ft)`];
-    }
-
-// Wind velocity pressure qz
-// Reference: ASCE 7-16/22 Eq. 26.10-1
-function calculateVelocityPressure(Kz, Kzt, Kd, Ke, V, standard, riskCat, units) {
-    // Validate all inputs
-    const safeKz = isFinite(Kz) && Kz > 0 ? Kz : 1.0;
-    const safeKzt = isFinite(Kzt) && Kzt > 0 ? Kzt : 1.0;
-    const safeKd = isFinite(Kd) && Kd > 0 ? Kd : 0.85;
-    const safeKe = isFinite(Ke) && Ke > 0 ? Ke : 1.0;
-    const safeV = isFinite(V) && V > 0 ? V : 100; // Default safe wind speed
-    
-    const [Iw, iw_ref] = getImportanceFactor(riskCat, standard);
-    const constant = units === 'imperial' ? 0.00256 : 0.613;
-    
-    let qz, ref_note;
-    if (standard === 'ASCE 7-22') {
-        // ASCE 7-22 includes Iw directly in the velocity pressure equation.
-        qz = constant * safeKz * safeKzt * safeKd * safeKe * Iw * (safeV * safeV); 
-        ref_note = `ASCE 7-22 Eq. 26.10-1 (Iw = ${Iw.toFixed(2)} from ${iw_ref})`;
-    } else { // ASCE 7-16 and other fallbacks
-        // ASCE 7-16 does NOT include Iw in the velocity pressure equation. It's applied later in load combinations.
-        qz = constant * safeKz * safeKzt * safeKd * safeKe * (safeV * safeV);
-        ref_note = "ASCE 7-16 Eq. 26.10-1";
-    }
-    
-    // Final validation
-    if (!isFinite(qz) || qz < 0) {
-        console.warn("Invalid qz calculated, using fallback");
-        qz = units === 'imperial' ? 10.0 : 500.0; // Reasonable fallback
-        ref_note += " - Fallback value used due to calculation issue";
-    }
-    
-    return { qz, ref_note };
-}
-
-// Design pressure p = qz(G*Cp - GCpi) for windward wall
-// or p = qh(G*Cp - GCpi) for other surfaces
-// Reference: ASCE 7-16/22 Eq. 27.4-1 (MWFRS)
-function calculateDesignPressure(q_ext, q_int, G, Cp, GCpi, isWindward = false) {
-    // Validate inputs
-    if (!isFinite(q_ext) || !isFinite(q_int) || !isFinite(G) || !isFinite(Cp) || !isFinite(GCpi)) {
-        throw new Error('Invalid input parameters for pressure calculation');
-    }
-    
-    // Correct formula: p = q(GCp) - qi(GCpi)
-    // q_ext = qz for windward wall, qh for others
-    // q_int = qh for enclosed/partially enclosed buildings
-    const external_pressure = q_ext * G * Cp;
-    const internal_pressure = q_int * GCpi;
-    return external_pressure - internal_pressure;
-}
-    // --- C&C Calculation Helpers for h > 60 ft ---
-
-    /**
-     * A generic helper for 2D interpolation of GCp values for high-rise buildings.
-     * It interpolates first based on the logarithm of the effective wind area,
-     * and then based on the building height.
-     * @param {object} gcp_data - The data object containing GCp values, heights, and areas.
-     * @param {number} A - The effective wind area.
-     * @param {number} h - The mean roof height.
-     * @returns {object} An object mapping zones to their interpolated positive and negative GCp values.
-     */
-    function interpolateHighRiseGcp(gcp_data, A, h) {
-        const log_areas = gcp_data.areas.map(Math.log);
-        const log_A = Math.log(A);
-        const results = {};
-
-        // Iterate over the zones defined in the gcp_data object (e.g., 'Wall Zone 4', 'Roof Zone 1'').
-        for (const zone of Object.keys(gcp_data).filter(k => k !== 'heights' && k !== 'areas')) {
-            const zoneData = gcp_data[zone];
-            
-            // 1. Interpolate across area for each height point in the table.
-            const pos_vals_at_h = gcp_data.heights.map((_, i) => interpolate(log_A, log_areas, zoneData.pos.slice(i * gcp_data.areas.length, (i + 1) * gcp_data.areas.length)));
-            const neg_vals_at_h = gcp_data.heights.map((_, i) => interpolate(log_A, log_areas, zoneData.neg.slice(i * gcp_data.areas.length, (i + 1) * gcp_data.areas.length)));
-            
-            // 2. Interpolate across height using the results from the area interpolation.
-            results[zone] = {
-                positive: interpolate(h, gcp_data.heights, pos_vals_at_h),
-                negative: interpolate(h, gcp_data.heights, neg_vals_at_h)
-            };
-        }
-        return results;
-    }
-
-    function calculateWallPressuresHighRise(A, h) {
-        const gcp_data = {
-            heights: [60, 100, 200, 300, 400, 500],
-            areas: [10, 100, 500],
-            'Wall Zone 4': {
-                pos: [0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8],
-                neg: [-1.0, -0.9, -0.8, -1.2, -1.1, -0.9, -1.5, -1.3, -1.2, -1.7, -1.5, -1.3, -1.9, -1.7, -1.5, -2.1, -1.8, -1.6]
-            },
-            'Wall Zone 5': {
-                pos: [0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8, 0.9, 0.9, 0.8],
-                neg: [-1.2, -1.1, -1.0, -1.4, -1.3, -1.1, -1.8, -1.6, -1.4, -2.0, -1.8, -1.6, -2.3, -2.0, -1.8, -2.5, -2.2, -2.0]
-            }
-        };
-        return interpolateHighRiseGcp(gcp_data, A, h);
-    }    
-
-    function calculateSteepRoofCandC(A, h, theta) {
-        // ASCE 7-16 Figure 30.5-2 for Steep Roofs (theta > 7 deg)
-        const gcp_data = {
-            heights: [60, 100, 200, 300, 400, 500],
-            areas: [10, 100, 500],
-            'Zone 1\'': {
-                pos: [0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3],
-                neg: [-1.0, -0.9, -0.7, -1.2, -1.0, -0.8, -1.5, -1.2, -1.0, -1.7, -1.4, -1.1, -1.9, -1.6, -1.3, -2.1, -1.7, -1.4]
-            },
-            'Zone 2\'': {
-                pos: [0.9, 0.7, 0.5, 1.1, 0.8, 0.6, 1.3, 1.0, 0.8, 1.5, 1.2, 0.9, 1.7, 1.3, 1.0, 1.8, 1.4, 1.1],
-                neg: [-1.8, -1.4, -1.0, -2.1, -1.6, -1.2, -2.5, -2.0, -1.5, -2.9, -2.3, -1.7, -3.2, -2.6, -2.0, -3.5, -2.8, -2.2]
-            },
-            'Zone 3\'': {
-                pos: [1.3, 1.0, 0.7, 1.5, 1.2, 0.9, 1.8, 1.5, 1.1, 2.1, 1.7, 1.3, 2.4, 1.9, 1.5, 2.6, 2.1, 1.6],
-                neg: [-2.6, -2.0, -1.4, -3.0, -2.4, -1.7, -3.6, -2.9, -2.2, -4.1, -3.3, -2.5, -4.6, -3.7, -2.8, -5.0, -4.1, -3.1]
-            }
-        };
-        return interpolateHighRiseGcp(gcp_data, A, h);
-    }    
-
-    function calculateLowSlopeRoofPressuresHighRise(A, h) {
-        const gcp_data = {
-            heights: [60, 100, 200, 300, 400, 500],
-            areas: [10, 100, 500],
-            'Roof Zone 1\'': {
-                pos: [0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3],
-                neg: [-1.1, -0.9, -0.7, -1.3, -1.1, -0.8, -1.6, -1.4, -1.1, -1.9, -1.6, -1.3, -2.2, -1.8, -1.5, -2.4, -2.0, -1.7]
-            },
-            'Roof Zone 2\'': {
-                pos: [0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3],
-                neg: [-1.8, -1.4, -1.0, -2.2, -1.7, -1.2, -2.8, -2.2, -1.6, -3.2, -2.6, -2.0, -3.6, -3.0, -2.3, -4.0, -3.3, -2.6]
-            },
-            'Roof Zone 3\'': {
-                pos: [0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3, 0.7, 0.5, 0.3],
-                neg: [-2.6, -2.0, -1.4, -3.2, -2.5, -1.8, -4.0, -3.2, -2.4, -4.6, -3.8, -2.8, -5.2, -4.3, -3.2, -5.7, -4.7, -3.5]
-            }
-        };
-        return interpolateHighRiseGcp(gcp_data, A, h);
-    }    
-
-    /**
-     * Calculates C&C pressures for high-rise buildings (h > 60ft) by selecting the appropriate
-     * data tables and converting the resulting GCp values to pressures.
-     * @param {object} inputs - The user inputs object.
-     * @param {number} qh - The velocity pressure at the mean roof height.
-     * @param {number} GCpi_abs - The absolute value of the internal pressure coefficient.
-     * @returns {object} An object containing the calculated pressures and other metadata.
-     */
-    function calculateHighRiseCandCPressures(inputs, qh, GCpi_abs) {
-        const { mean_roof_height: h, effective_wind_area: A, roof_slope_deg, roof_type, unit_system } = inputs;
-        const warnings = [];
-        const results = {};
-
-        // Wall pressures (Figure 30.5-1)
-        Object.assign(results, calculateWallPressuresHighRise(A, h));
-
-        // Roof pressures based on roof type and slope
-        const is_low_slope = roof_slope_deg <= 7;
-        if (roof_type === 'flat' || (['gable', 'hip'].includes(roof_type) && is_low_slope)) {
-            Object.assign(results, calculateLowSlopeRoofPressuresHighRise(A, h));
-        } else if (['gable', 'hip'].includes(roof_type) && !is_low_slope) {
-            Object.assign(results, calculateSteepRoofCandC(A, h, roof_slope_deg));
-        } else {
-            warnings.push(`C&C pressures for '${roof_type}' roofs on high-rise buildings are not explicitly covered by the prescriptive methods in ASCE 7-16 Ch. 30 and are not calculated.`);
-        }
-
-        // Convert GCp values to final pressures
-        const finalPressures = {};
-        for (const [zone, gcps] of Object.entries(results)) {
-            if (typeof gcps.positive !== 'number' || typeof gcps.negative !== 'number') continue;
-
-            const p1 = qh * (gcps.positive - GCpi_abs);
-            const p2 = qh * (gcps.positive - (-GCpi_abs));
-            const p3 = qh * (gcps.negative - GCpi_abs);
-            const p4 = qh * (gcps.negative - (-GCpi_abs));
-
-            finalPressures[zone] = {
-                gcp_pos: gcps.positive, gcp_neg: gcps.negative,
-                p_pos: Math.max(p1, p2, p3, p4), p_neg: Math.min(p1, p2, p3, p4)
-            };
-        }
-
-        return { applicable: true, pressures: finalPressures, ref: `ASCE 7-16 Ch. 30, Part 2 (h > ${unit_system === 'imperial' ? '60ft' : '18.3m'})`, is_high_rise: true, warnings };
-    }
-
-    // Enhanced C&C calculation function
-    function calculateCandCPressuresEnhanced(inputs, qh, GCpi_abs) {
-        const { mean_roof_height, effective_wind_area, roof_slope_deg, roof_type, unit_system } = inputs;
-        const h = mean_roof_height;
-        const A = effective_wind_area;
-        const is_high_rise = unit_system === 'imperial' ? h > 60 : h > 18.3;
-        const warnings = [];
-
-        // ASCE 7-16 Chapter 30, Part 2: Buildings with h > 60 ft
-        if (is_high_rise) {
-            return calculateHighRiseCandCPressures(inputs, qh, GCpi_abs);
-        }
-
-        // Fallback to existing h <= 60 ft calculations
-        return calculateLowRiseCandCPressures(inputs, qh, GCpi_abs);
-    }
-
-    // Data store for ASCE 7-16 C&C GCp values for low-rise buildings (h <= 60ft)
-    const GCP_DATA = {
-        wall: {
-            zone4: [-1.1, -1.1, -1.1, -1.1, -1.0, -0.9], // Fig 30.3-1
-            zone5: [-1.4, -1.3, -1.2, -1.1, -1.0, -0.9]  // Fig 30.3-1
-        },
-        gable: { // Fig 30.3-2
-            caseA: { // theta <= 7 deg
-                zone1: [-1.0, -1.0, -0.9, -0.8, -0.6, -0.5],
-                zone2: [-1.7, -1.5, -1.2, -1.0, -0.7, -0.5],
-                zone3: [-2.3, -2.0, -1.5, -1.2, -0.7, -0.5]
-            },
-            caseB: { // 27 < theta <= 45 deg
-                zone1: [-1.0, -1.0, -0.9, -0.8, -0.6, -0.5],
-                zone2: [-1.9, -1.7, -1.4, -1.1, -0.7, -0.5],
-                zone3: [-2.8, -2.5, -1.9, -1.4, -0.7, -0.5]
-            }
-        },
-        hip: { // Fig 30.3-3
-            caseA: { // theta <= 7 deg
-                zone1: [-1.0, -1.0, -0.9, -0.8, -0.6, -0.5], zone2: [-1.7, -1.5, -1.2, -1.0, -0.7, -0.5], zone3: [-2.3, -2.0, -1.5, -1.2, -0.7, -0.5],
-                zone1E: [-1.3, -1.3, -1.1, -1.0, -0.7, -0.5], zone2E: [-2.2, -2.0, -1.6, -1.3, -0.8, -0.5], zone3E: [-2.8, -2.5, -2.0, -1.5, -0.8, -0.5]
-            },
-            caseB: { // 27 < theta <= 45 deg
-                zone1: [-1.0, -1.0, -0.9, -0.8, -0.6, -0.5], zone2: [-1.9, -1.7, -1.4, -1.1, -0.7, -0.5], zone3: [-2.8, -2.5, -1.9, -1.4, -0.7, -0.5],
-                zone1E: [-1.5, -1.5, -1.3, -1.1, -0.7, -0.5], zone2E: [-2.5, -2.3, -1.8, -1.4, -0.8, -0.5], zone3E: [-3.3, -3.0, -2.3, -1.7, -0.8, -0.5]
-            }
-        }
-    };
-
-    /**
-     * Helper to get GCp values for different roof types by interpolating based on slope.
-     */
-    function getGcpValuesForRoof(roof_type, theta) {
-        const roofData = GCP_DATA[roof_type];
-        if (!roofData) return {};
-
-        const interpolate_gcp_array = (arrA, arrB) => arrA.map((valA, i) => interpolate(theta, [7, 27], [valA, arrB[i]]));
-
-        if (theta <= 7) return roofData.caseA;
-        if (theta > 45) return roofData.caseB; // Per figures, use Case B for theta > 27
-        if (theta > 7 && theta <= 27) {
-            const interpolated_gcp = {};
-            for (const zone in roofData.caseA) {
-                interpolated_gcp[zone] = interpolate_gcp_array(roofData.caseA[zone], roofData.caseB[zone]);
-            }
-            return interpolated_gcp;
-        }
-        return roofData.caseB; // 27 < theta <= 45
-    }
-
-    function calculateLowRiseCandCPressures(inputs, qz, GCpi_abs) { // Refactored for readability
-        const { mean_roof_height, effective_wind_area, roof_slope_deg, roof_type } = inputs;
-        const A = effective_wind_area;
-        const theta = roof_slope_deg;
-
-        // Setup for logarithmic interpolation based on effective wind area
-        const area_points = [10, 20, 50, 100, 500, 1000];
-        const log_area_points = area_points.map(Math.log);
-        const log_A = Math.log(A);
-        const logInterpolate = (gcp_values) => interpolate(log_A, log_area_points, gcp_values);
-
-        const gcp_map = {};
-
-        // Wall Pressures (Fig 30.3-1)
-        gcp_map['Wall Zone 4 (Interior)'] = logInterpolate(GCP_DATA.wall.zone4);
-        gcp_map['Wall Zone 5 (Corners)'] = logInterpolate(GCP_DATA.wall.zone5);
-
-        // Roof Pressures
-        if (['gable', 'hip'].includes(roof_type)) {
-            const roof_gcp_arrays = getGcpValuesForRoof(roof_type, theta);
-            const zone_map = { zone1: 'Roof Zone 1 (Interior)', zone2: 'Roof Zone 2 (Edges)', zone3: 'Roof Zone 3 (Corners)', zone1E: 'Roof End Zone 1E', zone2E: 'Roof End Zone 2E', zone3E: 'Roof End Zone 3E' };
-            for (const zone in roof_gcp_arrays) {
-                gcp_map[zone_map[zone]] = logInterpolate(roof_gcp_arrays[zone]);
-            }
-        }
-
-        const final_pressures = {};
-        for (const zone in gcp_map) {
-            const gcp = gcp_map[zone];
-            // p = qh * (GCp - GCpi)
-            const p_pos_gcp = qz * (gcp - (-GCpi_abs)); // Uplift GCp is negative, check with internal suction
-            const p_neg_gcp = qz * (gcp - (+GCpi_abs)); // Uplift GCp is negative, check with internal pressure
-            final_pressures[zone] = {
-                gcp: gcp,
-                p_pos: Math.max(p_pos_gcp, p_neg_gcp), // Not typical for these figures, but for completeness
-                p_neg: Math.min(p_pos_gcp, p_neg_gcp) // C&C is usually governed by suction
-            };
-        }
-        return { applicable: true, pressures: final_pressures, ref: "ASCE 7 Ch. 30, Part 1 (h<=60ft)" };
-    }
-
-    function calculateHeightVaryingPressures(inputs, intermediate_globals) {
-        const { exposure_category, unit_system, risk_category, mean_roof_height, design_method } = inputs;
-        const { Kzt, Kd, Ke, V_in, effective_standard, abs_gcpi, G, qz: qh } = intermediate_globals;
-    
-        // Better validation
-        if (!inputs || !intermediate_globals || !mean_roof_height || mean_roof_height <= 0 || !exposure_category) {
-            console.error("Invalid inputs for height varying pressure calculation");
-            return [];
-        }
-    
-        const results = [];
-        const is_imp = unit_system === 'imperial';
-        const step = is_imp ? 5 : 1.5;
-        const heights = [];
-    
-        // Generate height points
-        for (let z = 0; z <= mean_roof_height; z += step) {
-            heights.push(z);
-        }
-        // Ensure roof height is included if the step doesn't land on it
-        if (heights[heights.length - 1] < mean_roof_height) {
-            heights.push(mean_roof_height);
-        }
-    
-        for (const z of heights) {
-            // Calculate Kz for each height
-            const { Kz } = calculateKz(z, exposure_category, unit_system);
-            // Calculate velocity pressure at height z
-            const { qz } = calculateVelocityPressure(Kz, Kzt, Kd, Ke, V_in, effective_standard, risk_category, unit_system);
-    
-            // Use the main design pressure function for consistency. Cp for windward wall is 0.8.
-            const p_pos = calculateDesignPressure(qz, qh, G, 0.8, abs_gcpi);
-            const p_neg = calculateDesignPressure(qz, qh, G, 0.8, -abs_gcpi);
-    
-            results.push({ height: z, Kz, qz, p_pos, p_neg });
-        }
-        return results;
-    }
-
-    /**
-     * Retrieves constants for gust effect factor calculation from ASCE 7-16 Table 26.11-1.
-     * // Reference: ASCE 7-16 Table 26.11-1
-     */
-    function getGustCalculationConstants(exposure_category, unit_system) {
-        const constants = {
-            'B': { b_bar: 0.47, c: 0.30, l: 320, epsilon_bar: 1/3.0 },
-            'C': { b_bar: 0.65, c: 0.20, l: 500, epsilon_bar: 1/5.0 },
-            'D': { b_bar: 0.80, c: 0.15, l: 650, epsilon_bar: 1/8.0 }
-        };
-        const metric_multipliers = { b_bar: 1.32, c: 1.5, l: 0.3048, epsilon_bar: 1.0 };
-
-        let data = constants[exposure_category] || constants['C']; // Default to C
-
-        if (unit_system === 'metric') {
-            data = {
-                b_bar: data.b_bar * metric_multipliers.b_bar,
-                c: data.c * metric_multipliers.c,
-                l: data.l * metric_multipliers.l,
-                epsilon_bar: data.epsilon_bar
-            };
-        }
-        return data;
-    }
-
-    /**
-     * Calculates the mean hourly wind speed at a given height.
-     * // Reference: ASCE 7-16 Eq. 26.11-7
-     */
-    function calculateMeanHourlyWindSpeed(V_in, z_effective, zg, alpha, b_bar, unit_system) {
-        // For Imperial units, V_in (mph) is converted to fps. For Metric, V_in (m/s) is used directly.
-        const V_bar_33ft = V_in * b_bar * Math.pow(33 / zg, 1 / alpha) * (unit_system === 'imperial' ? (88/60) : 1);
-        return V_bar_33ft * Math.pow(z_effective / 33, 1 / alpha);
-    }
-
-    /**
-     * Calculates the resonant response factor, R.
-     * // Reference: ASCE 7-16 Eq. 26.11-10
-     */
-    function calculateResonantResponseFactor(n1, V_z_bar, Lz_bar) {
-        // Damping ratio (beta) is typically 0.01 for steel buildings and 0.015 for concrete buildings.
-        // ASCE 7-16 Section C26.11.3 suggests 0.01 is a reasonable general assumption.
-        const damping_ratio = 0.01;
-        const N1 = (n1 * Lz_bar) / V_z_bar;
-        const Rn = (7.47 * N1) / Math.pow(1 + 10.3 * N1, 5/3);
-        const Rh = (1 / N1) - (1 / (2 * N1 * N1)) * (1 - Math.exp(-2 * N1));
-        const RB = Rh; // For simplicity, assuming B=h, so Rh = RB
-
-        return Math.sqrt((1 / damping_ratio) * Rn * Rh * RB);
-    }
-
-    /**
-     * Calculates the Gust Effect Factor G for flexible structures per ASCE 7-16 Section 26.11.
-     */
-    function calculateGustEffectFactor(inputs, intermediate) {
-        // Initial validation for rigid structures
-        if (inputs.building_flexibility !== 'Flexible') {
-            return { G: 0.85, ref: "ASCE 7-16 Sec. 26.11.1 (Rigid Structure)" };
-        }
-
-        // Validate fundamental period
-        if (!inputs.fundamental_period || isNaN(inputs.fundamental_period) || inputs.fundamental_period <= 0) {
-            return { 
-                G: 0.85, 
-                ref: "ASCE 7-16 Sec. 26.11.1 (Using rigid structure value - invalid or missing fundamental period)",
-                warning: "Fundamental period must be a positive number for flexible structures. Using rigid structure gust factor."
-            };
-        }
-
-        const { V_in, unit_system, mean_roof_height, building_length_L, building_width_B, exposure_category, fundamental_period } = inputs;
-        const { alpha, zg } = intermediate; // Defensive destructuring
-        const n1 = 1 / fundamental_period;
-
-        const { b_bar, c, l, epsilon_bar } = getGustCalculationConstants(exposure_category, unit_system);
-
-        const z_bar = 0.6 * mean_roof_height;
-        const min_z = unit_system === 'imperial' ? 15.0 : 4.6;
-        const z_bar_effective = Math.max(z_bar, min_z);
-        
-        const V_z_bar = calculateMeanHourlyWindSpeed(V_in, z_bar_effective, zg, alpha, b_bar, unit_system);
-        // Turbulence Intensity, Iz_bar. Ref: ASCE 7-16 Eq. 26.11-7
-        const Iz_bar = c * Math.pow(33 / z_bar_effective, 1/6);
-        const ref_h = unit_system === 'imperial' ? 33 : 10; // 33 ft or 10 m
-        // Integral Length Scale, Lz_bar. Ref: ASCE 7-16 Eq. 26.11-8
-        const Lz_bar = l * Math.pow(z_bar_effective / ref_h, epsilon_bar);
-    
-        // Peak factor for background response (gQ) is taken as 3.4 per ASCE 7-16 Section 26.11.2.
-        const gQ = 3.4;
-        // Peak factor for resonant response, gR. Ref: ASCE 7-16 Eq. 26.11-9
-        const gR = Math.sqrt(2 * Math.log(3600 * n1)) + (0.577 / Math.sqrt(2 * Math.log(3600 * n1)));
-    
-        // Background Response Factor, Q. Ref: ASCE 7-16 Eq. 26.11-14
-        const Q = Math.sqrt(1 / (1 + 0.63 * Math.pow(Math.max(mean_roof_height, building_length_L) / Lz_bar, 0.63)));
-        const R = calculateResonantResponseFactor(n1, V_z_bar, Lz_bar);
-
-        // Gust-Effect Factor, Gf. Ref: ASCE 7-16 Eq. 26.11-6
-        const Gf = (1 + 1.7 * Iz_bar * Math.sqrt(gQ*gQ * Q*Q + gR*gR * R*R)) / (1 + 1.7 * gQ * Iz_bar);
-    
-        return {
-            G: Gf,
-            ref: `ASCE 7-16 Eq. 26.11-6 (Flexible, G=${Gf.toFixed(3)})`
-        };
-    }
-
-    function calculateRoofPressureByDistance(inputs, intermediate_globals, cp_map, building_dimension_parallel_to_wind) {
-        const { gust_effect_factor_g } = inputs;
-        const { qz, abs_gcpi } = intermediate_globals;
-        const results = [];
-        const L = building_dimension_parallel_to_wind;
-
-        // Create an array of distances to evaluate
-        const distances = [];
-        for (let i = 0; i <= 20; i++) { // Evaluate at 21 points (every 5%)
-            distances.push(L * (i / 20));
-        }
-
-        // Create a lookup from the cp_map
-        const roof_zones = [];
-        for (const [surface, cp] of Object.entries(cp_map)) {
-            if (!surface.toLowerCase().includes('roof')) continue; // Only consider roof surfaces
-            // Regex to find zones like "Roof (0 to 30 ft)"
-            const matches = surface.match(/\((\d+(\.\d+)?)\s*to\s*(\d+(\.\d+)?)/);
-            if (matches) {
-                roof_zones.push({ start: parseFloat(matches[1]), end: parseFloat(matches[3]), cp });
-            }
-        }
-
-        distances.forEach(dist => {
-            // Find the correct Cp value for the current distance from the pre-calculated zones
-            let cp_at_dist = roof_zones.find(zone => dist >= zone.start && dist <= zone.end)?.cp ?? 
-                             (cp_map["Leeward Roof"] || cp_map["Roof Leeward"] || -0.3); // Fallback to leeward value
-
-            const p_pos = calculateDesignPressure(qz, gust_effect_factor_g, cp_at_dist, abs_gcpi);
-            const p_neg = calculateDesignPressure(qz, gust_effect_factor_g, cp_at_dist, -abs_gcpi);
-            const distance_ratio = L > 0 ? dist / L : 0;
-            results.push({ distance: dist, cp: cp_at_dist, p_pos, p_neg, distance_ratio });
-        });
-
-        return results;
-    }
-
-    /**
-     * Calculates MWFRS pressures for low-rise buildings (h <= 60ft).
-     * @param {object} inputs - The user inputs.
-     * @param {object} intermediate_globals - Pre-calculated intermediate values (qz, G, etc.).
-     * @returns {object} An object containing the directional results.
-     */
-    function calculateLowRisePressures(inputs, intermediate_globals) {
-        const { effective_standard, mean_roof_height, building_length_L, building_width_B, roof_type, roof_slope_deg, unit_system } = inputs;
-        const { qz, G, abs_gcpi } = intermediate_globals;
-        const directional_results = {};
-
-        // Wind Perpendicular to L (wind parallel to L)
-        const { cpMap: cp_map_L } = getCpValues(effective_standard, mean_roof_height, building_length_L, building_width_B, roof_type, roof_slope_deg, unit_system);
-        directional_results['perp_to_L'] = Object.entries(cp_map_L).map(([surface, cp]) => ({
-            surface: surface.replace('L/B', `L/B = ${(building_length_L / building_width_B).toFixed(2)}`),
-            cp,
-            p_pos: calculateDesignPressure(qz, qz, G, cp, abs_gcpi),
-            p_neg: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi),
-            p_pos_asd: calculateDesignPressure(qz, qz, G, cp, abs_gcpi) * 0.6,
-            p_neg_asd: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi) * 0.6
-        }));
-
-        // Wind Perpendicular to B (wind parallel to B)
-        const { cpMap: cp_map_B } = getCpValues(effective_standard, mean_roof_height, building_width_B, building_length_L, roof_type, roof_slope_deg, unit_system);
-        directional_results['perp_to_B'] = Object.entries(cp_map_B).map(([surface, cp]) => ({
-            surface: surface.replace('L/B', `L/B = ${(building_width_B / building_length_L).toFixed(2)}`),
-            cp,
-            p_pos: calculateDesignPressure(qz, qz, G, cp, abs_gcpi),
-            p_neg: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi),
-            p_pos_asd: calculateDesignPressure(qz, qz, G, cp, abs_gcpi) * 0.6,
-            p_neg_asd: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi) * 0.6
-        }));
-
-        return directional_results;
-    }
-
-    /**
-     * Calculates MWFRS pressures for high-rise buildings (h > 60ft).
-     * @param {object} inputs - The user inputs.
-     * @param {object} intermediate_globals - Pre-calculated intermediate values (qz, G, etc.).
-     * @returns {object} An object containing the directional results.
-     */
-    function calculateHighRisePressures(inputs, intermediate_globals) {
-        const { mean_roof_height, building_length_L, building_width_B, roof_slope_deg } = inputs;
-        const { qz, G, abs_gcpi } = intermediate_globals;
-        const directional_results = {};
-
-        // Wind perpendicular to L (Building Length is parallel to wind)
-        const { cpMap: cp_map_L } = getAnalyticalCpValues(mean_roof_height, building_length_L, building_width_B, roof_slope_deg);
-        directional_results['perp_to_L'] = Object.entries(cp_map_L).map(([surface, cp]) => ({
-            surface, cp,
-            p_pos: calculateDesignPressure(qz, qz, G, cp, abs_gcpi), p_neg: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi),
-            p_pos_asd: calculateDesignPressure(qz, qz, G, cp, abs_gcpi) * 0.6, p_neg_asd: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi) * 0.6
-        }));
-
-        // Wind perpendicular to B (Building Width is parallel to wind)
-        const { cpMap: cp_map_B } = getAnalyticalCpValues(mean_roof_height, building_width_B, building_length_L, roof_slope_deg);
-        directional_results['perp_to_B'] = Object.entries(cp_map_B).map(([surface, cp]) => ({
-            surface, cp,
-            p_pos: calculateDesignPressure(qz, qz, G, cp, abs_gcpi), p_neg: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi),
-            p_pos_asd: calculateDesignPressure(qz, qz, G, cp, abs_gcpi) * 0.6, p_neg_asd: calculateDesignPressure(qz, qz, G, cp, -abs_gcpi) * 0.6
-        }));
-
-        return directional_results;
-    }
-
-    // --- PUBLIC API ---
-    function run(inputs, validation) {
-        let effective_standard = inputs.asce_standard;
-        let v_input = inputs.basic_wind_speed;
-        let v_unreduced = inputs.basic_wind_speed;
-        let jurisdiction_note = "", temporary_structure_note = "";
-
-        if (inputs.jurisdiction === "NYCBC 2022") {
-            effective_standard = "ASCE 7-16";
-            const risk_v_map = { "I": 110, "II": 117, "III": 127, "IV": 132 };
-            v_input = risk_v_map[inputs.risk_category] || 117;
-            v_unreduced = v_input;
-            jurisdiction_note = `NYCBC 2022 wind speed of ${v_input} mph for Risk Category ${inputs.risk_category} has been applied (Table 1609.3).`;
-        }
-
-        if (inputs.temporary_construction === "Yes") {
-            v_input *= 0.8;
-            const v_unit = inputs.unit_system === 'imperial' ? 'mph' : 'm/s';
-            temporary_structure_note = `A 0.8 reduction factor has been applied for temporary construction (PROJECT-SPECIFIC ALLOWANCE, NOT ASCE 7). Calculation wind speed is ${v_input.toFixed(1)} ${v_unit} (reduced from ${v_unreduced} ${v_unit}).`;
-        }
-
-        const [abs_gcpi, gcpi_ref] = getInternalPressureCoefficient(inputs.enclosure_classification);
-        const [Kd, kd_ref] = getKdFactor(inputs.structure_type_for_kd);
-        const [Ke, ke_ref] = calculateKe(inputs.ground_elevation, inputs.unit_system, effective_standard);
-        const { Kz, alpha, zg, ref_note: kz_ref } = calculateKz(inputs.mean_roof_height, inputs.exposure_category, inputs.unit_system); // Kz at roof height h
-        const { qz, ref_note: qz_ref } = calculateVelocityPressure(Kz, inputs.topographic_factor_Kzt, Kd, Ke, v_input, effective_standard, inputs.risk_category, inputs.unit_system);
-        const [Iw, iw_ref] = getImportanceFactor(inputs.risk_category, effective_standard); // Defensive destructuring
-        const kzResult = calculateKz(inputs.mean_roof_height, inputs.exposure_category, inputs.unit_system);
-        const Kz_val = kzResult.Kz || 1.0;
-        const alpha_val = kzResult.alpha || 0;
-        const zg_val = kzResult.zg || 0;
-        const kz_ref_val = kzResult.ref_note || "Error: Kz calculation failed";
-        
-        const intermediate_for_G = { alpha, zg, Kz, Iw };
-        const { G, ref: g_ref } = calculateGustEffectFactor({ ...inputs, V_in: v_input }, intermediate_for_G);
-
-        const windResults = {
-            inputs: { ...inputs, V_in: v_input, V_unreduced: v_unreduced, GCpi_abs: abs_gcpi, effective_standard: effective_standard, effective_wind_area: inputs.effective_wind_area },
-            intermediate: { Kz, Kz_ref: kz_ref, Ke, ke_ref, qz, qz_ref, Kd, Kd_ref: kd_ref, GCpi_ref: gcpi_ref, alpha, zg, Iw, iw_ref },
-            directional_results: {}, jurisdiction_note, temporary_structure_note, 
-            warnings: validation.warnings, errors: validation.errors
-        };
-
-        // Handle Open Buildings separately as they use Net Pressure Coefficients (CN)
-        if (inputs.enclosure_classification === 'Open') {
-            if (['monoslope', 'pitched_troughed'].includes(inputs.roof_type)) {
-                const { cnMap, ref } = getOpenBuildingCnValues(inputs.roof_slope_deg, inputs.wind_obstruction === 'obstructed');
-                windResults.directional_results['open_roof'] = Object.entries(cnMap).map(([surface, cn_vals]) => {
-                    // p = qh * G * CN (ASCE 7-16 Eq. 27.3-2)
-                    const p_pos = qz * inputs.gust_effect_factor_g * cn_vals.cn_pos;
-                    const p_neg = qz * inputs.gust_effect_factor_g * cn_vals.cn_neg;
-                    return { surface, cp: null, cn_pos: cn_vals.cn_pos, cn_neg: cn_vals.cn_neg, p_pos, p_neg, p_pos_asd: p_pos * 0.6, p_neg_asd: p_neg * 0.6 };
-                });
-                windResults.open_building_ref = ref;
-            } else {
-                windResults.warnings.push("For Open buildings, only 'Monoslope' and 'Pitched/Troughed' roof types are currently supported by this calculator.");
-            }
-            return windResults;
-        }
-
-        const intermediate_globals = { Kzt: inputs.topographic_factor_Kzt, Kd, Ke, V_in: v_input, effective_standard, abs_gcpi, G, qz };
-        const is_tall_building = inputs.mean_roof_height > (inputs.unit_system === 'imperial' ? 60 : 18.3);
-
-        if (is_tall_building) {
-            windResults.mwfrs_method = "Analytical Procedure (All Heights)";
-            windResults.directional_results = calculateHighRisePressures(inputs, intermediate_globals);
-            windResults.heightVaryingResults_L = calculateHeightVaryingPressures(inputs, intermediate_globals);
-        } else { // Low-Rise Building
-            windResults.mwfrs_method = "Directional Procedure (Low-Rise)";
-            windResults.directional_results = calculateLowRisePressures(inputs, intermediate_globals);
-            windResults.heightVaryingResults_L = null;
-        }
-
-        // Conditionally nullify the height-varying results if the user has opted out.
-        // This check is performed after the main logic to allow the option to apply to both tall and potentially low-rise buildings if ever enabled.
-        if (inputs.calculate_height_varying_pressure === 'No') {
-            windResults.heightVaryingResults_L = null;
-        } else if (is_tall_building && !windResults.heightVaryingResults_L) {
-            // If it's a tall building and the user wants the calculation, it should have been done already.
-            windResults.heightVaryingResults_L = calculateHeightVaryingPressures(inputs, intermediate_globals);
-        } else if (!is_tall_building && inputs.calculate_height_varying_pressure === 'Yes') {
-            // For low-rise, only calculate if explicitly requested.
-            windResults.heightVaryingResults_L = calculateHeightVaryingPressures(inputs, intermediate_globals);
-        }
-
-        // Calculate C&C pressures
-        const candc_results = calculateCandCPressuresEnhanced(inputs, qz, abs_gcpi);
-        windResults.candc = candc_results;
-        if (candc_results.warnings && candc_results.warnings.length > 0) {
-            windResults.warnings.push(...candc_results.warnings);
-        }
-
-        // Torsional Load Case (ASCE 7-16/22 Figure 27.4-8)
-        // Applies to enclosed and partially enclosed buildings - Case 2: Torsion
-        // Reference: ASCE 7-16/22 Section 27.4.6 and Figure 27.4-8
-        if (!is_tall_building && ["Enclosed", "Partially Enclosed"].includes(inputs.enclosure_classification)) {
-            const results_L = windResults.directional_results['perp_to_L'];
-            const results_B = windResults.directional_results['perp_to_B'];
-            
-            if (results_L && results_B) {
-                const cp_map_L = Object.fromEntries(results_L.map(r => [r.surface, r.cp]));
-                const cp_map_B = Object.fromEntries(results_B.map(r => [r.surface, r.cp]));
-                
-                // Calculate torsional moment for both wind directions
-                // Wind perpendicular to L (acting on face B)
-                const p_ww_L = qz * G * (cp_map_L["Windward Wall"] || 0);
-                const p_lw_L = qz * G * (cp_map_L["Leeward Wall"] || 0);
-                const wall_height_L = inputs.mean_roof_height;
-                const wall_width_L = inputs.building_width_B;
-                const F_ww_L = p_ww_L * (wall_width_L * wall_height_L); // Windward force
-                const F_lw_L = p_lw_L * (wall_width_L * wall_height_L); // Leeward force
-                const e_L = 0.15 * wall_width_L; // Eccentricity for wind perp to L
-
-                // Wind perpendicular to B (acting on face L)
-                const p_ww_B = qz * G * (cp_map_B["Windward Wall"] || 0);
-                const p_lw_B = qz * G * (cp_map_B["Leeward Wall"] || 0);
-                const wall_height_B = inputs.mean_roof_height;
-                const wall_width_B = inputs.building_length_L;
-                const F_ww_B = p_ww_B * (wall_width_B * wall_height_B); // Windward force
-                const F_lw_B = p_lw_B * (wall_width_B * wall_height_B); // Leeward force
-                const e_B = 0.15 * wall_width_B; // Eccentricity for wind perp to B
-
-                // Calculate torsional moments (ASCE 7-16/22 Figure 27.4-8)
-                // Mt = 0.75 * (|Fww| + |Flw|) * e
-                const Mt_L = 0.75 * (Math.abs(F_ww_L) + Math.abs(F_lw_L)) * e_L;
-                const Mt_B = 0.75 * (Math.abs(F_ww_B) + Math.abs(F_lw_B)) * e_B;
-
-                // Store results with detailed information
-                windResults.torsional_case = {
-                    perp_to_L: {
-                        Mt: Mt_L,
-                        e: e_L,
-                        F_ww: F_ww_L,
-                        F_lw: F_lw_L,
-                        note: "Case 2: Apply torsion with 75% of Case 1 wall pressures. e = 15% of wall width."
-                    },
-                    perp_to_B: {
-                        Mt: Mt_B,
-                        e: e_B,
-                        F_ww: F_ww_B,
-                        F_lw: F_lw_B,
-                        note: "Case 2: Apply torsion with 75% of Case 1 wall pressures. e = 15% of wall width."
-                    },
-                    reference: "ASCE 7-16/22 Section 27.4.6 and Figure 27.4-8"
-                };
-
-                // Add warning if aspect ratio might affect accuracy
-                const aspect_ratio = Math.max(inputs.building_length_L / inputs.building_width_B, 
-                                           inputs.building_width_B / inputs.building_length_L);
-                if (aspect_ratio > 4) {
-                    windResults.warnings.push(
-                        `Building aspect ratio of ${aspect_ratio.toFixed(1)} exceeds 4:1. ` +
-                        `Consider additional engineering judgment for torsional effects.`
-                    );
-                }
-            }
-        }
-
-        return windResults;
-    }
-
-    return { run };
-})();
-
 /**
  * Gathers all wind-related inputs from the DOM.
  * @returns {object} An object containing all the input values.
@@ -1129,36 +122,6 @@ function gatherWindInputs() {
     return gatherInputsFromIds(windInputIds);
 }
 
-/**
- * Validates the gathered wind inputs against a set of rules.
- * @param {object} inputs - The input values to validate.
- * @returns {object} An object containing arrays of errors and warnings.
- */
-function validateWindInputs(inputs) {
-    const { errors, warnings } = validateInputs(inputs, validationRules.wind);
-
-    // Add specific, inter-dependent validation logic here
-    if (['gable', 'hip'].includes(inputs.roof_type) && inputs.roof_slope_deg > 45) {
-        errors.push("Gable/hip roof slope must be <= 45° for this calculator's implementation of ASCE 7 Fig 27.3-2.");
-    }
-    const isImperial = inputs.unit_system === 'imperial';
-    const vRange = isImperial ? [85, 200] : [38, 90];
-    if (inputs.basic_wind_speed < vRange[0] || inputs.basic_wind_speed > vRange[1]) {
-        warnings.push(`Wind speed ${inputs.basic_wind_speed} ${isImperial ? 'mph' : 'm/s'} is outside the typical ASCE 7 range (${vRange[0]}-${vRange[1]}).`);
-    }
-
-    // Check if effective wind area is larger than the building surfaces
-    if (inputs.effective_wind_area > 0) {
-        const wall_area = inputs.building_length_L * inputs.mean_roof_height;
-        const roof_area = inputs.building_length_L * inputs.building_width_B;
-        if (inputs.effective_wind_area > wall_area && inputs.effective_wind_area > roof_area) {
-            warnings.push(`Effective Wind Area (${inputs.effective_wind_area}) is larger than the calculated wall area (${wall_area.toFixed(0)}) and roof area (${roof_area.toFixed(0)}). Please verify the input.`);
-        }
-    }
-
-    return { errors, warnings };
-}
-
 /**
  * Executes the core wind load calculation logic.
  * @param {object} inputs - The validated input values.
@@ -1403,86 +366,69 @@ function renderDesignParameters(inputs, intermediate, units) {
                         <li><strong>Risk Category:</strong> ${sanitizeHTML(inputs.risk_category)} <span class="ref">[ASCE 7, Table 1.5-1]</span></li>
                         <li><strong>Basic Design Wind Speed (V):</strong> ${inputs.V_unreduced.toFixed(1)} ${v_unit.toUpperCase()} <span class="ref">[User Input / Jurisdiction]</span></li>
                         <li><strong>Building Dimensions (L x B):</strong> ${inputs.building_length_L} x ${inputs.building_width_B} ${h_unit.toUpperCase()}</li>
-                        <li><strong>Exposure Category:</strong> ${sanitizeHTML(inputs.exposure_category)} <span class="ref">[ASCE 7, Sec. 26.7]</span></li>
+                        <li><strong>Exposure Category:</strong> ${sanitizeHTML(inputs.exposure_category)}${intermediate.exposure_by_direction ? ' <span>(governing of all wind directions)</span>' : ''} <span class="ref">[ASCE 7, Sec. 26.7]</span></li>
                         <li><strong>Building Height (h):</strong> ${inputs.mean_roof_height} ${h_unit.toUpperCase()}</li>
                         <li><strong>L/B Ratio (Wind ⊥ to L):</strong> ${(inputs.building_length_L / inputs.building_width_B).toFixed(2)} <span class="ref">[Used for Leeward Cp]</span></li>
                         <li><strong>L/B Ratio (Wind ⊥ to B):</strong> ${(inputs.building_width_B / inputs.building_length_L).toFixed(2)} <span class="ref">[Used for Leeward Cp]</span></li>
                         <li><strong>Wind Directionality Factor (K<sub>d</sub>):</strong> ${intermediate.Kd.toFixed(2)} <span class="ref">[${intermediate.Kd_ref}]</span></li>
-                        <li><strong>Topographic Factor (K<sub>zt</sub>):</strong> ${inputs.topographic_factor_Kzt.toFixed(2)} <span class="ref">[ASCE 7, Sec. 26.8]</span></li>
+                        <li><strong>Topographic Factor (K<sub>zt</sub>) at h:</strong> ${intermediate.Kzt.toFixed(2)} <span class="ref">[${sanitizeHTML(intermediate.Kzt_ref === 'User Input' ? 'ASCE 7, Sec. 26.8' : intermediate.Kzt_ref)}]</span></li>
                         <li><strong>Ground Elevation Factor (K<sub>e</sub>):</strong> ${intermediate.Ke.toFixed(3)} <span class="ref">[${intermediate.ke_ref}]</span></li>
                         <li><strong>Gust-Effect Factor (G):</strong> ${inputs.gust_effect_factor_g.toFixed(2)} <span class="ref">[ASCE 7, Sec. 26.11]</span></li>
                         <li><strong>Velocity Pressure Exposure Coefficient (K<sub>z</sub>):</strong> ${intermediate.Kz.toFixed(2)} <span class="ref">[${intermediate.Kz_ref}]</span></li>
                         <li><strong>Internal Pressure Coefficient (GC<sub>pi</sub>):</strong> &plusmn;${inputs.GCpi_abs.toFixed(2)} <span class="ref">[${intermediate.GCpi_ref}]</span></li>
                         ${inputs.temporary_construction === 'Yes' ? `<li><strong>Reduction Factor for Temporary Construction:</strong> 0.8 <span class="ref">[NYC BC, SEC. 1619.3.3]</span></li>` : ''}
                     </ul>
+                    ${renderTopographicProfile(intermediate.Kzt_profile, units)}
+                    ${renderExposureByDirection(intermediate.exposure_by_direction)}
                 </div>
              </div>`;
     return html;
 }
 
 /**
- * Generates the HTML for the "Detailed Calculation Breakdown" section.
+ * Renders the exposure of each upwind sector and wind direction (ASCE 7 Sec. 26.7).
  */
-function renderCalculationBreakdown(inputs, intermediate, units) {
-    const { h_unit, p_unit } = units;
+function renderExposureByDirection(exposures) {
+    if (!exposures) return '';
+    const compass = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return `<table class="w-full mt-4 border-collapse"><caption>Exposure by Wind Direction</caption>
+        <thead class="bg-gray-100 dark:bg-gray-700"><tr class="text-center"><th>Sector</th><th>Sector Exposure</th><th>Basis</th><th>Wind From</th><th>Exposure</th></tr></thead>
+        <tbody class="dark:text-gray-300 text-center">
+            ${exposures.sectors.map((sector, i) => `<tr>
+                <td>${sector.from}° to ${sector.to}°</td><td>${sector.exposure}</td><td>${sanitizeHTML(sector.reason)}</td>
+                <td>${compass[i]} (${exposures.directions[i].bearing}°)</td><td>${exposures.directions[i].exposure}</td>
+            </tr>`).join('')}
+        </tbody></table>`;
+}
+
+/**
+ * Renders Kzt = (1 + K1 K2 K3)² from the ground to the roof, for sites on a hill, ridge or escarpment.
+ */
+function renderTopographicProfile(profile, units) {
+    // Features too low or gentle for a speed-up (Kzt = 1) have no profile to show.
+    if (!profile || profile[0].K1 === undefined) return '';
+    const { K1, K2 } = profile[0];
+    return `<table class="w-full mt-4 border-collapse"><caption>Topographic Factor by Height (K<sub>1</sub> = ${K1.toFixed(3)}, K<sub>2</sub> = ${K2.toFixed(3)})</caption>
+        <thead class="bg-gray-100 dark:bg-gray-700"><tr class="text-center"><th>Height (${units.h_unit})</th><th>K3</th><th>Kzt</th></tr></thead>
+        <tbody class="dark:text-gray-300 text-center">
+            ${profile.map(row => `<tr><td>${row.z.toFixed(1)}</td><td>${row.K3.toFixed(3)}</td><td>${row.Kzt.toFixed(3)}</td></tr>`).join('')}
+        </tbody></table>`;
+}
 
-    let html = `<div id="calc-breakdown-section" class="mt-6 report-section-copyable">
+/**
+ * Generates the HTML for the "Detailed Calculation Breakdown" section from the engine's trace.
+ */
+function renderCalculationBreakdown(trace = []) {
+    return `<div id="calc-breakdown-section" class="mt-6 report-section-copyable">
                 <div class="flex justify-between items-center">
                     <h3 class="report-header">2. Detailed Calculation Breakdown</h3>
                     <button data-copy-target-id="calc-breakdown-section" class="copy-section-btn bg-green-600 text-white font-semibold py-1 px-3 rounded-lg hover:bg-green-700 text-xs print-hidden">Copy Section</button>
                 </div>
                 <hr class="border-gray-400 dark:border-gray-600 mt-1 mb-3">
                 <div class="copy-content">
-                    <div class="calc-breakdown">
-                        <h4 class="font-semibold uppercase text-base">a) Intermediate Calculations</h4>
-                        <ul class="list-disc list-inside space-y-2 mt-2">
-                            <li><strong>Factors:</strong> I<sub>w</sub> = ${intermediate.Iw.toFixed(2)}, K<sub>d</sub> = ${intermediate.Kd.toFixed(2)}, K<sub>zt</sub> = ${inputs.topographic_factor_Kzt.toFixed(2)}, G = ${inputs.gust_effect_factor_g.toFixed(2)}, GC<sub>pi</sub> = &plusmn;${inputs.GCpi_abs.toFixed(2)}</li>
-                            <li><strong>Exposure Constants (&alpha;, z<sub>g</sub>):</strong> ${intermediate.alpha}, ${intermediate.zg.toFixed(0)} ${h_unit}</li>
-                            <li><strong>Elevation Factor (K<sub>e</sub>):</strong>
-                                <div class="pl-6 text-sm text-gray-600 dark:text-gray-400">Interpolated from ${intermediate.ke_ref} &rarr; K<sub>e</sub> = ${intermediate.Ke.toFixed(3)}</div>
-                            </li>
-                            <li><strong>Exposure Coefficient (K<sub>z</sub>):</strong>
-                                <div class="pl-6 text-sm text-gray-600 dark:text-gray-400">K<sub>z</sub> = 2.01 &times; (${inputs.mean_roof_height.toFixed(2)} / ${intermediate.zg.toFixed(0)})<sup>(2 / ${intermediate.alpha})</sup> = ${intermediate.Kz.toFixed(3)}</div>
-                            </li>
-                            <li><strong>Velocity Pressure (q<sub>h</sub>):</strong>
-                                <div class="pl-6 text-sm text-gray-600 dark:text-gray-400">q<sub>h</sub> = 0.00256 &times; ${intermediate.Kz.toFixed(3)} &times; ${inputs.topographic_factor_Kzt.toFixed(2)} &times; ${intermediate.Kd.toFixed(2)} &times; ${intermediate.Ke.toFixed(3)} &times; ${inputs.V_in.toFixed(1)}² ${inputs.effective_standard === 'ASCE 7-22' ? `&times; ${intermediate.Iw.toFixed(2)}` : ''} = ${intermediate.qz.toFixed(2)} ${p_unit}</div>
-                            </li>
-                        </ul>
-                    </div>
+                    ${trace.map(section => `<div class="calc-breakdown">${renderTraceSection(section)}</div>`).join('')}
                 </div>
             </div>`;
-    return html;
-}
-
-/**
- * Renders the results table for Open Buildings.
- */
-function renderOpenBuildingResults(directional_results, open_building_ref, inputs, units) {
-    const { p_unit } = units;
-    if (inputs.enclosure_classification !== 'Open') return '';
-
-    let html = `<div class="text-center pt-4"><h3 class="text-xl font-bold">NET DESIGN PRESSURES (p = q_h*G*C_N)</h3></div>`;
-        let tableHtml = `<table class="w-full mt-4 border-collapse"><caption>Open Building Free Roof Pressures (${open_building_ref})</caption>
-            <thead class="bg-gray-100 dark:bg-gray-700"><tr class="text-center">
-                <th>Roof Zone</th><th>C_N,pos</th><th>C_N,neg</th><th>Positive Pressure (${inputs.design_method}) [${p_unit}]</th><th>Negative Pressure (${inputs.design_method}) [${p_unit}]</th>
-            </tr></thead>
-            <tbody class="dark:text-gray-300 text-center">`;
-        
-        directional_results.open_roof.forEach(r => {
-            const p_pos = inputs.design_method === 'ASD' ? r.p_pos_asd : r.p_pos;
-            const p_neg = inputs.design_method === 'ASD' ? r.p_neg_asd : r.p_neg;
-            tableHtml += `
-                <tr>
-                    <td>${r.surface}</td>
-                    <td>${r.cn_pos.toFixed(2)}</td>
-                    <td>${r.cn_neg.toFixed(2)}</td>
-                    <td>${p_pos.toFixed(2)}</td>
-                    <td>${p_neg.toFixed(2)}</td>
-                </tr>`;
-        });
-        tableHtml += `</tbody></table>`;
-    html += tableHtml;
-    return html;
 }
 
 /**
@@ -1491,6 +437,10 @@ function renderOpenBuildingResults(directional_results, open_building_ref, input
 function renderDirectionalResultsTable(data, title, id_prefix, inputs, intermediate, units) {
     const { p_unit } = units;
 
+    // Open buildings carry net coefficients C_N, with no internal pressure to add.
+    if (inputs.enclosure_classification === 'Open') return renderNetPressureTable(data, title, id_prefix, inputs, intermediate, units);
+    if (data.some(r => r.gcpf !== undefined)) return renderEnvelopeTable(data, title, id_prefix, inputs, intermediate, units);
+
         let tableHtml = `<table class="w-full mt-4 border-collapse"><caption>${title}</caption>
             <thead class="bg-gray-100 dark:bg-gray-700"><tr class="text-center">
                 <th>Surface/Zone</th><th>C_p</th><th>Pressure (+GCpi) (${inputs.design_method}) [${p_unit}]</th><th>Pressure (-GCpi) (${inputs.design_method}) [${p_unit}]</th>
@@ -1528,18 +478,107 @@ function renderDirectionalResultsTable(data, title, id_prefix, inputs, intermedi
         return tableHtml;
     };
 
+/**
+ * Renders a directional results table of net pressures (p = q_h*G*C_N) for open buildings.
+ */
+function renderNetPressureTable(data, title, id_prefix, inputs, intermediate, units) {
+    const { p_unit } = units;
+    const is_asd = inputs.design_method === 'ASD';
+    let tableHtml = `<table class="w-full mt-4 border-collapse"><caption>${title}</caption>
+        <thead class="bg-gray-100 dark:bg-gray-700"><tr class="text-center">
+            <th>Surface/Zone</th><th>C_N</th><th>Net Pressure (${inputs.design_method}) [${p_unit}]</th>
+        </tr></thead>
+        <tbody class="dark:text-gray-300 text-center">`;
+    data.forEach((r, i) => {
+        const p = is_asd ? r.p_pos_asd : r.p_pos;
+        const detailId = `${id_prefix}-detail-${i}`;
+        tableHtml += `
+            <tr>
+                <td>${sanitizeHTML(r.surface)} <button data-toggle-id="${detailId}" class="toggle-details-btn">[Show]</button></td>
+                <td>${r.cn.toFixed(2)}</td>
+                <td>${p.toFixed(2)}</td>
+            </tr>
+            <tr id="${detailId}" class="details-row"><td colspan="3" class="p-0"><div class="calc-breakdown">
+                    <ul><li class="font-semibold"><b>Formula:</b> ${is_asd ? 'p = 0.6 * (q_h*G*C_N)' : 'p = q_h*G*C_N'}</li>
+                        <li><b>Calculation:</b> ${p.toFixed(2)} = ${is_asd ? '0.6 * ' : ''}(${intermediate.qz.toFixed(2)}*${inputs.gust_effect_factor_g}*${r.cn.toFixed(2)})</li>
+                    </ul>
+                </div></td></tr>`;
+    });
+    tableHtml += `</tbody></table>`;
+    return tableHtml;
+}
+
+/**
+ * Renders a table of Envelope Procedure zone pressures, p = q_h*[(GC_pf) - (GC_pi)] (ASCE 7 Eq. 28.3-1).
+ */
+function renderEnvelopeTable(data, title, id_prefix, inputs, intermediate, units) {
+    const { p_unit } = units;
+    const is_asd = inputs.design_method === 'ASD';
+    let tableHtml = `<table class="w-full mt-4 border-collapse"><caption>${title}</caption>
+        <thead class="bg-gray-100 dark:bg-gray-700"><tr class="text-center">
+            <th>Surface/Zone</th><th>GC_pf</th><th>Pressure (+GCpi) (${inputs.design_method}) [${p_unit}]</th><th>Pressure (-GCpi) (${inputs.design_method}) [${p_unit}]</th>
+        </tr></thead>
+        <tbody class="dark:text-gray-300 text-center">`;
+    data.forEach((r, i) => {
+        const p_pos = is_asd ? r.p_pos_asd : r.p_pos;
+        const p_neg = is_asd ? r.p_neg_asd : r.p_neg;
+        // Torsional zones carry a fraction (25%) of the full zone pressures.
+        const factor = [is_asd ? 0.6 : 1, r.factor].filter(f => f !== 1).map(f => `${f} * `).join('');
+        const detailId = `${id_prefix}-detail-${i}`;
+        const calculation = gcpi => `${factor}${intermediate.qz.toFixed(2)}*(${r.gcpf.toFixed(2)} - ${gcpi})`;
+        tableHtml += `
+            <tr>
+                <td>${sanitizeHTML(r.surface)} <button data-toggle-id="${detailId}" class="toggle-details-btn">[Show]</button></td>
+                <td>${r.gcpf.toFixed(2)}</td>
+                <td>${p_pos.toFixed(2)}</td>
+                <td>${p_neg.toFixed(2)}</td>
+            </tr>
+            <tr id="${detailId}" class="details-row"><td colspan="4" class="p-0"><div class="calc-breakdown">
+                    <ul><li class="font-semibold"><b>Formula:</b> p = ${factor}q_h*[(GC_pf) - (GC_pi)]</li>
+                        <li><b>Calculation (+GCpi):</b> ${p_pos.toFixed(2)} = ${calculation(inputs.GCpi_abs)}</li>
+                        <li><b>Calculation (-GCpi):</b> ${p_neg.toFixed(2)} = ${calculation(-inputs.GCpi_abs)}</li>
+                    </ul>
+                </div></td></tr>`;
+    });
+    tableHtml += `</tbody></table>`;
+    return tableHtml;
+}
+
+// Envelope Procedure notes (Fig. 28.3-1), by the key the engine gives each one.
+const ENVELOPE_NOTES = {
+    end_zones: ({ a, width }, h_unit) => `Each corner of the building is taken in turn as the reference corner; the end zones (E) extend 2a = ${width.toFixed(1)} ${h_unit} from it (a = ${a.toFixed(1)} ${h_unit}).`,
+    zone2_extent: ({ extent }, h_unit) => `Where Zone 2/2E is negative in Load Case A, it extends ${extent.toFixed(1)} ${h_unit} from the windward edge (the lesser of L/2 and 2.5h); the rest of the windward roof takes Zone 3/3E.`,
+    torsional_zones: () => 'Torsional zones (T) carry 25% of the full pressures; they need not be applied to one-story buildings with h <= 30 ft, buildings of two stories or less framed with light-frame construction, or buildings of two stories or less with flexible diaphragms.'
+};
+
 /**
  * Renders the entire MWFRS section, including diagrams and tables for both directions.
  */
-function renderMwfrsSection(directional_results, inputs, intermediate, mwfrs_method, units) {
+function renderMwfrsSection(directional_results, inputs, intermediate, mwfrs_method, units, open_building_ref, envelope) {
     const { h_unit } = units;
+    let title_L = `--- ${inputs.design_method} Pressures ---`;
+    let title_B = title_L;
+    if (open_building_ref) {
+        title_L = title_B = `--- ${inputs.design_method} Net Pressures (${open_building_ref}) ---`;
+    } else if (envelope) {
+        title_L = `--- ${inputs.design_method} Pressures, Load Case A (${envelope.ref}) ---`;
+        title_B = `--- ${inputs.design_method} Pressures, Load Case B (${envelope.ref}) ---`;
+    }
+    // With exposure by upwind sector, each direction has its own exposure and qh.
+    const { exposure_by_direction, qz_by_direction } = intermediate;
+    const directionIntermediate = direction => (qz_by_direction ? { ...intermediate, qz: qz_by_direction[direction] } : intermediate);
+    const directionExposure = direction => (qz_by_direction
+        ? `<p class="text-sm text-center text-gray-500 dark:text-gray-400">Exposure ${exposure_by_direction[direction]}, q<sub>h</sub> = ${qz_by_direction[direction].toFixed(2)} ${units.p_unit}</p>`
+        : '');
     let html = `<div id="mwfrs-section" class="mt-6 report-section-copyable">
         <div class="flex justify-between items-center">
             <h3 class="report-header flex-grow">3. MWFRS DESIGN PRESSURES (${mwfrs_method})</h3>
             <button data-copy-target-id="mwfrs-section" class="copy-section-btn bg-green-600 text-white font-semibold py-1 px-3 rounded-lg hover:bg-green-700 text-xs print-hidden">Copy Section</button>
         </div>
         <div class="copy-content">
+            ${envelope ? `<ul class="text-sm text-gray-500 dark:text-gray-400 list-disc list-inside mt-2">${envelope.notes.map(note => `<li>${sanitizeHTML(ENVELOPE_NOTES[note.key](note.values, h_unit))}</li>`).join('')}</ul>` : ''}
             <h4 class="text-lg font-semibold mt-6 mb-2 text-center">Wind Perpendicular to ${inputs.building_length_L} ${h_unit} Side (on ${inputs.building_width_B} ${h_unit} face)</h4>
+            ${directionExposure('perp_to_L')}
             <div class="diagram my-4">
                 <div class="max-w-sm mx-auto">
                     <svg viewBox="0 0 400 250" class="w-full h-auto" xmlns="http://www.w3.org/2000/svg">
@@ -1554,10 +593,11 @@ function renderMwfrsSection(directional_results, inputs, intermediate, mwfrs_met
                     </svg>
                 </div>
             </div>
-            ${renderDirectionalResultsTable(directional_results.perp_to_L, `--- ${inputs.design_method} Pressures ---`, 'L', inputs, intermediate, units)}
+            ${renderDirectionalResultsTable(directional_results.perp_to_L, title_L, 'L', inputs, directionIntermediate('perp_to_L'), units)}
         </div>
         <div>
             <h4 class="text-lg font-semibold mt-8 mb-2 text-center">Wind Perpendicular to ${inputs.building_width_B} ${h_unit} Side (on ${inputs.building_length_L} ${h_unit} face)</h4>
+            ${directionExposure('perp_to_B')}
             <div class="diagram my-4">
                 <div class="max-w-sm mx-auto">
                     <svg viewBox="0 0 400 250" class="w-full h-auto" xmlns="http://www.w3.org/2000/svg">
@@ -1571,7 +611,7 @@ function renderMwfrsSection(directional_results, inputs, intermediate, mwfrs_met
                     </svg>
                 </div>
             </div>
-            ${renderDirectionalResultsTable(directional_results.perp_to_B, `--- ${inputs.design_method} Pressures ---`, 'B', inputs, intermediate, units)}
+            ${renderDirectionalResultsTable(directional_results.perp_to_B, title_B, 'B', inputs, directionIntermediate('perp_to_B'), units)}
         </div>
         </div>`;
     return html;
@@ -1597,6 +637,7 @@ function renderHeightVaryingTable(heightVaryingResults, leeward_pressure, inputs
                             <tr>
                                 <th>Height (${h_unit})</th>
                                 <th>Kz</th>
+                                <th>Kzt</th>
                                 <th>qz (${p_unit})</th>
                                 <th>Windward Wall Pressure (${p_unit})</th>
                             </tr> 
@@ -1607,12 +648,13 @@ function renderHeightVaryingTable(heightVaryingResults, leeward_pressure, inputs
                 <tr>
                     <td>${result.height.toFixed(1)}</td>
                     <td>${result.Kz.toFixed(3)}</td>
+                    <td>${result.Kzt.toFixed(3)}</td>
                     <td>${result.qz.toFixed(2)}</td>
                     <td>${(result.p_pos * factor).toFixed(2)}</td>
                 </tr>`;
         });
     html += `   <tr>
-                        <td colspan="3" class="text-right font-semibold pr-4">Constant Leeward Pressure (Perp. to L):</td>
+                        <td colspan="4" class="text-right font-semibold pr-4">Constant Leeward Pressure (Perp. to L):</td>
                         <td>${(leeward_pressure * factor).toFixed(2)}</td>
                     </tr>
                     </tbody></table></div>
@@ -1739,16 +781,18 @@ function renderCandCSection(candc, inputs, units) {
                         Calculated for Effective Wind Area A = ${sanitizeHTML(inputs.effective_wind_area)} ${is_imp ? 'ft²' : 'm²'}. Reference: ${sanitizeHTML(candc.ref)}.
                     </p>
                     
-                    ${generateCandCDiagram(inputs, candc)}
+                    ${candc.is_open_building ? '' : generateCandCDiagram(inputs, candc)}
 
                     <table class="w-full border-collapse">
                     `;
-        if (candc.is_high_rise) {
+        // Open buildings list net coefficients C_N in place of GCp.
+        if (candc.is_high_rise || candc.is_open_building) {
+            const coefficient = candc.is_open_building ? 'C_N' : 'GCp';
             html += `<thead class="bg-gray-100 dark:bg-gray-700">
                         <tr>
                             <th>Zone</th>
-                            <th>GCp (+)</th>
-                            <th>GCp (-)</th>
+                            <th>${coefficient} (+)</th>
+                            <th>${coefficient} (-)</th>
                             <th>LRFD Pressure (+ / -) [${p_unit}]</th>
                             <th>ASD Pressure (+ / -) [${p_unit}]</th>
                         </tr>
@@ -1762,8 +806,8 @@ function renderCandCSection(candc, inputs, units) {
                 const p_neg_asd = p_neg_lrfd * 0.6;
                 html += `<tr>
                             <td>${sanitizeHTML(zone)}</td>
-                            <td>${data.gcp_pos.toFixed(2)}</td>
-                            <td>${data.gcp_neg.toFixed(2)}</td>
+                            <td>${(data.gcp_pos ?? data.cn_pos).toFixed(2)}</td>
+                            <td>${(data.gcp_neg ?? data.cn_neg).toFixed(2)}</td>
                             <td>${p_pos_lrfd.toFixed(2)} / ${p_neg_lrfd.toFixed(2)}</td>
                             <td>${p_pos_asd.toFixed(2)} / ${p_neg_asd.toFixed(2)}</td>
                          </tr>`;
@@ -1787,6 +831,123 @@ function renderCandCSection(candc, inputs, units) {
     return html;
 }
 
+/**
+ * Draws an elevation of a Chapter 29 structure with its design forces: a sign with the Case A/B
+ * resultants and Case C regions, a chimney or tank, or equipment/panels on the building roof.
+ */
+function generateOtherStructureDiagram(other, units) {
+    const { h_unit } = units;
+    const { type, geometry: g, rows } = other;
+    const ground = 220;
+    const arrow = (x1, y1, x2, y2) => `<path d="M${x1} ${y1} L ${x2} ${y2}" stroke="currentColor" stroke-width="2" marker-end="url(#arrow-other)"/>`;
+    let body = '';
+
+    if (type === 'solid_sign' || type === 'open_sign') {
+        const scale = Math.min(300 / g.B, 170 / g.h);
+        const [w, sh, top] = [g.B * scale, g.s * scale, ground - g.h * scale];
+        const left = 200 - w / 2;
+        const y_F = top + sh / 2;
+        body += `<rect x="${left}" y="${top}" width="${w}" height="${sh}" class="svg-member" ${type === 'open_sign' ? 'stroke-dasharray="4,3"' : ''}/>
+            <line x1="${left + w * 0.25}" y1="${top + sh}" x2="${left + w * 0.25}" y2="${ground}" class="svg-member"/>
+            <line x1="${left + w * 0.75}" y1="${top + sh}" x2="${left + w * 0.75}" y2="${ground}" class="svg-member"/>
+            <text x="200" y="${top - 6}" class="svg-dim-text">B = ${g.B} ${h_unit}</text>
+            <text x="${left - 8}" y="${y_F}" class="svg-dim-text" text-anchor="end">s = ${g.s} ${h_unit}</text>
+            <text x="${left + w + 8}" y="${(top + ground) / 2}" class="svg-dim-text" text-anchor="start">h = ${g.h} ${h_unit}</text>`;
+        if (type === 'solid_sign') {
+            rows.filter(r => r.from !== undefined).forEach(r => {
+                if (r.from > 0) body += `<line x1="${left + r.from * scale}" y1="${top}" x2="${left + r.from * scale}" y2="${top + sh}" class="svg-dim" stroke-dasharray="2,2"/>`;
+            });
+            body += `<circle cx="200" cy="${y_F}" r="4" fill="#2563eb"/><text x="200" y="${y_F + 16}" class="svg-label">A</text>
+                <circle cx="${200 + 0.2 * w}" cy="${y_F}" r="4" fill="#dc2626"/><text x="${200 + 0.2 * w}" y="${y_F + 16}" class="svg-label">B</text>`;
+        } else {
+            body += `<circle cx="200" cy="${y_F}" r="4" fill="#2563eb"/><text x="200" y="${y_F + 16}" class="svg-label">F</text>`;
+        }
+    } else if (type === 'chimney') {
+        const scale = Math.min(120 / g.D, 190 / g.h);
+        const [w, ht] = [g.D * scale, g.h * scale];
+        body += `<rect x="${200 - w / 2}" y="${ground - ht}" width="${w}" height="${ht}" class="svg-member"/>
+            ${arrow(200 - w / 2 - 60, ground - ht / 2, 200 - w / 2 - 4, ground - ht / 2)}
+            <text x="${200 - w / 2 - 34}" y="${ground - ht / 2 - 8}" class="svg-label">F</text>
+            <text x="${200 + w / 2 + 8}" y="${ground - ht / 2}" class="svg-dim-text" text-anchor="start">h = ${g.h} ${h_unit}</text>
+            <text x="200" y="${ground - ht - 6}" class="svg-dim-text">D = ${g.D} ${h_unit}</text>`;
+    } else {
+        // Rooftop equipment or solar panels, on an elevation of the building.
+        const scale = Math.min(300 / Math.max(g.L, g.B), 150 / g.h);
+        const [w, ht] = [Math.max(g.L, g.B) * scale, g.h * scale];
+        const [left, roof] = [200 - w / 2, ground - ht];
+        body += `<rect x="${left}" y="${roof}" width="${w}" height="${ht}" class="svg-member"/>
+            <text x="200" y="${roof + ht / 2}" class="svg-dim-text">h = ${g.h} ${h_unit}</text>`;
+        if (type === 'rooftop_equipment') {
+            body += `<rect x="185" y="${roof - 24}" width="30" height="24" class="svg-plate" style="fill:#dbeafe; stroke:#60a5fa;"/>
+                ${arrow(130, roof - 12, 181, roof - 12)}<text x="150" y="${roof - 18}" class="svg-label">Fh</text>
+                ${arrow(200, roof - 28, 200, roof - 60)}<text x="214" y="${roof - 46}" class="svg-label">Fv</text>`;
+        } else {
+            const tilt = (g.tilt || 0) * Math.PI / 180;
+            for (let x = left + 20; x < left + w - 40; x += 45) {
+                body += `<line x1="${x}" y1="${roof - 3}" x2="${x + 30 * Math.cos(tilt)}" y2="${roof - 3 - 30 * Math.sin(tilt)}" stroke="#2563eb" stroke-width="3"/>`;
+            }
+        }
+    }
+
+    return `<div class="diagram my-4">
+            <div class="max-w-sm mx-auto">
+                <svg viewBox="0 0 400 250" class="w-full h-auto" xmlns="http://www.w3.org/2000/svg">
+                    <defs><marker id="arrow-other" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" class="fill-current text-gray-600 dark:text-gray-400"/></marker></defs>
+                    <line x1="20" y1="${ground}" x2="380" y2="${ground}" class="svg-dim"/>
+                    ${type === 'rooftop_equipment' || type === 'chimney' ? '' : `${arrow(20, 40, 70, 40)}<text x="40" y="32" class="svg-label">WIND</text>`}
+                    ${body}
+                </svg>
+            </div>
+        </div>`;
+}
+
+/**
+ * Renders the forces (or, for solar panels, pressures) on a Chapter 29 structure.
+ */
+function renderOtherStructureSection(other, inputs, units) {
+    const { is_imp, h_unit, p_unit } = units;
+    const is_asd = inputs.design_method === 'ASD';
+    const factor = is_asd ? 0.6 : 1.0;
+    const is_force = other.kind === 'force';
+    // Forces are reported in lb, or kN in metric.
+    const [f_unit, f_scale] = is_imp ? ['lb', 1] : ['kN', 0.001];
+    const a_unit = is_imp ? 'ft²' : 'm²';
+    const symbol = other.rows[0]?.symbol || 'C_f';
+
+    let table = `<table class="w-full mt-4 border-collapse"><caption>--- ${inputs.design_method} ${is_force ? 'Design Forces' : 'Design Pressures'} (${sanitizeHTML(other.ref)}) ---</caption>
+        <thead class="bg-gray-100 dark:bg-gray-700"><tr class="text-center">
+            <th>${is_force ? 'Load Case/Component' : 'Zone'}</th><th>${symbol}</th><th>q [${p_unit}]</th>
+            ${is_force ? `<th>Area [${a_unit}]</th><th>Force (${inputs.design_method}) [${f_unit}]</th>` : `<th>Pressure (${inputs.design_method}) [${p_unit}]</th>`}
+        </tr></thead>
+        <tbody class="dark:text-gray-300 text-center">`;
+    other.rows.forEach(r => {
+        const value = r.value * factor * (is_force ? f_scale : 1);
+        table += `<tr>
+                <td>${sanitizeHTML(r.label)}</td>
+                <td>${r.coefficient.toFixed(2)}</td>
+                <td>${r.q.toFixed(2)}</td>
+                ${is_force ? `<td>${r.area.toFixed(1)}</td><td>${value.toFixed(is_imp ? 0 : 2)}</td>` : `<td>${value.toFixed(2)}</td>`}
+            </tr>`;
+    });
+    table += `</tbody></table>`;
+
+    const z_note = other.rows.find(r => r.z !== undefined);
+    return `<div id="other-structure-section" class="mt-6 report-section-copyable">
+        <div class="flex justify-between items-center">
+            <h3 class="report-header flex-grow">3. ${sanitizeHTML(other.title)} (ASCE 7 Chapter 29)</h3>
+            <button data-copy-target-id="other-structure-section" class="copy-section-btn bg-green-600 text-white font-semibold py-1 px-3 rounded-lg hover:bg-green-700 text-xs print-hidden">Copy Section</button>
+        </div>
+        <div class="copy-content">
+            <ul class="text-sm text-gray-500 dark:text-gray-400 list-disc list-inside mt-2">
+                ${other.notes.map(note => `<li>${sanitizeHTML(note)}</li>`).join('')}
+                ${z_note ? `<li>Height of the resultant: z = ${z_note.z.toFixed(2)} ${h_unit}</li>` : ''}
+            </ul>
+            ${generateOtherStructureDiagram(other, units)}
+            ${table}
+        </div>
+    </div>`;
+}
+
 function sendWindToCombos(results) {
     if (!results || !results.directional_results || !results.candc) {
         showFeedback('No wind results to send.', true, 'feedback-message');
@@ -1872,6 +1033,9 @@ function renderWindResults(results) {
     html += `<div class="flex justify-end gap-2 mb-4 -mt-2 -mr-2 print-hidden">
                     <button id="send-to-combos-btn" class="bg-purple-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-purple-700 text-sm print-hidden">Send to Combos</button>
                     <button id="download-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm print-hidden">Download PDF</button>
+                    <button id="download-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm print-hidden">Download Word</button>
+                    <button id="download-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm print-hidden">Download XLSX</button>
+                    <button id="download-csv-btn" class="bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-700 text-sm print-hidden">Download CSV</button>
                     <button id="copy-report-btn" class="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 text-sm print-hidden">Copy Report</button>
                    </div>`;
 
@@ -1885,22 +1049,19 @@ function renderWindResults(results) {
         html += renderValidationResults({ warnings, errors: [] });
     }    // --- Assemble Report Sections ---
     html += renderDesignParameters(inputs, intermediate, units);
-    html += renderCalculationBreakdown(inputs, intermediate, units);
+    html += renderCalculationBreakdown(results.trace);
 
-    // --- Handle Open Buildings as a special case ---
-    const openBuildingHtml = renderOpenBuildingResults(directional_results, open_building_ref, inputs, units);
-    if (openBuildingHtml) {
-        html += `<div id="mwfrs-section" class="report-section-copyable">${openBuildingHtml}</div>`;
+    if (results.other_structure) {
+        html += renderOtherStructureSection(results.other_structure, inputs, units);
     } else {
-        // --- Standard Enclosed/Partially Enclosed Building Sections ---
-        html += renderMwfrsSection(directional_results, inputs, intermediate, mwfrs_method, units);
+        html += renderMwfrsSection(directional_results, inputs, intermediate, mwfrs_method, units, open_building_ref, results.envelope);
         const leeward_pressure_L = directional_results.perp_to_L.find(r => r.surface.includes("Leeward"))?.p_pos || 0;
         html += renderHeightVaryingTable(heightVaryingResults_L, leeward_pressure_L, inputs, units) || '';
         html += renderTorsionalCase(torsional_case, inputs, units);
         html += renderCandCSection(candc, inputs, units);
-    }
 
-    html += generateWindSummary(inputs, directional_results, candc, p_unit);
+        html += generateWindSummary(inputs, directional_results, candc, p_unit);
+    }
     html += `</div>`; // Close main container
     resultsContainer.innerHTML = html;
 
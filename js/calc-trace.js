@@ -0,0 +1,363 @@
+/**
+ * Structured calculation traces. Engines record each step of a calculation (symbol, formula,
+ * the values substituted into it, result, units and code reference) while computing it, and
+ * renderTraceHtml turns the recorded steps into the report. The formula string of a step is
+ * the expression that is evaluated, so the report cannot drift from the arithmetic.
+ *
+ * Formulas use identifiers for the values passed in, numbers, + - * / ^, parentheses, the
+ * constant pi and the functions sqrt, min, max, abs and exp. Identifiers are written the way they
+ * are typeset: an underscore starts a subscript (V_s_max → V with subscript "s,max"), Greek
+ * letter names become letters (phi_f → φ with subscript f) and a prime may follow the base
+ * (f'_c).
+ */
+
+const FUNCTIONS = { sqrt: Math.sqrt, min: Math.min, max: Math.max, abs: Math.abs, exp: Math.exp };
+const CONSTANTS = { pi: Math.PI };
+const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', eta: 'η', theta: 'θ', lambda: 'λ',
+    mu: 'μ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Delta: 'Δ', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+const OPERATOR_HTML = { '+': ' + ', '-': ' − ', '*': ' · ', '/': ' / ' };
+// Result symbols such as "phi * R_n" are typeset as juxtaposed factors: φR<sub>n</sub>.
+const SYMBOL_OPERATOR_HTML = { ...OPERATOR_HTML, '*': '', '/': '/' };
+
+function tokenize(formula) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+)|([A-Za-z][A-Za-z0-9_']*)|(\S))/gy;
+    let match;
+    while (pattern.lastIndex < formula.length && (match = pattern.exec(formula))) {
+        if (match[1] !== undefined) tokens.push({ type: 'number', text: match[1] });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', text: match[2] });
+        else if (match[3] !== undefined) {
+            if (!'+-*/^(),'.includes(match[3])) throw new Error(`Unexpected "${match[3]}" in formula "${formula}".`);
+            tokens.push({ type: 'op', text: match[3] });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser. Parentheses are kept as group nodes so that a formula is printed
+ * back the way it was written.
+ */
+function parse(formula) {
+    const tokens = tokenize(formula);
+    let position = 0;
+    const peek = () => tokens[position];
+    const fail = message => { throw new Error(`${message} in formula "${formula}".`); };
+    const expect = text => {
+        if (peek()?.text !== text) fail(`Expected "${text}"`);
+        position++;
+    };
+
+    const parseExpression = () => {
+        let node = parseTerm();
+        while (peek()?.text === '+' || peek()?.text === '-') {
+            const op = tokens[position++].text;
+            node = { type: 'binary', op, left: node, right: parseTerm() };
+        }
+        return node;
+    };
+    const parseTerm = () => {
+        let node = parseUnary();
+        while (peek()?.text === '*' || peek()?.text === '/') {
+            const op = tokens[position++].text;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+        }
+        return node;
+    };
+    const parseUnary = () => {
+        if (peek()?.text === '-') {
+            position++;
+            return { type: 'negate', operand: parseUnary() };
+        }
+        return parsePower();
+    };
+    const parsePower = () => {
+        const base = parseAtom();
+        if (peek()?.text !== '^') return base;
+        position++;
+        return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    };
+    const parseAtom = () => {
+        const token = tokens[position++];
+        if (!token) return fail('Unexpected end');
+        if (token.type === 'number') return { type: 'number', text: token.text, value: Number(token.text) };
+        if (token.text === '(') {
+            const inner = parseExpression();
+            expect(')');
+            return { type: 'group', inner };
+        }
+        if (token.type === 'name' && peek()?.text === '(' && FUNCTIONS[token.text]) {
+            position++;
+            const args = [parseExpression()];
+            while (peek()?.text === ',') {
+                position++;
+                args.push(parseExpression());
+            }
+            expect(')');
+            return { type: 'call', name: token.text, args };
+        }
+        if (token.type === 'name') return { type: 'name', name: token.text };
+        return fail(`Unexpected "${token.text}"`);
+    };
+
+    const tree = parseExpression();
+    if (position < tokens.length) fail(`Unexpected "${tokens[position].text}"`);
+    return tree;
+}
+
+const parsedFormulas = new Map();
+function parseCached(formula) {
+    if (!parsedFormulas.has(formula)) parsedFormulas.set(formula, parse(formula));
+    return parsedFormulas.get(formula);
+}
+
+function evaluateNode(node, values) {
+    switch (node.type) {
+        case 'number': return node.value;
+        case 'group': return evaluateNode(node.inner, values);
+        case 'negate': return -evaluateNode(node.operand, values);
+        case 'call': return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, values)));
+        case 'name':
+            if (Object.prototype.hasOwnProperty.call(values, node.name)) return values[node.name];
+            if (CONSTANTS[node.name] !== undefined) return CONSTANTS[node.name];
+            throw new Error(`No value given for "${node.name}".`);
+        default: {
+            const left = evaluateNode(node.left, values);
+            const right = evaluateNode(node.right, values);
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                default: return left ** right;
+            }
+        }
+    }
+}
+
+function collectNames(node, names = new Set()) {
+    if (node.type === 'name') names.add(node.name);
+    else if (node.type === 'group') collectNames(node.inner, names);
+    else if (node.type === 'negate') collectNames(node.operand, names);
+    else if (node.type === 'call') node.args.forEach(arg => collectNames(arg, names));
+    else if (node.type === 'binary') {
+        collectNames(node.left, names);
+        collectNames(node.right, names);
+    }
+    return names;
+}
+
+/**
+ * Evaluates a formula.
+ * @param {string} formula - e.g. "A_s * f_y * (d - a / 2)".
+ * @param {Object<string, number>} [values={}] - Value of each identifier used.
+ * @returns {number}
+ * @throws {Error} When the formula does not parse or uses an identifier without a value.
+ */
+export function evaluateFormula(formula, values = {}) {
+    return evaluateNode(parseCached(formula), values);
+}
+
+/**
+ * Lists the identifiers a formula uses, constants excluded.
+ * @param {string} formula
+ * @returns {string[]}
+ */
+export function formulaSymbols(formula) {
+    return [...collectNames(parseCached(formula))].filter(name => !Object.prototype.hasOwnProperty.call(CONSTANTS, name));
+}
+
+/**
+ * Creates a recorder for the steps of one calculation. Steps are added to the current section,
+ * so start one with section() before recording.
+ * @returns {{sections: object[], section: Function, calc: Function, value: Function}}
+ */
+export function createTrace() {
+    const sections = [];
+    // Display scale of each recorded result, so a later step substitutes the value as it was shown.
+    const scales = {};
+    const current = () => {
+        if (!sections.length) sections.push({ title: '', steps: [] });
+        return sections[sections.length - 1];
+    };
+    return {
+        sections,
+
+        /**
+         * Starts a new section of the report.
+         * @param {string} title
+         * @param {{id?: string, ref?: string}} [options] - `id` lets a report pick a section out.
+         */
+        section(title, { id, ref } = {}) {
+            sections.push({ title, ...(id ? { id } : {}), ...(ref ? { ref } : {}), steps: [] });
+            return this;
+        },
+
+        /**
+         * Evaluates a formula and records it as a step.
+         * @param {?string} symbol - Identifier of the result, e.g. "phi_f", or a product or
+         *   quotient of identifiers such as "phi * R_n". May be null when the step has a label.
+         * @param {string} formula
+         * @param {Object<string, number>} [values={}]
+         * @param {{label?: string, units?: string, ref?: string, note?: string, scale?: number, decimals?: number}} [options]
+         *   `scale` multiplies the displayed result only (e.g. 1/12000 to show lb-in as kip-ft);
+         *   later steps that use the result substitute it with the same scale.
+         * @returns {number} The unscaled result.
+         */
+        calc(symbol, formula, values = {}, options = {}) {
+            const result = evaluateFormula(formula, values);
+            const names = formulaSymbols(formula);
+            const used = Object.fromEntries(names.map(name => [name, values[name]]));
+            const valueScales = Object.fromEntries(names.filter(name => scales[name] !== undefined).map(name => [name, scales[name]]));
+            const step = { symbol, formula, values: used, result, ...options };
+            if (Object.keys(valueScales).length) step.valueScales = valueScales;
+            current().steps.push(step);
+            if (symbol) scales[symbol] = options.scale;
+            return result;
+        },
+
+        /**
+         * Records a value that is looked up or chosen rather than computed.
+         * @param {?string} symbol - May be null for a labelled value without a symbol.
+         * @param {number|string} value
+         * @param {{label?: string, units?: string, ref?: string, note?: string, scale?: number, decimals?: number}} [options]
+         * @returns {number|string} The value, unchanged.
+         */
+        value(symbol, value, options = {}) {
+            current().steps.push({ symbol, result: value, ...options });
+            if (symbol) scales[symbol] = options.scale;
+            return value;
+        }
+    };
+}
+
+// --- Rendering ---
+
+const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Typesets an identifier: "V_s_max" → V<sub>s,max</sub>, "phi_f" → φ<sub>f</sub>.
+ * @param {string} name
+ * @returns {string} HTML.
+ */
+export function symbolHtml(name) {
+    const [base, ...subscripts] = String(name).split('_');
+    const greek = part => GREEK[part] ?? escapeHtml(part);
+    const prime = base.match(/^([^']*)('*)$/);
+    const head = prime ? greek(prime[1]) + prime[2] : greek(base);
+    return subscripts.length ? `${head}<sub>${subscripts.map(greek).join(',')}</sub>` : head;
+}
+
+/**
+ * Formats a number for a report: fixed decimals, or three significant figures below 1.
+ * @param {number} value
+ * @param {number} [decimals]
+ * @returns {string}
+ */
+export function formatTraceNumber(value, decimals) {
+    if (!Number.isFinite(value)) return value > 0 ? '∞' : value < 0 ? '−∞' : '—';
+    if (decimals !== undefined) return value.toFixed(decimals);
+    return value !== 0 && Math.abs(value) < 1 ? String(Number(value.toPrecision(3))) : value.toFixed(2);
+}
+
+// Values substituted into a formula keep four significant figures.
+const formatOperand = value => {
+    if (typeof value !== 'number') return escapeHtml(value);
+    const text = Number.isFinite(value) ? String(Number(value.toPrecision(4))) : formatTraceNumber(value);
+    return value < 0 ? `(${text.replace('-', '−')})` : text;
+};
+
+function nodeHtml(node, display, operators = OPERATOR_HTML) {
+    const render = child => nodeHtml(child, display, operators);
+    switch (node.type) {
+        case 'number': return node.text;
+        case 'name': return display(node.name);
+        case 'group': return `(${render(node.inner)})`;
+        case 'negate': return `−${render(node.operand)}`;
+        case 'call': {
+            const args = node.args.map(render).join(', ');
+            return node.name === 'sqrt' ? `√(${args})` : node.name === 'abs' ? `|${args}|` : `${node.name}(${args})`;
+        }
+        default: {
+            const left = render(node.left);
+            if (node.op !== '^') return `${left}${operators[node.op]}${render(node.right)}`;
+            const exponent = node.right.type === 'group' ? node.right.inner : node.right;
+            return `${left}<sup>${render(exponent)}</sup>`;
+        }
+    }
+}
+
+/**
+ * Renders a formula, either with its symbols or with the given values substituted.
+ * @param {string} formula
+ * @param {Object<string, number>} [values] - Substituted when given.
+ * @param {Object<string, number>} [scales] - Display scale of some of the values.
+ * @returns {string} HTML.
+ */
+export function formulaHtml(formula, values, scales = {}) {
+    const tree = parseCached(formula);
+    const shown = name => (typeof values[name] === 'number' ? values[name] * (scales[name] ?? 1) : values[name]);
+    const display = values
+        ? name => (Object.prototype.hasOwnProperty.call(values, name) ? formatOperand(shown(name)) : symbolHtml(name))
+        : symbolHtml;
+    return nodeHtml(tree, display);
+}
+
+function stepHtml(step) {
+    const symbol = step.symbol ? nodeHtml(parseCached(step.symbol), symbolHtml, SYMBOL_OPERATOR_HTML) : '';
+    const label = step.label ? escapeHtml(step.label) : '';
+    const name = label && symbol ? `${label} (${symbol})` : label || symbol;
+    const shown = typeof step.result === 'number'
+        ? formatTraceNumber(step.result * (step.scale ?? 1), step.decimals)
+        : escapeHtml(step.result);
+    const result = `<b>${shown}${step.units ? ` ${escapeHtml(step.units)}` : ''}</b>`;
+
+    const parts = [name];
+    if (step.formula !== undefined) {
+        const tree = parseCached(step.formula);
+        parts.push(formulaHtml(step.formula));
+        // A bare number needs no substitution line, and neither does a formula without symbols.
+        if (tree.type !== 'number' && Object.keys(step.values || {}).length) parts.push(formulaHtml(step.formula, step.values, step.valueScales));
+    }
+    parts.push(result);
+    const note = step.note ? ` (${escapeHtml(step.note)})` : '';
+    const ref = step.ref ? ` <span class="ref">[${escapeHtml(step.ref)}]</span>` : '';
+    return `<li>${parts.join(' = ')}${note}${ref}</li>`;
+}
+
+/**
+ * Renders one section as a heading and a list of steps.
+ * @param {{title: string, ref?: string, steps: object[]}} section
+ * @returns {string} HTML.
+ */
+export function renderTraceSection(section) {
+    const ref = section.ref ? ` <span class="ref">[${escapeHtml(section.ref)}]</span>` : '';
+    const heading = section.title ? `<h4>${escapeHtml(section.title)}${ref}</h4>` : '';
+    return `${heading}<ul>${section.steps.map(stepHtml).join('')}</ul>`;
+}
+
+/**
+ * Renders a trace as report sections, each in its own calc-breakdown block.
+ * @param {object[]} sections - The `sections` of a trace.
+ * @returns {string} HTML.
+ */
+export function renderTraceHtml(sections = []) {
+    return sections.map(section => `<div class="calc-breakdown mt-4">${renderTraceSection(section)}</div>`).join('');
+}
+
+/**
+ * Records the design (LRFD) or allowable (ASD) strength of an AISC limit state.
+ * @param {ReturnType<typeof createTrace>} trace
+ * @param {{Rn: number, phi: number, omega: number}} check
+ * @param {string} designMethod - 'LRFD' or 'ASD'.
+ * @param {{units?: string, ref?: string}} [options]
+ * @returns {number}
+ */
+export function traceDesignStrength(trace, { Rn, phi, omega }, designMethod, options = {}) {
+    return designMethod === 'LRFD'
+        ? trace.calc('phi * R_n', 'phi * R_n', { phi, R_n: Rn }, { label: 'Design Strength', ...options })
+        : trace.calc('R_n / Omega', 'R_n / Omega', { R_n: Rn, Omega: omega }, { label: 'Allowable Strength', ...options });
+}
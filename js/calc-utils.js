@@ -0,0 +1,35 @@
+/**
+ * Pure numeric helpers shared by the calculation engines.
+ * This is an ES module with no DOM access so the engines can be imported from Node.
+ */
+
+/**
+ * Performs linear interpolation for a given value within a dataset.
+ * This is commonly used for looking up values in normative tables.
+ * @param {number} x - The point at which to evaluate the interpolated value.
+ * @param {number[]} xp - The array of x-coordinates of the data points.
+ * @param {number[]} fp - The array of y-coordinates of the data points.
+ * @returns {number} The interpolated y-value.
+ */
+export function interpolate(x, xp, fp) {
+    // Input validation
+    if (!Array.isArray(xp) || !Array.isArray(fp) || xp.length !== fp.length || xp.length < 2) {
+        throw new Error('Invalid input arrays for interpolation');
+    }
+    if (!xp.every((val, i) => i === 0 || val > xp[i-1])) {
+        throw new Error('x-coordinates must be in ascending order');
+    }
+    
+    // Handle boundary conditions
+    if (x <= xp[0]) return fp[0];
+    if (x >= xp[xp.length - 1]) return fp[fp.length - 1];
+    
+    // Find the appropriate interval
+    let i = 0;
+    while (i < xp.length - 1 && x > xp[i + 1]) i++;
+    
+    // Perform linear interpolation
+    const x1 = xp[i], y1 = fp[i];
+    const x2 = xp[i + 1], y2 = fp[i + 1];
+    return y1 + ((x - x1) * (y2 - y1)) / (x2 - x1);
+}
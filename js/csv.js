@@ -0,0 +1,83 @@
+/**
+ * Reading and writing delimited text (CSV, and the tab- or semicolon-separated text that
+ * spreadsheets produce when copying cells or saving with a decimal-comma locale).
+ */
+
+/**
+ * Quotes a cell when it contains the delimiter, a quote or a line break.
+ * @param {*} value - Undefined and null are written as empty cells.
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function csvCell(value, delimiter = ',') {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes rows of cells as CSV text, one line per row and a trailing newline.
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function formatCsv(rows) {
+    return rows.map(row => row.map(value => csvCell(value)).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Picks the delimiter of a piece of delimited text from its first line: tab, semicolon or comma,
+ * whichever occurs most often outside quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = ['\t', ';', ','].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+    const [delimiter, count] = counts.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    return count > 0 ? delimiter : ',';
+}
+
+/**
+ * Parses delimited text into rows of cell strings. Quoted cells may contain the delimiter,
+ * doubled quotes and line breaks. Blank lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the first line when omitted.
+ * @returns {{delimiter: string, rows: string[][]}}
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const source = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) rows.push(row.map(value => value.trim()));
+        row = [];
+        cell = '';
+    };
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+    return { delimiter, rows };
+}
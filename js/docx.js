@@ -0,0 +1,170 @@
+/**
+ * Word (.docx) documents built in the browser from a simple block model. handleDownloadDocx in
+ * js/shared-utils.js turns a rendered report into blocks; this module writes the OOXML parts and
+ * packs them with js/zip.js.
+ *
+ * Blocks:
+ *   { type: 'heading', level: 1-3, runs }
+ *   { type: 'paragraph', runs, style?: 'Caption' | 'ListBullet' }
+ *   { type: 'table', rows: [{ header?: boolean, cells: [{ runs, colspan? }] }] }
+ *   { type: 'image', data: Uint8Array (PNG), width, height }   width and height in CSS pixels
+ * Runs: { text, bold?, italic?, sub?, sup?, color?: 'RRGGBB' } or { break: true }.
+ */
+
+import { createZip, escapeXml } from './zip.js';
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const EMU_PER_PIXEL = 9525;
+const TEXT_WIDTH_TWIPS = 9360; // 6.5 in. between 1 in. margins on letter paper
+const MAX_IMAGE_WIDTH_EMU = TEXT_WIDTH_TWIPS * 635;
+
+const NS = {
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+    rel: 'http://schemas.openxmlformats.org/package/2006/relationships'
+};
+
+function runXml(run) {
+    if (run.break) return '<w:r><w:br/></w:r>';
+    const props = [
+        run.bold ? '<w:b/>' : '',
+        run.italic ? '<w:i/>' : '',
+        run.color ? `<w:color w:val="${run.color}"/>` : '',
+        run.sub ? '<w:vertAlign w:val="subscript"/>' : run.sup ? '<w:vertAlign w:val="superscript"/>' : ''
+    ].join('');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+}
+
+const paragraphXml = (runs, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${runs.map(runXml).join('')}</w:p>`;
+
+function tableXml(rows) {
+    const columns = Math.max(1, ...rows.map(row => row.cells.reduce((count, cell) => count + (cell.colspan || 1), 0)));
+    const columnWidth = Math.floor(TEXT_WIDTH_TWIPS / columns);
+    const rowXml = row => {
+        const cells = row.cells.map(cell => {
+            const span = cell.colspan > 1 ? `<w:gridSpan w:val="${cell.colspan}"/>` : '';
+            const shading = row.header ? '<w:shd w:val="clear" w:color="auto" w:fill="E7E6E6"/>' : '';
+            const runs = row.header ? cell.runs.map(run => ({ ...run, bold: true })) : cell.runs;
+            return `<w:tc><w:tcPr><w:tcW w:w="${columnWidth * (cell.colspan || 1)}" w:type="dxa"/>${span}${shading}</w:tcPr>${paragraphXml(runs)}</w:tc>`;
+        }).join('');
+        return `<w:tr>${row.header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+    };
+    return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>'
+        + `<w:tblGrid>${`<w:gridCol w:w="${columnWidth}"/>`.repeat(columns)}</w:tblGrid>`
+        + `${rows.map(rowXml).join('')}</w:tbl>`
+        // Word merges adjacent tables unless a paragraph separates them.
+        + '<w:p/>';
+}
+
+function imageXml(image, id, relationshipId) {
+    const scale = Math.min(1, MAX_IMAGE_WIDTH_EMU / (image.width * EMU_PER_PIXEL));
+    const cx = Math.round(image.width * EMU_PER_PIXEL * scale);
+    const cy = Math.round(image.height * EMU_PER_PIXEL * scale);
+    return `<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">`
+        + `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${id}" name="Diagram ${id}"/>`
+        + `<a:graphic><a:graphicData uri="${NS.pic}"><pic:pic>`
+        + `<pic:nvPicPr><pic:cNvPr id="${id}" name="image${id}.png"/><pic:cNvPicPr/></pic:nvPicPr>`
+        + `<pic:blipFill><a:blip r:embed="${relationshipId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+        + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+        + '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>';
+}
+
+/**
+ * Writes the main document part.
+ * @param {object[]} blocks
+ * @returns {{xml: string, images: {name: string, relationshipId: string, data: Uint8Array}[]}}
+ */
+export function documentXml(blocks) {
+    const images = [];
+    const body = blocks.map(block => {
+        switch (block.type) {
+            case 'heading': return paragraphXml(block.runs, `Heading${Math.min(Math.max(block.level, 1), 3)}`);
+            case 'table': return block.rows.length ? tableXml(block.rows) : '';
+            case 'image': {
+                const id = images.length + 1;
+                const relationshipId = `rIdImage${id}`;
+                images.push({ name: `media/image${id}.png`, relationshipId, data: block.data });
+                return imageXml(block, id, relationshipId);
+            }
+            default: return paragraphXml(block.runs, block.style);
+        }
+    }).join('');
+    const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`
+        + `<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}" xmlns:wp="${NS.wp}" xmlns:a="${NS.a}" xmlns:pic="${NS.pic}">`
+        + `<w:body>${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>`
+        + '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>'
+        + '</w:body></w:document>';
+    return { xml, images };
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${NS.w}">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="20"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:jc w:val="center"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="60"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="22"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="120" w:after="60"/></w:pPr><w:rPr><w:b/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="360" w:hanging="240"/></w:pPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>
+<w:top w:val="single" w:sz="4" w:space="0" w:color="808080"/><w:left w:val="single" w:sz="4" w:space="0" w:color="808080"/>
+<w:bottom w:val="single" w:sz="4" w:space="0" w:color="808080"/><w:right w:val="single" w:sz="4" w:space="0" w:color="808080"/>
+<w:insideH w:val="single" w:sz="4" w:space="0" w:color="808080"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="808080"/>
+</w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+/**
+ * Builds a .docx file.
+ * @param {object[]} blocks - See the block model at the top of this module.
+ * @param {{title?: string, date?: Date}} [options] - Document title (file properties) and timestamp.
+ * @returns {Uint8Array}
+ */
+export function buildDocx(blocks, { title = '', date = new Date() } = {}) {
+    const { xml, images } = documentXml(blocks);
+    const relationship = (id, type, target) => `<Relationship Id="${id}" Type="${NS.r}/${type}" Target="${target}"/>`;
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Default Extension="png" ContentType="image/png"/>'
+                + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+                + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+                + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${NS.rel}">`
+                + relationship('rId1', 'officeDocument', 'word/document.xml')
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'docProps/core.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+                + `<dc:title>${escapeXml(title)}</dc:title>`
+                + `<dcterms:created xsi:type="dcterms:W3CDTF">${date.toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>`
+                + '</cp:coreProperties>'
+        },
+        { name: 'word/document.xml', data: xml },
+        { name: 'word/styles.xml', data: STYLES_XML },
+        {
+            name: 'word/_rels/document.xml.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${NS.rel}">`
+                + relationship('rIdStyles', 'styles', 'styles.xml')
+                + images.map(image => relationship(image.relationshipId, 'image', image.name)).join('')
+                + '</Relationships>'
+        },
+        ...images.map(image => ({ name: `word/${image.name}`, data: image.data }))
+    ];
+    return createZip(files, date);
+}
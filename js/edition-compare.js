@@ -0,0 +1,93 @@
+/**
+ * Code edition comparison: the same inputs run under two editions of a code (e.g. ASCE 7-16 and
+ * ASCE 7-22), with every intermediate value and result lined up and the percent change between
+ * them. The panel that drives this lives in js/shared-utils.js (initializeEditionCompare); this
+ * module holds the parts that do not need the DOM.
+ */
+
+// Fields that name the rows of a result table, in the order they are tried.
+const ROW_LABEL_KEYS = ['surface', 'name', 'zone', 'case', 'combo', 'label', 'type', 'location'];
+// Longer strings are notes and explanations rather than values worth lining up.
+const MAX_TEXT_LENGTH = 60;
+
+const labelKey = row => ROW_LABEL_KEYS.find(candidate => typeof row?.[candidate] === 'string' && row[candidate]);
+
+/**
+ * Flattens a calculator result into its values keyed by path. Unlike the parametric study, rows
+ * of result tables are kept, named after their label where they have one
+ * (e.g. "directional_results.perp_to_L[Windward Wall].p_pos"), since tables such as wall and
+ * roof pressures are what changes between editions. Short text values (governing equations,
+ * categories) are kept too. The echoed `inputs` are skipped.
+ * @param {object} result
+ * @returns {Object<string, number|string|boolean>}
+ */
+export function flattenComparableResults(result) {
+    const values = {};
+    // `labelField` is the field a table row is already named after, which is not repeated as a value.
+    const visit = (value, path, labelField) => {
+        if (typeof value === 'number') {
+            if (Number.isFinite(value)) values[path] = value;
+        } else if (typeof value === 'boolean' || (typeof value === 'string' && value.length <= MAX_TEXT_LENGTH)) {
+            if (path) values[path] = value;
+        } else if (Array.isArray(value)) {
+            const seen = new Map();
+            value.forEach((item, index) => {
+                const key = labelKey(item);
+                let label = key ? item[key] : String(index + 1);
+                // Repeated labels (e.g. one row per direction) are told apart by a count.
+                const count = (seen.get(label) || 0) + 1;
+                seen.set(label, count);
+                if (count > 1) label = `${label} #${count}`;
+                visit(item, `${path}[${label}]`, key);
+            });
+        } else if (value && typeof value === 'object') {
+            for (const [key, child] of Object.entries(value)) {
+                if (key === 'inputs' || key === labelField) continue;
+                visit(child, path ? `${path}.${key}` : key);
+            }
+        }
+    };
+    visit(result, '');
+    return values;
+}
+
+/**
+ * Percent change from one value to another; null when it cannot be expressed as a percentage.
+ * @param {number} before
+ * @param {number} after
+ * @returns {number|null}
+ */
+export function percentChange(before, after) {
+    if (!Number.isFinite(before) || !Number.isFinite(after)) return null;
+    if (before === 0) return after === 0 ? 0 : null;
+    return ((after - before) / Math.abs(before)) * 100;
+}
+
+/**
+ * Lines up two results value by value, grouped by the top-level part of the result they belong
+ * to; plain values at the top level form the section ''. Values found in only one edition (a
+ * check or combination the other does not have) are kept with the other side null.
+ * @param {object} resultA - The result under the first edition.
+ * @param {object} resultB - The result under the second edition.
+ * @returns {{section: string, rows: {path: string, a: *, b: *, change: number|null, changed: boolean}[]}[]}
+ */
+export function compareEditionResults(resultA, resultB) {
+    const valuesA = flattenComparableResults(resultA);
+    const valuesB = flattenComparableResults(resultB);
+    const paths = [...new Set([...Object.keys(valuesA), ...Object.keys(valuesB)])];
+
+    const sections = new Map();
+    for (const path of paths) {
+        const a = valuesA[path] ?? null;
+        const b = valuesB[path] ?? null;
+        const change = typeof a === 'number' && typeof b === 'number' ? percentChange(a, b) : null;
+        const changed = typeof a === 'number' && typeof b === 'number'
+            // Differences below this are rounding noise, not a change of the code.
+            ? Math.abs(a - b) > 1e-9 * Math.max(1, Math.abs(a), Math.abs(b))
+            : a !== b;
+        const section = /[.[]/.test(path) ? path.split(/[.[]/)[0] : '';
+        if (!sections.has(section)) sections.set(section, []);
+        sections.get(section).push({ path, a, b, change, changed });
+    }
+    return Array.from(sections, ([section, rows]) => ({ section, rows }));
+}
@@ -0,0 +1,22 @@
+/**
+ * Entry point for using the calculation engines outside the browser.
+ * Every engine is a pure ES module; the pages import them individually.
+ *
+ * @example
+ * import { rainLoadCalculator } from './js/engines.js';
+ * const { results } = rainLoadCalculator.run({ rain_unit_system: 'imperial', rain_static_head: 2, rain_hydraulic_head: 1 });
+ */
+
+export { interpolate } from './calc-utils.js';
+export { windLoadCalculator } from '../asce/wind-engine.js';
+export { snowLoadCalculator } from '../asce/snow-engine.js';
+export { rainLoadCalculator } from '../asce/rain-engine.js';
+export { comboLoadCalculator } from '../asce/combos-engine.js';
+export { steelChecker } from '../aisc/steel-check-engine.js';
+export { spliceCalculator } from '../aisc/splice-engine.js';
+export { basePlateCalculator } from '../aisc/base-plate-engine.js';
+export { woodChecker } from '../nds/wood-design-engine.js';
+export { aciCalculator, BAR_AREAS } from '../aci/aci-concrete-engine.js';
+export { nbr6118Calculator } from '../nbr/nbr6118-engine.js';
+export { nbr7190Calculator } from '../nbr/nbr7190-engine.js';
+export { nbr8800Calculator } from '../nbr/nbr8800-engine.js';
@@ -0,0 +1,1062 @@
+/**
+ * Message catalog for js/i18n.js: each entry holds one text in every language it is known in,
+ * exactly as a page writes it ('en' for the US calculators and shared panels, 'pt-BR' for the NBR
+ * calculators), so the same entry translates either way. Placeholders in braces ({name}) stand
+ * for the variable part of a message. An entry with a `context` applies only to text of that kind
+ * of element (e.g. 'option'), for words whose translation depends on where they appear.
+ *
+ * Grouped by where the texts appear. Text a page shows that is missing here stays in the language
+ * it is written in; to translate it, add an entry to the group of its page.
+ */
+
+export const catalog = [
+    // --- Header, footer and navigation ---
+    { en: 'Home', 'pt-BR': 'Início' },
+    { en: 'US Codes', 'pt-BR': 'Normas Americanas' },
+    { en: 'NBR (Brazil)', 'pt-BR': 'NBR (Brasil)' },
+    { en: 'Language', 'pt-BR': 'Idioma' },
+    { en: 'Back to Hub', 'pt-BR': 'Voltar ao Início' },
+    { en: 'Go to top', 'pt-BR': 'Voltar ao topo' },
+    { en: '© {year} Engineering Calculators. All Rights Reserved.', 'pt-BR': '© {year} Engineering Calculators. Todos os direitos reservados.' },
+    { en: 'Disclaimer: These tools are for preliminary design and educational purposes only. Always verify results with a licensed professional engineer and the latest code standards.', 'pt-BR': 'Aviso: estas ferramentas destinam-se apenas a pré-dimensionamento e fins educacionais. Sempre confira os resultados com um engenheiro habilitado e as normas vigentes.' },
+    { en: 'Offline use is not available in this browser.', 'pt-BR': 'O uso offline não está disponível neste navegador.' },
+    { en: 'Available offline (version {version}).', 'pt-BR': 'Disponível offline (versão {version}).' },
+    { en: 'Available offline (version {version}). You are offline.', 'pt-BR': 'Disponível offline (versão {version}). Você está offline.' },
+    { en: 'Saving an offline copy...', 'pt-BR': 'Salvando uma cópia offline...' },
+    { en: 'Saving an offline copy... You are offline.', 'pt-BR': 'Salvando uma cópia offline... Você está offline.' },
+    { en: 'Updating the offline copy...', 'pt-BR': 'Atualizando a cópia offline...' },
+    { en: 'Offline copy unavailable: open the calculators from a web server to enable it.', 'pt-BR': 'Cópia offline indisponível: abra as calculadoras a partir de um servidor web para ativá-la.' },
+    { en: 'Wind', 'pt-BR': 'Vento' },
+    { en: 'Snow', 'pt-BR': 'Neve' },
+    { en: 'Rain', 'pt-BR': 'Chuva' },
+    { en: 'Combinations', 'pt-BR': 'Combinações' },
+    { en: 'Steel Check', 'pt-BR': 'Verificação de Aço' },
+    { en: 'Base Plate', 'pt-BR': 'Placa de Base' },
+    { en: 'Splice', 'pt-BR': 'Emenda' },
+    { en: 'Wood Design', 'pt-BR': 'Madeira' },
+
+    // --- Hub (index.html) and projects ---
+    { en: 'Engineering Calculator Hub', 'pt-BR': 'Central de Calculadoras de Engenharia' },
+    { en: 'Projects', 'pt-BR': 'Projetos' },
+    { en: 'Open Project', 'pt-BR': 'Abrir Projeto' },
+    { en: 'New', 'pt-BR': 'Novo' },
+    { en: 'Import', 'pt-BR': 'Importar' },
+    { en: 'Export', 'pt-BR': 'Exportar' },
+    { en: 'Package Report', 'pt-BR': 'Memorial Completo' },
+    { en: 'Delete', 'pt-BR': 'Excluir' },
+    { en: 'Project Name', 'pt-BR': 'Nome do Projeto' },
+    { en: 'Project Number', 'pt-BR': 'Número do Projeto' },
+    { en: 'Engineer', 'pt-BR': 'Engenheiro' },
+    { en: 'Checker', 'pt-BR': 'Verificador' },
+    { en: 'Location', 'pt-BR': 'Local' },
+    { en: 'Code Edition', 'pt-BR': 'Edição da Norma' },
+    { en: 'Save Details', 'pt-BR': 'Salvar Dados' },
+    { en: 'Saved Runs', 'pt-BR': 'Cálculos Salvos' },
+    { en: 'Label', 'pt-BR': 'Rótulo' },
+    { en: 'Calculator', 'pt-BR': 'Calculadora' },
+    { en: 'Saved', 'pt-BR': 'Salvo em' },
+    { en: 'Actions', 'pt-BR': 'Ações' },
+    { en: 'Open', 'pt-BR': 'Abrir' },
+    { en: 'No projects yet', 'pt-BR': 'Nenhum projeto ainda' },
+    { en: 'ASCE 7 Load Calculators', 'pt-BR': 'Calculadoras de Cargas ASCE 7' },
+    { en: 'Calculate wind, snow, and rain loads, and generate load combinations based on ASCE 7-16 and ASCE 7-22 standards.', 'pt-BR': 'Calcule cargas de vento, neve e chuva e gere combinações de cargas conforme as normas ASCE 7-16 e ASCE 7-22.' },
+    { en: 'Go to Load Calculators →', 'pt-BR': 'Ir para Calculadoras de Cargas →' },
+    { en: 'AISC 360 Steel Design', 'pt-BR': 'Estruturas de Aço AISC 360' },
+    { en: 'Perform design checks for steel sections, base plates, and beam splices according to the AISC 360 specification.', 'pt-BR': 'Verifique perfis de aço, placas de base e emendas de vigas conforme a especificação AISC 360.' },
+    { en: 'Go to Steel Design →', 'pt-BR': 'Ir para Estruturas de Aço →' },
+    { en: 'NDS Wood Design', 'pt-BR': 'Estruturas de Madeira NDS' },
+    { en: 'Check wood members for flexure, shear, compression, and combined stresses based on the National Design Specification for Wood Construction.', 'pt-BR': 'Verifique peças de madeira à flexão, cisalhamento, compressão e esforços combinados conforme a National Design Specification for Wood Construction.' },
+    { en: 'Go to Wood Design →', 'pt-BR': 'Ir para Estruturas de Madeira →' },
+    { en: 'ACI 318 Concrete Design', 'pt-BR': 'Concreto Armado ACI 318' },
+    { en: 'Check concrete beams for flexure and shear according to the ACI 318-19 specification.', 'pt-BR': 'Verifique vigas de concreto à flexão e ao cisalhamento conforme a ACI 318-19.' },
+    { en: 'Go to Concrete Design →', 'pt-BR': 'Ir para Concreto Armado →' },
+    { en: 'Brazilian Codes (NBR)', 'pt-BR': 'Códigos Brasileiros (NBR)' },
+    { en: 'NBR 8681 / 6118 Combinations', 'pt-BR': 'NBR 8681 / 6118 Combinações' },
+    { en: 'Load combination generator for ULS (Ultimate Limit State) and SLS (Serviceability Limit State) according to the Brazilian codes.', 'pt-BR': 'Gerador de combinações de ações para ELU (Estado Limite Último) e ELS (Estado Limite de Serviço) conforme as normas brasileiras.' },
+    { en: 'Go to NBR Combinations →', 'pt-BR': 'Ir para Combinações NBR →' },
+    { en: 'NBR 6118 Concrete', 'pt-BR': 'NBR 6118 Concreto' },
+    { en: 'Reinforced concrete beam checker for flexure and shear, according to NBR 6118:2014.', 'pt-BR': 'Verificador de vigas de concreto armado para flexão e cisalhamento, conforme a NBR 6118:2014.' },
+    { en: 'Go to Concrete Checker →', 'pt-BR': 'Ir para Verificador de Concreto →' },
+    { en: 'NBR 7190 Timber', 'pt-BR': 'NBR 7190 Madeira' },
+    { en: 'Timber member checker for flexure, shear and deflection according to NBR 7190:1997.', 'pt-BR': 'Verificador de peças de madeira para flexão, cisalhamento e deformação de acordo com a NBR 7190:1997.' },
+    { en: 'Go to Timber Checker →', 'pt-BR': 'Ir para Verificador de Madeira →' },
+    { en: 'NBR 8800 Steel', 'pt-BR': 'NBR 8800 Aço' },
+    { en: 'Analysis of steel I-sections for compression, flexure and combined forces, according to NBR 8800:2008.', 'pt-BR': 'Análise de perfis I de aço para compressão, flexão e forças combinadas, conforme a NBR 8800:2008.' },
+    { en: 'Go to Steel Checker →', 'pt-BR': 'Ir para Verificador de Aço →' },
+    { en: 'e.g., ASCE 7-16 / AISC 360-16', 'pt-BR': 'ex.: ASCE 7-16 / AISC 360-16' },
+    { en: 'Project name:', 'pt-BR': 'Nome do projeto:' },
+    { en: 'Label for this run in "{project}":', 'pt-BR': 'Rótulo deste cálculo em "{project}":' },
+    { en: 'Delete project "{project}" and its {count} saved run(s)?', 'pt-BR': 'Excluir o projeto "{project}" e seus {count} cálculo(s) salvo(s)?' },
+    { en: 'Project created.', 'pt-BR': 'Projeto criado.' },
+    { en: 'Project deleted.', 'pt-BR': 'Projeto excluído.' },
+    { en: 'Project details saved.', 'pt-BR': 'Dados do projeto salvos.' },
+    { en: 'Project exported.', 'pt-BR': 'Projeto exportado.' },
+    { en: 'Imported "{project}" with {count} run(s).', 'pt-BR': '"{project}" importado com {count} cálculo(s).' },
+    { en: 'Import failed: {error}', 'pt-BR': 'Falha na importação: {error}' },
+    { en: 'No project open. Create or open one on the Hub page first.', 'pt-BR': 'Nenhum projeto aberto. Crie ou abra um na página inicial primeiro.' },
+    { en: 'Run saved to project "{project}".', 'pt-BR': 'Cálculo salvo no projeto "{project}".' },
+    { en: 'The project has no saved runs to package.', 'pt-BR': 'O projeto não tem cálculos salvos para o memorial.' },
+    { en: 'Package report ready.', 'pt-BR': 'Memorial pronto.' },
+    { en: 'Package report failed: {error}', 'pt-BR': 'Falha ao gerar o memorial: {error}' },
+    { en: 'Rendering chapter {number} of {count}: {title}...', 'pt-BR': 'Gerando o capítulo {number} de {count}: {title}...' },
+    { en: 'Calculation Package', 'pt-BR': 'Memorial de Cálculo' },
+    { en: 'Index', 'pt-BR': 'Índice' },
+    { en: 'Chapter', 'pt-BR': 'Capítulo' },
+    { en: 'Units', 'pt-BR': 'Unidades' },
+    { en: 'Run', 'pt-BR': 'Cálculo' },
+    { en: 'Save to Project', 'pt-BR': 'Salvar no Projeto' },
+
+    // --- Shared calculator controls ---
+    { en: 'Save Inputs', 'pt-BR': 'Salvar Dados' },
+    { en: 'Load Inputs', 'pt-BR': 'Carregar Dados' },
+    { en: 'Calculating...', 'pt-BR': 'Calculando...' },
+    { en: 'Gathering inputs...', 'pt-BR': 'Lendo os dados...' },
+    { en: 'Validating inputs...', 'pt-BR': 'Validando os dados...' },
+    { en: 'Running pre-calculation hook...', 'pt-BR': 'Preparando o cálculo...' },
+    { en: 'Running calculation...', 'pt-BR': 'Calculando...' },
+    { en: 'Rendering results...', 'pt-BR': 'Exibindo os resultados...' },
+    { en: 'Calculation complete!', 'pt-BR': 'Cálculo concluído!' },
+    { en: 'Calculation failed.', 'pt-BR': 'O cálculo falhou.' },
+    { en: 'A critical error occurred.', 'pt-BR': 'Ocorreu um erro crítico.' },
+    { en: 'An unexpected error occurred: {error}', 'pt-BR': 'Ocorreu um erro inesperado: {error}' },
+    { en: 'Validation failed. Please correct the errors.', 'pt-BR': 'Validação falhou. Corrija os erros.' },
+    { en: 'Input Errors Found:', 'pt-BR': 'Erros nos Dados de Entrada:' },
+    { en: 'Warnings:', 'pt-BR': 'Avisos:' },
+    { en: 'Input Warnings:', 'pt-BR': 'Avisos nos Dados de Entrada:' },
+    { en: 'Please correct the errors and run the check again.', 'pt-BR': 'Corrija os erros e execute a verificação novamente.' },
+    { en: '1 input needs attention; see the highlighted fields.', 'pt-BR': '1 dado requer atenção; veja os campos destacados.' },
+    { en: '{count} inputs need attention; see the highlighted fields.', 'pt-BR': '{count} dados requerem atenção; veja os campos destacados.' },
+    { en: 'Live results', 'pt-BR': 'Resultados ao vivo' },
+    { en: 'Live results paused until the highlighted inputs are corrected.', 'pt-BR': 'Resultados ao vivo pausados até que os dados destacados sejam corrigidos.' },
+    { en: 'Check the inputs as you type and recalculate whenever they change', 'pt-BR': 'Verifica os dados durante a digitação e recalcula sempre que mudam' },
+    { en: 'Inputs loaded successfully!', 'pt-BR': 'Dados carregados com sucesso!' },
+    { en: '{count} input(s) loaded from URL.', 'pt-BR': '{count} dado(s) carregado(s) do endereço.' },
+    { en: 'Inputs saved to {filename}', 'pt-BR': 'Dados salvos em {filename}' },
+    { en: 'Could not save the input file.', 'pt-BR': 'Não foi possível salvar o arquivo de dados.' },
+    { en: 'Failed to load input file: {error}', 'pt-BR': 'Falha ao carregar o arquivo de dados: {error}' },
+    { en: 'Report container not found for export.', 'pt-BR': 'Relatório não encontrado para exportação.' },
+    { en: 'Report container not found for PDF export.', 'pt-BR': 'Relatório não encontrado para exportar em PDF.' },
+    { en: 'Report container not found for Word export.', 'pt-BR': 'Relatório não encontrado para exportar em Word.' },
+    { en: 'Report container not found for copying.', 'pt-BR': 'Relatório não encontrado para cópia.' },
+    { en: 'This report has no tables to export.', 'pt-BR': 'Este relatório não tem tabelas para exportar.' },
+    { en: 'Exported {count} table section(s).', 'pt-BR': '{count} seção(ões) de tabelas exportada(s).' },
+    { en: 'Table export failed: {error}', 'pt-BR': 'Falha ao exportar as tabelas: {error}' },
+    { en: 'Generating PDF...', 'pt-BR': 'Gerando PDF...' },
+    { en: 'PDF generation library is not loaded.', 'pt-BR': 'A biblioteca de geração de PDF não foi carregada.' },
+    { en: 'PDF saved ({count} pages).', 'pt-BR': 'PDF salvo ({count} páginas).' },
+    { en: 'PDF generation failed: {error}', 'pt-BR': 'Falha ao gerar o PDF: {error}' },
+    { en: 'Generating Word document...', 'pt-BR': 'Gerando documento Word...' },
+    { en: 'Word document downloaded.', 'pt-BR': 'Documento Word baixado.' },
+    { en: 'Word export failed: {error}', 'pt-BR': 'Falha ao exportar para Word: {error}' },
+    { en: 'Preparing report for copying...', 'pt-BR': 'Preparando o relatório para cópia...' },
+    { en: 'Report copied successfully!', 'pt-BR': 'Relatório copiado com sucesso!' },
+    { en: 'Copy failed. Your browser may not support this feature.', 'pt-BR': 'Falha ao copiar. Seu navegador pode não ter suporte a este recurso.' },
+    { en: 'Report Title Block', 'pt-BR': 'Carimbo do Relatório' },
+    { en: 'Design Criteria', 'pt-BR': 'Critérios de Projeto' },
+    { en: 'Download PDF', 'pt-BR': 'Baixar PDF' },
+    { en: 'Download Word', 'pt-BR': 'Baixar Word' },
+    { en: 'Download XLSX', 'pt-BR': 'Baixar XLSX' },
+    { en: 'Download CSV', 'pt-BR': 'Baixar CSV' },
+    { en: 'Download HTML', 'pt-BR': 'Baixar HTML' },
+    { en: 'Copy Report', 'pt-BR': 'Copiar Relatório' },
+    { en: 'Copy Section', 'pt-BR': 'Copiar Seção' },
+    { en: 'Copy Summary', 'pt-BR': 'Copiar Resumo' },
+    { en: 'Generate PDF', 'pt-BR': 'Gerar PDF' },
+    { en: 'Send to Combos', 'pt-BR': 'Enviar para Combinações' },
+    { en: 'Chart could not be rendered.', 'pt-BR': 'Não foi possível desenhar o gráfico.' },
+    { en: 'Chart.js library not loaded.', 'pt-BR': 'A biblioteca Chart.js não foi carregada.' },
+    { en: 'Chart output', 'pt-BR': 'Resultado do gráfico' },
+    { en: '[Show]', 'pt-BR': '[Mostrar]' },
+    { en: 'Cancel', 'pt-BR': 'Cancelar' },
+    { en: 'Close', 'pt-BR': 'Fechar' },
+    { en: 'OK', 'pt-BR': 'OK' },
+    { en: '(none)', 'pt-BR': '(nenhum)' },
+    { en: 'All', 'pt-BR': 'Todos' },
+    { en: 'Error', 'pt-BR': 'Erro' },
+
+    // --- Saved cases, share links and unit system ---
+    { en: 'Case', 'pt-BR': 'Caso' },
+    { en: '(unsaved inputs)', 'pt-BR': '(dados não salvos)' },
+    { en: 'Save Case', 'pt-BR': 'Salvar Caso' },
+    { en: 'Save As New', 'pt-BR': 'Salvar Como Novo' },
+    { en: 'Rename', 'pt-BR': 'Renomear' },
+    { en: 'Duplicate', 'pt-BR': 'Duplicar' },
+    { en: 'Run Case', 'pt-BR': 'Calcular Caso' },
+    { en: 'Name for this case:', 'pt-BR': 'Nome deste caso:' },
+    { en: 'New name for "{name}":', 'pt-BR': 'Novo nome para "{name}":' },
+    { en: 'Name for the copy:', 'pt-BR': 'Nome da cópia:' },
+    { en: 'A case named "{name}" already exists. {message}', 'pt-BR': 'Já existe um caso chamado "{name}". {message}' },
+    { en: 'Delete case "{name}"?', 'pt-BR': 'Excluir o caso "{name}"?' },
+    { en: 'Case "{name}" loaded.', 'pt-BR': 'Caso "{name}" carregado.' },
+    { en: 'Case "{name}" saved.', 'pt-BR': 'Caso "{name}" salvo.' },
+    { en: 'Case "{name}" updated.', 'pt-BR': 'Caso "{name}" atualizado.' },
+    { en: 'Case "{name}" duplicated as "{copy}".', 'pt-BR': 'Caso "{name}" duplicado como "{copy}".' },
+    { en: 'Case "{name}" deleted.', 'pt-BR': 'Caso "{name}" excluído.' },
+    { en: 'Case {number}', 'pt-BR': 'Caso {number}' },
+    { en: 'Case renamed to "{name}".', 'pt-BR': 'Caso renomeado para "{name}".' },
+    { en: '{name} (copy)', 'pt-BR': '{name} (cópia)' },
+    { en: 'Could not save cases. Browser storage may be full.', 'pt-BR': 'Não foi possível salvar os casos. O armazenamento do navegador pode estar cheio.' },
+    { en: 'Share Link', 'pt-BR': 'Link de Compartilhamento' },
+    { en: 'Copy Link', 'pt-BR': 'Copiar Link' },
+    { en: 'Run the calculation when the link is opened', 'pt-BR': 'Calcular ao abrir o link' },
+    { en: 'The link holds every input of this calculator, so whoever opens it sees exactly the same case.', 'pt-BR': 'O link contém todos os dados desta calculadora, de modo que quem o abrir verá exatamente o mesmo caso.' },
+    { en: 'Share link copied to clipboard.', 'pt-BR': 'Link copiado para a área de transferência.' },
+    { en: 'Could not copy automatically. The link is selected; copy it with Ctrl+C.', 'pt-BR': 'Não foi possível copiar automaticamente. O link está selecionado; copie-o com Ctrl+C.' },
+    { en: 'Could not create a share link: {error}', 'pt-BR': 'Não foi possível criar o link: {error}' },
+    { en: 'Inputs loaded from a shared link.', 'pt-BR': 'Dados carregados de um link compartilhado.' },
+
+    // --- Run history and undo ---
+    { en: 'Undo', 'pt-BR': 'Desfazer' },
+    { en: 'Redo', 'pt-BR': 'Refazer' },
+    { en: 'Run History (', 'pt-BR': 'Histórico de Cálculos (' },
+    { en: 'The last runs of this calculator on this device. Restore a run to put its inputs back and recalculate, or tick two runs and compare them.', 'pt-BR': 'Os últimos cálculos desta calculadora neste dispositivo. Restaure um cálculo para recuperar seus dados e recalcular, ou marque dois cálculos para compará-los.' },
+    { en: 'No runs yet.', 'pt-BR': 'Nenhum cálculo ainda.' },
+    { en: 'Time', 'pt-BR': 'Horário' },
+    { en: 'Governing', 'pt-BR': 'Determinante' },
+    { en: 'Status', 'pt-BR': 'Situação' },
+    { en: 'Restore', 'pt-BR': 'Restaurar' },
+    { en: 'Compare Selected', 'pt-BR': 'Comparar Selecionados' },
+    { en: 'Clear History', 'pt-BR': 'Limpar Histórico' },
+    { en: 'Run #{number}', 'pt-BR': 'Cálculo nº {number}' },
+    { en: 'Change', 'pt-BR': 'Variação' },
+    { en: 'Input', 'pt-BR': 'Dado' },
+    { en: 'Result', 'pt-BR': 'Resultado' },
+    { en: 'Inputs of run #{number} restored.', 'pt-BR': 'Dados do cálculo nº {number} restaurados.' },
+    { en: 'Compared {a} with {b}.', 'pt-BR': '{a} comparado com {b}.' },
+    { en: 'Undo input change (Ctrl+Z)', 'pt-BR': 'Desfazer alteração dos dados (Ctrl+Z)' },
+    { en: 'Redo input change (Ctrl+Y)', 'pt-BR': 'Refazer alteração dos dados (Ctrl+Y)' },
+    { en: 'Delete the run history of this calculator?', 'pt-BR': 'Excluir o histórico de cálculos desta calculadora?' },
+    { en: 'Could not save the run history. Browser storage may be full.', 'pt-BR': 'Não foi possível salvar o histórico. O armazenamento do navegador pode estar cheio.' },
+    { en: 'Could not save the run. Browser storage may be full.', 'pt-BR': 'Não foi possível salvar o cálculo. O armazenamento do navegador pode estar cheio.' },
+
+    // --- Parametric study, edition comparison and batch check ---
+    { en: 'Parametric Study', 'pt-BR': 'Estudo Paramétrico' },
+    { en: 'Runs the calculation for every combination of the values below; all other inputs keep their current values. Enter a range as start:end:step or a list such as 10, 20, 35.', 'pt-BR': 'Executa o cálculo para cada combinação dos valores abaixo; os demais dados mantêm os valores atuais. Informe um intervalo como início:fim:passo ou uma lista como 10, 20, 35.' },
+    { en: 'Parameter 1', 'pt-BR': 'Parâmetro 1' },
+    { en: 'Parameter 2 (optional)', 'pt-BR': 'Parâmetro 2 (opcional)' },
+    { en: 'Values', 'pt-BR': 'Valores' },
+    { en: 'Key results', 'pt-BR': 'Resultados principais' },
+    { en: 'Run Study', 'pt-BR': 'Executar Estudo' },
+    { en: 'Export CSV', 'pt-BR': 'Exportar CSV' },
+    { en: 'Running case {number} of {count}...', 'pt-BR': 'Calculando o caso {number} de {count}...' },
+    { en: 'Parametric study complete: {count} cases.', 'pt-BR': 'Estudo paramétrico concluído: {count} casos.' },
+    { en: 'Parametric study complete: {count} cases, {failed} failed.', 'pt-BR': 'Estudo paramétrico concluído: {count} casos, {failed} com falha.' },
+    { en: 'Compare Code Editions', 'pt-BR': 'Comparar Edições da Norma' },
+    { en: 'Runs the inputs entered above under two editions and lists every intermediate value and result side by side, with the change from the first edition to the second.', 'pt-BR': 'Calcula os dados acima com duas edições da norma e lista lado a lado cada valor intermediário e resultado, com a variação da primeira edição para a segunda.' },
+    { en: 'Edition A', 'pt-BR': 'Edição A' },
+    { en: 'Edition B', 'pt-BR': 'Edição B' },
+    { en: 'Compare', 'pt-BR': 'Comparar' },
+    { en: 'Show only values that differ', 'pt-BR': 'Mostrar apenas valores diferentes' },
+    { en: 'Running {edition}...', 'pt-BR': 'Calculando com {edition}...' },
+    { en: 'Value', 'pt-BR': 'Valor' },
+    { en: 'Member Schedule (Batch Check)', 'pt-BR': 'Lista de Peças (Verificação em Lote)' },
+    { en: 'Upload a CSV with one row per member and a column per input that changes (e.g. forces and lengths, in the units selected above). Blank cells and missing columns keep the values entered on this page. Spreadsheets can export CSV directly; semicolon- and tab-separated files are read too.', 'pt-BR': 'Envie um CSV com uma linha por peça e uma coluna por dado que muda (por exemplo esforços e comprimentos, nas unidades selecionadas acima). Células vazias e colunas ausentes mantêm os valores informados nesta página. Planilhas exportam CSV diretamente; arquivos separados por ponto e vírgula ou tabulação também são lidos.' },
+    { en: 'Schedule file', 'pt-BR': 'Arquivo da lista' },
+    { en: 'Download Template', 'pt-BR': 'Baixar Modelo' },
+    { en: 'Filter', 'pt-BR': 'Filtro' },
+    { en: 'Pass', 'pt-BR': 'Atende' },
+    { en: 'Fail', 'pt-BR': 'Não atende' },
+    { en: 'FAIL', 'pt-BR': 'NÃO OK' },
+    { en: 'Remove', 'pt-BR': 'Remover' },
+    { en: 'Checking member {number} of {count}...', 'pt-BR': 'Verificando a peça {number} de {count}...' },
+    { en: 'Checked {count} members from {file}.', 'pt-BR': '{count} peças de {file} verificadas.' },
+    { en: 'Not a number: {inputs}', 'pt-BR': 'Não é um número: {inputs}' },
+    { en: 'Decimal comma in a comma-separated file: {inputs}. Quote the value with a decimal point, or use semicolons between cells.', 'pt-BR': 'Vírgula decimal em arquivo separado por vírgulas: {inputs}. Escreva o valor com ponto decimal ou separe as células com ponto e vírgula.' },
+    { en: 'Member "{member}" loaded.', 'pt-BR': 'Peça "{member}" carregada.' },
+
+    // --- Input validation (js/validation.js) ---
+    { en: '{label} is required.', 'pt-BR': '{label} é obrigatório.' },
+    { en: '{label} must be at least {limit}.', 'pt-BR': '{label} deve ser no mínimo {limit}.' },
+    { en: '{label} must be no more than {limit}.', 'pt-BR': '{label} deve ser no máximo {limit}.' },
+    { en: '{label} is outside the typical range ({low} to {high}). Please verify the input.', 'pt-BR': '{label} está fora da faixa usual ({low} a {high}). Confira o valor.' },
+    { en: '{label} is outside the typical range (at least {low}). Please verify the input.', 'pt-BR': '{label} está fora da faixa usual (no mínimo {low}). Confira o valor.' },
+    { en: '{label} is outside the typical range (up to {high}). Please verify the input.', 'pt-BR': '{label} está fora da faixa usual (até {high}). Confira o valor.' },
+    { en: 'Ultimate Strength (Fu) must be greater than Fy.', 'pt-BR': 'A resistência à ruptura (Fu) deve ser maior que Fy.' },
+    { en: 'Thickness/Flange Thickness must be less than half the depth ({limit} in).', 'pt-BR': 'A espessura da mesa deve ser menor que metade da altura ({limit} in).' },
+    { en: 'Effective Wind Area ({area}) is larger than both the wall area and the roof area (the larger is {limit}). Please verify the input.', 'pt-BR': 'A área efetiva de vento ({area}) é maior que as áreas da parede e da cobertura (a maior é {limit}). Confira o valor.' },
+    { en: 'Flange bolt column spacing must be at least 2-2/3 times the bolt diameter ({limit} in, AISC 360 J3.3).', 'pt-BR': 'O espaçamento entre colunas de parafusos da mesa deve ser no mínimo 2-2/3 do diâmetro do parafuso ({limit} in, AISC 360 J3.3).' },
+    { en: 'Flange bolt row spacing must be at least 2-2/3 times the bolt diameter ({limit} in, AISC 360 J3.3).', 'pt-BR': 'O espaçamento entre linhas de parafusos da mesa deve ser no mínimo 2-2/3 do diâmetro do parafuso ({limit} in, AISC 360 J3.3).' },
+    { en: 'Web bolt column spacing must be at least 2-2/3 times the bolt diameter ({limit} in, AISC 360 J3.3).', 'pt-BR': 'O espaçamento entre colunas de parafusos da alma deve ser no mínimo 2-2/3 do diâmetro do parafuso ({limit} in, AISC 360 J3.3).' },
+    { en: 'Web bolt row spacing must be at least 2-2/3 times the bolt diameter ({limit} in, AISC 360 J3.3).', 'pt-BR': 'O espaçamento entre linhas de parafusos da alma deve ser no mínimo 2-2/3 do diâmetro do parafuso ({limit} in, AISC 360 J3.3).' },
+    { en: 'Basic Wind Speed', 'pt-BR': 'Velocidade Básica do Vento' },
+    { en: 'Mean Roof Height', 'pt-BR': 'Altura Média da Cobertura' },
+    { en: 'Effective Wind Area', 'pt-BR': 'Área Efetiva de Vento' },
+    { en: 'Fundamental Period', 'pt-BR': 'Período Fundamental' },
+    { en: 'Roof Slope', 'pt-BR': 'Inclinação da Cobertura' },
+    { en: 'Tributary Area', 'pt-BR': 'Área de Contribuição' },
+    { en: 'Rainfall Intensity', 'pt-BR': 'Intensidade de Chuva' },
+    { en: 'Thermal Condition', 'pt-BR': 'Condição Térmica' },
+    { en: 'Exposure Condition', 'pt-BR': 'Condição de Exposição' },
+    { en: 'Surface Roughness Category', 'pt-BR': 'Categoria de Rugosidade do Terreno' },
+    { en: 'Roof Live Load (Lr)', 'pt-BR': 'Sobrecarga de Cobertura (Lr)' },
+    { en: 'Windward Wall Max Wind', 'pt-BR': 'Vento Máx. na Parede a Barlavento' },
+    { en: 'Plate Thickness', 'pt-BR': 'Espessura da Placa' },
+    { en: 'Plate Length (N)', 'pt-BR': 'Comprimento da Placa (N)' },
+    { en: 'Plate Width (B)', 'pt-BR': 'Largura da Placa (B)' },
+    { en: 'Column Depth', 'pt-BR': 'Altura do Pilar' },
+    { en: 'Column Flange Width', 'pt-BR': 'Largura da Mesa do Pilar' },
+    { en: 'Bolt Diameter', 'pt-BR': 'Diâmetro do Chumbador' },
+    { en: 'Bolt Embedment (hef)', 'pt-BR': 'Embutimento do Chumbador (hef)' },
+    { en: 'Axial Load', 'pt-BR': 'Força Axial' },
+    { en: 'Moment Load', 'pt-BR': 'Momento' },
+    { en: 'Shear Load', 'pt-BR': 'Força Cortante' },
+    { en: 'Member Depth', 'pt-BR': 'Altura do Perfil' },
+    { en: 'Member Flange Width', 'pt-BR': 'Largura da Mesa do Perfil' },
+    { en: 'Member Flange Thickness', 'pt-BR': 'Espessura da Mesa do Perfil' },
+    { en: 'Member Web Thickness', 'pt-BR': 'Espessura da Alma do Perfil' },
+    { en: 'Member Fy', 'pt-BR': 'Fy do Perfil' },
+    { en: 'Flange Plate Width', 'pt-BR': 'Largura da Chapa de Mesa' },
+    { en: 'Flange Plate Thickness', 'pt-BR': 'Espessura da Chapa de Mesa' },
+    { en: 'Flange Plate Length', 'pt-BR': 'Comprimento da Chapa de Mesa' },
+    { en: 'Inner Flange Plate Width', 'pt-BR': 'Largura da Chapa Interna de Mesa' },
+    { en: 'Inner Flange Plate Thickness', 'pt-BR': 'Espessura da Chapa Interna de Mesa' },
+    { en: 'Inner Flange Plate Length', 'pt-BR': 'Comprimento da Chapa Interna de Mesa' },
+    { en: 'Flange Bolt Diameter', 'pt-BR': 'Diâmetro dos Parafusos da Mesa' },
+    { en: 'Web Plate Height', 'pt-BR': 'Altura da Chapa de Alma' },
+    { en: 'Web Plate Thickness', 'pt-BR': 'Espessura da Chapa de Alma' },
+    { en: 'Web Plate Length', 'pt-BR': 'Comprimento da Chapa de Alma' },
+    { en: 'Web Bolt Diameter', 'pt-BR': 'Diâmetro dos Parafusos da Alma' },
+    { en: 'Depth/Height', 'pt-BR': 'Altura' },
+    { en: 'Width/Flange Width', 'pt-BR': 'Largura/Largura da Mesa' },
+    { en: 'Thickness/Flange Thickness', 'pt-BR': 'Espessura/Espessura da Mesa' },
+    { en: 'Deflection Span', 'pt-BR': 'Vão para Flecha' },
+    { en: 'Deflection Limit', 'pt-BR': 'Limite de Flecha' },
+    { en: 'Actual Deflection', 'pt-BR': 'Flecha Atuante' },
+    { en: 'Number of Bars', 'pt-BR': 'Número de Barras' },
+    { en: 'Bar Size', 'pt-BR': 'Bitola da Barra' },
+    { en: 'Stirrup Spacing', 'pt-BR': 'Espaçamento do Estribo' },
+    { en: 'Cover', 'pt-BR': 'Cobrimento' },
+    { en: 'Bar Diameter', 'pt-BR': 'Diâmetro da Barra' },
+    { en: 'Moment (Mu)', 'pt-BR': 'Momento (Mu)' },
+    { en: 'Shear (Vu)', 'pt-BR': 'Cortante (Vu)' },
+    { en: 'Unbraced Length (L)', 'pt-BR': 'Comprimento Destravado (L)' },
+
+    // --- ASCE 7 load calculators (shared by wind, snow, rain and combinations) ---
+    { en: 'ASCE Standard', 'pt-BR': 'Norma ASCE' },
+    { en: 'Jurisdiction', 'pt-BR': 'Jurisdição' },
+    { en: 'Design Method', 'pt-BR': 'Método de Cálculo' },
+    { en: 'Unit System', 'pt-BR': 'Sistema de Unidades' },
+    { en: 'Risk Category', 'pt-BR': 'Categoria de Risco' },
+    { en: 'Yes', 'pt-BR': 'Sim' },
+    { en: 'No', 'pt-BR': 'Não' },
+    { en: 'Roof Type', 'pt-BR': 'Tipo de Cobertura' },
+    { en: 'Roof Slope (degrees)', 'pt-BR': 'Inclinação da Cobertura (graus)' },
+    { en: 'Roof Slope (°)', 'pt-BR': 'Inclinação da Cobertura (°)' },
+    { en: 'Imperial (psf)', 'pt-BR': 'Imperial (psf)' },
+    { en: 'Metric (kPa)', 'pt-BR': 'Métrico (kPa)' },
+    { en: 'Imperial (in, psf)', 'pt-BR': 'Imperial (in, psf)' },
+    { en: 'Metric (mm, kPa)', 'pt-BR': 'Métrico (mm, kPa)' },
+    { en: 'Imperial (psf, ft)', 'pt-BR': 'Imperial (psf, ft)' },
+    { en: 'Metric (kPa, m)', 'pt-BR': 'Métrico (kPa, m)' },
+    { en: 'Imperial (mph, ft)', 'pt-BR': 'Imperial (mph, ft)' },
+    { en: 'Metric (m/s, m)', 'pt-BR': 'Métrico (m/s, m)' },
+    { en: 'Imperial (ksi, in, ft)', 'pt-BR': 'Imperial (ksi, in, ft)' },
+    { en: 'Metric (MPa, mm, m)', 'pt-BR': 'Métrico (MPa, mm, m)' },
+    { en: 'Imperial (ksi, in, kips)', 'pt-BR': 'Imperial (ksi, in, kips)' },
+    { en: 'Metric (MPa, mm, kN)', 'pt-BR': 'Métrico (MPa, mm, kN)' },
+    { en: 'Imperial (psi, in, kips)', 'pt-BR': 'Imperial (psi, in, kips)' },
+    { en: 'Risk Category:', 'pt-BR': 'Categoria de Risco:' },
+    { en: 'Jurisdiction Note:', 'pt-BR': 'Nota de Jurisdição:' },
+    { en: 'Jurisdictional Minimum:', 'pt-BR': 'Mínimo da Jurisdição:' },
+    { en: 'Disclaimer:', 'pt-BR': 'Aviso:' },
+    { en: '1. Design Parameters', 'pt-BR': '1. Parâmetros de Projeto' },
+    { en: '2. Detailed Calculation Breakdown', 'pt-BR': '2. Memória de Cálculo Detalhada' },
+    { en: '3. Calculation Breakdown', 'pt-BR': '3. Memória de Cálculo' },
+    { en: '3. Load Case Diagrams', 'pt-BR': '3. Diagramas dos Casos de Carga' },
+    { en: 'Parameter', 'pt-BR': 'Parâmetro' },
+    { en: 'Reference', 'pt-BR': 'Referência' },
+    { en: 'Formula', 'pt-BR': 'Fórmula' },
+    { en: 'Formula:', 'pt-BR': 'Fórmula:' },
+    { en: 'Factor', 'pt-BR': 'Fator' },
+    { en: 'Factors:', 'pt-BR': 'Fatores:' },
+    { en: 'Item', 'pt-BR': 'Item' },
+    { en: '(User Input)', 'pt-BR': '(Dado do Usuário)' },
+    { en: '[User Input / Jurisdiction]', 'pt-BR': '[Dado do Usuário / Jurisdição]' },
+
+    // --- Load combinations (asce/combos.html) ---
+    { en: 'ASCE Load Combination Calculator', 'pt-BR': 'Calculadora de Combinações de Carga ASCE' },
+    { en: 'Code & Method', 'pt-BR': 'Norma e Método' },
+    { en: 'Input S & W Level', 'pt-BR': 'Nível de Entrada de S e W' },
+    { en: 'Nominal (Service/ASD)', 'pt-BR': 'Nominal (Serviço/ASD)' },
+    { en: 'Ultimate (Strength/LRFD)', 'pt-BR': 'Última (Resistência/LRFD)' },
+    { en: 'Gravity Loads', 'pt-BR': 'Cargas Gravitacionais' },
+    { en: 'Dead Load (D)', 'pt-BR': 'Carga Permanente (D)' },
+    { en: 'Live Load (L)', 'pt-BR': 'Sobrecarga (L)' },
+    { en: 'Roof Live (Lr)', 'pt-BR': 'Sobrecarga de Cobertura (Lr)' },
+    { en: 'Rain Load (R)', 'pt-BR': 'Carga de Chuva (R)' },
+    { en: 'Snow Loads', 'pt-BR': 'Cargas de Neve' },
+    { en: 'Balanced (Sb)', 'pt-BR': 'Balanceada (Sb)' },
+    { en: 'Balanced Snow (Sb)', 'pt-BR': 'Neve Balanceada (Sb)' },
+    { en: 'Unbalanced Windward (Suw)', 'pt-BR': 'Desbalanceada a Barlavento (Suw)' },
+    { en: 'Unbalanced Leeward (Sul)', 'pt-BR': 'Desbalanceada a Sotavento (Sul)' },
+    { en: 'Drift Surcharge (Sd)', 'pt-BR': 'Sobrecarga de Acúmulo (Sd)' },
+    { en: 'Lateral Loads (C&C)', 'pt-BR': 'Cargas Laterais (C&R)' },
+    { en: 'C&C - Roof', 'pt-BR': 'C&R - Cobertura' },
+    { en: 'Max C&C Pressure (W)', 'pt-BR': 'Pressão Máx. C&R (W)' },
+    { en: 'Min C&C Pressure (W)', 'pt-BR': 'Pressão Mín. C&R (W)' },
+    { en: 'C&C - Wall', 'pt-BR': 'C&R - Parede' },
+    { en: 'Max C&C Wall Pressure (W)', 'pt-BR': 'Pressão Máx. C&R na Parede (W)' },
+    { en: 'Min C&C Wall Pressure (W)', 'pt-BR': 'Pressão Mín. C&R na Parede (W)' },
+    { en: 'Lateral Loads (MWFRS)', 'pt-BR': 'Cargas Laterais (MWFRS)' },
+    { en: 'Wind Perpendicular to L', 'pt-BR': 'Vento Perpendicular a L' },
+    { en: 'Wind Perpendicular to B', 'pt-BR': 'Vento Perpendicular a B' },
+    { en: 'Windward Wall Max (W)', 'pt-BR': 'Parede a Barlavento Máx. (W)' },
+    { en: 'Windward Wall Min (W)', 'pt-BR': 'Parede a Barlavento Mín. (W)' },
+    { en: 'Leeward Wall Max (W)', 'pt-BR': 'Parede a Sotavento Máx. (W)' },
+    { en: 'Leeward Wall Min (W)', 'pt-BR': 'Parede a Sotavento Mín. (W)' },
+    { en: 'Windward Roof Max (W)', 'pt-BR': 'Cobertura a Barlavento Máx. (W)' },
+    { en: 'Windward Roof Min (W)', 'pt-BR': 'Cobertura a Barlavento Mín. (W)' },
+    { en: 'Leeward Roof Max (W)', 'pt-BR': 'Cobertura a Sotavento Máx. (W)' },
+    { en: 'Leeward Roof Min (W)', 'pt-BR': 'Cobertura a Sotavento Mín. (W)' },
+    { en: 'Lateral Loads (Seismic)', 'pt-BR': 'Cargas Laterais (Sísmicas)' },
+    { en: 'Seismic Load (E)', 'pt-BR': 'Carga Sísmica (E)' },
+    { en: 'Run Load Combinations', 'pt-BR': 'Calcular Combinações' },
+    { en: '1. Input Loads', 'pt-BR': '1. Cargas de Entrada' },
+    { en: 'Base Load Combinations', 'pt-BR': 'Combinações Básicas' },
+    { en: 'B. Governing Load Combinations Summary', 'pt-BR': 'B. Resumo das Combinações Determinantes' },
+    { en: 'Pattern Live Load Combinations (0.75L)', 'pt-BR': 'Combinações com Sobrecarga Alternada (0.75L)' },
+    { en: 'Formula (with 0.75L)', 'pt-BR': 'Fórmula (com 0.75L)' },
+    { en: 'These combinations are constant across all scenarios.', 'pt-BR': 'Estas combinações são iguais em todos os cenários.' },
+    { en: 'Combination', 'pt-BR': 'Combinação' },
+    { en: 'Result (Max Wind)', 'pt-BR': 'Resultado (Vento Máx.)' },
+    { en: 'Result (Min Wind)', 'pt-BR': 'Resultado (Vento Mín.)' },
+    { en: 'Input Load Adjustments:', 'pt-BR': 'Ajustes das Cargas de Entrada:' },
+    { en: 'Loads imported from another calculator!', 'pt-BR': 'Cargas importadas de outra calculadora!' },
+    { en: 'Imported loads cleared.', 'pt-BR': 'Cargas importadas removidas.' },
+    { en: 'Failed to import loads. Data may be corrupt.', 'pt-BR': 'Falha ao importar as cargas. Os dados podem estar corrompidos.' },
+    { en: 'No wind results to send.', 'pt-BR': 'Não há resultados de vento para enviar.' },
+    { en: 'No snow results to send.', 'pt-BR': 'Não há resultados de neve para enviar.' },
+    { en: 'No rain results to send.', 'pt-BR': 'Não há resultados de chuva para enviar.' },
+    { en: 'have been imported.', 'pt-BR': 'foram importadas.' },
+    { en: 'Clear', 'pt-BR': 'Limpar' },
+
+    // --- Rain (asce/rain.html) ---
+    { en: 'ASCE Rain Load Calculator', 'pt-BR': 'Calculadora de Carga de Chuva ASCE' },
+    { en: 'Rain Load Diagram', 'pt-BR': 'Diagrama da Carga de Chuva' },
+    { en: 'Ponded Water', 'pt-BR': 'Água Acumulada' },
+    { en: 'General Parameters', 'pt-BR': 'Parâmetros Gerais' },
+    { en: 'Drainage System', 'pt-BR': 'Sistema de Drenagem' },
+    { en: 'Calculate d', 'pt-BR': 'Calcular d' },
+    { en: 'automatically?', 'pt-BR': 'automaticamente?' },
+    { en: 'Secondary Drain Type', 'pt-BR': 'Tipo de Dreno Secundário' },
+    { en: 'Scupper', 'pt-BR': 'Extravasor' },
+    { en: 'Roof Drain', 'pt-BR': 'Ralo de Cobertura' },
+    { en: 'Scupper Width (L)', 'pt-BR': 'Largura do Extravasor (L)' },
+    { en: 'Drain Diameter (d)', 'pt-BR': 'Diâmetro do Ralo (d)' },
+    { en: 'Drainage Calculation Parameters', 'pt-BR': 'Parâmetros do Cálculo de Drenagem' },
+    { en: 'Tributary Area (A)', 'pt-BR': 'Área de Contribuição (A)' },
+    { en: 'Rainfall Intensity (i)', 'pt-BR': 'Intensidade de Chuva (i)' },
+    { en: 'Select City (for intensity)', 'pt-BR': 'Selecionar Cidade (para a intensidade)' },
+    { en: '-- Select a City --', 'pt-BR': '-- Selecione uma Cidade --' },
+    { en: 'Static Head (ds)', 'pt-BR': 'Altura Estática (ds)' },
+    { en: 'Hydraulic Head (dh)', 'pt-BR': 'Altura Hidráulica (dh)' },
+    { en: 'Run Rain Load Calculation', 'pt-BR': 'Calcular Carga de Chuva' },
+    { en: 'Rainfall Intensity (i):', 'pt-BR': 'Intensidade de Chuva (i):' },
+    { en: 'Tributary Area (A):', 'pt-BR': 'Área de Contribuição (A):' },
+    { en: 'Nominal Rain Load (R):', 'pt-BR': 'Carga Nominal de Chuva (R):' },
+    { en: 'Nominal Load (R):', 'pt-BR': 'Carga Nominal (R):' },
+    { en: 'Strength Design Load (LRFD):', 'pt-BR': 'Carga de Cálculo (LRFD):' },
+    { en: 'Allowable Stress Design Load (ASD):', 'pt-BR': 'Carga de Tensões Admissíveis (ASD):' },
+    { en: 'Calculated d', 'pt-BR': 'd calculado' },
+
+    // --- Snow (asce/snow.html) ---
+    { en: 'ASCE Snow Load Calculator', 'pt-BR': 'Calculadora de Carga de Neve ASCE' },
+    { en: 'Snow Load Diagrams', 'pt-BR': 'Diagramas da Carga de Neve' },
+    { en: 'Balanced', 'pt-BR': 'Balanceada' },
+    { en: 'Unbalanced', 'pt-BR': 'Desbalanceada' },
+    { en: 'Drift', 'pt-BR': 'Acúmulo' },
+    { en: 'Building & Roof Properties', 'pt-BR': 'Propriedades da Edificação e da Cobertura' },
+    { en: 'Surface Roughness', 'pt-BR': 'Rugosidade do Terreno' },
+    { en: 'Above treeline (windswept)', 'pt-BR': 'Acima da linha das árvores (exposto ao vento)' },
+    { en: 'Alaska (no trees)', 'pt-BR': 'Alasca (sem árvores)' },
+    { en: 'Exposure', 'pt-BR': 'Exposição' },
+    { en: 'Fully Exposed', 'pt-BR': 'Totalmente Exposta' },
+    { en: 'Partially Exposed', 'pt-BR': 'Parcialmente Exposta' },
+    { en: 'Sheltered', 'pt-BR': 'Abrigada' },
+    { en: 'Thermal Condition (Ct)', 'pt-BR': 'Condição Térmica (Ct)' },
+    { en: 'Heated Structure', 'pt-BR': 'Estrutura Aquecida' },
+    { en: 'Unheated Structure', 'pt-BR': 'Estrutura Não Aquecida' },
+    { en: 'Gable/Hip', 'pt-BR': 'Duas/Quatro Águas' },
+    { en: 'Monoslope', 'pt-BR': 'Uma Água' },
+    { en: 'Arched', 'pt-BR': 'Em Arco' },
+    { en: 'Slippery Roof?', 'pt-BR': 'Cobertura Escorregadia?' },
+    { en: 'Additional Load Cases', 'pt-BR': 'Casos de Carga Adicionais' },
+    { en: 'Calculate Unbalanced Load?', 'pt-BR': 'Calcular Carga Desbalanceada?' },
+    { en: 'Calculate Drift Load?', 'pt-BR': 'Calcular Carga de Acúmulo?' },
+    { en: 'Calculate Sliding Snow?', 'pt-BR': 'Calcular Neve Deslizante?' },
+    { en: 'Jurisdiction & Site', 'pt-BR': 'Jurisdição e Local' },
+    { en: 'NYCBC Min. Load (psf)', 'pt-BR': 'Carga Mín. NYCBC (psf)' },
+    { en: 'Ground Snow Load (pg)', 'pt-BR': 'Carga de Neve no Solo (pg)' },
+    { en: 'Unbalanced & Drift Parameters', 'pt-BR': 'Parâmetros de Desbalanceamento e Acúmulo' },
+    { en: 'Eave-to-Ridge (W)', 'pt-BR': 'Beiral à Cumeeira (W)' },
+    { en: 'Simply Supported?', 'pt-BR': 'Simplesmente Apoiada?' },
+    { en: 'Winter Wind (W₂)', 'pt-BR': 'Vento de Inverno (W₂)' },
+    { en: 'Upper Roof L (lu)', 'pt-BR': 'L da Cobertura Superior (lu)' },
+    { en: 'Height Diff (hc)', 'pt-BR': 'Diferença de Altura (hc)' },
+    { en: 'Lower Roof L (ll)', 'pt-BR': 'L da Cobertura Inferior (ll)' },
+    { en: 'Run Snow Load Calculation', 'pt-BR': 'Calcular Carga de Neve' },
+    { en: 'Balanced Snow Load', 'pt-BR': 'Carga de Neve Balanceada' },
+    { en: 'Unbalanced Snow Load', 'pt-BR': 'Carga de Neve Desbalanceada' },
+    { en: 'Drift Surcharge Load', 'pt-BR': 'Sobrecarga de Acúmulo' },
+    { en: 'Governing Balanced Snow Load', 'pt-BR': 'Carga de Neve Balanceada Determinante' },
+    { en: 'Governing Unbalanced Snow Load', 'pt-BR': 'Carga de Neve Desbalanceada Determinante' },
+    { en: 'Governing Drift Surcharge Load', 'pt-BR': 'Sobrecarga de Acúmulo Determinante' },
+    { en: 'Governing Sliding Snow Load (ASCE 7 Sec. 7.13)', 'pt-BR': 'Carga de Neve Deslizante Determinante (ASCE 7 Sec. 7.13)' },
+    { en: 'Drift Surcharge Breakdown', 'pt-BR': 'Memória da Sobrecarga de Acúmulo' },
+    { en: 'a) Balanced Snow Load Calculation', 'pt-BR': 'a) Cálculo da Carga de Neve Balanceada' },
+    { en: 'Uniform load over the entire roof surface.', 'pt-BR': 'Carga uniforme sobre toda a cobertura.' },
+    { en: 'Wind removes snow from the windward side and deposits it on the leeward side.', 'pt-BR': 'O vento remove a neve do lado de barlavento e a deposita no lado de sotavento.' },
+    { en: 'Snow accumulates against a taller adjacent structure, creating a drift surcharge.', 'pt-BR': 'A neve se acumula junto a uma estrutura adjacente mais alta, criando uma sobrecarga de acúmulo.' },
+    { en: 'Unbalanced (Monoslope)', 'pt-BR': 'Desbalanceada (Uma Água)' },
+    { en: 'Unbalanced load distribution specific to monoslope roofs.', 'pt-BR': 'Distribuição desbalanceada específica de coberturas de uma água.' },
+    { en: 'Partial Loading (Continuous Beams)', 'pt-BR': 'Carregamento Parcial (Vigas Contínuas)' },
+    { en: 'Load on Adjacent Span', 'pt-BR': 'Carga no Vão Adjacente' },
+    { en: 'Exposure Condition:', 'pt-BR': 'Condição de Exposição:' },
+    { en: 'Thermal Condition:', 'pt-BR': 'Condição Térmica:' },
+    { en: 'Surface Roughness:', 'pt-BR': 'Rugosidade do Terreno:' },
+    { en: 'Slippery Roof?:', 'pt-BR': 'Cobertura Escorregadia?:' },
+    { en: 'Roof Slope:', 'pt-BR': 'Inclinação da Cobertura:' },
+    { en: 'Eave to Ridge Distance (W):', 'pt-BR': 'Distância do Beiral à Cumeeira (W):' },
+    { en: 'Simply Supported Prismatic?:', 'pt-BR': 'Prismática Simplesmente Apoiada?:' },
+    { en: 'Drift Width (w)', 'pt-BR': 'Largura do Acúmulo (w)' },
+    { en: 'Surcharge', 'pt-BR': 'Sobrecarga' },
+    { en: 'NYCBC minimum of', 'pt-BR': 'mínimo NYCBC de' },
+    { en: 'governs.', 'pt-BR': 'é determinante.' },
+    { en: 'Project-Specific Allowance:', 'pt-BR': 'Permissão Específica do Projeto:' },
+    { en: 'Reduction Factor for Temporary Construction:', 'pt-BR': 'Fator de Redução para Construção Temporária:' },
+
+    // --- Wind (asce/wind.html) ---
+    { en: 'ASCE Wind Load Calculator', 'pt-BR': 'Calculadora de Carga de Vento ASCE' },
+    { en: 'Building Properties', 'pt-BR': 'Propriedades da Edificação' },
+    { en: 'Basic Wind Speed (V)', 'pt-BR': 'Velocidade Básica do Vento (V)' },
+    { en: 'Exposure Category', 'pt-BR': 'Categoria de Exposição' },
+    { en: 'Exposure Category for wind loading', 'pt-BR': 'Categoria de exposição para a carga de vento' },
+    { en: 'Mean Roof Height (h)', 'pt-BR': 'Altura Média da Cobertura (h)' },
+    { en: 'Building Length (L)', 'pt-BR': 'Comprimento da Edificação (L)' },
+    { en: 'Building Width (B)', 'pt-BR': 'Largura da Edificação (B)' },
+    { en: 'Enclosure Class.', 'pt-BR': 'Classe de Fechamento' },
+    { en: 'Enclosed', 'pt-BR': 'Fechada' },
+    { en: 'Partially Enclosed', 'pt-BR': 'Parcialmente Fechada' },
+    { en: 'Open', 'pt-BR': 'Aberta', context: 'option' },
+    { en: 'Ground Elevation', 'pt-BR': 'Cota do Terreno' },
+    { en: 'Roof Properties', 'pt-BR': 'Propriedades da Cobertura' },
+    { en: 'Flat', 'pt-BR': 'Plana' },
+    { en: 'Gable', 'pt-BR': 'Duas Águas' },
+    { en: 'Hip', 'pt-BR': 'Quatro Águas' },
+    { en: 'Pitched', 'pt-BR': 'Duas Águas (Livre)' },
+    { en: 'Troughed', 'pt-BR': 'Em Calha' },
+    { en: 'Wind Flow Obstruction (for Open Buildings)', 'pt-BR': 'Obstrução do Fluxo de Vento (Edificações Abertas)' },
+    { en: 'Unobstructed (Clear Wind Flow)', 'pt-BR': 'Desobstruído (Fluxo Livre)' },
+    { en: 'Obstructed (Blocked Wind Flow)', 'pt-BR': 'Obstruído (Fluxo Bloqueado)' },
+    { en: 'Components & Cladding (C&C)', 'pt-BR': 'Componentes e Revestimentos (C&R)' },
+    { en: 'Effective Wind Area (A)', 'pt-BR': 'Área Efetiva de Vento (A)' },
+    { en: 'Area of the component being considered. Typically 10 to 1000 sq ft.', 'pt-BR': 'Área do componente considerado. Usualmente de 10 a 1000 sq ft.' },
+    { en: 'Building Flexibility', 'pt-BR': 'Flexibilidade da Edificação' },
+    { en: 'Rigid (G=0.85)', 'pt-BR': 'Rígida (G=0.85)' },
+    { en: 'Flexible (Calculate G)', 'pt-BR': 'Flexível (Calcular G)' },
+    { en: 'Fundamental Period (T1, sec)', 'pt-BR': 'Período Fundamental (T1, s)' },
+    { en: 'Factors & Coefficients', 'pt-BR': 'Fatores e Coeficientes' },
+    { en: 'Structure Type (for Kd)', 'pt-BR': 'Tipo de Estrutura (para Kd)' },
+    { en: 'Buildings (MWFRS, C&C)', 'pt-BR': 'Edificações (MWFRS, C&R)' },
+    { en: 'Arched Roofs', 'pt-BR': 'Coberturas em Arco' },
+    { en: 'Circular Domes', 'pt-BR': 'Cúpulas Circulares' },
+    { en: 'Chimneys, Tanks (Square)', 'pt-BR': 'Chaminés, Tanques (Quadrados)' },
+    { en: 'Chimneys, Tanks (Hexagonal)', 'pt-BR': 'Chaminés, Tanques (Hexagonais)' },
+    { en: 'Chimneys, Tanks (Octagonal)', 'pt-BR': 'Chaminés, Tanques (Octogonais)' },
+    { en: 'Chimneys, Tanks (Round)', 'pt-BR': 'Chaminés, Tanques (Circulares)' },
+    { en: 'Solid Freestanding Signs/Walls', 'pt-BR': 'Placas/Muros Isolados Maciços' },
+    { en: 'Open Signs/Frames', 'pt-BR': 'Placas/Pórticos Vazados' },
+    { en: 'Trussed Towers (Triangular, Square, Rectangular)', 'pt-BR': 'Torres Treliçadas (Triangulares, Quadradas, Retangulares)' },
+    { en: 'Trussed Towers (All Other Cross Sections)', 'pt-BR': 'Torres Treliçadas (Demais Seções)' },
+    { en: 'Topo. Factor (Kzt)', 'pt-BR': 'Fator Topográfico (Kzt)' },
+    { en: 'Gust Effect Factor (G)', 'pt-BR': 'Fator de Efeito de Rajada (G)' },
+    { en: 'Temporary Construction?', 'pt-BR': 'Construção Temporária?' },
+    { en: 'Calc. Height-Varying Pressure?', 'pt-BR': 'Calcular Pressão Variável com a Altura?' },
+    { en: 'Yes (for tall buildings)', 'pt-BR': 'Sim (para edificações altas)' },
+    { en: 'MWFRS Procedure', 'pt-BR': 'Procedimento do MWFRS' },
+    { en: 'Directional (Ch. 27)', 'pt-BR': 'Direcional (Cap. 27)' },
+    { en: 'Envelope (Ch. 28, low-rise)', 'pt-BR': 'Envoltória (Cap. 28, edificações baixas)' },
+    { en: 'The Envelope Procedure (Chapter 28) only applies to low-rise buildings (h <= 60 ft and h <= least horizontal dimension). The Directional Procedure was used.', 'pt-BR': 'O Procedimento da Envoltória (Capítulo 28) só se aplica a edificações baixas (h <= 60 ft e h <= menor dimensão horizontal). Foi usado o Procedimento Direcional.' },
+    { en: 'Figure 28.3-1 covers flat, gable and hip roofs; the roof was treated as a gable roof of the given slope.', 'pt-BR': 'A Figura 28.3-1 cobre coberturas planas, de duas e de quatro águas; a cobertura foi tratada como de duas águas com a inclinação dada.' },
+    { en: 'Each corner of the building is taken in turn as the reference corner; the end zones (E) extend 2a = {width} from it (a = {a}).', 'pt-BR': 'Cada canto da edificação é tomado, por vez, como canto de referência; as zonas de extremidade (E) se estendem por 2a = {width} a partir dele (a = {a}).' },
+    { en: 'Where Zone 2/2E is negative in Load Case A, it extends {extent} from the windward edge (the lesser of L/2 and 2.5h); the rest of the windward roof takes Zone 3/3E.', 'pt-BR': 'Onde a Zona 2/2E é negativa no Caso de Carga A, ela se estende por {extent} a partir da borda a barlavento (o menor entre L/2 e 2,5h); o restante da cobertura a barlavento recebe a Zona 3/3E.' },
+    { en: 'Torsional zones (T) carry 25% of the full pressures; they need not be applied to one-story buildings with h <= 30 ft, buildings of two stories or less framed with light-frame construction, or buildings of two stories or less with flexible diaphragms.', 'pt-BR': 'As zonas de torção (T) recebem 25% das pressões totais; não precisam ser aplicadas a edificações de um pavimento com h <= 30 ft, edificações de até dois pavimentos em estrutura leve, ou edificações de até dois pavimentos com diafragmas flexíveis.' },
+    { en: 'Building Geometry Diagram', 'pt-BR': 'Diagrama da Geometria da Edificação' },
+    { en: 'B (Width)', 'pt-BR': 'B (Largura)' },
+    { en: 'L (Length)', 'pt-BR': 'L (Comprimento)' },
+    { en: 'h (Height)', 'pt-BR': 'h (Altura)' },
+    { en: 'WIND', 'pt-BR': 'VENTO' },
+    { en: 'Windward Face', 'pt-BR': 'Face a Barlavento' },
+    { en: 'Run Wind Load Calculation', 'pt-BR': 'Calcular Carga de Vento' },
+    { en: 'Basic Design Wind Speed (V):', 'pt-BR': 'Velocidade Básica do Vento (V):' },
+    { en: 'Building Dimensions (L x B):', 'pt-BR': 'Dimensões da Edificação (L x B):' },
+    { en: 'Building Height (h):', 'pt-BR': 'Altura da Edificação (h):' },
+    { en: 'Exposure Category:', 'pt-BR': 'Categoria de Exposição:' },
+    { en: 'Gust-Effect Factor (G):', 'pt-BR': 'Fator de Efeito de Rajada (G):' },
+    { en: 'L/B Ratio (Wind ⊥ to L):', 'pt-BR': 'Relação L/B (Vento ⊥ a L):' },
+    { en: 'L/B Ratio (Wind ⊥ to B):', 'pt-BR': 'Relação L/B (Vento ⊥ a B):' },
+    { en: '2. Governing Load Summary', 'pt-BR': '2. Resumo das Cargas Determinantes' },
+    { en: '4. Height-Varying Windward Wall Pressures', 'pt-BR': '4. Pressões Variáveis com a Altura na Parede a Barlavento' },
+    { en: '5. Torsional Load Case (ASCE 7 Fig. 27.4-8, Case 2)', 'pt-BR': '5. Caso de Carga com Torção (ASCE 7 Fig. 27.4-8, Caso 2)' },
+    { en: '6. Components & Cladding (C&C) Pressures', 'pt-BR': '6. Pressões em Componentes e Revestimentos (C&R)' },
+    { en: 'This moment must be considered concurrently with 75% of the Case 1 design wind pressures on the walls.', 'pt-BR': 'Este momento deve ser considerado simultaneamente com 75% das pressões de vento do Caso 1 nas paredes.' },
+    { en: 'Max Pressure', 'pt-BR': 'Pressão Máx.' },
+    { en: 'Max Pressure:', 'pt-BR': 'Pressão Máx.:' },
+    { en: 'Max Suction:', 'pt-BR': 'Sucção Máx.:' },
+    { en: 'Max Uplift/Suction', 'pt-BR': 'Sucção/Arrancamento Máx.' },
+    { en: 'Overall Max Pressure:', 'pt-BR': 'Pressão Máx. Global:' },
+    { en: 'Overall Max Uplift/Suction:', 'pt-BR': 'Sucção/Arrancamento Máx. Global:' },
+    { en: 'Constant Leeward Pressure (Perp. to L):', 'pt-BR': 'Pressão Constante a Sotavento (Perp. a L):' },
+    { en: 'Leeward wall pressure is constant and based on q', 'pt-BR': 'A pressão na parede a sotavento é constante e baseada em q' },
+    { en: 'Calculation (+GCpi):', 'pt-BR': 'Cálculo (+GCpi):' },
+    { en: 'Calculation (-GCpi):', 'pt-BR': 'Cálculo (-GCpi):' },
+    { en: 'Surface/Zone', 'pt-BR': 'Superfície/Zona' },
+    { en: 'Zone', 'pt-BR': 'Zona' },
+    { en: 'Zone 1', 'pt-BR': 'Zona 1' },
+    { en: 'Zone 2', 'pt-BR': 'Zona 2' },
+    { en: 'Zone 3', 'pt-BR': 'Zona 3' },
+    { en: 'End Zones', 'pt-BR': 'Zonas de Extremidade' },
+    { en: 'Roof Zone', 'pt-BR': 'Zona da Cobertura' },
+    { en: 'Windward', 'pt-BR': 'Barlavento' },
+    { en: 'Leeward', 'pt-BR': 'Sotavento' },
+    { en: 'Windward Wall', 'pt-BR': 'Parede a Barlavento' },
+    { en: 'Leeward Wall', 'pt-BR': 'Parede a Sotavento' },
+    { en: 'Side Wall', 'pt-BR': 'Parede Lateral' },
+    { en: 'Pressure', 'pt-BR': 'Pressão' },
+    { en: 'Distance', 'pt-BR': 'Distância' },
+    { en: 'Illustrative Roof Pressure Zones', 'pt-BR': 'Zonas de Pressão da Cobertura (Ilustrativo)' },
+    { en: 'Roof C&C Zones (Plan View)', 'pt-BR': 'Zonas C&R da Cobertura (Planta)' },
+    { en: 'Wall C&C Zones (Elevation)', 'pt-BR': 'Zonas C&R das Paredes (Elevação)' },
+    { en: 'Roof Pressure Distribution (Low-Rise)', 'pt-BR': 'Distribuição de Pressões na Cobertura (Edificações Baixas)' },
+    { en: 'Pressure variation along the roof surface, from windward to leeward edge.', 'pt-BR': 'Variação da pressão ao longo da cobertura, da borda a barlavento à borda a sotavento.' },
+    { en: 'Hip roofs of open buildings are taken as pitched free roofs (ASCE 7 Fig. 27.3-5).', 'pt-BR': 'Coberturas de quatro águas de edificações abertas são tratadas como coberturas isoladas de duas águas (ASCE 7 Fig. 27.3-5).' },
+    { en: 'Free roof net pressure coefficients are given for slopes up to 45°; the 45° values were used.', 'pt-BR': 'Os coeficientes de pressão líquida de coberturas isoladas são dados para inclinações de até 45°; foram usados os valores de 45°.' },
+    { en: 'Free roof net pressure coefficients apply for 0.25 <= h/L <= 1.0 (h/L = {ratio}).', 'pt-BR': 'Os coeficientes de pressão líquida de coberturas isoladas valem para 0.25 <= h/L <= 1.0 (h/L = {ratio}).' },
+    { en: '[Used for Leeward Cp]', 'pt-BR': '[Usado no Cp a Sotavento]' },
+    { en: 'Exposure From', 'pt-BR': 'Exposição a Partir de' },
+    { en: 'Category above', 'pt-BR': 'Categoria acima' },
+    { en: 'Upwind sectors (Sec. 26.7)', 'pt-BR': 'Setores a barlavento (Seç. 26.7)' },
+    { en: 'Upwind Exposure by Sector (Sec. 26.7)', 'pt-BR': 'Exposição a Barlavento por Setor (Seç. 26.7)' },
+    { en: 'Wind Perpendicular to L Blows From', 'pt-BR': 'Vento Perpendicular a L Sopra de' },
+    { en: 'Sector', 'pt-BR': 'Setor' },
+    { en: 'Roughness', 'pt-BR': 'Rugosidade' },
+    { en: 'Fetch', 'pt-BR': 'Extensão' },
+    { en: 'Beyond', 'pt-BR': 'Além' },
+    { en: 'Roughness beyond', 'pt-BR': 'Rugosidade além' },
+    { en: 'Extent Beyond', 'pt-BR': 'Extensão Além' },
+    { en: 'Extent of roughness beyond', 'pt-BR': 'Extensão da rugosidade além' },
+    { en: 'For each 45° sector, give the surface roughness next to the site, the distance it extends upwind (fetch), and the roughness beyond it with the distance that extends. Roughness D beyond extends Exposure D downwind only when it is at least 5000 ft (1524 m) or 20h long. Each wind direction takes the more severe exposure of the two sectors either side of it.', 'pt-BR': 'Para cada setor de 45°, informe a rugosidade do terreno junto ao local, a distância que ela se estende a barlavento (extensão), e a rugosidade além dela com a distância que esta se estende. A rugosidade D além só estende a Exposição D a sotavento quando tem no mínimo 5000 ft (1524 m) ou 20h. Cada direção do vento recebe a exposição mais severa dos dois setores adjacentes.' },
+    { en: 'Extent Beyond, Sector {from}° to {to}°', 'pt-BR': 'Extensão Além, Setor de {from}° a {to}°' },
+    { en: 'Fetch, Sector {from}° to {to}°', 'pt-BR': 'Extensão, Setor de {from}° a {to}°' },
+    { en: 'Sector {from}° to {to}°', 'pt-BR': 'Setor de {from}° a {to}°' },
+    { en: 'Roughness D extends {fetch} upwind (at least {limit})', 'pt-BR': 'A rugosidade D se estende por {fetch} a barlavento (no mínimo {limit})' },
+    { en: 'Within {limit} downwind of roughness D', 'pt-BR': 'A menos de {limit} a sotavento da rugosidade D' },
+    { en: 'Roughness B extends {fetch} upwind (at least {limit})', 'pt-BR': 'A rugosidade B se estende por {fetch} a barlavento (no mínimo {limit})' },
+    { en: 'Roughness B extends only {fetch} upwind (less than {limit})', 'pt-BR': 'A rugosidade B se estende por apenas {fetch} a barlavento (menos de {limit})' },
+    { en: 'Roughness D extends only {fetch} upwind (less than {limit})', 'pt-BR': 'A rugosidade D se estende por apenas {fetch} a barlavento (menos de {limit})' },
+    { en: 'Roughness C', 'pt-BR': 'Rugosidade C' },
+    { en: 'Exposure by Wind Direction (ASCE 7 Sec. 26.7)', 'pt-BR': 'Exposição por Direção do Vento (ASCE 7 Seç. 26.7)' },
+    { en: 'Exposure, Wind Perpendicular to L', 'pt-BR': 'Exposição, Vento Perpendicular a L' },
+    { en: 'Exposure, Wind Perpendicular to B', 'pt-BR': 'Exposição, Vento Perpendicular a B' },
+    { en: 'Governing Exposure (C&C and other loads)', 'pt-BR': 'Exposição Determinante (C&R e demais cargas)' },
+    { en: 'Exposure by Wind Direction', 'pt-BR': 'Exposição por Direção do Vento' },
+    { en: 'Wind From', 'pt-BR': 'Vento de' },
+    { en: 'Sector Exposure', 'pt-BR': 'Exposição do Setor' },
+    { en: 'Basis', 'pt-BR': 'Critério' },
+    { en: '(governing of all wind directions)', 'pt-BR': '(determinante entre todas as direções do vento)' },
+    { en: 'Topography (Sec. 26.8)', 'pt-BR': 'Topografia (Seç. 26.8)' },
+    { en: 'None (enter Kzt)', 'pt-BR': 'Nenhuma (informar Kzt)' },
+    { en: '2-D Ridge', 'pt-BR': 'Crista 2-D' },
+    { en: '2-D Escarpment', 'pt-BR': 'Escarpa 2-D' },
+    { en: '3-D Axisymmetric Hill', 'pt-BR': 'Morro Axissimétrico 3-D' },
+    { en: 'Hill Height (H)', 'pt-BR': 'Altura do Morro (H)' },
+    { en: 'Half-Length (Lh)', 'pt-BR': 'Meio Comprimento (Lh)' },
+    { en: 'Distance from Crest (x)', 'pt-BR': 'Distância até a Crista (x)' },
+    { en: 'Side of Crest', 'pt-BR': 'Lado da Crista' },
+    { en: 'Upwind', 'pt-BR': 'A barlavento' },
+    { en: 'Downwind', 'pt-BR': 'A sotavento' },
+    { en: 'Lh is the distance upwind of the crest to where the ground is half the hill height. Kzt is computed at each height z above the ground, with K1 for the exposure category above.', 'pt-BR': 'Lh é a distância a barlavento da crista até onde o terreno está à metade da altura do morro. Kzt é calculado em cada altura z acima do terreno, com K1 para a categoria de exposição acima.' },
+    { en: 'Topographic Factor (K', 'pt-BR': 'Fator Topográfico (K' },
+    { en: 'Topographic Factor by Height (K', 'pt-BR': 'Fator Topográfico por Altura (K' },
+    { en: 'Other Structures (Ch. 29)', 'pt-BR': 'Outras Estruturas (Cap. 29)' },
+    { en: 'Structure Class', 'pt-BR': 'Classe da Estrutura' },
+    { en: 'Building', 'pt-BR': 'Edificação' },
+    { en: 'Other Structure', 'pt-BR': 'Outra Estrutura' },
+    { en: 'Structure Type', 'pt-BR': 'Tipo de Estrutura' },
+    { en: 'Solid Freestanding Wall/Sign', 'pt-BR': 'Muro/Placa Isolado Maciço' },
+    { en: 'Open Sign/Lattice Frame', 'pt-BR': 'Placa Vazada/Pórtico Treliçado' },
+    { en: 'Chimney/Tank', 'pt-BR': 'Chaminé/Tanque' },
+    { en: 'Rooftop Structure/Equipment', 'pt-BR': 'Estrutura/Equipamento na Cobertura' },
+    { en: 'Rooftop Solar Panels', 'pt-BR': 'Painéis Solares na Cobertura' },
+    { en: 'Kd is set by the structure type. Rooftop equipment and solar panels use the building above.', 'pt-BR': 'Kd é definido pelo tipo de estrutura. Equipamentos e painéis solares na cobertura usam a edificação acima.' },
+    { en: 'Height to Top (h)', 'pt-BR': 'Altura até o Topo (h)' },
+    { en: 'Vertical Dimension (s)', 'pt-BR': 'Dimensão Vertical (s)' },
+    { en: 'Horizontal Dimension (B)', 'pt-BR': 'Dimensão Horizontal (B)' },
+    { en: 'Solidity Ratio (ε)', 'pt-BR': 'Índice de Área Exposta (ε)' },
+    { en: 'Member Shape', 'pt-BR': 'Forma das Barras' },
+    { en: 'Flat-sided', 'pt-BR': 'Faces Planas' },
+    { en: 'Round', 'pt-BR': 'Circular' },
+    { en: 'Member Diameter (D)', 'pt-BR': 'Diâmetro das Barras (D)' },
+    { en: 'Cross Section', 'pt-BR': 'Seção Transversal' },
+    { en: 'Square (wind normal to face)', 'pt-BR': 'Quadrada (vento normal à face)' },
+    { en: 'Square (wind along diagonal)', 'pt-BR': 'Quadrada (vento na diagonal)' },
+    { en: 'Hexagonal or octagonal', 'pt-BR': 'Hexagonal ou octogonal' },
+    { en: 'Round, moderately smooth', 'pt-BR': 'Circular, moderadamente lisa' },
+    { en: "Round, rough (D'/D = 0.02)", 'pt-BR': "Circular, rugosa (D'/D = 0.02)" },
+    { en: "Round, very rough (D'/D = 0.08)", 'pt-BR': "Circular, muito rugosa (D'/D = 0.08)" },
+    { en: 'Height (h)', 'pt-BR': 'Altura (h)' },
+    { en: 'Width or Diameter (D)', 'pt-BR': 'Largura ou Diâmetro (D)' },
+    { en: 'Vertical Area (Af)', 'pt-BR': 'Área Vertical (Af)' },
+    { en: 'Plan Area (Ar)', 'pt-BR': 'Área em Planta (Ar)' },
+    { en: 'Panel Mounting', 'pt-BR': 'Montagem dos Painéis' },
+    { en: 'Tilted (29.4.3)', 'pt-BR': 'Inclinados (29.4.3)' },
+    { en: 'Parallel to roof (29.4.4)', 'pt-BR': 'Paralelos à cobertura (29.4.4)' },
+    { en: 'Exposed Panel?', 'pt-BR': 'Painel Exposto?' },
+    { en: 'Panel Wind Area (A)', 'pt-BR': 'Área de Vento do Painel (A)' },
+    { en: 'Panel Tilt (degrees)', 'pt-BR': 'Inclinação do Painel (graus)' },
+    { en: 'Panel Chord (Lp)', 'pt-BR': 'Corda do Painel (Lp)' },
+    { en: 'Parapet Height (hpt)', 'pt-BR': 'Altura da Platibanda (hpt)' },
+    { en: 'Sign Height (h)', 'pt-BR': 'Altura da Placa (h)' },
+    { en: 'Sign Vertical Dimension (s)', 'pt-BR': 'Dimensão Vertical da Placa (s)' },
+    { en: 'Sign Horizontal Dimension (B)', 'pt-BR': 'Dimensão Horizontal da Placa (B)' },
+    { en: 'Solidity Ratio', 'pt-BR': 'Índice de Área Exposta' },
+    { en: 'Chimney Height (h)', 'pt-BR': 'Altura da Chaminé (h)' },
+    { en: 'Chimney Width or Diameter (D)', 'pt-BR': 'Largura ou Diâmetro da Chaminé (D)' },
+    { en: 'Equipment Vertical Area (Af)', 'pt-BR': 'Área Vertical do Equipamento (Af)' },
+    { en: 'Equipment Plan Area (Ar)', 'pt-BR': 'Área em Planta do Equipamento (Ar)' },
+    { en: 'Panel Tilt', 'pt-BR': 'Inclinação do Painel' },
+    { en: 'Sign Vertical Dimension (s) cannot be more than the height to the top of the sign (h = {limit}).', 'pt-BR': 'A Dimensão Vertical da Placa (s) não pode ser maior que a altura até o topo da placa (h = {limit}).' },
+    { en: '3. {title} (ASCE 7 Chapter 29)', 'pt-BR': '3. {title} (ASCE 7 Capítulo 29)' },
+    { en: 'Other Structures (Chapter 29): {title}', 'pt-BR': 'Outras Estruturas (Capítulo 29): {title}' },
+    { en: 'Load Case/Component', 'pt-BR': 'Caso de Carga/Componente' },
+    { en: 'Area', 'pt-BR': 'Área' },
+    { en: 'Force', 'pt-BR': 'Força' },
+    { en: 'Design Forces', 'pt-BR': 'Forças de Projeto' },
+    { en: 'Design Pressures', 'pt-BR': 'Pressões de Projeto' },
+    { en: 'Height of the resultant: z = {z}', 'pt-BR': 'Altura da resultante: z = {z}' },
+    { en: 'Case A (resultant at the geometric center)', 'pt-BR': 'Caso A (resultante no centro geométrico)' },
+    { en: 'Case B (resultant 0.2B from the center)', 'pt-BR': 'Caso B (resultante a 0.2B do centro)' },
+    { en: 'Case C, {from}s to {to}s from the windward edge', 'pt-BR': 'Caso C, de {from}s a {to}s da borda a barlavento' },
+    { en: 'Open sign/frame', 'pt-BR': 'Placa vazada/pórtico' },
+    { en: 'Horizontal force, Fh', 'pt-BR': 'Força horizontal, Fh' },
+    { en: 'Vertical uplift, Fv', 'pt-BR': 'Arrancamento vertical, Fv' },
+    { en: 'Roof Zone {zone}', 'pt-BR': 'Zona {zone} da Cobertura' },
+    { en: 'Forces act at a height of h - s/2 above the ground.', 'pt-BR': 'As forças atuam a uma altura h - s/2 acima do terreno.' },
+    { en: 'Case C coefficients include the reduction factor (1.8 - s/h) for s/h > 0.8.', 'pt-BR': 'Os coeficientes do Caso C incluem o fator de redução (1.8 - s/h) para s/h > 0.8.' },
+    { en: 'Case C only applies for B/s >= 2.', 'pt-BR': 'O Caso C só se aplica para B/s >= 2.' },
+    { en: 'qz is taken at the centroid of the solid area, h - s/2 above the ground.', 'pt-BR': 'qz é tomado no centroide da área sólida, a h - s/2 acima do terreno.' },
+    { en: 'qz is taken at the centroid of the projected area, h/2 above the base.', 'pt-BR': 'qz é tomado no centroide da área projetada, a h/2 acima da base.' },
+    { en: 'GCr is 1.9 (horizontal) and 1.5 (vertical) for small equipment, reduced linearly to 1.0 as the area grows from 10% to 100% of the building face or roof.', 'pt-BR': 'GCr vale 1.9 (horizontal) e 1.5 (vertical) para equipamentos pequenos, reduzindo linearmente até 1.0 conforme a área cresce de 10% a 100% da face ou da cobertura da edificação.' },
+    { en: 'p = qh (GCp)(γE)(γa), with GCp from the roof C&C zones of Chapter 30; panels no more than 10 in. above the roof, with a gap of 0.25 in. or more.', 'pt-BR': 'p = qh (GCp)(γE)(γa), com GCp das zonas C&R da cobertura do Capítulo 30; painéis a no máximo 10 in. acima da cobertura, com folga de 0.25 in. ou mais.' },
+    { en: 'p = qh (GCrn), with (GCrn) = γp γc γE (GCrn)nom; the pressure acts both toward and away from the panel surface.', 'pt-BR': 'p = qh (GCrn), com (GCrn) = γp γc γE (GCrn)nom; a pressão atua tanto em direção à superfície do painel quanto para fora dela.' },
+    { en: 'With openings of more than 30% of the gross area, the sign should be designed as an open sign (Section 29.4.2).', 'pt-BR': 'Com aberturas de mais de 30% da área bruta, a placa deve ser dimensionada como placa vazada (Seção 29.4.2).' },
+    { en: 'A solidity ratio of 0.7 or more is a solid sign (Section 29.3); the open sign coefficients were used up to ε = 0.7.', 'pt-BR': 'Um índice de área exposta de 0.7 ou mais corresponde a uma placa maciça (Seção 29.3); foram usados os coeficientes de placa vazada até ε = 0.7.' },
+    { en: 'Section 29.4.1 covers rooftop equipment on buildings with h <= 60 ft; for taller buildings the equipment is checked as a structure with the Fig. 29.4-1 coefficients.', 'pt-BR': 'A Seção 29.4.1 trata de equipamentos na cobertura de edificações com h <= 60 ft; em edificações mais altas o equipamento é verificado como estrutura com os coeficientes da Fig. 29.4-1.' },
+    { en: 'Section 29.4.3 applies to roofs with slopes of 7° or less.', 'pt-BR': 'A Seção 29.4.3 se aplica a coberturas com inclinação de até 7°.' },
+    { en: 'Fig. 29.4-7 covers panel tilts up to 35°; the 35° values were used.', 'pt-BR': 'A Fig. 29.4-7 cobre inclinações de painel de até 35°; foram usados os valores de 35°.' },
+
+    // --- AISC base plate (aisc/base plate.html) ---
+    { en: 'AISC Base Plate Design Checker', 'pt-BR': 'Verificador de Placa de Base AISC' },
+    { en: 'Design Code', 'pt-BR': 'Norma de Projeto' },
+    { en: 'Material Properties', 'pt-BR': 'Propriedades dos Materiais' },
+    { en: 'Plate Fy', 'pt-BR': 'Fy da Placa' },
+    { en: "Concrete f'c", 'pt-BR': "f'c do Concreto" },
+    { en: 'Bolt Fut', 'pt-BR': 'Fut do Chumbador' },
+    { en: 'Bolt Fnv', 'pt-BR': 'Fnv do Chumbador' },
+    { en: 'Weld Fexx', 'pt-BR': 'Fexx da Solda' },
+    { en: 'Geometric Properties', 'pt-BR': 'Propriedades Geométricas' },
+    { en: 'Plate N', 'pt-BR': 'N da Placa' },
+    { en: 'Plate B', 'pt-BR': 'B da Placa' },
+    { en: 'Plate t_p', 'pt-BR': 't_p da Placa' },
+    { en: 'Column d', 'pt-BR': 'd do Pilar' },
+    { en: 'Column bf', 'pt-BR': 'bf do Pilar' },
+    { en: 'Column Type', 'pt-BR': 'Tipo de Pilar' },
+    { en: 'Wide Flange', 'pt-BR': 'Perfil I de Abas Largas' },
+    { en: 'Round HSS', 'pt-BR': 'Tubo Circular' },
+    { en: 'Anchor Bolt Properties', 'pt-BR': 'Propriedades dos Chumbadores' },
+    { en: 'Diameter', 'pt-BR': 'Diâmetro' },
+    { en: 'Total Bolts', 'pt-BR': 'Total de Chumbadores' },
+    { en: 'Tension Row', 'pt-BR': 'Linha Tracionada' },
+    { en: 'Spacing (N)', 'pt-BR': 'Espaçamento (N)' },
+    { en: 'Spacing (B)', 'pt-BR': 'Espaçamento (B)' },
+    { en: 'Bolt Type', 'pt-BR': 'Tipo de Chumbador' },
+    { en: 'Cast-in', 'pt-BR': 'Pré-instalado' },
+    { en: 'Post-installed', 'pt-BR': 'Pós-instalado' },
+    { en: 'Weld Size', 'pt-BR': 'Dimensão da Solda' },
+    { en: 'Applied Loads', 'pt-BR': 'Cargas Aplicadas' },
+    { en: 'Axial (P)', 'pt-BR': 'Axial (P)' },
+    { en: 'Moment (M)', 'pt-BR': 'Momento (M)' },
+    { en: 'Shear (V)', 'pt-BR': 'Cortante (V)' },
+    { en: 'Analysis Options', 'pt-BR': 'Opções de Análise' },
+    { en: 'Concrete Condition', 'pt-BR': 'Condição do Concreto' },
+    { en: 'Cracked Concrete', 'pt-BR': 'Concreto Fissurado' },
+    { en: 'Uncracked Concrete', 'pt-BR': 'Concreto Não Fissurado' },
+    { en: 'Base Plate Diagram', 'pt-BR': 'Diagrama da Placa de Base' },
+    { en: 'Run Base Plate Check', 'pt-BR': 'Verificar Placa de Base' },
+
+    // --- AISC splice (aisc/splice.html) ---
+    { en: 'AISC Splice Connection Checker', 'pt-BR': 'Verificador de Emenda AISC' },
+    { en: 'Gap (in)', 'pt-BR': 'Folga (in)' },
+    { en: 'Deformation at bolt holes is a design consideration?', 'pt-BR': 'A deformação nos furos é considerada no projeto?' },
+    { en: 'Moment (M, kip-ft)', 'pt-BR': 'Momento (M, kip-ft)' },
+    { en: 'Shear (V, kips)', 'pt-BR': 'Cortante (V, kips)' },
+    { en: 'Axial (P, kips)', 'pt-BR': 'Axial (P, kips)' },
+    { en: 'Design splice for full member capacity?', 'pt-BR': 'Dimensionar a emenda para a capacidade total do perfil?' },
+    { en: 'Member Properties', 'pt-BR': 'Propriedades do Perfil' },
+    { en: 'Depth (d)', 'pt-BR': 'Altura (d)' },
+    { en: 'Flange (bf)', 'pt-BR': 'Mesa (bf)' },
+    { en: 'Flange (tf)', 'pt-BR': 'Mesa (tf)' },
+    { en: 'Web (tw)', 'pt-BR': 'Alma (tw)' },
+    { en: 'Flange Splice Plates', 'pt-BR': 'Chapas de Emenda da Mesa' },
+    { en: '# of Plates', 'pt-BR': 'Nº de Chapas' },
+    { en: '1 (Outer)', 'pt-BR': '1 (Externa)' },
+    { en: '2 (Outer & Inner)', 'pt-BR': '2 (Externa e Interna)' },
+    { en: 'Outer Plate', 'pt-BR': 'Chapa Externa' },
+    { en: 'Inner Plate', 'pt-BR': 'Chapa Interna' },
+    { en: 'Width (H)', 'pt-BR': 'Largura (H)' },
+    { en: 'Thick (t)', 'pt-BR': 'Espessura (t)' },
+    { en: 'Total Length (L)', 'pt-BR': 'Comprimento Total (L)' },
+    { en: 'Flange Bolts', 'pt-BR': 'Parafusos da Mesa' },
+    { en: 'Grade', 'pt-BR': 'Classe' },
+    { en: 'Threads included in shear plane?', 'pt-BR': 'Rosca no plano de corte?' },
+    { en: 'Cols (Nc)', 'pt-BR': 'Colunas (Nc)' },
+    { en: 'Rows (Nr)', 'pt-BR': 'Linhas (Nr)' },
+    { en: 'Col Spacing (S1)', 'pt-BR': 'Espaç. entre Colunas (S1)' },
+    { en: 'Row Spacing (S2)', 'pt-BR': 'Espaç. entre Linhas (S2)' },
+    { en: 'End Dist (S3)', 'pt-BR': 'Dist. à Borda (S3)' },
+    { en: 'Gage (g)', 'pt-BR': 'Gabarito (g)' },
+    { en: 'Flange Splice Diagram (Top View)', 'pt-BR': 'Diagrama da Emenda da Mesa (Vista Superior)' },
+    { en: 'Web Splice Plates', 'pt-BR': 'Chapas de Emenda da Alma' },
+    { en: 'Height (H)', 'pt-BR': 'Altura (H)' },
+    { en: 'Web Bolts', 'pt-BR': 'Parafusos da Alma' },
+    { en: 'Col Spacing (S4)', 'pt-BR': 'Espaç. entre Colunas (S4)' },
+    { en: 'Row Spacing (S5)', 'pt-BR': 'Espaç. entre Linhas (S5)' },
+    { en: 'End Dist (S6)', 'pt-BR': 'Dist. à Borda (S6)' },
+    { en: 'Web Splice Diagram (Elevation)', 'pt-BR': 'Diagrama da Emenda da Alma (Elevação)' },
+    { en: 'Run Splice Check', 'pt-BR': 'Verificar Emenda' },
+    { en: 'Flange Splice Checks', 'pt-BR': 'Verificações da Emenda da Mesa' },
+    { en: 'Web Splice Checks', 'pt-BR': 'Verificações da Emenda da Alma' },
+    { en: 'Member Checks at Splice', 'pt-BR': 'Verificações do Perfil na Emenda' },
+    { en: 'Geometry & Spacing Checks (AISC J3)', 'pt-BR': 'Verificações de Geometria e Espaçamento (AISC J3)' },
+
+    // --- AISC steel check (aisc/steel check.html) ---
+    { en: 'AISC Steel Section Design Checker', 'pt-BR': 'Verificador de Perfis de Aço AISC' },
+    { en: 'Design Parameters', 'pt-BR': 'Parâmetros de Projeto' },
+    { en: 'AISC Standard', 'pt-BR': 'Norma AISC' },
+    { en: 'Yield Strength (Fy)', 'pt-BR': 'Resistência ao Escoamento (Fy)' },
+    { en: 'Ultimate Strength (Fu)', 'pt-BR': 'Resistência à Ruptura (Fu)' },
+    { en: 'Modulus of Elasticity (E)', 'pt-BR': 'Módulo de Elasticidade (E)' },
+    { en: 'Bracing', 'pt-BR': 'Contenção Lateral' },
+    { en: 'Unbraced Length (Lb)', 'pt-BR': 'Comprimento Destravado (Lb)' },
+    { en: 'Effective Length Factor (K)', 'pt-BR': 'Coeficiente de Flambagem (K)' },
+    { en: 'LTB Factor (Cb)', 'pt-BR': 'Fator de FLT (Cb)' },
+    { en: 'Moment Gradient Factor (Cm)', 'pt-BR': 'Fator de Gradiente de Momento (Cm)' },
+    { en: 'For members without transverse loads, Cm = 0.6 - 0.4(M1/M2). For transverse loads, Cm = 1.0 (conservative).', 'pt-BR': 'Para barras sem cargas transversais, Cm = 0.6 - 0.4(M1/M2). Com cargas transversais, Cm = 1.0 (a favor da segurança).' },
+    { en: 'Bearing Length (lb)', 'pt-BR': 'Comprimento de Apoio (lb)' },
+    { en: 'Design Web Thick (k', 'pt-BR': 'Espessura de Cálculo da Alma (k' },
+    { en: 'Bearing Location', 'pt-BR': 'Posição do Apoio' },
+    { en: 'End of Member', 'pt-BR': 'Extremidade da Barra' },
+    { en: 'Interior Location', 'pt-BR': 'Posição Interna' },
+    { en: 'Section Type & Geometry', 'pt-BR': 'Tipo e Geometria da Seção' },
+    { en: 'Section Type', 'pt-BR': 'Tipo de Seção' },
+    { en: 'I-Shape', 'pt-BR': 'Perfil I' },
+    { en: 'Rectangular HSS', 'pt-BR': 'Tubo Retangular' },
+    { en: 'Channel', 'pt-BR': 'Perfil U' },
+    { en: 'Angle', 'pt-BR': 'Cantoneira' },
+    { en: 'Flange Width (bf)', 'pt-BR': 'Largura da Mesa (bf)' },
+    { en: 'Flange Thick (tf)', 'pt-BR': 'Espessura da Mesa (tf)' },
+    { en: 'Web Thick (tw)', 'pt-BR': 'Espessura da Alma (tw)' },
+    { en: 'Use negative for compression. Units: kips, kip-ft, kip-in.', 'pt-BR': 'Use valores negativos para compressão. Unidades: kips, kip-ft, kip-in.' },
+    { en: 'Axial (Pu / Pa)', 'pt-BR': 'Axial (Pu / Pa)' },
+    { en: 'Moment, Major (Mux / Max)', 'pt-BR': 'Momento, Eixo Maior (Mux / Max)' },
+    { en: 'Moment, Minor (Muy / May)', 'pt-BR': 'Momento, Eixo Menor (Muy / May)' },
+    { en: 'Shear (Vu / Va)', 'pt-BR': 'Cortante (Vu / Va)' },
+    { en: 'Torsion (Tu / Ta, kip-in)', 'pt-BR': 'Torção (Tu / Ta, kip-in)' },
+    { en: 'Manual Properties', 'pt-BR': 'Propriedades Manuais' },
+    { en: 'Warning:', 'pt-BR': 'Atenção:' },
+    { en: 'This section is for single, non-composite members. Do not multiply properties for built-up sections (e.g., multiple beams side-by-side). This is unconservative. Analyze each component individually with its share of the load.', 'pt-BR': 'Esta seção é para barras isoladas, não mistas. Não multiplique as propriedades para seções compostas (por exemplo, várias vigas lado a lado), o que é contra a segurança. Analise cada componente individualmente com sua parcela da carga.' },
+    { en: 'Serviceability (Deflection)', 'pt-BR': 'Serviço (Flecha)' },
+    { en: 'Span for Deflection (ft)', 'pt-BR': 'Vão para Flecha (ft)' },
+    { en: 'Deflection Limit (e.g., 240 for L/240)', 'pt-BR': 'Limite de Flecha (ex.: 240 para L/240)' },
+    { en: 'Actual Deflection (in)', 'pt-BR': 'Flecha Atuante (in)' },
+    { en: 'Built-Up Section Calculator', 'pt-BR': 'Calculadora de Seção Composta' },
+    { en: 'Calculates properties for multiple identical sections placed side-by-side. Uses the single section properties defined above.', 'pt-BR': 'Calcula as propriedades de várias seções idênticas lado a lado, a partir das propriedades da seção isolada definidas acima.' },
+    { en: 'Number of Beams (n)', 'pt-BR': 'Número de Vigas (n)' },
+    { en: 'Spacing (s, in)', 'pt-BR': 'Espaçamento (s, in)' },
+    { en: 'Note:', 'pt-BR': 'Nota:' },
+    { en: 'The main analysis below is for a', 'pt-BR': 'A análise principal abaixo é para uma' },
+    { en: 'single member', 'pt-BR': 'barra isolada' },
+    { en: '. For a built-up section, analyze one beam with its share of the total load and ensure adequate interconnection per AISC Chapter E6.', 'pt-BR': '. Para uma seção composta, analise uma viga com sua parcela da carga total e garanta a ligação adequada conforme o Capítulo E6 da AISC.' },
+    { en: 'Run Steel Check', 'pt-BR': 'Verificar Perfil' },
+    { en: 'Built-up properties populated in Manual Input fields.', 'pt-BR': 'Propriedades da seção composta preenchidas nos campos manuais.' },
+    { en: 'Define single section properties first.', 'pt-BR': 'Defina primeiro as propriedades da seção isolada.' },
+    { en: 'Calculated Built-Up Properties:', 'pt-BR': 'Propriedades Calculadas da Seção Composta:' },
+    { en: 'Calculated Section Properties', 'pt-BR': 'Propriedades Calculadas da Seção' },
+    { en: 'Use These Properties', 'pt-BR': 'Usar Estas Propriedades' },
+    { en: 'Summary of Design Checks', 'pt-BR': 'Resumo das Verificações' },
+    { en: 'Design Checks', 'pt-BR': 'Verificações' },
+    { en: 'Serviceability Checks', 'pt-BR': 'Verificações de Serviço' },
+    { en: 'Limit State', 'pt-BR': 'Estado Limite' },
+    { en: 'Demand', 'pt-BR': 'Solicitação' },
+    { en: 'Capacity', 'pt-BR': 'Resistência' },
+    { en: 'Ratio', 'pt-BR': 'Relação' },
+    { en: 'Check', 'pt-BR': 'Verificação' },
+    { en: 'Actual', 'pt-BR': 'Atuante' },
+    { en: 'Allowable', 'pt-BR': 'Admissível' },
+    { en: 'Required', 'pt-BR': 'Requerido' },
+    { en: 'Actual (in)', 'pt-BR': 'Atuante (in)' },
+    { en: 'Limit (in)', 'pt-BR': 'Limite (in)' },
+    { en: 'Flexure', 'pt-BR': 'Flexão' },
+    { en: 'Shear', 'pt-BR': 'Cisalhamento' },
+    { en: 'Torsion', 'pt-BR': 'Torção' },
+    { en: 'Deflection', 'pt-BR': 'Flecha' },
+    { en: 'Web Crippling', 'pt-BR': 'Enrugamento da Alma' },
+    { en: 'Flexure Breakdown', 'pt-BR': 'Memória de Flexão' },
+    { en: 'Shear Breakdown', 'pt-BR': 'Memória de Cisalhamento' },
+    { en: 'Compression Breakdown', 'pt-BR': 'Memória de Compressão' },
+    { en: 'Deflection Breakdown', 'pt-BR': 'Memória de Flecha' },
+    { en: 'Deflection Breakdown (Serviceability)', 'pt-BR': 'Memória de Flecha (Serviço)' },
+    { en: 'Combined Stresses (H3.3)', 'pt-BR': 'Tensões Combinadas (H3.3)' },
+    { en: 'Combined Stress Breakdown (AISC H3.3)', 'pt-BR': 'Memória das Tensões Combinadas (AISC H3.3)' },
+    { en: 'Combined Stress Interaction Breakdown', 'pt-BR': 'Memória da Interação de Tensões' },
+    { en: 'Combined Shear + Torsion', 'pt-BR': 'Cisalhamento + Torção Combinados' },
+    { en: 'Interaction Equation', 'pt-BR': 'Equação de Interação' },
+    { en: 'Von Mises Stress Check', 'pt-BR': 'Verificação de Tensões de Von Mises' },
+    { en: 'Governing Limit State:', 'pt-BR': 'Estado Limite Determinante:' },
+    { en: 'Governing Limit State =', 'pt-BR': 'Estado Limite Determinante =' },
+    { en: 'Governing Buckling Mode =', 'pt-BR': 'Modo de Flambagem Determinante =' },
+    { en: '(due to slender web)', 'pt-BR': '(devido à alma esbelta)' },
+    { en: 'Note: This check does not include interaction with shear. Shear interaction is checked separately where applicable per AISC Chapter H.', 'pt-BR': 'Nota: esta verificação não inclui a interação com o cisalhamento, verificada separadamente quando aplicável conforme o Capítulo H da AISC.' },
+    { en: 'Yielding (D2a):', 'pt-BR': 'Escoamento (D2a):' },
+    { en: 'Rupture (D2b):', 'pt-BR': 'Ruptura (D2b):' },
+
+    // --- ACI 318 concrete (aci/aci 318 concrete.html) ---
+    { en: 'ACI 318 Concrete Beam Checker', 'pt-BR': 'Verificador de Vigas de Concreto ACI 318' },
+    { en: "Concrete Strength (f'c, psi)", 'pt-BR': "Resistência do Concreto (f'c, psi)" },
+    { en: 'Steel Yield Strength (fy, psi)', 'pt-BR': 'Resistência ao Escoamento do Aço (fy, psi)' },
+    { en: 'Beam Geometry', 'pt-BR': 'Geometria da Viga' },
+    { en: 'Width (b, in)', 'pt-BR': 'Largura (b, in)' },
+    { en: 'Height (h, in)', 'pt-BR': 'Altura (h, in)' },
+    { en: 'Cover (in)', 'pt-BR': 'Cobrimento (in)' },
+    { en: 'Flexural Reinforcement', 'pt-BR': 'Armadura de Flexão' },
+    { en: 'Bar Size (#)', 'pt-BR': 'Bitola (#)' },
+    { en: 'Shear Reinforcement', 'pt-BR': 'Armadura de Cisalhamento' },
+    { en: 'Stirrup Size (#)', 'pt-BR': 'Bitola do Estribo (#)' },
+    { en: 'Factored Loads (LRFD)', 'pt-BR': 'Esforços de Cálculo (LRFD)' },
+    { en: 'Shear (V', 'pt-BR': 'Cortante (V' },
+    { en: 'Summary of Results', 'pt-BR': 'Resumo dos Resultados' },
+    { en: 'Click "Run Check" to see results.', 'pt-BR': 'Clique em "Verificar" para ver os resultados.' },
+    { en: 'Run Check', 'pt-BR': 'Verificar' },
+    { en: 'Detailed Calculation Report (ACI 318-19)', 'pt-BR': 'Relatório de Cálculo Detalhado (ACI 318-19)' },
+
+    // --- NDS wood (nds/nds wood design.html) ---
+    { en: 'NDS Wood Member Design Checker', 'pt-BR': 'Verificador de Peças de Madeira NDS' },
+    { en: 'Wood Species & Grade', 'pt-BR': 'Espécie e Classe da Madeira' },
+    { en: 'Unadjusted values from NDS Supplement.', 'pt-BR': 'Valores não ajustados do Suplemento da NDS.' },
+    { en: 'Depth (d, in)', 'pt-BR': 'Altura (d, in)' },
+    { en: 'Unbraced L (ft)', 'pt-BR': 'L Destravado (ft)' },
+    { en: 'K Factor', 'pt-BR': 'Fator K' },
+    { en: 'Bearing Lb (in)', 'pt-BR': 'Lb de Apoio (in)' },
+    { en: 'Adjustment Conditions', 'pt-BR': 'Condições de Ajuste' },
+    { en: 'Load Duration', 'pt-BR': 'Duração da Carga' },
+    { en: 'Permanent (0.9)', 'pt-BR': 'Permanente (0.9)' },
+    { en: 'Ten years (1.0)', 'pt-BR': 'Dez anos (1.0)' },
+    { en: 'Two months (1.15)', 'pt-BR': 'Dois meses (1.15)' },
+    { en: 'Seven days (1.25)', 'pt-BR': 'Sete dias (1.25)' },
+    { en: 'Ten minutes (1.6)', 'pt-BR': 'Dez minutos (1.6)' },
+    { en: 'Impact (2.0)', 'pt-BR': 'Impacto (2.0)' },
+    { en: 'Wet Service', 'pt-BR': 'Serviço Úmido' },
+    { en: 'Temperature', 'pt-BR': 'Temperatura' },
+    { en: 'Bending Axis', 'pt-BR': 'Eixo de Flexão' },
+    { en: 'Strong Axis', 'pt-BR': 'Eixo Forte' },
+    { en: 'Weak Axis', 'pt-BR': 'Eixo Fraco' },
+    { en: 'Incising', 'pt-BR': 'Incisão' },
+    { en: 'Repetitive Member', 'pt-BR': 'Peça Repetitiva' },
+    { en: 'Applied Loads (ASD)', 'pt-BR': 'Cargas Aplicadas (ASD)' },
+    { en: 'Axial (kips)', 'pt-BR': 'Axial (kips)' },
+    { en: 'Moment (kip-ft)', 'pt-BR': 'Momento (kip-ft)' },
+    { en: 'Shear (kips)', 'pt-BR': 'Cortante (kips)' },
+    { en: 'Deflection Limit (e.g., 360 for L/360)', 'pt-BR': 'Limite de Flecha (ex.: 360 para L/360)' },
+    { en: 'Run Wood Check', 'pt-BR': 'Verificar Madeira' },
+    { en: 'NDS Wood Member Check Summary', 'pt-BR': 'Resumo da Verificação da Peça de Madeira NDS' },
+    { en: '--- NDS Adjustment Factors ---', 'pt-BR': '--- Fatores de Ajuste NDS ---' },
+    { en: '--- Strength Checks (ASD) ---', 'pt-BR': '--- Verificações de Resistência (ASD) ---' },
+
+    // --- NBR calculators (written in Portuguese) ---
+    { en: 'NBR 8681 Interactive Combination Generator', 'pt-BR': 'Gerador Interativo de Combinações NBR 8681' },
+    { en: '1. Add and Configure the Loads', 'pt-BR': '1. Adicione e Configure os Carregamentos' },
+    { en: '+ Add Load', 'pt-BR': '+ Adicionar Carga' },
+    { en: 'Generate Combinations Report', 'pt-BR': 'Gerar Relatório de Combinações' },
+    { en: 'Please add at least one load with a name and type.', 'pt-BR': 'Por favor, adicione pelo menos um carregamento com nome e tipo definidos.' },
+    { en: 'NBR 6118 Concrete Beam Checker', 'pt-BR': 'Verificador de Viga de Concreto NBR 6118' },
+    { en: 'SI (MPa, cm, kN)', 'pt-BR': 'SI (MPa, cm, kN)' },
+    { en: 'Concrete Strength', 'pt-BR': 'Resist. do Concreto' },
+    { en: 'Steel Strength', 'pt-BR': 'Resist. do Aço' },
+    { en: 'Width (b', 'pt-BR': 'Largura (b' },
+    { en: 'Height (h, cm)', 'pt-BR': 'Altura (h, cm)' },
+    { en: 'Cover (c, cm)', 'pt-BR': 'Cobrimento (c, cm)' },
+    { en: 'No. of Bars', 'pt-BR': 'N° de Barras' },
+    { en: 'Diameter (mm)', 'pt-BR': 'Diâmetro (mm)' },
+    { en: 'No. of Legs', 'pt-BR': 'N° de Ramos' },
+    { en: 'Spacing (s, cm)', 'pt-BR': 'Espaçamento (s, cm)' },
+    { en: 'Design Forces (ULS)', 'pt-BR': 'Esforços de Cálculo (ELU)' },
+    { en: 'Moment (M', 'pt-BR': 'Momento (M' },
+    { en: 'Click "Check" to see the results.', 'pt-BR': 'Clique em "Verificar" para ver os resultados.' },
+    { en: 'Load', 'pt-BR': 'Carregar' },
+    { en: 'Save', 'pt-BR': 'Salvar' },
+    { en: 'NBR 7190 Timber Member Checker', 'pt-BR': 'Verificador de Peças de Madeira NBR 7190' },
+    { en: 'Timber Properties (Characteristic Strength)', 'pt-BR': 'Propriedades da Madeira (Resist. Característica)' },
+    { en: 'Geometry', 'pt-BR': 'Geometria' },
+    { en: 'Width (b, cm)', 'pt-BR': 'Largura (b, cm)' },
+    { en: 'Span (L, m)', 'pt-BR': 'Vão (L, m)' },
+    { en: 'Modification Factors', 'pt-BR': 'Fatores de Modificação' },
+    { en: 'Load Class', 'pt-BR': 'Classe de Carregamento' },
+    { en: 'Permanent', 'pt-BR': 'Permanente' },
+    { en: 'Long Term', 'pt-BR': 'Longa Duração' },
+    { en: 'Medium Term', 'pt-BR': 'Média Duração' },
+    { en: 'Short Term', 'pt-BR': 'Curta Duração' },
+    { en: 'Moisture Class', 'pt-BR': 'Classe de Umidade' },
+    { en: 'Class 1 or 2', 'pt-BR': 'Classe 1 ou 2' },
+    { en: 'Class 3', 'pt-BR': 'Classe 3' },
+    { en: 'Design Internal Forces', 'pt-BR': 'Esforços Solicitantes de Cálculo' },
+    { en: 'Click "Check Member" to see the results.', 'pt-BR': 'Clique em "Verificar Peça" para ver os resultados.' },
+    { en: 'Check Member', 'pt-BR': 'Verificar Peça' },
+    { en: 'NBR 8800 Steel Section Checker', 'pt-BR': 'Verificador de Perfis de Aço NBR 8800' },
+    { en: 'Yield Strength', 'pt-BR': 'Resistência ao Escoamento' },
+    { en: 'Modulus of Elasticity (E, MPa)', 'pt-BR': 'Módulo de Elasticidade (E, MPa)' },
+    { en: 'Section Geometry (I-Section)', 'pt-BR': 'Geometria do Perfil (Perfil I)' },
+    { en: 'Flange Width', 'pt-BR': 'Largura Mesa' },
+    { en: 'Flange Thickness', 'pt-BR': 'Espessura Mesa' },
+    { en: 'Web Thickness', 'pt-BR': 'Espessura Alma' },
+    { en: 'Gross Area', 'pt-BR': 'Área Bruta' },
+    { en: 'Plastic Modulus', 'pt-BR': 'Módulo Plástico' },
+    { en: 'Radius of Gyration', 'pt-BR': 'Raio de Giração' },
+    { en: 'Lateral Bracing', 'pt-BR': 'Contenção Lateral' },
+    { en: 'Unbraced Length', 'pt-BR': 'Dist. entre Contenções' },
+    { en: 'Modification Factor', 'pt-BR': 'Fator de Modificação' },
+    { en: 'Values already factored (ULS).', 'pt-BR': 'Valores já majorados (ELU).' },
+    { en: 'Axial Force', 'pt-BR': 'Força Axial' },
+    { en: 'Bending Moment', 'pt-BR': 'Momento Fletor' },
+    { en: 'Click "Check Section" to see the results.', 'pt-BR': 'Clique em "Verificar Perfil" para ver os resultados.' },
+    { en: 'Check Section', 'pt-BR': 'Verificar Perfil' },
+    { en: 'Detailed Check Report', 'pt-BR': 'Relatório de Verificação Detalhado' },
+    { en: 'Detailed Check Report (NBR 6118)', 'pt-BR': 'Relatório de Verificação Detalhado (NBR 6118)' },
+    { en: 'Design Strengths', 'pt-BR': 'Resistências de Cálculo' },
+    { en: 'Checks (ULS and SLS)', 'pt-BR': 'Verificações (ELU e ELS)' },
+    { en: 'Design Checks (ULS)', 'pt-BR': 'Verificações de Cálculo (ELU)' },
+    { en: 'Axial Compression', 'pt-BR': 'Compressão Axial' },
+    { en: 'Axial Compression:', 'pt-BR': 'Compressão Axial:' },
+    { en: 'Flexure (X Axis)', 'pt-BR': 'Flexão (Eixo X)' },
+    { en: 'Flexure (X Axis):', 'pt-BR': 'Flexão (Eixo X):' },
+    { en: 'Flexure:', 'pt-BR': 'Flexão:' },
+    { en: 'Shear:', 'pt-BR': 'Cisalhamento:' },
+    { en: 'N + M Interaction', 'pt-BR': 'Interação N + M' },
+    { en: 'N + M Interaction:', 'pt-BR': 'Interação N + M:' },
+    { en: 'Deflection (SLS):', 'pt-BR': 'Deformação (ELS):' },
+    { en: 'Compression Strut Check', 'pt-BR': 'Verif. Biela Comprimida' },
+    { en: 'Compression Strut (V', 'pt-BR': 'Biela Comprimida (V' },
+    { en: 'Design Value (Sd)', 'pt-BR': 'Solicitante (Sd)' },
+    { en: 'Resistance (Rd)', 'pt-BR': 'Resistente (Rd)' },
+    { en: 'NOT OK', 'pt-BR': 'NÃO OK' },
+    { en: 'NBR 8800 Equation 5.4.2.2', 'pt-BR': 'Equação NBR 8800 5.4.2.2' }
+];
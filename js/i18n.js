@@ -0,0 +1,135 @@
+/**
+ * Internationalization: English and Brazilian Portuguese. The pages are written in one language
+ * (the US calculators in English, the NBR calculators in Portuguese) and translated as they are
+ * shown. Every text of the page, including results and reports rendered later, is looked up in
+ * the message catalog (js/i18n-catalog.js) and replaced by its counterpart in the language chosen
+ * in the header. Texts without a catalog entry stay as written. The part that touches the page
+ * lives in js/template.js (initializeLanguage); this module holds the parts that do not need the
+ * DOM.
+ */
+
+import { catalog } from './i18n-catalog.js';
+
+export const LANGUAGES = { en: 'English', 'pt-BR': 'Português (Brasil)' };
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Maps a language tag ('pt', 'pt-br', 'en-US'...) to one of LANGUAGES.
+ * @param {string} tag
+ * @returns {string|null}
+ */
+export function normalizeLanguage(tag) {
+    const value = String(tag ?? '').trim().toLowerCase();
+    if (value.startsWith('pt')) return 'pt-BR';
+    if (value.startsWith('en')) return 'en';
+    return null;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const collapse = text => text.replace(/\s+/g, ' ').trim();
+// Separates a context from the text in lookup keys, as gettext does.
+const contextKey = (context, text) => (context ? `${context}\u0004${text}` : text);
+// A label ending in a parenthesis with symbols, e.g. "Mean Roof Height (h)".
+const TRAILING_SYMBOLS = /^(.*\S)\s*\([^()]*\)$/;
+// The same label as a fragment, cut where an element (a subscript, a unit) starts, e.g. the
+// "Concrete Strength (f" of "Concrete Strength (f<sub>c</sub>, psi)".
+const OPEN_PARENTHESIS = /^(.*\S)(\s*\([^()]*)$/;
+
+/**
+ * Creates a translator into a language. A text is translated when it matches, ignoring
+ * surrounding and repeated whitespace, the entry of any other language in the catalog. Entries
+ * may hold placeholders such as '{label} is required.'; the text in their place is translated
+ * too when the catalog has it. A label that ends in symbols is also found when the page breaks
+ * it up with a subscript or unit.
+ * @param {string} language - The target language, a key of LANGUAGES.
+ * @param {object[]} [messages=catalog] - Entries keyed by language tag.
+ * @returns {function(string, string=): string} Takes the text and optionally its context (see the
+ *   catalog); returns the text unchanged when there is no translation.
+ */
+export function createTranslator(language, messages = catalog) {
+    const exact = new Map();
+    const templates = [];
+    for (const entry of messages) {
+        const target = entry[language];
+        if (target === undefined) continue;
+        for (const [tag, source] of Object.entries(entry)) {
+            if (tag === language || tag === 'context') continue;
+            if (!/\{\w+\}/.test(source)) {
+                exact.set(contextKey(entry.context, collapse(source)), target);
+                const [sourceName, targetName] = [source, target].map(text => TRAILING_SYMBOLS.exec(collapse(text))?.[1]);
+                if (sourceName && targetName && !exact.has(sourceName)) exact.set(sourceName, targetName);
+                continue;
+            }
+            const names = [];
+            const pattern = collapse(source).split(/(\{\w+\})/).map(part => {
+                const name = /^\{(\w+)\}$/.exec(part)?.[1];
+                if (!name) return escapeRegExp(part);
+                names.push(name);
+                return '(.+?)';
+            }).join('');
+            templates.push({ regex: new RegExp(`^${pattern}$`), names, target, literal: source.replace(/\{\w+\}/g, '').length });
+        }
+    }
+    // The template with the most fixed text is the most specific match.
+    templates.sort((a, b) => b.literal - a.literal);
+
+    const lookup = (key, context) => {
+        const found = (context && exact.get(contextKey(context, key))) ?? exact.get(key);
+        if (found !== undefined) return found;
+        for (const { regex, names, target } of templates) {
+            const match = regex.exec(key);
+            if (!match) continue;
+            return target.replace(/\{(\w+)\}/g, (placeholder, name) => {
+                const index = names.indexOf(name);
+                return index < 0 ? placeholder : translate(match[index + 1]);
+            });
+        }
+        const fragment = OPEN_PARENTHESIS.exec(key);
+        if (!fragment) return undefined;
+        const name = exact.get(fragment[1]);
+        return name === undefined ? undefined : name + fragment[2];
+    };
+
+    const translate = (text, context) => {
+        const key = collapse(text);
+        if (!key) return text;
+        const translated = lookup(key, context);
+        if (translated === undefined) return text;
+        // Keep the whitespace around the text, which separates it from neighbouring elements.
+        return text.match(/^\s*/)[0] + translated + text.match(/\s*$/)[0];
+    };
+    return translate;
+}
+
+// A number written the JavaScript way ("1234.5", or "1,234.5" from toLocaleString), not part of
+// a code reference: clause numbers such as "Eq. 26.10-1", "Table 1.5-2" or "J3.3" and version
+// numbers such as "1.0.0" are left alone.
+const NUMBER = /(?<![\w.,])(?<!(?:Eq|Eqs|Equation|Table|Tables|Section|Sec|Fig|Figure|Chapter|Item|Tabela|Seção|Equação|Capítulo|Anexo|§)\.?\s)(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+\.\d+)(?![.,]?\d|-\d)/g;
+
+/**
+ * Formats a number for a language, keeping the given number of decimals.
+ * @param {number} value
+ * @param {string} language
+ * @param {number} [decimals] - Fixed decimals; by default up to 6, as needed.
+ * @returns {string}
+ */
+export function formatNumber(value, language, decimals) {
+    const fixed = decimals === undefined ? { maximumFractionDigits: 6 } : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    return new Intl.NumberFormat(language, fixed).format(value);
+}
+
+/**
+ * Rewrites the numbers in a text in the conventions of a language: "1,234.5" becomes
+ * "1.234,5" in Portuguese. Texts are only rewritten into Portuguese, since the pages write
+ * numbers the English way.
+ * @param {string} text
+ * @param {string} language
+ * @returns {string}
+ */
+export function localizeNumbers(text, language) {
+    if (language !== 'pt-BR') return text;
+    return text.replace(NUMBER, number => {
+        const decimals = number.includes('.') ? number.length - number.indexOf('.') - 1 : 0;
+        return formatNumber(Number(number.replace(/,/g, '')), language, decimals);
+    });
+}
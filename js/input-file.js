@@ -0,0 +1,222 @@
+/**
+ * Versioned input file format shared by every calculator's "Save Inputs" / "Load Inputs" buttons.
+ *
+ * A saved file wraps the raw input values in a header that identifies the calculator and the
+ * schema version they were written against:
+ *
+ * {
+ *   "format": "structural-calculators-inputs",
+ *   "calculator": "wind",
+ *   "schema_version": 1,
+ *   "app_version": "1.0.0",
+ *   "code_edition": "ASCE 7-22",
+ *   "units": "imperial",
+ *   "saved_at": "2026-01-01T00:00:00.000Z",
+ *   "inputs": { ... }
+ * }
+ *
+ * Files written before the header existed are a bare object of input values; they are read as
+ * schema version 0. When an input ID is renamed or its meaning changes, bump the schema's
+ * `version` and register a migration under the new version number, e.g.
+ * `migrations: { 2: inputs => renameFields(inputs, { old_id: 'new_id' }) }`.
+ */
+
+import { normalizeUnitSystem, quantities } from './units.js';
+
+export const INPUT_FILE_FORMAT = 'structural-calculators-inputs';
+export const APP_VERSION = '1.0.0';
+
+const FIELD_TYPES = ['number', 'string', 'boolean'];
+
+/**
+ * Returns a copy of `inputs` with keys renamed according to `renames` ({ oldId: newId }).
+ * Intended for use inside schema migrations.
+ * @param {object} inputs
+ * @param {Object<string, string>} renames
+ * @returns {object}
+ */
+export function renameFields(inputs, renames) {
+    const renamed = {};
+    for (const [key, value] of Object.entries(inputs)) {
+        renamed[renames[key] || key] = value;
+    }
+    return renamed;
+}
+
+/**
+ * Resolves the code edition or unit system recorded in a file header, either from a fixed
+ * schema value or from the input field that selects it.
+ */
+function headerValue(schema, inputs, name) {
+    const field = schema[`${name}Field`];
+    if (field && inputs[field] !== undefined && inputs[field] !== null) return String(inputs[field]);
+    return schema[name] || null;
+}
+
+function headerUnits(schema, inputs) {
+    return normalizeUnitSystem(headerValue(schema, inputs, 'units')) || schema.engineUnits || null;
+}
+
+/**
+ * Builds the file contents for a set of inputs.
+ * @param {object} schema - A calculator schema from `inputSchemas`.
+ * @param {object} inputs - Input values keyed by field ID (as returned by gatherInputsFromIds).
+ * @param {Date} [now=new Date()] - Timestamp written to the header.
+ * @returns {object} The headered file object, ready for JSON.stringify.
+ */
+export function createInputFile(schema, inputs, now = new Date()) {
+    const values = {};
+    for (const id of Object.keys(schema.fields)) {
+        // Empty fields are written as null so that a reload clears them instead of reporting them missing.
+        values[id] = inputs[id] === undefined ? null : inputs[id];
+    }
+    return {
+        format: INPUT_FILE_FORMAT,
+        calculator: schema.id,
+        schema_version: schema.version,
+        app_version: APP_VERSION,
+        code_edition: headerValue(schema, inputs, 'edition'),
+        units: headerUnits(schema, inputs),
+        saved_at: now.toISOString(),
+        inputs: values
+    };
+}
+
+/**
+ * Applies the schema's migrations in order to bring inputs from `fromVersion` up to the current version.
+ * @param {object} schema
+ * @param {object} inputs
+ * @param {number} fromVersion
+ * @returns {object} The migrated inputs.
+ */
+export function migrateInputs(schema, inputs, fromVersion) {
+    let migrated = { ...inputs };
+    for (let version = fromVersion + 1; version <= schema.version; version++) {
+        const migration = schema.migrations?.[version];
+        if (typeof migration === 'function') migrated = migration(migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Checks one value against its declared field type. Numeric strings are accepted for number
+ * fields so that hand-edited files still load.
+ * @returns {{ok: boolean, value: *}}
+ */
+function coerceValue(type, value) {
+    if (value === null) return { ok: true, value: null };
+    if (type === 'number') {
+        const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof num === 'number' && Number.isFinite(num) ? { ok: true, value: num } : { ok: false };
+    }
+    if (type === 'boolean') {
+        if (value === 'true' || value === 'false') return { ok: true, value: value === 'true' };
+        return typeof value === 'boolean' ? { ok: true, value } : { ok: false };
+    }
+    return typeof value === 'string' ? { ok: true, value } : { ok: false };
+}
+
+/**
+ * Parses and validates the contents of an input file for a given calculator.
+ *
+ * Throws an Error with a user-facing message when the file cannot be used at all (not JSON,
+ * written by another calculator, or by a newer schema version). Problems with individual fields
+ * do not throw; they are listed in the returned report and the offending values are dropped.
+ *
+ * @param {string} text - The raw file contents.
+ * @param {object} schema - A calculator schema from `inputSchemas`.
+ * @returns {{inputs: object, header: object|null, report: {unknown: string[], missing: string[], invalid: string[], migratedFrom: number|null}}}
+ */
+export function readInputFile(text, schema) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The file does not contain a set of inputs.');
+    }
+
+    let header = null;
+    let rawInputs = data;
+    let fileVersion = 0;
+    if (data.format === INPUT_FILE_FORMAT) {
+        const { inputs, ...rest } = data;
+        header = rest;
+        if (header.calculator !== schema.id) {
+            throw new Error(`This file was saved by the "${header.calculator}" calculator, not "${schema.id}".`);
+        }
+        if (!Number.isInteger(header.schema_version) || header.schema_version < 0) {
+            throw new Error('The file header has an invalid schema version.');
+        }
+        if (header.schema_version > schema.version) {
+            throw new Error(`This file uses input schema version ${header.schema_version}, but this calculator only understands up to version ${schema.version}. Please update the application.`);
+        }
+        if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+            throw new Error('The file header is present but the "inputs" section is missing.');
+        }
+        rawInputs = inputs;
+        fileVersion = header.schema_version;
+    } else if (typeof data.format === 'string') {
+        throw new Error(`Unrecognized file format "${data.format}".`);
+    }
+
+    const migrated = fileVersion < schema.version ? migrateInputs(schema, rawInputs, fileVersion) : rawInputs;
+    const report = {
+        unknown: [],
+        missing: [],
+        invalid: [],
+        migratedFrom: fileVersion < schema.version ? fileVersion : null
+    };
+    const inputs = {};
+    for (const [id, type] of Object.entries(schema.fields)) {
+        if (!(id in migrated) || migrated[id] === undefined) {
+            report.missing.push(id);
+            continue;
+        }
+        const { ok, value } = coerceValue(type, migrated[id]);
+        if (ok) inputs[id] = value;
+        else report.invalid.push(id);
+    }
+    report.unknown = Object.keys(migrated).filter(id => !(id in schema.fields));
+
+    return { inputs, header, report };
+}
+
+/**
+ * Checks a schema definition for mistakes (used by the test suite).
+ * @param {object} schema
+ * @returns {string[]} A list of problems; empty when the schema is well-formed.
+ */
+export function checkSchema(schema) {
+    const problems = [];
+    if (!schema.id) problems.push('missing id');
+    if (!Number.isInteger(schema.version) || schema.version < 1) problems.push('version must be a positive integer');
+    for (const [id, type] of Object.entries(schema.fields || {})) {
+        if (!FIELD_TYPES.includes(type)) problems.push(`field "${id}" has unknown type "${type}"`);
+    }
+    for (const name of ['edition', 'units']) {
+        const field = schema[`${name}Field`];
+        if (field && !(field in schema.fields)) problems.push(`${name}Field "${field}" is not a field`);
+        if (!field && !schema[name]) problems.push(`no ${name} or ${name}Field`);
+    }
+    const fieldIds = Object.keys(schema.fields || {});
+    for (const [id, quantity] of Object.entries(schema.quantities || {})) {
+        if (schema.fields?.[id] !== 'number') problems.push(`quantity field "${id}" is not a number field`);
+        if (!quantities[quantity]) problems.push(`field "${id}" has unknown quantity "${quantity}"`);
+        // Loading applies fields in order and switching units converts the values already entered,
+        // so the selector has to be applied before any field it converts.
+        if (schema.unitsField && fieldIds.indexOf(id) < fieldIds.indexOf(schema.unitsField)) {
+            problems.push(`quantity field "${id}" comes before the unit selector`);
+        }
+    }
+    for (const id of Object.keys(schema.criteria || {})) {
+        if (!(id in (schema.fields || {}))) problems.push(`criteria field "${id}" is not a field`);
+    }
+    if (schema.engineUnits && !normalizeUnitSystem(schema.engineUnits)) problems.push(`unknown engineUnits "${schema.engineUnits}"`);
+    for (const version of Object.keys(schema.migrations || {})) {
+        if (Number(version) < 1 || Number(version) > schema.version) problems.push(`migration for version ${version} is out of range`);
+    }
+    return problems;
+}
@@ -0,0 +1,381 @@
+/**
+ * Input schemas for every calculator page. Each schema lists the page's input fields in form
+ * order with the type of value they hold, which is what the pages use as their input ID list,
+ * and what `readInputFile` validates saved files against.
+ *
+ * `editionField` names the input that selects the code edition (calculators with a single
+ * edition give a fixed `edition` instead) and `unitsField` the unit system selector.
+ * `quantities` tags the numeric fields that carry a unit (see js/units.js), and `engineUnits`
+ * is set when the engine only accepts one unit system, so that inputs are converted before the
+ * calculation. `criteria` names the inputs quoted, with their labels, in the design criteria
+ * summary of a project's package report (js/package-report.js). See js/input-file.js for how
+ * `version` and `migrations` are used.
+ */
+
+const N = 'number';
+const S = 'string';
+const B = 'boolean';
+
+// The wind page describes the upwind terrain in eight 45° sectors (see asce/wind-exposure.js),
+// with each sector field named exp_sector_<bearing>_<name>.
+const sectorFields = values => Object.fromEntries([0, 45, 90, 135, 180, 225, 270, 315]
+    .flatMap(bearing => Object.entries(values).map(([name, value]) => [`exp_sector_${bearing}_${name}`, value])));
+
+export const inputSchemas = {
+    wind: {
+        id: 'wind',
+        title: 'ASCE 7 Wind Loads',
+        storageKey: 'wind-calculator-inputs',
+        version: 6,
+        editionField: 'asce_standard',
+        unitsField: 'unit_system',
+        fields: {
+            asce_standard: S, unit_system: S, risk_category: S, design_method: S, jurisdiction: S,
+            ground_elevation: N, topographic_factor_Kzt: N, basic_wind_speed: N, exposure_category: S,
+            mean_roof_height: N, building_flexibility: S, fundamental_period: N, building_length_L: N,
+            building_width_B: N, enclosure_classification: S, roof_type: S, roof_slope_deg: N,
+            structure_type_for_kd: S, gust_effect_factor_g: N, temporary_construction: S, wind_obstruction: S,
+            effective_wind_area: N, calculate_height_varying_pressure: S, mwfrs_procedure: S,
+            structure_class: S, other_structure_type: S, sign_height_h: N, sign_dimension_s: N, sign_width_B: N,
+            sign_solidity_ratio: N, open_member_shape: S, open_member_diameter: N, chimney_shape: S, chimney_height: N,
+            chimney_diameter: N, equipment_area_Af: N, equipment_area_Ar: N, solar_method: S, solar_exposed: S,
+            solar_area: N, solar_tilt_deg: N, solar_chord_Lp: N, solar_parapet_height: N, topo_feature: S,
+            topo_hill_height_H: N, topo_half_length_Lh: N, topo_distance_x: N, topo_crest_side: S, exposure_method: S,
+            wind_direction_L: S, ...sectorFields({ roughness: S, fetch: N, upwind_roughness: S, upwind_fetch: N })
+        },
+        quantities: {
+            ground_elevation: 'length', basic_wind_speed: 'speed', mean_roof_height: 'length',
+            building_length_L: 'length', building_width_B: 'length', effective_wind_area: 'area',
+            sign_height_h: 'length', sign_dimension_s: 'length', sign_width_B: 'length', open_member_diameter: 'length',
+            chimney_height: 'length', chimney_diameter: 'length', equipment_area_Af: 'area', equipment_area_Ar: 'area',
+            solar_area: 'area', solar_chord_Lp: 'length', solar_parapet_height: 'length', topo_hill_height_H: 'length',
+            topo_half_length_Lh: 'length', topo_distance_x: 'length', ...sectorFields({ fetch: 'length', upwind_fetch: 'length' })
+        },
+        criteria: {
+            risk_category: 'Risk category', basic_wind_speed: 'Basic wind speed, V', exposure_category: 'Exposure category',
+            topographic_factor_Kzt: 'Topographic factor, Kzt', enclosure_classification: 'Enclosure classification',
+            mean_roof_height: 'Mean roof height, h', mwfrs_procedure: 'MWFRS procedure', structure_class: 'Structure class'
+        },
+        migrations: {
+            // Version 2 added the choice of MWFRS procedure; earlier files used the Directional Procedure.
+            2: inputs => ({ ...inputs, mwfrs_procedure: 'Directional' }),
+            // Version 3 added other structures (Chapter 29). Earlier files are buildings; the
+            // dimensions of the other structure are left blank.
+            3: inputs => ({
+                ...inputs, structure_class: 'Building', other_structure_type: 'solid_sign', open_member_shape: 'flat',
+                chimney_shape: 'round_smooth', solar_method: 'tilted', solar_exposed: 'No',
+                ...Object.fromEntries(['sign_height_h', 'sign_dimension_s', 'sign_width_B', 'sign_solidity_ratio', 'open_member_diameter',
+                    'chimney_height', 'chimney_diameter', 'equipment_area_Af', 'equipment_area_Ar', 'solar_area', 'solar_tilt_deg',
+                    'solar_chord_Lp', 'solar_parapet_height'].map(id => [id, null]))
+            }),
+            // Version 4 added the Kzt calculator; earlier files keep the Kzt they entered.
+            4: inputs => ({
+                ...inputs, topo_feature: 'none', topo_hill_height_H: null, topo_half_length_Lh: null, topo_distance_x: null,
+                topo_crest_side: 'upwind'
+            }),
+            // Version 5 added exposure by upwind sector; earlier files use their single exposure category.
+            5: inputs => ({
+                ...inputs, exposure_method: 'category', wind_direction_L: '0',
+                ...sectorFields({ roughness: 'C', fetch: null, upwind_roughness: 'C' })
+            }),
+            // Version 6 added the extent of the roughness beyond each sector's fetch. Without it,
+            // roughness D beyond no longer extends Exposure D downwind.
+            6: inputs => ({ ...inputs, ...sectorFields({ upwind_fetch: null }) })
+        }
+    },
+    snow: {
+        id: 'snow',
+        title: 'ASCE 7 Snow Loads',
+        storageKey: 'snow-calculator-inputs',
+        version: 1,
+        editionField: 'snow_asce_standard',
+        unitsField: 'snow_unit_system',
+        fields: {
+            snow_asce_standard: S, snow_unit_system: S, snow_risk_category: S, snow_design_method: S,
+            snow_jurisdiction: S, snow_roof_type: S, snow_nycbc_minimum_roof_snow_load: N, snow_ground_snow_load: N,
+            snow_surface_roughness_category: S, snow_exposure_condition: S, snow_thermal_condition: S,
+            snow_roof_slope_degrees: N, snow_is_roof_slippery: S, snow_calculate_unbalanced: S,
+            snow_calculate_drift: S, snow_calculate_sliding: S, snow_eave_to_ridge_distance_W: N,
+            snow_is_simply_supported_prismatic: S, snow_winter_wind_parameter_W2: N, snow_upper_roof_length_lu: N,
+            snow_height_difference_hc: N, snow_lower_roof_length_ll: N
+        },
+        quantities: {
+            snow_nycbc_minimum_roof_snow_load: 'pressure', snow_ground_snow_load: 'pressure',
+            snow_eave_to_ridge_distance_W: 'length', snow_upper_roof_length_lu: 'length',
+            snow_height_difference_hc: 'length', snow_lower_roof_length_ll: 'length'
+        },
+        criteria: {
+            snow_risk_category: 'Risk category', snow_ground_snow_load: 'Ground snow load, pg',
+            snow_surface_roughness_category: 'Surface roughness', snow_exposure_condition: 'Exposure',
+            snow_thermal_condition: 'Thermal condition'
+        },
+        migrations: {}
+    },
+    rain: {
+        id: 'rain',
+        title: 'ASCE 7 Rain Loads',
+        storageKey: 'rain-calculator-inputs',
+        version: 1,
+        editionField: 'rain_asce_standard',
+        unitsField: 'rain_unit_system',
+        fields: {
+            rain_asce_standard: S, rain_unit_system: S, rain_design_method: S, rain_jurisdiction: S,
+            rain_tributary_area: N, rain_intensity: N, rain_static_head: N, rain_hydraulic_head: N,
+            dh_auto_calc_toggle: B, rain_drain_type: S, rain_scupper_width: N, rain_drain_diameter: N
+        },
+        quantities: {
+            rain_tributary_area: 'area', rain_intensity: 'rainfall_intensity', rain_static_head: 'dimension',
+            rain_hydraulic_head: 'dimension', rain_scupper_width: 'dimension', rain_drain_diameter: 'dimension'
+        },
+        criteria: {
+            rain_intensity: 'Rainfall intensity, i', rain_static_head: 'Static head, ds', rain_tributary_area: 'Tributary area'
+        },
+        migrations: {}
+    },
+    combos: {
+        id: 'combos',
+        title: 'ASCE 7 Load Combinations',
+        storageKey: 'combo-calculator-inputs',
+        version: 1,
+        editionField: 'combo_asce_standard',
+        unitsField: 'combo_unit_system',
+        fields: {
+            combo_asce_standard: S, combo_jurisdiction: S, combo_design_method: S, combo_input_load_level: S,
+            combo_unit_system: S, combo_dead_load_d: N, combo_live_load_l: N, combo_roof_live_load_lr: N,
+            combo_rain_load_r: N, combo_balanced_snow_load_sb: N, combo_unbalanced_windward_snow_load_suw: N,
+            combo_unbalanced_leeward_snow_load_sul: N, combo_drift_surcharge_sd: N, combo_wind_wall_ww_max: N,
+            combo_wind_wall_ww_min: N, combo_wind_wall_lw_max: N, combo_wind_wall_lw_min: N,
+            combo_wind_roof_ww_max: N, combo_wind_roof_ww_min: N, combo_wind_roof_lw_max: N,
+            combo_wind_roof_lw_min: N, combo_wind_cc_max: N, combo_wind_cc_min: N, combo_wind_cc_wall_max: N,
+            combo_wind_cc_wall_min: N, combo_seismic_load_e: N
+        },
+        quantities: {
+            combo_dead_load_d: 'pressure', combo_live_load_l: 'pressure', combo_roof_live_load_lr: 'pressure',
+            combo_rain_load_r: 'pressure', combo_balanced_snow_load_sb: 'pressure',
+            combo_unbalanced_windward_snow_load_suw: 'pressure', combo_unbalanced_leeward_snow_load_sul: 'pressure',
+            combo_drift_surcharge_sd: 'pressure', combo_wind_wall_ww_max: 'pressure',
+            combo_wind_wall_ww_min: 'pressure', combo_wind_wall_lw_max: 'pressure',
+            combo_wind_wall_lw_min: 'pressure', combo_wind_roof_ww_max: 'pressure',
+            combo_wind_roof_ww_min: 'pressure', combo_wind_roof_lw_max: 'pressure',
+            combo_wind_roof_lw_min: 'pressure', combo_wind_cc_max: 'pressure', combo_wind_cc_min: 'pressure',
+            combo_wind_cc_wall_max: 'pressure', combo_wind_cc_wall_min: 'pressure', combo_seismic_load_e: 'pressure'
+        },
+        criteria: { combo_design_method: 'Design method', combo_input_load_level: 'Input load level' },
+        migrations: {}
+    },
+    'steel-check': {
+        id: 'steel-check',
+        title: 'AISC 360 Steel Member Check',
+        storageKey: 'steel-check-inputs',
+        version: 2,
+        editionField: 'aisc_standard',
+        unitsField: 'unit_system',
+        engineUnits: 'imperial',
+        fields: {
+            design_method: S, aisc_standard: S, unit_system: S, Fy: N, Fu: N, E: N, section_type: S, d: N, bf: N,
+            tf: N, tw: N, Ag_manual: N, I_manual: N, Sx_manual: N, Zx_manual: N, ry_manual: N, rts_manual: N,
+            J_manual: N, Cw_manual: N, Iy_manual: N, Sy_manual: N, Zy_manual: N, lb_bearing: N, is_end_bearing: S,
+            k_des: N, Cm: N, Lb_input: N, K: N, Cb: N, Pu_or_Pa: N, Mux_or_Max: N, Muy_or_May: N, Vu_or_Va: N,
+            Tu_or_Ta: N, deflection_span: N, deflection_limit: N, actual_deflection_input: N
+        },
+        quantities: {
+            Fy: 'stress', Fu: 'stress', E: 'stress', d: 'dimension', bf: 'dimension', tf: 'dimension',
+            tw: 'dimension', Ag_manual: 'section_area', I_manual: 'moment_of_inertia', Sx_manual: 'section_modulus',
+            Zx_manual: 'section_modulus', ry_manual: 'dimension', rts_manual: 'dimension',
+            J_manual: 'moment_of_inertia', Cw_manual: 'warping_constant', Iy_manual: 'moment_of_inertia',
+            Sy_manual: 'section_modulus', Zy_manual: 'section_modulus', lb_bearing: 'dimension', k_des: 'dimension',
+            Lb_input: 'length', Pu_or_Pa: 'force', Mux_or_Max: 'moment', Muy_or_May: 'moment', Vu_or_Va: 'force',
+            Tu_or_Ta: 'torsion', deflection_span: 'length', actual_deflection_input: 'dimension'
+        },
+        migrations: {
+            // Before version 2 the unit selector was ignored and values were always in imperial units.
+            2: inputs => ({ ...inputs, unit_system: 'imperial' })
+        }
+    },
+    'base-plate': {
+        id: 'base-plate',
+        title: 'AISC Base Plate Design',
+        storageKey: 'baseplate-inputs',
+        version: 2,
+        editionField: 'design_code',
+        unitsField: 'unit_system',
+        engineUnits: 'imperial',
+        fields: {
+            design_method: S, design_code: S, unit_system: S, base_plate_Fy: N, concrete_fc: N, anchor_bolt_Fut: N,
+            anchor_bolt_Fnv: N, weld_Fexx: N, base_plate_length_N: N, base_plate_width_B: N,
+            provided_plate_thickness_tp: N, column_depth_d: N, column_flange_width_bf: N, column_type: S,
+            anchor_bolt_diameter: N, anchor_embedment_hef: N, num_bolts_total: N, num_bolts_tension_row: N,
+            bolt_spacing_N: N, bolt_spacing_B: N, bolt_type: S, weld_size: N, axial_load_P_in: N, moment_M_in: N,
+            shear_V_in: N, assume_cracked_concrete: S
+        },
+        quantities: {
+            base_plate_Fy: 'stress', concrete_fc: 'stress', anchor_bolt_Fut: 'stress', anchor_bolt_Fnv: 'stress',
+            weld_Fexx: 'stress', base_plate_length_N: 'dimension', base_plate_width_B: 'dimension',
+            provided_plate_thickness_tp: 'dimension', column_depth_d: 'dimension',
+            column_flange_width_bf: 'dimension', anchor_bolt_diameter: 'dimension', anchor_embedment_hef: 'dimension',
+            bolt_spacing_N: 'dimension', bolt_spacing_B: 'dimension', weld_size: 'dimension',
+            axial_load_P_in: 'force', moment_M_in: 'moment', shear_V_in: 'force'
+        },
+        migrations: {
+            // Before version 2 the unit selector was ignored and values were always in imperial units.
+            2: inputs => ({ ...inputs, unit_system: 'Imperial' })
+        }
+    },
+    splice: {
+        id: 'splice',
+        title: 'AISC Splice Connection',
+        storageKey: 'splice-inputs',
+        version: 2,
+        edition: 'AISC 360-22',
+        unitsField: 'unit_system',
+        engineUnits: 'imperial',
+        fields: {
+            unit_system: S, design_method: S, gap: N, member_d: N, member_bf: N, member_tf: N, member_tw: N,
+            member_Fy: N, member_Fu: N, member_Zx: N, member_Sx: N, M_load: N, V_load: N, Axial_load: N,
+            develop_capacity_check: B, deformation_is_consideration: B, g_gage_fp: N, num_flange_plates: S,
+            flange_plate_Fy: N, flange_plate_Fu: N, H_fp: N, t_fp: N, L_fp: N, flange_plate_Fy_inner: N,
+            flange_plate_Fu_inner: N, H_fp_inner: N, t_fp_inner: N, L_fp_inner: N, Nc_fp: N, Nr_fp: N,
+            S1_col_spacing_fp: N, S2_row_spacing_fp: N, S3_end_dist_fp: N, num_web_plates: S, web_plate_Fy: N,
+            web_plate_Fu: N, H_wp: N, t_wp: N, L_wp: N, Nc_wp: N, Nr_wp: N, S4_col_spacing_wp: N,
+            S5_row_spacing_wp: N, S6_end_dist_wp: N, D_fp: N, bolt_grade_fp: S, threads_included_fp: B, D_wp: N,
+            bolt_grade_wp: S, threads_included_wp: B
+        },
+        quantities: {
+            gap: 'dimension', member_d: 'dimension', member_bf: 'dimension', member_tf: 'dimension',
+            member_tw: 'dimension', member_Fy: 'stress', member_Fu: 'stress', member_Zx: 'section_modulus',
+            member_Sx: 'section_modulus', M_load: 'moment', V_load: 'force', Axial_load: 'force',
+            g_gage_fp: 'dimension', flange_plate_Fy: 'stress', flange_plate_Fu: 'stress', H_fp: 'dimension',
+            t_fp: 'dimension', L_fp: 'dimension', flange_plate_Fy_inner: 'stress', flange_plate_Fu_inner: 'stress',
+            H_fp_inner: 'dimension', t_fp_inner: 'dimension', L_fp_inner: 'dimension', S1_col_spacing_fp: 'dimension',
+            S2_row_spacing_fp: 'dimension', S3_end_dist_fp: 'dimension', web_plate_Fy: 'stress',
+            web_plate_Fu: 'stress', H_wp: 'dimension', t_wp: 'dimension', L_wp: 'dimension',
+            S4_col_spacing_wp: 'dimension', S5_row_spacing_wp: 'dimension', S6_end_dist_wp: 'dimension',
+            D_fp: 'dimension', D_wp: 'dimension'
+        },
+        migrations: {
+            // Version 2 added the unit selector; older files are in the engine's imperial units.
+            2: inputs => ({ unit_system: 'imperial', ...inputs })
+        }
+    },
+    'wood-design': {
+        id: 'wood-design',
+        title: 'NDS Wood Member Design',
+        storageKey: 'wood-design-inputs',
+        version: 2,
+        edition: 'NDS',
+        unitsField: 'unit_system',
+        engineUnits: 'imperial',
+        fields: {
+            unit_system: S, Fb_unadjusted: N, Fv_unadjusted: N, Fc_perp_unadjusted: N, Fc_unadjusted: N,
+            E_unadjusted: N, E_min_unadjusted: N, b_width: N, d_depth: N, unbraced_length_L: N,
+            effective_length_factor_K: N, bearing_length_Lb: N, load_duration: S, wet_service: S, temperature: S,
+            flat_use: S, incising: S, repetitive_member: S, deflection_span: N, deflection_limit: N,
+            actual_deflection: N, axial_load_P: N, moment_load_M: N, shear_load_V: N
+        },
+        quantities: {
+            Fb_unadjusted: 'low_stress', Fv_unadjusted: 'low_stress', Fc_perp_unadjusted: 'low_stress',
+            Fc_unadjusted: 'low_stress', E_unadjusted: 'low_stress', E_min_unadjusted: 'low_stress',
+            b_width: 'dimension', d_depth: 'dimension', unbraced_length_L: 'length', bearing_length_Lb: 'dimension',
+            deflection_span: 'length', actual_deflection: 'dimension', axial_load_P: 'force', moment_load_M: 'moment',
+            shear_load_V: 'force'
+        },
+        migrations: {
+            // Version 2 added the unit selector; older files are in the engine's imperial units.
+            2: inputs => ({ unit_system: 'imperial', ...inputs })
+        }
+    },
+    'aci-concrete': {
+        id: 'aci-concrete',
+        title: 'ACI 318 Concrete Beam',
+        storageKey: 'aci-concrete-inputs',
+        version: 2,
+        edition: 'ACI 318-19',
+        unitsField: 'unit_system',
+        engineUnits: 'imperial',
+        fields: {
+            unit_system: S, fc: N, fy: N, b: N, h: N, cover: N, num_bars: N, bar_size: N, stirrup_size: N,
+            stirrup_legs: N, stirrup_spacing: N, Mu: N, Vu: N
+        },
+        quantities: {
+            fc: 'low_stress', fy: 'low_stress', b: 'dimension', h: 'dimension', cover: 'dimension',
+            stirrup_spacing: 'dimension', Mu: 'moment', Vu: 'force'
+        },
+        migrations: {
+            // Version 2 added the unit selector; older files are in the engine's imperial units.
+            2: inputs => ({ unit_system: 'imperial', ...inputs })
+        }
+    },
+    nbr6118: {
+        id: 'nbr6118',
+        title: 'NBR 6118 Concrete Beam',
+        storageKey: 'nbr6118-inputs',
+        version: 2,
+        edition: 'NBR 6118:2023',
+        unitsField: 'unit_system',
+        engineUnits: 'metric',
+        fields: {
+            unit_system: S, fck: N, fyk: N, bw: N, h: N, c: N, num_barras: N, diam_barra: N, diam_estribo: N,
+            pernas_estribo: N, s_estribo: N, Msd: N, Vsd: N
+        },
+        quantities: {
+            fck: 'stress', fyk: 'stress', bw: 'section_dimension', h: 'section_dimension', c: 'section_dimension',
+            diam_barra: 'dimension', diam_estribo: 'dimension', s_estribo: 'section_dimension', Msd: 'moment',
+            Vsd: 'force'
+        },
+        migrations: {
+            // Version 2 added the unit selector; older files are in the engine's metric units.
+            2: inputs => ({ unit_system: 'metric', ...inputs })
+        }
+    },
+    nbr7190: {
+        id: 'nbr7190',
+        title: 'NBR 7190 Timber Member',
+        storageKey: 'nbr7190-inputs',
+        version: 2,
+        edition: 'NBR 7190:1997',
+        unitsField: 'unit_system',
+        engineUnits: 'metric',
+        fields: {
+            unit_system: S, fc0k: N, fvk: N, Ec0_ef: N, b: N, h: N, L: N, kmod1: S, kmod2: S, Msd: N, Vsd: N
+        },
+        quantities: {
+            fc0k: 'stress', fvk: 'stress', Ec0_ef: 'stress', b: 'section_dimension', h: 'section_dimension',
+            L: 'length', Msd: 'moment', Vsd: 'force'
+        },
+        migrations: {
+            // Version 2 added the unit selector; older files are in the engine's metric units.
+            2: inputs => ({ unit_system: 'metric', ...inputs })
+        }
+    },
+    nbr8800: {
+        id: 'nbr8800',
+        title: 'NBR 8800 Steel Member',
+        storageKey: 'nbr8800-inputs',
+        version: 2,
+        edition: 'NBR 8800:2008',
+        unitsField: 'unit_system',
+        engineUnits: 'metric',
+        fields: {
+            unit_system: S, fy: N, E: N, d: N, bf: N, tf: N, tw: N, Ag: N, Zx: N, rx: N, ry: N, Lb: N, Cb: N, Nsd: N,
+            Msdx: N
+        },
+        quantities: {
+            fy: 'stress', E: 'stress', d: 'dimension', bf: 'dimension', tf: 'dimension', tw: 'dimension',
+            Ag: 'section_area', Zx: 'section_modulus', rx: 'dimension', ry: 'dimension', Lb: 'length', Nsd: 'force',
+            Msdx: 'moment'
+        },
+        migrations: {
+            // Version 2 added the unit selector; older files are in the engine's metric units.
+            2: inputs => ({ unit_system: 'metric', ...inputs })
+        }
+    }
+};
+
+/**
+ * Returns the input IDs of a schema, in form order.
+ * @param {object} schema
+ * @returns {string[]}
+ */
+export function schemaInputIds(schema) {
+    return Object.keys(schema.fields);
+}
@@ -0,0 +1,290 @@
+/**
+ * Batch checks of a member schedule: one row per member, read from CSV, each run through a
+ * calculator's engine on top of the inputs entered on the page. The panel that drives this lives
+ * in js/shared-utils.js (initializeMemberBatch); this module holds the parts that do not need
+ * the DOM.
+ *
+ * A schedule's columns are matched to the calculator's input IDs (see js/input-schemas.js),
+ * ignoring case, spaces, underscores and a trailing unit such as "(kips)", or to one of the
+ * aliases below. A column named "member", "id", "mark" or "tag" labels the rows. Blank cells keep
+ * the value entered on the page, so a schedule only needs the columns that change.
+ */
+
+import { formatCsv, parseCsv } from './csv.js';
+
+export const MAX_BATCH_MEMBERS = 500;
+
+const ratio = (demand, capacity) => (capacity > 0 ? Math.abs(demand) / capacity : Infinity);
+
+/**
+ * The calculators that support batch checks: extra column names accepted for their inputs, and
+ * the demand/capacity ratios of a result, computed the same way as their reports.
+ */
+export const batchCalculators = {
+    'steel-check': {
+        aliases: {
+            Pu_or_Pa: ['Pu', 'Pa', 'P'], Mux_or_Max: ['Mux', 'Max', 'Mu', 'M'], Muy_or_May: ['Muy', 'May'],
+            Vu_or_Va: ['Vu', 'Va', 'V'], Tu_or_Ta: ['Tu', 'Ta', 'T'], Lb_input: ['Lb', 'L', 'length'],
+            section_type: ['type']
+        },
+        checks(result) {
+            const { inputs, axial, flexure, flexure_y: flexureY, shear, interaction, torsion, shear_torsion_interaction: shearTorsion, combined_stress_H33: h33, deflection } = result;
+            const checks = [];
+            if (axial.type) checks.push({ name: axial.type, ratio: ratio(inputs.Pu_or_Pa, axial.phiPn_or_Pn_omega || 0) });
+            checks.push({ name: 'Flexure', ratio: ratio(inputs.Mux_or_Max, flexure.phiMn_or_Mn_omega) });
+            if (inputs.Muy_or_May && flexureY?.phiMny_or_Mny_omega !== undefined) {
+                checks.push({ name: 'Minor-axis flexure', ratio: ratio(inputs.Muy_or_May, flexureY.phiMny_or_Mny_omega) });
+            }
+            checks.push({ name: 'Shear', ratio: ratio(inputs.Vu_or_Va, shear.phiVn_or_Vn_omega) });
+            if (interaction.ratio) checks.push({ name: `Combined forces (${interaction.equation})`, ratio: interaction.ratio });
+            if (torsion.applicable && torsion.phiTn_or_Tn_omega > 0) checks.push({ name: 'Torsion', ratio: ratio(inputs.Tu_or_Ta, torsion.phiTn_or_Tn_omega) });
+            if (shearTorsion.applicable) checks.push({ name: 'Shear + torsion', ratio: shearTorsion.ratio });
+            if (h33.applicable) checks.push({ name: 'Combined stresses (H3.3)', ratio: h33.ratio });
+            if (deflection.actual) checks.push({ name: 'Deflection', ratio: deflection.ratio });
+            return checks;
+        }
+    },
+    'wood-design': {
+        aliases: {
+            axial_load_P: ['P'], moment_load_M: ['M'], shear_load_V: ['V'], b_width: ['b'], d_depth: ['d'],
+            unbraced_length_L: ['L', 'length']
+        },
+        checks({ results }) {
+            const { adjusted: adj, actuals: actual, deflection } = results;
+            return [
+                { name: 'Flexure', ratio: ratio(actual.fb, adj.Fb_prime) },
+                { name: 'Shear', ratio: ratio(actual.fv, adj.Fv_prime) },
+                { name: 'Compression', ratio: ratio(actual.fc, adj.Fc_prime) },
+                { name: 'Deflection', ratio: ratio(deflection.actual, deflection.allowable) },
+                { name: 'Combined bending + axial', ratio: results.interaction }
+            ];
+        }
+    },
+    'aci-concrete': {
+        aliases: {},
+        checks({ inputs, results }) {
+            return [
+                { name: 'Flexure', ratio: ratio(inputs.Mu, results.phiMn) },
+                { name: 'Shear', ratio: ratio(inputs.Vu, results.phiVn) }
+            ];
+        }
+    },
+    nbr6118: {
+        aliases: { Msd: ['Md', 'M'], Vsd: ['Vd', 'V'] },
+        checks({ inputs, results }) {
+            const { flexure_details: flex, shear_details: shear } = results;
+            return [
+                { name: 'Flexão', ratio: ratio(inputs.Msd, flex.Mrd) },
+                { name: 'Cisalhamento', ratio: ratio(inputs.Vsd, shear.VRd) },
+                { name: 'Biela comprimida', ratio: ratio(inputs.Vsd, shear.VRd2) }
+            ];
+        }
+    },
+    nbr7190: {
+        aliases: { Msd: ['Md', 'M'], Vsd: ['Vd', 'V'], L: ['length', 'vao'] },
+        checks({ results }) {
+            return [
+                { name: 'Flexão', ratio: results.flexao_ratio },
+                { name: 'Cisalhamento', ratio: results.cisalhamento_ratio },
+                { name: 'Deformação (ELS)', ratio: results.deformacao_ratio }
+            ];
+        }
+    },
+    nbr8800: {
+        aliases: { Nsd: ['Nd', 'N'], Msdx: ['Msd', 'Mdx', 'M'], Lb: ['L', 'length'] },
+        checks({ inputs, results }) {
+            return [
+                { name: 'Compressão axial', ratio: ratio(inputs.Nsd, results.NcRd) },
+                { name: 'Flexão (eixo X)', ratio: ratio(inputs.Msdx, results.Mrd) },
+                { name: 'Interação N + M', ratio: results.interaction_ratio }
+            ];
+        }
+    }
+};
+
+const MEMBER_COLUMNS = ['member', 'memberid', 'id', 'mark', 'tag', 'elemento', 'peca'];
+
+// "Pu (kips)" and "pu_or_pa" both become "pu"/"puorpa"; accents are dropped so "Peça" matches "peca".
+const normalizeHeader = header => header
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s*[([].*[)\]]\s*$/, '')
+    .toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Matches the header row of a schedule to a calculator's inputs.
+ * @param {string[]} headers
+ * @param {object} schema - A calculator schema from `inputSchemas`.
+ * @returns {{member: number, fields: {index: number, id: string}[], ignored: string[]}}
+ *   `member` is the index of the label column, or -1 when there is none.
+ */
+export function mapBatchColumns(headers, schema) {
+    const lookup = new Map();
+    const aliases = batchCalculators[schema.id]?.aliases || {};
+    for (const [id, names] of Object.entries(aliases)) {
+        names.forEach(name => lookup.set(normalizeHeader(name), id));
+    }
+    // Exact input IDs win over aliases.
+    Object.keys(schema.fields).forEach(id => lookup.set(normalizeHeader(id), id));
+
+    const mapping = { member: -1, fields: [], ignored: [] };
+    headers.forEach((header, index) => {
+        const key = normalizeHeader(header);
+        const id = lookup.get(key);
+        if (mapping.member < 0 && MEMBER_COLUMNS.includes(key)) {
+            mapping.member = index;
+        } else if (id && !mapping.fields.some(field => field.id === id)) {
+            mapping.fields.push({ index, id });
+        } else {
+            mapping.ignored.push(header);
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Reads a cell as a number, accepting thousands separators ("1,250.5" or "1.250,5") and, when
+ * `decimalComma` is set, a decimal comma ("12,5").
+ * @param {string} text
+ * @param {{decimalComma?: boolean}} [options] - Without a decimal comma, "1,250" is 1250 and a
+ *   comma that does not separate thousands makes the cell invalid.
+ * @returns {number} NaN when the cell is not a number.
+ */
+export function parseBatchNumber(text, { decimalComma = true } = {}) {
+    let value = String(text).trim().replace(/\s/g, '');
+    if (!/^[+-]?[\d.,]+(e[+-]?\d+)?$/i.test(value)) return NaN;
+    const comma = value.lastIndexOf(',');
+    const dot = value.lastIndexOf('.');
+    if (decimalComma && comma > dot) {
+        value = value.replace(/\./g, '').replace(',', '.');
+    } else {
+        if (comma >= 0 && !/^[+-]?\d{1,3}(,\d{3})+(\.\d*)?(e[+-]?\d+)?$/i.test(value)) return NaN;
+        value = value.replace(/,/g, '');
+    }
+    return Number(value);
+}
+
+/**
+ * Parses a member schedule into one set of input overrides per member.
+ * @param {string} text - CSV, semicolon- or tab-separated text with a header row.
+ * @param {object} schema - A calculator schema from `inputSchemas`.
+ * @returns {{members: {member: string, inputs: object, invalid: string[], ambiguous: string[]}[], fields: string[], ignored: string[]}}
+ *   `ambiguous` lists the inputs whose cell reads as a number only with a decimal comma, in
+ *   comma-separated text where the comma cannot be one.
+ * @throws {Error} When the text has no data rows, no column matches an input, or there are too many rows.
+ */
+export function parseMemberSchedule(text, schema) {
+    const { rows, delimiter } = parseCsv(String(text ?? ''));
+    // A comma can only be a decimal comma in text that does not use it to separate cells.
+    const decimalComma = delimiter !== ',';
+    if (rows.length < 2) throw new Error('The schedule needs a header row and at least one member.');
+    const [headers, ...data] = rows;
+    if (data.length > MAX_BATCH_MEMBERS) throw new Error(`The schedule has ${data.length} members; the limit is ${MAX_BATCH_MEMBERS}.`);
+    const mapping = mapBatchColumns(headers, schema);
+    if (mapping.fields.length === 0) {
+        throw new Error(`No column matches an input of this calculator. Use input IDs such as ${Object.keys(schema.fields).slice(1, 4).join(', ')}.`);
+    }
+
+    const members = data.map((cells, row) => {
+        const inputs = {};
+        const invalid = [];
+        const ambiguous = [];
+        for (const { index, id } of mapping.fields) {
+            const cell = cells[index] ?? '';
+            if (cell === '') continue;
+            const type = schema.fields[id];
+            if (type === 'number') {
+                const value = parseBatchNumber(cell, { decimalComma });
+                if (Number.isFinite(value)) inputs[id] = value;
+                else if (Number.isFinite(parseBatchNumber(cell))) ambiguous.push(id);
+                else invalid.push(id);
+            } else if (type === 'boolean') {
+                inputs[id] = /^(true|yes|1|sim)$/i.test(cell);
+            } else {
+                inputs[id] = cell;
+            }
+        }
+        const member = mapping.member >= 0 && cells[mapping.member] ? cells[mapping.member] : `Row ${row + 1}`;
+        return { member, inputs, invalid, ambiguous };
+    });
+    return { members, fields: mapping.fields.map(field => field.id), ignored: mapping.ignored };
+}
+
+/**
+ * Lists the demand/capacity ratios of one result and picks the governing one.
+ * @param {string} calculatorId - A key of `batchCalculators`.
+ * @param {object} result - The engine's result for the member.
+ * @returns {{checks: {name: string, ratio: number}[], governing: {name: string, ratio: number}|null, status: 'Pass'|'Fail'}}
+ */
+export function summarizeMemberResult(calculatorId, result) {
+    const checks = batchCalculators[calculatorId].checks(result)
+        .filter(check => typeof check.ratio === 'number' && !Number.isNaN(check.ratio));
+    const governing = checks.reduce((worst, check) => (!worst || check.ratio > worst.ratio ? check : worst), null);
+    return { checks, governing, status: governing && governing.ratio > 1.0 ? 'Fail' : 'Pass' };
+}
+
+/**
+ * Filters summary rows by member label or governing check and by status.
+ * @param {object[]} rows - Rows of { member, governing, status }.
+ * @param {{text?: string, status?: string}} filter - `status` is 'Pass', 'Fail', 'Error' or empty for all.
+ * @returns {object[]}
+ */
+export function filterBatchRows(rows, { text = '', status = '' } = {}) {
+    const needle = text.trim().toLowerCase();
+    return rows.filter(row => (!status || row.status === status) &&
+        (!needle || row.member.toLowerCase().includes(needle) || (row.governing?.name || '').toLowerCase().includes(needle)));
+}
+
+/**
+ * Sorts summary rows by a column; errors sort after every ratio.
+ * @param {object[]} rows
+ * @param {'member'|'ratio'|'status'|string} key - A check name sorts by that check's ratio.
+ * @param {boolean} [descending=false]
+ * @returns {object[]} A new array.
+ */
+export function sortBatchRows(rows, key, descending = false) {
+    const value = row => {
+        if (key === 'member' || key === 'status') return row[key];
+        if (key === 'ratio') return row.governing?.ratio;
+        return row.checks?.find(check => check.name === key)?.ratio;
+    };
+    const direction = descending ? -1 : 1;
+    return [...rows].sort((a, b) => {
+        const x = value(a);
+        const y = value(b);
+        if (x === undefined || y === undefined) return (x === undefined) - (y === undefined);
+        if (typeof x === 'string') return direction * x.localeCompare(y, undefined, { numeric: true });
+        return direction * (x - y);
+    });
+}
+
+/**
+ * Writes the summary as CSV: member, governing check and ratio, status, every check's ratio and the error.
+ * @param {object[]} rows
+ * @param {string[]} checkNames - The check columns to include.
+ * @returns {string}
+ */
+export function batchToCsv(rows, checkNames) {
+    const round = value => (Number.isFinite(value) ? Number(value.toFixed(4)) : value);
+    return formatCsv([
+        ['member', 'governing_check', 'governing_ratio', 'status', ...checkNames, 'error'],
+        ...rows.map(row => [
+            row.member,
+            row.governing?.name,
+            row.governing ? round(row.governing.ratio) : '',
+            row.status,
+            ...checkNames.map(name => round(row.checks?.find(check => check.name === name)?.ratio)),
+            row.error || ''
+        ])
+    ]);
+}
+
+/**
+ * Writes an empty schedule with a member column and a column for every numeric input, for
+ * filling in with a spreadsheet.
+ * @param {object} schema
+ * @returns {string}
+ */
+export function memberScheduleTemplate(schema) {
+    const ids = Object.entries(schema.fields).filter(([, type]) => type === 'number').map(([id]) => id);
+    return formatCsv([['member', ...ids]]);
+}
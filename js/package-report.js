@@ -0,0 +1,111 @@
+/**
+ * Calculation package for a project: the latest run of every calculator, one chapter each, after
+ * a cover sheet and a design criteria summary. The Hub page (buildProjectPackage in
+ * js/project-workspace.js) renders each chapter through its calculator page; this module picks
+ * the runs and builds the summary tables, which do not need the DOM.
+ */
+
+import { createInputFile, readInputFile } from './input-file.js';
+import { inputSchemas } from './input-schemas.js';
+import { unitLabel } from './units.js';
+
+/**
+ * Reads the inputs of a project run. Runs are stored as input files (js/input-file.js), so they are
+ * validated and migrated exactly like a loaded file; runs saved before that hold bare input values,
+ * which are read as a legacy file.
+ * @param {object} run - A run from a project.
+ * @param {object} schema - The run's calculator schema from `inputSchemas`.
+ * @returns {{inputs: object, header: object|null, report: object}} As from readInputFile.
+ */
+export function readProjectRun(run, schema) {
+    return readInputFile(JSON.stringify(run.inputs || {}), schema);
+}
+
+/**
+ * Picks the most recently saved run of each calculator and orders them into chapters: schema
+ * order (loads first, then member checks), with calculators that have no schema last. Each chapter
+ * carries the run's inputs as read by readProjectRun; a run that cannot be read keeps an `error`.
+ * @param {object[]} runs - The runs of a project.
+ * @param {Object<string, object>} [schemas=inputSchemas]
+ * @returns {{number: number, title: string, schema: object|null, run: object, inputs: object, error: string|null, edition: string, units: string}[]}
+ */
+export function packageChapters(runs, schemas = inputSchemas) {
+    const latest = new Map();
+    for (const run of runs) {
+        const current = latest.get(run.calculator);
+        if (!current || String(run.saved_at) >= String(current.saved_at)) latest.set(run.calculator, run);
+    }
+
+    const ordered = Object.values(schemas)
+        .filter(schema => latest.has(schema.storageKey))
+        .map(schema => ({ schema, run: latest.get(schema.storageKey) }));
+    const known = new Set(Object.values(schemas).map(schema => schema.storageKey));
+    for (const [calculator, run] of latest) {
+        if (!known.has(calculator)) ordered.push({ schema: null, run });
+    }
+
+    return ordered.map(({ schema, run }, i) => {
+        let inputs = run.inputs || {};
+        let error = null;
+        if (schema) {
+            try {
+                inputs = readProjectRun(run, schema).inputs;
+            } catch (readError) {
+                inputs = {};
+                error = readError.message;
+            }
+        }
+        const header = schema && !error ? createInputFile(schema, inputs) : null;
+        return {
+            number: i + 1,
+            title: schema?.title || run.title || run.calculator,
+            schema,
+            run,
+            inputs,
+            error,
+            edition: header?.code_edition || '',
+            units: header?.units || ''
+        };
+    });
+}
+
+/**
+ * Lists the design criteria of a chapter: the inputs its schema names in `criteria`, with the
+ * unit they were entered in.
+ * @param {{schema: object|null, inputs: object, units: string}} chapter
+ * @returns {{label: string, value: string}[]}
+ */
+export function chapterCriteria({ schema, inputs, units }) {
+    return Object.entries(schema?.criteria || {})
+        .filter(([id]) => inputs[id] !== undefined && inputs[id] !== null && inputs[id] !== '')
+        .map(([id, label]) => {
+            const quantity = schema.quantities?.[id];
+            const unit = quantity && units ? ` ${unitLabel(quantity, units)}` : '';
+            return { label, value: `${inputs[id]}${unit}` };
+        });
+}
+
+/**
+ * Wraps the package in a standalone HTML document for the "Download HTML" export.
+ * @param {string} title
+ * @param {string} body - The package HTML.
+ * @param {string} [styles=''] - A <style> element with the page's CSS, so the file renders offline.
+ * @returns {string}
+ */
+export function packageHtmlDocument(title, body, styles = '') {
+    const escaped = String(title).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escaped}</title>
+    ${styles}
+</head>
+<body class="bg-white text-gray-800">
+    <div class="container mx-auto p-4 md:p-8 max-w-5xl">
+        ${body}
+    </div>
+</body>
+</html>`;
+}
@@ -0,0 +1,112 @@
+/**
+ * Parametric studies: run a calculator for every combination of one or two swept inputs and
+ * collect its numeric outputs. The panel that drives this lives in js/shared-utils.js
+ * (initializeParametricStudy); this module holds the parts that do not need the DOM.
+ */
+
+import { formatCsv } from './csv.js';
+
+export const MAX_SWEEP_VALUES = 200;
+export const MAX_SWEEP_CASES = 400;
+
+// Rounds away the floating-point noise that accumulates when stepping through a range.
+const tidy = value => Number(value.toPrecision(12));
+
+/**
+ * Parses the values of a swept input. Accepts a range "start:end:step" (end included when the
+ * steps land on it) or a list separated by commas, semicolons or spaces.
+ * @param {string} text
+ * @returns {number[]}
+ * @throws {Error} When the text is empty, not numeric, or describes too many values.
+ */
+export function parseSweepValues(text) {
+    const spec = String(text ?? '').trim();
+    if (!spec) throw new Error('Enter a range (start:end:step) or a list of values.');
+
+    if (spec.includes(':')) {
+        const parts = spec.split(':').map(part => Number(part.trim()));
+        if (parts.length !== 3 || parts.some(part => !Number.isFinite(part))) {
+            throw new Error(`"${spec}" is not a valid range. Use start:end:step, e.g. 10:60:10.`);
+        }
+        const [start, end, step] = parts;
+        if (step === 0 || Math.sign(end - start) * Math.sign(step) < 0) {
+            throw new Error(`The step of "${spec}" does not move from ${start} towards ${end}.`);
+        }
+        const count = Math.floor(tidy((end - start) / step)) + 1;
+        if (count > MAX_SWEEP_VALUES) throw new Error(`"${spec}" gives ${count} values; the limit is ${MAX_SWEEP_VALUES}.`);
+        return Array.from({ length: count }, (_, i) => tidy(start + i * step));
+    }
+
+    const values = spec.split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (values.some(value => !Number.isFinite(value))) throw new Error(`"${spec}" contains a value that is not a number.`);
+    if (values.length > MAX_SWEEP_VALUES) throw new Error(`${values.length} values were given; the limit is ${MAX_SWEEP_VALUES}.`);
+    return values;
+}
+
+/**
+ * Builds every combination of the swept inputs, the first input varying slowest.
+ * @param {{id: string, values: number[]}[]} sweeps - One or two swept inputs.
+ * @returns {Object<string, number>[]} One object of overrides per case.
+ * @throws {Error} When the number of combinations exceeds MAX_SWEEP_CASES.
+ */
+export function buildSweepCases(sweeps) {
+    const total = sweeps.reduce((count, sweep) => count * sweep.values.length, 1);
+    if (total > MAX_SWEEP_CASES) throw new Error(`The study has ${total} cases; the limit is ${MAX_SWEEP_CASES}.`);
+    return sweeps.reduce(
+        (cases, sweep) => cases.flatMap(partial => sweep.values.map(value => ({ ...partial, [sweep.id]: value }))),
+        [{}]
+    );
+}
+
+/**
+ * Flattens a calculator result into its numeric values keyed by dotted path
+ * (e.g. "flexure.phiMn_or_Mn_omega"). Arrays and the echoed `inputs` are skipped, since they
+ * do not line up from one case to the next.
+ * @param {object} result
+ * @returns {Object<string, number>}
+ */
+export function flattenNumericResults(result) {
+    const outputs = {};
+    const visit = (value, path) => {
+        if (typeof value === 'number') {
+            if (Number.isFinite(value)) outputs[path] = value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, child] of Object.entries(value)) {
+                if (key === 'inputs') continue;
+                visit(child, path ? `${path}.${key}` : key);
+            }
+        }
+    };
+    visit(result, '');
+    return outputs;
+}
+
+/**
+ * Picks the outputs to show first: demand/capacity ratios when the calculator reports any,
+ * otherwise the first few values.
+ * @param {string[]} paths
+ * @param {number} [limit=4]
+ * @returns {string[]}
+ */
+export function defaultSweepOutputs(paths, limit = 4) {
+    const ratios = paths.filter(path => /ratio|interaction|dcr|utiliz/i.test(path));
+    return (ratios.length ? ratios : paths).slice(0, limit);
+}
+
+/**
+ * Writes a study as CSV: one column per swept input, one per output, and an error column.
+ * @param {string[]} inputColumns - IDs of the swept inputs.
+ * @param {string[]} outputColumns - Output paths to include.
+ * @param {{values: object, outputs: object, error?: string}[]} rows
+ * @returns {string}
+ */
+export function sweepToCsv(inputColumns, outputColumns, rows) {
+    return formatCsv([
+        [...inputColumns, ...outputColumns, 'error'],
+        ...rows.map(row => [
+            ...inputColumns.map(id => row.values[id]),
+            ...outputColumns.map(path => row.outputs?.[path]),
+            row.error || ''
+        ])
+    ]);
+}
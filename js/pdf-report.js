@@ -0,0 +1,134 @@
+/**
+ * Layout of the PDF calculation report: the title block, the table of contents and the placement
+ * of report sections on pages. handleDownloadPdf in js/shared-utils.js renders each section to an
+ * image and draws the pages with jsPDF; this module holds the parts that do not need the DOM.
+ */
+
+/** Letter page, in inches. The header and footer bands sit inside the margins. */
+export const REPORT_PAGE = {
+    width: 8.5, height: 11, margin: 0.5, header: 0.4, footer: 0.4,
+    gap: 0.15, titleBlockHeight: 2.4, contentsRowHeight: 0.25
+};
+
+/** Fields of the title block, in the order they are drawn (two per row). */
+export const TITLE_BLOCK_FIELDS = [
+    { key: 'project', label: 'Project' },
+    { key: 'job_number', label: 'Job No.' },
+    { key: 'engineer', label: 'Engineer' },
+    { key: 'checker', label: 'Checked by' },
+    { key: 'date', label: 'Date' },
+    { key: 'revision', label: 'Revision' }
+];
+
+const localDate = date => [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+
+/**
+ * Fills the title block from the open project, falling back to the checker and revision used
+ * for the previous report.
+ * @param {object|null} project - The open project (see js/project-workspace.js), if any.
+ * @param {{checker?: string, revision?: string}} [previous={}]
+ * @param {Date} [date=new Date()]
+ * @returns {Object<string, string>} One value per TITLE_BLOCK_FIELDS key.
+ */
+export function titleBlockDefaults(project, previous = {}, date = new Date()) {
+    return {
+        project: project?.name || '',
+        job_number: project?.project_number || '',
+        engineer: project?.engineer || '',
+        checker: project?.checker || previous.checker || '',
+        date: localDate(date),
+        revision: previous.revision || '0'
+    };
+}
+
+// The standard PDF fonts only cover Latin-1; common symbols outside it are spelled out.
+const PDF_TEXT_REPLACEMENTS = {
+    '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...', '≤': '<=', '≥': '>=',
+    '≈': '~', '−': '-', 'φ': 'phi', 'Φ': 'Phi', 'Ω': 'Omega', 'λ': 'lambda', 'γ': 'gamma', 'ψ': 'psi'
+};
+
+/**
+ * Prepares text for a standard PDF font: collapses whitespace and replaces or drops characters
+ * outside Latin-1.
+ * @param {string} text
+ * @returns {string}
+ */
+export function toPdfText(text) {
+    return Array.from(String(text ?? '').replace(/\s+/g, ' ').trim())
+        .map(char => PDF_TEXT_REPLACEMENTS[char] ?? (char.codePointAt(0) <= 0xff ? char : ''))
+        .join('');
+}
+
+/**
+ * Area left for report content on a page, below the header band and above the footer band.
+ * @param {object} [page=REPORT_PAGE]
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+export function contentArea(page = REPORT_PAGE) {
+    const top = page.margin + page.header;
+    return { left: page.margin, top, width: page.width - 2 * page.margin, height: page.height - top - page.margin - page.footer };
+}
+
+/**
+ * Places report sections on pages, top to bottom. A section that does not fit in the space left
+ * starts a new page; one taller than a whole page is split across pages, starting on the current
+ * page when at least a quarter of it is free.
+ * @param {number[]} heights - Height of each section, in the units of pageHeight.
+ * @param {number} pageHeight - Height available for content on a page.
+ * @param {{gap?: number, firstPage?: number}} [options] - Space between sections and the number
+ *   of the first content page.
+ * @returns {{section: number, page: number, y: number, offset: number, height: number}[]} One slice
+ *   per piece of a section: `y` is its position on the page and `offset` where it starts within
+ *   the section.
+ */
+export function paginateSections(heights, pageHeight, { gap = 0, firstPage = 1 } = {}) {
+    const slices = [];
+    let page = firstPage;
+    let y = 0;
+    heights.forEach((height, section) => {
+        if (!(height > 0)) return;
+        if (y > 0) y += gap;
+        const fits = y + height <= pageHeight;
+        if (y > 0 && !fits && (height <= pageHeight || pageHeight - y < pageHeight / 4)) {
+            page++;
+            y = 0;
+        }
+        for (let offset = 0; offset < height;) {
+            if (y >= pageHeight) {
+                page++;
+                y = 0;
+            }
+            const sliceHeight = Math.min(height - offset, pageHeight - y);
+            slices.push({ section, page, y, offset, height: sliceHeight });
+            offset += sliceHeight;
+            y += sliceHeight;
+        }
+    });
+    return slices;
+}
+
+/**
+ * Lays out a whole report: cover pages with the title block and table of contents, then the
+ * sections.
+ * @param {number[]} heights - Height of each section in inches, at the content width.
+ * @param {Array<?string>} titles - Title of each section for the table of contents; null to leave
+ *   a section out.
+ * @param {object} [page=REPORT_PAGE]
+ * @returns {{area: object, coverPages: number, firstPageRows: number, rowsPerPage: number,
+ *   slices: object[], contents: {title: string, section: number, page: number}[], pageCount: number}}
+ */
+export function layoutReport(heights, titles, page = REPORT_PAGE) {
+    const area = contentArea(page);
+    // The first cover page holds the title block and the "Contents" heading above its rows.
+    const firstPageRows = Math.floor((area.height - page.titleBlockHeight) / page.contentsRowHeight) - 1;
+    const rowsPerPage = Math.floor(area.height / page.contentsRowHeight);
+    const titled = titles.filter((title, section) => title && heights[section] > 0).length;
+    const coverPages = 1 + Math.max(0, Math.ceil((titled - firstPageRows) / rowsPerPage));
+
+    const slices = paginateSections(heights, area.height, { gap: page.gap, firstPage: coverPages + 1 });
+    const contents = titles
+        .map((title, section) => ({ title, section, page: slices.find(slice => slice.section === section)?.page }))
+        .filter(entry => entry.title && entry.page);
+    const pageCount = slices.length ? slices[slices.length - 1].page : coverPages;
+    return { area, coverPages, firstPageRows, rowsPerPage, slices, contents, pageCount };
+}
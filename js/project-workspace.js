@@ -0,0 +1,651 @@
+// --- Project Workspace ---
+// A project is a named job (number, engineer, checker, location, code edition) holding saved runs from any calculator.
+// All projects live under one localStorage key; a project exports/imports as a single JSON file.
+
+const PROJECT_WORKSPACE_KEY = 'project-workspace';
+const PROJECT_FILE_FORMAT = 'structural-calculators-project';
+const PROJECT_FILE_VERSION = 1;
+const PROJECT_METADATA_FIELDS = ['name', 'project_number', 'engineer', 'checker', 'location', 'code_edition'];
+
+/**
+ * Generates a short unique ID for projects and runs.
+ * @returns {string}
+ */
+function createProjectId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Reads the workspace from localStorage.
+ * @returns {{activeProjectId: string|null, projects: object[]}} The stored workspace, or an empty one.
+ */
+function loadProjectWorkspace() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROJECT_WORKSPACE_KEY));
+        if (stored && Array.isArray(stored.projects)) {
+            return { activeProjectId: stored.activeProjectId || null, projects: stored.projects };
+        }
+    } catch (error) {
+        console.error('Failed to parse the project workspace from localStorage:', error);
+    }
+    return { activeProjectId: null, projects: [] };
+}
+
+/**
+ * Writes the workspace to localStorage.
+ * @param {object} workspace - The workspace returned by loadProjectWorkspace.
+ * @returns {boolean} False if the browser refused the write (e.g., quota exceeded).
+ */
+function saveProjectWorkspace(workspace) {
+    try {
+        localStorage.setItem(PROJECT_WORKSPACE_KEY, JSON.stringify(workspace));
+        return true;
+    } catch (error) {
+        console.error('Failed to save the project workspace to localStorage:', error);
+        return false;
+    }
+}
+
+/**
+ * Copies the known metadata fields, trimming text and dropping anything else.
+ * @param {object} metadata
+ * @returns {object}
+ */
+function sanitizeProjectMetadata(metadata = {}) {
+    const clean = {};
+    PROJECT_METADATA_FIELDS.forEach(field => {
+        clean[field] = typeof metadata[field] === 'string' ? metadata[field].trim() : '';
+    });
+    return clean;
+}
+
+/**
+ * Returns the currently open project, if any.
+ * @returns {object|null}
+ */
+function getActiveProject() {
+    const workspace = loadProjectWorkspace();
+    return workspace.projects.find(p => p.id === workspace.activeProjectId) || null;
+}
+
+/**
+ * Marks a project as the open one; calculator pages save runs into it.
+ * @param {string|null} projectId
+ */
+function setActiveProject(projectId) {
+    const workspace = loadProjectWorkspace();
+    workspace.activeProjectId = workspace.projects.some(p => p.id === projectId) ? projectId : null;
+    saveProjectWorkspace(workspace);
+}
+
+/**
+ * Creates a new project and opens it.
+ * @param {object} metadata - name, project_number, engineer, checker, location and code_edition.
+ * @returns {object} The new project.
+ */
+function createProject(metadata) {
+    const workspace = loadProjectWorkspace();
+    const now = new Date().toISOString();
+    const project = {
+        id: createProjectId(),
+        ...sanitizeProjectMetadata(metadata),
+        created_at: now,
+        updated_at: now,
+        runs: []
+    };
+    if (!project.name) project.name = 'Untitled Project';
+    workspace.projects.push(project);
+    workspace.activeProjectId = project.id;
+    saveProjectWorkspace(workspace);
+    return project;
+}
+
+/**
+ * Updates the metadata of an existing project.
+ * @param {string} projectId
+ * @param {object} metadata
+ * @returns {object|null} The updated project, or null if it does not exist.
+ */
+function updateProjectMetadata(projectId, metadata) {
+    const workspace = loadProjectWorkspace();
+    const project = workspace.projects.find(p => p.id === projectId);
+    if (!project) return null;
+    Object.assign(project, sanitizeProjectMetadata(metadata), { updated_at: new Date().toISOString() });
+    if (!project.name) project.name = 'Untitled Project';
+    saveProjectWorkspace(workspace);
+    return project;
+}
+
+/**
+ * Deletes a project and all of its runs.
+ * @param {string} projectId
+ */
+function deleteProject(projectId) {
+    const workspace = loadProjectWorkspace();
+    workspace.projects = workspace.projects.filter(p => p.id !== projectId);
+    if (workspace.activeProjectId === projectId) {
+        workspace.activeProjectId = workspace.projects[0]?.id || null;
+    }
+    saveProjectWorkspace(workspace);
+}
+
+/**
+ * Adds a saved run to a project.
+ * @param {string} projectId
+ * @param {object} run
+ * @param {string} run.calculator - The calculator's localStorage key (e.g., 'wind-calculator-inputs').
+ * @param {string} run.title - Human-readable calculator name.
+ * @param {string} run.page - Page path relative to the site root (e.g., 'asce/wind.html').
+ * @param {string} run.label - User label for this run (e.g., 'Roof beam B-3').
+ * @param {object} run.inputs - The gathered input values, as an input file (see js/input-file.js) for calculators with a schema.
+ * @returns {object|null} The stored run, or null if the project does not exist or storage failed.
+ */
+function addRunToProject(projectId, run) {
+    const workspace = loadProjectWorkspace();
+    const project = workspace.projects.find(p => p.id === projectId);
+    if (!project) return null;
+    const storedRun = {
+        id: createProjectId(),
+        calculator: run.calculator,
+        title: run.title,
+        page: run.page,
+        label: run.label || run.title,
+        saved_at: new Date().toISOString(),
+        inputs: run.inputs
+    };
+    project.runs.push(storedRun);
+    project.updated_at = storedRun.saved_at;
+    return saveProjectWorkspace(workspace) ? storedRun : null;
+}
+
+/**
+ * Removes a run from a project.
+ * @param {string} projectId
+ * @param {string} runId
+ */
+function removeRunFromProject(projectId, runId) {
+    const workspace = loadProjectWorkspace();
+    const project = workspace.projects.find(p => p.id === projectId);
+    if (!project) return;
+    project.runs = project.runs.filter(r => r.id !== runId);
+    project.updated_at = new Date().toISOString();
+    saveProjectWorkspace(workspace);
+}
+
+/**
+ * Opens a saved run: its inputs are left under `${calculator}-project-run` and the browser navigates to its
+ * page, which loads them through openPendingProjectRun.
+ * @param {object} run - A run from a project.
+ * @param {string} [pathPrefix='./'] - Prefix from the current page to the site root.
+ */
+function openProjectRun(run, pathPrefix = './') {
+    saveInputsToLocalStorage(`${run.calculator}-project-run`, run.inputs);
+    window.location.href = `${pathPrefix}${encodeURI(run.page)}`;
+}
+
+/**
+ * Base name for files exported from a project: its number, or else its name, made file-safe.
+ * @param {object} project
+ * @returns {string}
+ */
+function projectFileName(project) {
+    return (project.project_number || project.name).replace(/[^a-z0-9-_]+/gi, '_');
+}
+
+/**
+ * Downloads a project, with all of its runs, as one JSON file.
+ * @param {string} projectId
+ */
+function exportProjectToFile(projectId) {
+    const project = loadProjectWorkspace().projects.find(p => p.id === projectId);
+    if (!project) return;
+    const data = {
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        exported_at: new Date().toISOString(),
+        project
+    };
+    saveInputsToFile(data, `${projectFileName(project)}.project.json`);
+}
+
+/**
+ * Parses and checks the contents of a project file.
+ * @param {string} text - The file contents.
+ * @returns {object} The project stored in the file.
+ * @throws {Error} If the file is not a project file or is malformed.
+ */
+function parseProjectFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!data || data.format !== PROJECT_FILE_FORMAT) {
+        throw new Error('The file is not a project file.');
+    }
+    if (data.version > PROJECT_FILE_VERSION) {
+        throw new Error(`Project file version ${data.version} is newer than this app supports (${PROJECT_FILE_VERSION}).`);
+    }
+    const { project } = data;
+    if (!project || !Array.isArray(project.runs)) {
+        throw new Error('The project file has no runs list.');
+    }
+    const badRun = project.runs.find(r => !r || typeof r.calculator !== 'string' || typeof r.page !== 'string' || typeof r.inputs !== 'object');
+    if (badRun) {
+        throw new Error('The project file contains a malformed run.');
+    }
+    return project;
+}
+
+/**
+ * Adds an imported project to the workspace and opens it. IDs are regenerated so that importing the same
+ * file twice yields two independent copies.
+ * @param {object} project - A project returned by parseProjectFile.
+ * @returns {object} The stored project.
+ */
+function importProject(project) {
+    const workspace = loadProjectWorkspace();
+    const now = new Date().toISOString();
+    const imported = {
+        id: createProjectId(),
+        ...sanitizeProjectMetadata(project),
+        created_at: project.created_at || now,
+        updated_at: now,
+        runs: project.runs.map(run => ({
+            id: createProjectId(),
+            calculator: run.calculator,
+            title: run.title || run.calculator,
+            page: run.page,
+            label: run.label || run.title || run.calculator,
+            saved_at: run.saved_at || now,
+            inputs: run.inputs
+        }))
+    };
+    if (!imported.name) imported.name = 'Imported Project';
+    workspace.projects.push(imported);
+    workspace.activeProjectId = imported.id;
+    saveProjectWorkspace(workspace);
+    return imported;
+}
+
+/**
+ * Adds a "Save to Project" button to a calculator page, next to its "Save Inputs" button, and loads a run
+ * opened from the Hub. Called by createCalculationHandler so every calculator built on it takes part in projects.
+ * @param {object} config
+ * @param {string} config.storageKey - The calculator's localStorage key.
+ * @param {string[]} config.inputIds - The input IDs gathered for a run.
+ * @param {object} [config.schema] - The calculator's schema from js/input-schemas.js; runs are then saved as input files.
+ * @param {string} [config.feedbackElId='feedback-message'] - The ID of the feedback element.
+ */
+function registerProjectCalculator(config) {
+    const { storageKey, inputIds, schema, feedbackElId = 'feedback-message' } = config;
+    openPendingProjectRun(config);
+    const saveButton = findSaveInputsButton();
+    if (!saveButton || document.getElementById('save-to-project-btn')) return;
+
+    const button = document.createElement('button');
+    button.id = 'save-to-project-btn';
+    button.type = 'button';
+    button.className = 'bg-indigo-600 text-white font-bold py-3 px-6 rounded-lg hover:bg-indigo-700 focus:outline-none focus:ring-4 focus:ring-indigo-300 transition-all';
+    button.textContent = 'Save to Project';
+    const activeProject = getActiveProject();
+    button.title = activeProject ? `Open project: ${activeProject.name}` : 'No project open. Create one on the Hub page.';
+    saveButton.insertAdjacentElement('afterend', button);
+
+    button.addEventListener('click', async () => {
+        const project = getActiveProject();
+        if (!project) {
+            showFeedback('No project open. Create or open one on the Hub page first.', true, feedbackElId);
+            return;
+        }
+        const title = document.getElementById('main-title')?.textContent.trim() || document.title;
+        const label = window.prompt(translateText(`Label for this run in "${project.name}":`), `${title} ${project.runs.length + 1}`);
+        if (label === null) return;
+
+        // Page path relative to the site root, e.g. 'asce/wind.html'.
+        const page = decodeURI(window.location.pathname).split('/').slice(-2).join('/');
+        let inputs = gatherInputsFromIds(inputIds);
+        if (schema) {
+            // Stored with a version header, so that the run is migrated when it is opened after a schema change.
+            const { createInputFile } = await import('./input-file.js');
+            inputs = createInputFile(schema, inputs);
+        }
+        const run = addRunToProject(project.id, { calculator: storageKey, title, page, label, inputs });
+        if (run) {
+            showFeedback(`Run saved to project "${project.name}".`, false, feedbackElId);
+        } else {
+            showFeedback('Could not save the run. Browser storage may be full.', true, feedbackElId);
+        }
+    });
+}
+
+/**
+ * Loads the run that openProjectRun left for this calculator, if any. Like a loaded input file, it is
+ * validated and migrated against the calculator's schema, and anything skipped is listed by
+ * showInputFileReport.
+ * @param {object} config - As for registerProjectCalculator.
+ */
+async function openPendingProjectRun({ storageKey, inputIds, schema, feedbackElId = 'feedback-message' }) {
+    const key = `${storageKey}-project-run`;
+    const stored = localStorage.getItem(key);
+    if (stored === null) return;
+    localStorage.removeItem(key);
+    try {
+        // The page restores its saved inputs after creating its handler; the dynamic import makes
+        // the run's inputs land after that, so they win.
+        const { readInputFile } = await import('./input-file.js');
+        if (schema) {
+            const result = readInputFile(stored, schema);
+            applyInputsToFields(inputIds, result.inputs);
+            showInputFileReport(result, schema, feedbackElId);
+        } else {
+            applyInputsToFields(inputIds, JSON.parse(stored));
+        }
+        showFeedback('Inputs loaded from the project run.', false, feedbackElId);
+    } catch (error) {
+        showFeedback(`Could not open the project run: ${error.message}`, true, feedbackElId);
+    }
+}
+
+/**
+ * Runs a saved run through its calculator page, loaded in a hidden frame, and returns the report
+ * the page renders. The page's own render functions and unit handling produce the report, exactly
+ * as when the run is opened; the calculator's stored inputs are put back afterwards.
+ * @param {object} run - A run from a project.
+ * @param {object} inputs - The run's inputs, as read by packageChapters (js/package-report.js).
+ * @param {string} [pathPrefix='./'] - Prefix from the current page to the site root.
+ * @returns {Promise<string>} The HTML of the page's results container.
+ */
+async function renderRunInFrame(run, inputs, pathPrefix = './') {
+    const previousInputs = localStorage.getItem(run.calculator);
+    saveInputsToLocalStorage(run.calculator, inputs);
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 1024px; height: 768px;';
+    frame.setAttribute('aria-hidden', 'true');
+    const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    try {
+        await new Promise((resolve, reject) => {
+            frame.addEventListener('load', resolve, { once: true });
+            frame.addEventListener('error', () => reject(new Error(`Could not load ${run.page}.`)), { once: true });
+            frame.src = `${pathPrefix}${encodeURI(run.page)}`;
+            document.body.appendChild(frame);
+        });
+        // createCalculationHandler publishes the page's run function once the page has set itself up.
+        let page = null;
+        for (let waited = 0; !(page = frame.contentWindow.calculatorPage); waited += 100) {
+            if (waited >= 10000) throw new Error(`${run.title} did not start.`);
+            await pause(100);
+        }
+        // Pages restore their stored inputs just after loading, some on a short timer.
+        await pause(300);
+        await page.run({ record: false });
+
+        const results = frame.contentDocument.getElementById(page.resultsContainerId);
+        if (!results) throw new Error(`${run.title} has no results.`);
+        if (results.querySelector('canvas')) await pause(1000); // Let charts finish animating.
+        results.querySelectorAll('canvas').forEach(canvas => {
+            const image = document.createElement('img');
+            image.src = canvas.toDataURL('image/png');
+            image.style.maxWidth = '100%';
+            canvas.replaceWith(image);
+        });
+        results.querySelectorAll('.print-hidden, button').forEach(el => el.remove());
+        return results.innerHTML;
+    } finally {
+        frame.remove();
+        if (previousInputs === null) localStorage.removeItem(run.calculator);
+        else localStorage.setItem(run.calculator, previousInputs);
+    }
+}
+
+/**
+ * Builds the calculation package of a project into a container on the Hub page: a cover sheet,
+ * an index, a design criteria summary, then one chapter per calculator with the report of its
+ * latest run.
+ * @param {object} project
+ * @param {HTMLElement} container
+ * @returns {Promise<boolean>} False when the project has no runs to package.
+ */
+async function buildProjectPackage(project, container) {
+    const { packageChapters, chapterCriteria } = await import('./package-report.js');
+    const chapters = packageChapters(project.runs);
+    if (!chapters.length) return false;
+
+    const reports = [];
+    for (const chapter of chapters) {
+        showFeedback(`Rendering chapter ${chapter.number} of ${chapters.length}: ${chapter.title}...`);
+        try {
+            if (chapter.error) throw new Error(chapter.error);
+            reports.push(await renderRunInFrame(chapter.run, chapter.inputs));
+        } catch (error) {
+            console.error(`Package chapter "${chapter.title}" failed:`, error);
+            reports.push(`<div class="bg-red-100 dark:bg-red-900/50 border-l-4 border-red-500 text-red-700 dark:text-red-300 p-4 rounded-md"><p>This chapter could not be rendered: ${sanitizeHTML(error.message)}</p></div>`);
+        }
+    }
+
+    const text = value => sanitizeHTML(value || '-');
+    const coverRows = [
+        ['Project Number', project.project_number], ['Engineer', project.engineer], ['Checker', project.checker],
+        ['Location', project.location], ['Code Edition', project.code_edition], ['Date', new Date().toLocaleDateString()]
+    ];
+    const criteriaTables = chapters.map(chapter => ({ chapter, rows: chapterCriteria(chapter) }))
+        .filter(({ rows }) => rows.length)
+        .map(({ chapter, rows }) => `
+            <table class="mt-4">
+                <caption>${chapter.number}. ${sanitizeHTML(chapter.title)}</caption>
+                <tbody>${rows.map(row => `<tr><td>${sanitizeHTML(row.label)}</td><td>${sanitizeHTML(row.value)}</td></tr>`).join('')}</tbody>
+            </table>`).join('');
+
+    container.innerHTML = `
+        <div id="package-report-content" data-report-title="Calculation Package" class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg space-y-8">
+            <div class="flex justify-end gap-2 print-hidden">
+                <button id="package-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm">Download PDF</button>
+                <button id="package-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm">Download Word</button>
+                <button id="package-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm">Download XLSX</button>
+                <button id="package-html-btn" class="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 text-sm">Download HTML</button>
+            </div>
+            <div id="package-cover" class="report-section-copyable text-center space-y-4">
+                <h2 class="report-header text-3xl font-bold">Calculation Package</h2>
+                <p class="text-2xl font-semibold">${sanitizeHTML(project.name)}</p>
+                <table class="mx-auto max-w-lg">
+                    <tbody>${coverRows.map(([label, value]) => `<tr><td class="font-semibold">${label}</td><td>${text(value)}</td></tr>`).join('')}</tbody>
+                </table>
+            </div>
+            <div id="package-index" class="report-section-copyable">
+                <h3 class="report-header">Index</h3>
+                <ol class="list-none space-y-1">
+                    ${chapters.map(chapter => `<li><a href="#package-chapter-${chapter.number}" class="text-blue-600 dark:text-blue-400 hover:underline">${chapter.number}. ${sanitizeHTML(chapter.title)}</a> <span class="text-sm text-gray-500">(${sanitizeHTML(chapter.run.label)})</span></li>`).join('')}
+                </ol>
+            </div>
+            <div id="package-criteria" class="report-section-copyable">
+                <h3 class="report-header">Design Criteria</h3>
+                <table>
+                    <thead><tr><th>Chapter</th><th>Code Edition</th><th>Units</th><th>Run</th><th>Saved</th></tr></thead>
+                    <tbody>${chapters.map(chapter => `
+                        <tr>
+                            <td>${chapter.number}. ${sanitizeHTML(chapter.title)}</td>
+                            <td>${text(chapter.edition)}</td>
+                            <td>${text(chapter.units)}</td>
+                            <td>${sanitizeHTML(chapter.run.label)}</td>
+                            <td>${new Date(chapter.run.saved_at).toLocaleString()}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                ${criteriaTables}
+            </div>
+            ${chapters.map((chapter, i) => `
+                <section id="package-chapter-${chapter.number}" class="space-y-4">
+                    <div class="report-section-copyable border-b-2 border-gray-300 dark:border-gray-600 pb-2">
+                        <h2 class="report-header text-2xl font-bold">Chapter ${chapter.number}. ${sanitizeHTML(chapter.title)}</h2>
+                        <p class="text-sm text-gray-500 dark:text-gray-400">Run "${sanitizeHTML(chapter.run.label)}", saved ${new Date(chapter.run.saved_at).toLocaleString()}</p>
+                    </div>
+                    ${reports[i]}
+                </section>`).join('')}
+        </div>`;
+    return true;
+}
+
+/**
+ * Downloads the package built by buildProjectPackage as a standalone HTML file.
+ * @param {object} project
+ */
+async function downloadProjectPackageHtml(project) {
+    const content = document.getElementById('package-report-content');
+    if (!content) return;
+    const { packageHtmlDocument } = await import('./package-report.js');
+    const clone = content.cloneNode(true);
+    clone.querySelectorAll('.print-hidden').forEach(el => el.remove());
+    const html = packageHtmlDocument(`${project.name} - Calculation Package`, clone.outerHTML, getAllCssStyles());
+    downloadFile(html, `${projectFileName(project)}.package.html`, 'text/html;charset=utf-8');
+}
+
+/**
+ * Wires up the project panel on the Hub page: project list, metadata form, runs table and file import/export.
+ */
+function initializeProjectPanel() {
+    const select = document.getElementById('project-select');
+    if (!select) return;
+
+    const metadataInputs = {
+        name: document.getElementById('project-name'),
+        project_number: document.getElementById('project-number'),
+        engineer: document.getElementById('project-engineer'),
+        checker: document.getElementById('project-checker'),
+        location: document.getElementById('project-location'),
+        code_edition: document.getElementById('project-code-edition')
+    };
+    const runsBody = document.getElementById('project-runs-body');
+    const fileInput = document.getElementById('project-file-input');
+
+    const readMetadataForm = () => {
+        const metadata = {};
+        Object.entries(metadataInputs).forEach(([field, el]) => { metadata[field] = el.value; });
+        return metadata;
+    };
+
+    const render = () => {
+        const workspace = loadProjectWorkspace();
+        const active = workspace.projects.find(p => p.id === workspace.activeProjectId) || null;
+
+        select.innerHTML = workspace.projects.length
+            ? workspace.projects.map(p => `<option value="${p.id}" ${p.id === workspace.activeProjectId ? 'selected' : ''}>${sanitizeHTML(p.project_number ? `${p.project_number} - ${p.name}` : p.name)}</option>`).join('')
+            : '<option value="">No projects yet</option>';
+
+        Object.entries(metadataInputs).forEach(([field, el]) => { el.value = active ? active[field] || '' : ''; });
+        ['save-project-btn', 'delete-project-btn', 'export-project-btn', 'package-report-btn'].forEach(id => {
+            document.getElementById(id).disabled = !active;
+        });
+
+        if (!active || active.runs.length === 0) {
+            runsBody.innerHTML = `<tr><td colspan="4" class="text-center text-gray-500 dark:text-gray-400 py-4">${active ? 'No saved runs. Use "Save to Project" on any calculator page.' : 'Create or import a project to start.'}</td></tr>`;
+            return;
+        }
+        runsBody.innerHTML = active.runs.map(run => `
+            <tr>
+                <td>${sanitizeHTML(run.label)}</td>
+                <td>${sanitizeHTML(run.title)}</td>
+                <td>${new Date(run.saved_at).toLocaleString()}</td>
+                <td class="whitespace-nowrap">
+                    <button data-run-action="open" data-run-id="${run.id}" class="text-blue-600 dark:text-blue-400 hover:underline font-semibold">Open</button>
+                    <button data-run-action="remove" data-run-id="${run.id}" class="text-red-600 dark:text-red-400 hover:underline font-semibold ml-3">Remove</button>
+                </td>
+            </tr>`).join('');
+    };
+
+    select.addEventListener('change', () => { setActiveProject(select.value); render(); });
+
+    document.getElementById('new-project-btn').addEventListener('click', () => {
+        const name = window.prompt(translateText('Project name:'));
+        if (name === null) return;
+        createProject({ name });
+        render();
+        showFeedback('Project created.');
+    });
+
+    document.getElementById('save-project-btn').addEventListener('click', () => {
+        const active = getActiveProject();
+        if (!active) return;
+        updateProjectMetadata(active.id, readMetadataForm());
+        render();
+        showFeedback('Project details saved.');
+    });
+
+    document.getElementById('delete-project-btn').addEventListener('click', () => {
+        const active = getActiveProject();
+        if (!active || !window.confirm(translateText(`Delete project "${active.name}" and its ${active.runs.length} saved run(s)?`))) return;
+        deleteProject(active.id);
+        render();
+        showFeedback('Project deleted.');
+    });
+
+    document.getElementById('export-project-btn').addEventListener('click', () => {
+        const active = getActiveProject();
+        if (!active) return;
+        exportProjectToFile(active.id);
+        showFeedback('Project exported.');
+    });
+
+    const packageContainer = document.getElementById('package-report-container');
+    document.getElementById('package-report-btn').addEventListener('click', async () => {
+        const active = getActiveProject();
+        if (!active) return;
+        setLoadingState(true, 'package-report-btn');
+        try {
+            if (await buildProjectPackage(active, packageContainer)) {
+                showFeedback('Package report ready.');
+                packageContainer.scrollIntoView({ behavior: 'smooth' });
+            } else {
+                showFeedback('The project has no saved runs to package.', true);
+            }
+        } catch (error) {
+            console.error('Package report failed:', error);
+            showFeedback(`Package report failed: ${error.message}`, true);
+        } finally {
+            setLoadingState(false, 'package-report-btn');
+        }
+    });
+    packageContainer.addEventListener('click', event => {
+        const active = getActiveProject();
+        if (!active) return;
+        if (event.target.id === 'package-pdf-btn') handleDownloadPdf('package-report-content', `${projectFileName(active)}.package.pdf`);
+        if (event.target.id === 'package-docx-btn') handleDownloadDocx('package-report-content', `${projectFileName(active)}.package.docx`);
+        if (event.target.id === 'package-xlsx-btn') handleDownloadTables('package-report-content', `${projectFileName(active)}.package.xlsx`);
+        if (event.target.id === 'package-html-btn') downloadProjectPackageHtml(active);
+    });
+
+    document.getElementById('import-project-btn').addEventListener('click', () => initiateLoadInputsFromFile('project-file-input'));
+    fileInput.addEventListener('change', event => {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = e => {
+            try {
+                const project = importProject(parseProjectFile(e.target.result));
+                render();
+                showFeedback(`Imported "${project.name}" with ${project.runs.length} run(s).`);
+            } catch (error) {
+                showFeedback(`Import failed: ${error.message}`, true);
+            }
+        };
+        reader.readAsText(file);
+        fileInput.value = '';
+    });
+
+    runsBody.addEventListener('click', event => {
+        const button = event.target.closest('button[data-run-action]');
+        const active = getActiveProject();
+        if (!button || !active) return;
+        const run = active.runs.find(r => r.id === button.dataset.runId);
+        if (!run) return;
+        if (button.dataset.runAction === 'open') {
+            openProjectRun(run);
+        } else {
+            removeRunFromProject(active.id, run.id);
+            render();
+        }
+    });
+
+    render();
+}
@@ -0,0 +1,112 @@
+/**
+ * Run history of a calculator page: a log of past runs (inputs, key results and time) kept in
+ * localStorage under `${storageKey}-runs`, an undo/redo stack of input edits, and the comparison
+ * of two runs. The panel lives in js/shared-utils.js (initializeRunHistory); this module holds the
+ * parts that do not need the DOM.
+ */
+
+import { batchCalculators, summarizeMemberResult } from './member-batch.js';
+import { defaultSweepOutputs, flattenNumericResults } from './parametric.js';
+
+export const MAX_RUNS = 30;
+export const MAX_UNDO_STEPS = 100;
+
+/**
+ * Picks the results worth keeping with a run: the demand/capacity ratios for member checks (as in
+ * the batch check), otherwise the first few ratios or values of the result.
+ * @param {string} calculatorId
+ * @param {object} result - The engine's result.
+ * @returns {{checks: {name: string, value: number}[], governing: {name: string, value: number}|null}}
+ */
+export function runSummary(calculatorId, result) {
+    if (batchCalculators[calculatorId]) {
+        const { checks, governing } = summarizeMemberResult(calculatorId, result);
+        return {
+            checks: checks.map(({ name, ratio }) => ({ name, value: ratio })),
+            governing: governing ? { name: governing.name, value: governing.ratio } : null
+        };
+    }
+    const outputs = flattenNumericResults(result);
+    const checks = defaultSweepOutputs(Object.keys(outputs), 6).map(name => ({ name, value: outputs[name] }));
+    return { checks, governing: null };
+}
+
+/**
+ * Adds a run to the front of the log, dropping the oldest beyond the limit. Runs are numbered
+ * in the order they were made.
+ * @param {object[]} runs - The log, newest first.
+ * @param {{inputs: object, checks: object[], governing: object|null}} run
+ * @param {{now?: Date, limit?: number}} [options]
+ * @returns {object[]} The new log.
+ */
+export function addRun(runs, run, { now = new Date(), limit = MAX_RUNS } = {}) {
+    const number = runs.reduce((max, entry) => Math.max(max, entry.number || 0), 0) + 1;
+    return [{ ...run, number, saved_at: now.toISOString() }, ...runs].slice(0, limit);
+}
+
+const sameInputs = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Starts an edit history at the inputs currently on the page.
+ * @param {object} inputs
+ * @returns {{past: object[], present: object, future: object[]}}
+ */
+export function createEditHistory(inputs) {
+    return { past: [], present: inputs, future: [] };
+}
+
+/**
+ * Records the inputs after an edit. Nothing changes when they equal the current state, so
+ * events fired while restoring a state do not add steps.
+ * @param {object} history
+ * @param {object} inputs
+ * @param {number} [limit=MAX_UNDO_STEPS]
+ * @returns {object} The new history; redo steps are discarded.
+ */
+export function recordEdit(history, inputs, limit = MAX_UNDO_STEPS) {
+    if (sameInputs(history.present, inputs)) return history;
+    return { past: [...history.past, history.present].slice(-limit), present: inputs, future: [] };
+}
+
+/**
+ * Steps back to the previous inputs.
+ * @param {object} history
+ * @returns {object} The new history, or the same one when there is nothing to undo.
+ */
+export function undoEdit(history) {
+    if (!history.past.length) return history;
+    return { past: history.past.slice(0, -1), present: history.past[history.past.length - 1], future: [history.present, ...history.future] };
+}
+
+/**
+ * Steps forward again after an undo.
+ * @param {object} history
+ * @returns {object} The new history, or the same one when there is nothing to redo.
+ */
+export function redoEdit(history) {
+    if (!history.future.length) return history;
+    return { past: [...history.past, history.present], present: history.future[0], future: history.future.slice(1) };
+}
+
+/**
+ * Compares two runs side by side: every input, and the key results of either run with the
+ * change from the first to the second.
+ * @param {object} a - The earlier run.
+ * @param {object} b - The later run.
+ * @param {string[]} fieldIds - The calculator's input IDs, in display order.
+ * @returns {{inputs: {id: string, a: *, b: *, changed: boolean}[], results: {name: string, a: number|null, b: number|null, delta: number|null}[]}}
+ */
+export function diffRuns(a, b, fieldIds) {
+    const value = (run, id) => (run.inputs?.[id] === undefined ? null : run.inputs[id]);
+    const inputs = fieldIds.map(id => ({ id, a: value(a, id), b: value(b, id), changed: !sameInputs(value(a, id), value(b, id)) }));
+
+    const names = [...new Set([...(a.checks || []), ...(b.checks || [])].map(check => check.name))];
+    const find = (run, name) => run.checks?.find(check => check.name === name)?.value ?? null;
+    const results = names.map(name => {
+        const before = find(a, name);
+        const after = find(b, name);
+        const delta = Number.isFinite(before) && Number.isFinite(after) ? after - before : null;
+        return { name, a: before, b: after, delta };
+    });
+    return { inputs, results };
+}
@@ -0,0 +1,86 @@
+/**
+ * Share links: the complete inputs of a calculator packed into the URL hash, e.g.
+ * `wind.html#share=1.<data>&run=1`. The data is the calculator's input file (js/input-file.js)
+ * compressed with deflate and written as base64url, so a link opens through the same checks and
+ * schema migrations as a saved file. The leading number is the link format version.
+ */
+
+import { INPUT_FILE_FORMAT, readInputFile } from './input-file.js';
+
+export const SHARE_LINK_VERSION = 1;
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Packs a calculator's inputs into the token of a share link.
+ * @param {object} schema - The calculator's schema from js/input-schemas.js.
+ * @param {object} inputs - Input values keyed by field ID; fields left out are written as empty.
+ * @returns {Promise<string>}
+ */
+export async function encodeShareState(schema, inputs) {
+    const values = Object.fromEntries(Object.keys(schema.fields).map(id => [id, inputs[id] === undefined ? null : inputs[id]]));
+    // Only the header fields readInputFile checks; the rest of a saved file's header does not need to travel.
+    const file = { format: INPUT_FILE_FORMAT, calculator: schema.id, schema_version: schema.version, inputs: values };
+    const compressed = await transform(new TextEncoder().encode(JSON.stringify(file)), new CompressionStream('deflate-raw'));
+    return `${SHARE_LINK_VERSION}.${toBase64Url(compressed)}`;
+}
+
+/**
+ * Unpacks a share link token. Throws an Error with a user-facing message when the link is
+ * damaged, from a newer version of the app, or made for another calculator.
+ * @param {string} token
+ * @param {object} schema
+ * @returns {Promise<{inputs: object, header: object|null, report: object}>} As from readInputFile.
+ */
+export async function decodeShareState(token, schema) {
+    const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token ?? ''));
+    if (!match) throw new Error('The share link is incomplete or damaged.');
+    if (Number(match[1]) > SHARE_LINK_VERSION) {
+        throw new Error('This share link was made by a newer version of the app. Please update the application.');
+    }
+    let text;
+    try {
+        text = new TextDecoder().decode(await transform(fromBase64Url(match[2]), new DecompressionStream('deflate-raw')));
+    } catch (error) {
+        throw new Error('The share link is incomplete or damaged.');
+    }
+    return readInputFile(text, schema);
+}
+
+/**
+ * Builds a share link for the current page.
+ * @param {string} pageUrl - The page's URL; any hash is replaced.
+ * @param {string} token - From encodeShareState.
+ * @param {{run?: boolean}} [options] - Whether opening the link runs the calculation.
+ * @returns {string}
+ */
+export function shareLinkUrl(pageUrl, token, { run = false } = {}) {
+    const params = new URLSearchParams({ share: token });
+    if (run) params.set('run', '1');
+    return `${String(pageUrl).split('#')[0]}#${params}`;
+}
+
+/**
+ * Reads a share link from a URL hash.
+ * @param {string} hash - e.g. `location.hash`.
+ * @returns {{token: string, run: boolean}|null} Null when the hash holds no share link.
+ */
+export function parseShareHash(hash) {
+    const params = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+    const token = params.get('share');
+    return token ? { token, run: params.get('run') === '1' } : null;
+}
@@ -35,9 +35,9 @@ function initializeThemeToggle() {
 }
 
 /**
- * Populates input fields from URL query parameters.
- * This allows for sharing pre-configured calculator links.
- * e.g., ?basic_wind_speed=120&mean_roof_height=50
+ * Populates input fields from URL query parameters, for hand-written links that preset a few
+ * inputs, e.g. ?basic_wind_speed=120&mean_roof_height=50. The "Share Link" button builds links
+ * with the complete inputs instead (initializeShareLink).
  */
 function loadInputsFromURL() {
     const params = new URLSearchParams(window.location.search);
@@ -45,24 +45,11 @@ function loadInputsFromURL() {
         return; // No parameters, do nothing.
     }
 
-    let populatedCount = 0;
-    params.forEach((value, key) => {
-        const el = document.getElementById(key);
-        if (el) {
-            if (el.type === 'checkbox') {
-                el.checked = value === 'true';
-            } else {
-                el.value = value;
-            }
-            // Dispatch events to ensure any UI toggles or dependent logic is triggered.
-            el.dispatchEvent(new Event('change', { bubbles: true }));
-            el.dispatchEvent(new Event('input', { bubbles: true }));
-            populatedCount++;
-        }
-    });
-
-    if (populatedCount > 0) {
-        showFeedback(`${populatedCount} input(s) loaded from URL.`, false, 'feedback-message');
+    const values = Object.fromEntries(params);
+    const ids = Object.keys(values).filter(id => document.getElementById(id));
+    applyInputsToFields(ids, values);
+    if (ids.length > 0) {
+        showFeedback(`${ids.length} input(s) loaded from URL.`, false, 'feedback-message');
     }
 }
 /**
@@ -239,65 +226,6 @@ function setLoadingState(isLoading, buttonId) {
     }
 }
 
-/**
- * Performs linear interpolation for a given value within a dataset.
- * This is commonly used for looking up values in normative tables.
- * @param {number} x - The point at which to evaluate the interpolated value.
- * @param {number[]} xp - The array of x-coordinates of the data points.
- * @param {number[]} fp - The array of y-coordinates of the data points.
- * @returns {number} The interpolated y-value.
- */
-function interpolate(x, xp, fp) {
-    // Input validation
-    if (!Array.isArray(xp) || !Array.isArray(fp) || xp.length !== fp.length || xp.length < 2) {
-        throw new Error('Invalid input arrays for interpolation');
-    }
-    if (!xp.every((val, i) => i === 0 || val > xp[i-1])) {
-        throw new Error('x-coordinates must be in ascending order');
-    }
-    
-    // Handle boundary conditions
-    if (x <= xp[0]) return fp[0];
-    if (x >= xp[xp.length - 1]) return fp[fp.length - 1];
-    
-    // Find the appropriate interval
-    let i = 0;
-    while (i < xp.length - 1 && x > xp[i + 1]) i++;
-    
-    // Perform linear interpolation
-    const x1 = xp[i], y1 = fp[i];
-    const x2 = xp[i + 1], y2 = fp[i + 1];
-    return y1 + ((x - x1) * (y2 - y1)) / (x2 - x1);
-}
-
-/**
- * Validates a set of inputs against a predefined set of rules.
- * @param {object} inputs - The input values to validate.
- * @param {object} rules - The validation rules object.
- * @returns {{errors: string[], warnings: string[]}} - An object containing arrays of error and warning messages.
- */
-function validateInputs(inputs, rules) {
-    const errors = [];
-    const warnings = [];
-
-    if (rules) {
-        for (const [key, rule] of Object.entries(rules)) {
-            const value = inputs[key];
-            const label = rule.label || key;
-
-            if (rule.required && (value === undefined || value === '' || value === null || (typeof value === 'number' && isNaN(value)))) {
-                errors.push(`${label} is required.`);
-                continue;
-            }
-            if (typeof value === 'number' && !isNaN(value)) {
-                if (rule.min !== undefined && value < rule.min) errors.push(`${label} must be at least ${rule.min}.`);
-                if (rule.max !== undefined && value > rule.max) errors.push(`${label} must be no more than ${rule.max}.`);
-            }
-        }
-    }
-    return { errors, warnings };
-}
-
 /**
  * Renders validation errors and warnings into an HTML string.
  * @param {{errors?: string[], warnings?: string[]}} validation - The validation result object.
@@ -335,6 +263,55 @@ function renderValidationResults(validation, container) {
     return html;
 }
 
+/**
+ * Shows validation problems next to the fields they concern: the field is outlined and the
+ * message is placed under it until the field is edited. Messages from an earlier run are cleared
+ * first, so calling this with no issues just clears them.
+ * @param {{field?: string, level: 'error'|'warning', message: string}[]} [issues=[]] - From validateInputs (js/validation.js).
+ * @param {function(string): string} [formatMessage] - Applied to each message, e.g. to convert units back to the page's.
+ * @returns {object[]} The issues that could not be shown inline because their field is missing or hidden.
+ */
+function showFieldValidation(issues = [], formatMessage = text => text) {
+    document.querySelectorAll('.field-validation-message').forEach(el => el.remove());
+    document.querySelectorAll('[data-validation-level]').forEach(el => {
+        el.classList.remove('border-red-500', 'border-yellow-500');
+        el.removeAttribute('aria-invalid');
+        el.removeAttribute('data-validation-level');
+    });
+
+    const unplaced = [];
+    for (const issue of issues) {
+        const field = issue.field && document.getElementById(issue.field);
+        // Fields in a collapsed section or an inactive option are not visible to point at.
+        if (!field || field.getClientRects().length === 0) {
+            unplaced.push(issue);
+            continue;
+        }
+        const isError = issue.level === 'error';
+        if (field.dataset.validationLevel !== 'error') {
+            field.classList.remove('border-yellow-500');
+            field.classList.add(isError ? 'border-red-500' : 'border-yellow-500');
+            field.dataset.validationLevel = issue.level;
+        }
+        if (isError) field.setAttribute('aria-invalid', 'true');
+        const message = document.createElement('p');
+        message.className = `field-validation-message text-xs mt-1 ${isError ? 'text-red-600 dark:text-red-400' : 'text-yellow-700 dark:text-yellow-400'}`;
+        message.dataset.validationFor = issue.field;
+        message.textContent = formatMessage(issue.message);
+        // After any hint already placed under the field (e.g. a range indicator).
+        let anchor = field;
+        while (anchor.nextElementSibling?.matches('.field-validation-message, .text-xs')) anchor = anchor.nextElementSibling;
+        anchor.insertAdjacentElement('afterend', message);
+        field.addEventListener('input', () => {
+            document.querySelectorAll(`.field-validation-message[data-validation-for="${issue.field}"]`).forEach(el => el.remove());
+            field.classList.remove('border-red-500', 'border-yellow-500');
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('data-validation-level');
+        }, { once: true });
+    }
+    return unplaced;
+}
+
 /**
  * Sanitizes a string to prevent XSS by escaping HTML special characters.
  * @param {string | number} str - The string or number to sanitize.
@@ -485,10 +462,110 @@ async function convertSvgToPng(svg) {
     });
 }
 
+const REPORT_TITLE_BLOCK_KEY = 'report-title-block';
+
 /**
- * Copies the content of a given container to the clipboard, converting SVGs to images.
+ * Asks for the title block of a PDF report in a modal dialog, prefilled from the open project
+ * and the previous report.
+ * @param {{key: string, label: string}[]} fields
+ * @param {Object<string, string>} defaults
+ * @returns {Promise<Object<string, string>|null>} The entered values, or null when cancelled.
+ */
+function promptReportTitleBlock(fields, defaults) {
+    return new Promise(resolve => {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'rounded-lg shadow-xl p-6 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 w-full max-w-lg';
+        dialog.innerHTML = `
+            <form method="dialog">
+                <h3 class="text-lg font-semibold mb-4">Report Title Block</h3>
+                <div class="grid grid-cols-2 gap-4">
+                    ${fields.map(({ key, label }) => `
+                        <div>
+                            <label for="title-block-${key}" class="block text-sm font-medium mb-1">${label}</label>
+                            <input type="text" id="title-block-${key}" name="${key}" value="${sanitizeHTML(defaults[key] || '')}">
+                        </div>`).join('')}
+                </div>
+                <div class="flex justify-end gap-2 mt-6">
+                    <button value="cancel" formnovalidate class="bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-600 text-sm">Cancel</button>
+                    <button value="generate" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm">Generate PDF</button>
+                </div>
+            </form>`;
+        document.body.appendChild(dialog);
+        dialog.addEventListener('close', () => {
+            const values = Object.fromEntries(fields.map(({ key }) => [key, dialog.querySelector(`[name="${key}"]`).value.trim()]));
+            dialog.remove();
+            resolve(dialog.returnValue === 'generate' ? values : null);
+        });
+        dialog.showModal();
+    });
+}
+
+/**
+ * Copies a report into an off-screen container and splits it into the blocks the PDF is built
+ * from: each report section, and whatever sits between them. Diagrams are swapped for images,
+ * buttons and other print-hidden elements are dropped and collapsed detail rows are expanded.
+ * The live page is left untouched.
+ * @param {HTMLElement} reportContainer
+ * @param {HTMLElement} stage - Off-screen element to hold the copy while it is rendered.
+ * @returns {Promise<{element: HTMLElement, title: string|null}[]>}
+ */
+async function prepareReportBlocks(reportContainer, stage) {
+    const clone = reportContainer.cloneNode(true);
+    clone.removeAttribute('id');
+
+    // Charts and diagrams do not survive cloning and rasterizing, so they become images first.
+    const originalSvgs = reportContainer.querySelectorAll('svg');
+    const clonedSvgs = clone.querySelectorAll('svg');
+    for (let i = 0; i < originalSvgs.length; i++) {
+        if (originalSvgs[i].closest('button') || !originalSvgs[i].getBoundingClientRect().width) continue;
+        try {
+            clonedSvgs[i].replaceWith(await convertSvgToPng(originalSvgs[i]));
+        } catch (error) {
+            console.warn('A diagram could not be added to the PDF:', error);
+        }
+    }
+    const originalCanvases = reportContainer.querySelectorAll('canvas');
+    clone.querySelectorAll('canvas').forEach((canvas, i) => {
+        const image = new Image();
+        image.src = originalCanvases[i].toDataURL('image/png');
+        image.style.maxWidth = '100%';
+        canvas.replaceWith(image);
+    });
+
+    clone.querySelectorAll('.print-hidden, button, input[type="file"]').forEach(el => el.remove());
+    clone.querySelectorAll('.details-row').forEach(row => { row.style.display = 'table-row'; });
+    stage.appendChild(clone);
+    await Promise.all(Array.from(clone.querySelectorAll('img')).map(img => img.decode().catch(() => {})));
+
+    const blocks = [];
+    const collect = parent => {
+        for (const child of parent.children) {
+            if (!child.matches('.report-section-copyable') && child.querySelector('.report-section-copyable')) {
+                collect(child);
+            } else if (child.getBoundingClientRect().height > 0) {
+                blocks.push(child);
+            }
+        }
+    };
+    collect(clone);
+
+    // Sections are listed in the table of contents; reports without sections list their headings.
+    const hasSections = blocks.some(block => block.matches('.report-section-copyable'));
+    return blocks.map(element => {
+        const heading = (!hasSections || element.matches('.report-section-copyable'))
+            && element.querySelector('.report-header, h1, h2, h3');
+        return { element, title: heading ? heading.textContent : null };
+    });
+}
+
+/**
+ * Builds a multi-page PDF of a report: a cover page with the title block and a linked table of
+ * contents, then the report sections with a header and page numbers on every page. The report is
+ * copied off-screen, so the page keeps its state and event listeners. The page header names the
+ * report after the container's `data-report-title`, or else the page's main title.
  * @param {string} containerId - The ID of the container with the report content.
- * @param {string} feedbackElId - The ID of the feedback element.
+ * @param {string} filename - The desired filename for the downloaded PDF.
+ * @param {string} [feedbackElId='feedback-message'] - The ID of the feedback element.
  */
 async function handleDownloadPdf(containerId, filename, feedbackElId = 'feedback-message') {
     const reportContainer = document.getElementById(containerId);
@@ -496,57 +573,359 @@ async function handleDownloadPdf(containerId, filename, feedbackElId = 'feedback
         showFeedback('Report container not found for PDF export.', true, feedbackElId);
         return;
     }
-    if (typeof html2pdf === 'undefined') {
+    if (typeof html2canvas === 'undefined' || !window.jspdf) {
         showFeedback('PDF generation library is not loaded.', true, feedbackElId);
         return;
     }
-    
+
+    const { REPORT_PAGE, TITLE_BLOCK_FIELDS, titleBlockDefaults, toPdfText, contentArea, layoutReport } = await import('./pdf-report.js');
+    let previous = {};
+    try {
+        previous = JSON.parse(localStorage.getItem(REPORT_TITLE_BLOCK_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring the saved report title block:', error);
+    }
+    const project = typeof getActiveProject === 'function' ? getActiveProject() : null;
+    const titleBlock = await promptReportTitleBlock(TITLE_BLOCK_FIELDS, titleBlockDefaults(project, previous));
+    if (!titleBlock) return;
+    localStorage.setItem(REPORT_TITLE_BLOCK_KEY, JSON.stringify({ checker: titleBlock.checker, revision: titleBlock.revision }));
+
     showFeedback('Generating PDF...', false, feedbackElId);
+    const reportTitle = toPdfText(reportContainer.dataset.reportTitle || document.getElementById('main-title')?.innerText || document.title || 'Engineering Report');
 
-    // FIX: Temporarily switch to light mode for PDF generation
+    // The report is rendered in light mode at a fixed width, away from the visible page.
     const htmlElement = document.documentElement;
     const isDark = htmlElement.classList.contains('dark');
-    if (isDark) {
-        htmlElement.classList.remove('dark');
+    if (isDark) htmlElement.classList.remove('dark');
+    const stage = document.createElement('div');
+    stage.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 800px; background: #fff;';
+    document.body.appendChild(stage);
+
+    try {
+        const blocks = await prepareReportBlocks(reportContainer, stage);
+        const canvases = [];
+        for (const block of blocks) {
+            canvases.push(await html2canvas(block.element, { scale: 2, useCORS: true, backgroundColor: '#ffffff' }));
+        }
+        const contentWidth = contentArea(REPORT_PAGE).width;
+        const { area, firstPageRows, rowsPerPage, slices, contents, pageCount } = layoutReport(
+            canvases.map(canvas => canvas.height * contentWidth / canvas.width),
+            blocks.map(block => (block.title ? toPdfText(block.title) : null))
+        );
+
+        const pdf = new window.jspdf.jsPDF({ unit: 'in', format: 'letter', orientation: 'portrait' });
+        for (let page = 2; page <= pageCount; page++) pdf.addPage();
+
+        // Cover: report title, title block, table of contents.
+        pdf.setPage(1);
+        pdf.setTextColor(0);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(18);
+        pdf.text(reportTitle, area.left, area.top + 0.35);
+        const cellWidth = area.width / 2;
+        const cellHeight = 0.5;
+        const blockTop = area.top + 0.7;
+        TITLE_BLOCK_FIELDS.forEach(({ key, label }, i) => {
+            const x = area.left + (i % 2) * cellWidth;
+            const y = blockTop + Math.floor(i / 2) * cellHeight;
+            pdf.setDrawColor(0);
+            pdf.rect(x, y, cellWidth, cellHeight);
+            pdf.setFont('helvetica', 'normal');
+            pdf.setFontSize(8);
+            pdf.setTextColor(100);
+            pdf.text(label.toUpperCase(), x + 0.08, y + 0.15);
+            pdf.setFontSize(11);
+            pdf.setTextColor(0);
+            pdf.text(toPdfText(titleBlock[key]) || '-', x + 0.08, y + 0.38, { maxWidth: cellWidth - 0.16 });
+        });
+
+        if (contents.length) {
+            let page = 1;
+            let y = area.top + REPORT_PAGE.titleBlockHeight;
+            pdf.setFont('helvetica', 'bold');
+            pdf.setFontSize(13);
+            pdf.text('Contents', area.left, y);
+            pdf.setFont('helvetica', 'normal');
+            pdf.setFontSize(11);
+            contents.forEach((entry, i) => {
+                if (i === firstPageRows || (i > firstPageRows && (i - firstPageRows) % rowsPerPage === 0)) {
+                    page++;
+                    y = area.top - REPORT_PAGE.contentsRowHeight / 2;
+                    pdf.setPage(page);
+                }
+                y += REPORT_PAGE.contentsRowHeight;
+                const title = pdf.splitTextToSize(entry.title, area.width - 0.6)[0];
+                pdf.text(title, area.left, y);
+                pdf.text(String(entry.page), area.left + area.width, y, { align: 'right' });
+                pdf.link(area.left, y - 0.17, area.width, REPORT_PAGE.contentsRowHeight, { pageNumber: entry.page });
+            });
+        }
+
+        // Sections, cut into page-sized slices where they run over a page.
+        slices.forEach(slice => {
+            const canvas = canvases[slice.section];
+            const pixelsPerInch = canvas.width / area.width;
+            const piece = document.createElement('canvas');
+            piece.width = canvas.width;
+            piece.height = Math.max(1, Math.round(slice.height * pixelsPerInch));
+            piece.getContext('2d').drawImage(canvas, 0, -Math.round(slice.offset * pixelsPerInch));
+            pdf.setPage(slice.page);
+            pdf.addImage(piece.toDataURL('image/jpeg', 0.95), 'JPEG', area.left, area.top + slice.y, area.width, slice.height);
+        });
+
+        // Header and footer on every page.
+        const jobLine = [titleBlock.project, titleBlock.job_number && `Job ${titleBlock.job_number}`].filter(Boolean).map(toPdfText).join(' - ');
+        for (let page = 1; page <= pageCount; page++) {
+            pdf.setPage(page);
+            pdf.setFont('helvetica', 'normal');
+            pdf.setFontSize(9);
+            pdf.setTextColor(100);
+            pdf.setDrawColor(180);
+            pdf.text(jobLine, area.left, REPORT_PAGE.margin + 0.15);
+            pdf.text(reportTitle, area.left + area.width, REPORT_PAGE.margin + 0.15, { align: 'right' });
+            pdf.line(area.left, REPORT_PAGE.margin + 0.25, area.left + area.width, REPORT_PAGE.margin + 0.25);
+            const footerY = REPORT_PAGE.height - REPORT_PAGE.margin - 0.1;
+            pdf.line(area.left, footerY - 0.2, area.left + area.width, footerY - 0.2);
+            pdf.text(`Rev. ${toPdfText(titleBlock.revision) || '-'}  |  ${toPdfText(titleBlock.date)}`, area.left, footerY);
+            pdf.text(`Page ${page} of ${pageCount}`, area.left + area.width, footerY, { align: 'right' });
+        }
+
+        pdf.save(filename);
+        showFeedback(`PDF saved (${pageCount} pages).`, false, feedbackElId);
+    } catch (error) {
+        console.error('PDF generation failed:', error);
+        showFeedback(`PDF generation failed: ${error.message}`, true, feedbackElId);
+    } finally {
+        stage.remove();
+        if (isDark) htmlElement.classList.add('dark');
     }
-    // End of FIX
+}
 
-    const projectTitle = document.getElementById('main-title')?.innerText || 'Engineering Report';
-    const reportDate = new Date().toLocaleDateString();
+const DOCX_BLOCK_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TABLE', 'UL', 'OL', 'LI', 'IMG', 'SVG', 'CANVAS', 'FIGURE', 'DETAILS', 'SUMMARY', 'BLOCKQUOTE', 'PRE']);
+const DOCX_SKIPPED = '.print-hidden, button, input, select, textarea, script, style';
 
-    const opt = {
-        margin:       0.5,
-        filename:     filename,
-        image:        { type: 'jpeg', quality: 0.98 },
-        html2canvas:  { scale: 2, useCORS: true },
-        jsPDF:        { unit: 'in', format: 'letter', orientation: 'portrait' },
-        pagebreak:    { mode: ['avoid-all', 'css', 'legacy'] }
-    };
+/**
+ * Converts a PNG data URL to an image block for js/docx.js.
+ * @param {string} dataUrl
+ * @param {number} width - CSS pixels.
+ * @param {number} height - CSS pixels.
+ * @returns {object}
+ */
+function pngBlock(dataUrl, width, height) {
+    const binary = atob(dataUrl.split(',')[1]);
+    const data = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return { type: 'image', data, width: Math.round(width), height: Math.round(height) };
+}
 
-    // Use a try/finally block to ensure the theme is restored even if an error occurs
-    try {
-        await html2pdf().from(reportContainer).set(opt).toPdf().get('pdf').then(function (pdf) {
-            const totalPages = pdf.internal.getNumberOfPages();
-            const pageWidth = pdf.internal.pageSize.getWidth();
-            const pageHeight = pdf.internal.pageSize.getHeight();
-
-            for (let i = 1; i <= totalPages; i++) {
-                pdf.setPage(i);
-                pdf.setFontSize(10);
-                pdf.setTextColor(100); // Gray color
-                // Header
-                pdf.text(projectTitle, pageWidth / 2, 0.3, { align: 'center' });
-                pdf.text(`Date: ${reportDate}`, pageWidth - 0.5, 0.3, { align: 'right' });
-                // Footer
-                pdf.text(`Page ${i} of ${totalPages}`, pageWidth / 2, pageHeight - 0.3, { align: 'center' });
+/**
+ * Collects the text runs of an element for js/docx.js, keeping bold, italics, sub- and
+ * superscripts, line breaks and pass/fail colours. Block children are separated by line breaks.
+ * @param {Node} node
+ * @param {object} [format={}] - Formatting inherited from the parents.
+ * @param {object[]} [runs=[]]
+ * @returns {object[]}
+ */
+function collectDocxRuns(node, format = {}, runs = []) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.replace(/\s+/g, ' ');
+        if (text.trim() || (text && runs.length && !runs[runs.length - 1].break)) runs.push({ ...format, text });
+        return runs;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(DOCX_SKIPPED)) return runs;
+    // Diagrams inside a table cell or paragraph have no text equivalent.
+    if (['svg', 'CANVAS', 'IMG'].includes(node.tagName)) return runs;
+    if (node.tagName === 'BR') {
+        runs.push({ break: true });
+        return runs;
+    }
+    const next = { ...format };
+    if (['B', 'STRONG', 'TH'].includes(node.tagName)) next.bold = true;
+    if (['I', 'EM'].includes(node.tagName)) next.italic = true;
+    if (node.tagName === 'SUB') next.sub = true;
+    if (node.tagName === 'SUP') next.sup = true;
+    if (node.matches('.pass, [class*="text-green-"]')) next.color = '15803D';
+    if (node.matches('.fail, [class*="text-red-"]')) next.color = 'B91C1C';
+    const isBlock = DOCX_BLOCK_TAGS.has(node.tagName.toUpperCase());
+    if (isBlock && runs.length && !runs[runs.length - 1].break) runs.push({ break: true });
+    node.childNodes.forEach(child => collectDocxRuns(child, next, runs));
+    return runs;
+}
+
+// Drops leading and trailing breaks and the spaces around them.
+function trimDocxRuns(runs) {
+    const trimmed = runs.slice();
+    while (trimmed.length && (trimmed[0].break || !trimmed[0].text.trim())) trimmed.shift();
+    while (trimmed.length && (trimmed[trimmed.length - 1].break || !trimmed[trimmed.length - 1].text.trim())) trimmed.pop();
+    if (trimmed.length) {
+        trimmed[0] = { ...trimmed[0], text: trimmed[0].text.trimStart() };
+        const last = trimmed.length - 1;
+        trimmed[last] = { ...trimmed[last], text: trimmed[last].text.trimEnd() };
+    }
+    return trimmed;
+}
+
+/**
+ * Walks a rendered report and turns it into the blocks of js/docx.js: headings, paragraphs,
+ * tables, and diagrams as PNG images (SVG through convertSvgToPng, canvas charts directly).
+ * @param {HTMLElement} element
+ * @param {object[]} [blocks=[]]
+ * @returns {Promise<object[]>}
+ */
+async function reportToDocxBlocks(element, blocks = []) {
+    for (const node of element.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const runs = trimDocxRuns(collectDocxRuns(node));
+            if (runs.length) blocks.push({ type: 'paragraph', runs });
+            continue;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || node.matches(DOCX_SKIPPED)) continue;
+        // Collapsed detail rows are part of the report; sections hidden as not applicable are not.
+        if (node.matches('.hidden, [hidden]') && !node.matches('.details-row')) continue;
+
+        const tag = node.tagName.toUpperCase();
+        if (/^H[1-6]$/.test(tag) || node.matches('.report-header')) {
+            const level = { H1: 1, H2: 1, H3: 2 }[tag] || (node.matches('.report-header') ? 2 : 3);
+            const runs = trimDocxRuns(collectDocxRuns(node));
+            if (runs.length) blocks.push({ type: 'heading', level, runs });
+        } else if (tag === 'TABLE') {
+            const caption = node.querySelector(':scope > caption');
+            if (caption) blocks.push({ type: 'paragraph', style: 'Caption', runs: trimDocxRuns(collectDocxRuns(caption)) });
+            const rows = Array.from(node.rows)
+                .filter(row => !row.matches(DOCX_SKIPPED))
+                .map(row => ({
+                    header: row.parentElement.tagName === 'THEAD',
+                    cells: Array.from(row.cells).map(cell => ({ runs: trimDocxRuns(collectDocxRuns(cell)), colspan: cell.colSpan }))
+                }));
+            blocks.push({ type: 'table', rows });
+        } else if (tag === 'SVG') {
+            const rect = node.getBoundingClientRect();
+            if (!rect.width) continue;
+            try {
+                const image = await convertSvgToPng(node);
+                blocks.push(pngBlock(image.src, rect.width, rect.height));
+            } catch (error) {
+                console.warn('A diagram could not be added to the Word document:', error);
             }
-        }).save();
+        } else if (tag === 'CANVAS') {
+            if (node.width) blocks.push(pngBlock(node.toDataURL('image/png'), node.clientWidth || node.width, node.clientHeight || node.height));
+        } else if (tag === 'IMG') {
+            if (!node.naturalWidth) continue;
+            const canvas = document.createElement('canvas');
+            canvas.width = node.naturalWidth;
+            canvas.height = node.naturalHeight;
+            canvas.getContext('2d').drawImage(node, 0, 0);
+            blocks.push(pngBlock(canvas.toDataURL('image/png'), node.width || node.naturalWidth, node.height || node.naturalHeight));
+        } else if (tag === 'LI') {
+            const runs = trimDocxRuns(collectDocxRuns(node));
+            if (runs.length) blocks.push({ type: 'paragraph', style: 'ListBullet', runs: [{ text: '• ' }, ...runs] });
+        } else if (Array.from(node.children).some(child => DOCX_BLOCK_TAGS.has(child.tagName.toUpperCase()) || child.matches('.report-header'))) {
+            await reportToDocxBlocks(node, blocks);
+        } else {
+            const runs = trimDocxRuns(collectDocxRuns(node));
+            if (runs.length) blocks.push({ type: 'paragraph', runs });
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Downloads a report as a Word document, built in the browser: headings, tables, equations as
+ * formatted text and the report's diagrams as images.
+ * @param {string} containerId - The ID of the container with the report content.
+ * @param {string} filename - The desired filename for the downloaded .docx file.
+ * @param {string} [feedbackElId='feedback-message'] - The ID of the feedback element.
+ */
+async function handleDownloadDocx(containerId, filename, feedbackElId = 'feedback-message') {
+    const reportContainer = document.getElementById(containerId);
+    if (!reportContainer) {
+        showFeedback('Report container not found for Word export.', true, feedbackElId);
+        return;
+    }
+    showFeedback('Generating Word document...', false, feedbackElId);
+
+    // Diagrams are converted with the light theme's colours.
+    const htmlElement = document.documentElement;
+    const isDark = htmlElement.classList.contains('dark');
+    if (isDark) htmlElement.classList.remove('dark');
+    try {
+        const { buildDocx, DOCX_MIME_TYPE } = await import('./docx.js');
+        const blocks = await reportToDocxBlocks(reportContainer);
+        const title = reportContainer.dataset.reportTitle || document.getElementById('main-title')?.innerText || document.title;
+        downloadFile(buildDocx(blocks, { title }), filename, DOCX_MIME_TYPE);
+        showFeedback('Word document downloaded.', false, feedbackElId);
+    } catch (error) {
+        console.error('Word export failed:', error);
+        showFeedback(`Word export failed: ${error.message}`, true, feedbackElId);
     } finally {
-        // FIX: Restore the original theme after PDF generation
-        if (isDark) {
-            htmlElement.classList.add('dark');
+        if (isDark) htmlElement.classList.add('dark');
+    }
+}
+
+/**
+ * Reads the tables of a rendered report for js/spreadsheet.js, grouped by the report section
+ * (`.report-section-copyable`) they belong to. Expandable breakdown rows and nested tables are
+ * left out.
+ * @param {HTMLElement} reportContainer
+ * @param {string} fallbackTitle - Title for tables outside any section.
+ * @returns {{title: string, tables: object[]}[]}
+ */
+function collectReportTables(reportContainer, fallbackTitle) {
+    const sections = new Map();
+    const cellText = cell => {
+        const clone = cell.cloneNode(true);
+        clone.querySelectorAll(DOCX_SKIPPED).forEach(el => el.remove());
+        return clone.textContent.replace(/\s+/g, ' ').trim();
+    };
+    reportContainer.querySelectorAll('table').forEach(table => {
+        if (table.parentElement.closest('table') || table.closest('.details-row, .print-hidden, [hidden]')) return;
+        const section = table.closest('.report-section-copyable');
+        const key = section && reportContainer.contains(section) ? section : reportContainer;
+        if (!sections.has(key)) {
+            const header = key === reportContainer ? null : key.querySelector('.report-header, h2, h3');
+            sections.set(key, { title: header ? cellText(header) : fallbackTitle, tables: [] });
+        }
+        const rows = Array.from(table.rows)
+            .filter(row => !row.matches('.details-row, .print-hidden'))
+            .map(row => ({
+                header: row.parentElement.tagName === 'THEAD' || Array.from(row.cells).every(cell => cell.tagName === 'TH'),
+                cells: Array.from(row.cells).map(cell => ({ text: cellText(cell), colspan: cell.colSpan }))
+            }));
+        sections.get(key).tables.push({ caption: table.caption ? cellText(table.caption) : '', rows });
+    });
+    return Array.from(sections.values());
+}
+
+/**
+ * Downloads the tables of a report as a spreadsheet: an XLSX workbook with one sheet per report
+ * section, or a single CSV file.
+ * @param {string} containerId - The ID of the container with the report content.
+ * @param {string} filename - The desired filename, ending in .xlsx or .csv.
+ * @param {string} [feedbackElId='feedback-message'] - The ID of the feedback element.
+ */
+async function handleDownloadTables(containerId, filename, feedbackElId = 'feedback-message') {
+    const reportContainer = document.getElementById(containerId);
+    if (!reportContainer) {
+        showFeedback('Report container not found for export.', true, feedbackElId);
+        return;
+    }
+    try {
+        const { reportSheets, sheetsToCsv, buildXlsx, XLSX_MIME_TYPE } = await import('./spreadsheet.js');
+        const title = reportContainer.dataset.reportTitle || document.getElementById('main-title')?.innerText || 'Report';
+        // Pages shown in Portuguese write numbers with a decimal comma (see initializeLanguage).
+        const sheets = reportSheets(collectReportTables(reportContainer, title), { decimalComma: document.documentElement.lang === 'pt-BR' });
+        if (!sheets.length) {
+            showFeedback('This report has no tables to export.', true, feedbackElId);
+            return;
+        }
+        if (filename.endsWith('.csv')) {
+            downloadFile(sheetsToCsv(sheets), filename, 'text/csv;charset=utf-8');
+        } else {
+            downloadFile(buildXlsx(sheets), filename, XLSX_MIME_TYPE);
         }
-        // End of FIX
+        showFeedback(`Exported ${sheets.length} table section(s).`, false, feedbackElId);
+    } catch (error) {
+        console.error('Table export failed:', error);
+        showFeedback(`Table export failed: ${error.message}`, true, feedbackElId);
     }
 }
 
@@ -630,15 +1009,22 @@ function sendDataToCombos(config) {
  * @param {object} config - The configuration object for the handler.
  * @param {string[]} config.inputIds - Array of input element IDs.
  * @param {string} config.storageKey - Local storage key for saving inputs.
- * @param {string} config.validationRuleKey - Key for the validationRules object.
+ * @param {string} config.validationRuleKey - Key of the calculator's rules in js/validation-rules.js.
  * @param {function} config.calculatorFunction - The function that performs the calculation.
  * @param {function} config.renderFunction - The function that renders the results.
  * @param {function} [config.preCalculationHook] - Optional. A function to run after validation but before calculation. Can modify inputs.
  * @param {string} config.resultsContainerId - The ID of the DOM element to render results into.
- * @param {function} [config.validatorFunction] - Optional. A custom function to perform validation. If not provided, a default validator is used.
+ * @param {function} [config.validatorFunction] - Optional. A custom function to perform validation. If not provided, the rules
+ *   named by validationRuleKey are applied (js/validation.js) and problems are shown next to their fields.
  * @param {string} [config.feedbackElId='feedback-message'] - Optional. The ID of the feedback element.
  * @param {string} [config.buttonId] - Optional ID of the run button for loading state.
- * @returns {function} The generated event handler function.
+ * @param {object} [config.schema] - Optional. The calculator's schema from js/input-schemas.js; enables the unit system
+ *   selector (see initializeUnitSystem) and, for engines with fixed `engineUnits`, converts inputs before validation
+ *   and the rendered report back to the selected units.
+ * @param {boolean} [config.liveMode=false] - Optional. Offers a "Live results" switch next to the run button that
+ *   validates inputs as they are typed and recalculates after each edit (see initializeLiveMode).
+ * @returns {function} The generated event handler function. The page also gets a named-case bar, a
+ *   parametric-study panel and, for member checks, a batch member-schedule panel wired to it.
  */
 function createCalculationHandler(config) {
     const {
@@ -651,163 +1037,158 @@ function createCalculationHandler(config) {
         validatorFunction,
         preCalculationHook,
         feedbackElId = 'feedback-message',
-        buttonId
+        buttonId,
+        schema,
+        liveMode = false
     } = config;
+
+    // Let the page's runs be saved into the open project (js/project-workspace.js), when that script is loaded.
+    if (typeof registerProjectCalculator === 'function') {
+        registerProjectCalculator({ storageKey, inputIds, schema, feedbackElId });
+    }
     
-    return async function() {
+    /**
+     * Validates and calculates one set of inputs as entered on the page, without rendering.
+     * `step` wraps each stage so the interactive run can report progress.
+     */
+    const validate = async (enteredInputs) => {
+        // Engines that only work in one unit system are validated and run in that system;
+        // the report is converted back to the units selected on the page afterwards.
+        let inputs = enteredInputs;
+        let toPageUnits = text => text;
+        if (schema?.engineUnits) {
+            const { normalizeUnitSystem, convertInputs, convertUnitsInText } = await import('./units.js');
+            const pageUnits = normalizeUnitSystem(enteredInputs[schema.unitsField]) || schema.engineUnits;
+            inputs = convertInputs(enteredInputs, schema.quantities, pageUnits, schema.engineUnits);
+            toPageUnits = text => convertUnitsInText(text, schema.engineUnits, pageUnits);
+        }
+
+        let validation;
+        if (typeof validatorFunction === 'function') {
+            validation = validatorFunction(inputs);
+        } else {
+            const [{ validateInputs }, { validationRules }, { normalizeUnitSystem }] = await Promise.all([
+                import('./validation.js'), import('./validation-rules.js'), import('./units.js')
+            ]);
+            const unitSystem = schema?.engineUnits || normalizeUnitSystem(inputs[schema?.unitsField]);
+            validation = validateInputs(inputs, validationRules[validationRuleKey], { quantities: schema?.quantities, unitSystem });
+        }
+        return { inputs, validation, toPageUnits };
+    };
+
+    const evaluate = async (enteredInputs, step = (message, action) => action()) => {
+        const { inputs, validation, toPageUnits } = await step('Validating inputs...', () => validate(enteredInputs));
+        if (validation.errors.length > 0) return { inputs, validation, toPageUnits };
+
+        // Allow a pre-calculation hook to run, which can modify inputs
+        let finalInputs = inputs;
+        if (typeof preCalculationHook === 'function') {
+            const hookResult = await step('Running pre-calculation hook...', () => preCalculationHook(inputs, validation));
+            // If the hook returns a value, use it as the new inputs
+            finalInputs = hookResult !== undefined ? hookResult : inputs;
+        }
+
+        const result = await step('Running calculation...', () => {
+            // Pass validation object to calculator if it accepts more than one argument
+            return calculatorFunction(finalInputs, validation);
+        });
+        return { inputs, finalInputs, validation, result, toPageUnits };
+    };
+
+    /**
+     * Runs the calculation from the page and renders it. A live run (see initializeLiveMode) is
+     * quiet: no progress messages or loading state, and it is dropped when `isStale` reports that
+     * the inputs changed again before the calculation started. With `record: false` the run is
+     * left out of the run history.
+     */
+    const run = async function({ live = false, isStale = () => false, record = true } = {}) {
         const resultsContainer = document.getElementById(resultsContainerId);
 
         const step = async (message, action) => {
-            showFeedback(message, false, feedbackElId);
-            // Yield to the main thread to allow the UI to update with the feedback message.
-            await new Promise(resolve => setTimeout(resolve, 20)); 
+            if (!live) showFeedback(message, false, feedbackElId);
+            // Yield to the main thread to allow the UI to update with the feedback message,
+            // and in a live run to let pending keystrokes through first.
+            await new Promise(resolve => setTimeout(resolve, live ? 0 : 20));
+            if (isStale()) throw Object.assign(new Error('Superseded by a newer edit.'), { stale: true });
             return action();
         };
 
         try {
-            if (buttonId) setLoadingState(true, buttonId);
-
-            const inputs = await step('Gathering inputs...', () => gatherInputsFromIds(inputIds));
-
-            const validation = await step('Validating inputs...', () => {
-                if (typeof validatorFunction === 'function') {
-                    return validatorFunction(inputs);
-                }
-                const rules = validationRules[validationRuleKey];
-                return validateInputs(inputs, rules);
-            });
-
+            if (buttonId && !live) setLoadingState(true, buttonId);
+
+            const enteredInputs = await step('Gathering inputs...', () => gatherInputsFromIds(inputIds));
+            const { inputs, finalInputs, validation, result: calculationResult, toPageUnits } = await evaluate(enteredInputs, step);
+
+            // Problems tied to a visible field are shown next to it; the rest are listed above the results.
+            const issues = validation.issues || [];
+            const unplaced = new Set(showFieldValidation(issues, toPageUnits));
+            // Custom validator functions report plain messages without fields.
+            const listed = level => (validation.issues
+                ? issues.filter(issue => issue.level === level && unplaced.has(issue)).map(issue => issue.message)
+                : (level === 'error' ? validation.errors : validation.warnings || [])).map(toPageUnits);
+
+            if (validation.errors.length > 0 && live) {
+                // Keep the last results, dimmed, rather than replacing them while the user is still typing.
+                resultsContainer.classList.add('opacity-50');
+                showFeedback('Live results paused until the highlighted inputs are corrected.', true, feedbackElId);
+                return;
+            }
+            resultsContainer.classList.remove('opacity-50');
             if (validation.errors.length > 0) {
-                renderValidationResults(validation, resultsContainer);
+                const inline = issues.filter(issue => issue.level === 'error' && !unplaced.has(issue)).length;
+                const errors = listed('error');
+                if (inline > 0) errors.unshift(`${inline === 1 ? '1 input needs' : `${inline} inputs need`} attention; see the highlighted fields.`);
+                renderValidationResults({ errors, warnings: listed('warning') }, resultsContainer);
+                document.querySelector('[aria-invalid="true"]')?.focus();
                 showFeedback('Validation failed. Please correct the errors.', true, feedbackElId);
                 if (buttonId) setLoadingState(false, buttonId);
                 return;
             }
 
-            // Allow a pre-calculation hook to run, which can modify inputs
-            let finalInputs = inputs;
-            if (typeof preCalculationHook === 'function') {
-                const hookResult = await step('Running pre-calculation hook...', () => preCalculationHook(inputs, validation));
-                // If the hook returns a value, use it as the new inputs
-                finalInputs = hookResult !== undefined ? hookResult : inputs;
-            }
-
-            const calculationResult = await step('Running calculation...', () => {
-                // Pass validation object to calculator if it accepts more than one argument
-                return calculatorFunction(finalInputs, validation);
-            });
-
             if (calculationResult.error) {
-                renderValidationResults({ errors: [calculationResult.error] }, resultsContainer);
+                renderValidationResults({ errors: [toPageUnits(calculationResult.error)] }, resultsContainer);
                 showFeedback('Calculation failed.', true, feedbackElId);
             } else {
                 await step('Rendering results...', () => {
-                    saveInputsToLocalStorage(storageKey, finalInputs);
+                    // Store what was entered on the page, not the copy converted for the engine.
+                    saveInputsToLocalStorage(storageKey, inputs === enteredInputs ? finalInputs : enteredInputs);
                     renderFunction(calculationResult);
+                    if (inputs !== enteredInputs) convertRenderedUnits(resultsContainer, toPageUnits);
                 });
-                showFeedback('Calculation complete!', false, feedbackElId);
+                // Live runs follow every edit; only deliberate runs go into the history.
+                if (!live) {
+                    if (record) await runHistory?.recordRun(enteredInputs, calculationResult);
+                    showFeedback('Calculation complete!', false, feedbackElId);
+                }
             }
 
         } catch (error) {
+            if (error.stale) return;
             console.error('An unexpected error occurred in the calculation handler:', error);
             renderValidationResults({ errors: [`An unexpected error occurred: ${error.message}`] }, resultsContainer);
             showFeedback('A critical error occurred.', true, feedbackElId);
         } finally {
-            if (buttonId) setLoadingState(false, buttonId);
+            if (buttonId && !live) setLoadingState(false, buttonId);
         }
     };
+    const handler = () => run();
+
+    // Lets the Hub's package report run this page from a hidden frame (js/project-workspace.js),
+    // passing `record: false` so that report runs stay out of the page's run history.
+    window.calculatorPage = { storageKey, resultsContainerId, run: ({ record = true } = {}) => run({ record }) };
+    initializeCaseManager({ storageKey, inputIds, runCalculation: handler, feedbackElId });
+    const runHistory = initializeRunHistory({
+        storageKey, inputIds, calculatorId: schema?.id, runCalculation: handler, resultsContainerId, feedbackElId
+    });
+    if (schema) initializeShareLink({ schema, inputIds, runCalculation: handler, feedbackElId });
+    initializeParametricStudy({ inputIds, schema, evaluate, resultsContainerId, feedbackElId });
+    initializeEditionCompare({ schema, inputIds, evaluate, resultsContainerId, feedbackElId });
+    initializeMemberBatch({ schema, inputIds, evaluate, runCalculation: handler, resultsContainerId, feedbackElId });
+    if (liveMode) initializeLiveMode({ storageKey, inputIds, buttonId, validate, run });
+    if (schema) initializeUnitSystem(schema);
+    return handler;
 }
 
-/**
- * Creates Word-compatible HTML structure
- */
-function createWordCompatibleHTML(content) {
-    return `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta http-equiv="Content-Type" content="text/html; charset=UTF-8">
-    <style>
-        body {
-            font-family: 'Times New Roman', Times, serif;
-            font-size: 12pt;
-            line-height: 1.15;
-            color: #000000;
-            margin: 0.5in;
-        }
-        img { max-width: 100%; height: auto; }
-        table { border-collapse: collapse; width: 100%; }
-        th, td { border: 1px solid black; padding: 4pt 8pt; }
-    </style>
-</head>
-<body>
-    ${content}
-</body>
-</html>`;
-}
-
-/**
- * Downloads the content of a given container as a PDF file.
- * @param {string} containerId - The ID of the container with the report content.
- * @param {string} filename - The desired filename for the downloaded PDF.
- * @param {string} [feedbackElId='feedback-message'] - The ID of the feedback element.
- */
-async function handleDownloadPdf(containerId, filename, feedbackElId = 'feedback-message') {
-    const reportContainer = document.getElementById(containerId);
-    if (!reportContainer) {
-        showFeedback('Report container not found for PDF export.', true, feedbackElId);
-        return;
-    }
-
-    showFeedback('Preparing print view...', false, feedbackElId);
-
-    // Store original body content and title
-    const originalBody = document.body.innerHTML;
-    const originalTitle = document.title;
-
-    try {
-        // Clone the report container to work with
-        const reportClone = reportContainer.cloneNode(true);
-
-        // Ensure all expandable details are visible in the clone
-        reportClone.querySelectorAll('.details-row').forEach(row => {
-            row.style.display = 'table-row';
-        });
-
-        // Create a temporary print-friendly body
-        document.body.innerHTML = '';
-        document.body.appendChild(reportClone);
-        document.title = filename.replace('.pdf', '');
-
-        // Add a temporary print stylesheet
-        const printStyle = document.createElement('style');
-        printStyle.textContent = `
-            @media print {
-                body { font-family: 'Times New Roman', Times, serif; font-size: 11pt; }
-                table { width: 100%; border-collapse: collapse; page-break-inside: avoid; }
-                th, td { border: 1px solid #000; padding: 4px; }
-                th { background-color: #f0f0f0; }
-                .print-hidden, .toggle-details-btn { display: none; }
-                @page { size: letter; margin: 0.75in; }
-            }
-        `;
-        document.head.appendChild(printStyle);
-
-        // Trigger the print dialog
-        window.print();
-
-    } finally {
-        // Restore the original page content and title
-        document.body.innerHTML = originalBody;
-        document.title = originalTitle;
-        // Re-initialize any UI elements that were in the original body
-        initializeSharedUI();
-        // Re-attach calculator-specific event listeners if they were lost
-        // This part is tricky and might require a more robust solution if issues arise.
-        // For now, we assume the main event listeners are re-attached by the page's own script.
-        showFeedback('Print view closed.', false, feedbackElId);
-    }
-}
 /**
  * Gathers values from a list of input IDs.
  * @param {string[]} inputIds - An array of input element IDs.
@@ -836,13 +1217,13 @@ function gatherInputsFromIds(inputIds) { // Updated for better validation
 }
 
 /**
- * Saves a given data object to a text file.
- * @param {Object} data - The JavaScript object to save.
+ * Offers text or bytes to the user as a file download.
+ * @param {string|Uint8Array} content - The file contents.
  * @param {string} filename - The name of the file to download.
+ * @param {string} [mimeType='text/plain;charset=utf-8'] - The MIME type of the file.
  */
-function saveInputsToFile(data, filename) {
-    const dataStr = JSON.stringify(data, null, 2);
-    const blob = new Blob([dataStr], {type: "text/plain;charset=utf-8"});
+function downloadFile(content, filename, mimeType = 'text/plain;charset=utf-8') {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -853,6 +1234,15 @@ function saveInputsToFile(data, filename) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Saves a given data object to a text file.
+ * @param {Object} data - The JavaScript object to save.
+ * @param {string} filename - The name of the file to download.
+ */
+function saveInputsToFile(data, filename) {
+    downloadFile(JSON.stringify(data, null, 2), filename);
+}
+
 /**
  * Triggers the file input to open the file selection dialog.
  * @param {string} fileInputId - The ID of the hidden file input element.
@@ -862,28 +1252,72 @@ function initiateLoadInputsFromFile(fileInputId = 'file-input') {
 }
 
 /**
- * Creates a generic "save inputs" event handler.
- * @param {string[]} inputIds - The array of input IDs to gather values from.
+ * Creates a generic "save inputs" event handler that writes a versioned input file (see js/input-file.js).
+ * @param {object} schema - The calculator's schema from js/input-schemas.js.
  * @param {string} filename - The default filename for the saved file.
  * @param {string} [feedbackElId='feedback-message'] - The ID of the feedback element.
  * @returns {function} An event handler function.
  */
-function createSaveInputsHandler(inputIds, filename, feedbackElId = 'feedback-message') {
-    return function() {
-        const inputs = gatherInputsFromIds(inputIds);
-        saveInputsToFile(inputs, filename);
-        showFeedback(`Inputs saved to ${filename}`, false, feedbackElId);
+function createSaveInputsHandler(schema, filename, feedbackElId = 'feedback-message') {
+    return async function() {
+        const inputs = gatherInputsFromIds(Object.keys(schema.fields));
+        try {
+            const { createInputFile } = await import('./input-file.js');
+            saveInputsToFile(createInputFile(schema, inputs), filename);
+            showFeedback(`Inputs saved to ${filename}`, false, feedbackElId);
+        } catch (error) {
+            console.error('Failed to save inputs:', error);
+            showFeedback('Could not save the input file.', true, feedbackElId);
+        }
     };
 }
 
 /**
- * Creates a generic "load inputs" event handler for a file input.
- * @param {string[]} inputIds - The array of input IDs to populate.
+ * Shows what was adjusted while loading an input file (legacy or migrated file, unknown,
+ * missing or invalid fields) in a warning box below the feedback element. Removes the box
+ * when there is nothing to report.
+ * @param {{header: object|null, report: object}} result - The value returned by readInputFile.
+ * @param {object} schema - The calculator's schema.
+ * @param {string} [feedbackElId='feedback-message'] - The ID of the feedback element.
+ */
+function showInputFileReport({ header, report }, schema, feedbackElId = 'feedback-message') {
+    const list = ids => ids.map(id => sanitizeHTML(id)).join(', ');
+    const warnings = [];
+    if (!header) {
+        warnings.push('This file has no version header (it was saved by an older version of the app) and was read as a legacy file.');
+    } else if (report.migratedFrom !== null) {
+        warnings.push(`Inputs were upgraded from schema version ${report.migratedFrom} to ${schema.version}.`);
+    }
+    if (report.unknown.length) warnings.push(`Ignored fields not used by this calculator: ${list(report.unknown)}.`);
+    if (report.invalid.length) warnings.push(`Ignored values of the wrong type for: ${list(report.invalid)}.`);
+    if (report.missing.length) warnings.push(`Fields not found in the file kept their current values: ${list(report.missing)}.`);
+
+    let reportEl = document.getElementById('input-file-report');
+    if (!warnings.length) {
+        reportEl?.remove();
+        return;
+    }
+    if (!reportEl) {
+        reportEl = document.createElement('div');
+        reportEl.id = 'input-file-report';
+        reportEl.className = 'mt-2';
+        const anchor = document.getElementById(feedbackElId);
+        if (anchor) anchor.insertAdjacentElement('afterend', reportEl);
+        else document.querySelector('main')?.prepend(reportEl);
+    }
+    renderValidationResults({ warnings }, reportEl);
+}
+
+/**
+ * Creates a generic "load inputs" event handler for a file input. The file is validated against
+ * the calculator's schema and migrated if it was written by an older version; anything that had
+ * to be skipped is listed by showInputFileReport.
+ * @param {object} schema - The calculator's schema from js/input-schemas.js.
  * @param {function} onComplete - A callback function to run after inputs are loaded (e.g., re-run calculation).
  * @param {string} [feedbackElId='feedback-message'] - The ID of the feedback element.
  * @returns {function} An event handler function that takes the file input event.
  */
-function createLoadInputsHandler(inputIds, onComplete, feedbackElId = 'feedback-message') {
+function createLoadInputsHandler(schema, onComplete, feedbackElId = 'feedback-message') {
     return function(event) {
         const displayEl = document.getElementById('file-name-display');
         const file = event.target.files[0];
@@ -896,24 +1330,23 @@ function createLoadInputsHandler(inputIds, onComplete, feedbackElId = 'feedback-
         if (displayEl) displayEl.textContent = file.name;
 
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
+            let result;
             try {
-                const loadedInputs = JSON.parse(e.target.result);
-                inputIds.forEach(id => {
-                    const el = document.getElementById(id);
-                    if (el && loadedInputs[id] !== undefined) {
-                        el.value = loadedInputs[id];
-                        el.dispatchEvent(new Event('change', { bubbles: true }));
-                        el.dispatchEvent(new Event('input', { bubbles: true }));
-                    }
-                });
-                showFeedback('Inputs loaded successfully!', false, feedbackElId);
-                if (typeof onComplete === 'function') onComplete();
+                const { readInputFile } = await import('./input-file.js');
+                result = readInputFile(e.target.result, schema);
             } catch (error) {
-                showFeedback('Failed to parse input file. Ensure it is a valid JSON file.', true, feedbackElId);
+                showFeedback(`Failed to load input file: ${error.message}`, true, feedbackElId);
+                return;
             }
+            applyInputsToFields(Object.keys(schema.fields), result.inputs);
+            showInputFileReport(result, schema, feedbackElId);
+            showFeedback('Inputs loaded successfully!', false, feedbackElId);
+            if (typeof onComplete === 'function') onComplete();
         };
         reader.readAsText(file);
+        // Allow the same file to be loaded again after editing it.
+        event.target.value = '';
     };
 }
 
@@ -930,6 +1363,28 @@ function saveInputsToLocalStorage(storageKey, data) {
     }
 }
 
+/**
+ * Writes a set of input values into the corresponding form fields.
+ * @param {string[]} inputIds - An array of IDs for the input elements to populate.
+ * @param {object} values - Input values keyed by element ID; undefined entries are skipped.
+ */
+function applyInputsToFields(inputIds, values) {
+    inputIds.forEach(id => {
+        const el = document.getElementById(id);
+        if (el && values[id] !== undefined) {
+            if (el.type === 'checkbox') {
+                // Files, URLs and CSV schedules can carry booleans as text.
+                el.checked = values[id] === true || values[id] === 'true';
+            } else {
+                el.value = values[id];
+            }
+            // Dispatch events to trigger any dependent UI logic
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    });
+}
+
 /**
  * Loads input values from localStorage and populates the corresponding form fields.
  * @param {string} storageKey - The key used to retrieve the data from localStorage.
@@ -945,21 +1400,1217 @@ function loadInputsFromLocalStorage(storageKey, inputIds, onComplete) {
 
     try {
         const loadedInputs = JSON.parse(savedInputs);
-        inputIds.forEach(id => {
-            const el = document.getElementById(id);
-            if (el && loadedInputs[id] !== undefined) {
-                if (el.type === 'checkbox') {
-                    el.checked = loadedInputs[id];
-                } else {
-                    el.value = loadedInputs[id];
-                }
-                // Dispatch events to trigger any dependent UI logic
+        applyInputsToFields(inputIds, loadedInputs);
+        if (typeof onComplete === 'function') onComplete();
+    } catch (error) {
+        console.error(`Failed to load or parse inputs from localStorage for key "${storageKey}":`, error);
+    }
+}
+// --- Share Links ---
+
+/**
+ * Shows a share link in a modal dialog, with a choice of whether opening it runs the
+ * calculation and a button that copies it.
+ * @param {function(boolean): string} linkFor - Builds the link for the "run on open" choice.
+ * @param {string} feedbackElId
+ */
+function showShareLinkDialog(linkFor, feedbackElId) {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'rounded-lg shadow-xl p-6 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 w-full max-w-lg';
+    dialog.innerHTML = `
+        <form method="dialog">
+            <h3 class="text-lg font-semibold mb-2">Share Link</h3>
+            <p class="text-sm text-gray-600 dark:text-gray-400 mb-4">The link holds every input of this calculator, so whoever opens it sees exactly the same case.</p>
+            <input type="text" id="share-link-url" readonly class="w-full font-mono text-xs">
+            <label class="flex items-center gap-2 mt-3 text-sm"><input type="checkbox" id="share-link-run" checked> Run the calculation when the link is opened</label>
+            <div class="flex justify-end gap-2 mt-6">
+                <button value="close" class="bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-600 text-sm">Close</button>
+                <button type="button" id="share-link-copy" class="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 text-sm">Copy Link</button>
+            </div>
+        </form>`;
+    document.body.appendChild(dialog);
+    const urlInput = dialog.querySelector('#share-link-url');
+    const runToggle = dialog.querySelector('#share-link-run');
+    const update = () => { urlInput.value = linkFor(runToggle.checked); };
+    update();
+    runToggle.addEventListener('change', update);
+    dialog.querySelector('#share-link-copy').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(urlInput.value);
+            showFeedback('Share link copied to clipboard.', false, feedbackElId);
+            dialog.close();
+        } catch (error) {
+            // Clipboard access can be refused; the link stays selected for a manual copy.
+            urlInput.select();
+            showFeedback('Could not copy automatically. The link is selected; copy it with Ctrl+C.', true, feedbackElId);
+        }
+    });
+    dialog.addEventListener('close', () => dialog.remove());
+    dialog.showModal();
+    urlInput.select();
+}
+
+/**
+ * Adds a "Share Link" button next to a calculator's "Save Inputs" button, and opens share links:
+ * when the page's URL hash holds one (see js/share-link.js), its inputs replace the page's and
+ * the calculation runs if the link asks for it.
+ * @param {object} config
+ * @param {object} config.schema - The calculator's schema from js/input-schemas.js.
+ * @param {string[]} config.inputIds - IDs of the calculator's input elements.
+ * @param {function} config.runCalculation - Runs the calculation with the inputs on the page.
+ * @param {string} [config.feedbackElId='feedback-message']
+ */
+function initializeShareLink(config) {
+    const { schema, inputIds, runCalculation, feedbackElId = 'feedback-message' } = config;
+    const saveButton = findSaveInputsButton();
+    if (saveButton && !document.getElementById('share-link-btn')) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.id = 'share-link-btn';
+        // Rows without a flex gap space their buttons with a right margin.
+        button.className = `bg-blue-600 text-white font-bold py-3 px-6 rounded-lg hover:bg-blue-700${saveButton.classList.contains('mr-4') ? ' mr-4' : ''}`;
+        button.textContent = 'Share Link';
+        saveButton.insertAdjacentElement('afterend', button);
+        button.addEventListener('click', async () => {
+            try {
+                const { encodeShareState, shareLinkUrl } = await import('./share-link.js');
+                const token = await encodeShareState(schema, gatherInputsFromIds(inputIds));
+                showShareLinkDialog(run => shareLinkUrl(window.location.href, token, { run }), feedbackElId);
+            } catch (error) {
+                console.error('Failed to create a share link:', error);
+                showFeedback(`Could not create a share link: ${error.message}`, true, feedbackElId);
+            }
+        });
+    }
+
+    const openSharedLink = async () => {
+        const { parseShareHash, decodeShareState } = await import('./share-link.js');
+        const shared = parseShareHash(window.location.hash);
+        if (!shared) return;
+        // Drop the hash so that a reload after editing does not bring the shared inputs back.
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        try {
+            const result = await decodeShareState(shared.token, schema);
+            applyInputsToFields(inputIds, result.inputs);
+            showInputFileReport(result, schema, feedbackElId);
+            showFeedback('Inputs loaded from a shared link.', false, feedbackElId);
+            if (shared.run) await runCalculation();
+        } catch (error) {
+            showFeedback(error.message, true, feedbackElId);
+        }
+    };
+    // The page restores its saved inputs after creating its handler; the dynamic import makes
+    // the shared inputs land after that, so they win.
+    openSharedLink();
+    window.addEventListener('hashchange', openSharedLink);
+}
+
+// --- Named Cases ---
+
+/**
+ * Finds a calculator page's "Save Inputs" button (`save-inputs-btn`, `save-wind-inputs-btn`, ...),
+ * which anchors the controls that shared utilities add to a page.
+ * @returns {HTMLButtonElement|null}
+ */
+function findSaveInputsButton() {
+    return document.querySelector('button[id^="save-"][id$="inputs-btn"]');
+}
+
+/**
+ * Loads the named cases saved for a calculator.
+ * Cases are stored next to the calculator's current inputs, under `${storageKey}-cases`.
+ * @param {string} storageKey - The calculator's localStorage key.
+ * @returns {{active: string|null, cases: {name: string, inputs: object, saved_at: string}[]}}
+ */
+function loadCases(storageKey) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(`${storageKey}-cases`));
+        if (stored && Array.isArray(stored.cases)) {
+            return { active: stored.active ?? null, cases: stored.cases };
+        }
+    } catch (error) {
+        console.error(`Failed to parse saved cases for key "${storageKey}":`, error);
+    }
+    return { active: null, cases: [] };
+}
+
+/**
+ * Saves the named cases of a calculator.
+ * @param {string} storageKey - The calculator's localStorage key.
+ * @param {object} caseStore - The object returned by loadCases.
+ * @returns {boolean} False if the browser refused the write.
+ */
+function saveCases(storageKey, caseStore) {
+    try {
+        localStorage.setItem(`${storageKey}-cases`, JSON.stringify(caseStore));
+        return true;
+    } catch (error) {
+        console.error(`Failed to save cases for key "${storageKey}":`, error);
+        return false;
+    }
+}
+
+/**
+ * Adds a case bar above a calculator's Load/Save/Run buttons: save the current inputs under a name,
+ * switch between cases, rename, duplicate, delete, and re-run any case.
+ * Called by createCalculationHandler, so every calculator built on it gets the bar.
+ * @param {object} config
+ * @param {string} config.storageKey - The calculator's localStorage key.
+ * @param {string[]} config.inputIds - The input IDs that make up a case.
+ * @param {function} config.runCalculation - The calculation handler, invoked to re-run a case.
+ * @param {string} [config.feedbackElId='feedback-message'] - The ID of the feedback element.
+ */
+function initializeCaseManager(config) {
+    const { storageKey, inputIds, runCalculation, feedbackElId = 'feedback-message' } = config;
+    const saveButton = findSaveInputsButton();
+    if (!saveButton || document.getElementById('case-manager')) return;
+
+    const bar = document.createElement('div');
+    bar.id = 'case-manager';
+    bar.className = 'mt-8 flex flex-wrap justify-center items-end gap-2';
+    bar.innerHTML = `
+        <div class="w-64">
+            <label for="case-select" class="block text-sm font-medium mb-1">Case</label>
+            <select id="case-select"></select>
+        </div>
+        <button type="button" data-case-action="save" class="bg-green-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-green-700">Save Case</button>
+        <button type="button" data-case-action="save-as" class="bg-green-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-green-700">Save As New</button>
+        <button type="button" data-case-action="rename" class="bg-gray-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-600 disabled:opacity-50">Rename</button>
+        <button type="button" data-case-action="duplicate" class="bg-gray-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-600 disabled:opacity-50">Duplicate</button>
+        <button type="button" data-case-action="delete" class="bg-red-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-red-700 disabled:opacity-50">Delete</button>
+        <button type="button" data-case-action="run" class="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">Run Case</button>
+    `;
+    // The button row is the save button's parent; the bar goes right above it.
+    saveButton.parentElement.insertAdjacentElement('beforebegin', bar);
+    const select = bar.querySelector('#case-select');
+
+    const render = () => {
+        const { active, cases } = loadCases(storageKey);
+        select.innerHTML = '<option value="">(unsaved inputs)</option>' + cases.map(c =>
+            `<option value="${sanitizeHTML(c.name)}" ${c.name === active ? 'selected' : ''}>${sanitizeHTML(c.name)}</option>`
+        ).join('');
+        bar.querySelectorAll('[data-case-action="rename"], [data-case-action="duplicate"], [data-case-action="delete"], [data-case-action="run"]')
+            .forEach(btn => { btn.disabled = !active; });
+    };
+
+    // Prompts for a case name that is not empty and not already used. Returns null if the user cancels.
+    const promptForName = (message, defaultName, caseStore) => {
+        let name = window.prompt(translateText(message), defaultName);
+        while (name !== null) {
+            name = name.trim();
+            if (name && !caseStore.cases.some(c => c.name === name)) return name;
+            name = window.prompt(translateText(name ? `A case named "${name}" already exists. ${message}` : message), name);
+        }
+        return null;
+    };
+
+    const store = (caseStore, message) => {
+        if (saveCases(storageKey, caseStore)) {
+            showFeedback(message, false, feedbackElId);
+        } else {
+            showFeedback('Could not save cases. Browser storage may be full.', true, feedbackElId);
+        }
+        render();
+    };
+
+    const actions = {
+        'save-as': (caseStore) => {
+            const name = promptForName('Name for this case:', translateText(`Case ${caseStore.cases.length + 1}`), caseStore);
+            if (name === null) return;
+            caseStore.cases.push({ name, inputs: gatherInputsFromIds(inputIds), saved_at: new Date().toISOString() });
+            caseStore.active = name;
+            store(caseStore, `Case "${name}" saved.`);
+        },
+        save: (caseStore, current) => {
+            if (!current) return actions['save-as'](caseStore);
+            current.inputs = gatherInputsFromIds(inputIds);
+            current.saved_at = new Date().toISOString();
+            store(caseStore, `Case "${current.name}" updated.`);
+        },
+        rename: (caseStore, current) => {
+            const name = promptForName(`New name for "${current.name}":`, current.name, caseStore);
+            if (name === null) return;
+            current.name = name;
+            caseStore.active = name;
+            store(caseStore, `Case renamed to "${name}".`);
+        },
+        duplicate: (caseStore, current) => {
+            const name = promptForName('Name for the copy:', translateText(`${current.name} (copy)`), caseStore);
+            if (name === null) return;
+            caseStore.cases.push({ name, inputs: { ...current.inputs }, saved_at: new Date().toISOString() });
+            caseStore.active = name;
+            store(caseStore, `Case "${current.name}" duplicated as "${name}".`);
+        },
+        delete: (caseStore, current) => {
+            if (!window.confirm(translateText(`Delete case "${current.name}"?`))) return;
+            caseStore.cases = caseStore.cases.filter(c => c !== current);
+            caseStore.active = null;
+            store(caseStore, `Case "${current.name}" deleted.`);
+        },
+        run: (caseStore, current) => {
+            applyInputsToFields(inputIds, current.inputs);
+            runCalculation();
+        }
+    };
+
+    bar.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-case-action]');
+        if (!button) return;
+        const caseStore = loadCases(storageKey);
+        const current = caseStore.cases.find(c => c.name === caseStore.active) || null;
+        const action = button.dataset.caseAction;
+        if (!current && !['save', 'save-as'].includes(action)) return;
+        actions[action](caseStore, current);
+    });
+
+    select.addEventListener('change', () => {
+        const caseStore = loadCases(storageKey);
+        const selected = caseStore.cases.find(c => c.name === select.value) || null;
+        caseStore.active = selected ? selected.name : null;
+        saveCases(storageKey, caseStore);
+        if (selected) {
+            applyInputsToFields(inputIds, selected.inputs);
+            showFeedback(`Case "${selected.name}" loaded.`, false, feedbackElId);
+        }
+        render();
+    });
+
+    render();
+}
+
+// --- Unit System ---
+
+/**
+ * Rewrites the text of a rendered report in place, e.g. to show values in another unit system.
+ * Scripts and styles are left untouched.
+ * @param {HTMLElement} container - The element holding the report.
+ * @param {function(string): string} convertText - Maps a text fragment to its converted form.
+ */
+function convertRenderedUnits(container, convertText) {
+    if (!container) return;
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (node.parentElement?.closest('script, style') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach(node => {
+        const converted = convertText(node.textContent);
+        if (converted !== node.textContent) node.textContent = converted;
+    });
+}
+
+/**
+ * Puts a unit marker into a field's label: an existing trailing unit such as "(b, in)" or
+ * "(psi)" is replaced, otherwise the unit is added inside the last parenthesis or appended.
+ * @param {string} id - The input element ID.
+ * @param {string[]} symbols - The unit symbols the field can be labelled with.
+ * @returns {HTMLSpanElement|null} The span holding the unit text, or null if the field has no label.
+ */
+function attachUnitLabel(id, symbols) {
+    const label = document.querySelector(`label[for="${id}"]`);
+    if (!label) return null;
+    const existing = label.querySelector('.unit-label');
+    if (existing) return existing;
+
+    const span = document.createElement('span');
+    span.className = 'unit-label';
+    const last = label.lastChild;
+    const text = last && last.nodeType === Node.TEXT_NODE ? last.textContent : '';
+    const escaped = symbols.map(symbol => symbol.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'));
+    const match = text.match(new RegExp(`(^|[\\s,(])(${escaped.join('|')})(\\)\\s*)$`));
+    if (match) {
+        last.textContent = text.slice(0, match.index + match[1].length);
+        label.append(span, match[3]);
+    } else if (/\)\s*$/.test(text)) {
+        const close = text.lastIndexOf(')');
+        last.textContent = `${text.slice(0, close)}, `;
+        label.append(span, text.slice(close));
+    } else {
+        label.append(' (', span, ')');
+    }
+    return span;
+}
+
+/**
+ * Wires a calculator's unit system selector (`schema.unitsField`): every field tagged in
+ * `schema.quantities` shows its unit in its label, and switching the system converts the values
+ * already entered so the inputs describe the same structure.
+ * @param {object} schema - The calculator's schema from js/input-schemas.js.
+ */
+function initializeUnitSystem(schema) {
+    const selector = document.getElementById(schema.unitsField);
+    if (!selector || !schema.quantities) return;
+
+    import('./units.js').then(({ normalizeUnitSystem, convertQuantity, unitLabel }) => {
+        let current = normalizeUnitSystem(selector.value) || schema.engineUnits || 'imperial';
+        const labels = Object.entries(schema.quantities).map(([id, quantity]) => ({
+            quantity,
+            span: attachUnitLabel(id, [unitLabel(quantity, 'imperial'), unitLabel(quantity, 'metric')])
+        }));
+        const refreshLabels = () => labels.forEach(({ quantity, span }) => {
+            if (span) span.textContent = unitLabel(quantity, current);
+        });
+        refreshLabels();
+
+        selector.addEventListener('change', () => {
+            const next = normalizeUnitSystem(selector.value);
+            if (!next || next === current) return;
+            Object.entries(schema.quantities).forEach(([id, quantity]) => {
+                const el = document.getElementById(id);
+                const value = el ? parseFloat(el.value) : NaN;
+                if (!Number.isFinite(value)) return;
+                el.value = Number(convertQuantity(value, quantity, current, next).toPrecision(6));
                 el.dispatchEvent(new Event('change', { bubbles: true }));
                 el.dispatchEvent(new Event('input', { bubbles: true }));
-            }
+            });
+            current = next;
+            refreshLabels();
         });
-        if (typeof onComplete === 'function') onComplete();
+    }).catch(error => console.error('Failed to load the unit conversions:', error));
+}
+
+// --- Live Mode ---
+
+const LIVE_VALIDATION_DELAY = 300;
+const LIVE_RUN_DELAY = 600;
+
+/**
+ * Adds a "Live results" switch next to a calculator's run button. While it is on, the inputs are
+ * validated as they are typed, with problems shown next to their fields, and the calculation is
+ * re-run shortly after the last edit, updating the results in place. The switch is remembered per
+ * calculator under `${storageKey}-live`.
+ *
+ * Typing is never held up by the calculation: a run waits until the inputs have been still for at
+ * least as long as the previous run took, only one run is in progress at a time, and a run whose
+ * inputs are edited again before its calculation starts is dropped.
+ * @param {object} config
+ * @param {string} config.storageKey - The calculator's localStorage key.
+ * @param {string[]} config.inputIds - The calculator's input IDs.
+ * @param {string} config.buttonId - The run button; the switch is placed after it.
+ * @param {function} config.validate - Validates page inputs without calculating (from createCalculationHandler).
+ * @param {function} config.run - Runs and renders the calculation (from createCalculationHandler).
+ */
+function initializeLiveMode(config) {
+    const { storageKey, inputIds, buttonId, validate, run } = config;
+    const button = buttonId && document.getElementById(buttonId);
+    if (!button || document.getElementById('live-mode-toggle')) return;
+
+    const toggle = document.createElement('label');
+    toggle.className = 'inline-flex items-center gap-2 text-sm ml-4';
+    toggle.title = 'Check the inputs as you type and recalculate whenever they change';
+    toggle.innerHTML = '<input type="checkbox" id="live-mode-toggle"> Live results';
+    button.insertAdjacentElement('afterend', toggle);
+    const liveSwitch = toggle.querySelector('input');
+    liveSwitch.checked = localStorage.getItem(`${storageKey}-live`) === 'true';
+
+    let edits = 0;
+    let lastEditAt = 0;
+    let lastDuration = 0;
+    let lastInputs = null;
+    let running = false;
+    let rerun = false;
+
+    const recalculate = debounce(async () => {
+        if (!liveSwitch.checked) return;
+        // The user is still typing, relative to how long a run of this calculator takes.
+        if (Date.now() - lastEditAt < lastDuration) return recalculate();
+        if (running) {
+            rerun = true;
+            return;
+        }
+        const inputs = JSON.stringify(gatherInputsFromIds(inputIds));
+        if (inputs === lastInputs) return;
+
+        running = true;
+        const edit = edits;
+        const started = Date.now();
+        try {
+            await run({ live: true, isStale: () => edits !== edit });
+            if (edits === edit) lastInputs = inputs;
+        } finally {
+            lastDuration = Date.now() - started;
+            running = false;
+        }
+        if (rerun) {
+            rerun = false;
+            recalculate();
+        }
+    }, LIVE_RUN_DELAY);
+
+    const validateLive = debounce(async () => {
+        const { validation, toPageUnits } = await validate(gatherInputsFromIds(inputIds));
+        if (liveSwitch.checked) showFieldValidation(validation.issues, toPageUnits);
+    }, LIVE_VALIDATION_DELAY);
+
+    const inputIdSet = new Set(inputIds);
+    const onEdit = event => {
+        if (!inputIdSet.has(event.target.id)) return;
+        edits++;
+        lastEditAt = Date.now();
+        if (!liveSwitch.checked) return;
+        validateLive();
+        recalculate();
+    };
+    document.addEventListener('input', onEdit);
+    document.addEventListener('change', onEdit);
+
+    liveSwitch.addEventListener('change', () => {
+        try {
+            localStorage.setItem(`${storageKey}-live`, String(liveSwitch.checked));
+        } catch (error) {
+            console.error('Failed to save the live mode setting:', error);
+        }
+        if (liveSwitch.checked) {
+            lastInputs = null;
+            recalculate();
+        }
+    });
+}
+
+// --- Run History ---
+
+/**
+ * Loads the run log of a calculator, stored next to its inputs under `${storageKey}-runs`.
+ * @param {string} storageKey - The calculator's localStorage key.
+ * @returns {object[]} Runs, newest first (see js/run-history.js).
+ */
+function loadRunLog(storageKey) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(`${storageKey}-runs`));
+        if (Array.isArray(stored)) return stored;
     } catch (error) {
-        console.error(`Failed to load or parse inputs from localStorage for key "${storageKey}":`, error);
+        console.error(`Failed to parse the run history for key "${storageKey}":`, error);
+    }
+    return [];
+}
+
+/**
+ * Saves the run log of a calculator.
+ * @param {string} storageKey
+ * @param {object[]} runs
+ * @returns {boolean} False if the browser refused the write.
+ */
+function saveRunLog(storageKey, runs) {
+    try {
+        localStorage.setItem(`${storageKey}-runs`, JSON.stringify(runs));
+        return true;
+    } catch (error) {
+        console.error(`Failed to save the run history for key "${storageKey}":`, error);
+        return false;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Adds undo/redo of input edits and a collapsible "Run History" panel to a calculator page. Every
+ * successful run is logged with its inputs, key results and time; any logged run can be restored
+ * (its inputs are put back and the calculation re-run), and two runs can be compared side by
+ * side. Called by createCalculationHandler, so every calculator built on it gets both.
+ * @param {object} config
+ * @param {string} config.storageKey - The calculator's localStorage key.
+ * @param {string[]} config.inputIds - The calculator's input IDs.
+ * @param {string} config.calculatorId - The schema ID, used to pick the key results.
+ * @param {function} config.runCalculation - The calculation handler.
+ * @param {string} config.resultsContainerId - The panel is inserted before this element.
+ * @param {string} [config.feedbackElId='feedback-message'] - The ID of the feedback element.
+ * @returns {{recordRun: function(object, object): Promise<void>}|null} Called by the handler after
+ *   each successful run with the page inputs and the engine result; null when the page has no
+ *   place for the panel.
+ */
+function initializeRunHistory(config) {
+    const { storageKey, inputIds, calculatorId, runCalculation, resultsContainerId, feedbackElId = 'feedback-message' } = config;
+    const resultsContainer = document.getElementById(resultsContainerId);
+    const saveButton = findSaveInputsButton();
+    if (!resultsContainer || !saveButton || document.getElementById('run-history')) return null;
+    const historyModule = import('./run-history.js');
+
+    // --- Undo / redo of input edits ---
+    const editBar = document.createElement('div');
+    editBar.id = 'edit-history-controls';
+    editBar.className = 'mt-4 flex justify-center gap-2';
+    editBar.innerHTML = `
+        <button type="button" id="undo-inputs-btn" title="Undo input change (Ctrl+Z)" class="bg-gray-500 text-white font-semibold py-1 px-3 rounded-lg hover:bg-gray-600 text-sm disabled:opacity-50" disabled>Undo</button>
+        <button type="button" id="redo-inputs-btn" title="Redo input change (Ctrl+Y)" class="bg-gray-500 text-white font-semibold py-1 px-3 rounded-lg hover:bg-gray-600 text-sm disabled:opacity-50" disabled>Redo</button>
+    `;
+    saveButton.parentElement.insertAdjacentElement('beforebegin', editBar);
+    const undoButton = editBar.querySelector('#undo-inputs-btn');
+    const redoButton = editBar.querySelector('#redo-inputs-btn');
+    let edits = null;
+
+    const updateEditButtons = () => {
+        undoButton.disabled = !edits?.past.length;
+        redoButton.disabled = !edits?.future.length;
+    };
+    // Loading a file or a case changes many fields at once; the debounce makes that one step.
+    const recordEdit = debounce(async () => {
+        const history = await historyModule;
+        const inputs = gatherInputsFromIds(inputIds);
+        edits = edits ? history.recordEdit(edits, inputs) : history.createEditHistory(inputs);
+        updateEditButtons();
+    }, 150);
+    const stepEdits = async direction => {
+        const history = await historyModule;
+        if (!edits) return;
+        const next = direction === 'undo' ? history.undoEdit(edits) : history.redoEdit(edits);
+        if (next === edits) return;
+        edits = next;
+        // The change events this fires record the same state again, which recordEdit ignores.
+        applyInputsToFields(inputIds, edits.present);
+        updateEditButtons();
+    };
+    const inputIdSet = new Set(inputIds);
+    document.addEventListener('change', event => { if (inputIdSet.has(event.target.id)) recordEdit(); });
+    undoButton.addEventListener('click', () => stepEdits('undo'));
+    redoButton.addEventListener('click', () => stepEdits('redo'));
+    document.addEventListener('keydown', event => {
+        // Inside a field the browser's own undo applies to the text being typed.
+        if (!(event.ctrlKey || event.metaKey) || event.target.closest('input, textarea, select, [contenteditable]')) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) stepEdits('undo');
+        else if (key === 'y' || (key === 'z' && event.shiftKey)) stepEdits('redo');
+        else return;
+        event.preventDefault();
+    });
+    // The page restores its saved inputs right after creating its handler; start from those.
+    setTimeout(recordEdit, 0);
+
+    // --- Run log ---
+    const panel = document.createElement('details');
+    panel.id = 'run-history';
+    panel.className = 'mt-8 p-4 border rounded-lg dark:border-gray-700';
+    panel.innerHTML = `
+        <summary class="font-semibold cursor-pointer">Run History (<span id="run-history-count">0</span>)</summary>
+        <p class="text-sm text-gray-500 dark:text-gray-400 mt-2">The last runs of this calculator on this device. Restore a run to put its inputs back and recalculate, or tick two runs and compare them.</p>
+        <div id="run-history-list" class="mt-4 overflow-x-auto"></div>
+        <div class="flex flex-wrap justify-center gap-2 mt-4">
+            <button type="button" id="run-compare-btn" class="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50" disabled>Compare Selected</button>
+            <button type="button" id="run-clear-btn" class="bg-red-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-red-700 disabled:opacity-50">Clear History</button>
+        </div>
+        <div id="run-diff" class="mt-4 overflow-x-auto"></div>
+    `;
+    resultsContainer.insertAdjacentElement('beforebegin', panel);
+    const listEl = panel.querySelector('#run-history-list');
+    const diffEl = panel.querySelector('#run-diff');
+    const compareButton = panel.querySelector('#run-compare-btn');
+
+    const formatValue = value => {
+        if (value === null || value === undefined || value === '') return '—';
+        if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3);
+        return sanitizeHTML(String(value));
+    };
+    const labelOf = id => sanitizeHTML(document.querySelector(`label[for="${id}"]`)?.textContent.replace(/\s+/g, ' ').trim() || id);
+    const selectedNumbers = () => Array.from(listEl.querySelectorAll('.run-select:checked')).map(box => Number(box.value));
+
+    const render = () => {
+        const runs = loadRunLog(storageKey);
+        panel.querySelector('#run-history-count').textContent = runs.length;
+        if (!runs.length) {
+            listEl.innerHTML = '<p class="text-sm text-center text-gray-500 dark:text-gray-400">No runs yet.</p>';
+            compareButton.disabled = true;
+            return;
+        }
+        listEl.innerHTML = `
+            <table class="w-full text-sm">
+                <thead><tr><th></th><th>Run</th><th>Time</th><th>Governing</th><th>Status</th><th></th></tr></thead>
+                <tbody>${runs.map(run => {
+                    const governing = run.governing ? `${sanitizeHTML(run.governing.name)}: ${formatValue(run.governing.value)}` : '—';
+                    const status = !run.governing ? '—' : run.governing.value === null || run.governing.value > 1.0
+                        ? '<span class="fail">FAIL</span>' : '<span class="pass">OK</span>';
+                    return `<tr>
+                        <td><input type="checkbox" class="run-select" value="${run.number}" aria-label="Select run ${run.number}"></td>
+                        <td>#${run.number}</td>
+                        <td>${sanitizeHTML(new Date(run.saved_at).toLocaleString())}</td>
+                        <td>${governing}</td>
+                        <td>${status}</td>
+                        <td><button type="button" data-restore-run="${run.number}" class="bg-green-600 text-white font-semibold py-1 px-3 rounded-lg hover:bg-green-700 text-xs">Restore</button></td>
+                    </tr>`;
+                }).join('')}</tbody>
+            </table>`;
+        compareButton.disabled = selectedNumbers().length !== 2;
+    };
+
+    const renderDiff = async (first, second) => {
+        const { diffRuns } = await historyModule;
+        const [a, b] = first.number < second.number ? [first, second] : [second, first];
+        const diff = diffRuns(a, b, inputIds);
+        const delta = value => (value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(3)}`);
+        diffEl.innerHTML = `
+            <table class="w-full text-sm mt-2">
+                <caption>Inputs: run #${a.number} vs run #${b.number} (changed inputs highlighted)</caption>
+                <thead><tr><th>Input</th><th>Run #${a.number}</th><th>Run #${b.number}</th></tr></thead>
+                <tbody>${diff.inputs.map(row => `
+                    <tr class="${row.changed ? 'bg-yellow-100 dark:bg-yellow-900 font-semibold' : ''}">
+                        <td>${labelOf(row.id)}</td><td>${formatValue(row.a)}</td><td>${formatValue(row.b)}</td>
+                    </tr>`).join('')}</tbody>
+            </table>
+            <table class="w-full text-sm mt-4">
+                <caption>Key results</caption>
+                <thead><tr><th>Result</th><th>Run #${a.number}</th><th>Run #${b.number}</th><th>Change</th></tr></thead>
+                <tbody>${diff.results.map(row => `
+                    <tr><td>${sanitizeHTML(row.name)}</td><td>${formatValue(row.a)}</td><td>${formatValue(row.b)}</td><td>${delta(row.delta)}</td></tr>`).join('')}</tbody>
+            </table>`;
+    };
+
+    listEl.addEventListener('change', event => {
+        if (event.target.matches('.run-select')) compareButton.disabled = selectedNumbers().length !== 2;
+    });
+    listEl.addEventListener('click', async event => {
+        const number = Number(event.target.closest('[data-restore-run]')?.dataset.restoreRun);
+        const run = loadRunLog(storageKey).find(entry => entry.number === number);
+        if (!run) return;
+        applyInputsToFields(inputIds, run.inputs);
+        showFeedback(`Inputs of run #${run.number} restored.`, false, feedbackElId);
+        await runCalculation();
+    });
+    compareButton.addEventListener('click', () => {
+        const runs = loadRunLog(storageKey);
+        const [first, second] = selectedNumbers().map(number => runs.find(run => run.number === number));
+        if (first && second) renderDiff(first, second);
+    });
+    panel.querySelector('#run-clear-btn').addEventListener('click', () => {
+        if (!window.confirm(translateText('Delete the run history of this calculator?'))) return;
+        saveRunLog(storageKey, []);
+        diffEl.innerHTML = '';
+        render();
+    });
+    render();
+
+    return {
+        async recordRun(inputs, result) {
+            const { addRun, runSummary } = await historyModule;
+            const runs = addRun(loadRunLog(storageKey), { inputs, ...runSummary(calculatorId, result) });
+            if (!saveRunLog(storageKey, runs)) showFeedback('Could not save the run history. Browser storage may be full.', true, feedbackElId);
+            render();
+        }
+    };
+}
+
+// --- Parametric Study ---
+
+/**
+ * Lists the numeric inputs of a calculator that a parametric study can sweep, with their labels.
+ * @param {string[]} inputIds
+ * @param {object} [schema]
+ * @returns {{id: string, label: string}[]}
+ */
+function getSweepableInputs(inputIds, schema) {
+    return inputIds
+        .filter(id => {
+            const el = document.getElementById(id);
+            if (!el || el.readOnly || el.disabled) return false;
+            return schema?.fields ? schema.fields[id] === 'number' : el.type === 'number';
+        })
+        .map(id => {
+            const label = document.querySelector(`label[for="${id}"]`)?.textContent.replace(/\s+/g, ' ').trim();
+            return { id, label: label || id };
+        });
+}
+
+/**
+ * Adds a collapsible "Parametric Study" panel above a calculator's results: pick one or two numeric
+ * inputs, give each a range or list of values, and run the calculation for every combination.
+ * The numeric outputs are shown as a table and a Chart.js line chart and can be exported to CSV.
+ * Called by createCalculationHandler, so every calculator built on it gets the panel.
+ * @param {object} config
+ * @param {string[]} config.inputIds - The calculator's input IDs.
+ * @param {object} [config.schema] - The calculator's schema; restricts the choices to its number fields.
+ * @param {function} config.evaluate - Runs one set of page inputs without rendering (from createCalculationHandler).
+ * @param {string} config.resultsContainerId - The panel is inserted before this element.
+ * @param {string} [config.feedbackElId='feedback-message'] - The ID of the feedback element.
+ */
+function initializeParametricStudy(config) {
+    const { inputIds, schema, evaluate, resultsContainerId, feedbackElId = 'feedback-message' } = config;
+    const resultsContainer = document.getElementById(resultsContainerId);
+    if (!resultsContainer || document.getElementById('parametric-study')) return;
+    const parameters = getSweepableInputs(inputIds, schema);
+    if (parameters.length === 0) return;
+
+    const options = parameters.map(p => `<option value="${p.id}">${sanitizeHTML(p.label)}</option>`).join('');
+    const panel = document.createElement('details');
+    panel.id = 'parametric-study';
+    panel.className = 'mt-8 p-4 border rounded-lg dark:border-gray-700';
+    panel.innerHTML = `
+        <summary class="font-semibold cursor-pointer">Parametric Study</summary>
+        <p class="text-sm text-gray-500 dark:text-gray-400 mt-2">Runs the calculation for every combination of the values below; all other inputs keep their current values. Enter a range as start:end:step or a list such as 10, 20, 35.</p>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            <div>
+                <label for="sweep-param-1" class="block text-sm font-medium mb-1">Parameter 1</label>
+                <select id="sweep-param-1">${options}</select>
+                <label for="sweep-values-1" class="block text-sm font-medium mt-2 mb-1">Values</label>
+                <input type="text" id="sweep-values-1" placeholder="10:60:10 or 10, 20, 35">
+            </div>
+            <div>
+                <label for="sweep-param-2" class="block text-sm font-medium mb-1">Parameter 2 (optional)</label>
+                <select id="sweep-param-2"><option value="">(none)</option>${options}</select>
+                <label for="sweep-values-2" class="block text-sm font-medium mt-2 mb-1">Values</label>
+                <input type="text" id="sweep-values-2" placeholder="e.g. 1, 2, 3">
+            </div>
+        </div>
+        <div class="flex flex-wrap justify-center gap-2 mt-4">
+            <button type="button" id="sweep-run-btn" class="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">Run Study</button>
+            <button type="button" id="sweep-export-btn" class="bg-gray-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-600 disabled:opacity-50" disabled>Export CSV</button>
+        </div>
+        <div id="sweep-results" class="mt-4"></div>
+    `;
+    resultsContainer.insertAdjacentElement('beforebegin', panel);
+
+    const runButton = panel.querySelector('#sweep-run-btn');
+    const exportButton = panel.querySelector('#sweep-export-btn');
+    const resultsEl = panel.querySelector('#sweep-results');
+    const labelOf = id => parameters.find(p => p.id === id)?.label || id;
+    let study = null;
+    let chart = null;
+
+    const renderChart = () => {
+        const canvas = resultsEl.querySelector('#sweep-chart');
+        const output = resultsEl.querySelector('#sweep-chart-output')?.value;
+        if (chart) { chart.destroy(); chart = null; }
+        if (!canvas || !output) return;
+        if (typeof Chart === 'undefined') {
+            canvas.parentElement.innerHTML = '<div class="text-center text-red-500">Chart.js library not loaded.</div>';
+            return;
+        }
+        const [first, second] = study.sweeps;
+        // One line per value of the second parameter, x along the first.
+        const series = second ? second.values : [null];
+        const datasets = series.map(value => ({
+            label: second ? `${labelOf(second.id)} = ${value}` : output,
+            data: first.values.map(x => {
+                const row = study.rows.find(r => r.values[first.id] === x && (!second || r.values[second.id] === value));
+                return row?.outputs[output] ?? null;
+            }),
+            spanGaps: false,
+            tension: 0.1
+        }));
+        try {
+            chart = new Chart(canvas, {
+                type: 'line',
+                data: { labels: first.values, datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { display: Boolean(second) } },
+                    scales: {
+                        x: { title: { display: true, text: labelOf(first.id) } },
+                        y: { title: { display: true, text: output } }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Chart.js initialization failed:', error);
+            canvas.parentElement.innerHTML = '<div class="text-center text-red-500">Chart could not be rendered.</div>';
+        }
+    };
+
+    const renderTable = () => {
+        const tableEl = resultsEl.querySelector('#sweep-table');
+        const selected = study.selected;
+        const head = [...study.sweeps.map(s => sanitizeHTML(labelOf(s.id))), ...selected.map(sanitizeHTML), 'Error']
+            .map(text => `<th class="px-2 py-1 text-left">${text}</th>`).join('');
+        const body = study.rows.map(row => `<tr class="border-t dark:border-gray-700">${[
+            ...study.sweeps.map(s => row.values[s.id]),
+            ...selected.map(path => (row.outputs[path] === undefined ? '' : Number(row.outputs[path].toPrecision(6)))),
+        ].map(value => `<td class="px-2 py-1">${value}</td>`).join('')}<td class="px-2 py-1 text-red-500">${sanitizeHTML(row.error || '')}</td></tr>`).join('');
+        tableEl.innerHTML = `<table class="w-full text-sm"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    };
+
+    const renderStudy = () => {
+        const chartOptions = study.selected.map(path => `<option value="${sanitizeHTML(path)}">${sanitizeHTML(path)}</option>`).join('');
+        resultsEl.innerHTML = `
+            ${study.note ? `<p class="text-sm text-gray-500 dark:text-gray-400 mb-2">${sanitizeHTML(study.note)}</p>` : ''}
+            <details class="mb-4">
+                <summary class="text-sm font-medium cursor-pointer">Outputs (${study.outputs.length})</summary>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-1 mt-2 max-h-60 overflow-y-auto text-sm">
+                    ${study.outputs.map(path => `<label class="flex items-center gap-2"><input type="checkbox" value="${sanitizeHTML(path)}" ${study.selected.includes(path) ? 'checked' : ''}> ${sanitizeHTML(path)}</label>`).join('')}
+                </div>
+            </details>
+            <div class="mb-2 w-64">
+                <label for="sweep-chart-output" class="block text-sm font-medium mb-1">Chart output</label>
+                <select id="sweep-chart-output">${chartOptions}</select>
+            </div>
+            <div style="height: 300px;"><canvas id="sweep-chart"></canvas></div>
+            <div id="sweep-table" class="mt-4 overflow-x-auto"></div>
+        `;
+        renderTable();
+        renderChart();
+    };
+
+    resultsEl.addEventListener('change', (event) => {
+        if (event.target.id === 'sweep-chart-output') return renderChart();
+        if (event.target.type !== 'checkbox') return;
+        study.selected = [...resultsEl.querySelectorAll('input[type="checkbox"]:checked')].map(box => box.value);
+        renderStudy();
+    });
+
+    const runStudy = async () => {
+        const { parseSweepValues, buildSweepCases, flattenNumericResults, defaultSweepOutputs } = await import('./parametric.js');
+        const sweeps = [];
+        for (const n of [1, 2]) {
+            const id = panel.querySelector(`#sweep-param-${n}`).value;
+            if (!id) continue;
+            if (sweeps.some(s => s.id === id)) throw new Error('Choose two different parameters.');
+            try {
+                sweeps.push({ id, values: parseSweepValues(panel.querySelector(`#sweep-values-${n}`).value) });
+            } catch (error) {
+                throw new Error(`${labelOf(id)}: ${error.message}`);
+            }
+        }
+        const cases = buildSweepCases(sweeps);
+        const base = gatherInputsFromIds(inputIds);
+
+        const rows = [];
+        for (const [index, overrides] of cases.entries()) {
+            if (index % 10 === 0) {
+                showFeedback(`Running case ${index + 1} of ${cases.length}...`, false, feedbackElId);
+                // Let the browser repaint between batches of cases.
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            try {
+                const { validation, result } = await evaluate({ ...base, ...overrides });
+                const error = validation.errors[0] || result?.error || result?.errors?.[0] || '';
+                rows.push({ values: overrides, outputs: error ? {} : flattenNumericResults(result), error });
+            } catch (error) {
+                rows.push({ values: overrides, outputs: {}, error: error.message });
+            }
+        }
+
+        const outputs = [...new Set(rows.flatMap(row => Object.keys(row.outputs)))];
+        const pageUnits = schema?.unitsField ? base[schema.unitsField] : null;
+        const engineUnits = schema?.engineUnits;
+        const note = engineUnits && pageUnits && String(pageUnits).toLowerCase() !== engineUnits
+            ? `Swept values are in the units selected on the page; outputs are in the calculator's ${engineUnits} units.`
+            : '';
+        study = { sweeps, rows, outputs, selected: defaultSweepOutputs(outputs), note };
+        renderStudy();
+        exportButton.disabled = false;
+        const failed = rows.filter(row => row.error).length;
+        showFeedback(`Parametric study complete: ${rows.length} cases${failed ? `, ${failed} failed` : ''}.`, failed > 0, feedbackElId);
+    };
+
+    runButton.addEventListener('click', async () => {
+        runButton.disabled = true;
+        try {
+            await runStudy();
+        } catch (error) {
+            showFeedback(error.message, true, feedbackElId);
+        } finally {
+            runButton.disabled = false;
+        }
+    });
+
+    exportButton.addEventListener('click', async () => {
+        if (!study) return;
+        const { sweepToCsv } = await import('./parametric.js');
+        const csv = sweepToCsv(study.sweeps.map(s => s.id), study.selected, study.rows);
+        downloadFile(csv, `${schema?.id || 'calculator'}-parametric-study.csv`, 'text/csv;charset=utf-8');
+    });
+}
+
+// --- Code Edition Comparison ---
+
+/**
+ * Adds a collapsible "Compare Code Editions" panel above a calculator's results: the inputs on the
+ * page are run under two editions of the code and every intermediate value and result is listed
+ * next to each other with the percent change, so the effect of a new edition can be explained.
+ * The editions offered are the options of the page's edition selector (`schema.editionField`);
+ * pages with a single edition get no panel.
+ * @param {object} config
+ * @param {object} config.schema - The calculator's schema from js/input-schemas.js.
+ * @param {string[]} config.inputIds - The calculator's input IDs.
+ * @param {function} config.evaluate - Runs one set of page inputs without rendering (from createCalculationHandler).
+ * @param {string} config.resultsContainerId - The panel is inserted before this element.
+ * @param {string} [config.feedbackElId='feedback-message'] - The ID of the feedback element.
+ */
+function initializeEditionCompare(config) {
+    const { schema, inputIds, evaluate, resultsContainerId, feedbackElId = 'feedback-message' } = config;
+    const resultsContainer = document.getElementById(resultsContainerId);
+    const editionSelect = schema?.editionField && document.getElementById(schema.editionField);
+    if (!resultsContainer || !editionSelect?.options || editionSelect.options.length < 2 || document.getElementById('edition-compare')) return;
+
+    const editions = Array.from(editionSelect.options, option => ({ value: option.value, label: option.textContent.trim() }));
+    const options = selected => editions.map(({ value, label }) => `<option value="${sanitizeHTML(value)}" ${value === selected ? 'selected' : ''}>${sanitizeHTML(label)}</option>`).join('');
+    // Oldest edition first by default, so changes read as "what the new code does".
+    const [older, newer] = [...editions].sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+
+    const panel = document.createElement('details');
+    panel.id = 'edition-compare';
+    panel.className = 'mt-8 p-4 border rounded-lg dark:border-gray-700';
+    panel.innerHTML = `
+        <summary class="font-semibold cursor-pointer">Compare Code Editions</summary>
+        <p class="text-sm text-gray-500 dark:text-gray-400 mt-2">Runs the inputs entered above under two editions and lists every intermediate value and result side by side, with the change from the first edition to the second.</p>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 items-end">
+            <div>
+                <label for="edition-compare-a" class="block text-sm font-medium mb-1">Edition A</label>
+                <select id="edition-compare-a">${options(older.value)}</select>
+            </div>
+            <div>
+                <label for="edition-compare-b" class="block text-sm font-medium mb-1">Edition B</label>
+                <select id="edition-compare-b">${options(newer.value)}</select>
+            </div>
+            <label class="flex items-center gap-2 text-sm"><input type="checkbox" id="edition-compare-changed-only" checked> Show only values that differ</label>
+        </div>
+        <div class="flex flex-wrap justify-center gap-2 mt-4">
+            <button type="button" id="edition-compare-run-btn" class="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">Compare</button>
+            <button type="button" id="edition-compare-docx-btn" class="bg-blue-700 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-800 disabled:opacity-50" disabled>Download Word</button>
+            <button type="button" id="edition-compare-xlsx-btn" class="bg-green-700 text-white font-bold py-2 px-4 rounded-lg hover:bg-green-800 disabled:opacity-50" disabled>Download XLSX</button>
+        </div>
+        <div id="edition-compare-results" class="mt-4 overflow-x-auto"></div>
+    `;
+    resultsContainer.insertAdjacentElement('beforebegin', panel);
+
+    const runButton = panel.querySelector('#edition-compare-run-btn');
+    const docxButton = panel.querySelector('#edition-compare-docx-btn');
+    const xlsxButton = panel.querySelector('#edition-compare-xlsx-btn');
+    const changedOnly = panel.querySelector('#edition-compare-changed-only');
+    const resultsEl = panel.querySelector('#edition-compare-results');
+    let comparison = null;
+
+    const formatValue = value => {
+        if (value === null) return '—';
+        if (typeof value === 'number') return String(Number(value.toPrecision(6)));
+        return sanitizeHTML(String(value));
+    };
+    const formatChange = change => (change === null ? '—' : `${change > 0 ? '+' : ''}${change.toFixed(1)}%`);
+
+    const render = () => {
+        const { labelA, labelB, sections, note } = comparison;
+        const total = sections.reduce((count, section) => count + section.rows.length, 0);
+        const differing = sections.reduce((count, section) => count + section.rows.filter(row => row.changed).length, 0);
+        const shown = sections
+            .map(({ section, rows }) => ({ section, rows: changedOnly.checked ? rows.filter(row => row.changed) : rows }))
+            .filter(({ rows }) => rows.length);
+        resultsEl.innerHTML = `
+            <div class="report-section-copyable">
+                <h3 class="report-header">${sanitizeHTML(schema.title)}: ${sanitizeHTML(labelA)} vs ${sanitizeHTML(labelB)}</h3>
+                <p class="text-sm">${differing} of ${total} values differ between the editions.${note ? ` ${sanitizeHTML(note)}` : ''}</p>
+            </div>
+            ${shown.map(({ section, rows }) => `
+                <div class="report-section-copyable mt-4">
+                    <h3 class="report-header">${sanitizeHTML(section || 'Main results')}</h3>
+                    <table class="w-full text-sm">
+                        <thead><tr><th class="text-left">Value</th><th>${sanitizeHTML(labelA)}</th><th>${sanitizeHTML(labelB)}</th><th>Change</th></tr></thead>
+                        <tbody>${rows.map(row => `
+                            <tr class="${row.changed ? 'bg-yellow-100 dark:bg-yellow-900' : ''}">
+                                <td class="text-left">${sanitizeHTML(row.path.slice(section.length).replace(/^\./, ''))}</td>
+                                <td>${formatValue(row.a)}</td><td>${formatValue(row.b)}</td><td>${formatChange(row.change)}</td>
+                            </tr>`).join('')}</tbody>
+                    </table>
+                </div>`).join('')}
+        `;
+    };
+
+    const runComparison = async () => {
+        const { compareEditionResults } = await import('./edition-compare.js');
+        const picked = ['a', 'b'].map(key => editions.find(edition => edition.value === panel.querySelector(`#edition-compare-${key}`).value));
+        if (picked[0].value === picked[1].value) throw new Error('Choose two different editions.');
+        const base = gatherInputsFromIds(inputIds);
+
+        const results = [];
+        for (const edition of picked) {
+            showFeedback(`Running ${edition.label}...`, false, feedbackElId);
+            const { validation, result, toPageUnits } = await evaluate({ ...base, [schema.editionField]: edition.value });
+            const error = validation.errors[0] || result?.error || result?.errors?.[0];
+            if (error) throw new Error(`${edition.label}: ${toPageUnits(error)}`);
+            results.push(result);
+        }
+
+        const pageUnits = schema.unitsField ? base[schema.unitsField] : null;
+        const note = schema.engineUnits && pageUnits && String(pageUnits).toLowerCase() !== schema.engineUnits
+            ? `Values are in the calculator's ${schema.engineUnits} units.`
+            : '';
+        comparison = { labelA: picked[0].label, labelB: picked[1].label, sections: compareEditionResults(results[0], results[1]), note };
+        render();
+        docxButton.disabled = false;
+        xlsxButton.disabled = false;
+        showFeedback(`Compared ${picked[0].label} with ${picked[1].label}.`, false, feedbackElId);
+    };
+
+    runButton.addEventListener('click', async () => {
+        runButton.disabled = true;
+        try {
+            await runComparison();
+        } catch (error) {
+            showFeedback(error.message, true, feedbackElId);
+        } finally {
+            runButton.disabled = false;
+        }
+    });
+    changedOnly.addEventListener('change', () => { if (comparison) render(); });
+    docxButton.addEventListener('click', () => handleDownloadDocx('edition-compare-results', `${schema.id}-edition-comparison.docx`, feedbackElId));
+    xlsxButton.addEventListener('click', () => handleDownloadTables('edition-compare-results', `${schema.id}-edition-comparison.xlsx`, feedbackElId));
+}
+
+// --- Member Schedules ---
+
+/**
+ * Adds a collapsible "Member Schedule" panel above a calculator's results for batch checks: the user
+ * uploads a CSV with one row per member (forces, lengths, section data...), every row is run
+ * through the calculator on top of the inputs entered on the page, and the governing ratio and
+ * pass/fail of each member are listed in a table that can be filtered, sorted and exported.
+ * Only calculators listed in `batchCalculators` (js/member-batch.js) get the panel.
+ * @param {object} config
+ * @param {object} config.schema - The calculator's schema from js/input-schemas.js.
+ * @param {string[]} config.inputIds - The calculator's input IDs.
+ * @param {function} config.evaluate - Runs one set of page inputs without rendering (from createCalculationHandler).
+ * @param {function} config.runCalculation - The calculation handler, invoked to open one member's full report.
+ * @param {string} config.resultsContainerId - The panel is inserted before this element.
+ * @param {string} [config.feedbackElId='feedback-message'] - The ID of the feedback element.
+ */
+function initializeMemberBatch(config) {
+    const { schema, inputIds, evaluate, runCalculation, resultsContainerId, feedbackElId = 'feedback-message' } = config;
+    const resultsContainer = document.getElementById(resultsContainerId);
+    if (!schema || !resultsContainer || document.getElementById('member-batch')) return;
+
+    import('./member-batch.js').then(batch => {
+        if (!batch.batchCalculators[schema.id] || document.getElementById('member-batch')) return;
+
+        const panel = document.createElement('details');
+        panel.id = 'member-batch';
+        panel.className = 'mt-8 p-4 border rounded-lg dark:border-gray-700';
+        panel.innerHTML = `
+            <summary class="font-semibold cursor-pointer">Member Schedule (Batch Check)</summary>
+            <p class="text-sm text-gray-500 dark:text-gray-400 mt-2">Upload a CSV with one row per member and a column per input that changes (e.g. forces and lengths, in the units selected above). Blank cells and missing columns keep the values entered on this page. Spreadsheets can export CSV directly; semicolon- and tab-separated files are read too.</p>
+            <div class="flex flex-wrap justify-center items-end gap-2 mt-4">
+                <div>
+                    <label for="batch-file-input" class="block text-sm font-medium mb-1">Schedule file</label>
+                    <input type="file" id="batch-file-input" accept=".csv,.tsv,.txt">
+                </div>
+                <button type="button" id="batch-template-btn" class="bg-gray-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-600">Download Template</button>
+            </div>
+            <div id="batch-results" class="mt-4 hidden">
+                <div class="flex flex-wrap items-end gap-2 mb-2">
+                    <div class="w-64">
+                        <label for="batch-filter-text" class="block text-sm font-medium mb-1">Filter</label>
+                        <input type="text" id="batch-filter-text" placeholder="Member or check">
+                    </div>
+                    <div class="w-40">
+                        <label for="batch-filter-status" class="block text-sm font-medium mb-1">Status</label>
+                        <select id="batch-filter-status">
+                            <option value="">All</option><option value="Pass">Pass</option><option value="Fail">Fail</option><option value="Error">Error</option>
+                        </select>
+                    </div>
+                    <button type="button" id="batch-export-btn" class="bg-gray-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-600">Export CSV</button>
+                </div>
+                <p id="batch-summary" class="text-sm mb-2"></p>
+                <div id="batch-table" class="overflow-x-auto"></div>
+            </div>
+        `;
+        const parametricPanel = document.getElementById('parametric-study');
+        (parametricPanel || resultsContainer).insertAdjacentElement(parametricPanel ? 'afterend' : 'beforebegin', panel);
+
+        const fileInput = panel.querySelector('#batch-file-input');
+        const resultsEl = panel.querySelector('#batch-results');
+        const filterText = panel.querySelector('#batch-filter-text');
+        const filterStatus = panel.querySelector('#batch-filter-status');
+        let rows = [];
+        let checkNames = [];
+        let sort = { key: 'ratio', descending: true };
+
+        const formatRatio = value => (value === undefined ? '' : Number.isFinite(value) ? value.toFixed(3) : '∞');
+        const statusClass = status => (status === 'Pass' ? 'pass' : 'fail');
+
+        const visibleRows = () => batch.sortBatchRows(
+            batch.filterBatchRows(rows, { text: filterText.value, status: filterStatus.value }), sort.key, sort.descending);
+
+        const renderTable = () => {
+            const shown = visibleRows();
+            const columns = [['member', 'Member'], [null, 'Governing Check'], ['ratio', 'Ratio'], ['status', 'Status'],
+                ...checkNames.map(name => [name, name])];
+            const head = columns.map(([key, title]) => {
+                if (!key) return `<th class="px-2 py-1 text-left">${title}</th>`;
+                const arrow = sort.key === key ? (sort.descending ? ' ▼' : ' ▲') : '';
+                return `<th class="px-2 py-1 text-left cursor-pointer" data-sort="${sanitizeHTML(key)}">${sanitizeHTML(title)}${arrow}</th>`;
+            }).join('') + '<th class="px-2 py-1 text-left">Error</th><th></th>';
+            const body = shown.map(row => `
+                <tr class="border-t dark:border-gray-700">
+                    <td class="px-2 py-1">${sanitizeHTML(row.member)}</td>
+                    <td class="px-2 py-1">${sanitizeHTML(row.governing?.name || '')}</td>
+                    <td class="px-2 py-1">${formatRatio(row.governing?.ratio)}</td>
+                    <td class="px-2 py-1 ${statusClass(row.status)}">${row.status}</td>
+                    ${checkNames.map(name => `<td class="px-2 py-1">${formatRatio(row.checks.find(check => check.name === name)?.ratio)}</td>`).join('')}
+                    <td class="px-2 py-1 text-red-500">${sanitizeHTML(row.error || '')}</td>
+                    <td class="px-2 py-1"><button type="button" data-open-member="${rows.indexOf(row)}" class="text-blue-600 hover:underline">Open</button></td>
+                </tr>`).join('');
+            panel.querySelector('#batch-table').innerHTML = `<table class="w-full text-sm"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+        };
+
+        const runSchedule = async (file) => {
+            const { members, ignored } = batch.parseMemberSchedule(await file.text(), schema);
+            const base = gatherInputsFromIds(inputIds);
+            rows = [];
+            for (const [index, { member, inputs, invalid, ambiguous }] of members.entries()) {
+                if (index % 10 === 0) {
+                    showFeedback(`Checking member ${index + 1} of ${members.length}...`, false, feedbackElId);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+                const memberInputs = { ...base, ...inputs };
+                const row = { member, inputs: memberInputs, checks: [], governing: null, status: 'Error', error: '' };
+                rows.push(row);
+                if (invalid.length > 0) {
+                    row.error = `Not a number: ${invalid.join(', ')}`;
+                    continue;
+                }
+                if (ambiguous.length > 0) {
+                    row.error = `Decimal comma in a comma-separated file: ${ambiguous.join(', ')}. Quote the value with a decimal point, or use semicolons between cells.`;
+                    continue;
+                }
+                try {
+                    const { validation, result } = await evaluate(memberInputs);
+                    row.error = validation.errors[0] || result?.error || result?.errors?.[0] || '';
+                    if (!row.error) Object.assign(row, batch.summarizeMemberResult(schema.id, result));
+                } catch (error) {
+                    row.error = error.message;
+                }
+            }
+            checkNames = [...new Set(rows.flatMap(row => row.checks.map(check => check.name)))];
+
+            const count = status => rows.filter(row => row.status === status).length;
+            panel.querySelector('#batch-summary').textContent =
+                `${rows.length} members: ${count('Pass')} pass, ${count('Fail')} fail, ${count('Error')} with errors.` +
+                (ignored.length ? ` Ignored columns: ${ignored.join(', ')}.` : '');
+            resultsEl.classList.remove('hidden');
+            renderTable();
+            showFeedback(`Checked ${rows.length} members from ${file.name}.`, count('Error') > 0, feedbackElId);
+        };
+
+        fileInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            try {
+                await runSchedule(file);
+            } catch (error) {
+                showFeedback(error.message, true, feedbackElId);
+            } finally {
+                // Allow the same file to be loaded again after editing it.
+                event.target.value = '';
+            }
+        });
+
+        panel.querySelector('#batch-template-btn').addEventListener('click', () => {
+            downloadFile(batch.memberScheduleTemplate(schema), `${schema.id}-member-schedule.csv`, 'text/csv;charset=utf-8');
+        });
+
+        panel.querySelector('#batch-export-btn').addEventListener('click', () => {
+            downloadFile(batch.batchToCsv(visibleRows(), checkNames), `${schema.id}-batch-results.csv`, 'text/csv;charset=utf-8');
+        });
+
+        filterText.addEventListener('input', renderTable);
+        filterStatus.addEventListener('change', renderTable);
+
+        panel.querySelector('#batch-table').addEventListener('click', (event) => {
+            const header = event.target.closest('th[data-sort]');
+            if (header) {
+                const key = header.dataset.sort;
+                sort = { key, descending: sort.key === key ? !sort.descending : key !== 'member' };
+                renderTable();
+                return;
+            }
+            const open = event.target.closest('button[data-open-member]');
+            if (open) {
+                const row = rows[Number(open.dataset.openMember)];
+                applyInputsToFields(inputIds, row.inputs);
+                showFeedback(`Member "${row.member}" loaded.`, false, feedbackElId);
+                runCalculation();
+            }
+        });
+    }).catch(error => console.error('Failed to load the member schedule tools:', error));
+}
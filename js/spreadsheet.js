@@ -0,0 +1,263 @@
+/**
+ * Spreadsheet export of report tables. handleDownloadTables in js/shared-utils.js reads the
+ * tables of a rendered report, grouped by report section; this module turns them into sheets
+ * (numbers as numbers, units moved into the column headers) and writes them as CSV or as an XLSX
+ * workbook with one sheet per section.
+ *
+ * Tables: { caption?: string, rows: [{ header?: boolean, cells: [{ text, colspan? }] }] }
+ * Sheets: { name, rows: [{ cells: Array<string|number>, bold?: boolean }] }
+ */
+
+import { formatCsv } from './csv.js';
+import { createZip, escapeXml } from './zip.js';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const NUMBER = String.raw`[+\-−]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+\-]?\d+)?`;
+// The unit follows a space, except for a percent or degree sign: "2x4" is not 2 of unit "x4".
+const NUMBER_CELL = new RegExp(`^(${NUMBER})(?:\\s*([%°])|\\s+(.+))?$`);
+const PAIR_CELL = new RegExp(`^(${NUMBER})\\s*/\\s*(${NUMBER})$`);
+// A unit is one short word of letters and unit symbols, e.g. "psf", "kip-ft", "kN·m", "kN/cm²", "%".
+const UNIT = /^(?:%|°|[A-Za-zµ°][A-Za-zµ°²³·/^\-.0-9]{0,11})$/;
+
+const toNumber = text => Number(text.replace('−', '-'));
+// Rewrites "1.234,5" as "1234.5", for reports shown with Portuguese number formatting (js/i18n.js).
+const fromDecimalComma = text => text.replace(/(\d)\.(?=\d{3}(?!\d))/g, '$1').replace(/(\d),(?=\d)/g, '$1.');
+
+/**
+ * Reads a table cell as a number with an optional unit.
+ * @param {string} text
+ * @param {{decimalComma?: boolean}} [options] - Whether numbers are written with a decimal comma.
+ * @returns {{value: number, unit: string}|null} Null when the cell is not a plain quantity.
+ */
+export function parseCellValue(text, { decimalComma = false } = {}) {
+    const trimmed = String(text ?? '').trim();
+    const match = NUMBER_CELL.exec(decimalComma ? fromDecimalComma(trimmed) : trimmed);
+    if (!match) return null;
+    const unit = match[2] ?? match[3] ?? '';
+    if (unit && !UNIT.test(unit)) return null;
+    return { value: toNumber(match[1]), unit };
+}
+
+// Expands column spans so that every cell sits in its own column.
+function expandRow(row) {
+    return row.cells.flatMap(cell => [cell.text ?? '', ...Array(Math.max(1, cell.colspan || 1) - 1).fill('')]);
+}
+
+// Adds a unit to a column header unless the header already names it.
+function headerWithUnit(header, unit) {
+    if (!unit || header.includes(`(${unit})`) || header.includes(`[${unit}]`)) return header;
+    return header ? `${header} (${unit})` : unit;
+}
+
+// Splits the header of a column of "a / b" pairs, e.g. "Pressure (+ / -)" into "Pressure (+)" and "Pressure (-)".
+function pairHeaders(header) {
+    const match = /\(([^()/]+?)\s*\/\s*([^()/]+?)\)/.exec(header);
+    if (match) return [1, 2].map(i => header.replace(match[0], `(${match[i]})`));
+    return [`${header} (1)`, `${header} (2)`];
+}
+
+/**
+ * Converts a report table to sheet rows. Columns whose cells are all quantities become numbers:
+ * a unit shared by the whole column moves into its header, and mixed units get a unit column of
+ * their own. Columns of "a / b" pairs are split in two. A row with a single cell spanning the
+ * table is kept as a group label.
+ * @param {{caption?: string, rows: object[]}} table
+ * @param {{decimalComma?: boolean}} [options] - Whether numbers are written with a decimal comma.
+ * @returns {{header: string[]|null, body: Array<Array<string|number>>}}
+ */
+export function tableToRows(table, options = {}) {
+    const numbers = text => (options.decimalComma ? fromDecimalComma(text.trim()) : text.trim());
+    const rows = table.rows.filter(row => row.cells.length);
+    const width = Math.max(0, ...rows.map(row => expandRow(row).length));
+    const headerRows = rows.filter(row => row.header).map(expandRow);
+    const bodyRows = rows.filter(row => !row.header);
+    const isLabel = row => width > 1 && row.cells.length === 1 && (row.cells[0].colspan || 1) >= width;
+    const data = bodyRows.filter(row => !isLabel(row)).map(expandRow);
+
+    const headers = Array.from({ length: width }, (_, column) => {
+        const parts = headerRows.map(row => row[column]).filter(text => text);
+        return parts.filter((text, i) => parts.indexOf(text) === i).join(' - ');
+    });
+
+    // Decide how each column is written out.
+    const columns = headers.map((header, column) => {
+        const texts = data.map(row => row[column] ?? '').filter(text => text.trim() !== '');
+        if (texts.length && texts.every(text => PAIR_CELL.test(numbers(text)))) {
+            return { kind: 'pair', headers: pairHeaders(header) };
+        }
+        const values = texts.map(text => parseCellValue(text, options));
+        if (!texts.length || values.some(value => value === null)) return { kind: 'text', headers: [header] };
+        const units = new Set(values.map(value => value.unit));
+        if (units.size === 1) return { kind: 'number', headers: [headerWithUnit(header, [...units][0])] };
+        return { kind: 'mixed', headers: [header, header ? `${header} unit` : 'Unit'] };
+    });
+
+    const cellsOf = row => columns.flatMap((column, i) => {
+        const text = (row[i] ?? '').trim();
+        if (column.kind === 'text') return [text];
+        if (!text) return column.kind === 'number' ? [''] : ['', ''];
+        if (column.kind === 'pair') {
+            const [, first, second] = PAIR_CELL.exec(numbers(text));
+            return [toNumber(first), toNumber(second)];
+        }
+        const { value, unit } = parseCellValue(text, options);
+        return column.kind === 'number' ? [value] : [value, unit];
+    });
+
+    return {
+        header: headerRows.length ? columns.flatMap(column => column.headers) : null,
+        body: bodyRows.map(row => (isLabel(row) ? [row.cells[0].text ?? ''] : cellsOf(expandRow(row))))
+    };
+}
+
+/**
+ * Names a worksheet within Excel's limits: at most 31 characters, none of []:*?/\, and unique in
+ * the workbook.
+ * @param {string} title
+ * @param {Set<string>} used - Names already taken (compared case-insensitively); the new name is added.
+ * @returns {string}
+ */
+export function sheetName(title, used) {
+    const base = String(title ?? '').replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().replace(/^'+|'+$/g, '') || 'Sheet';
+    let name = base.slice(0, 31).trim();
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        name = `${base.slice(0, 31 - suffix.length).trim()}${suffix}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+}
+
+/**
+ * Builds one sheet per report section, with the section's tables one after the other, each under
+ * its caption.
+ * @param {{title: string, tables: object[]}[]} sections
+ * @param {{decimalComma?: boolean}} [options] - Whether numbers are written with a decimal comma.
+ * @returns {{name: string, title: string, rows: {cells: Array<string|number>, bold?: boolean}[]}[]}
+ */
+export function reportSheets(sections, options = {}) {
+    const used = new Set();
+    return sections
+        .filter(section => section.tables.some(table => table.rows.length))
+        .map(section => {
+            const rows = [];
+            section.tables.filter(table => table.rows.length).forEach(table => {
+                if (rows.length) rows.push({ cells: [] });
+                if (table.caption) rows.push({ cells: [table.caption], bold: true });
+                const { header, body } = tableToRows(table, options);
+                if (header) rows.push({ cells: header, bold: true });
+                body.forEach(cells => rows.push({ cells }));
+            });
+            return { name: sheetName(section.title, used), title: section.title, rows };
+        });
+}
+
+/**
+ * Writes all sheets to one CSV file, each under its section title and separated by a blank line.
+ * @param {object[]} sheets - From reportSheets.
+ * @returns {string}
+ */
+export function sheetsToCsv(sheets) {
+    const rows = [];
+    sheets.forEach((sheet, i) => {
+        if (i > 0) rows.push([]);
+        rows.push([sheet.title || sheet.name]);
+        sheet.rows.forEach(row => rows.push(row.cells));
+    });
+    return formatCsv(rows);
+}
+
+/**
+ * Spreadsheet column letters: 0 is A, 25 is Z, 26 is AA.
+ * @param {number} index - Zero-based column index.
+ * @returns {string}
+ */
+export function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+}
+
+function worksheetXml(sheet) {
+    const widths = [];
+    const rows = sheet.rows.map((row, r) => {
+        const cells = row.cells.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            const style = row.bold ? ' s="1"' : '';
+            widths[c] = Math.max(widths[c] || 8, Math.min(60, String(value).length + 2));
+            if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            if (value === '' || value === null || value === undefined) return '';
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    const cols = widths.length
+        ? `<cols>${widths.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `${cols}<sheetData>${rows}</sheetData></worksheet>`;
+}
+
+/**
+ * Builds an .xlsx workbook, one worksheet per sheet. Bold rows (captions and headers) use the
+ * workbook's only extra cell style.
+ * @param {object[]} sheets - From reportSheets.
+ * @param {Date} [date=new Date()]
+ * @returns {Uint8Array}
+ */
+export function buildXlsx(sheets, date = new Date()) {
+    const list = sheets.length ? sheets : [{ name: 'Sheet1', rows: [] }];
+    const officeRel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + list.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + `<Relationship Id="rId1" Type="${officeRel}/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${officeRel}"><sheets>`
+                + list.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+                + '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + list.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${officeRel}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+                + `<Relationship Id="rIdStyles" Type="${officeRel}/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+                + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                + '</styleSheet>'
+        },
+        ...list.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: worksheetXml(sheet) }))
+    ];
+    return createZip(files, date);
+}
@@ -94,6 +94,7 @@ async function injectHeader(options) {
                 ${subNavContainerHtml}
             </div>
             <h1 id="main-title" class="text-3xl md:text-4xl font-bold">${pageTitle}</h1>
+            <select id="language-select" aria-label="Language" translate="no" class="absolute top-0 left-0 w-auto text-sm"></select>
             <button id="theme-toggle" type="button" class="text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 focus:outline-none focus:ring-4 focus:ring-gray-200 dark:focus:ring-gray-700 rounded-lg text-sm p-2.5 absolute top-0 right-0">
                 <svg id="theme-toggle-dark-icon" class="hidden w-5 h-5" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z"></path></svg>
                 <svg id="theme-toggle-light-icon" class="hidden w-5 h-5" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.707.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 5.05A1 1 0 003.636 6.464l.707.707a1 1 0 001.414-1.414l-.707-.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 100 2h1z" fill-rule="evenodd" clip-rule="evenodd"></path></svg>
@@ -102,6 +103,96 @@ async function injectHeader(options) {
     `;
 
     placeholder.innerHTML = headerHtml;
+    await initializeLanguage();
+}
+
+const LANGUAGE_STORAGE_KEY = 'engcalc-language';
+// Elements whose text is never translated: code, user-entered text and the language names.
+const UNTRANSLATED = 'script, style, textarea, code, pre, [translate="no"]';
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+// Replaced by initializeLanguage once the language of the page is known.
+let translatePageText = text => text;
+
+/**
+ * Translates a text into the language chosen in the header, for messages the page does not
+ * show itself, such as confirm() and prompt() dialogs.
+ * @param {string} text
+ * @returns {string}
+ */
+function translateText(text) {
+    return translatePageText(text);
+}
+
+/**
+ * Shows the page in the language chosen with the header's language switch (js/i18n.js), which
+ * is remembered for every page. Until one is chosen, a page is shown in the language it is
+ * written in. All text is translated, including results, panels and messages added later, and
+ * in Portuguese numbers are written with a decimal comma. Exports read the page as shown.
+ */
+async function initializeLanguage() {
+    const { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, createTranslator, localizeNumbers } = await import('./i18n.js');
+    const pageLanguage = normalizeLanguage(document.documentElement.lang) || DEFAULT_LANGUAGE;
+    const language = normalizeLanguage(localStorage.getItem(LANGUAGE_STORAGE_KEY)) || pageLanguage;
+
+    const select = document.getElementById('language-select');
+    if (select) {
+        select.innerHTML = Object.entries(LANGUAGES).map(([tag, name]) =>
+            `<option value="${tag}" ${tag === language ? 'selected' : ''}>${name}</option>`
+        ).join('');
+        select.addEventListener('change', () => {
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, select.value);
+            // Reloading shows the page as written before translating it again.
+            window.location.reload();
+        });
+    }
+
+    document.documentElement.lang = language;
+    const translate = createTranslator(language);
+    const show = (text, context) => localizeNumbers(translate(text, context), language);
+    translatePageText = show;
+
+    // What was written into each text node and attribute, so that it is not translated twice:
+    // number formatting cannot be applied to its own output.
+    const writtenText = new WeakMap();
+    const writtenAttributes = new WeakMap();
+    const translateNode = node => {
+        const parent = node.parentElement;
+        if (writtenText.get(node) === node.data || !parent || parent.closest(UNTRANSLATED)) return;
+        const text = show(node.data, parent.tagName.toLowerCase());
+        writtenText.set(node, text);
+        if (text !== node.data) node.data = text;
+    };
+    const translateAttributes = element => {
+        if (!writtenAttributes.has(element)) writtenAttributes.set(element, {});
+        const written = writtenAttributes.get(element);
+        TRANSLATED_ATTRIBUTES.forEach(name => {
+            const value = element.getAttribute(name);
+            if (value === null || written[name] === value) return;
+            written[name] = show(value);
+            if (written[name] !== value) element.setAttribute(name, written[name]);
+        });
+    };
+    const translateTree = root => {
+        if (root.nodeType === Node.TEXT_NODE) {
+            translateNode(root);
+            return;
+        }
+        if (root.nodeType !== Node.ELEMENT_NODE || root.closest(UNTRANSLATED)) return;
+        [root, ...root.querySelectorAll(TRANSLATED_ATTRIBUTES.map(name => `[${name}]`).join(', '))]
+            .filter(element => !element.closest(UNTRANSLATED))
+            .forEach(translateAttributes);
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        nodes.forEach(translateNode);
+    };
+
+    document.title = show(document.title);
+    translateTree(document.body);
+    new MutationObserver(records => records.forEach(record => {
+        if (record.type === 'characterData') translateNode(record.target);
+        else record.addedNodes.forEach(translateTree);
+    })).observe(document.body, { childList: true, characterData: true, subtree: true });
 }
 
 /**
@@ -128,6 +219,7 @@ function injectFooter(options) {
             <div class="mt-2">
                 <a href="${pathPrefix}index.html" class="text-blue-600 hover:underline dark:text-blue-400">Back to Hub</a>
             </div>
+            <p id="offline-status" class="text-xs mt-2"></p>
             <p class="text-xs mt-4">
                 Disclaimer: These tools are for preliminary design and educational purposes only. Always verify results with a licensed professional engineer and the latest code standards.
             </p>
@@ -140,4 +232,45 @@ function injectFooter(options) {
     `;
 
     placeholder.innerHTML = footerHtml;
-}
\ No newline at end of file
+    initializeOfflineSupport(pathPrefix);
+}
+
+/**
+ * Registers the service worker (sw.js) that caches the site for offline use, and keeps the
+ * footer's status line showing whether an offline copy is ready and which version it is.
+ * @param {string} pathPrefix - Path from the current page to the site root.
+ */
+async function initializeOfflineSupport(pathPrefix) {
+    const statusEl = document.getElementById('offline-status');
+    const setStatus = text => { if (statusEl) statusEl.textContent = text; };
+    if (!('serviceWorker' in navigator) || !window.caches) {
+        setStatus('Offline use is not available in this browser.');
+        return;
+    }
+
+    let registration = null;
+    const showCachedVersion = async () => {
+        // Cache names are listed oldest first, so while an update installs the first one is still
+        // the copy in use.
+        const names = (await caches.keys()).filter(name => name.startsWith('engcalc-'));
+        const connection = navigator.onLine ? '' : ' You are offline.';
+        setStatus(registration?.active && names.length
+            ? `Available offline (version ${names[0].slice('engcalc-'.length)}).${connection}`
+            : `Saving an offline copy...${connection}`);
+    };
+
+    try {
+        registration = await navigator.serviceWorker.register(`${pathPrefix}sw.js`);
+        await showCachedVersion();
+        await navigator.serviceWorker.ready;
+        await showCachedVersion();
+        navigator.serviceWorker.addEventListener('controllerchange', showCachedVersion);
+        registration.addEventListener('updatefound', () => setStatus('Updating the offline copy...'));
+        window.addEventListener('online', showCachedVersion);
+        window.addEventListener('offline', showCachedVersion);
+    } catch (error) {
+        // Pages opened straight from disk (file://) cannot register a service worker.
+        console.warn('Service worker registration failed:', error);
+        setStatus('Offline copy unavailable: open the calculators from a web server to enable it.');
+    }
+}
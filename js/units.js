@@ -0,0 +1,176 @@
+/**
+ * Shared unit definitions and conversions for the calculators.
+ *
+ * Every calculator page has a unit system selector ('imperial' or 'metric'). Input fields are
+ * tagged with a named quantity (see `quantities` and the `quantities` map of each schema in
+ * js/input-schemas.js), which gives the unit the field is entered in for each system.
+ * Engines that only work in one system declare it as `engineUnits` in their schema; their
+ * inputs are converted before the calculation, and the unit-tagged values in their reports are
+ * converted back for display with `convertUnitsInText`.
+ */
+
+export const UNIT_SYSTEMS = ['imperial', 'metric'];
+
+// Each unit: [dimension, factor to the SI base unit of that dimension].
+const LBF = 4.4482216152605;
+const PSI = 6894.757293168361;
+export const units = {
+    'in': ['length', 0.0254], 'ft': ['length', 0.3048], 'mm': ['length', 0.001], 'cm': ['length', 0.01], 'm': ['length', 1],
+    'in²': ['area', 0.0254 ** 2], 'ft²': ['area', 0.3048 ** 2], 'mm²': ['area', 1e-6], 'cm²': ['area', 1e-4], 'm²': ['area', 1],
+    'in³': ['volume', 0.0254 ** 3], 'mm³': ['volume', 1e-9], 'cm³': ['volume', 1e-6],
+    'in⁴': ['length4', 0.0254 ** 4], 'mm⁴': ['length4', 1e-12], 'cm⁴': ['length4', 1e-8],
+    'in⁶': ['length6', 0.0254 ** 6], 'mm⁶': ['length6', 1e-18], 'cm⁶': ['length6', 1e-12],
+    'lb': ['force', LBF], 'lbs': ['force', LBF], 'kip': ['force', LBF * 1000], 'kips': ['force', LBF * 1000],
+    'N': ['force', 1], 'kN': ['force', 1000],
+    'kip-ft': ['moment', LBF * 1000 * 0.3048], 'kip-in': ['moment', LBF * 1000 * 0.0254],
+    'kN·m': ['moment', 1000], 'kN·cm': ['moment', 10],
+    'psi': ['stress', PSI], 'ksi': ['stress', PSI * 1000], 'psf': ['stress', LBF / 0.3048 ** 2],
+    'Pa': ['stress', 1], 'kPa': ['stress', 1000], 'MPa': ['stress', 1e6], 'kN/cm²': ['stress', 1e7],
+    'plf': ['line_load', LBF / 0.3048], 'kN/m': ['line_load', 1000],
+    'mph': ['speed', 0.44704], 'm/s': ['speed', 1],
+    'in/hr': ['intensity', 0.0254 / 3600], 'mm/hr': ['intensity', 0.001 / 3600]
+};
+
+/**
+ * Named quantities used to tag input fields: the unit each system enters the value in.
+ */
+export const quantities = {
+    length: { imperial: 'ft', metric: 'm' },
+    dimension: { imperial: 'in', metric: 'mm' },
+    section_dimension: { imperial: 'in', metric: 'cm' },
+    area: { imperial: 'ft²', metric: 'm²' },
+    section_area: { imperial: 'in²', metric: 'mm²' },
+    section_modulus: { imperial: 'in³', metric: 'mm³' },
+    moment_of_inertia: { imperial: 'in⁴', metric: 'mm⁴' },
+    warping_constant: { imperial: 'in⁶', metric: 'mm⁶' },
+    force: { imperial: 'kips', metric: 'kN' },
+    moment: { imperial: 'kip-ft', metric: 'kN·m' },
+    torsion: { imperial: 'kip-in', metric: 'kN·m' },
+    stress: { imperial: 'ksi', metric: 'MPa' },
+    low_stress: { imperial: 'psi', metric: 'MPa' },
+    pressure: { imperial: 'psf', metric: 'kPa' },
+    speed: { imperial: 'mph', metric: 'm/s' },
+    rainfall_intensity: { imperial: 'in/hr', metric: 'mm/hr' }
+};
+
+// The unit a report value is shown in after switching systems, per unit symbol.
+const displayCounterparts = {
+    imperial: {
+        'in': 'mm', 'ft': 'm', 'in²': 'mm²', 'ft²': 'm²', 'in³': 'mm³', 'in⁴': 'mm⁴', 'in⁶': 'mm⁶',
+        'lb': 'kN', 'lbs': 'kN', 'kip': 'kN', 'kips': 'kN', 'kip-ft': 'kN·m', 'kip-in': 'kN·m',
+        'psi': 'MPa', 'ksi': 'MPa', 'psf': 'kPa', 'plf': 'kN/m', 'mph': 'm/s', 'in/hr': 'mm/hr'
+    },
+    metric: {
+        'mm': 'in', 'cm': 'in', 'm': 'ft', 'mm²': 'in²', 'cm²': 'in²', 'm²': 'ft²', 'mm³': 'in³', 'cm³': 'in³',
+        'mm⁴': 'in⁴', 'cm⁴': 'in⁴', 'mm⁶': 'in⁶', 'cm⁶': 'in⁶', 'N': 'kips', 'kN': 'kips', 'kN·m': 'kip-ft',
+        'kN·cm': 'kip-in', 'Pa': 'psf', 'kPa': 'psf', 'MPa': 'ksi', 'kN/cm²': 'ksi', 'kN/m': 'plf',
+        'm/s': 'mph', 'mm/hr': 'in/hr'
+    }
+};
+
+/**
+ * Maps the spellings used by the unit selectors ('Imperial', 'Metric', 'SI') to 'imperial' / 'metric'.
+ * @param {string} system
+ * @returns {'imperial'|'metric'|null}
+ */
+export function normalizeUnitSystem(system) {
+    const value = String(system ?? '').trim().toLowerCase();
+    if (value === 'imperial' || value === 'us') return 'imperial';
+    if (value === 'metric' || value === 'si') return 'metric';
+    return null;
+}
+
+/**
+ * Converts a value between two units of the same dimension.
+ * @param {number} value
+ * @param {string} from - Unit symbol, e.g. 'ksi'.
+ * @param {string} to - Unit symbol, e.g. 'MPa'.
+ * @returns {number}
+ */
+export function convertUnit(value, from, to) {
+    if (from === to) return value;
+    const source = units[from];
+    const target = units[to];
+    if (!source || !target) throw new Error(`Unknown unit "${!source ? from : to}".`);
+    if (source[0] !== target[0]) throw new Error(`Cannot convert ${from} (${source[0]}) to ${to} (${target[0]}).`);
+    return value * source[1] / target[1];
+}
+
+/**
+ * Returns the unit symbol a quantity is entered in for a unit system.
+ * @param {string} quantity - A key of `quantities`.
+ * @param {string} system
+ * @returns {string}
+ */
+export function unitLabel(quantity, system) {
+    const definition = quantities[quantity];
+    if (!definition) throw new Error(`Unknown quantity "${quantity}".`);
+    return definition[normalizeUnitSystem(system) || 'imperial'];
+}
+
+/**
+ * Converts a value of a named quantity from one unit system to another.
+ * @param {number} value
+ * @param {string} quantity - A key of `quantities`.
+ * @param {string} from - Source unit system.
+ * @param {string} to - Target unit system.
+ * @returns {number}
+ */
+export function convertQuantity(value, quantity, from, to) {
+    return convertUnit(value, unitLabel(quantity, from), unitLabel(quantity, to));
+}
+
+/**
+ * Converts every tagged field of an input object between unit systems. Non-numeric values
+ * (empty fields, selects) are copied unchanged.
+ * @param {object} inputs - Input values keyed by field ID.
+ * @param {Object<string, string>} fieldQuantities - Field ID to quantity name.
+ * @param {string} from - Source unit system.
+ * @param {string} to - Target unit system.
+ * @returns {object} A new input object.
+ */
+export function convertInputs(inputs, fieldQuantities, from, to) {
+    const converted = { ...inputs };
+    if (normalizeUnitSystem(from) === normalizeUnitSystem(to)) return converted;
+    for (const [id, quantity] of Object.entries(fieldQuantities)) {
+        if (typeof converted[id] === 'number' && Number.isFinite(converted[id])) {
+            converted[id] = convertQuantity(converted[id], quantity, from, to);
+        }
+    }
+    return converted;
+}
+
+/**
+ * Formats a converted number with at least the decimals of the original and at least three
+ * significant figures, so that e.g. "25 MPa" becomes "3.63 ksi" rather than "4 ksi".
+ */
+function formatConverted(value, decimals) {
+    const magnitude = value === 0 ? 0 : Math.floor(Math.log10(Math.abs(value)));
+    const places = Math.min(6, Math.max(decimals, 2 - magnitude, 0));
+    return value.toFixed(places);
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Rewrites every "number unit" pair of one unit system found in a piece of report text into the
+ * other system, e.g. "191.70 kips" to "852.72 kN". Text without such pairs is returned unchanged.
+ * @param {string} text
+ * @param {string} from - The unit system the text was written in.
+ * @param {string} to - The unit system to show.
+ * @returns {string}
+ */
+export function convertUnitsInText(text, from, to) {
+    const source = normalizeUnitSystem(from);
+    if (!source || source === normalizeUnitSystem(to)) return text;
+    const counterparts = displayCounterparts[source];
+    // Longest symbols first so that "kip-ft" wins over "kip" and "in²" over "in".
+    const symbols = Object.keys(counterparts).sort((a, b) => b.length - a.length).map(escapeRegExp);
+    // A decimal comma is kept as such, for reports written with pt-BR number formatting.
+    const pattern = new RegExp(`(?<![\\w.,])(-?\\d+)(?:([.,])(\\d+))?(\\s?)(${symbols.join('|')})(?![\\w²³⁴⁶/·-])`, 'g');
+    return text.replace(pattern, (match, whole, separator = '.', fraction = '', space, symbol) => {
+        const converted = convertUnit(parseFloat(`${whole}.${fraction || 0}`), symbol, counterparts[symbol]);
+        const formatted = formatConverted(converted, fraction.length).replace('.', separator);
+        return `${formatted}${space || ' '}${counterparts[symbol]}`;
+    });
+}
@@ -1,22 +1,61 @@
 /**
- * Centralized validation rules for all calculators.
- * Each key corresponds to a specific calculator.
- *
- * Rule properties:
- * - min: The minimum allowed value (for numbers).
- * - max: The maximum allowed value (for numbers).
- * - required: A boolean indicating if the field must have a non-zero/non-empty value.
- * - label: A user-friendly name for the input field used in error messages.
+ * Centralized validation rules for all calculators, applied by validateInputs in
+ * js/validation.js. Each key corresponds to a specific calculator (the `validationRuleKey` its
+ * page passes to createCalculationHandler), and maps input IDs to their rules; see
+ * js/validation.js for the rule properties.
  */
-const validationRules = {
+export const validationRules = {
     wind: {
         'mean_roof_height': { min: 0.001, max: 1000, required: true, label: 'Mean Roof Height' }, // ASCE 7 limitation
-        'basic_wind_speed': { min: 60, max: 200, required: true, label: 'Basic Wind Speed' }, // Typical range for ASCE 7
+        'basic_wind_speed': {
+            min: { value: 60, unit: 'mph' }, max: { value: 200, unit: 'mph' }, required: true, label: 'Basic Wind Speed',
+            typical: { min: { value: 85, unit: 'mph' } } // Lowest speed on the ASCE 7 wind maps
+        },
         'building_length_L': { min: 0.001, max: 1000, required: true, label: 'Building Length (L)' },
         'building_width_B': { min: 0.001, max: 1000, required: true, label: 'Building Width (B)' },
-        'fundamental_period': { min: 0.001, max: 10, required: false, label: 'Fundamental Period' },
-        'roof_slope_deg': { min: 0, max: 90, required: false, label: 'Roof Slope' },
-        'effective_wind_area': { min: 0.001, max: 5000, required: false, label: 'Effective Wind Area' }
+        'fundamental_period': { min: 0.001, max: 10, requiredWhen: { building_flexibility: 'Flexible' }, label: 'Fundamental Period' },
+        'roof_slope_deg': {
+            min: 0, max: 90, required: false, label: 'Roof Slope',
+            checks: [{
+                when: { roof_type: ['gable', 'hip'] }, test: 'roof_slope_deg <= 45',
+                message: "Gable/hip roof slope must be <= 45° for this calculator's implementation of ASCE 7 Fig 27.3-2."
+            }]
+        },
+        'effective_wind_area': {
+            min: 0.001, max: 5000, required: false, label: 'Effective Wind Area',
+            checks: [{
+                level: 'warning',
+                test: 'effective_wind_area <= max(building_length_L * mean_roof_height, building_length_L * building_width_B)',
+                message: 'Effective Wind Area ({effective_wind_area}) is larger than both the wall area and the roof area (the larger is {limit}). Please verify the input.'
+            }]
+        },
+        'sign_height_h': { min: 0.001, requiredWhen: { structure_class: 'Other Structure', other_structure_type: ['solid_sign', 'open_sign'] }, label: 'Sign Height (h)' },
+        'sign_dimension_s': {
+            min: 0.001, requiredWhen: { structure_class: 'Other Structure', other_structure_type: ['solid_sign', 'open_sign'] }, label: 'Sign Vertical Dimension (s)',
+            checks: [{
+                when: { structure_class: 'Other Structure', other_structure_type: ['solid_sign', 'open_sign'] }, test: 'sign_dimension_s <= sign_height_h',
+                message: 'Sign Vertical Dimension (s) cannot be more than the height to the top of the sign (h = {limit}).'
+            }]
+        },
+        'sign_width_B': { min: 0.001, requiredWhen: { structure_class: 'Other Structure', other_structure_type: ['solid_sign', 'open_sign'] }, label: 'Sign Horizontal Dimension (B)' },
+        'sign_solidity_ratio': { min: 0.001, max: 1, requiredWhen: { structure_class: 'Other Structure', other_structure_type: ['solid_sign', 'open_sign'] }, label: 'Solidity Ratio' },
+        'open_member_diameter': { min: 0.001, requiredWhen: { structure_class: 'Other Structure', other_structure_type: 'open_sign', open_member_shape: 'round' }, label: 'Member Diameter (D)' },
+        'chimney_height': { min: 0.001, requiredWhen: { structure_class: 'Other Structure', other_structure_type: 'chimney' }, label: 'Chimney Height (h)' },
+        'chimney_diameter': { min: 0.001, requiredWhen: { structure_class: 'Other Structure', other_structure_type: 'chimney' }, label: 'Chimney Width or Diameter (D)' },
+        'equipment_area_Af': { min: 0, requiredWhen: { structure_class: 'Other Structure', other_structure_type: 'rooftop_equipment' }, label: 'Equipment Vertical Area (Af)' },
+        'equipment_area_Ar': { min: 0, requiredWhen: { structure_class: 'Other Structure', other_structure_type: 'rooftop_equipment' }, label: 'Equipment Plan Area (Ar)' },
+        'solar_area': { min: 0.001, requiredWhen: { structure_class: 'Other Structure', other_structure_type: 'solar_panels' }, label: 'Panel Wind Area (A)' },
+        'solar_tilt_deg': { min: 0, max: 90, requiredWhen: { structure_class: 'Other Structure', other_structure_type: 'solar_panels', solar_method: 'tilted' }, label: 'Panel Tilt' },
+        'solar_chord_Lp': { min: 0, requiredWhen: { structure_class: 'Other Structure', other_structure_type: 'solar_panels', solar_method: 'tilted' }, label: 'Panel Chord (Lp)' },
+        'solar_parapet_height': { min: 0, required: false, label: 'Parapet Height (hpt)' },
+        'topo_hill_height_H': { min: 0, requiredWhen: { topo_feature: ['ridge', 'escarpment', 'hill'] }, label: 'Hill Height (H)' },
+        'topo_half_length_Lh': { min: 0.001, requiredWhen: { topo_feature: ['ridge', 'escarpment', 'hill'] }, label: 'Half-Length (Lh)' },
+        'topo_distance_x': { min: 0, requiredWhen: { topo_feature: ['ridge', 'escarpment', 'hill'] }, label: 'Distance from Crest (x)' },
+        // One upwind fetch per 45° sector, and the extent of the roughness beyond it (Sec. 26.7).
+        ...Object.fromEntries([0, 45, 90, 135, 180, 225, 270, 315].flatMap(bearing => [
+            [`exp_sector_${bearing}_fetch`, { min: 0, requiredWhen: { exposure_method: 'sectors' }, label: `Fetch, Sector ${bearing}° to ${bearing + 45}°` }],
+            [`exp_sector_${bearing}_upwind_fetch`, { min: 0, required: false, label: `Extent Beyond, Sector ${bearing}° to ${bearing + 45}°` }]
+        ]))
     },
     snow: {
         'snow_ground_snow_load': { min: 0.001, max: 300, required: true, label: 'Ground Snow Load (pg)' },
@@ -73,12 +112,21 @@ const validationRules = {
         'shear_load_V': { required: false, label: 'Shear Load' }
     },
     steel_check: {
-        'Fy': { min: 0.1, max: 150, required: true, label: 'Yield Strength (Fy)' },
-        'Fu': { min: 0.1, max: 200, required: true, label: 'Ultimate Strength (Fu)' },
-        'E': { min: 20000, max: 35000, required: true, label: 'Modulus of Elasticity (E)' },
+        'Fy': {
+            min: 0.1, max: 150, required: true, label: 'Yield Strength (Fy)',
+            typical: { min: { value: 36, unit: 'ksi' }, max: { value: 80, unit: 'ksi' } } // Common structural steel grades
+        },
+        'Fu': {
+            min: 0.1, max: 200, required: true, label: 'Ultimate Strength (Fu)',
+            checks: [{ test: 'Fu > Fy', message: 'Ultimate Strength (Fu) must be greater than Fy.' }]
+        },
+        'E': { min: { value: 20000, unit: 'ksi' }, max: { value: 35000, unit: 'ksi' }, required: true, label: 'Modulus of Elasticity (E)' },
         'd': { min: 0.001, required: true, label: 'Depth/Height' },
         'bf': { min: 0.001, required: true, label: 'Width/Flange Width' },
-        'tf': { min: 0.001, required: true, label: 'Thickness/Flange Thickness' },
+        'tf': {
+            min: 0.001, required: true, label: 'Thickness/Flange Thickness',
+            checks: [{ test: 'tf < d / 2', message: 'Thickness/Flange Thickness must be less than half the depth ({limit} in).' }]
+        },
         'Lb_input': { min: 0, required: true, label: 'Unbraced Length (Lb)' },
     },
     splice: {
@@ -90,6 +138,14 @@ const validationRules = {
         'H_fp': { min: 1, required: true, label: 'Flange Plate Width' },
         't_fp': { min: 0.1, required: true, label: 'Flange Plate Thickness' },
         'L_fp': { min: 1, required: true, label: 'Flange Plate Length' },
+        'H_fp_inner': { min: 1, requiredWhen: { num_flange_plates: '2' }, label: 'Inner Flange Plate Width' },
+        't_fp_inner': { min: 0.1, requiredWhen: { num_flange_plates: '2' }, label: 'Inner Flange Plate Thickness' },
+        'L_fp_inner': { min: 1, requiredWhen: { num_flange_plates: '2' }, label: 'Inner Flange Plate Length' },
+        // AISC 360 J3.3: bolt spacing of at least 2-2/3 times the bolt diameter.
+        'S1_col_spacing_fp': { checks: [{ test: 'S1_col_spacing_fp >= 2.667 * D_fp', message: 'Flange bolt column spacing must be at least 2-2/3 times the bolt diameter ({limit} in, AISC 360 J3.3).' }] },
+        'S2_row_spacing_fp': { checks: [{ test: 'S2_row_spacing_fp >= 2.667 * D_fp', message: 'Flange bolt row spacing must be at least 2-2/3 times the bolt diameter ({limit} in, AISC 360 J3.3).' }] },
+        'S4_col_spacing_wp': { checks: [{ test: 'S4_col_spacing_wp >= 2.667 * D_wp', message: 'Web bolt column spacing must be at least 2-2/3 times the bolt diameter ({limit} in, AISC 360 J3.3).' }] },
+        'S5_row_spacing_wp': { checks: [{ test: 'S5_row_spacing_wp >= 2.667 * D_wp', message: 'Web bolt row spacing must be at least 2-2/3 times the bolt diameter ({limit} in, AISC 360 J3.3).' }] },
         'H_wp': { min: 1, required: true, label: 'Web Plate Height' },
         't_wp': { min: 0.1, required: true, label: 'Web Plate Thickness' },
         'L_wp': { min: 1, required: true, label: 'Web Plate Length' },
@@ -141,4 +197,4 @@ const validationRules = {
         'Nsd': { required: true, label: 'Força Axial (Nsd)' },
         'Msdx': { required: true, label: 'Momento Fletor (Msdx)' }
     }
-};
\ No newline at end of file
+};
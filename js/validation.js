@@ -0,0 +1,144 @@
+/**
+ * Declarative input validation. A calculator's rules (js/validation-rules.js) map each input ID
+ * to a rule; validateInputs applies them to one set of inputs and reports every problem against
+ * the field it concerns, so pages can show it next to that field.
+ *
+ * Rule properties:
+ * - label: The name of the field used in messages.
+ * - required: The field must have a value. `requiredWhen` makes this conditional on other
+ *   inputs (see Conditions below).
+ * - min, max: Hard limits; a value outside them is an error.
+ * - typical: { min, max } — a soft range; a value outside it is a warning.
+ * - checks: Cross-field conditions, each { test, message, level, when }. `test` compares two
+ *   formulas of input IDs, e.g. 'tf < d / 2' or 'S1_col_spacing_fp >= 2.667 * D_fp' (formulas as
+ *   in js/calc-trace.js; the operators are <, <=, >, >=). A check whose inputs are not all given
+ *   is skipped. `message` may quote inputs as {input_id} and the right-hand side as {limit};
+ *   `level` is 'error' (the default) or 'warning'.
+ *
+ * Limits are plain numbers in the unit the field is entered in, or { value, unit } with a unit
+ * symbol from js/units.js, which is converted to the unit of the field for the unit system in use
+ * (e.g. { value: 85, unit: 'mph' } is 38.0 on a metric page). Fields are tagged with their
+ * quantity in the calculator's schema.
+ *
+ * Conditions (`requiredWhen`, and `when` on a check) map input IDs to the value, or list of
+ * values, they must have: { roof_type: ['gable', 'hip'] }.
+ */
+
+import { evaluateFormula } from './calc-trace.js';
+import { convertUnit, unitLabel } from './units.js';
+
+const COMPARISON = /^(.+?)(<=|>=|<|>)(.+)$/;
+const COMPARE = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+const isMissing = value => value === undefined || value === null || value === '' || (typeof value === 'number' && isNaN(value));
+const formatNumber = value => String(Number(value.toPrecision(4)));
+
+/**
+ * Tells whether the inputs meet a condition.
+ * @param {Object<string, *>} condition - Input ID to the required value or list of values.
+ * @param {object} inputs
+ * @returns {boolean}
+ */
+export function meetsCondition(condition, inputs) {
+    return Object.entries(condition).every(([id, expected]) => {
+        const accepted = Array.isArray(expected) ? expected : [expected];
+        return accepted.some(value => String(value) === String(inputs[id]));
+    });
+}
+
+/**
+ * Resolves a limit to the unit a field is entered in.
+ * @param {number|{value: number, unit: string}} limit
+ * @param {string} [quantity] - The field's quantity from its schema.
+ * @param {string} [unitSystem] - The unit system the inputs are in.
+ * @returns {{value: number, text: string}} The limit, and how to quote it in a message.
+ */
+export function resolveLimit(limit, quantity, unitSystem) {
+    if (typeof limit === 'number') return { value: limit, text: String(limit) };
+    if (!quantity || !unitSystem) return { value: limit.value, text: `${limit.value} ${limit.unit}` };
+    const unit = unitLabel(quantity, unitSystem);
+    const value = convertUnit(limit.value, limit.unit, unit);
+    return { value, text: `${formatNumber(value)} ${unit}` };
+}
+
+/**
+ * Evaluates the test of a cross-field check.
+ * @param {string} test - e.g. 'tf < d / 2'.
+ * @param {object} inputs
+ * @returns {{passed: boolean, limit: number}|null} Null when an input the test uses has no value.
+ * @throws {Error} When the test is not a comparison of two formulas.
+ */
+export function evaluateCheck(test, inputs) {
+    const match = COMPARISON.exec(test);
+    if (!match) throw new Error(`"${test}" is not a comparison.`);
+    const numbers = Object.fromEntries(Object.entries(inputs).filter(([, value]) => typeof value === 'number' && !isNaN(value)));
+    let left;
+    let right;
+    try {
+        left = evaluateFormula(match[1].trim(), numbers);
+        right = evaluateFormula(match[3].trim(), numbers);
+    } catch (error) {
+        if (/^No value given/.test(error.message)) return null;
+        throw error;
+    }
+    return { passed: COMPARE[match[2]](left, right), limit: right };
+}
+
+/**
+ * Validates inputs against a calculator's rules.
+ * @param {object} inputs - Input values keyed by field ID.
+ * @param {Object<string, object>} [rules] - The calculator's rules from js/validation-rules.js.
+ * @param {{quantities?: Object<string, string>, unitSystem?: string}} [context] - The schema's
+ *   field quantities and the unit system of the inputs, used for limits given with a unit.
+ * @returns {{errors: string[], warnings: string[], issues: {field: string, level: 'error'|'warning', message: string}[]}}
+ */
+export function validateInputs(inputs, rules, { quantities = {}, unitSystem } = {}) {
+    const issues = [];
+    const report = (field, level, message) => issues.push({ field, level, message });
+
+    for (const [id, rule] of Object.entries(rules || {})) {
+        const value = inputs[id];
+        const label = rule.label || id;
+        const required = rule.required === true || Boolean(rule.requiredWhen && meetsCondition(rule.requiredWhen, inputs));
+
+        if (isMissing(value)) {
+            if (required) report(id, 'error', `${label} is required.`);
+            continue;
+        }
+        if (typeof value === 'number') {
+            const limit = bound => resolveLimit(bound, quantities[id], unitSystem);
+            if (rule.min !== undefined && value < limit(rule.min).value) {
+                report(id, 'error', `${label} must be at least ${limit(rule.min).text}.`);
+            } else if (rule.max !== undefined && value > limit(rule.max).value) {
+                report(id, 'error', `${label} must be no more than ${limit(rule.max).text}.`);
+            } else if (rule.typical) {
+                const { min, max } = rule.typical;
+                const low = min === undefined ? null : limit(min);
+                const high = max === undefined ? null : limit(max);
+                if ((low && value < low.value) || (high && value > high.value)) {
+                    const range = low && high ? `${low.text} to ${high.text}` : low ? `at least ${low.text}` : `up to ${high.text}`;
+                    report(id, 'warning', `${label} is outside the typical range (${range}). Please verify the input.`);
+                }
+            }
+        }
+        for (const check of rule.checks || []) {
+            if (check.when && !meetsCondition(check.when, inputs)) continue;
+            const outcome = evaluateCheck(check.test, inputs);
+            if (!outcome || outcome.passed) continue;
+            const message = check.message
+                .replace(/\{limit\}/g, formatNumber(outcome.limit))
+                .replace(/\{(\w+)\}/g, (placeholder, name) => (inputs[name] === undefined ? placeholder : String(inputs[name])));
+            report(id, check.level || 'error', message);
+        }
+    }
+    return {
+        errors: issues.filter(issue => issue.level === 'error').map(issue => issue.message),
+        warnings: issues.filter(issue => issue.level === 'warning').map(issue => issue.message),
+        issues
+    };
+}
@@ -181,6 +181,9 @@ function generateReportHandler() {
                 <div class="flex justify-end gap-2 -mt-2 -mr-2 print-hidden">
                     <button data-copy-target-id="nbr-report-content" class="copy-section-btn bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 text-sm">Copiar Relatório</button>
                     <button id="download-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm">Baixar PDF</button>
+                    <button id="download-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm">Baixar Word</button>
+                    <button id="download-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm">Baixar XLSX</button>
+                    <button id="download-csv-btn" class="bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-700 text-sm">Baixar CSV</button>
                 </div>`;
     
     function createSectionHTML(title, combos) {
@@ -205,4 +208,7 @@ function generateReportHandler() {
 
     reportOutput.querySelector('.copy-section-btn')?.addEventListener('click', async () => await handleCopyToClipboard('nbr-report-content', 'feedback-message'));
     reportOutput.querySelector('#download-pdf-btn')?.addEventListener('click', () => handleDownloadPdf('nbr-report-content', 'NBR-Combinacoes-Relatorio.pdf'));
+    reportOutput.querySelector('#download-docx-btn')?.addEventListener('click', () => handleDownloadDocx('nbr-report-content', 'NBR-Combinacoes-Relatorio.docx'));
+    reportOutput.querySelector('#download-xlsx-btn')?.addEventListener('click', () => handleDownloadTables('nbr-report-content', 'NBR-Combinacoes-Relatorio.xlsx'));
+    reportOutput.querySelector('#download-csv-btn')?.addEventListener('click', () => handleDownloadTables('nbr-report-content', 'NBR-Combinacoes-Relatorio.csv'));
 }
\ No newline at end of file
@@ -1,44 +1,8 @@
-const nbr6118InputIds = [
-    'fck', 'fyk', 'bw', 'h', 'c', 'num_barras', 'diam_barra',
-    'diam_estribo', 'pernas_estribo', 's_estribo', 'Msd', 'Vsd'
-];
+import { nbr6118Calculator } from './nbr6118-engine.js';
+import { renderTraceHtml } from '../js/calc-trace.js';
+import { inputSchemas, schemaInputIds } from '../js/input-schemas.js';
 
-const nbr6118Calculator = (() => {
-    function calculate(inputs) {
-        const i = { ...inputs };
-        // Convert to base units (kN, cm)
-        i.Msd = i.Msd * 100; // kN·m to kN·cm
-
-        const res = {};
-        // NBR 6118:2023 partial safety factors
-        const gamma_c = 1.4; // Maintained, but should be verified based on specific conditions
-        const gamma_s = 1.15; // Maintained
-        const fcd = i.fck / gamma_c;
-        const fyd = i.fyk / gamma_s;
-
-        // Flexão
-        const d = i.h - i.c - (i.diam_estribo / 10) - (i.diam_barra / 20);
-        const As = i.num_barras * (Math.PI * (i.diam_barra / 10) ** 2 / 4);
-        const x = (As * fyd) / (0.85 * fcd * 0.8 * i.bw);
-        const x_d_ratio = d > 0 ? x / d : Infinity;
-        const dominio = x_d_ratio <= 0.45 ? '2 ou 3 (Dúctil)' : '4 ou 5 (Frágil)';
-        const Mrd = As * fyd * (d - 0.4 * x);
-        res.flexure_details = { Mrd, d, As, x, x_d_ratio, dominio };
-
-        // Cisalhamento
-        const Asw = i.pernas_estribo * (Math.PI * (i.diam_estribo / 10) ** 2 / 4);
-        const fctd = (0.21 * Math.pow(i.fck, 2 / 3)) / gamma_c;
-        const Vc = 0.6 * fctd * i.bw * d;
-        const Vsw = (Asw / i.s_estribo) * 0.9 * d * fyd;
-        const VRd2 = 0.27 * (1 - i.fck / 250) * fcd * i.bw * (0.9 * d);
-        const VRd = Vc + Vsw;
-        res.shear_details = { VRd, Vc, Vsw, VRd2 };
-
-        return { inputs: i, results: res };
-    }
-
-    return { calculate };
-})();
+const nbr6118InputIds = schemaInputIds(inputSchemas.nbr6118);
 
 function renderNbrResults(calc_results) {
     const { inputs, results } = calc_results;
@@ -64,7 +28,13 @@ function renderNbrResults(calc_results) {
     `;
 
     resultsContainer.innerHTML = `
-        <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+        <div id="nbr6118-report-content" class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+            <div class="flex justify-end gap-2 -mt-2 -mr-2 print-hidden">
+                <button id="download-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm">Baixar PDF</button>
+                <button id="download-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm">Baixar Word</button>
+                <button id="download-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm">Baixar XLSX</button>
+                <button id="download-csv-btn" class="bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-700 text-sm">Baixar CSV</button>
+            </div>
             <h2 class="text-2xl font-bold text-center border-b pb-2">Relatório de Verificação Detalhado (NBR 6118)</h2>
             <table class="w-full mt-4">
                 <caption>Verificações de Cálculo (ELU)</caption>
@@ -75,31 +45,15 @@ function renderNbrResults(calc_results) {
                     <tr><td>Verif. Biela Comprimida</td><td>${inputs.Vsd.toFixed(2)} kN</td><td>${shear.VRd2.toFixed(2)} kN</td><td>${V_max_ratio.toFixed(3)}</td><td>${getStatus(V_max_ratio)}</td></tr>
                 </tbody>
             </table>
-            <div class="calc-breakdown mt-4">
-                <h4>Detalhes da Flexão</h4>
-                <ul>
-                    <li>Altura Útil (d) = h - c - &oslash;<sub>estribo</sub> - &oslash;<sub>barra</sub>/2 = <b>${flex.d.toFixed(2)} cm</b></li>
-                    <li>Área de Aço (A<sub>s</sub>) = n * (&pi; * &oslash;² / 4) = <b>${flex.As.toFixed(2)} cm²</b></li>
-                    <li>Linha Neutra (x) = (A<sub>s</sub> * f<sub>yd</sub>) / (0.68 * f<sub>cd</sub> * b<sub>w</sub>) = <b>${flex.x.toFixed(2)} cm</b></li>
-                    <li>Relação x/d: ${flex.x.toFixed(2)} / ${flex.d.toFixed(2)} = <b>${flex.x_d_ratio.toFixed(3)}</b> (${flex.dominio})</li>
-                    <li>Momento Resistente (M<sub>Rd</sub>) = A<sub>s</sub> * f<sub>yd</sub> * (d - 0.4x) = <b>${(flex.Mrd / 100).toFixed(2)} kN·m</b></li>
-                </ul>
-            </div>
-            <div class="calc-breakdown mt-4">
-                <h4>Detalhes do Cisalhamento</h4>
-                <ul>
-                    <li>Resistência do Concreto (V<sub>c</sub>) = 0.6 * f<sub>ctd</sub> * b<sub>w</sub> * d = <b>${shear.Vc.toFixed(2)} kN</b></li>
-                    <li>Resistência dos Estribos (V<sub>sw</sub>) = (A<sub>sw</sub>/s) * 0.9 * d * f<sub>yd</sub> = <b>${shear.Vsw.toFixed(2)} kN</b></li>
-                    <li>Resistência Total (V<sub>Rd</sub>) = V<sub>c</sub> + V<sub>sw</sub> = <b>${shear.VRd.toFixed(2)} kN</b></li>
-                    <li>Verificação da Biela Comprimida (V<sub>Rd2</sub>) = 0.27 * (1 - f<sub>ck</sub>/250) * f<sub>cd</sub> * b<sub>w</sub> * 0.9d = <b>${shear.VRd2.toFixed(2)} kN</b></li>
-                </ul>
-            </div>
+            ${renderTraceHtml(calc_results.trace)}
         </div>`;
 }
 
 document.addEventListener('DOMContentLoaded', () => {
     const handleRunNbrCheck = createCalculationHandler({
         inputIds: nbr6118InputIds,
+        schema: inputSchemas.nbr6118,
+        liveMode: true,
         storageKey: 'nbr6118-inputs',
         validationRuleKey: 'nbr_concreto',
         calculatorFunction: nbr6118Calculator.calculate,
@@ -117,10 +71,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
     loadInputsFromLocalStorage('nbr6118-inputs', nbr6118InputIds);
 
-    const handleSaveInputs = createSaveInputsHandler(nbr6118InputIds, 'nbr6118-inputs.txt');
-    const handleLoadInputs = createLoadInputsHandler(nbr6118InputIds);
+    const handleSaveInputs = createSaveInputsHandler(inputSchemas.nbr6118, 'nbr6118-inputs.json');
+    const handleLoadInputs = createLoadInputsHandler(inputSchemas.nbr6118);
     document.getElementById('save-inputs-btn').addEventListener('click', handleSaveInputs);
     document.getElementById('load-inputs-btn').addEventListener('click', () => initiateLoadInputsFromFile('file-input'));
     document.getElementById('file-input').addEventListener('change', handleLoadInputs);
     document.getElementById('run-check-btn').addEventListener('click', handleRunNbrCheck);
+    document.getElementById('results-container').addEventListener('click', (event) => {
+        if (event.target.id === 'download-pdf-btn') handleDownloadPdf('nbr6118-report-content', 'NBR6118-Concreto-Relatorio.pdf');
+        if (event.target.id === 'download-docx-btn') handleDownloadDocx('nbr6118-report-content', 'NBR6118-Concreto-Relatorio.docx');
+        if (event.target.id === 'download-xlsx-btn') handleDownloadTables('nbr6118-report-content', 'NBR6118-Concreto-Relatorio.xlsx');
+        if (event.target.id === 'download-csv-btn') handleDownloadTables('nbr6118-report-content', 'NBR6118-Concreto-Relatorio.csv');
+    });
 });
\ No newline at end of file
@@ -1,45 +1,8 @@
-const nbr7190InputIds = [
-    'fc0k', 'fvk', 'Ec0_ef', 'b', 'h', 'L', 'kmod1', 'kmod2', 'Msd', 'Vsd'
-];
+import { nbr7190Calculator } from './nbr7190-engine.js';
+import { renderTraceHtml } from '../js/calc-trace.js';
+import { inputSchemas, schemaInputIds } from '../js/input-schemas.js';
 
-const nbr7190Calculator = (() => {
-    function calculate(inputs) {
-        const i = { ...inputs };
-        // Convert to base units (kN, cm)
-        i.Msd = i.Msd * 100; // kN·m to kN·cm
-
-        const res = {};
-        const gamma_wc = 1.4; // Coníferas
-        const gamma_wv = 1.8;
-
-        const kmod = i.kmod1 * i.kmod2 * 1.0; // kmod3 = 1.0
-
-        // Resistências de Cálculo
-        res.fcd = (kmod * i.fc0k) / gamma_wc; // MPa
-        res.fvd = (kmod * i.fvk) / gamma_wv; // MPa
-
-        // Solicitações (Stresses)
-        res.sigma_md = (i.Msd * 6) / (i.b * i.h ** 2); // kN/cm²
-        res.tau_vd = (i.Vsd * 1.5) / (i.b * i.h); // kN/cm²
-
-        // Ratios
-        res.flexao_ratio = res.fcd > 0 ? res.sigma_md / (res.fcd / 10) : Infinity; // convert fcd to kN/cm²
-        res.cisalhamento_ratio = res.fvd > 0 ? res.tau_vd / (res.fvd / 10) : Infinity;
-
-        // Deformação (ELS)
-        const I = (i.b * i.h ** 3) / 12; // cm^4
-        const L_cm = i.L * 100;
-        // Assuming a uniformly distributed load that generates the input moment Msd
-        const w_d = (8 * i.Msd) / (L_cm ** 2); // kN/cm
-        res.deformacao_imediata = (5 * w_d * L_cm ** 4) / (384 * (i.Ec0_ef / 10) * I); // Ec0_ef in kN/cm²
-        res.limite_deformacao = L_cm / 350;
-        res.deformacao_ratio = res.limite_deformacao > 0 ? res.deformacao_imediata / res.limite_deformacao : Infinity;
-
-        return { inputs: i, results: res };
-    }
-
-    return { calculate };
-})();
+const nbr7190InputIds = schemaInputIds(inputSchemas.nbr7190);
 
 function renderNbr7190Results(calc_results) {
     const { inputs, results } = calc_results;
@@ -61,7 +24,13 @@ function renderNbr7190Results(calc_results) {
     `;
 
     resultsContainer.innerHTML = `
-        <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+        <div id="nbr7190-report-content" class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+            <div class="flex justify-end gap-2 -mt-2 -mr-2 print-hidden">
+                <button id="download-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm">Baixar PDF</button>
+                <button id="download-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm">Baixar Word</button>
+                <button id="download-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm">Baixar XLSX</button>
+                <button id="download-csv-btn" class="bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-700 text-sm">Baixar CSV</button>
+            </div>
             <h2 class="text-2xl font-bold text-center border-b pb-2">Relatório de Verificação Detalhado</h2>
             <table class="w-full mt-4">
                 <caption>Verificações (ELU e ELS)</caption>
@@ -90,6 +59,7 @@ function renderNbr7190Results(calc_results) {
                     </tr>
                 </tbody>
             </table>
+            ${renderTraceHtml(calc_results.trace)}
         </div>
     `;
 }
@@ -97,6 +67,8 @@ function renderNbr7190Results(calc_results) {
 document.addEventListener('DOMContentLoaded', () => {
     const handleRunNbr7190Check = createCalculationHandler({
         inputIds: nbr7190InputIds,
+        schema: inputSchemas.nbr7190,
+        liveMode: true,
         storageKey: 'nbr7190-inputs',
         validationRuleKey: 'nbr_madeira',
         calculatorFunction: nbr7190Calculator.calculate,
@@ -110,10 +82,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
     loadInputsFromLocalStorage('nbr7190-inputs', nbr7190InputIds);
 
-    const handleSaveInputs = createSaveInputsHandler(nbr7190InputIds, 'nbr7190-inputs.txt');
-    const handleLoadInputs = createLoadInputsHandler(nbr7190InputIds);
+    const handleSaveInputs = createSaveInputsHandler(inputSchemas.nbr7190, 'nbr7190-inputs.json');
+    const handleLoadInputs = createLoadInputsHandler(inputSchemas.nbr7190);
     document.getElementById('save-inputs-btn').addEventListener('click', handleSaveInputs);
     document.getElementById('load-inputs-btn').addEventListener('click', () => initiateLoadInputsFromFile('file-input'));
     document.getElementById('file-input').addEventListener('change', handleLoadInputs);
     document.getElementById('run-wood-check-btn').addEventListener('click', handleRunNbr7190Check);
+    document.getElementById('results-container-wood').addEventListener('click', (event) => {
+        if (event.target.id === 'download-pdf-btn') handleDownloadPdf('nbr7190-report-content', 'NBR7190-Madeira-Relatorio.pdf');
+        if (event.target.id === 'download-docx-btn') handleDownloadDocx('nbr7190-report-content', 'NBR7190-Madeira-Relatorio.docx');
+        if (event.target.id === 'download-xlsx-btn') handleDownloadTables('nbr7190-report-content', 'NBR7190-Madeira-Relatorio.xlsx');
+        if (event.target.id === 'download-csv-btn') handleDownloadTables('nbr7190-report-content', 'NBR7190-Madeira-Relatorio.csv');
+    });
 });
\ No newline at end of file
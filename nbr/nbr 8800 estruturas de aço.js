@@ -1,61 +1,8 @@
-const nbr8800InputIds = [ // Corrected filename
-    'fy', 'E', 'd', 'bf', 'tf', 'tw', 'Ag', 'Zx', 'rx', 'ry',
-    'Lb', 'Cb', 'Nsd', 'Msdx'
-];
+import { nbr8800Calculator } from './nbr8800-engine.js';
+import { renderTraceHtml } from '../js/calc-trace.js';
+import { inputSchemas, schemaInputIds } from '../js/input-schemas.js';
 
-const nbr8800Calculator = (() => {
-    function calculate(inputs) {
-        const i = { ...inputs };
-        // Convert to base units (N, mm)
-        i.Lb = i.Lb * 1000; // m to mm
-        i.Nsd = i.Nsd * 1000; // kN to N
-        i.Msdx = i.Msdx * 1000 * 1000; // kN·m to N·mm
-
-        const res = {};
-        const gamma_a1 = 1.10;
-
-        // 1. Classificação da Seção
-        const lambda_mesa = (i.bf / 2) / i.tf;
-        const lambda_p_mesa = 0.38 * Math.sqrt(i.E / i.fy);
-        res.classificacao_mesa = lambda_mesa <= lambda_p_mesa ? 'Compacta' : 'Não Compacta';
-
-        const h = i.d - 2 * i.tf;
-        const lambda_alma = h / i.tw;
-        const lambda_p_alma = 3.76 * Math.sqrt(i.E / i.fy);
-        res.classificacao_alma = lambda_alma <= lambda_p_alma ? 'Compacta' : 'Compacta';
-
-        // 2. Resistência à Compressão Axial
-        const K = 1.0; // Fator de flambagem
-        const Lc = K * i.Lb;
-        const Ne = (Math.PI ** 2 * i.E * (i.Ag * i.ry ** 2)) / (Lc ** 2);
-        const lambda_0 = Math.sqrt((i.Ag * i.fy) / Ne);
-        let chi = 0;
-        if (lambda_0 <= 1.5) chi = 0.658 ** (lambda_0 ** 2);
-        else chi = 0.877 / (lambda_0 ** 2);
-        const NcRd = (chi * i.Ag * i.fy) / gamma_a1;
-        res.NcRd = NcRd; // em N
-
-        // 3. Resistência à Flexão
-        const Mrd = (i.Zx * i.fy) / gamma_a1;
-        res.Mrd = Mrd; // em N·mm
-
-        // 4. Verificação da Interação
-        let interaction_ratio = 0;
-        if (res.NcRd > 0 && res.Mrd > 0) {
-            const ratio_N = i.Nsd / res.NcRd;
-            const ratio_M = i.Msdx / res.Mrd;
-            if (ratio_N >= 0.2) {
-                interaction_ratio = ratio_N + (8 / 9) * ratio_M;
-            } else {
-                interaction_ratio = (ratio_N / 2) + ratio_M;
-            }
-        }
-        res.interaction_ratio = interaction_ratio;
-
-        return { inputs: i, results: res };
-    }
-    return { calculate };
-})();
+const nbr8800InputIds = schemaInputIds(inputSchemas.nbr8800);
 
 function renderNbr8800Results(calc_results) {
     const { inputs, results } = calc_results;
@@ -82,7 +29,13 @@ function renderNbr8800Results(calc_results) {
     `;
 
     resultsContainer.innerHTML = `
-        <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+        <div id="nbr8800-report-content" class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+            <div class="flex justify-end gap-2 -mt-2 -mr-2 print-hidden">
+                <button id="download-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm">Baixar PDF</button>
+                <button id="download-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm">Baixar Word</button>
+                <button id="download-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm">Baixar XLSX</button>
+                <button id="download-csv-btn" class="bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-700 text-sm">Baixar CSV</button>
+            </div>
             <h2 class="text-2xl font-bold text-center border-b pb-2">Relatório de Verificação Detalhado</h2>
             <table class="w-full mt-4">
                 <caption>Resistências de Cálculo</caption>
@@ -93,6 +46,7 @@ function renderNbr8800Results(calc_results) {
                     <tr><td>Interação N + M</td><td colspan="2">Equação NBR 8800 5.4.2.2</td><td>${results.interaction_ratio.toFixed(3)}</td><td>${getStatus(results.interaction_ratio)}</td></tr>
                 </tbody>
             </table>
+            ${renderTraceHtml(calc_results.trace)}
         </div>
     `;
 }
@@ -100,6 +54,8 @@ function renderNbr8800Results(calc_results) {
 document.addEventListener('DOMContentLoaded', () => {
     const handleRunNbr8800Check = createCalculationHandler({
         inputIds: nbr8800InputIds,
+        schema: inputSchemas.nbr8800,
+        liveMode: true,
         storageKey: 'nbr8800-inputs',
         validationRuleKey: 'nbr_aco',
         calculatorFunction: nbr8800Calculator.calculate,
@@ -113,10 +69,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
     loadInputsFromLocalStorage('nbr8800-inputs', nbr8800InputIds);
 
-    const handleSaveInputs = createSaveInputsHandler(nbr8800InputIds, 'nbr8800-inputs.txt');
-    const handleLoadInputs = createLoadInputsHandler(nbr8800InputIds);
+    const handleSaveInputs = createSaveInputsHandler(inputSchemas.nbr8800, 'nbr8800-inputs.json');
+    const handleLoadInputs = createLoadInputsHandler(inputSchemas.nbr8800);
     document.getElementById('save-inputs-btn').addEventListener('click', handleSaveInputs);
     document.getElementById('load-inputs-btn').addEventListener('click', () => initiateLoadInputsFromFile('file-input'));
     document.getElementById('file-input').addEventListener('change', handleLoadInputs);
     document.getElementById('run-check-btn').addEventListener('click', handleRunNbr8800Check);
+    document.getElementById('results-container').addEventListener('click', (event) => {
+        if (event.target.id === 'download-pdf-btn') handleDownloadPdf('nbr8800-report-content', 'NBR8800-Aco-Relatorio.pdf');
+        if (event.target.id === 'download-docx-btn') handleDownloadDocx('nbr8800-report-content', 'NBR8800-Aco-Relatorio.docx');
+        if (event.target.id === 'download-xlsx-btn') handleDownloadTables('nbr8800-report-content', 'NBR8800-Aco-Relatorio.xlsx');
+        if (event.target.id === 'download-csv-btn') handleDownloadTables('nbr8800-report-content', 'NBR8800-Aco-Relatorio.csv');
+    });
 });
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Motor de cálculo de vigas de concreto armado (NBR 6118:2023).
+ * Entradas em kN e cm, com Msd em kN·m e fck/fyk em MPa. O resultado traz o memorial de
+ * cálculo (trace) que o relatório apresenta.
+ */
+
+import { createTrace } from '../js/calc-trace.js';
+
+export const nbr6118Calculator = (() => {
+    function calculate(inputs) {
+        const i = { ...inputs };
+        // Convert to base units (kN, cm)
+        i.Msd = i.Msd * 100; // kN·m to kN·cm
+
+        const res = {};
+        const trace = createTrace();
+        // NBR 6118:2023 partial safety factors
+        const gamma_c = 1.4; // Maintained, but should be verified based on specific conditions
+        const gamma_s = 1.15; // Maintained
+
+        // Resistências de cálculo em kN/cm² (1 MPa = 0,1 kN/cm²)
+        trace.section('Resistências de Cálculo', { id: 'materiais', ref: 'NBR 6118 12.3' });
+        const fcd = trace.calc('f_cd', 'f_ck / gamma_c / 10', { f_ck: i.fck, gamma_c }, { units: 'kN/cm²', decimals: 3 });
+        const fyd = trace.calc('f_yd', 'f_yk / gamma_s / 10', { f_yk: i.fyk, gamma_s }, { units: 'kN/cm²' });
+
+        // Flexão
+        trace.section('Detalhes da Flexão', { id: 'flexao', ref: 'NBR 6118 17.2' });
+        const d = trace.calc('d', 'h - c - phi_estribo / 10 - phi_barra / 20', { h: i.h, c: i.c, phi_estribo: i.diam_estribo, phi_barra: i.diam_barra }, { label: 'Altura Útil', units: 'cm', note: 'diâmetros em mm' });
+        const As = trace.calc('A_s', 'n * (pi * (phi_barra / 10) ^ 2 / 4)', { n: i.num_barras, phi_barra: i.diam_barra }, { label: 'Área de Aço', units: 'cm²' });
+        const x = trace.calc('x', '(A_s * f_yd) / (0.85 * f_cd * 0.8 * b_w)', { A_s: As, f_yd: fyd, f_cd: fcd, b_w: i.bw }, { label: 'Linha Neutra', units: 'cm' });
+        const x_d_ratio = d > 0 ? trace.calc('x/d', 'x / d', { x, d }, { label: 'Relação', decimals: 3 }) : Infinity;
+        const dominio = trace.value(null, x_d_ratio <= 0.45 ? '2 ou 3 (Dúctil)' : '4 ou 5 (Frágil)', { label: 'Domínio', note: 'limite x/d ≤ 0,45', ref: 'NBR 6118 14.6.4.3' });
+        const Mrd = trace.calc('M_Rd', 'A_s * f_yd * (d - 0.4 * x)', { A_s: As, f_yd: fyd, d, x }, { label: 'Momento Resistente', units: 'kN·m', scale: 1 / 100 });
+        res.flexure_details = { Mrd, d, As, x, x_d_ratio, dominio };
+
+        // Cisalhamento
+        trace.section('Detalhes do Cisalhamento', { id: 'cisalhamento', ref: 'NBR 6118 17.4.2.2 (Modelo I)' });
+        const Asw = trace.calc('A_sw', 'n_ramos * (pi * (phi_estribo / 10) ^ 2 / 4)', { n_ramos: i.pernas_estribo, phi_estribo: i.diam_estribo }, { label: 'Área dos Estribos', units: 'cm²' });
+        // fck em MPa na fórmula
+        const fctd = trace.calc('f_ctd', '(0.21 * f_ck ^ (2 / 3)) / gamma_c / 10', { f_ck: i.fck, gamma_c }, { units: 'kN/cm²', decimals: 4 });
+        const Vc = trace.calc('V_c', '0.6 * f_ctd * b_w * d', { f_ctd: fctd, b_w: i.bw, d }, { label: 'Resistência do Concreto', units: 'kN' });
+        const Vsw = trace.calc('V_sw', '(A_sw / s) * 0.9 * d * f_yd', { A_sw: Asw, s: i.s_estribo, d, f_yd: fyd }, { label: 'Resistência dos Estribos', units: 'kN' });
+        const VRd2 = trace.calc('V_Rd2', '0.27 * (1 - f_ck / 250) * f_cd * b_w * (0.9 * d)', { f_ck: i.fck, f_cd: fcd, b_w: i.bw, d }, { label: 'Biela Comprimida', units: 'kN' });
+        const VRd = trace.calc('V_Rd', 'V_c + V_sw', { V_c: Vc, V_sw: Vsw }, { label: 'Resistência Total', units: 'kN' });
+        res.shear_details = { VRd, Vc, Vsw, VRd2 };
+
+        return { inputs: i, results: res, trace: trace.sections };
+    }
+
+    return { calculate };
+})();
@@ -0,0 +1,46 @@
+/**
+ * Motor de cálculo de peças de madeira (NBR 7190:1997).
+ */
+
+import { createTrace } from '../js/calc-trace.js';
+
+export const nbr7190Calculator = (() => {
+    function calculate(inputs) {
+        const i = { ...inputs };
+        // Convert to base units (kN, cm)
+        i.Msd = i.Msd * 100; // kN·m to kN·cm
+
+        const res = {};
+        const trace = createTrace();
+        const gamma_wc = 1.4; // Coníferas
+        const gamma_wv = 1.8;
+
+        trace.section('Resistências de Cálculo', { id: 'resistencias', ref: 'NBR 7190 6.4' });
+        const kmod = trace.calc('k_mod', 'k_mod1 * k_mod2 * k_mod3', { k_mod1: i.kmod1, k_mod2: i.kmod2, k_mod3: 1.0 }, { decimals: 3 });
+        res.fcd = trace.calc('f_c0d', '(k_mod * f_c0k) / gamma_wc', { k_mod: kmod, f_c0k: i.fc0k, gamma_wc }, { units: 'MPa' });
+        res.fvd = trace.calc('f_vd', '(k_mod * f_vk) / gamma_wv', { k_mod: kmod, f_vk: i.fvk, gamma_wv }, { units: 'MPa' });
+
+        // Solicitações (Stresses)
+        trace.section('Tensões Solicitantes', { id: 'tensoes' });
+        res.sigma_md = trace.calc('sigma_Md', '(M_sd * 6) / (b * h ^ 2)', { M_sd: i.Msd, b: i.b, h: i.h }, { label: 'Tensão de Flexão', units: 'kN/cm²' });
+        res.tau_vd = trace.calc('tau_vd', '(V_sd * 1.5) / (b * h)', { V_sd: i.Vsd, b: i.b, h: i.h }, { label: 'Tensão de Cisalhamento', units: 'kN/cm²' });
+
+        // Ratios (fcd e fvd convertidos para kN/cm²)
+        res.flexao_ratio = res.fcd > 0 ? trace.calc('sigma_Md / f_c0d', 'sigma_Md / (f_c0d / 10)', { sigma_Md: res.sigma_md, f_c0d: res.fcd }, { label: 'Flexão', decimals: 3 }) : Infinity;
+        res.cisalhamento_ratio = res.fvd > 0 ? trace.calc('tau_vd / f_vd', 'tau_vd / (f_vd / 10)', { tau_vd: res.tau_vd, f_vd: res.fvd }, { label: 'Cisalhamento', decimals: 3 }) : Infinity;
+
+        // Deformação (ELS)
+        trace.section('Deformação (ELS)', { id: 'deformacao', ref: 'NBR 7190 9.2.1' });
+        const I = trace.calc('I', '(b * h ^ 3) / 12', { b: i.b, h: i.h }, { label: 'Momento de Inércia', units: 'cm⁴' });
+        const L_cm = i.L * 100;
+        // Assuming a uniformly distributed load that generates the input moment Msd
+        const w_d = trace.calc('w_d', '(8 * M_sd) / (L ^ 2)', { M_sd: i.Msd, L: L_cm }, { label: 'Carga Distribuída Equivalente', units: 'kN/cm', decimals: 4 });
+        res.deformacao_imediata = trace.calc('delta', '(5 * w_d * L ^ 4) / (384 * (E_c0ef / 10) * I)', { w_d, L: L_cm, E_c0ef: i.Ec0_ef, I }, { label: 'Flecha Imediata', units: 'cm', note: 'Ec0,ef em MPa' });
+        res.limite_deformacao = trace.calc('delta_lim', 'L / 350', { L: L_cm }, { label: 'Flecha Limite', units: 'cm' });
+        res.deformacao_ratio = res.limite_deformacao > 0 ? res.deformacao_imediata / res.limite_deformacao : Infinity;
+
+        return { inputs: i, results: res, trace: trace.sections };
+    }
+
+    return { calculate };
+})();
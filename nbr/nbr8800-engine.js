@@ -0,0 +1,66 @@
+/**
+ * Motor de cálculo de perfis de aço (NBR 8800:2008).
+ * Entradas em MPa e mm, com Lb em m, Nsd em kN e Msdx em kN·m.
+ */
+
+import { createTrace } from '../js/calc-trace.js';
+
+export const nbr8800Calculator = (() => {
+    function calculate(inputs) {
+        const i = { ...inputs };
+        // Convert to base units (N, mm)
+        i.Lb = i.Lb * 1000; // m to mm
+        i.Nsd = i.Nsd * 1000; // kN to N
+        i.Msdx = i.Msdx * 1000 * 1000; // kN·m to N·mm
+
+        const res = {};
+        const trace = createTrace();
+        const gamma_a1 = 1.10;
+        const kN = { units: 'kN', scale: 1 / 1000 };
+
+        // 1. Classificação da Seção
+        trace.section('Classificação da Seção', { id: 'classificacao', ref: 'NBR 8800 Anexo F' });
+        const lambda_mesa = trace.calc('lambda_mesa', '(b_f / 2) / t_f', { b_f: i.bf, t_f: i.tf });
+        const lambda_p_mesa = trace.calc('lambda_p_mesa', '0.38 * sqrt(E / f_y)', { E: i.E, f_y: i.fy });
+        res.classificacao_mesa = trace.value(null, lambda_mesa <= lambda_p_mesa ? 'Compacta' : 'Não Compacta', { label: 'Mesa' });
+
+        const h = trace.calc('h', 'd - 2 * t_f', { d: i.d, t_f: i.tf }, { units: 'mm' });
+        const lambda_alma = trace.calc('lambda_alma', 'h / t_w', { h, t_w: i.tw });
+        const lambda_p_alma = trace.calc('lambda_p_alma', '3.76 * sqrt(E / f_y)', { E: i.E, f_y: i.fy });
+        res.classificacao_alma = trace.value(null, lambda_alma <= lambda_p_alma ? 'Compacta' : 'Não Compacta', { label: 'Alma' });
+
+        // 2. Resistência à Compressão Axial
+        trace.section('Compressão Axial', { id: 'compressao', ref: 'NBR 8800 5.3' });
+        const K = 1.0; // Fator de flambagem
+        const Lc = trace.calc('L_c', 'K * L_b', { K, L_b: i.Lb }, { label: 'Comprimento de Flambagem', units: 'mm' });
+        const Ne = trace.calc('N_e', '(pi ^ 2 * E * (A_g * r_y ^ 2)) / (L_c ^ 2)', { E: i.E, A_g: i.Ag, r_y: i.ry, L_c: Lc }, { label: 'Força de Flambagem Elástica', ...kN });
+        const lambda_0 = trace.calc('lambda_0', 'sqrt((A_g * f_y) / N_e)', { A_g: i.Ag, f_y: i.fy, N_e: Ne }, { label: 'Índice de Esbeltez Reduzido', decimals: 3 });
+        let chi = 0;
+        if (lambda_0 <= 1.5) chi = trace.calc('chi', '0.658 ^ (lambda_0 ^ 2)', { lambda_0 }, { label: 'Fator de Redução', decimals: 3, ref: 'NBR 8800 5.3.3' });
+        else chi = trace.calc('chi', '0.877 / (lambda_0 ^ 2)', { lambda_0 }, { label: 'Fator de Redução', decimals: 3, ref: 'NBR 8800 5.3.3' });
+        const NcRd = trace.calc('N_c_Rd', '(chi * A_g * f_y) / gamma_a1', { chi, A_g: i.Ag, f_y: i.fy, gamma_a1 }, { label: 'Resistência à Compressão', ...kN });
+        res.NcRd = NcRd; // em N
+
+        // 3. Resistência à Flexão
+        trace.section('Flexão (Eixo X)', { id: 'flexao', ref: 'NBR 8800 5.4.2' });
+        const Mrd = trace.calc('M_Rd', '(Z_x * f_y) / gamma_a1', { Z_x: i.Zx, f_y: i.fy, gamma_a1 }, { label: 'Momento Resistente', units: 'kN·m', scale: 1 / 10 ** 6 });
+        res.Mrd = Mrd; // em N·mm
+
+        // 4. Verificação da Interação
+        let interaction_ratio = 0;
+        if (res.NcRd > 0 && res.Mrd > 0) {
+            trace.section('Interação N + M', { id: 'interacao', ref: 'NBR 8800 5.5.1.2' });
+            const ratio_N = trace.calc('N_Sd / N_c_Rd', 'N_Sd / N_c_Rd', { N_Sd: i.Nsd, N_c_Rd: res.NcRd }, { decimals: 3 });
+            const values = { N_Sd: i.Nsd, N_c_Rd: res.NcRd, M_Sd: i.Msdx, M_Rd: res.Mrd };
+            if (ratio_N >= 0.2) {
+                interaction_ratio = trace.calc(null, 'N_Sd / N_c_Rd + (8 / 9) * (M_Sd / M_Rd)', values, { label: 'Razão de Interação', decimals: 3, note: 'NSd/NcRd ≥ 0,2' });
+            } else {
+                interaction_ratio = trace.calc(null, 'N_Sd / N_c_Rd / 2 + M_Sd / M_Rd', values, { label: 'Razão de Interação', decimals: 3, note: 'NSd/NcRd < 0,2' });
+            }
+        }
+        res.interaction_ratio = interaction_ratio;
+
+        return { inputs: i, results: res, trace: trace.sections };
+    }
+    return { calculate };
+})();
@@ -1,13 +1,13 @@
+import { woodChecker } from './wood-design-engine.js';
+import { inputSchemas, schemaInputIds } from '../js/input-schemas.js';
+
 document.addEventListener('DOMContentLoaded', () => {
-    const inputIds = [
-        'Fb_unadjusted', 'Fv_unadjusted', 'Fc_perp_unadjusted', 'Fc_unadjusted', 'E_unadjusted', 'E_min_unadjusted',
-        'b_width', 'd_depth', 'unbraced_length_L', 'effective_length_factor_K', 'bearing_length_Lb',
-        'load_duration', 'wet_service', 'temperature', 'flat_use', 'incising', 'repetitive_member', 'deflection_span', 'deflection_limit', 'actual_deflection',
-        'axial_load_P', 'moment_load_M', 'shear_load_V'
-    ];
+    const inputIds = schemaInputIds(inputSchemas['wood-design']);
 
     const handleRunWoodCheck = createCalculationHandler({
         inputIds: inputIds,
+        schema: inputSchemas['wood-design'],
+        liveMode: true,
         storageKey: 'wood-design-inputs',
         validationRuleKey: 'wood',
         calculatorFunction: woodChecker.run,
@@ -20,9 +20,9 @@ document.addEventListener('DOMContentLoaded', () => {
     injectFooter({ footerPlaceholderId: 'footer-placeholder' });
 
     document.getElementById('run-wood-check-btn').addEventListener('click', handleRunWoodCheck);
-    document.getElementById('save-inputs-btn').addEventListener('click', createSaveInputsHandler(inputIds, 'wood-inputs.txt'));
+    document.getElementById('save-inputs-btn').addEventListener('click', createSaveInputsHandler(inputSchemas['wood-design'], 'wood-inputs.json'));
     document.getElementById('load-inputs-btn').addEventListener('click', () => initiateLoadInputsFromFile('file-input'));
-    document.getElementById('file-input').addEventListener('change', createLoadInputsHandler(inputIds, handleRunWoodCheck));
+    document.getElementById('file-input').addEventListener('change', createLoadInputsHandler(inputSchemas['wood-design'], handleRunWoodCheck));
     initializeSharedUI(); // This was correct
     loadInputsFromLocalStorage('wood-design-inputs', inputIds);
 
@@ -32,6 +32,15 @@ document.addEventListener('DOMContentLoaded', () => {
         if (event.target.id === 'download-pdf-btn') {
             handleDownloadPdf('wood-report-content', 'Wood-Design-Report.pdf');
         }
+        if (event.target.id === 'download-docx-btn') {
+            handleDownloadDocx('wood-report-content', 'Wood-Design-Report.docx');
+        }
+        if (event.target.id === 'download-xlsx-btn') {
+            handleDownloadTables('wood-report-content', 'Wood-Design-Report.xlsx');
+        }
+        if (event.target.id === 'download-csv-btn') {
+            handleDownloadTables('wood-report-content', 'Wood-Design-Report.csv');
+        }
         const button = event.target.closest('.toggle-details-btn');
         if (button) {
             const detailId = button.dataset.toggleId;
@@ -43,142 +52,6 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
-const woodChecker = (() => {
-    function calculate_all_factors(inputs) {
-        const factors = {};
-        const { is_wet, temp_cond, Fb, Fc, b, d, is_incised, is_repetitive, Lb, CD } = inputs;
-
-        factors.CD = CD;
-        factors.CM_Fb = is_wet && Fb > 1150 ? 0.85 : 1.0;
-        factors.CM_Fv = is_wet ? 0.97 : 1.0;
-        factors.CM_Fc_perp = is_wet ? 0.67 : 1.0;
-        factors.CM_Fc = is_wet && Fc > 750 ? 0.8 : 1.0;
-        factors.CM_E = is_wet ? 0.9 : 1.0;
-        factors.CM_E_min = is_wet ? 0.9 : 1.0;
-
-        if (temp_cond === 'low') factors.Ct = 1.0;
-        else if (temp_cond === 'medium') factors.Ct = 0.8;
-        else if (temp_cond === 'high') factors.Ct = 0.7;
-        else factors.Ct = 1.0;
-
-        if (d > 12) factors.CF = Math.pow((12 / d), 1/9);
-        else if (d > 4) factors.CF = 1.0;
-        else factors.CF = b >= 4 ? 1.1 : 1.5;
-
-        factors.Cfu = 1.0; // Simplified
-        factors.Ci = is_incised ? 0.8 : 1.0;
-        factors.Cr = is_repetitive ? 1.15 : 1.0;
-        factors.Cb = (Lb > 0 && Lb < 6) ? (Lb + 0.375) / Lb : 1.0;
-        factors.CL = 1.0;
-        factors.Cp = 1.0;
-        return factors;
-    }
-
-    function run(inputs) {
-        const processedInputs = {
-            Fb: inputs.Fb_unadjusted, Fv: inputs.Fv_unadjusted, Fc_perp: inputs.Fc_perp_unadjusted,
-            Fc: inputs.Fc_unadjusted, E: inputs.E_unadjusted, E_min: inputs.E_min_unadjusted,
-            b: inputs.b_width, d: inputs.d_depth, Lu: inputs.unbraced_length_L * 12, K: inputs.effective_length_factor_K, Lb: inputs.bearing_length_Lb,
-            CD: parseFloat(inputs.load_duration),
-            is_wet: inputs.wet_service.includes('Wet'),
-            temp_cond: inputs.temperature,
-            is_weak_axis: inputs.flat_use.includes('Weak'),
-            is_incised: inputs.incising.includes('Yes'),
-            is_repetitive: inputs.repetitive_member.includes('Yes'),
-            P: inputs.axial_load_P * 1000, 
-            M: inputs.moment_load_M * 1000 * 12,
-            deflection_span: inputs.deflection_span * 12,
-            deflection_limit_divisor: inputs.deflection_limit,
-            actual_deflection: inputs.actual_deflection,
-            V: inputs.shear_load_V * 1000
-        };
-
-        const results = {};
-        const factors = calculate_all_factors(processedInputs);
-
-        const E_min_prime = processedInputs.E_min * factors.CM_E_min * factors.Ct * factors.Ci;
-        const Fc_star = processedInputs.Fc * factors.CD * factors.CM_Fc * factors.Ct * factors.CF * factors.Ci;
-        results.Fc_star = Fc_star;
-
-        const Le = processedInputs.Lu * processedInputs.K;
-        const d_col = processedInputs.d;
-        const Le_d = d_col > 0 ? Le / d_col : 0;
-        results.Le_d = Le_d;
-        results.slenderness_fail_column = false;
-
-        if (Le_d <= 50) {
-            const c = 0.8;
-            const Fce = Le_d > 0 ? (0.822 * E_min_prime) / (Le_d ** 2) : Infinity;
-            const ratio_cp = Fc_star > 0 ? Fce / Fc_star : 0;
-            factors.Cp = ratio_cp > 0 ? ((1 + ratio_cp) / (2 * c)) - Math.sqrt(((1 + ratio_cp) / (2 * c)) ** 2 - (ratio_cp / c)) : 0;
-            results.Fce = Fce;
-        } else {
-            factors.Cp = 0;
-            results.Fce = 0;
-            results.slenderness_fail_column = true;
-        }
-
-        const [b_beam, d_beam] = processedInputs.is_weak_axis ? [processedInputs.d, processedInputs.b] : [processedInputs.b, processedInputs.d];
-        const Rb = b_beam > 0 ? Math.sqrt(processedInputs.Lu * d_beam / b_beam ** 2) : 0;
-        results.Rb = Rb;
-        results.slenderness_fail_beam = false;
-
-        if (Rb <= 50) {
-            const Fb_star = processedInputs.Fb * factors.CD * factors.CM_Fb * factors.Ct * factors.CF * factors.Cfu * factors.Ci * factors.Cr;
-            results.Fb_star = Fb_star;
-            const FbE = Rb > 0 ? (1.20 * E_min_prime) / (Rb ** 2) : Infinity;
-            const ratio_cl = Fb_star > 0 ? FbE / Fb_star : 0;
-            factors.CL = ratio_cl > 0 ? Math.min(1.0, ((1 + ratio_cl) / 1.9) - Math.sqrt(((1 + ratio_cl) / 1.9) ** 2 - (ratio_cl / 0.95))) : 0;
-            results.FbE = FbE;
-        } else {
-            factors.CL = 0;
-            results.FbE = 0;
-            results.Fb_star = 0;
-            results.slenderness_fail_beam = true;
-        }
-
-        const adj = {};
-        adj.Fb_prime = processedInputs.Fb * factors.CD * factors.CM_Fb * factors.Ct * factors.CL * factors.CF * factors.Cfu * factors.Ci * factors.Cr;
-        adj.Fv_prime = processedInputs.Fv * factors.CD * factors.CM_Fv * factors.Ct * factors.Ci;
-        adj.Fc_perp_prime = processedInputs.Fc_perp * factors.CM_Fc_perp * factors.Ct * factors.Ci * factors.Cb;
-        adj.Fc_prime = Fc_star * factors.Cp;
-        results.adjusted = adj;
-        results.factors = factors;
-        results.E_min_prime = E_min_prime;
-
-        const A = processedInputs.b * processedInputs.d;
-        const Sx = (b_beam * d_beam ** 2) / 6;
-        const actual = {};
-        actual.fb = processedInputs.M / Sx;
-        actual.fv = (1.5 * processedInputs.V) / A;
-        actual.fc = processedInputs.P / A;
-        actual.A = A;
-        actual.Sx = Sx;
-        results.actuals = actual;
-        
-        // Deflection Calculation (assuming simply supported beam with uniform load)
-        const E_adj = processedInputs.E * factors.CM_E * factors.Ct * factors.Ci;
-        const allowable_deflection = processedInputs.deflection_limit_divisor > 0 ? processedInputs.deflection_span / processedInputs.deflection_limit_divisor : Infinity;
-        const actual_deflection = processedInputs.actual_deflection;
-        results.deflection = {
-            actual: actual_deflection,
-            allowable: allowable_deflection,
-            E_adj: E_adj
-        };
-
-        const denominator_safe = adj.Fc_prime > 0 && adj.Fb_prime > 0 && results.Fce > 0 && actual.fc < results.Fce;
-        if (denominator_safe) {
-            results.interaction = Math.pow(actual.fc / adj.Fc_prime, 2) + (actual.fb / (adj.Fb_prime * (1 - (actual.fc / results.Fce))));
-        } else {
-            results.interaction = Infinity;
-        }
-
-        return { inputs: processedInputs, results: results };
-    }
-
-    return { run };
-})();
-
 function renderWoodResults(calculationOutput) {
     const resultsContainer = document.getElementById('wood-results-container');
 
@@ -191,6 +64,9 @@ function renderWoodResults(calculationOutput) {
     html += `<div class="flex justify-end gap-2 mb-4 -mt-2 -mr-2">
                 <button id="copy-summary-btn" class="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 text-sm print-hidden">Copy Summary</button>
                 <button id="download-pdf-btn" class="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700 text-sm print-hidden">Download PDF</button>
+                <button id="download-docx-btn" class="bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-800 text-sm print-hidden">Download Word</button>
+                <button id="download-xlsx-btn" class="bg-green-700 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-800 text-sm print-hidden">Download XLSX</button>
+                <button id="download-csv-btn" class="bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-700 text-sm print-hidden">Download CSV</button>
                 <button id="copy-report-btn" class="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 text-sm print-hidden">Copy Report</button>
              </div>`;
     html += `<h2 class="report-header text-center">NDS Wood Member Check Summary</h2>`;
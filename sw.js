@@ -0,0 +1,60 @@
+/**
+ * Service worker that keeps the calculators usable without a connection. Installing it caches
+ * every file in js/offline-assets.json: the site's pages, scripts and styles, and the pinned
+ * copies of the libraries and the Inter font under vendor/. Nothing is fetched from another
+ * host, so the copy only depends on the site itself. Requests are then answered from that cache
+ * first.
+ *
+ * Raise CACHE_VERSION whenever a release changes any cached file: the browser only installs a new
+ * worker when this file changes, and the footer shows the version (see js/template.js).
+ */
+
+const CACHE_PREFIX = 'engcalc-';
+const CACHE_VERSION = '1.1.0';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const assets = await (await fetch('js/offline-assets.json', { cache: 'no-cache' })).json();
+        const cache = await caches.open(CACHE_NAME);
+        try {
+            await cache.addAll(assets.local.map(path => new Request(path, { cache: 'reload' })));
+        } catch (error) {
+            // A partial copy would leave the site broken offline; the next visit retries.
+            await caches.delete(CACHE_NAME);
+            throw error;
+        }
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+    event.respondWith((async () => {
+        const cached = await caches.match(request, { cacheName: CACHE_NAME });
+        // Hosts that redirect "page.html" to "page" leave a redirected response in the cache,
+        // which browsers refuse for a navigation; a copy without the redirect flag is accepted.
+        if (cached?.redirected && request.mode === 'navigate') {
+            return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers: cached.headers });
+        }
+        if (cached) return cached;
+        const response = await fetch(request);
+        // Keep anything else the pages load for next time.
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    })());
+});
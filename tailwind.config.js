@@ -0,0 +1,12 @@
+/**
+ * Builds vendor/tailwind.min.css, the Tailwind utilities the pages use, so the site needs no CDN:
+ *
+ *     npx tailwindcss@3.4.19 -c tailwind.config.js -o vendor/tailwind.min.css --minify
+ *
+ * Rebuild it after adding a class that no page or script used before.
+ */
+export default {
+    content: ['*.html', '{aci,aisc,asce,nbr,nds}/*.{html,js}', 'js/*.js'],
+    // The theme switch in js/shared-utils.js toggles the "dark" class on <html>.
+    darkMode: 'class'
+};
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { aciCalculator } from '../aci/aci-concrete-engine.js';
+import { assertClose } from './helpers.js';
+
+// 12 × 24 in. beam, 3 #8 bottom bars, #3 two-leg stirrups at 10 in., f'c = 4000 psi, fy = 60 ksi.
+const baseInputs = {
+    fc: 4000, fy: 60000, b: 12, h: 24, cover: 1.5, num_bars: 3, bar_size: 8,
+    stirrup_size: 3, stirrup_legs: 2, stirrup_spacing: 10, Mu: 150, Vu: 30
+};
+
+describe('concrete beam engine (ACI 318-19)', () => {
+    it('computes the nominal flexural strength of a singly reinforced section', () => {
+        const { results } = aciCalculator.calculate(baseInputs);
+        const flex = results.flexure_details;
+        // d = 24 - 1.5 - 0.375 - 0.5 = 21.625 in.; a = 2.37 (60000) / (0.85 (4000)(12)) = 3.49 in.
+        assertClose(flex.d, 21.625, 1e-9, 'd');
+        assertClose(flex.As, 2.37, 1e-9, 'As');
+        assertClose(flex.a, 3.485, 0.001, 'a');
+        assert.equal(flex.beta1, 0.85);
+        assert.ok(flex.strain_t >= 0.005, 'tension-controlled');
+        assert.equal(flex.phi_f, 0.9);
+        // φMn = 0.9 (2.37)(60)(21.625 - 3.485/2) / 12 = 212 kip-ft
+        assertClose(results.phiMn / 12000, 212.0, 0.001, 'φMn');
+    });
+
+    it('reduces β1 for higher-strength concrete (Table 22.2.2.4.3)', () => {
+        const { results } = aciCalculator.calculate({ ...baseInputs, fc: 5000 });
+        const flex = results.flexure_details;
+        // β1 was used for c but not reported before; the flexural strength is unchanged.
+        assertClose(flex.beta1, 0.80, 1e-9, 'β1');
+        assertClose(flex.c, flex.a / flex.beta1, 1e-9, 'c = a / β1');
+    });
+
+    it('computes the shear strength with Vc = 2λ√f\'c bw d (Table 22.5.5.1)', () => {
+        const { results } = aciCalculator.calculate(baseInputs);
+        const shear = results.shear_details;
+        assertClose(shear.Vc / 1000, 32.82, 0.001, 'Vc');
+        assertClose(shear.Vs / 1000, 28.55, 0.001, 'Vs');
+        assertClose(results.phiVn / 1000, 46.03, 0.001, 'φVn');
+    });
+
+    it('caps the stirrup contribution at 8√f\'c bw d', () => {
+        const { results } = aciCalculator.calculate({ ...baseInputs, stirrup_size: 5, stirrup_legs: 4, stirrup_spacing: 3 });
+        const { Vc, Vs_max } = results.shear_details;
+        assertClose(results.phiVn, 0.75 * (Vc + Vs_max), 1e-9, 'φVn');
+    });
+});
+
+describe('concrete beam calculation trace', () => {
+    const { results, trace } = aciCalculator.calculate(baseInputs);
+    const section = id => trace.find(s => s.id === id).steps;
+
+    it('ends the flexure and shear sections with the design strengths', () => {
+        assert.equal(section('flexure').at(-1).result, results.phiMn);
+        assert.equal(section('shear').at(-1).result, results.phiVn);
+    });
+
+    it('shows the design moment in kip-ft', () => {
+        assertClose(section('flexure').at(-1).result * section('flexure').at(-1).scale, 212.0, 0.001, 'φMn');
+    });
+});
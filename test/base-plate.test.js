@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { basePlateCalculator } from '../aisc/base-plate-engine.js';
+import { assertClose } from './helpers.js';
+
+const baseInputs = {
+    design_method: 'LRFD', design_code: 'AISC 360-16 / ACI 318-19', unit_system: 'Imperial',
+    base_plate_Fy: 36, concrete_fc: 4, anchor_bolt_Fut: 58, anchor_bolt_Fnv: 22, weld_Fexx: 70,
+    base_plate_length_N: 14, base_plate_width_B: 14, provided_plate_thickness_tp: 1.0,
+    column_depth_d: 10, column_flange_width_bf: 10, column_type: 'Wide Flange',
+    anchor_bolt_diameter: 0.75, anchor_embedment_hef: 12, num_bolts_total: 4, num_bolts_tension_row: 2,
+    bolt_spacing_N: 10, bolt_spacing_B: 10, bolt_type: 'Cast-in', weld_size: 0.25,
+    axial_load_P_in: -300, moment_M_in: 0, shear_V_in: 0, assume_cracked_concrete: 'true'
+};
+
+describe('base plate engine (AISC Design Guide 1)', () => {
+    it('computes concrete bearing strength with A2 = A1 (Eq. J8-1)', () => {
+        const { checks } = basePlateCalculator.run(baseInputs);
+        const bearing = checks['Concrete Bearing'];
+        // Pp = 0.85 (4)(14)(14) = 666.4 kips; φPp = 433.2 kips
+        assertClose(bearing.check.Rn, 666.4, 1e-9, 'Pp');
+        assertClose(bearing.details.design_bearing_strength, 433.16, 1e-6, 'φPp');
+        assertClose(bearing.details.f_p_max, 300 / 196, 1e-9, 'fp');
+    });
+
+    it('sizes the plate on the cantilever n when it governs', () => {
+        const { details } = basePlateCalculator.run(baseInputs).checks['Plate Bending'];
+        assertClose(details.m, 2.25, 1e-9, 'm');
+        assertClose(details.n, 3.0, 1e-9, 'n');
+        assert.equal(details.lambda, 1);
+        // tmin = 3.0 √(2 (1.531) / (0.9 × 36)) = 0.922 in.
+        assertClose(details.t_req, 0.922, 0.001, 't_req');
+    });
+
+    it("uses λn' with λ = 2√X / (1 + √(1 - X)) when the plate hugs the column", () => {
+        const { details } = basePlateCalculator.run({
+            ...baseInputs, column_depth_d: 12, column_flange_width_bf: 12,
+            base_plate_length_N: 13, base_plate_width_B: 13, axial_load_P_in: -150
+        }).checks['Plate Bending'];
+        // X = (4 × 144 / 24²)(150 / 373.5) = 0.402; λ = 0.715; λn' = 0.715 × 3.0 = 2.14 in. > n = 1.70 in.
+        assertClose(details.X, 0.4016, 0.001, 'X');
+        assertClose(details.lambda, 0.7146, 0.001, 'λ');
+        assertClose(details.l, 2.144, 0.001, 'l');
+        assertClose(details.t_req, 0.502, 0.002, 't_req');
+        // Before, λ = 2√fp / (0.85 f'c) = 2√0.888 / 3.4 = 0.554, so n = 1.70 in. governed and
+        // tmin = 0.398 in., 21% thin.
+        const before = 2 * Math.sqrt(details.f_p_max) / (0.85 * 4);
+        assertClose(before, 0.554, 0.002, 'λ before');
+        assertClose(details.n * Math.sqrt(2 * details.f_p_max / (0.9 * 36)), 0.398, 0.002, 'tmin before');
+    });
+});
+
+describe('base plate anchors in tension', () => {
+    const { checks } = basePlateCalculator.run({ ...baseInputs, axial_load_P_in: 50 });
+
+    it('gives the basic breakout strength in kips (Eq. 17.6.2.2.1)', () => {
+        const breakout = checks['Anchor Concrete Breakout'];
+        // Nb = 24 (1.0) √4000 (12)^1.5 = 63,100 lb = 63.1 kips
+        assertClose(breakout.details.Nb, 63.10, 0.001, 'Nb');
+        assertClose(breakout.check.Rn, 2 * breakout.details.Ncb_single, 1e-9, 'Ncb');
+    });
+
+    it('no longer compares a breakout strength in pounds with a demand in kips', () => {
+        const breakout = checks['Anchor Concrete Breakout'];
+        // Before, Nb = 63,100 lb went into the check as kips: φNcb = 0.65 (324 / 1296)(2)(63,100) = 20,500
+        // "kips" passed a 50 kip uplift. In kips, φNcb = 20.5 kips and the breakout check fails.
+        const before = 0.65 * (324 / 1296) * 2 * 24 * Math.sqrt(4000) * 12 ** 1.5;
+        assertClose(before, 20505, 0.001, 'φNcb before');
+        assertClose(breakout.check.phi * breakout.check.Rn, before / 1000, 1e-9, 'φNcb');
+        assert.equal(breakout.demand, 50);
+    });
+
+    it('traces the design strength of each anchor check', () => {
+        for (const name of ['Anchor Steel Tension', 'Anchor Concrete Breakout']) {
+            const { check, trace } = checks[name];
+            const last = trace.flatMap(section => section.steps).at(-1);
+            assert.equal(last.label, 'Design Strength', name);
+            assertClose(last.result, check.phi * check.Rn, 1e-9, name);
+        }
+    });
+});
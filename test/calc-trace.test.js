@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createTrace, evaluateFormula, formatTraceNumber, formulaHtml, formulaSymbols, renderTraceHtml, symbolHtml,
+    traceDesignStrength
+} from '../js/calc-trace.js';
+
+describe('formula evaluation', () => {
+    it('follows the usual precedence, with ^ binding tighter than unary minus and to the right', () => {
+        assert.equal(evaluateFormula('1 + 2 * 3'), 7);
+        assert.equal(evaluateFormula('(1 + 2) * 3'), 9);
+        assert.equal(evaluateFormula('2 ^ 3 ^ 2'), 512);
+        assert.equal(evaluateFormula('-2 ^ 2'), -4);
+        assert.equal(evaluateFormula('8 / 4 / 2'), 1);
+        assert.equal(evaluateFormula('2.5e2 + .5'), 250.5);
+    });
+
+    it('substitutes identifiers and supports sqrt, min, max, abs, exp and pi', () => {
+        assert.equal(evaluateFormula("2 * sqrt(f'_c) * b_w", { "f'_c": 4000, b_w: 1 }), 2 * Math.sqrt(4000));
+        assert.equal(evaluateFormula('min(a, b) + max(a, b) + abs(-a)', { a: 1, b: 5 }), 7);
+        assert.equal(evaluateFormula('pi * d ^ 2 / 4', { d: 2 }), Math.PI);
+        assert.equal(evaluateFormula('exp(-gamma * z / L_h)', { gamma: 2.5, z: 30, L_h: 100 }), Math.exp(-0.75));
+    });
+
+    it('reports missing values and malformed formulas', () => {
+        assert.throws(() => evaluateFormula('A_s * f_y', { A_s: 1 }), /No value given for "f_y"/);
+        assert.throws(() => evaluateFormula('a +', { a: 1 }), /Unexpected end/);
+        assert.throws(() => evaluateFormula('a # b', { a: 1, b: 2 }), /Unexpected "#"/);
+        assert.throws(() => evaluateFormula('(a + b', { a: 1, b: 2 }), /Expected "\)"/);
+    });
+
+    it('lists the identifiers of a formula without constants or functions', () => {
+        assert.deepEqual(formulaSymbols('pi * sqrt(d) * min(d, t_p)'), ['d', 't_p']);
+    });
+});
+
+describe('trace rendering', () => {
+    it('typesets subscripts, Greek letters and primes', () => {
+        assert.equal(symbolHtml('V_s_max'), 'V<sub>s,max</sub>');
+        assert.equal(symbolHtml('phi_f'), 'φ<sub>f</sub>');
+        assert.equal(symbolHtml("f'_c"), "f'<sub>c</sub>");
+        assert.equal(symbolHtml('Omega'), 'Ω');
+    });
+
+    it('formats results with fixed decimals or three significant figures below 1', () => {
+        assert.equal(formatTraceNumber(212.04), '212.04');
+        assert.equal(formatTraceNumber(0.0034567), '0.00346');
+        assert.equal(formatTraceNumber(3.14159, 3), '3.142');
+        assert.equal(formatTraceNumber(Infinity), '∞');
+        assert.equal(formatTraceNumber(NaN), '—');
+    });
+
+    it('prints formulas with symbols or with substituted values', () => {
+        assert.equal(formulaHtml('A_s * (d - a / 2)'), 'A<sub>s</sub> · (d − a / 2)');
+        assert.equal(formulaHtml('A_s * (d - a / 2)', { A_s: 2.37, d: 21.625, a: 3.4853 }), '2.37 · (21.63 − 3.485 / 2)');
+        assert.equal(formulaHtml('sqrt(x) + abs(y) + x ^ (2 / n)', { x: 4, y: -1, n: 3 }), '√(4) + |(−1)| + 4<sup>2 / 3</sup>');
+    });
+
+    it('records steps and renders them with substitution, scale and units', () => {
+        const trace = createTrace().section('Flexure', { id: 'flexure', ref: 'ACI 22.2' });
+        const Mn = trace.calc('M_n', 'A_s * f_y * d', { A_s: 2, f_y: 60000, d: 20, unused: 1 }, { units: 'kip-ft', scale: 1 / 12000 });
+        trace.calc('phi * M_n', 'phi * M_n', { phi: 0.9, M_n: Mn }, { label: 'Design Strength', units: 'kip-ft', scale: 1 / 12000 });
+        trace.value(null, 'B', { label: 'Domain' });
+
+        assert.equal(Mn, 2400000);
+        const [section] = trace.sections;
+        assert.equal(section.id, 'flexure');
+        assert.deepEqual(section.steps[0].values, { A_s: 2, f_y: 60000, d: 20 });
+        assert.deepEqual(section.steps[1].valueScales, { M_n: 1 / 12000 });
+
+        const html = renderTraceHtml(trace.sections);
+        assert.ok(html.startsWith('<div class="calc-breakdown mt-4"><h4>Flexure <span class="ref">[ACI 22.2]</span></h4>'));
+        assert.ok(html.includes('<li>M<sub>n</sub> = A<sub>s</sub> · f<sub>y</sub> · d = 2 · 60000 · 20 = <b>200.00 kip-ft</b></li>'), html);
+        assert.ok(html.includes('<li>Design Strength (φM<sub>n</sub>) = φ · M<sub>n</sub> = 0.9 · 200 = <b>180.00 kip-ft</b></li>'), html);
+        assert.ok(html.includes('<li>Domain = <b>B</b></li>'));
+    });
+
+    it('records design or allowable strength per the design method', () => {
+        const lrfd = createTrace();
+        assert.equal(traceDesignStrength(lrfd, { Rn: 100, phi: 0.75, omega: 2 }, 'LRFD', { units: 'kips' }), 75);
+        assert.equal(lrfd.sections[0].steps[0].label, 'Design Strength');
+        const asd = createTrace();
+        assert.equal(traceDesignStrength(asd, { Rn: 100, phi: 0.75, omega: 2 }, 'ASD'), 50);
+        assert.ok(renderTraceHtml(asd.sections).includes('Allowable Strength (R<sub>n</sub>/Ω) = R<sub>n</sub> / Ω = 100 / 2'));
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { comboLoadCalculator } from '../asce/combos-engine.js';
+import { assertClose } from './helpers.js';
+
+const loads = { D: 20, L: 50, Lr: 20, R: 0, S: 30, W: 0, E: 0, unit_system: 'imperial' };
+
+describe('load combination engine (ASCE 7 Chapter 2)', () => {
+    it('evaluates the ASCE 7-16 LRFD combinations', () => {
+        const { results } = comboLoadCalculator.calculate(loads, 'ASCE 7-16', 'Strength (LRFD)', 'LRFD');
+        assertClose(results['1. 1.4D'], 28, 1e-9, '2.3.2-1');
+        assertClose(results['2. 1.2D + 1.6L + 0.5(Lr|S|R)'], 24 + 80 + 15, 1e-9, '2.3.2-2');
+        assertClose(results['3. 1.2D + 1.6(Lr|S|R) + (L|0.5W)'], 24 + 48 + 50, 1e-9, '2.3.2-3');
+    });
+
+    it('converts ASD-level wind to strength level for ASCE 7-16', () => {
+        const { results, adjustment_notes } = comboLoadCalculator.calculate(
+            { ...loads, W: 12 }, 'ASCE 7-16', 'Nominal (Service/ASD)', 'ASD'
+        );
+        // W = 12 / 0.6 = 20 (strength); D + 0.6W = 20 + 12
+        assertClose(results['5. D + 0.6W'], 32, 1e-9, '2.4-5');
+        assertClose(results['9. 0.6D + 0.6W'], 12 + 12, 1e-9, '2.4-9');
+        assert.ok(adjustment_notes.W);
+    });
+
+    it('converts nominal snow to strength level for ASCE 7-22', () => {
+        const { results } = comboLoadCalculator.calculate(loads, 'ASCE 7-22', 'Nominal (Service/ASD)', 'LRFD');
+        // S = 1.6 (30) = 48 (strength); Eq. 2.3.1-3b: 1.2D + 1.0S + L
+        assertClose(results['3b. 1.2D + 1.0S + (L|0.5W)'], 24 + 48 + 50, 1e-9, '2.3.1-3b');
+    });
+
+    it('flags pattern live loading above 100 psf', () => {
+        const heavy = comboLoadCalculator.calculate({ ...loads, L: 125 }, 'ASCE 7-16', 'Strength (LRFD)', 'LRFD');
+        assert.equal(heavy.pattern_load_required, true);
+        assertClose(heavy.pattern_results['2. 1.2D + 1.6L + 0.5(Lr|S|R)'], 24 + 1.6 * 0.75 * 125 + 15, 1e-9, 'pattern');
+    });
+
+    it('runs every scenario of the page inputs', () => {
+        const { scenarios_data, success } = comboLoadCalculator.run({
+            combo_asce_standard: 'ASCE 7-16', combo_jurisdiction: 'ASCE 7', combo_design_method: 'ASD',
+            combo_input_load_level: 'Nominal (Service/ASD)', combo_unit_system: 'imperial',
+            combo_dead_load_d: 10, combo_live_load_l: 0, combo_roof_live_load_lr: 20, combo_rain_load_r: 0,
+            combo_balanced_snow_load_sb: 25, combo_unbalanced_windward_snow_load_suw: 8,
+            combo_unbalanced_leeward_snow_load_sul: 35, combo_drift_surcharge_sd: 30,
+            combo_wind_cc_max: 25, combo_wind_cc_min: -40, combo_wind_cc_wall_max: 20, combo_wind_cc_wall_min: -25,
+            combo_wind_wall_ww_max: 15, combo_wind_wall_ww_min: 3.5, combo_wind_wall_lw_max: 8.8,
+            combo_wind_wall_lw_min: -21.5, combo_wind_roof_ww_max: -5, combo_wind_roof_ww_min: -18,
+            combo_wind_roof_lw_max: 0, combo_wind_roof_lw_min: -15, combo_seismic_load_e: 0
+        });
+        assert.equal(success, true);
+        assertClose(scenarios_data.drift_surcharge_wmax.results['3. D + (Lr|S|R)'], 10 + 25 + 30, 1e-9, 'drift D + S');
+        assertClose(scenarios_data.cc_roof_wmin.results['9. 0.6D + 0.6W'], 6 - 40, 1e-9, 'C&C uplift');
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvCell, detectDelimiter, formatCsv, parseCsv } from '../js/csv.js';
+
+describe('delimited text', () => {
+    it('quotes only the cells that need it', () => {
+        assert.equal(csvCell('W18x50'), 'W18x50');
+        assert.equal(csvCell('a, b'), '"a, b"');
+        assert.equal(csvCell('12 "typ"'), '"12 ""typ"""');
+        assert.equal(csvCell(null), '');
+        assert.equal(formatCsv([['a', 1], ['b', undefined]]), 'a,1\nb,\n');
+    });
+
+    it('detects comma, semicolon and tab separated text', () => {
+        assert.equal(detectDelimiter('member,Pu,Mux\nB1,1,2'), ',');
+        assert.equal(detectDelimiter('peça;Msd;Vsd\nV1;12,5;40'), ';');
+        assert.equal(detectDelimiter('member\tPu\nB1\t1'), '\t');
+        assert.equal(detectDelimiter('"a;b",c'), ',');
+        assert.equal(detectDelimiter('member'), ',');
+    });
+
+    it('parses quoted cells, CRLF line ends, a byte-order mark and blank lines', () => {
+        const text = '\uFEFFmember,note\r\nB1,"simply supported, ""typ"""\r\n\r\nB2,"two\nlines"\r\n';
+        assert.deepEqual(parseCsv(text).rows, [
+            ['member', 'note'],
+            ['B1', 'simply supported, "typ"'],
+            ['B2', 'two\nlines']
+        ]);
+    });
+
+    it('round-trips what it writes', () => {
+        const rows = [['id', 'text'], ['1', 'a, "b"'], ['2', '']];
+        assert.deepEqual(parseCsv(formatCsv(rows)).rows, rows);
+    });
+});
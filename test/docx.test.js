@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDocx, documentXml } from '../js/docx.js';
+import { createZip, crc32 } from '../js/zip.js';
+
+// Lists the entries of a ZIP archive from its central directory.
+function zipEntries(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const end = zip.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    const entries = [];
+    for (let i = 0, position = view.getUint32(end + 16, true); i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014b50);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const size = view.getUint32(position + 20, true);
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+        entries.push({
+            name: new TextDecoder().decode(zip.subarray(position + 46, position + 46 + nameLength)),
+            crc: view.getUint32(position + 16, true),
+            data: zip.subarray(dataStart, dataStart + size)
+        });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+describe('zip writer', () => {
+    it('computes the standard CRC-32 check value', () => {
+        assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+    });
+
+    it('stores each file with its name, checksum and contents', () => {
+        const zip = createZip([{ name: 'a.txt', data: 'Combinações' }, { name: 'b/c.bin', data: new Uint8Array([1, 2, 3]) }]);
+        assert.equal(new DataView(zip.buffer).getUint32(0, true), 0x04034b50);
+        const entries = zipEntries(zip);
+        assert.deepEqual(entries.map(entry => entry.name), ['a.txt', 'b/c.bin']);
+        assert.equal(new TextDecoder().decode(entries[0].data), 'Combinações');
+        assert.deepEqual(Array.from(entries[1].data), [1, 2, 3]);
+        entries.forEach(entry => assert.equal(entry.crc, crc32(entry.data)));
+    });
+});
+
+describe('Word documents', () => {
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+    const blocks = [
+        { type: 'heading', level: 1, runs: [{ text: 'Beam B-1' }] },
+        { type: 'paragraph', runs: [{ text: 'M' }, { text: 'n', sub: true }, { text: ' = 212 kip-ft & ' }, { text: 'OK', bold: true, color: '15803D' }] },
+        {
+            type: 'table',
+            rows: [
+                { header: true, cells: [{ runs: [{ text: 'Check' }] }, { runs: [{ text: 'Ratio' }] }] },
+                { cells: [{ runs: [{ text: 'Interaction <1.0' }], colspan: 2 }] }
+            ]
+        },
+        { type: 'image', data: png, width: 1248, height: 600 }
+    ];
+
+    it('writes headings, formatted runs and tables', () => {
+        const { xml } = documentXml(blocks);
+        assert.match(xml, /<w:pStyle w:val="Heading1"\/><\/w:pPr><w:r><w:t xml:space="preserve">Beam B-1<\/w:t>/);
+        assert.match(xml, /<w:vertAlign w:val="subscript"\/><\/w:rPr><w:t xml:space="preserve">n<\/w:t>/);
+        assert.match(xml, /<w:b\/><w:color w:val="15803D"\/>/);
+        assert.ok(xml.includes('212 kip-ft &amp; '));
+        assert.ok(xml.includes('<w:tblHeader/>'));
+        assert.ok(xml.includes('<w:gridSpan w:val="2"/>'));
+        assert.ok(xml.includes('Interaction &lt;1.0'));
+    });
+
+    it('embeds images at no more than the text width', () => {
+        const { xml, images } = documentXml(blocks);
+        assert.deepEqual(images.map(image => [image.name, image.relationshipId]), [['media/image1.png', 'rIdImage1']]);
+        assert.ok(xml.includes('r:embed="rIdImage1"'));
+        // 6.5 in. wide, keeping the aspect ratio.
+        assert.ok(xml.includes('<wp:extent cx="5943600" cy="2857500"/>'));
+    });
+
+    it('packs the parts Word needs into the file', () => {
+        const entries = zipEntries(buildDocx(blocks, { title: 'Beam B-1', date: new Date(Date.UTC(2026, 0, 2)) }));
+        assert.deepEqual(entries.map(entry => entry.name), [
+            '[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'word/document.xml',
+            'word/styles.xml', 'word/_rels/document.xml.rels', 'word/media/image1.png'
+        ]);
+        const text = name => new TextDecoder().decode(entries.find(entry => entry.name === name).data);
+        assert.ok(text('docProps/core.xml').includes('<dc:title>Beam B-1</dc:title>'));
+        assert.ok(text('docProps/core.xml').includes('2026-01-02T00:00:00Z'));
+        assert.ok(text('word/_rels/document.xml.rels').includes('Id="rIdImage1"'));
+        assert.deepEqual(Array.from(entries[6].data), Array.from(png));
+    });
+});
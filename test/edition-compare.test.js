@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareEditionResults, flattenComparableResults, percentChange } from '../js/edition-compare.js';
+import { comboLoadCalculator } from '../asce/combos-engine.js';
+import { assertClose } from './helpers.js';
+
+describe('edition comparison', () => {
+    it('keeps result table rows under their labels', () => {
+        const values = flattenComparableResults({
+            inputs: { V: 115 },
+            intermediate: { Kz: 0.98, ref: 'Eq. 26.10-1' },
+            rows: [{ surface: 'Windward Wall', p: 14.1 }, { surface: 'Windward Wall', p: 12 }, { p: 3 }],
+            note: 'x'.repeat(200)
+        });
+        assert.deepEqual(values, {
+            'intermediate.Kz': 0.98,
+            'intermediate.ref': 'Eq. 26.10-1',
+            'rows[Windward Wall].p': 14.1,
+            'rows[Windward Wall #2].p': 12,
+            'rows[3].p': 3
+        });
+    });
+
+    it('expresses changes as percentages of the first edition', () => {
+        assertClose(percentChange(20, 25), 25, 1e-12, 'increase');
+        assertClose(percentChange(-20, -25), -25, 1e-12, 'more suction');
+        assert.equal(percentChange(0, 0), 0);
+        assert.equal(percentChange(0, 5), null);
+        assert.equal(percentChange(null, 5), null);
+    });
+
+    it('lines up the load combinations of ASCE 7-16 and ASCE 7-22', () => {
+        const loads = { D: 20, L: 50, Lr: 20, R: 0, S: 30, W: 0, E: 0, unit_system: 'imperial' };
+        const older = comboLoadCalculator.calculate(loads, 'ASCE 7-16', 'Nominal (Service/ASD)', 'LRFD');
+        const newer = comboLoadCalculator.calculate(loads, 'ASCE 7-22', 'Nominal (Service/ASD)', 'LRFD');
+        const sections = compareEditionResults(older, newer);
+        const rows = sections.find(({ section }) => section === 'results').rows;
+
+        // Only ASCE 7-22 splits combination 3 by the strength-level snow load.
+        const split = rows.find(row => row.path === 'results.3b. 1.2D + 1.0S + (L|0.5W)');
+        assert.equal(split.a, null);
+        assertClose(split.b, 24 + 48 + 50, 1e-9, '2.3.1-3b');
+        assert.ok(split.changed);
+        const dead = rows.find(row => row.path === 'results.1. 1.4D');
+        assert.equal(dead.change, 0);
+        assert.equal(dead.changed, false);
+    });
+
+    it('groups plain top-level values in their own section', () => {
+        const [first] = compareEditionResults({ pf: 20 }, { pf: 21 });
+        assert.equal(first.section, '');
+        assertClose(first.rows[0].change, 5, 1e-12, 'pf');
+    });
+});
@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict';
+
+/**
+ * Asserts that a computed value matches a reference value within a relative tolerance.
+ * @param {number} actual - Value returned by the engine.
+ * @param {number} expected - Reference value from the worked example.
+ * @param {number} [relTol=0.005] - Allowed relative deviation (0.5% by default).
+ * @param {string} [label] - Name of the quantity, used in the failure message.
+ */
+export function assertClose(actual, expected, relTol = 0.005, label = 'value') {
+    assert.ok(Number.isFinite(actual), `${label}: expected a finite number, got ${actual}`);
+    const allowed = Math.max(Math.abs(expected) * relTol, 1e-9);
+    assert.ok(
+        Math.abs(actual - expected) <= allowed,
+        `${label}: expected ${expected} ± ${allowed.toPrecision(3)}, got ${actual}`
+    );
+}
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LANGUAGES, createTranslator, formatNumber, localizeNumbers, normalizeLanguage } from '../js/i18n.js';
+import { catalog } from '../js/i18n-catalog.js';
+
+const toPortuguese = createTranslator('pt-BR');
+const toEnglish = createTranslator('en');
+
+describe('translation', () => {
+    it('translates page text either way, keeping the surrounding whitespace', () => {
+        assert.equal(toPortuguese('\n    Run Wind Load Calculation  '), '\n    Calcular Carga de Vento  ');
+        assert.equal(toEnglish('Verificador de Peças de Madeira NBR 7190'), 'NBR 7190 Timber Member Checker');
+        assert.equal(toEnglish('Run Wind Load Calculation'), 'Run Wind Load Calculation');
+        assert.equal(toPortuguese('A text nobody translated'), 'A text nobody translated');
+    });
+
+    it('fills message templates, translating their parts', () => {
+        assert.equal(toPortuguese('Mean Roof Height is required.'), 'Altura Média da Cobertura é obrigatório.');
+        assert.equal(toPortuguese('Custom Field must be at least 2 ft.'), 'Custom Field deve ser no mínimo 2 ft.');
+        assert.equal(toPortuguese('Largura (b) is outside the typical range (at least 12 cm). Please verify the input.'),
+            'Largura (b) está fora da faixa usual (no mínimo 12 cm). Confira o valor.');
+        assert.equal(toEnglish('Nome do projeto:'), 'Project name:');
+    });
+
+    it('translates labels broken up by a subscript or unit', () => {
+        assert.equal(toPortuguese('Basic Wind Speed (V, '), 'Velocidade Básica do Vento (V, ');
+        assert.equal(toEnglish('Resist. do Concreto (f'), 'Concrete Strength (f');
+    });
+
+    it('uses the entry for the context when there is one', () => {
+        assert.equal(toPortuguese('Open', 'option'), 'Aberta');
+        assert.equal(toPortuguese('Open', 'button'), 'Abrir');
+    });
+
+    it('has every catalog entry in every language', () => {
+        for (const entry of catalog) {
+            assert.deepEqual(Object.keys(entry).filter(key => key !== 'context').sort(), Object.keys(LANGUAGES).sort(), JSON.stringify(entry));
+            const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+            assert.deepEqual(placeholders(entry['pt-BR']), placeholders(entry.en), entry.en);
+        }
+    });
+});
+
+describe('number formatting', () => {
+    it('writes numbers with a decimal comma in Portuguese', () => {
+        assert.equal(localizeNumbers('p = 1,234.56 psf, G = 0.85', 'pt-BR'), 'p = 1.234,56 psf, G = 0,85');
+        assert.equal(localizeNumbers('-0.18 and 2.50', 'pt-BR'), '-0,18 and 2,50');
+        assert.equal(localizeNumbers('p = 1,234.56 psf', 'en'), 'p = 1,234.56 psf');
+        assert.equal(formatNumber(1234.5, 'pt-BR', 2), '1.234,50');
+    });
+
+    it('leaves code references, versions and lists alone', () => {
+        const text = 'Eq. 26.10-1, Table 1.5-2, Section 26.8, AISC J3.3, version 1.0.0, values 10, 20, 35';
+        assert.equal(localizeNumbers(text, 'pt-BR'), text);
+    });
+
+    it('maps language tags to the supported languages', () => {
+        assert.equal(normalizeLanguage('pt'), 'pt-BR');
+        assert.equal(normalizeLanguage('PT-br'), 'pt-BR');
+        assert.equal(normalizeLanguage('en-US'), 'en');
+        assert.equal(normalizeLanguage('fr'), null);
+        assert.equal(normalizeLanguage(null), null);
+    });
+});
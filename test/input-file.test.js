@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { URL } from 'node:url';
+import { APP_VERSION, INPUT_FILE_FORMAT, checkSchema, createInputFile, readInputFile, renameFields } from '../js/input-file.js';
+import { inputSchemas } from '../js/input-schemas.js';
+
+const wind = inputSchemas.wind;
+const windInputs = {
+    asce_standard: 'ASCE 7-22', unit_system: 'imperial', risk_category: 'II', basic_wind_speed: 115,
+    mean_roof_height: 30, roof_slope_deg: 10, effective_wind_area: undefined
+};
+
+describe('input schemas', () => {
+    it('are well-formed and keyed by their id', () => {
+        for (const [key, schema] of Object.entries(inputSchemas)) {
+            assert.equal(schema.id, key);
+            assert.deepEqual(checkSchema(schema), [], key);
+        }
+    });
+
+    it('name only their own fields as design criteria', () => {
+        assert.deepEqual(checkSchema({ ...wind, criteria: { snow_ground_snow_load: 'pg' } }), ['criteria field "snow_ground_snow_load" is not a field']);
+    });
+
+    it('use distinct localStorage keys', () => {
+        const keys = Object.values(inputSchemas).map(schema => schema.storageKey);
+        assert.equal(new Set(keys).size, keys.length);
+    });
+
+    it('report the app version from package.json', () => {
+        const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+        assert.equal(APP_VERSION, pkg.version);
+    });
+});
+
+describe('input file format', () => {
+    it('writes a header with the edition and units taken from the inputs', () => {
+        const file = createInputFile(wind, windInputs, new Date('2026-01-01T00:00:00Z'));
+        assert.equal(file.format, INPUT_FILE_FORMAT);
+        assert.equal(file.calculator, 'wind');
+        assert.equal(file.schema_version, wind.version);
+        assert.equal(file.code_edition, 'ASCE 7-22');
+        assert.equal(file.units, 'imperial');
+        assert.equal(file.saved_at, '2026-01-01T00:00:00.000Z');
+        assert.equal(file.inputs.effective_wind_area, null);
+        assert.deepEqual(Object.keys(file.inputs), Object.keys(wind.fields));
+    });
+
+    it('uses the fixed edition of single-edition calculators and normalizes the unit system', () => {
+        const file = createInputFile(inputSchemas.nbr6118, { fck: 25 });
+        assert.equal(file.code_edition, 'NBR 6118:2023');
+        assert.equal(file.units, 'metric');
+        assert.equal(createInputFile(inputSchemas['base-plate'], { unit_system: 'Imperial' }).units, 'imperial');
+    });
+
+    it('round-trips a saved file without reporting anything', () => {
+        const text = JSON.stringify(createInputFile(wind, windInputs));
+        const { inputs, header, report } = readInputFile(text, wind);
+        assert.equal(header.calculator, 'wind');
+        assert.equal(inputs.basic_wind_speed, 115);
+        assert.equal(inputs.effective_wind_area, null);
+        assert.deepEqual(report, { unknown: [], missing: [], invalid: [], migratedFrom: null });
+    });
+
+    it('reads a header-less legacy file as version 0 and lists unknown, missing and invalid fields', () => {
+        const legacy = JSON.stringify({ fck: 25, fyk: '500', bw: 'wide', old_field: 1 });
+        const { inputs, header, report } = readInputFile(legacy, inputSchemas.nbr6118);
+        assert.equal(header, null);
+        assert.equal(report.migratedFrom, 0);
+        assert.deepEqual(inputs, { unit_system: 'metric', fck: 25, fyk: 500 });
+        assert.deepEqual(report.unknown, ['old_field']);
+        assert.deepEqual(report.invalid, ['bw']);
+        assert.ok(report.missing.includes('h') && !report.missing.includes('fck'));
+    });
+
+    it('adds the unit selector to files saved before it existed', () => {
+        const v1 = JSON.stringify({
+            format: INPUT_FILE_FORMAT, calculator: 'steel-check', schema_version: 1,
+            inputs: { unit_system: 'metric', Fy: 50 }
+        });
+        const { inputs, report } = readInputFile(v1, inputSchemas['steel-check']);
+        assert.equal(report.migratedFrom, 1);
+        assert.equal(inputs.unit_system, 'imperial');
+        assert.equal(readInputFile(JSON.stringify({ fck: 25 }), inputSchemas.nbr6118).inputs.unit_system, 'metric');
+    });
+
+    it('accepts booleans saved as strings for checkbox fields', () => {
+        const { inputs } = readInputFile(JSON.stringify({ dh_auto_calc_toggle: 'true' }), inputSchemas.rain);
+        assert.equal(inputs.dh_auto_calc_toggle, true);
+    });
+
+    it('rejects files from another calculator, a newer schema or an unknown format', () => {
+        const snowFile = JSON.stringify(createInputFile(inputSchemas.snow, {}));
+        assert.throws(() => readInputFile(snowFile, wind), /"snow" calculator/);
+        const future = JSON.stringify({ ...createInputFile(wind, windInputs), schema_version: wind.version + 1 });
+        assert.throws(() => readInputFile(future, wind), /only understands up to version/);
+        assert.throws(() => readInputFile(JSON.stringify({ format: 'other' }), wind), /Unrecognized file format/);
+        assert.throws(() => readInputFile('not json', wind), /not valid JSON/);
+        assert.throws(() => readInputFile('[1, 2]', wind), /does not contain a set of inputs/);
+    });
+
+    it('migrates older files through each version in turn', () => {
+        const schema = {
+            id: 'beam', version: 3, edition: 'Test', units: 'SI',
+            fields: { span: 'number', load: 'number', method: 'string' },
+            migrations: {
+                2: inputs => renameFields(inputs, { length: 'span' }),
+                3: inputs => ({ ...inputs, method: inputs.method === 'LSD' ? 'LRFD' : inputs.method })
+            }
+        };
+        assert.deepEqual(checkSchema(schema), []);
+        const v1 = JSON.stringify({
+            format: INPUT_FILE_FORMAT, calculator: 'beam', schema_version: 1,
+            inputs: { length: 6, load: 10, method: 'LSD' }
+        });
+        const { inputs, report } = readInputFile(v1, schema);
+        assert.deepEqual(inputs, { span: 6, load: 10, method: 'LRFD' });
+        assert.equal(report.migratedFrom, 1);
+        assert.deepEqual(report.unknown, []);
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_BATCH_MEMBERS, batchCalculators, batchToCsv, filterBatchRows, mapBatchColumns, memberScheduleTemplate,
+    parseBatchNumber, parseMemberSchedule, sortBatchRows, summarizeMemberResult
+} from '../js/member-batch.js';
+import { inputSchemas } from '../js/input-schemas.js';
+import { steelChecker } from '../aisc/steel-check-engine.js';
+import { aciCalculator } from '../aci/aci-concrete-engine.js';
+import { nbr8800Calculator } from '../nbr/nbr8800-engine.js';
+import { assertClose } from './helpers.js';
+
+const steel = inputSchemas['steel-check'];
+
+describe('member schedule columns', () => {
+    it('only covers calculators that have a schema, and aliases point at real inputs', () => {
+        for (const [id, calculator] of Object.entries(batchCalculators)) {
+            assert.ok(inputSchemas[id], id);
+            for (const field of Object.keys(calculator.aliases)) assert.ok(field in inputSchemas[id].fields, `${id}.${field}`);
+        }
+    });
+
+    it('matches input IDs and aliases, ignoring case, spacing and a unit suffix', () => {
+        const mapping = mapBatchColumns(['Member', 'Pu (kips)', 'MUX', 'vu_or_va', 'Lb [ft]', 'Section', 'd'], steel);
+        assert.equal(mapping.member, 0);
+        assert.deepEqual(mapping.fields, [
+            { index: 1, id: 'Pu_or_Pa' }, { index: 2, id: 'Mux_or_Max' }, { index: 3, id: 'Vu_or_Va' },
+            { index: 4, id: 'Lb_input' }, { index: 6, id: 'd' }
+        ]);
+        assert.deepEqual(mapping.ignored, ['Section']);
+        assert.equal(mapBatchColumns(['Peça', 'Msd'], inputSchemas.nbr8800).member, 0);
+        assert.deepEqual(mapBatchColumns(['Msd'], inputSchemas.nbr8800).fields, [{ index: 0, id: 'Msdx' }]);
+    });
+
+    it('reads decimal commas and thousands separators', () => {
+        assert.equal(parseBatchNumber('12,5'), 12.5);
+        assert.equal(parseBatchNumber('1.250,5'), 1250.5);
+        assert.equal(parseBatchNumber('1,250.5'), 1250.5);
+        assert.equal(parseBatchNumber('-3e2'), -300);
+        assert.equal(parseBatchNumber('1,250', { decimalComma: false }), 1250);
+        assert.ok(Number.isNaN(parseBatchNumber('12,5', { decimalComma: false })));
+        assert.ok(Number.isNaN(parseBatchNumber('W18x50')));
+        assert.ok(Number.isNaN(parseBatchNumber('')));
+    });
+});
+
+describe('member schedules', () => {
+    it('turns each row into input overrides, leaving blank cells to the page', () => {
+        const text = 'member,Pu,Mux,Vu,section_type,Note\nB1,0,150,20,,roof\nC1,-300,,5,Manual Input,\nB2,x,10,1,,\n';
+        const { members, fields, ignored } = parseMemberSchedule(text, steel);
+        assert.deepEqual(fields, ['Pu_or_Pa', 'Mux_or_Max', 'Vu_or_Va', 'section_type']);
+        assert.deepEqual(ignored, ['Note']);
+        assert.deepEqual(members[0], { member: 'B1', inputs: { Pu_or_Pa: 0, Mux_or_Max: 150, Vu_or_Va: 20 }, invalid: [], ambiguous: [] });
+        assert.deepEqual(members[1].inputs, { Pu_or_Pa: -300, Vu_or_Va: 5, section_type: 'Manual Input' });
+        assert.deepEqual(members[2].invalid, ['Pu_or_Pa']);
+    });
+
+    it('reads semicolon-separated schedules with decimal commas and labels unnamed rows', () => {
+        const { members } = parseMemberSchedule('Msd;Vsd\n12,5;40\n', inputSchemas.nbr6118);
+        assert.deepEqual(members, [{ member: 'Row 1', inputs: { Msd: 12.5, Vsd: 40 }, invalid: [], ambiguous: [] }]);
+    });
+
+    it('takes "1,250" as thousands in comma-separated text and as a decimal comma with semicolons', () => {
+        const [comma] = parseMemberSchedule('member,Mux,Vu\nB1,"1,250","12,5"\n', steel).members;
+        assert.deepEqual(comma.inputs, { Mux_or_Max: 1250 });
+        assert.deepEqual(comma.ambiguous, ['Vu_or_Va']);
+        const [semicolon] = parseMemberSchedule('member;Mux;Vu\nB1;1,250;12,5\n', steel).members;
+        assert.deepEqual(semicolon.inputs, { Mux_or_Max: 1.25, Vu_or_Va: 12.5 });
+        assert.deepEqual(semicolon.ambiguous, []);
+    });
+
+    it('rejects schedules without members, without matching columns or with too many rows', () => {
+        assert.throws(() => parseMemberSchedule('member,Pu', steel), /at least one member/);
+        assert.throws(() => parseMemberSchedule('member,foo\nB1,1', steel), /No column matches/);
+        const big = `member,Pu\n${Array.from({ length: MAX_BATCH_MEMBERS + 1 }, (_, i) => `B${i},1`).join('\n')}`;
+        assert.throws(() => parseMemberSchedule(big, steel), /limit is/);
+    });
+
+    it('writes a template with a column per numeric input', () => {
+        const header = memberScheduleTemplate(inputSchemas['aci-concrete']).trim().split(',');
+        assert.deepEqual(header, ['member', 'fc', 'fy', 'b', 'h', 'cover', 'num_bars', 'bar_size', 'stirrup_size', 'stirrup_legs', 'stirrup_spacing', 'Mu', 'Vu']);
+    });
+});
+
+describe('member check summaries', () => {
+    it('picks the governing ratio of an AISC member', () => {
+        const inputs = {
+            design_method: 'LRFD', aisc_standard: '360-16', unit_system: 'imperial', section_type: 'Manual Input',
+            Fy: 50, Fu: 65, E: 29000, Lb_input: 0, K: 1.0, Cb: 1.0, Cm: 1.0, lb_bearing: 4, k_des: 1.0,
+            is_end_bearing: 'true', Pu_or_Pa: 0, Mux_or_Max: 300, Muy_or_May: 0, Vu_or_Va: 50, Tu_or_Ta: 0,
+            deflection_span: 0, deflection_limit: 0, actual_deflection_input: 0,
+            d: 18.0, bf: 7.50, tf: 0.570, tw: 0.355, Ag_manual: 14.7, I_manual: 800, Sx_manual: 88.9, Zx_manual: 101,
+            Iy_manual: 40.1, Sy_manual: 10.7, Zy_manual: 16.6, ry_manual: 1.65, rts_manual: 1.98, J_manual: 1.24, Cw_manual: 3040
+        };
+        const result = steelChecker.run(inputs);
+        const summary = summarizeMemberResult('steel-check', result);
+        // φMn = 378.75 kip-ft (W18x50, continuously braced)
+        assert.equal(summary.governing.name, 'Flexure');
+        assertClose(summary.governing.ratio, 300 / 378.75, 0.001, 'Mu/φMn');
+        assertClose(summary.checks.find(check => check.name === 'Shear').ratio, 50 / result.shear.phiVn_or_Vn_omega, 1e-9, 'Vu/φVn');
+        assert.equal(summary.status, 'Pass');
+        assert.equal(summarizeMemberResult('steel-check', steelChecker.run({ ...inputs, Mux_or_Max: 400 })).status, 'Fail');
+    });
+
+    it('compares demand and capacity in the engine units of ACI and NBR 8800 members', () => {
+        const aci = summarizeMemberResult('aci-concrete', aciCalculator.calculate({
+            fc: 4000, fy: 60000, b: 12, h: 24, cover: 1.5, num_bars: 3, bar_size: 8,
+            stirrup_size: 3, stirrup_legs: 2, stirrup_spacing: 10, Mu: 150, Vu: 30
+        }));
+        // φMn = 212 kip-ft
+        assertClose(aci.checks[0].ratio, 150 / 212.0, 0.002, 'Mu/φMn');
+
+        const nbr = nbr8800Calculator.calculate({ fy: 345, E: 200000, d: 310, bf: 165, tf: 9.7, tw: 5.8, Ag: 4940, Zx: 591000, rx: 129, ry: 38.5, Lb: 3, Cb: 1, Nsd: 200, Msdx: 100 });
+        const summary = summarizeMemberResult('nbr8800', nbr);
+        assert.equal(summary.governing.name, 'Interação N + M');
+        assertClose(summary.checks[1].ratio, 100e6 / nbr.results.Mrd, 1e-9, 'Msd/MRd');
+    });
+});
+
+describe('member summary tables', () => {
+    const rows = [
+        { member: 'B10', governing: { name: 'Flexure', ratio: 0.8 }, checks: [{ name: 'Flexure', ratio: 0.8 }, { name: 'Shear', ratio: 0.2 }], status: 'Pass' },
+        { member: 'B2', governing: { name: 'Shear', ratio: 1.2 }, checks: [{ name: 'Flexure', ratio: 0.5 }, { name: 'Shear', ratio: 1.2 }], status: 'Fail' },
+        { member: 'C1', governing: null, checks: [], status: 'Error', error: 'Fy is required.' }
+    ];
+
+    it('filters by status and by member or governing check', () => {
+        assert.deepEqual(filterBatchRows(rows, { status: 'Fail' }).map(row => row.member), ['B2']);
+        assert.deepEqual(filterBatchRows(rows, { text: 'shear' }).map(row => row.member), ['B2']);
+        assert.deepEqual(filterBatchRows(rows, { text: 'b' }).map(row => row.member), ['B10', 'B2']);
+        assert.equal(filterBatchRows(rows).length, 3);
+    });
+
+    it('sorts by ratio, check or member, keeping errors last', () => {
+        assert.deepEqual(sortBatchRows(rows, 'ratio', true).map(row => row.member), ['B2', 'B10', 'C1']);
+        assert.deepEqual(sortBatchRows(rows, 'ratio').map(row => row.member), ['B10', 'B2', 'C1']);
+        assert.deepEqual(sortBatchRows(rows, 'Flexure').map(row => row.member), ['B2', 'B10', 'C1']);
+        assert.deepEqual(sortBatchRows(rows, 'member').map(row => row.member), ['B2', 'B10', 'C1']);
+    });
+
+    it('exports the summary with one column per check', () => {
+        assert.equal(batchToCsv(rows, ['Flexure', 'Shear']), [
+            'member,governing_check,governing_ratio,status,Flexure,Shear,error',
+            'B10,Flexure,0.8,Pass,0.8,0.2,',
+            'B2,Shear,1.2,Fail,0.5,1.2,',
+            'C1,,,Error,,,Fy is required.',
+            ''
+        ].join('\n'));
+    });
+});
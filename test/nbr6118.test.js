@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { nbr6118Calculator } from '../nbr/nbr6118-engine.js';
+import { assertClose } from './helpers.js';
+
+// Viga 20 × 50 cm, C25, CA-50, 3 Ø16 mm, estribos Ø6,3 mm com 2 ramos a cada 15 cm.
+const baseInputs = {
+    fck: 25, fyk: 500, bw: 20, h: 50, c: 3, num_barras: 3, diam_barra: 16,
+    diam_estribo: 6.3, pernas_estribo: 2, s_estribo: 15, Msd: 80, Vsd: 100
+};
+
+describe('concrete beam engine (NBR 6118:2023)', () => {
+    it('computes the neutral axis depth and resisting moment (item 17.2.2)', () => {
+        const { results } = nbr6118Calculator.calculate(baseInputs);
+        const flex = results.flexure_details;
+        // fcd = 2,5 / 1,4 = 1,786 kN/cm²; fyd = 50 / 1,15 = 43,48 kN/cm²
+        assertClose(flex.d, 45.57, 1e-9, 'd');
+        assertClose(flex.As, 6.032, 0.001, 'As');
+        assertClose(flex.x, 10.80, 0.002, 'x');
+        assertClose(flex.x_d_ratio, 0.237, 0.003, 'x/d');
+        assert.equal(flex.dominio, '2 ou 3 (Dúctil)');
+        // MRd = 6,032 × 43,48 × (45,57 - 0,4 × 10,80) = 10 818 kN·cm
+        assertClose(flex.Mrd / 100, 108.2, 0.002, 'MRd');
+    });
+
+    it('computes the shear resistance with model I (item 17.4.2.2)', () => {
+        const { results } = nbr6118Calculator.calculate(baseInputs);
+        const shear = results.shear_details;
+        // fctd = 0,21 × 25^(2/3) / 1,4 = 1,282 MPa
+        assertClose(shear.Vc, 70.13, 0.002, 'Vc');
+        assertClose(shear.Vsw, 74.11, 0.002, 'Vsw');
+        assertClose(shear.VRd, 144.25, 0.002, 'VRd3');
+        // VRd2 = 0,27 × (1 - 25/250) × 1,786 × 20 × 0,9 × 45,57
+        assertClose(shear.VRd2, 355.9, 0.002, 'VRd2');
+    });
+
+    it('works the design strengths in kN/cm², not MPa', () => {
+        const { results } = nbr6118Calculator.calculate(baseInputs);
+        // Antes, fcd = 17,86 e fyd = 434,8 (MPa) entravam em contas com cm e kN: x não mudava, mas
+        // MRd, Vc, Vsw e VRd2 saíam 10 vezes maiores (MRd = 1082 kN·m em vez de 108,2 kN·m).
+        const before = 6.032 * (500 / 1.15) * (45.57 - 0.4 * 10.80) / 100;
+        assertClose(before, 1082, 0.002, 'MRd antes');
+        assertClose(results.flexure_details.Mrd / 100, before / 10, 0.002, 'MRd');
+        assertClose(results.shear_details.Vc, 0.6 * (0.21 * 25 ** (2 / 3) / 1.4 / 10) * 20 * 45.57, 1e-9, 'Vc');
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import { nbr7190Calculator } from '../nbr/nbr7190-engine.js';
+import { assertClose } from './helpers.js';
+
+// Viga 5 × 15 cm de conífera C25, vão de 3 m, kmod = 0,7.
+const baseInputs = {
+    fc0k: 25, fvk: 4, Ec0_ef: 10000, b: 5, h: 15, L: 3, kmod1: 0.7, kmod2: 1.0, Msd: 5, Vsd: 5
+};
+
+describe('timber member engine (NBR 7190:1997)', () => {
+    const { results } = nbr7190Calculator.calculate(baseInputs);
+
+    it('computes design strengths with γwc = 1,4 and γwv = 1,8', () => {
+        assertClose(results.fcd, 12.5, 1e-9, 'fcd');
+        assertClose(results.fvd, 1.556, 0.001, 'fvd');
+    });
+
+    it('checks bending and shear stresses', () => {
+        // σMd = 500 × 6 / (5 × 15²) = 2,667 kN/cm²; τd = 1,5 × 5 / 75 = 0,100 kN/cm²
+        assertClose(results.sigma_md, 2.667, 0.001, 'σMd');
+        assertClose(results.flexao_ratio, 2.133, 0.001, 'flexão');
+        assertClose(results.tau_vd, 0.100, 1e-9, 'τd');
+        assertClose(results.cisalhamento_ratio, 0.643, 0.001, 'cisalhamento');
+    });
+
+    it('checks the immediate deflection against L/350', () => {
+        // q = 8 Msd / L² = 0,0444 kN/cm; δ = 5 q L⁴ / (384 E I) = 3,33 cm
+        assertClose(results.deformacao_imediata, 3.333, 0.001, 'δ');
+        assertClose(results.limite_deformacao, 300 / 350, 1e-9, 'δlim');
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { nbr8800Calculator } from '../nbr/nbr8800-engine.js';
+import { assertClose } from './helpers.js';
+
+// Perfil W 530 × 101 em aço ASTM A572 Gr. 50, Lb = 6 m.
+const baseInputs = {
+    fy: 345, E: 200000, d: 533, bf: 210, tf: 15.6, tw: 10.2, Ag: 12600, Zx: 2350000,
+    rx: 218, ry: 46.3, Lb: 6, Cb: 1.0, Nsd: 500, Msdx: 200
+};
+
+describe('steel member engine (NBR 8800:2008)', () => {
+    const { results } = nbr8800Calculator.calculate(baseInputs);
+
+    it('classifies flange and web slenderness', () => {
+        assert.equal(results.classificacao_mesa, 'Compacta');
+        assert.equal(results.classificacao_alma, 'Compacta');
+        // λ = (533 - 2 × 15,6) / 4,0 = 125,5 > λp = 3,76 √(200000 / 345) = 90,5. Antes, a alma era
+        // sempre classificada como "Compacta", qualquer que fosse a esbeltez.
+        const slenderWeb = nbr8800Calculator.calculate({ ...baseInputs, tw: 4.0 }).results;
+        assert.equal(slenderWeb.classificacao_alma, 'Não Compacta');
+        // Só o rótulo mudou: a resistência à flexão não depende dele.
+        assertClose(slenderWeb.Mrd, results.Mrd, 1e-9, 'MRd');
+    });
+
+    it('computes the compression resistance with χ from item 5.3.3', () => {
+        // Ne = π² E Ag ry² / Lb² = 1481 kN; λ0 = 1,713 > 1,5, χ = 0,877 / λ0² = 0,299
+        assertClose(results.NcRd / 1000, 1180.8, 0.002, 'NcRd');
+    });
+
+    it('computes the plastic moment resistance', () => {
+        assertClose(results.Mrd / 1e6, 737.0, 0.001, 'MRd');
+    });
+
+    it('combines axial force and moment per item 5.5.1.2', () => {
+        // NSd/NcRd = 0,423 ≥ 0,2: 0,423 + 8/9 × 200/737 = 0,665
+        assertClose(results.interaction_ratio, 0.665, 0.002, 'interação');
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { dirname, join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const assets = JSON.parse(readFileSync(join(root, 'js/offline-assets.json'), 'utf8'));
+const SITE_FILE = /\.(html|js|json|css|webmanifest|png|svg|woff2)$/;
+const NOT_SERVED = new Set(['sw.js', 'package.json', 'package-lock.json', 'tailwind.config.js']);
+
+function siteFiles(dir = root) {
+    return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return ['.git', '.vscode', 'node_modules', 'test'].includes(entry.name) ? [] : siteFiles(path);
+        const file = relative(root, path).split(sep).join('/');
+        return SITE_FILE.test(file) && !NOT_SERVED.has(file) ? [file] : [];
+    });
+}
+
+describe('offline asset list', () => {
+    it('lists only files that exist', () => {
+        const missing = assets.local.filter(path => path !== './' && !existsSync(join(root, path)));
+        assert.deepEqual(missing, []);
+    });
+
+    it('covers every page, script, style and icon of the site', () => {
+        const listed = new Set(assets.local);
+        assert.deepEqual(siteFiles().filter(file => !listed.has(file)), []);
+    });
+
+    it('lists only files of the site, so the install does not depend on another host', () => {
+        assert.deepEqual(Object.keys(assets), ['local']);
+        const pages = siteFiles().filter(file => file.endsWith('.html'));
+        for (const page of pages) {
+            const html = readFileSync(join(root, page), 'utf8');
+            const remote = Array.from(html.matchAll(/<(?:script|link)\b[^>]*(?:src|href)="((?:https?:)?\/\/[^"]+)"/g), match => match[1]);
+            assert.deepEqual(remote, [], `${page} loads files from another host`);
+        }
+    });
+
+    it('covers the font files the vendored stylesheet points at', () => {
+        const css = readFileSync(join(root, 'vendor/inter/inter.css'), 'utf8');
+        const fonts = Array.from(css.matchAll(/url\(([^)]+)\)/g), match => `vendor/inter/${match[1]}`);
+        assert.equal(fonts.length, 8);
+        fonts.forEach(font => assert.ok(assets.local.includes(font), font));
+    });
+
+    it('includes the install manifest and its icons', () => {
+        const manifest = JSON.parse(readFileSync(join(root, 'manifest.webmanifest'), 'utf8'));
+        assert.ok(assets.local.includes('manifest.webmanifest'));
+        manifest.icons.forEach(icon => assert.ok(assets.local.includes(icon.src), icon.src));
+    });
+});
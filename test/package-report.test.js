@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chapterCriteria, packageChapters, packageHtmlDocument, readProjectRun } from '../js/package-report.js';
+import { createInputFile } from '../js/input-file.js';
+import { inputSchemas } from '../js/input-schemas.js';
+
+const runs = [
+    { id: 'a', calculator: 'steel-check-inputs', title: 'Steel Check', label: 'Beam B1', saved_at: '2026-01-02T00:00:00.000Z', inputs: createInputFile(inputSchemas['steel-check'], { design_method: 'LRFD', aisc_standard: 'AISC 360-22', unit_system: 'imperial' }) },
+    { id: 'b', calculator: 'wind-calculator-inputs', title: 'Wind', label: 'Wind v1', saved_at: '2026-01-01T00:00:00.000Z', inputs: { asce_standard: 'ASCE 7-16', unit_system: 'imperial', basic_wind_speed: 110 } },
+    { id: 'c', calculator: 'wind-calculator-inputs', title: 'Wind', label: 'Wind v2', saved_at: '2026-01-03T00:00:00.000Z', inputs: createInputFile(inputSchemas.wind, { asce_standard: 'ASCE 7-22', unit_system: 'metric', risk_category: 'II', basic_wind_speed: 51, exposure_category: 'C', topographic_factor_Kzt: '' }) },
+    { id: 'd', calculator: 'legacy-tool-inputs', title: 'Legacy Tool', label: 'Old', saved_at: '2025-12-01T00:00:00.000Z', inputs: {} }
+];
+
+describe('package chapters', () => {
+    const chapters = packageChapters(runs);
+
+    it('keeps the latest run of each calculator, loads before member checks and unknown calculators last', () => {
+        assert.deepEqual(chapters.map(chapter => [chapter.number, chapter.title, chapter.run.label]), [
+            [1, 'ASCE 7 Wind Loads', 'Wind v2'],
+            [2, 'AISC 360 Steel Member Check', 'Beam B1'],
+            [3, 'Legacy Tool', 'Old']
+        ]);
+    });
+
+    it('reads the code edition and units of each run', () => {
+        assert.deepEqual(chapters.map(({ edition, units }) => [edition, units]), [['ASCE 7-22', 'metric'], ['AISC 360-22', 'imperial'], ['', '']]);
+    });
+
+    it('quotes the design criteria with the units they were entered in, skipping blanks', () => {
+        assert.deepEqual(chapterCriteria(chapters[0]), [
+            { label: 'Risk category', value: 'II' },
+            { label: 'Basic wind speed, V', value: '51 m/s' },
+            { label: 'Exposure category', value: 'C' }
+        ]);
+        assert.deepEqual(chapterCriteria(chapters[2]), []);
+    });
+
+    it('reads runs saved as bare inputs as legacy files, migrating them', () => {
+        const { inputs, header, report } = readProjectRun(runs[1], inputSchemas.wind);
+        assert.equal(header, null);
+        assert.equal(report.migratedFrom, 0);
+        assert.equal(inputs.mwfrs_procedure, 'Directional');
+        assert.equal(inputs.basic_wind_speed, 110);
+        assert.equal(readProjectRun(runs[2], inputSchemas.wind).report.migratedFrom, null);
+    });
+
+    it('keeps a run it cannot read as a chapter with the error', () => {
+        const newer = { ...runs[2], inputs: { ...runs[2].inputs, schema_version: inputSchemas.wind.version + 1 } };
+        const [chapter] = packageChapters([newer]);
+        assert.match(chapter.error, /only understands up to version/);
+        assert.deepEqual(chapterCriteria(chapter), []);
+    });
+});
+
+describe('package HTML export', () => {
+    it('wraps the package in a standalone document', () => {
+        const html = packageHtmlDocument('Warehouse <A> - Calculation Package', '<p>body</p>', '<style>p{}</style>');
+        assert.ok(html.startsWith('<!DOCTYPE html>'));
+        assert.ok(html.includes('<title>Warehouse &lt;A> - Calculation Package</title>'));
+        assert.ok(html.includes('<style>p{}</style>') && html.includes('<p>body</p>'));
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_SWEEP_CASES, buildSweepCases, defaultSweepOutputs, flattenNumericResults, parseSweepValues, sweepToCsv } from '../js/parametric.js';
+import { nbr6118Calculator } from '../nbr/nbr6118-engine.js';
+
+describe('sweep values', () => {
+    it('expands ranges including the end point, without floating-point noise', () => {
+        assert.deepEqual(parseSweepValues('10:60:10'), [10, 20, 30, 40, 50, 60]);
+        assert.deepEqual(parseSweepValues('0.1:0.5:0.1'), [0.1, 0.2, 0.3, 0.4, 0.5]);
+        assert.deepEqual(parseSweepValues('5:1:-2'), [5, 3, 1]);
+        assert.deepEqual(parseSweepValues('0:10:4'), [0, 4, 8]);
+    });
+
+    it('reads lists separated by commas, semicolons or spaces', () => {
+        assert.deepEqual(parseSweepValues('10, 20; 35 50'), [10, 20, 35, 50]);
+        assert.deepEqual(parseSweepValues('7'), [7]);
+    });
+
+    it('rejects empty, malformed and oversized specifications', () => {
+        assert.throws(() => parseSweepValues('  '), /Enter a range/);
+        assert.throws(() => parseSweepValues('1:10'), /not a valid range/);
+        assert.throws(() => parseSweepValues('10:1:1'), /does not move/);
+        assert.throws(() => parseSweepValues('1:2:0'), /does not move/);
+        assert.throws(() => parseSweepValues('1, two'), /not a number/);
+        assert.throws(() => parseSweepValues('0:1000:1'), /limit is/);
+    });
+});
+
+describe('sweep cases', () => {
+    it('builds every combination with the first input varying slowest', () => {
+        const cases = buildSweepCases([{ id: 'a', values: [1, 2] }, { id: 'b', values: [10, 20, 30] }]);
+        assert.deepEqual(cases, [
+            { a: 1, b: 10 }, { a: 1, b: 20 }, { a: 1, b: 30 },
+            { a: 2, b: 10 }, { a: 2, b: 20 }, { a: 2, b: 30 }
+        ]);
+        assert.deepEqual(buildSweepCases([{ id: 'a', values: [1, 2] }]), [{ a: 1 }, { a: 2 }]);
+    });
+
+    it('refuses studies with too many cases', () => {
+        const values = Array.from({ length: 30 }, (_, i) => i);
+        assert.ok(30 * 30 > MAX_SWEEP_CASES);
+        assert.throws(() => buildSweepCases([{ id: 'a', values }, { id: 'b', values }]), /limit is/);
+    });
+});
+
+describe('sweep outputs', () => {
+    it('flattens numeric results by path, skipping arrays, echoed inputs and non-finite values', () => {
+        const outputs = flattenNumericResults({
+            inputs: { Fy: 50 },
+            flexure: { Mn: 120.5, ratio: 0.8, note: 'ok' },
+            warnings: ['x'],
+            zones: [1, 2],
+            phi: 0.9,
+            bad: NaN
+        });
+        assert.deepEqual(outputs, { 'flexure.Mn': 120.5, 'flexure.ratio': 0.8, phi: 0.9 });
+    });
+
+    it('shows ratios first when there are any', () => {
+        assert.deepEqual(defaultSweepOutputs(['a.Mn', 'a.ratio', 'b.interaction', 'c.Vn']), ['a.ratio', 'b.interaction']);
+        assert.deepEqual(defaultSweepOutputs(['a', 'b', 'c', 'd', 'e']), ['a', 'b', 'c', 'd']);
+    });
+
+    it('writes CSV with quoted cells and an error column', () => {
+        const csv = sweepToCsv(['h'], ['flexure.Mrd', 'note'], [
+            { values: { h: 40 }, outputs: { 'flexure.Mrd': 61.2, note: 'a, "b"' } },
+            { values: { h: 20 }, outputs: {}, error: 'Too shallow' }
+        ]);
+        assert.equal(csv, 'h,flexure.Mrd,note,error\n40,61.2,"a, ""b""",\n20,,,Too shallow\n');
+    });
+
+    it('sweeps a real engine: a deeper beam has a larger resisting moment', () => {
+        const base = { fck: 25, fyk: 500, bw: 20, h: 50, c: 3, num_barras: 3, diam_barra: 16, diam_estribo: 6.3, pernas_estribo: 2, s_estribo: 15, Msd: 80, Vsd: 100 };
+        const moments = buildSweepCases([{ id: 'h', values: parseSweepValues('40:70:10') }])
+            .map(overrides => flattenNumericResults(nbr6118Calculator.calculate({ ...base, ...overrides }))['results.flexure_details.Mrd']);
+        assert.equal(moments.length, 4);
+        moments.slice(1).forEach((moment, i) => assert.ok(moment > moments[i], `Mrd should grow with h (${moments.join(', ')})`));
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPORT_PAGE, TITLE_BLOCK_FIELDS, contentArea, layoutReport, paginateSections, titleBlockDefaults, toPdfText } from '../js/pdf-report.js';
+
+describe('report title block', () => {
+    it('fills in the open project and keeps the previous checker and revision', () => {
+        const project = { name: 'Warehouse', project_number: '24-017', engineer: 'A. Silva', checker: '' };
+        const values = titleBlockDefaults(project, { checker: 'B. Costa', revision: 'B' }, new Date(2026, 2, 5));
+        assert.deepEqual(values, {
+            project: 'Warehouse', job_number: '24-017', engineer: 'A. Silva', checker: 'B. Costa', date: '2026-03-05', revision: 'B'
+        });
+        assert.deepEqual(Object.keys(values), TITLE_BLOCK_FIELDS.map(field => field.key));
+    });
+
+    it('starts at revision 0 without a project', () => {
+        const values = titleBlockDefaults(null);
+        assert.equal(values.project, '');
+        assert.equal(values.revision, '0');
+    });
+
+    it('keeps text within the standard PDF fonts', () => {
+        assert.equal(toPdfText('  Combinações\n de  carga  '), 'Combinações de carga');
+        assert.equal(toPdfText('φMn ≥ Mu – OK ✓'), 'phiMn >= Mu - OK ');
+    });
+});
+
+describe('report pagination', () => {
+    it('moves a section that does not fit to the next page', () => {
+        const slices = paginateSections([4, 3, 5], 10, { gap: 0.5 });
+        assert.deepEqual(slices.map(({ section, page, y }) => [section, page, y]), [[0, 1, 0], [1, 1, 4.5], [2, 2, 0]]);
+    });
+
+    it('splits a section taller than a page, starting on the current page when enough of it is free', () => {
+        const slices = paginateSections([2, 25], 10, { firstPage: 2 });
+        assert.deepEqual(slices.map(({ section, page, y, offset, height }) => [section, page, y, offset, height]), [
+            [0, 2, 0, 0, 2], [1, 2, 2, 0, 8], [1, 3, 0, 8, 10], [1, 4, 0, 18, 7]
+        ]);
+        const late = paginateSections([8, 25], 10);
+        assert.deepEqual(late.filter(slice => slice.section === 1).map(slice => slice.page), [2, 3, 4]);
+    });
+
+    it('skips empty sections', () => {
+        assert.deepEqual(paginateSections([0, 3], 10).map(slice => slice.section), [1]);
+    });
+
+    it('lays out a report behind its cover page with the contents pointing at each section', () => {
+        const area = contentArea();
+        assert.equal(area.width, REPORT_PAGE.width - 2 * REPORT_PAGE.margin);
+        const { coverPages, contents, pageCount } = layoutReport([1, area.height - 1, 2], [null, 'Flexure', 'Shear']);
+        assert.equal(coverPages, 1);
+        assert.deepEqual(contents.map(({ title, page }) => [title, page]), [['Flexure', 3], ['Shear', 4]]);
+        assert.equal(pageCount, 4);
+    });
+
+    it('adds cover pages when the table of contents runs long', () => {
+        const { firstPageRows, coverPages, contents } = layoutReport(
+            Array(60).fill(1), Array.from({ length: 60 }, (_, i) => `Section ${i + 1}`)
+        );
+        assert.ok(firstPageRows < 60);
+        assert.equal(coverPages, 2);
+        assert.equal(contents[0].page, 3);
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rainLoadCalculator } from '../asce/rain-engine.js';
+import { assertClose } from './helpers.js';
+
+const baseInputs = {
+    rain_unit_system: 'imperial', rain_jurisdiction: 'ASCE 7', rain_static_head: 2, rain_hydraulic_head: 1,
+    dh_auto_calc_toggle: false, rain_drain_type: 'scupper', rain_intensity: 4, rain_tributary_area: 1000,
+    rain_scupper_width: 12, rain_drain_diameter: 4
+};
+
+describe('rain engine (ASCE 7-16 Chapter 8)', () => {
+    it('computes R = 5.2 (ds + dh) in imperial units', () => {
+        const { results } = rainLoadCalculator.run(baseInputs);
+        assertClose(results.R_nominal, 15.6, 1e-9, 'R');
+        assertClose(results.R_strength, 1.6 * 15.6, 1e-9, '1.6R');
+    });
+
+    it('computes R = 0.0098 (ds + dh) in SI units', () => {
+        const { results } = rainLoadCalculator.run({
+            ...baseInputs, rain_unit_system: 'metric', rain_static_head: 50, rain_hydraulic_head: 25
+        });
+        assertClose(results.R_nominal, 0.735, 1e-9, 'R (kN/m²)');
+    });
+
+    it('derives the hydraulic head of a scupper from the weir equation', () => {
+        const { results } = rainLoadCalculator.run({ ...baseInputs, dh_auto_calc_toggle: true });
+        // Q = 0.0104 (1000)(4) = 41.6 gpm; dh = (41.6 / (213 × 12))^(2/3)
+        assertClose(results.dh_final, 0.0642, 0.005, 'dh');
+        assertClose(results.R_nominal, 5.2 * (2 + 0.0642), 0.001, 'R');
+    });
+
+    it('warns when the hydraulic head exceeds the static head', () => {
+        const { warnings } = rainLoadCalculator.run({ ...baseInputs, rain_static_head: 0.5 });
+        assert.equal(warnings.length, 1);
+    });
+});
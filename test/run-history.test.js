@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { addRun, createEditHistory, diffRuns, recordEdit, redoEdit, runSummary, undoEdit } from '../js/run-history.js';
+
+describe('run log', () => {
+    it('numbers runs newest first and keeps only the last ones', () => {
+        let runs = [];
+        for (let i = 0; i < 4; i++) {
+            runs = addRun(runs, { inputs: { a: i }, checks: [], governing: null }, { now: new Date(Date.UTC(2024, 0, 1, 0, i)), limit: 3 });
+        }
+        assert.deepEqual(runs.map(run => run.number), [4, 3, 2]);
+        assert.equal(runs[0].saved_at, '2024-01-01T00:03:00.000Z');
+        assert.deepEqual(runs[0].inputs, { a: 3 });
+    });
+
+    it('keeps the main values of calculators without member checks', () => {
+        const summary = runSummary('snow', { results: { pf: 21.5, ps: 18.2 }, label: 'text' });
+        assert.equal(summary.governing, null);
+        assert.ok(summary.checks.length > 0);
+        summary.checks.forEach(check => assert.equal(typeof check.value, 'number'));
+    });
+});
+
+describe('edit history', () => {
+    it('undoes and redoes input edits', () => {
+        let history = createEditHistory({ a: 1 });
+        history = recordEdit(history, { a: 2 });
+        history = recordEdit(history, { a: 3 });
+        history = undoEdit(history);
+        assert.deepEqual(history.present, { a: 2 });
+        history = undoEdit(history);
+        assert.deepEqual(history.present, { a: 1 });
+        assert.equal(undoEdit(history), history);
+        history = redoEdit(history);
+        assert.deepEqual(history.present, { a: 2 });
+    });
+
+    it('ignores unchanged inputs and drops redo steps after a new edit', () => {
+        let history = recordEdit(createEditHistory({ a: 1 }), { a: 2 });
+        assert.equal(recordEdit(history, { a: 2 }), history);
+        history = recordEdit(undoEdit(history), { a: 5 });
+        assert.deepEqual(history.future, []);
+        assert.equal(redoEdit(history), history);
+    });
+
+    it('limits the number of undo steps', () => {
+        let history = createEditHistory({ a: 0 });
+        for (let i = 1; i <= 5; i++) history = recordEdit(history, { a: i }, 3);
+        assert.deepEqual(history.past, [{ a: 2 }, { a: 3 }, { a: 4 }]);
+    });
+});
+
+describe('run comparison', () => {
+    it('flags changed inputs and the change of each result', () => {
+        const a = { inputs: { Fy: 50, shape: 'W12x26' }, checks: [{ name: 'Flexure', value: 0.8 }, { name: 'Shear', value: 0.3 }] };
+        const b = { inputs: { Fy: 50, shape: 'W14x30' }, checks: [{ name: 'Flexure', value: 0.65 }] };
+        const diff = diffRuns(a, b, ['shape', 'Fy', 'Lb']);
+        assert.deepEqual(diff.inputs.map(row => row.changed), [true, false, false]);
+        assert.equal(diff.inputs[2].a, null);
+        assert.equal(diff.results[0].name, 'Flexure');
+        assert.ok(Math.abs(diff.results[0].delta + 0.15) < 1e-9);
+        assert.deepEqual(diff.results[1], { name: 'Shear', a: 0.3, b: null, delta: null });
+    });
+});
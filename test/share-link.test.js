@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHARE_LINK_VERSION, decodeShareState, encodeShareState, parseShareHash, shareLinkUrl } from '../js/share-link.js';
+import { inputSchemas } from '../js/input-schemas.js';
+
+const wind = inputSchemas.wind;
+const rain = inputSchemas.rain;
+
+describe('share links', () => {
+    it('restores every input of a calculator, including empty fields', async () => {
+        const inputs = { asce_standard: 'ASCE 7-22', basic_wind_speed: 115, mean_roof_height: 32.5, roof_type: 'gable' };
+        const token = await encodeShareState(wind, inputs);
+        assert.match(token, new RegExp(`^${SHARE_LINK_VERSION}\\.[A-Za-z0-9_-]+$`));
+
+        const { inputs: restored, report } = await decodeShareState(token, wind);
+        assert.equal(restored.basic_wind_speed, 115);
+        assert.equal(restored.roof_type, 'gable');
+        assert.equal(restored.fundamental_period, null);
+        assert.deepEqual(Object.keys(restored).sort(), Object.keys(wind.fields).sort());
+        assert.deepEqual(report.missing, []);
+    });
+
+    it('keeps booleans as booleans', async () => {
+        const token = await encodeShareState(rain, { dh_auto_calc_toggle: false });
+        const { inputs } = await decodeShareState(token, rain);
+        assert.equal(inputs.dh_auto_calc_toggle, false);
+    });
+
+    it('compresses long input sets', async () => {
+        const inputs = Object.fromEntries(Object.keys(wind.fields).map(id => [id, wind.fields[id] === 'number' ? 12.5 : 'Enclosed']));
+        const token = await encodeShareState(wind, inputs);
+        assert.ok(token.length < JSON.stringify(inputs).length);
+    });
+
+    it('rejects damaged links, newer formats and other calculators', async () => {
+        const token = await encodeShareState(wind, { basic_wind_speed: 115 });
+        await assert.rejects(decodeShareState(token.slice(0, 12), wind), /incomplete or damaged/);
+        await assert.rejects(decodeShareState('not a link', wind), /incomplete or damaged/);
+        await assert.rejects(decodeShareState(token.replace(/^\d+/, String(SHARE_LINK_VERSION + 1)), wind), /newer version/);
+        await assert.rejects(decodeShareState(token, rain), /"wind" calculator/);
+    });
+
+    it('puts the token in the hash and reads it back', () => {
+        const url = shareLinkUrl('https://example.com/asce/wind.html?x=1#old', '1.abc_-', { run: true });
+        assert.equal(url, 'https://example.com/asce/wind.html?x=1#share=1.abc_-&run=1');
+        assert.deepEqual(parseShareHash(new URL(url).hash), { token: '1.abc_-', run: true });
+        assert.deepEqual(parseShareHash('#share=1.abc'), { token: '1.abc', run: false });
+        assert.equal(parseShareHash('#us-codes-section'), null);
+        assert.equal(parseShareHash(''), null);
+    });
+});
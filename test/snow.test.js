@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { snowLoadCalculator } from '../asce/snow-engine.js';
+import { assertClose } from './helpers.js';
+
+// Heated flat roof, pg = 30 psf, Risk Category II, Exposure C partially exposed: Ce = Ct = Is = 1.0.
+const baseInputs = {
+    snow_asce_standard: 'ASCE 7-16', snow_unit_system: 'imperial', snow_risk_category: 'II',
+    snow_design_method: 'ASD', snow_jurisdiction: 'ASCE 7', snow_ground_snow_load: 30,
+    snow_surface_roughness_category: 'C', snow_exposure_condition: 'Partially Exposed',
+    snow_thermal_condition: 'Heated Structure', snow_roof_type: 'gable_hip', snow_roof_slope_degrees: 0,
+    snow_is_roof_slippery: 'No', snow_calculate_unbalanced: 'No', snow_calculate_drift: 'No',
+    snow_calculate_sliding: 'No', snow_nycbc_minimum_roof_snow_load: 20, snow_eave_to_ridge_distance_W: 25,
+    snow_is_simply_supported_prismatic: 'Yes', snow_winter_wind_parameter_W2: 0.55,
+    snow_upper_roof_length_lu: 100, snow_height_difference_hc: 10, snow_lower_roof_length_ll: 100
+};
+
+describe('snow engine (ASCE 7-16 Chapter 7)', () => {
+    it('accepts a flat roof with a 0° slope', () => {
+        // Before, a 0 slope counted as a missing input and the run stopped with
+        // "Missing required inputs: snow_roof_slope_degrees".
+        const results = snowLoadCalculator.run(baseInputs, { warnings: [] });
+        assert.equal(results.success, true);
+        assert.equal(results.error, undefined);
+    });
+
+    it('computes the flat roof snow load, pf = 0.7 Ce Ct Is pg', () => {
+        const { intermediate, results } = snowLoadCalculator.run(baseInputs, { warnings: [] });
+        assert.equal(intermediate.Cs, 1);
+        assertClose(intermediate.pf, 21.0, 1e-9, 'pf');
+        assertClose(results.ps_balanced_nominal, 21.0, 1e-9, 'ps');
+    });
+
+    it('applies the low-slope minimum 20 Is psf when it governs', () => {
+        const { intermediate, results } = snowLoadCalculator.run(
+            { ...baseInputs, snow_exposure_condition: 'Fully Exposed' }, { warnings: [] }
+        );
+        // pf = 0.7 (0.9)(1.0)(1.0)(30) = 18.9 psf < 20 psf
+        assertClose(intermediate.pf, 18.9, 1e-9, 'pf');
+        assert.equal(intermediate.asce7_min_governed, true);
+        assertClose(results.ps_balanced_nominal, 20.0, 1e-9, 'ps');
+    });
+
+    it('computes leeward drift geometry and surcharge (Fig. 7.6-1)', () => {
+        const { drift } = snowLoadCalculator.run({ ...baseInputs, snow_calculate_drift: 'Yes' }, { warnings: [] });
+        // γ = 0.13(30) + 14 = 17.9 pcf; hd = 0.43 (100)^(1/3) (40)^(1/4) - 1.5 = 3.52 ft
+        assert.equal(drift.applicable, true);
+        assertClose(drift.gamma, 17.9, 1e-9, 'γ');
+        assertClose(drift.hd, 3.52, 0.002, 'hd');
+        assertClose(drift.w, 4 * 3.52, 0.002, 'w');
+        assertClose(drift.pd_nominal, 3.52 * 17.9, 0.002, 'pd');
+    });
+
+    it('caps the drift surcharge at hc when the drift would overtop the step', () => {
+        const { drift } = snowLoadCalculator.run(
+            { ...baseInputs, snow_calculate_drift: 'Yes', snow_height_difference_hc: 3 }, { warnings: [] }
+        );
+        // hd = 3.52 ft > hc = 3 ft: w = 4 hd² / hc, pd = hc γ = 53.7 psf. Before, pd = hd γ = 63.0 psf,
+        // a surcharge taller than the step it drifts against.
+        assertClose(drift.w, 4 * 3.5194 ** 2 / 3, 0.002, 'w');
+        assertClose(drift.pd_nominal, 3 * 17.9, 1e-9, 'pd');
+        assertClose(drift.hd * drift.gamma, 63.0, 0.002, 'pd before');
+    });
+
+    it('skips the drift when hc/hb ≤ 0.2', () => {
+        const { drift } = snowLoadCalculator.run(
+            { ...baseInputs, snow_calculate_drift: 'Yes', snow_height_difference_hc: 0.2 }, { warnings: [] }
+        );
+        assert.equal(drift.applicable, false);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spliceCalculator } from '../aisc/splice-engine.js';
+import { assertClose } from './helpers.js';
+
+// Bolted flange-plate splice of a W18x50 with 7/8 in. A325-N bolts and A36 plates.
+const baseInputs = {
+    design_method: 'LRFD', gap: 1.0, deformation_is_consideration: true, M_load: 150, V_load: 40, Axial_load: 0,
+    develop_capacity_check: false, member_d: 18.0, member_bf: 7.5, member_tf: 0.57, member_tw: 0.355,
+    member_Fy: 50, member_Fu: 65, member_Zx: 101, member_Sx: 88.9,
+    num_flange_plates: '2', H_fp: 9.0, t_fp: 0.5, L_fp: 18.0, flange_plate_Fy: 36, flange_plate_Fu: 58,
+    H_fp_inner: 6.0, t_fp_inner: 0.5, L_fp_inner: 18.0, flange_plate_Fy_inner: 36, flange_plate_Fu_inner: 58,
+    D_fp: 0.875, bolt_grade_fp: 'A325', threads_included_fp: true, Nc_fp: 2, Nr_fp: 1,
+    S1_col_spacing_fp: 3.0, S2_row_spacing_fp: 3.0, S3_end_dist_fp: 1.5, g_gage_fp: 5.5,
+    num_web_plates: '2', H_wp: 12.0, t_wp: 0.375, L_wp: 12.0, web_plate_Fy: 36, web_plate_Fu: 58,
+    D_wp: 0.875, bolt_grade_wp: 'A325', threads_included_wp: true, Nc_wp: 2, Nr_wp: 3,
+    S4_col_spacing_wp: 3.0, S5_row_spacing_wp: 3.0, S6_end_dist_wp: 1.5
+};
+
+describe('bolted splice engine (AISC 360 Chapter J)', () => {
+    const { checks, geomChecks } = spliceCalculator.run(baseInputs);
+
+    it('computes single-shear bolt strength (Manual Table 7-1: φrn = 24.3 kips)', () => {
+        const boltShear = checks['Flange Bolt Shear'];
+        assertClose(boltShear.check.Fnv, 54, 1e-9, 'Fnv');
+        assertClose(boltShear.details.Rn_single, 32.47, 0.001, 'rn');
+        assertClose(boltShear.check.phi * boltShear.details.Rn_single, 24.35, 0.002, 'φrn');
+    });
+
+    it('resolves the moment into a flange force over the flange centroid distance', () => {
+        // Ff = 150 × 12 / (18.0 - 0.57) = 103.3 kips
+        assertClose(checks['Flange Bolt Shear'].demand, 103.3, 0.001, 'Ff');
+    });
+
+    it('checks flange plate tension yielding and rupture (Eqs. J4-1, J4-2)', () => {
+        // Ag = 9 × 0.5; An = (9 - 2 × (7/8 + 1/8)) × 0.5
+        assertClose(checks['Outer Plate GSY'].check.Rn, 36 * 4.5, 1e-9, 'gross yield');
+        assertClose(checks['Outer Plate NSF'].check.An, 3.5, 1e-9, 'An');
+        assertClose(checks['Outer Plate NSF'].check.Rn, 58 * 3.5, 1e-9, 'net rupture');
+    });
+
+    it('checks web plate shear yielding (Eq. J4-3)', () => {
+        // Two 12 × 3/8 plates: Rn = 0.6 (36)(2 × 12 × 0.375)
+        assertClose(checks['Web Plate Gross Shear Yield'].check.Rn, 194.4, 1e-9, 'Rn');
+    });
+
+    it('passes the minimum spacing and edge distance checks', () => {
+        for (const group of Object.values(geomChecks)) {
+            for (const [name, check] of Object.entries(group)) {
+                assert.equal(check.pass, true, name);
+            }
+        }
+    });
+});
+
+describe('splice calculation trace', () => {
+    const { checks } = spliceCalculator.run(baseInputs);
+
+    it('reports the strength of the whole flange bolt group', () => {
+        const boltShear = checks['Flange Bolt Shear'];
+        // Nc × Nr = 2 bolts per side of the splice, on both flanges
+        assert.equal(boltShear.details.num_bolts, 4);
+        assertClose(boltShear.check.Rn, boltShear.details.Rn_single * boltShear.details.num_bolts, 1e-9, 'Rn');
+    });
+
+    it('no longer checks the flange force against a single bolt', () => {
+        const boltShear = checks['Flange Bolt Shear'];
+        // Before, the single-bolt check was spread over the group's Rn, so φRn = 0.75 × 32.47 = 24.35 kips
+        // stood against the whole flange force of 103.3 kips. The 4 bolts give φRn = 97.4 kips.
+        const before = boltShear.check.phi * boltShear.details.Rn_single;
+        assertClose(before, 24.35, 0.002, 'φRn before');
+        assertClose(boltShear.check.phi * boltShear.check.Rn, 4 * before, 1e-9, 'φRn');
+        assertClose(boltShear.demand, 150 * 12 / (18.0 - 0.57), 1e-9, 'flange force');
+
+        // The web takes the moment the flange bolts cannot: M_web = max(M - φRn (d - tf), M_ecc), and
+        // Tu = M_web y / (Σy² Nc) = M_web × 3 / (18 × 2). Before, M_web = 1800 - 24.35 × 17.43 = 1376 kip-in.
+        const webTension = checks['Web Bolt Shear/Tension Interaction'].demand;
+        assertClose((1800 - before * 17.43) / 12, 114.6, 0.001, 'Tu before');
+        assertClose(webTension, 140 / 12, 1e-9, 'Tu');
+    });
+
+    it('ends each trace with the design strength of its check', () => {
+        for (const [name, check] of Object.entries(checks)) {
+            const steps = check.trace.flatMap(section => section.steps);
+            assert.equal(steps.at(-1).label, 'Design Strength', name);
+            assertClose(steps.at(-1).result, check.check.phi * check.check.Rn, 1e-9, name);
+        }
+    });
+});
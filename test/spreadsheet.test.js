@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildXlsx, columnName, parseCellValue, reportSheets, sheetName, sheetsToCsv, tableToRows } from '../js/spreadsheet.js';
+
+const row = (texts, header = false) => ({ header, cells: texts.map(text => (typeof text === 'string' ? { text } : text)) });
+
+describe('table cells', () => {
+    it('reads quantities with their units', () => {
+        assert.deepEqual(parseCellValue('-12.50 psf'), { value: -12.5, unit: 'psf' });
+        assert.deepEqual(parseCellValue('212.00 kip-ft'), { value: 212, unit: 'kip-ft' });
+        assert.deepEqual(parseCellValue('3.2 kN/cm²'), { value: 3.2, unit: 'kN/cm²' });
+        assert.deepEqual(parseCellValue('85%'), { value: 85, unit: '%' });
+        assert.deepEqual(parseCellValue('0.532'), { value: 0.532, unit: '' });
+    });
+
+    it('reads numbers written with a decimal comma', () => {
+        const options = { decimalComma: true };
+        assert.deepEqual(parseCellValue('1.234,50 kN·m', options), { value: 1234.5, unit: 'kN·m' });
+        assert.deepEqual(parseCellValue('-0,18', options), { value: -0.18, unit: '' });
+        assert.deepEqual(parseCellValue('1.250 MPa', options), { value: 1250, unit: 'MPa' });
+    });
+
+    it('leaves text that is not a plain quantity alone', () => {
+        ['Pass', '2x4', '1.2D + 1.6L', '1.50 cm (L/350)', ''].forEach(text => assert.equal(parseCellValue(text), null, text));
+    });
+});
+
+describe('tables to sheet rows', () => {
+    it('keeps numbers as numbers and moves a shared unit into the header', () => {
+        const { header, body } = tableToRows({
+            rows: [row(['Check', 'Demand', 'Ratio', 'Status'], true), row(['Flexure', '10.0 kips', '0.50', 'OK']), row(['Shear', '4.0 kips', '1.20', 'FAIL'])]
+        });
+        assert.deepEqual(header, ['Check', 'Demand (kips)', 'Ratio', 'Status']);
+        assert.deepEqual(body, [['Flexure', 10, 0.5, 'OK'], ['Shear', 4, 1.2, 'FAIL']]);
+    });
+
+    it('does not repeat a unit the header already names', () => {
+        const { header, body } = tableToRows({ rows: [row(['Zone', 'Pressure [psf]'], true), row(['1', '-20.5 psf'])] });
+        assert.deepEqual(header, ['Zone', 'Pressure [psf]']);
+        assert.deepEqual(body, [[1, -20.5]]);
+    });
+
+    it('gives mixed units a column of their own', () => {
+        const { header, body } = tableToRows({ rows: [row(['Check', 'Demand'], true), row(['Flexure', '212.00 kip-ft']), row(['Shear', '30.00 kips'])] });
+        assert.deepEqual(header, ['Check', 'Demand', 'Demand unit']);
+        assert.deepEqual(body, [['Flexure', 212, 'kip-ft'], ['Shear', 30, 'kips']]);
+    });
+
+    it('splits columns of value pairs', () => {
+        const { header, body } = tableToRows({ rows: [row(['Zone', 'LRFD Pressure (+ / -) [psf]'], true), row(['1', '16.00 / -28.50'])] });
+        assert.deepEqual(header, ['Zone', 'LRFD Pressure (+) [psf]', 'LRFD Pressure (-) [psf]']);
+        assert.deepEqual(body, [[1, 16, -28.5]]);
+    });
+
+    it('keeps full-width rows as group labels and expands column spans', () => {
+        const { body } = tableToRows({
+            rows: [
+                row(['Limit State', 'Demand', 'Ratio'], true),
+                row([{ text: 'Flange Splice Checks', colspan: 3 }]),
+                row(['Bolt Shear', '12.00', '0.400']),
+                row(['Interaction', { text: 'Eq. 5.4.2.2', colspan: 1 }, '0.9'])
+            ]
+        });
+        assert.deepEqual(body, [['Flange Splice Checks'], ['Bolt Shear', '12.00', 0.4], ['Interaction', 'Eq. 5.4.2.2', 0.9]]);
+    });
+});
+
+describe('workbooks', () => {
+    const sections = [
+        { title: 'Design Pressures: Wall/Roof', tables: [{ caption: 'Windward', rows: [row(['Zone', 'p'], true), row(['1', '12.0 psf'])] }] },
+        { title: 'Design Pressures: Wall/Roof', tables: [{ caption: '', rows: [row(['a', 'b'])] }] },
+        { title: 'Notes', tables: [] }
+    ];
+
+    it('names sheets within Excel limits', () => {
+        const used = new Set();
+        assert.equal(sheetName('A very long section title that goes past the limit', used), 'A very long section title that');
+        assert.equal(sheetName('Loads [ASD]: 1/2', used), 'Loads ASD 1 2');
+        assert.equal(sheetName('loads asd 1 2', used), 'loads asd 1 2 (2)');
+        assert.equal(sheetName('', used), 'Sheet');
+    });
+
+    it('builds one sheet per section with tables under their captions', () => {
+        const sheets = reportSheets(sections);
+        assert.deepEqual(sheets.map(sheet => sheet.name), ['Design Pressures Wall Roof', 'Design Pressures Wall Roof (2)']);
+        assert.deepEqual(sheets[0].rows, [
+            { cells: ['Windward'], bold: true }, { cells: ['Zone', 'p (psf)'], bold: true }, { cells: [1, 12] }
+        ]);
+        assert.equal(sheetsToCsv(sheets), 'Design Pressures: Wall/Roof\nWindward\nZone,p (psf)\n1,12\n\nDesign Pressures: Wall/Roof\na,b\n');
+    });
+
+    it('numbers columns like a spreadsheet', () => {
+        assert.deepEqual([0, 25, 26, 701, 702].map(columnName), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+    });
+
+    it('writes numeric cells as numbers and text as inline strings', () => {
+        const zip = buildXlsx(reportSheets(sections), new Date(Date.UTC(2026, 0, 2)));
+        const text = new TextDecoder().decode(zip);
+        assert.ok(text.includes('<sheet name="Design Pressures Wall Roof (2)" sheetId="2" r:id="rId2"/>'));
+        assert.ok(text.includes('<c r="A3"><v>1</v></c><c r="B3"><v>12</v></c>'));
+        assert.ok(text.includes('<c r="B2" s="1" t="inlineStr"><is><t xml:space="preserve">p (psf)</t></is></c>'));
+        assert.ok(text.includes('xl/worksheets/sheet2.xml'));
+    });
+});
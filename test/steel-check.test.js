@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { steelChecker } from '../aisc/steel-check-engine.js';
+import { assertClose } from './helpers.js';
+
+// Tabulated properties from the AISC Manual, Table 1-1, entered through the Manual Input path.
+const W18X50 = {
+    d: 18.0, bf: 7.50, tf: 0.570, tw: 0.355, Ag_manual: 14.7, I_manual: 800, Sx_manual: 88.9, Zx_manual: 101,
+    Iy_manual: 40.1, Sy_manual: 10.7, Zy_manual: 16.6, ry_manual: 1.65, rts_manual: 1.98, J_manual: 1.24, Cw_manual: 3040
+};
+const W14X132 = {
+    d: 14.7, bf: 14.7, tf: 1.03, tw: 0.645, Ag_manual: 38.8, I_manual: 1530, Sx_manual: 209, Zx_manual: 234,
+    Iy_manual: 548, Sy_manual: 74.5, Zy_manual: 113, ry_manual: 3.76, rts_manual: 4.23, J_manual: 12.3, Cw_manual: 25500
+};
+
+const baseInputs = {
+    design_method: 'LRFD', aisc_standard: '360-16', unit_system: 'imperial', section_type: 'Manual Input',
+    Fy: 50, Fu: 65, E: 29000, Lb_input: 0, K: 1.0, Cb: 1.0, Cm: 1.0, lb_bearing: 4, k_des: 1.0,
+    is_end_bearing: 'true', Pu_or_Pa: 0, Mux_or_Max: 100, Muy_or_May: 0, Vu_or_Va: 10, Tu_or_Ta: 0,
+    deflection_span: 0, deflection_limit: 0, actual_deflection_input: 0, num_beams: 1, beam_spacing: 0,
+    ...W18X50
+};
+
+describe('steel member engine (AISC 360)', () => {
+    it('reaches the plastic moment of a continuously braced W18x50 (Design Example F.1-1A)', () => {
+        const { flexure } = steelChecker.run(baseInputs);
+        assert.equal(flexure.governing_limit_state, 'Yielding (F2.1)');
+        // φMn = 0.9 (50)(101) / 12 = 379 kip-ft
+        assertClose(flexure.phiMn_or_Mn_omega, 378.75, 0.001, 'φMn');
+    });
+
+    it('computes Lp from ry and Lr per Eqs. F2-5 and F2-6', () => {
+        const { flexure } = steelChecker.run(baseInputs);
+        // Lp = 1.76 (1.65) √(29000/50) = 69.9 in = 5.83 ft; Lr = 16.9 ft
+        assertClose(flexure.Lp / 12, 5.83, 0.002, 'Lp');
+        assertClose(flexure.Lr / 12, 16.9, 0.005, 'Lr');
+    });
+
+    it('no longer takes Lp from rts', () => {
+        const { flexure } = steelChecker.run(baseInputs);
+        // Before: Lp = 1.76 rts √(E/Fy) = 1.76 (1.98) √580 = 83.9 in = 6.99 ft, 20% long.
+        const before = 1.76 * 1.98 * Math.sqrt(29000 / 50);
+        assertClose(before / 12, 6.99, 0.002, 'Lp before');
+        assertClose(flexure.Lp, before * 1.65 / 1.98, 1e-9, 'Lp after');
+    });
+
+    it('reduces the W18x50 capacity for lateral-torsional buckling (Design Example F.1-3A)', () => {
+        const { flexure } = steelChecker.run({ ...baseInputs, Lb_input: 11.67, Cb: 1.01 });
+        assert.equal(flexure.governing_limit_state, 'Lateral-Torsional Buckling (F2.2)');
+        assertClose(flexure.phiMn_or_Mn_omega, 306, 0.01, 'φMn');
+    });
+
+    it('reports ASD strength as Mn / Ωb', () => {
+        const { flexure } = steelChecker.run({ ...baseInputs, design_method: 'ASD' });
+        assertClose(flexure.phiMn_or_Mn_omega, 5050 / 1.67 / 12, 0.001, 'Mn/Ω');
+    });
+
+    it('computes web shear yielding with Cv1 = 1.0 (Eq. G2-1)', () => {
+        const { shear } = steelChecker.run(baseInputs);
+        // Vn = 0.6 (50)(18.0)(0.355) = 191.7 kips
+        assertClose(shear.Vn, 191.7, 0.001, 'Vn');
+    });
+
+    it('computes flexural buckling of a W14x132 column with Lc = 30 ft (Eqs. E3-2, E3-4)', () => {
+        const { axial } = steelChecker.run({ ...baseInputs, ...W14X132, Lb_input: 30, Pu_or_Pa: -500, Mux_or_Max: 0 });
+        // Fe = π²E / (360/3.76)² = 31.2 ksi; Fcr = 0.658^(50/31.2) (50) = 25.6 ksi
+        assert.equal(axial.type, 'Compression');
+        assertClose(axial.Fe, 31.2, 0.003, 'Fe');
+        assertClose(axial.Fcr, 25.6, 0.003, 'Fcr');
+        assertClose(axial.phiPn_or_Pn_omega, 893, 0.003, 'φPn');
+    });
+
+    it('evaluates flexural-torsional buckling of a channel without a warping constant', () => {
+        // Before, this threw a ReferenceError: Fez of singly symmetric members used an undefined Lz.
+        // Lcz is now taken equal to Lc, and a missing Cw drops the warping term (conservative).
+        const { axial } = steelChecker.run({
+            ...baseInputs, section_type: 'channel', d: 10, bf: 2.6, tf: 0.436, tw: 0.24,
+            Lb_input: 8, Pu_or_Pa: -50, Mux_or_Max: 0
+        });
+        assert.equal(axial.buckling_mode, 'Flexural-Torsional Buckling (E4)');
+        assert.ok(axial.Fcr > 0 && axial.Fcr < 50, `Fcr = ${axial.Fcr}`);
+    });
+
+    it('applies K once to the torsional length of a doubly symmetric member (Eq. E4-2)', () => {
+        // A low-Cw, low-J section where torsional buckling governs, with K = 2 and Lb = 10 ft.
+        const { axial } = steelChecker.run({ ...baseInputs, K: 2, Lb_input: 10, J_manual: 0.01, Cw_manual: 1000, Pu_or_Pa: -20, Mux_or_Max: 0 });
+        const G = 29000 / 2.6;
+        const Fez = Lcz => (Math.PI ** 2 * 29000 * 1000 / Lcz ** 2 + G * 0.01) / (800 + 40.1);
+        assert.equal(axial.buckling_mode, 'Torsional Buckling (E4)');
+        // Lcz = Kz Lz = 2 (120) = 240 in: Fez = 6.05 ksi. Before, Kz multiplied Lc = K Lz again: Fez(480 in) = 1.61 ksi.
+        assertClose(axial.Fe, Fez(240), 1e-9, 'Fez after');
+        assertClose(Fez(240), 6.05, 0.005, 'Fez after');
+        assertClose(Fez(480), 1.61, 0.005, 'Fez before');
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertInputs, convertQuantity, convertUnit, convertUnitsInText, normalizeUnitSystem, unitLabel } from '../js/units.js';
+import { inputSchemas } from '../js/input-schemas.js';
+import { nbr6118Calculator } from '../nbr/nbr6118-engine.js';
+import { assertClose } from './helpers.js';
+
+describe('unit conversions', () => {
+    it('converts between units of the same dimension', () => {
+        assertClose(convertUnit(50, 'ksi', 'MPa'), 344.74, 1e-4, 'ksi → MPa');
+        assertClose(convertUnit(1, 'kip-ft', 'kN·m'), 1.3558, 1e-4, 'kip-ft → kN·m');
+        assertClose(convertUnit(20, 'psf', 'kPa'), 0.9576, 1e-4, 'psf → kPa');
+        assertClose(convertUnit(115, 'mph', 'm/s'), 51.41, 1e-4, 'mph → m/s');
+        assertClose(convertUnit(800, 'in⁴', 'mm⁴'), 3.330e8, 1e-3, 'in⁴ → mm⁴');
+        assert.equal(convertUnit(12, 'in', 'in'), 12);
+    });
+
+    it('refuses to mix dimensions or unknown units', () => {
+        assert.throws(() => convertUnit(1, 'ksi', 'kN'), /Cannot convert/);
+        assert.throws(() => convertUnit(1, 'furlong', 'm'), /Unknown unit/);
+    });
+
+    it('resolves quantities per unit system', () => {
+        assert.equal(unitLabel('moment', 'imperial'), 'kip-ft');
+        assert.equal(unitLabel('section_dimension', 'Metric'), 'cm');
+        assertClose(convertQuantity(20, 'section_dimension', 'metric', 'imperial'), 7.874, 1e-4, 'cm → in');
+        assert.equal(normalizeUnitSystem('SI'), 'metric');
+        assert.equal(normalizeUnitSystem('Imperial'), 'imperial');
+        assert.equal(normalizeUnitSystem('furlongs'), null);
+    });
+
+    it('converts only the tagged numeric inputs of a schema', () => {
+        const schema = inputSchemas['steel-check'];
+        const metric = { unit_system: 'metric', Fy: 345, Lb_input: 3, Mux_or_Max: 135.58, Cb: 1.0, section_type: 'W', d: undefined };
+        const imperial = convertInputs(metric, schema.quantities, 'metric', schema.engineUnits);
+        assertClose(imperial.Fy, 50.04, 1e-3, 'Fy');
+        assertClose(imperial.Lb_input, 9.843, 1e-3, 'Lb');
+        assertClose(imperial.Mux_or_Max, 100, 1e-4, 'Mux');
+        assert.equal(imperial.Cb, 1.0);
+        assert.equal(imperial.section_type, 'W');
+        assert.equal(imperial.d, undefined);
+    });
+
+    it('gives the same result for a metric engine run with imperial inputs', () => {
+        const schema = inputSchemas.nbr6118;
+        const si = { fck: 25, fyk: 500, bw: 20, h: 50, c: 3, num_barras: 3, diam_barra: 16, diam_estribo: 6.3, pernas_estribo: 2, s_estribo: 15, Msd: 80, Vsd: 100 };
+        const us = convertInputs(si, schema.quantities, 'metric', 'imperial');
+        const back = convertInputs(us, schema.quantities, 'imperial', schema.engineUnits);
+        const expected = nbr6118Calculator.calculate(si).results.flexure_details.Mrd;
+        assertClose(nbr6118Calculator.calculate(back).results.flexure_details.Mrd, expected, 1e-9, 'MRd');
+    });
+});
+
+describe('report text conversion', () => {
+    it('rewrites number-unit pairs into the other system', () => {
+        const text = 'Vn = 191.70 kips; Lb = 11.67 ft; Ag = 14.70 in²; Mn = 378.75 kip-ft';
+        assert.equal(convertUnitsInText(text, 'imperial', 'metric'), 'Vn = 852.72 kN; Lb = 3.56 m; Ag = 9483.85 mm²; Mn = 513.52 kN·m');
+    });
+
+    it('keeps at least three significant figures and a decimal comma', () => {
+        assert.equal(convertUnitsInText('fck = 25 MPa', 'metric', 'imperial'), 'fck = 3.63 ksi');
+        assert.equal(convertUnitsInText('d = 45,57 cm', 'metric', 'imperial'), 'd = 17,94 in');
+    });
+
+    it('leaves words, section names and same-system text alone', () => {
+        const text = 'W18x50 in profile, 3 inches, 12 in.';
+        assert.equal(convertUnitsInText(text, 'imperial', 'metric'), 'W18x50 in profile, 3 inches, 305 mm.');
+        assert.equal(convertUnitsInText('5.00 kips', 'imperial', 'imperial'), '5.00 kips');
+    });
+});
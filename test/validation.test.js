@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateCheck, meetsCondition, resolveLimit, validateInputs } from '../js/validation.js';
+import { validationRules } from '../js/validation-rules.js';
+import { inputSchemas } from '../js/input-schemas.js';
+import { assertClose } from './helpers.js';
+
+const fieldsWith = (validation, level) => validation.issues.filter(issue => issue.level === level).map(issue => issue.field);
+
+describe('validation rules engine', () => {
+    it('reports required fields and hard limits against their field', () => {
+        const rules = { a: { required: true, label: 'A' }, b: { min: 1, max: 5, label: 'B' } };
+        const validation = validateInputs({ a: '', b: 9 }, rules);
+        assert.deepEqual(validation.errors, ['A is required.', 'B must be no more than 5.']);
+        assert.deepEqual(validation.issues.map(issue => issue.field), ['a', 'b']);
+        assert.deepEqual(validation.warnings, []);
+    });
+
+    it('applies conditions to requirements and checks', () => {
+        assert.ok(meetsCondition({ kind: ['gable', 'hip'], n: 2 }, { kind: 'hip', n: '2' }));
+        assert.ok(!meetsCondition({ kind: 'gable' }, { kind: 'flat' }));
+        const rules = { T: { requiredWhen: { flexibility: 'Flexible' }, label: 'T' } };
+        assert.deepEqual(validateInputs({ flexibility: 'Rigid' }, rules).errors, []);
+        assert.deepEqual(validateInputs({ flexibility: 'Flexible' }, rules).errors, ['T is required.']);
+    });
+
+    it('evaluates cross-field comparisons and skips them when an input is missing', () => {
+        assert.deepEqual(evaluateCheck('tf < d / 2', { tf: 1, d: 10 }), { passed: true, limit: 5 });
+        assert.equal(evaluateCheck('tf < d / 2', { tf: 6, d: 10 }).passed, false);
+        assert.equal(evaluateCheck('tf < d / 2', { tf: 1 }), null);
+        assert.throws(() => evaluateCheck('tf + d', { tf: 1, d: 2 }), /not a comparison/);
+    });
+
+    it('converts limits given with a unit to the unit system in use', () => {
+        assert.deepEqual(resolveLimit(85, 'speed', 'metric'), { value: 85, text: '85' });
+        const metric = resolveLimit({ value: 85, unit: 'mph' }, 'speed', 'metric');
+        assertClose(metric.value, 38.0, 0.001, '85 mph');
+        assert.equal(metric.text, '38 m/s');
+        assert.equal(resolveLimit({ value: 85, unit: 'mph' }, 'speed', 'imperial').text, '85 mph');
+    });
+});
+
+describe('calculator validation rules', () => {
+    const wind = inputs => validateInputs(inputs, validationRules.wind, { quantities: inputSchemas.wind.quantities, unitSystem: inputs.unit_system });
+    const windInputs = {
+        unit_system: 'imperial', basic_wind_speed: 115, mean_roof_height: 30, building_length_L: 100,
+        building_width_B: 100, roof_type: 'gable', roof_slope_deg: 20, effective_wind_area: 10, building_flexibility: 'Rigid'
+    };
+
+    it('accepts a typical wind case', () => {
+        const validation = wind(windInputs);
+        assert.deepEqual(validation.issues, []);
+    });
+
+    it('checks the wind speed in the units selected on the page', () => {
+        // 40 m/s is about 89 mph: accepted on a metric page, below the 60 mph floor on an imperial one.
+        assert.deepEqual(wind({ ...windInputs, unit_system: 'metric', basic_wind_speed: 40 }).issues, []);
+        assert.deepEqual(fieldsWith(wind({ ...windInputs, basic_wind_speed: 40 }), 'error'), ['basic_wind_speed']);
+        assert.deepEqual(fieldsWith(wind({ ...windInputs, basic_wind_speed: 70 }), 'warning'), ['basic_wind_speed']);
+    });
+
+    it('limits the slope of gable and hip roofs and flags oversized wind areas', () => {
+        assert.deepEqual(fieldsWith(wind({ ...windInputs, roof_slope_deg: 50 }), 'error'), ['roof_slope_deg']);
+        assert.deepEqual(wind({ ...windInputs, roof_type: 'monoslope', roof_slope_deg: 50 }).errors, []);
+        assert.deepEqual(fieldsWith(wind({ ...windInputs, building_length_L: 50, building_width_B: 50, effective_wind_area: 4000 }), 'warning'), ['effective_wind_area']);
+        assert.deepEqual(fieldsWith(wind({ ...windInputs, building_flexibility: 'Flexible' }), 'error'), ['fundamental_period']);
+    });
+
+    it('checks steel section proportions and material strengths', () => {
+        const steel = { Fy: 50, Fu: 65, E: 29000, d: 12, bf: 6, tf: 0.5, Lb_input: 10 };
+        assert.deepEqual(validateInputs(steel, validationRules.steel_check).issues, []);
+        const bad = validateInputs({ ...steel, tf: 7, Fu: 45, Fy: 100 }, validationRules.steel_check);
+        assert.deepEqual(fieldsWith(bad, 'error'), ['Fu', 'tf']);
+        assert.deepEqual(fieldsWith(bad, 'warning'), ['Fy']);
+        assert.match(bad.errors[1], /half the depth \(6 in\)/);
+    });
+
+    it('checks the minimum bolt spacing of splices', () => {
+        const spacing = { D_fp: 0.75, S1_col_spacing_fp: 3, S2_row_spacing_fp: 1.5, D_wp: 0.75, S4_col_spacing_wp: 3, S5_row_spacing_wp: 3 };
+        const validation = validateInputs(spacing, { S1_col_spacing_fp: validationRules.splice.S1_col_spacing_fp, S2_row_spacing_fp: validationRules.splice.S2_row_spacing_fp });
+        assert.deepEqual(fieldsWith(validation, 'error'), ['S2_row_spacing_fp']);
+        assert.match(validation.errors[0], /\(2 in, AISC 360 J3\.3\)/);
+    });
+});
@@ -0,0 +1,336 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { windLoadCalculator } from '../asce/wind-engine.js';
+import { getDirectionalExposures, getExposureFetchLimits, getSectorExposure } from '../asce/wind-exposure.js';
+import { getSolidSignCaseCRegions, getSolidSignCf } from '../asce/wind-other-structures.js';
+import { assertClose } from './helpers.js';
+
+// Enclosed, rigid, flat-roofed building: V = 115 mph, Exposure C, h = 30 ft, L = B = 100 ft.
+// qh = 0.00256 Kz Kzt Kd Ke V² with Kz = 2.01 (30/900)^(2/9.5) (Table 26.10-1 lists 0.98).
+const baseInputs = {
+    asce_standard: 'ASCE 7-16', unit_system: 'imperial', risk_category: 'II', design_method: 'LRFD',
+    basic_wind_speed: 115, exposure_category: 'C', mean_roof_height: 30,
+    building_length_L: 100, building_width_B: 100, enclosure_classification: 'Enclosed',
+    jurisdiction: 'ASCE 7', ground_elevation: 0, roof_type: 'flat', roof_slope_deg: 0,
+    wind_obstruction: 'unobstructed', effective_wind_area: 10, building_flexibility: 'Rigid',
+    fundamental_period: 1, structure_type_for_kd: 'Buildings (MWFRS, C&C)', topographic_factor_Kzt: 1,
+    gust_effect_factor_g: 0.85, temporary_construction: 'No', calculate_height_varying_pressure: 'No'
+};
+
+const surface = (results, name) => results.directional_results.perp_to_L.find(row => row.surface === name);
+
+describe('wind engine (ASCE 7-16 Chapter 27, directional procedure)', () => {
+    const results = windLoadCalculator.run(baseInputs, { warnings: [], errors: [] });
+
+    it('computes the velocity pressure at mean roof height', () => {
+        assertClose(results.intermediate.Kz, 0.982, 0.002, 'Kz');
+        assert.equal(results.intermediate.Kd, 0.85);
+        assert.equal(results.intermediate.Ke, 1);
+        assertClose(results.intermediate.qz, 28.27, 0.002, 'qh');
+    });
+
+    it('combines external and internal pressure on the walls', () => {
+        const windward = surface(results, 'Windward Wall');
+        assert.equal(windward.cp, 0.8);
+        assertClose(windward.p_pos, 14.13, 0.002, 'windward p (+GCpi)');
+        assertClose(windward.p_neg, 24.31, 0.002, 'windward p (-GCpi)');
+
+        const leeward = surface(results, 'Leeward Wall');
+        assert.equal(leeward.cp, -0.5);
+        assertClose(leeward.p_pos, -17.10, 0.002, 'leeward p (+GCpi)');
+        assertClose(leeward.p_neg, -6.93, 0.002, 'leeward p (-GCpi)');
+    });
+
+    it('reports ASD pressures as 0.6 times strength-level pressures', () => {
+        const windward = surface(results, 'Windward Wall');
+        assertClose(windward.p_pos_asd, 0.6 * windward.p_pos, 1e-9, 'windward ASD');
+    });
+
+    it('scales velocity pressure by the ground elevation factor', () => {
+        const highSite = windLoadCalculator.run({ ...baseInputs, ground_elevation: 5000 }, { warnings: [], errors: [] });
+        // Table 26.9-1: Ke = 0.83 at 5000 ft.
+        assertClose(highSite.intermediate.Ke, 0.83, 0.005, 'Ke');
+        assertClose(highSite.intermediate.qz, 0.83 * 28.27, 0.005, 'qh at 5000 ft');
+    });
+
+    it('reads Ke from the values of Table 26.9-1', () => {
+        const ke = ground_elevation => windLoadCalculator.run({ ...baseInputs, ground_elevation }, { warnings: [], errors: [] }).intermediate.Ke;
+        // Before, the table ran 0.90 at 1000 ft down to 0.61 at 5000 ft, up to 27% low, and gave
+        // 1.05 at 500 ft below sea level.
+        assertClose(ke(1000), 0.96, 1e-9, 'Ke at 1000 ft (0.90 before)');
+        assertClose(ke(2500), 0.915, 1e-9, 'Ke at 2500 ft (0.78 before)');
+        assert.equal(ke(-500), 1);
+        assert.equal(windLoadCalculator.run({ ...baseInputs, asce_standard: 'ASCE 7-22', ground_elevation: 5000 }, { warnings: [], errors: [] }).intermediate.Ke, 1);
+    });
+
+    it('traces Kz at the 15 ft minimum height for low roofs', () => {
+        const low = windLoadCalculator.run({ ...baseInputs, mean_roof_height: 10 }, { warnings: [], errors: [] });
+        const steps = low.trace.flatMap(section => section.steps);
+        assert.equal(steps.find(step => step.symbol === 'z').result, 15);
+        assert.equal(steps.find(step => step.symbol === 'K_z').result, low.intermediate.Kz);
+    });
+});
+
+describe('wind engine (open buildings with free roofs)', () => {
+    const open = { ...baseInputs, enclosure_classification: 'Open', building_length_L: 60, roof_type: 'pitched_troughed', roof_slope_deg: 15 };
+    const run = (inputs) => windLoadCalculator.run({ ...open, ...inputs }, { warnings: [], errors: [] });
+    const row = (rows, name) => rows.find(r => r.surface === name);
+
+    it('gives net pressures p = qh G CN for both load cases, normal to the ridge', () => {
+        const results = run({});
+        const rows = results.directional_results.perp_to_L;
+        // Fig. 27.3-5, θ = 15°, clear wind flow: Case A CNW = 0.6, CNL = -1.0; Case B CNW = -0.3, CNL = -1.3.
+        assert.deepEqual(rows.map(r => r.cn), [0.6, -1.0, -0.3, -1.3]);
+        const windwardA = row(rows, 'Windward Roof Half (Case A)');
+        assertClose(windwardA.p_pos, 28.27 * 0.85 * 0.6, 0.002, 'windward half, Case A');
+        assert.equal(windwardA.p_neg, windwardA.p_pos);
+        assertClose(windwardA.p_pos_asd, 0.6 * windwardA.p_pos, 1e-9, 'ASD');
+    });
+
+    it('covers monoslope roofs in both wind directions and flat roofs as monoslope at 0°', () => {
+        const monoslope = run({ roof_type: 'monoslope', wind_obstruction: 'obstructed', roof_slope_deg: 7.5 }).directional_results.perp_to_L;
+        assert.equal(row(monoslope, 'Windward Roof Half (Case B, γ = 0°)').cn, -1.7);
+        assert.equal(row(monoslope, 'Leeward Roof Half (Case A, γ = 180°)').cn, -1.2);
+
+        const flat = run({ roof_type: 'flat' }).directional_results.perp_to_L;
+        assert.deepEqual(flat.map(r => r.cn), [1.2, 0.3, -1.1, -0.1]);
+    });
+
+    it('uses the troughed roof coefficients', () => {
+        const troughed = run({ roof_type: 'troughed' }).directional_results.perp_to_L;
+        assert.equal(row(troughed, 'Windward Roof Half (Case A)').cn, -1.4);
+    });
+
+    it('splits the roof into strips from the windward edge with wind parallel to the ridge', () => {
+        const rows = run({}).directional_results.perp_to_B;
+        assert.deepEqual(rows.map(r => r.surface), [
+            'Roof 0.0 to 30.0 ft from Windward Edge (Case A)', 'Roof 0.0 to 30.0 ft from Windward Edge (Case B)',
+            'Roof 30.0 to 60.0 ft from Windward Edge (Case A)', 'Roof 30.0 to 60.0 ft from Windward Edge (Case B)',
+            'Roof > 60.0 ft from Windward Edge (Case A)', 'Roof > 60.0 ft from Windward Edge (Case B)'
+        ]);
+        assert.deepEqual(rows.map(r => r.cn), [-0.8, 0.8, -0.6, 0.5, -0.3, 0.3]);
+    });
+
+    it('computes C&C net pressures by zone and effective wind area', () => {
+        // a = min(0.1 * 60, 0.4 * 30) = 6 ft; A = 10 ft² <= a², so each zone takes its own CN.
+        const small = run({ roof_type: 'monoslope' }).candc;
+        assert.equal(small.a, 6);
+        assert.deepEqual(Object.values(small.pressures).map(z => [z.cn_pos, z.cn_neg]), [[3.6, -3.8], [2.7, -2.9], [1.8, -1.9]]);
+        assertClose(small.pressures['Roof Zone 3 (Corners)'].p_neg, 28.27 * 0.85 * -3.8, 0.002, 'zone 3 suction');
+
+        // Above 4a² every zone takes the interior values.
+        const large = run({ roof_type: 'monoslope', effective_wind_area: 200 }).candc;
+        assert.deepEqual(Object.values(large.pressures).map(z => z.cn_neg), [-1.9, -1.9, -1.9]);
+    });
+});
+
+describe('wind engine (ASCE 7-16 Chapter 28, envelope procedure)', () => {
+    const envelope = { ...baseInputs, mwfrs_procedure: 'Envelope', roof_type: 'gable', roof_slope_deg: 10 };
+    const results = windLoadCalculator.run(envelope, { warnings: [], errors: [] });
+    const zone = (direction, name) => results.directional_results[direction].find(row => row.surface === name);
+
+    it('interpolates GCpf for Load Case A between the tabulated roof angles', () => {
+        // Fig. 28.3-1, Zone 1: 0.40 at 5° and 0.53 at 20°, so 0.443 at 10°.
+        assertClose(zone('perp_to_L', 'Zone 1 (Windward Wall)').gcpf, 0.4433, 0.001, 'GCpf zone 1');
+        assert.equal(zone('perp_to_L', 'Zone 2E (Windward Roof, End Zone)').gcpf, -1.07);
+    });
+
+    it('computes p = qh[(GCpf) - (GCpi)] for both signs of internal pressure', () => {
+        const row = zone('perp_to_B', 'Zone 5 (Windward Wall)');
+        assertClose(row.p_pos, 28.27 * (0.40 - 0.18), 0.002, 'Zone 5, +GCpi');
+        assertClose(row.p_neg, 28.27 * (0.40 + 0.18), 0.002, 'Zone 5, -GCpi');
+    });
+
+    it('lists zones 1-6 and 1E-6E for Load Case B, with torsional zones at 25%', () => {
+        const surfaces = results.directional_results.perp_to_B.map(row => row.surface.split(' ')[1]);
+        ['1', '6', '1E', '6E', '1T', '6T'].forEach(name => assert.ok(surfaces.includes(name), name));
+        const torsional = zone('perp_to_B', 'Zone 5T (Windward Wall, Torsional)');
+        assertClose(torsional.p_pos, 0.25 * zone('perp_to_B', 'Zone 5 (Windward Wall)').p_pos, 1e-9, 'Zone 5T');
+    });
+
+    it('sizes the end zones at 2a from the reference corner', () => {
+        // a = min(0.1 * 100, 0.4 * 30) = 10 ft.
+        assert.equal(results.envelope.end_zone_width, 20);
+        assert.deepEqual(results.envelope.notes.map(note => note.key), ['end_zones', 'zone2_extent', 'torsional_zones']);
+        assert.deepEqual(results.envelope.notes[1].values, { extent: 50 });
+        assert.equal(results.torsional_case, undefined);
+    });
+
+    it('falls back to the directional procedure when the building is not low-rise', () => {
+        const tall = windLoadCalculator.run({ ...envelope, mean_roof_height: 120, building_length_L: 100 }, { warnings: [], errors: [] });
+        assert.equal(tall.envelope, undefined);
+        assert.ok(tall.warnings.some(warning => warning.includes('Envelope Procedure')));
+    });
+});
+
+describe('wind engine (ASCE 7-16 Chapter 29, other structures)', () => {
+    const other = {
+        ...baseInputs, structure_class: 'Other Structure', sign_height_h: 20, sign_dimension_s: 10, sign_width_B: 40,
+        sign_solidity_ratio: 1, open_member_shape: 'flat', chimney_shape: 'round_smooth', chimney_height: 50, chimney_diameter: 5,
+        equipment_area_Af: 40, equipment_area_Ar: 60, solar_method: 'tilted', solar_tilt_deg: 10, solar_area: 20,
+        solar_chord_Lp: 6, solar_parapet_height: 0, solar_exposed: 'No'
+    };
+    const run = inputs => windLoadCalculator.run({ ...other, ...inputs }, { warnings: [], errors: [] });
+    const row = (results, label) => results.other_structure.rows.find(r => r.label.startsWith(label));
+
+    it('reads the solid sign force coefficients of Fig. 29.3-1', () => {
+        assert.equal(getSolidSignCf(4, 0.5), 1.70);
+        assert.equal(getSolidSignCf(1, 1), 1.45);
+        assertClose(getSolidSignCf(3, 0.5), 1.70, 1e-9, 'B/s = 3');
+        assert.deepEqual(getSolidSignCaseCRegions(4, 0.5).map(region => region.cf), [2.90, 1.90, 1.30, 1.10]);
+        // s/h > 0.8 reduces Case C by (1.8 - s/h).
+        assertClose(getSolidSignCaseCRegions(4, 0.9)[0].cf, 2.90 * 0.9, 1e-9, 'Case C, s/h = 0.9');
+        assert.equal(getSolidSignCaseCRegions(2.5, 0.5).at(-1).to, 2.5);
+    });
+
+    it('computes F = qh G Cf As for a solid sign, with qh at the top of the sign', () => {
+        const results = run({ other_structure_type: 'solid_sign' });
+        assert.equal(results.intermediate.Kd, 0.85);
+        // Kz = 0.902 at 20 ft, qh = 0.00256 (0.902)(0.85)(115²) = 25.96 psf; As = 400 ft².
+        assertClose(row(results, 'Case A').value, 25.96 * 0.85 * 1.70 * 400, 0.002, 'Case A force');
+        assert.equal(row(results, 'Case B').offset, 8);
+        assertClose(row(results, 'Case C, 0s').value, 25.96 * 0.85 * 2.90 * 100, 0.002, 'Case C first region');
+    });
+
+    it('reduces the solid sign coefficients for openings', () => {
+        const results = run({ other_structure_type: 'solid_sign', sign_solidity_ratio: 0.8 });
+        assertClose(row(results, 'Case A').coefficient, 1.70 * (1 - 0.2 ** 1.5), 1e-9, 'Cf with openings');
+    });
+
+    it('takes chimney coefficients by h/D, with qz at mid-height', () => {
+        const results = run({ other_structure_type: 'chimney' });
+        assert.equal(results.intermediate.Kd, 0.95);
+        // Moderately smooth round section (D√qz > 2.5): 0.6 at h/D = 7, 0.7 at 25.
+        assertClose(results.other_structure.rows[0].coefficient, 0.6 + 0.1 * 3 / 18, 1e-9, 'Cf at h/D = 10');
+        assert.equal(results.other_structure.rows[0].z, 25);
+    });
+
+    it('uses the largest GCr for small rooftop equipment', () => {
+        const results = run({ other_structure_type: 'rooftop_equipment' });
+        assert.equal(row(results, 'Horizontal').coefficient, 1.9);
+        assert.equal(row(results, 'Vertical').coefficient, 1.5);
+        assertClose(row(results, 'Horizontal').value, 28.27 * 1.9 * 40, 0.002, 'Fh');
+        const large = run({ other_structure_type: 'rooftop_equipment', equipment_area_Af: 1650 });
+        assertClose(row(large, 'Horizontal').coefficient, 1.9 - 0.9 * (0.55 - 0.1) / 0.9, 1e-9, 'GCr at Af = 0.55Bh');
+        // On a 200 x 100 ft building, Af = 1650 ft² is 0.275 Bh of the long face and 0.55 Bh of the
+        // short one; the long face gives the larger GCr.
+        const oblong = run({ other_structure_type: 'rooftop_equipment', equipment_area_Af: 1650, building_length_L: 200 });
+        assertClose(row(oblong, 'Horizontal').coefficient, 1.9 - 0.9 * (0.275 - 0.1) / 0.9, 1e-9, 'GCr at Af = 0.275Bh');
+        assertClose(row(oblong, 'Horizontal').value, oblong.intermediate.qz * 1.725 * 1650, 1e-9, 'Fh');
+    });
+
+    it('scales the solar panel coefficients by the parapet, chord and edge factors', () => {
+        const tilted = run({ other_structure_type: 'solar_panels' });
+        const exposed = run({ other_structure_type: 'solar_panels', solar_exposed: 'Yes' });
+        const zone1 = tilted.other_structure.rows[0];
+        // γp = 0.9 without a parapet, γc = 0.6 + 0.06(6) = 0.96, γE = 1.0.
+        assertClose(zone1.coefficient, 0.9 * 0.96 * zone1.nominal, 1e-9, 'GCrn');
+        assertClose(exposed.other_structure.rows[0].coefficient, 1.5 * zone1.coefficient, 1e-9, 'exposed GCrn');
+
+        const parallel = run({ other_structure_type: 'solar_panels', solar_method: 'parallel' });
+        const interior = row(parallel, 'Roof Zone 1');
+        // γa = 0.8 - 0.4 log10(20 / 10) for A = 20 ft².
+        assertClose(interior.factor, 0.8 - 0.4 * Math.log10(2), 1e-9, 'gamma_a');
+        assertClose(interior.value, 28.27 * interior.coefficient * interior.factor, 0.002, 'p');
+    });
+});
+
+describe('wind engine (ASCE 7-16 Section 26.8, topographic factor)', () => {
+    const escarpment = {
+        ...baseInputs, topo_feature: 'escarpment', topo_hill_height_H: 80, topo_half_length_Lh: 100,
+        topo_distance_x: 50, topo_crest_side: 'upwind'
+    };
+    const run = inputs => windLoadCalculator.run({ ...escarpment, ...inputs }, { warnings: [], errors: [] });
+
+    it('computes Kzt = (1 + K1 K2 K3)² at the roof height', () => {
+        const results = run({});
+        // H/Lh = 0.8 > 0.5: K1 = 0.85(0.5), and Lh = 2H = 160 ft for K2 and K3.
+        const K1 = 0.425;
+        const K2 = 1 - 50 / (1.5 * 160);
+        const K3 = Math.exp(-2.5 * 30 / 160);
+        assertClose(results.intermediate.Kzt, (1 + K1 * K2 * K3) ** 2, 1e-9, 'Kzt at h');
+        assertClose(results.intermediate.qz, 28.27 * results.intermediate.Kzt, 0.002, 'qh');
+        assert.deepEqual(results.intermediate.Kzt_profile.map(row => row.z), [0, 7.5, 15, 22.5, 30]);
+    });
+
+    it('feeds Kzt at each height into the height-varying pressures', () => {
+        const results = run({ calculate_height_varying_pressure: 'Yes' });
+        const ground = results.heightVaryingResults_L[0];
+        assertClose(ground.Kzt, (1 + 0.425 * (1 - 50 / 240)) ** 2, 1e-9, 'Kzt at z = 0');
+        const top = results.heightVaryingResults_L.at(-1);
+        assert.ok(ground.Kzt > top.Kzt);
+        assertClose(top.Kzt, results.intermediate.Kzt, 1e-9, 'Kzt at z = h');
+    });
+
+    it('attenuates more slowly downwind of an escarpment', () => {
+        const downwind = run({ topo_crest_side: 'downwind' });
+        const K2 = 1 - 50 / (4 * 160);
+        assertClose(downwind.intermediate.Kzt, (1 + 0.425 * K2 * Math.exp(-2.5 * 30 / 160)) ** 2, 1e-9, 'Kzt downwind');
+    });
+
+    it('takes Kzt = 1.0 for low or gentle features, and the entered Kzt without one', () => {
+        assert.equal(run({ topo_feature: 'ridge', topo_hill_height_H: 15, topo_half_length_Lh: 100 }).intermediate.Kzt, 1);
+        assert.equal(run({ topo_feature: 'hill', topo_hill_height_H: 10 }).intermediate.Kzt, 1);
+        assert.equal(run({ topo_feature: 'none', topographic_factor_Kzt: 1.2 }).intermediate.Kzt, 1.2);
+    });
+});
+
+describe('wind engine (ASCE 7-16 Section 26.7, exposure by upwind sector)', () => {
+    const sectors = (roughness, fetch, overrides = {}) => Object.fromEntries([0, 45, 90, 135, 180, 225, 270, 315].flatMap(bearing => {
+        const sector = { roughness, fetch, upwind_roughness: 'C', ...overrides[bearing] };
+        return Object.entries(sector).map(([key, value]) => [`exp_sector_${bearing}_${key}`, value]);
+    }));
+    // Suburban surroundings, with open water to the north-northeast.
+    const waterfront = {
+        ...baseInputs, exposure_method: 'sectors', wind_direction_L: '0',
+        ...sectors('B', 2000, { 0: { roughness: 'D', fetch: 6000 } })
+    };
+    const run = inputs => windLoadCalculator.run(inputs, { warnings: [], errors: [] });
+
+    it('lengthens the fetch limits with roof height above 30 ft', () => {
+        assert.deepEqual(getExposureFetchLimits(30, 'imperial'), { B: 1500, D: 5000, D_downwind: 600, unit: 'ft' });
+        assert.deepEqual(getExposureFetchLimits(200, 'imperial'), { B: 4000, D: 5000, D_downwind: 4000, unit: 'ft' });
+        assert.equal(getExposureFetchLimits(60, 'metric').B, 1200);
+    });
+
+    it('classifies each sector by its roughness and fetch', () => {
+        const limits = getExposureFetchLimits(30, 'imperial');
+        const exposure = sector => getSectorExposure({ upwind_roughness: 'C', ...sector }, limits).exposure;
+        assert.equal(exposure({ roughness: 'B', fetch: 1500 }), 'B');
+        assert.equal(exposure({ roughness: 'B', fetch: 1000 }), 'C');
+        assert.equal(exposure({ roughness: 'D', fetch: 5000 }), 'D');
+        assert.equal(exposure({ roughness: 'D', fetch: 4000 }), 'C');
+        // Transition zone: Exposure D carries 600 ft downwind of a shoreline with 5000 ft of open water.
+        assert.equal(exposure({ roughness: 'C', fetch: 400, upwind_roughness: 'D', upwind_fetch: 5000 }), 'D');
+        assert.equal(exposure({ roughness: 'B', fetch: 800, upwind_roughness: 'D', upwind_fetch: 5000 }), 'C');
+    });
+
+    it('does not extend Exposure D downwind of a D patch too short to be Exposure D', () => {
+        const limits = getExposureFetchLimits(30, 'imperial');
+        const pond = getSectorExposure({ roughness: 'C', fetch: 400, upwind_roughness: 'D', upwind_fetch: 3000 }, limits);
+        assert.equal(pond.exposure, 'C');
+        const behindPond = getSectorExposure({ roughness: 'B', fetch: 2000, upwind_roughness: 'D', upwind_fetch: 3000 }, limits);
+        assert.equal(behindPond.exposure, 'B');
+    });
+
+    it('takes the more severe of the two sectors either side of each wind direction', () => {
+        const exposures = getDirectionalExposures(waterfront);
+        assert.deepEqual(exposures.directions.map(direction => direction.exposure), ['D', 'D', 'B', 'B', 'B', 'B', 'B', 'B']);
+        assert.equal(exposures.perp_to_L, 'D');
+        assert.equal(exposures.perp_to_B, 'B');
+        assert.equal(exposures.governing, 'D');
+        assert.equal(getDirectionalExposures({ ...waterfront, wind_direction_L: '90' }).perp_to_L, 'B');
+    });
+
+    it('computes each direction at its own exposure and C&C at the governing one', () => {
+        const results = run(waterfront);
+        const atD = run({ ...baseInputs, exposure_category: 'D' });
+        const atB = run({ ...baseInputs, exposure_category: 'B' });
+        assert.equal(results.inputs.exposure_category, 'D');
+        assertClose(results.intermediate.qz_by_direction.perp_to_L, atD.intermediate.qz, 1e-9, 'qh, wind perpendicular to L');
+        assertClose(results.intermediate.qz_by_direction.perp_to_B, atB.intermediate.qz, 1e-9, 'qh, wind perpendicular to B');
+        assert.deepEqual(results.directional_results.perp_to_L, atD.directional_results.perp_to_L);
+        assert.deepEqual(results.directional_results.perp_to_B, atB.directional_results.perp_to_B);
+        assert.equal(results.intermediate.qz, atD.intermediate.qz);
+    });
+});
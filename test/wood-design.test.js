@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { woodChecker } from '../nds/wood-design-engine.js';
+import { assertClose } from './helpers.js';
+
+const baseInputs = {
+    design_method: 'ASD', unit_system: 'Imperial', load_duration: '1.0', wet_service: 'Dry (MC <= 19%)',
+    temperature: 'low', flat_use: 'Strong Axis', incising: 'No', repetitive_member: 'No',
+    effective_length_factor_K: 1.0, axial_load_P: 0, moment_load_M: 0, shear_load_V: 0,
+    deflection_span: 0, deflection_limit: 360, actual_deflection: 0
+};
+
+// 6x6 No. 1 Douglas Fir-Larch, Posts and Timbers (NDS Supplement Table 4D).
+const post = {
+    ...baseInputs, Fb_unadjusted: 1200, Fv_unadjusted: 170, Fc_perp_unadjusted: 625, Fc_unadjusted: 1000,
+    E_unadjusted: 1600000, E_min_unadjusted: 580000, b_width: 5.5, d_depth: 5.5,
+    unbraced_length_L: 12, bearing_length_Lb: 0, axial_load_P: 10
+};
+
+// 6x14 No. 1 Douglas Fir-Larch, Beams and Stringers (NDS Supplement Table 4D).
+const beam = {
+    ...baseInputs, Fb_unadjusted: 1350, Fv_unadjusted: 170, Fc_perp_unadjusted: 625, Fc_unadjusted: 925,
+    E_unadjusted: 1600000, E_min_unadjusted: 580000, b_width: 5.5, d_depth: 13.5,
+    unbraced_length_L: 0, bearing_length_Lb: 3, moment_load_M: 20, shear_load_V: 8
+};
+
+describe('sawn lumber engine (NDS)', () => {
+    it('computes the column stability factor of a 12 ft 6x6 post (Eq. 3.7-1)', () => {
+        const { results } = woodChecker.run(post);
+        // le/d = 144 / 5.5 = 26.2; FcE = 0.822 (580000) / 26.2² = 695 psi; c = 0.8
+        assertClose(results.Le_d, 26.18, 0.001, 'le/d');
+        assertClose(results.Fce, 695.5, 0.001, 'FcE');
+        assertClose(results.factors.Cp, 0.556, 0.002, 'Cp');
+        assertClose(results.adjusted.Fc_prime, 556, 0.002, "Fc'");
+        assertClose(results.actuals.fc, 10000 / 30.25, 1e-9, 'fc');
+    });
+
+    it('applies the size factor to a 13.5 in. deep beam (Table 4D footnote)', () => {
+        const { results } = woodChecker.run(beam);
+        // CF = (12 / 13.5)^(1/9) = 0.987
+        assertClose(results.factors.CF, 0.987, 0.001, 'CF');
+        assertClose(results.adjusted.Fb_prime, 1332, 0.001, "Fb'");
+    });
+
+    it('takes CL = 1.0 for a continuously braced beam', () => {
+        const { results } = woodChecker.run(beam);
+        assert.equal(results.factors.CL, 1.0);
+        // Before, Eq. 3.3-6 was evaluated with FbE = ∞, which gives ∞ - ∞: CL and Fb' were NaN.
+        const ratio = Infinity;
+        assert.ok(Number.isNaN((1 + ratio) / 1.9 - Math.sqrt(((1 + ratio) / 1.9) ** 2 - ratio / 0.95)));
+        assert.ok(Number.isFinite(results.adjusted.Fb_prime));
+    });
+
+    it('takes Cp = 1.0 for a column braced along its length', () => {
+        const { results } = woodChecker.run({ ...post, unbraced_length_L: 0 });
+        // Before, Eq. 3.7-1 with FcE = ∞ gave Cp = NaN, as CL above.
+        assert.equal(results.factors.Cp, 1.0);
+        assertClose(results.adjusted.Fc_prime, 1000, 1e-9, "Fc'");
+    });
+
+    it('applies the bearing area factor for a 3 in. bearing length (Table 3.10.4)', () => {
+        const { results } = woodChecker.run(beam);
+        assertClose(results.factors.Cb, 1.125, 1e-9, 'Cb');
+        assertClose(results.adjusted.Fc_perp_prime, 703, 0.001, "Fc⊥'");
+    });
+
+    it('computes bending and shear stresses on the gross section', () => {
+        const { results } = woodChecker.run(beam);
+        // fb = 20 × 12000 / 167.1 in³; fv = 1.5 (8000) / 74.25 in²
+        assertClose(results.actuals.fb, 1437, 0.001, 'fb');
+        assertClose(results.actuals.fv, 161.6, 0.001, 'fv');
+    });
+});